@@ -163,6 +163,7 @@ KEEP=(
   autoloader.php
   classes
   css
+  data
   install.php
   js
   kntnt-ad-attribution.php
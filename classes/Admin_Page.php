@@ -40,6 +40,30 @@ final class Admin_Page {
 	 */
 	private readonly Queue_Processor $queue_processor;
 
+	/**
+	 * Attribution model comparison for the compare view.
+	 *
+	 * @var Attribution_Comparison
+	 * @since 1.9.0
+	 */
+	private readonly Attribution_Comparison $attribution_comparison;
+
+	/**
+	 * Creator of tracking URLs for the add form.
+	 *
+	 * @var Tracking_Url_Creator
+	 * @since 1.9.0
+	 */
+	private readonly Tracking_Url_Creator $tracking_url_creator;
+
+	/**
+	 * Change history for the edit form.
+	 *
+	 * @var Tracking_Url_History
+	 * @since 1.9.0
+	 */
+	private readonly Tracking_Url_History $tracking_url_history;
+
 	/**
 	 * The hook suffix returned by add_management_page().
 	 *
@@ -53,14 +77,21 @@ final class Admin_Page {
 	/**
 	 * Initializes the admin page with its dependencies.
 	 *
-	 * @param Queue           $queue           Async job queue for status display.
-	 * @param Queue_Processor $queue_processor Queue processor for single-job actions.
+	 * @param Queue                  $queue                  Async job queue for status display.
+	 * @param Queue_Processor        $queue_processor        Queue processor for single-job actions.
+	 * @param Attribution_Comparison $attribution_comparison Attribution model comparison.
+	 * @param Tracking_Url_Creator   $tracking_url_creator   Tracking URL creation.
+	 * @param Tracking_Url_History   $tracking_url_history   Tracking URL editing and change history.
 	 *
 	 * @since 1.2.0
+	 * @since 1.9.0 Added the $attribution_comparison, $tracking_url_creator and $tracking_url_history parameters.
 	 */
-	public function __construct( Queue $queue, Queue_Processor $queue_processor ) {
-		$this->queue           = $queue;
-		$this->queue_processor = $queue_processor;
+	public function __construct( Queue $queue, Queue_Processor $queue_processor, Attribution_Comparison $attribution_comparison, Tracking_Url_Creator $tracking_url_creator, Tracking_Url_History $tracking_url_history ) {
+		$this->queue                  = $queue;
+		$this->queue_processor        = $queue_processor;
+		$this->attribution_comparison = $attribution_comparison;
+		$this->tracking_url_creator   = $tracking_url_creator;
+		$this->tracking_url_history   = $tracking_url_history;
 	}
 
 	/**
@@ -115,8 +146,8 @@ final class Admin_Page {
 		// Register per-page Screen Option.
 		$action = sanitize_text_field( wp_unslash( $_GET['action'] ?? '' ) );
 
-		// Only show screen options on the list view (not the add form).
-		if ( $action !== 'add' ) {
+		// Only show screen options on the list view (not the add form, the model comparison or a custom tab).
+		if ( ! in_array( $action, [ 'add', 'compare' ], true ) && $this->get_custom_tab() === '' ) {
 			add_screen_option( 'per_page', [
 				'label'   => __( 'Items per page', 'kntnt-ad-attr' ),
 				'default' => 20,
@@ -146,54 +177,22 @@ final class Admin_Page {
 		return $status;
 	}
 
-	/**
-	 * Adds Subresource Integrity (SRI) attributes to CDN-loaded Select2 tags.
-	 *
-	 * Ensures that the browser verifies the integrity of CDN-hosted assets
-	 * before executing them, protecting against CDN compromise.
-	 *
-	 * @param string $tag    The generated script or link tag.
-	 * @param string $handle The registered asset handle.
-	 *
-	 * @return string Modified tag with integrity and crossorigin attributes.
-	 * @since 1.0.0
-	 */
-	public function add_sri_attributes( string $tag, string $handle ): string {
-		static $sri_hashes = [
-			'select2'     => 'sha384-JnbsSLBmv2/R0fUmF2XYIcAEMPHEAO51Gitn9IjL4l89uFTIgtLF1+jqIqqd9FSk',
-			'select2-css' => 'sha384-KZO2FRYNmIHerhfYMjCIUaJeGBRXP7CN24SiNSG+wdDzgwvxWbl16wMVtWiJTcMt',
-		];
-
-		// Map style handle 'select2' to its SRI key.
-		$sri_key = str_contains( $tag, '<link' ) ? $handle . '-css' : $handle;
-
-		if ( ! isset( $sri_hashes[ $sri_key ] ) ) {
-			return $tag;
-		}
-
-		$integrity = $sri_hashes[ $sri_key ];
-
-		return str_replace(
-			' src=',
-			" integrity=\"{$integrity}\" crossorigin=\"anonymous\" src=",
-			str_replace(
-				' href=',
-				" integrity=\"{$integrity}\" crossorigin=\"anonymous\" href=",
-				$tag,
-			),
-		);
-	}
-
 	/**
 	 * Enqueues CSS and JavaScript assets on the plugin's admin page.
 	 *
-	 * Always loads admin.css. On the add view, additionally loads select2
-	 * from cdnjs and the plugin's admin.js with localized REST configuration.
+	 * Always loads admin.css and the plugin's admin.js. On the add, edit and
+	 * bulk views, localizes the search and bulk-create routes; elsewhere,
+	 * loads the QR code encoder and localizes the report, campaigns and queue
+	 * routes and the list filters for the per-click breakdown, the in-place
+	 * list updates and the live queue. All assets are served by the plugin
+	 * itself.
 	 *
 	 * @param string $hook_suffix The current admin page hook suffix.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Localizes the breakdown, list and queue configuration and loads the QR code
+	 *              encoder outside the forms, and no longer loads select2 from cdnjs.
 	 */
 	public function enqueue_assets( string $hook_suffix ): void {
 		if ( $hook_suffix !== $this->hook_suffix ) {
@@ -208,37 +207,26 @@ final class Admin_Page {
 			Plugin::get_version(),
 		);
 
-		// Select2 is only needed on the add view. Determine deps upfront
-		// so the admin script can be registered once with the correct deps.
+		// The forms and the list view load different scripts and configuration.
 		$action  = sanitize_text_field( wp_unslash( $_GET['action'] ?? '' ) );
-		$is_form = $action === 'add';
-
-		if ( $is_form ) {
-			wp_enqueue_style(
-				'select2',
-				'https://cdnjs.cloudflare.com/ajax/libs/select2/4.0.13/css/select2.min.css',
-				[],
-				'4.0.13',
-			);
+		$is_form = in_array( $action, [ 'add', 'edit', 'bulk' ], true );
 
+		// QR code encoder for the QR Code row action on the list view.
+		if ( ! $is_form ) {
 			wp_enqueue_script(
-				'select2',
-				'https://cdnjs.cloudflare.com/ajax/libs/select2/4.0.13/js/select2.min.js',
-				[ 'jquery' ],
-				'4.0.13',
+				'kntnt-ad-attr-qr-code',
+				Plugin::get_plugin_url() . 'js/qr-code.js',
+				[],
+				Plugin::get_version(),
 				true,
 			);
-
-			// Add SRI integrity attributes to CDN-loaded Select2 assets.
-			add_filter( 'script_loader_tag', [ $this, 'add_sri_attributes' ], 10, 2 );
-			add_filter( 'style_loader_tag', [ $this, 'add_sri_attributes' ], 10, 2 );
 		}
 
-		// Admin JS — click-to-copy on list view, select2 init on form.
+		// Admin JS — click-to-copy, breakdown, QR codes and in-place updates on list view, target search and bulk preview on forms.
 		wp_enqueue_script(
 			'kntnt-ad-attr-admin',
 			Plugin::get_plugin_url() . 'js/admin.js',
-			$is_form ? [ 'jquery', 'select2' ] : [],
+			$is_form ? [] : [ 'kntnt-ad-attr-qr-code' ],
 			Plugin::get_version(),
 			true,
 		);
@@ -246,8 +234,109 @@ final class Admin_Page {
 		if ( $is_form ) {
 			wp_localize_script( 'kntnt-ad-attr-admin', 'kntntAdAttrAdmin', [
 				'searchUrl'  => rest_url( 'kntnt-ad-attribution/v1/search-posts' ),
+				'bulkUrl'    => rest_url( 'kntnt-ad-attribution/v1/bulk-create' ),
 				'nonce'      => wp_create_nonce( 'wp_rest' ),
 				'utmSources' => Utm_Options::get_options()['sources'],
+				'maxRows'    => Tracking_Url_Creator::MAX_ROWS,
+				'i18n'       => [
+					'row'               => __( 'Row', 'kntnt-ad-attr' ),
+					'target'            => __( 'Target Page', 'kntnt-ad-attr' ),
+					'trackingUrl'       => __( 'Tracking URL', 'kntnt-ad-attr' ),
+					'source'            => __( 'Source', 'kntnt-ad-attr' ),
+					'medium'            => __( 'Medium', 'kntnt-ad-attr' ),
+					'campaign'          => __( 'Campaign', 'kntnt-ad-attr' ),
+					'status'            => __( 'Status', 'kntnt-ad-attr' ),
+					'valid'             => __( 'OK', 'kntnt-ad-attr' ),
+					'noRows'            => __( 'There are no rows to preview.', 'kntnt-ad-attr' ),
+					/* translators: %d: Largest number of rows. */
+					'tooManyRows'       => __( 'At most %d tracking URLs can be created at a time.', 'kntnt-ad-attr' ),
+					'missingColumns'    => __( 'The CSV file must have the columns target, utm_source, utm_medium and utm_campaign.', 'kntnt-ad-attr' ),
+					/* translators: 1: Number of rows. 2: Number of rows with errors. */
+					'summary'           => __( '%1$d rows, %2$d with errors.', 'kntnt-ad-attr' ),
+					/* translators: %d: Number of tracking URLs. */
+					'create'            => __( 'Create %d Tracking URLs', 'kntnt-ad-attr' ),
+					/* translators: %d: Number of tracking URLs. */
+					'created'           => __( '%d tracking URLs created.', 'kntnt-ad-attr' ),
+					'download'          => __( 'Download CSV', 'kntnt-ad-attr' ),
+					'bulkError'         => __( 'The request failed. Try again.', 'kntnt-ad-attr' ),
+					'searchPlaceholder' => __( '— Search for a page or post —', 'kntnt-ad-attr' ),
+					/* translators: %d: Shortest search term. */
+					'searchHint'        => __( 'Type at least %d characters to search.', 'kntnt-ad-attr' ),
+					'searching'         => __( 'Searching…', 'kntnt-ad-attr' ),
+					/* translators: %d: Number of search results. */
+					'searchResults'     => __( '%d results available. Use the up and down arrow keys to choose one.', 'kntnt-ad-attr' ),
+					'noResults'         => __( 'No pages or posts found.', 'kntnt-ad-attr' ),
+					'searchError'       => __( 'The search failed. Try again.', 'kntnt-ad-attr' ),
+				],
+			] );
+		} else {
+			$params = ( new Campaign_List_Table() )->get_filter_params();
+
+			wp_localize_script( 'kntnt-ad-attr-admin', 'kntntAdAttrAdmin', [
+				'reportUrl'    => rest_url( 'kntnt-ad-attribution/v1/report' ),
+				'campaignsUrl' => rest_url( 'kntnt-ad-attribution/v1/campaigns' ),
+				'queueUrl'     => rest_url( 'kntnt-ad-attribution/v1/queue' ),
+				'nonce'        => wp_create_nonce( 'wp_rest' ),
+				'filters'      => [
+					'date_start'   => $params['date_start'],
+					'date_end'     => $params['date_end'],
+					'utm_source'   => $params['utm_source'],
+					'utm_medium'   => $params['utm_medium'],
+					'utm_campaign' => $params['utm_campaign'],
+					'suspected'    => $params['suspected'] ? '1' : '',
+				],
+				'dimensions'   => [
+					'utm_content'         => __( 'Content', 'kntnt-ad-attr' ),
+					'utm_term'            => __( 'Term', 'kntnt-ad-attr' ),
+					'utm_id'              => __( 'Id', 'kntnt-ad-attr' ),
+					'utm_source_platform' => __( 'Group', 'kntnt-ad-attr' ),
+				],
+				'i18n'         => [
+					'breakDownBy'    => __( 'Break down by', 'kntnt-ad-attr' ),
+					'clicks'         => __( 'Clicks', 'kntnt-ad-attr' ),
+					'conversions'    => __( 'Conversions', 'kntnt-ad-attr' ),
+					'value'          => __( 'Attributed Value', 'kntnt-ad-attr' ),
+					/* translators: %s: Sum of values recorded in different currencies. */
+					'mixed'          => __( '%s (mixed currencies)', 'kntnt-ad-attr' ),
+					'none'           => __( '(not set)', 'kntnt-ad-attr' ),
+					'noData'         => __( 'No clicks in this date range.', 'kntnt-ad-attr' ),
+					'error'          => __( 'The breakdown could not be loaded.', 'kntnt-ad-attr' ),
+					'export'         => __( 'Export CSV', 'kntnt-ad-attr' ),
+					/* translators: 1: First day of the previous period. 2: Last day of the previous period. */
+					'previousPeriod' => __( 'Previous period (%1$s – %2$s):', 'kntnt-ad-attr' ),
+					'listError'      => __( 'The list could not be updated. Reload the page to try again.', 'kntnt-ad-attr' ),
+					'qrSize'         => __( 'Size', 'kntnt-ad-attr' ),
+					/* translators: %d: Width and height in pixels. */
+					'qrPixels'       => __( '%d px', 'kntnt-ad-attr' ),
+					'qrLevel'        => __( 'Error correction', 'kntnt-ad-attr' ),
+					'qrLevels'       => [
+						'L' => __( 'Low (7%)', 'kntnt-ad-attr' ),
+						'M' => __( 'Medium (15%)', 'kntnt-ad-attr' ),
+						'Q' => __( 'Quartile (25%)', 'kntnt-ad-attr' ),
+						'H' => __( 'High (30%)', 'kntnt-ad-attr' ),
+					],
+					'qrTooLong'      => __( 'The link is too long for a QR code.', 'kntnt-ad-attr' ),
+					'downloadSvg'    => __( 'Download SVG', 'kntnt-ad-attr' ),
+					'downloadPng'    => __( 'Download PNG', 'kntnt-ad-attr' ),
+					/* translators: %d: Job ID. */
+					'job'            => __( 'Job #%d', 'kntnt-ad-attr' ),
+					'close'          => __( 'Close', 'kntnt-ad-attr' ),
+					'reporter'       => __( 'Reporter', 'kntnt-ad-attr' ),
+					'description'    => __( 'Description', 'kntnt-ad-attr' ),
+					'status'         => __( 'Status', 'kntnt-ad-attr' ),
+					'statuses'       => Queue_List_Table::get_status_labels(),
+					'attempts'       => __( 'Attempts', 'kntnt-ad-attr' ),
+					'createdAt'      => __( 'Created', 'kntnt-ad-attr' ),
+					'processedAt'    => __( 'Processed', 'kntnt-ad-attr' ),
+					'retryAfter'     => __( 'Next Retry', 'kntnt-ad-attr' ),
+					'errorMessage'   => __( 'Error', 'kntnt-ad-attr' ),
+					'payload'        => __( 'Payload', 'kntnt-ad-attr' ),
+					'jobError'       => __( 'The job could not be loaded.', 'kntnt-ad-attr' ),
+					'queueError'     => __( 'The queue could not be updated. Reload the page to try again.', 'kntnt-ad-attr' ),
+					'noJobs'         => __( 'Select an action and at least one job.', 'kntnt-ad-attr' ),
+					/* translators: 1: Number of jobs updated. 2: Number of jobs selected. */
+					'queueUpdated'   => __( '%1$d of %2$d jobs updated.', 'kntnt-ad-attr' ),
+				],
 			] );
 		}
 	}
@@ -256,28 +345,58 @@ final class Admin_Page {
 	 * Renders the main admin page.
 	 *
 	 * Single merged view: page title, optional form, or Campaign_List_Table
-	 * with bulk actions, filters, and CSV export.
+	 * with bulk actions, filters, and CSV export. Tabs registered via
+	 * `kntnt_ad_attr_admin_tabs` get a tab bar and replace the merged view
+	 * when selected. Any other `tab` still appends its action's output
+	 * after the merged view, as before the tab bar existed.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Renders the tab bar; a registered tab replaces the merged view.
 	 */
 	public function render_page(): void {
 		$action = sanitize_text_field( wp_unslash( $_GET['action'] ?? '' ) );
+		$tab    = $this->get_custom_tab();
 
 		echo '<div class="wrap">';
 		echo '<h1>' . esc_html__( 'Ad Attribution', 'kntnt-ad-attr' ) . '</h1>';
 
 		$this->render_admin_notices();
 
+		/**
+		 * Filters the admin page tabs registered by add-ons and components.
+		 *
+		 * @param array<string, string> $tabs Tab slug => label.
+		 *
+		 * @since 1.3.0
+		 */
+		$tabs       = (array) apply_filters( 'kntnt_ad_attr_admin_tabs', [] );
+		$registered = $tab !== '' && array_key_exists( $tab, $tabs );
+		if ( ! empty( $tabs ) ) {
+			$this->render_tabs( $tabs, $registered ? $tab : '' );
+		}
+
+		// A tab from the tab bar replaces the merged view.
+		if ( $registered ) {
+			do_action( "kntnt_ad_attr_admin_tab_{$tab}" );
+			echo '</div>';
+			return;
+		}
+
 		if ( $action === 'add' ) {
 			$this->render_form();
+		} elseif ( $action === 'edit' ) {
+			$this->render_form( (int) ( $_GET['post'] ?? 0 ) );
+		} elseif ( $action === 'bulk' ) {
+			$this->render_bulk_form();
+		} elseif ( $action === 'compare' ) {
+			$this->render_comparison();
 		} else {
 			$this->render_main_view();
 		}
 
 		// Custom tab support for add-on plugins (v1.3.0 compatibility).
-		$tab = sanitize_text_field( wp_unslash( $_GET['tab'] ?? '' ) );
-		if ( $tab !== '' && $tab !== 'urls' && $tab !== 'campaigns' ) {
+		if ( $tab !== '' ) {
 			do_action( "kntnt_ad_attr_admin_tab_{$tab}" );
 		}
 
@@ -290,6 +409,49 @@ final class Admin_Page {
 		echo '</div>';
 	}
 
+	/**
+	 * Returns the selected custom tab.
+	 *
+	 * The legacy core tab slugs `urls` and `campaigns` select the merged view.
+	 *
+	 * @return string Tab slug, or an empty string for the merged view.
+	 * @since 1.9.0
+	 */
+	private function get_custom_tab(): string {
+		$tab = sanitize_text_field( wp_unslash( $_GET['tab'] ?? '' ) );
+		return in_array( $tab, [ 'urls', 'campaigns' ], true ) ? '' : $tab;
+	}
+
+	/**
+	 * Renders the tab bar with the merged view first.
+	 *
+	 * @param array<string, string> $tabs   Tab slug => label.
+	 * @param string                $active Selected tab slug, or an empty string for the merged view.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_tabs( array $tabs, string $active ): void {
+		$base_url = admin_url( 'tools.php?page=' . Plugin::get_slug() );
+
+		echo '<nav class="nav-tab-wrapper kntnt-ad-attr-tabs">';
+		printf(
+			'<a href="%s" class="nav-tab%s">%s</a>',
+			esc_url( $base_url ),
+			$active === '' ? ' nav-tab-active' : '',
+			esc_html__( 'Tracking URLs', 'kntnt-ad-attr' ),
+		);
+		foreach ( $tabs as $slug => $label ) {
+			printf(
+				'<a href="%s" class="nav-tab%s">%s</a>',
+				esc_url( add_query_arg( [ 'tab' => $slug ], $base_url ) ),
+				$active === $slug ? ' nav-tab-active' : '',
+				esc_html( $label ),
+			);
+		}
+		echo '</nav>';
+	}
+
 	/**
 	 * Renders the main list view with Campaign_List_Table.
 	 *
@@ -314,6 +476,25 @@ final class Admin_Page {
 
 			echo '<a href="' . esc_url( $add_url ) . '" class="page-title-action">'
 				. esc_html__( 'Create Tracking URL', 'kntnt-ad-attr' ) . '</a>';
+
+			$bulk_url = admin_url( sprintf(
+				'tools.php?page=%s&action=bulk',
+				Plugin::get_slug(),
+			) );
+
+			echo '<a href="' . esc_url( $bulk_url ) . '" class="page-title-action">'
+				. esc_html__( 'Create in Bulk', 'kntnt-ad-attr' ) . '</a>';
+
+			// Compare the models over the date range currently shown.
+			$params      = $table->get_filter_params();
+			$compare_url = add_query_arg( [
+				'action'     => 'compare',
+				'date_start' => $params['date_start'],
+				'date_end'   => $params['date_end'],
+			], admin_url( 'tools.php?page=' . Plugin::get_slug() ) );
+
+			echo '<a href="' . esc_url( $compare_url ) . '" class="page-title-action">'
+				. esc_html__( 'Compare Attribution Models', 'kntnt-ad-attr' ) . '</a>';
 		}
 
 		echo '<hr class="wp-header-end">';
@@ -351,14 +532,91 @@ final class Admin_Page {
 		}
 	}
 
+	/**
+	 * Renders the read-only attribution model comparison.
+	 *
+	 * Shows conversions per tracking URL under each bundled model for the
+	 * same date range as the campaign list, with the model selected in the
+	 * settings highlighted.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_comparison(): void {
+		$params   = ( new Campaign_List_Table() )->get_filter_params();
+		$rows     = $this->attribution_comparison->get_rows( $params['date_start'], $params['date_end'] );
+		$models   = Attribution_Models::get_labels();
+		$selected = $this->attribution_comparison->get_selected_model();
+		$prefix   = Plugin::get_url_prefix();
+
+		echo '<h2>' . esc_html__( 'Compare Attribution Models', 'kntnt-ad-attr' ) . '</h2>';
+		echo '<p class="description">'
+			. esc_html__( 'Conversions per tracking URL as each model would attribute them. Only the selected model is used for recorded conversions and reports; conversions recorded before version 1.9.0 are not included.', 'kntnt-ad-attr' )
+			. '</p>';
+
+		// Date range filter.
+		echo '<form method="get" class="kntnt-ad-attr-filters">';
+		echo '<input type="hidden" name="page" value="' . esc_attr( Plugin::get_slug() ) . '">';
+		echo '<input type="hidden" name="action" value="compare">';
+		echo '<input type="date" name="date_start" value="' . esc_attr( $params['date_start'] ) . '">';
+		echo '<input type="date" name="date_end" value="' . esc_attr( $params['date_end'] ) . '">';
+		submit_button( __( 'Filter', 'kntnt-ad-attr' ), '', 'filter_action', false );
+		echo '</form>';
+
+		echo '<table class="wp-list-table widefat fixed striped kntnt-ad-attr-comparison">';
+		echo '<thead><tr>';
+		echo '<th scope="col">' . esc_html__( 'Tracking URL', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'Source', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'Medium', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'Campaign', 'kntnt-ad-attr' ) . '</th>';
+		foreach ( $models as $model => $label ) {
+			echo $model === $selected
+				? '<th scope="col"><strong>' . esc_html( $label ) . '</strong> ' . esc_html__( '(selected)', 'kntnt-ad-attr' ) . '</th>'
+				: '<th scope="col">' . esc_html( $label ) . '</th>';
+		}
+		echo '</tr></thead><tbody>';
+
+		if ( empty( $rows ) ) {
+			printf(
+				'<tr class="no-items"><td class="colspanchange" colspan="%d">%s</td></tr>',
+				4 + count( $models ),
+				esc_html__( 'No conversions recorded in this date range.', 'kntnt-ad-attr' ),
+			);
+		}
+
+		foreach ( $rows as $row ) {
+			echo '<tr>';
+			echo '<td><code>' . esc_html( home_url( $prefix . '/' . $row->hash ) ) . '</code></td>';
+			echo '<td>' . esc_html( $row->utm_source ?? '' ) . '</td>';
+			echo '<td>' . esc_html( $row->utm_medium ?? '' ) . '</td>';
+			echo '<td>' . esc_html( $row->utm_campaign ?? '' ) . '</td>';
+			foreach ( array_keys( $models ) as $model ) {
+				$value = esc_html( number_format_i18n( $row->conversions[ $model ], 1 ) );
+				echo '<td>' . ( $model === $selected ? "<strong>{$value}</strong>" : $value ) . '</td>';
+			}
+			echo '</tr>';
+		}
+
+		echo '</tbody></table>';
+
+		$back_url = add_query_arg( [
+			'date_start' => $params['date_start'],
+			'date_end'   => $params['date_end'],
+		], admin_url( 'tools.php?page=' . Plugin::get_slug() ) );
+
+		echo '<p><a href="' . esc_url( $back_url ) . '">' . esc_html__( '← Back to tracking URLs', 'kntnt-ad-attr' ) . '</a></p>';
+	}
+
 	/**
 	 * Renders the queue table section in the admin page.
 	 *
 	 * Displays a full WP_List_Table of pending and failed jobs with
-	 * row actions for running and deleting individual jobs.
+	 * row actions for running and deleting individual jobs, in a form
+	 * that filters the jobs by reporter, status and creation date.
 	 *
 	 * @return void
 	 * @since 1.8.0
+	 * @since 1.9.0 Added the filters.
 	 */
 	private function render_queue_table(): void {
 		echo '<div class="kntnt-ad-attr-queue-status" style="margin-top:2em;padding-top:1.5em;border-top:1px solid #c3c4c7">';
@@ -367,67 +625,102 @@ final class Admin_Page {
 			. esc_html__( 'Conversions waiting to be reported to external platforms. Failed jobs are retried automatically.', 'kntnt-ad-attr' )
 			. '</p>';
 
+		// Filter form — updated in place by js/admin.js, which also polls the job status.
+		echo '<form method="get" id="kntnt-ad-attr-queue" class="kntnt-ad-attr-queue">';
+		echo '<input type="hidden" name="page" value="' . esc_attr( Plugin::get_slug() ) . '">';
+
 		$table = new Queue_List_Table( $this->queue );
 		$table->prepare_items();
 		$table->display();
 
+		echo '</form>';
 		echo '</div>';
 	}
 
 	/**
-	 * Renders the add form for a tracking URL.
+	 * Renders the add or edit form for a tracking URL.
+	 *
+	 * UTM source and medium are text inputs suggesting the predefined
+	 * options. Campaign remains a plain text input. The edit form is
+	 * prefilled with the current values, keeps the hash, and is followed by
+	 * the change history of the tracking URL.
 	 *
-	 * UTM source and medium are rendered as Select2 tag dropdowns with
-	 * predefined options. Campaign remains a text input.
+	 * @param int|null $post_id ID of the tracking URL to edit, or null to add one.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the `$post_id` parameter for the edit form.
 	 */
-	private function render_form(): void {
+	private function render_form( ?int $post_id = null ): void {
 		$options = Utm_Options::get_options();
+		$values  = array_fill_keys( Tracking_Url_History::FIELDS, '' );
 
-		echo '<h2>' . esc_html__( 'Add New Tracking URL', 'kntnt-ad-attr' ) . '</h2>';
+		if ( $post_id !== null ) {
+			$post = $post_id > 0 ? get_post( $post_id ) : null;
+			if ( ! $post || $post->post_type !== Post_Type::SLUG || $post->post_status !== 'publish' ) {
+				echo '<div class="notice notice-error"><p>' . esc_html__( 'The tracking URL does not exist or is in the trash.', 'kntnt-ad-attr' ) . '</p></div>';
+				return;
+			}
+
+			foreach ( Tracking_Url_History::FIELDS as $field ) {
+				$values[ $field ] = (string) get_post_meta( $post_id, '_' . $field, true );
+			}
+
+			echo '<h2>' . esc_html__( 'Edit Tracking URL', 'kntnt-ad-attr' ) . '</h2>';
+		} else {
+			echo '<h2>' . esc_html__( 'Add New Tracking URL', 'kntnt-ad-attr' ) . '</h2>';
+		}
 
 		echo '<form method="post" class="kntnt-ad-attr-form">';
 
-		wp_nonce_field( 'kntnt_ad_attr_save_url', 'kntnt_ad_attr_nonce' );
-		echo '<input type="hidden" name="kntnt_ad_attr_action" value="save_url">';
+		if ( $post_id !== null ) {
+			wp_nonce_field( 'kntnt_ad_attr_update_url_' . $post_id, 'kntnt_ad_attr_nonce' );
+			echo '<input type="hidden" name="kntnt_ad_attr_action" value="update_url">';
+			echo '<input type="hidden" name="kntnt_ad_attr_post_id" value="' . esc_attr( (string) $post_id ) . '">';
+		} else {
+			wp_nonce_field( 'kntnt_ad_attr_save_url', 'kntnt_ad_attr_nonce' );
+			echo '<input type="hidden" name="kntnt_ad_attr_action" value="save_url">';
+		}
 
 		echo '<table class="form-table">';
 
-		// Target post — select2-driven.
+		// Tracking URL — fixed, since ads already link to it.
+		if ( $post_id !== null ) {
+			$hash = (string) get_post_meta( $post_id, '_hash', true );
+			echo '<tr>';
+			echo '<th scope="row">' . esc_html__( 'Tracking URL', 'kntnt-ad-attr' ) . '</th>';
+			echo '<td><code>' . esc_html( home_url( Plugin::get_url_prefix() . '/' . $hash ) ) . '</code>';
+			echo '<p class="description">' . esc_html__( 'The tracking URL stays the same, so ads linking to it need no changes.', 'kntnt-ad-attr' ) . '</p>';
+			echo '</td></tr>';
+		}
+
+		// Target post — replaced by the search combobox of js/admin.js; the current target is preselected.
 		echo '<tr>';
 		echo '<th scope="row"><label for="kntnt-ad-attr-target-post">'
 			. esc_html__( 'Target Page', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
 		echo '<td>';
 		echo '<select id="kntnt-ad-attr-target-post" name="kntnt_ad_attr_target_post_id" style="min-width:400px">';
+		if ( $values['target_post_id'] !== '' ) {
+			echo '<option value="' . esc_attr( $values['target_post_id'] ) . '" selected>'
+				. esc_html( $this->describe_target( (int) $values['target_post_id'] ) ) . '</option>';
+		}
 		echo '</select>';
 		echo '</td></tr>';
 
-		// Source — select with predefined options (required).
+		// Source — text input suggesting the predefined options (required).
 		echo '<tr>';
 		echo '<th scope="row"><label for="kntnt-ad-attr-utm_source">'
 			. esc_html__( 'Source', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
 		echo '<td>';
-		echo '<select id="kntnt-ad-attr-utm_source" name="kntnt_ad_attr_utm_source" class="kntnt-ad-attr-select2-tags" required>';
-		echo '<option value="">' . esc_html__( '— Select or type —', 'kntnt-ad-attr' ) . '</option>';
-		foreach ( array_keys( $options['sources'] ) as $source ) {
-			echo '<option value="' . esc_attr( $source ) . '">' . esc_html( $source ) . '</option>';
-		}
-		echo '</select>';
+		$this->render_tag_input( 'utm_source', array_keys( $options['sources'] ), $values['utm_source'] );
 		echo '</td></tr>';
 
-		// Medium — select with predefined options (required).
+		// Medium — text input suggesting the predefined options (required).
 		echo '<tr>';
 		echo '<th scope="row"><label for="kntnt-ad-attr-utm_medium">'
 			. esc_html__( 'Medium', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
 		echo '<td>';
-		echo '<select id="kntnt-ad-attr-utm_medium" name="kntnt_ad_attr_utm_medium" class="kntnt-ad-attr-select2-tags" required>';
-		echo '<option value="">' . esc_html__( '— Select or type —', 'kntnt-ad-attr' ) . '</option>';
-		foreach ( $options['mediums'] as $medium ) {
-			echo '<option value="' . esc_attr( $medium ) . '">' . esc_html( $medium ) . '</option>';
-		}
-		echo '</select>';
+		$this->render_tag_input( 'utm_medium', $options['mediums'], $values['utm_medium'] );
 		echo '</td></tr>';
 
 		// Campaign — plain text input (required).
@@ -436,15 +729,189 @@ final class Admin_Page {
 			. esc_html__( 'Campaign', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
 		echo '<td><input type="text" id="kntnt-ad-attr-utm_campaign"'
 			. ' name="kntnt_ad_attr_utm_campaign"'
-			. ' value=""'
+			. ' value="' . esc_attr( $values['utm_campaign'] ) . '"'
 			. ' class="regular-text" required></td>';
 		echo '</tr>';
 
 		echo '</table>';
 
-		submit_button( __( 'Create Tracking URL', 'kntnt-ad-attr' ) );
+		submit_button( $post_id !== null ? __( 'Update Tracking URL', 'kntnt-ad-attr' ) : __( 'Create Tracking URL', 'kntnt-ad-attr' ) );
+
+		echo '</form>';
+
+		if ( $post_id !== null ) {
+			$this->render_history( $post_id );
+		}
+	}
+
+	/**
+	 * Renders a required UTM text input with a datalist of predefined options.
+	 *
+	 * The browser suggests the options while any other value can still be
+	 * typed, without scripts or third-party assets.
+	 *
+	 * @param string   $field   UTM field name, e.g. `utm_source`.
+	 * @param string[] $choices Predefined options.
+	 * @param string   $value   Current value, or an empty string.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_tag_input( string $field, array $choices, string $value ): void {
+		$id = 'kntnt-ad-attr-' . $field;
+
+		echo '<input type="text" id="' . esc_attr( $id ) . '" name="kntnt_ad_attr_' . esc_attr( $field ) . '"'
+			. ' list="' . esc_attr( $id ) . '-options" value="' . esc_attr( $value ) . '"'
+			. ' placeholder="' . esc_attr__( '— Select or type —', 'kntnt-ad-attr' ) . '"'
+			. ' class="regular-text kntnt-ad-attr-utm-tags" autocomplete="off" required>';
+
+		echo '<datalist id="' . esc_attr( $id ) . '-options">';
+		foreach ( $choices as $choice ) {
+			echo '<option value="' . esc_attr( $choice ) . '"></option>';
+		}
+		echo '</datalist>';
+	}
+
+	/**
+	 * Renders the change history of a tracking URL, newest change first.
+	 *
+	 * @param int $post_id ID of the tracking URL post.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_history( int $post_id ): void {
+		echo '<h3>' . esc_html__( 'Change History', 'kntnt-ad-attr' ) . '</h3>';
+
+		$entries = $this->tracking_url_history->get_entries( $post_id );
+		if ( ! $entries ) {
+			echo '<p>' . esc_html__( 'The tracking URL has not been changed since it was created.', 'kntnt-ad-attr' ) . '</p>';
+			return;
+		}
+
+		$labels = [
+			'target_post_id' => __( 'Target Page', 'kntnt-ad-attr' ),
+			'utm_source'     => __( 'Source', 'kntnt-ad-attr' ),
+			'utm_medium'     => __( 'Medium', 'kntnt-ad-attr' ),
+			'utm_campaign'   => __( 'Campaign', 'kntnt-ad-attr' ),
+		];
+
+		echo '<table class="widefat striped kntnt-ad-attr-history">';
+		echo '<thead><tr>';
+		echo '<th scope="col">' . esc_html__( 'Changed', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'User', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'Field', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'From', 'kntnt-ad-attr' ) . '</th>';
+		echo '<th scope="col">' . esc_html__( 'To', 'kntnt-ad-attr' ) . '</th>';
+		echo '</tr></thead><tbody>';
+
+		foreach ( $entries as $entry ) {
+			$user = get_userdata( (int) ( $entry['user_id'] ?? 0 ) );
+			$time = get_date_from_gmt( $entry['time'], 'Y-m-d H:i' );
+			$name = $user ? $user->display_name : __( '(unknown user)', 'kntnt-ad-attr' );
+
+			foreach ( $entry['changes'] as $field => $change ) {
+				if ( $field === 'target_post_id' ) {
+					$from = $this->describe_target( (int) $change['from'] );
+					$to   = $this->describe_target( (int) $change['to'] );
+				} else {
+					$from = $change['from'];
+					$to   = $change['to'];
+				}
+
+				echo '<tr>';
+				echo '<td>' . esc_html( $time ) . '</td>';
+				echo '<td>' . esc_html( $name ) . '</td>';
+				echo '<td>' . esc_html( $labels[ $field ] ?? $field ) . '</td>';
+				echo '<td>' . esc_html( $from ) . '</td>';
+				echo '<td>' . esc_html( $to ) . '</td>';
+				echo '</tr>';
+			}
+		}
+
+		echo '</tbody></table>';
+	}
+
+	/**
+	 * Describes a target page the way the page selector does.
+	 *
+	 * @param int $post_id ID of the target page.
+	 *
+	 * @return string Title, post type and ID, or "(deleted)" with the ID.
+	 * @since 1.9.0
+	 */
+	private function describe_target( int $post_id ): string {
+		$post = $post_id > 0 ? get_post( $post_id ) : null;
+		if ( ! $post ) {
+			/* translators: %d: Post ID. */
+			return sprintf( __( '(deleted) #%d', 'kntnt-ad-attr' ), $post_id );
+		}
+
+		return sprintf( '%s (%s #%d)', $post->post_title, $post->post_type, $post->ID );
+	}
+
+	/**
+	 * Renders the bulk creation view.
+	 *
+	 * One form combines a target page with one source, medium and campaign
+	 * per line; the other imports a CSV file. Either is previewed by
+	 * js/admin.js with the validation errors of each row before the
+	 * tracking URLs are created through the bulk-create REST route.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_bulk_form(): void {
+		echo '<h2>' . esc_html__( 'Create Tracking URLs in Bulk', 'kntnt-ad-attr' ) . '</h2>';
+
+		echo '<p class="hide-if-js">' . esc_html__( 'Bulk creation requires JavaScript.', 'kntnt-ad-attr' ) . '</p>';
+
+		echo '<div id="kntnt-ad-attr-bulk" class="kntnt-ad-attr-bulk hide-if-no-js">';
+
+		// Target page × combinations.
+		echo '<form class="kntnt-ad-attr-form kntnt-ad-attr-bulk-combinations">';
+		echo '<h3>' . esc_html__( 'Combinations', 'kntnt-ad-attr' ) . '</h3>';
+		echo '<table class="form-table">';
+
+		echo '<tr>';
+		echo '<th scope="row"><label for="kntnt-ad-attr-target-post">'
+			. esc_html__( 'Target Page', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
+		echo '<td>';
+		echo '<select id="kntnt-ad-attr-target-post" name="target" style="min-width:400px">';
+		echo '</select>';
+		echo '</td></tr>';
 
+		echo '<tr>';
+		echo '<th scope="row"><label for="kntnt-ad-attr-combinations">'
+			. esc_html__( 'Source, Medium, Campaign', 'kntnt-ad-attr' ) . ' <span class="required">*</span></label></th>';
+		echo '<td>';
+		echo '<textarea id="kntnt-ad-attr-combinations" name="combinations" rows="10" class="large-text code"'
+			. ' placeholder="' . esc_attr( "google, cpc, spring-sale
+facebook, paid-social, spring-sale" ) . '"'
+			. ' aria-describedby="kntnt-ad-attr-combinations-description"></textarea>';
+		echo '<p class="description" id="kntnt-ad-attr-combinations-description">'
+			. esc_html__( 'One tracking URL per line, with source, medium and campaign separated by commas.', 'kntnt-ad-attr' )
+			. '</p>';
+		echo '</td></tr>';
+
+		echo '</table>';
+		echo '<p><button type="submit" class="button">' . esc_html__( 'Preview', 'kntnt-ad-attr' ) . '</button></p>';
 		echo '</form>';
+
+		// CSV import.
+		echo '<form class="kntnt-ad-attr-form kntnt-ad-attr-bulk-import">';
+		echo '<h3>' . esc_html__( 'Import CSV', 'kntnt-ad-attr' ) . '</h3>';
+		echo '<p class="description" id="kntnt-ad-attr-import-description">'
+			. esc_html__( 'The first row names the columns target, utm_source, utm_medium and utm_campaign. The target is the ID or URL of a published page or post.', 'kntnt-ad-attr' )
+			. '</p>';
+		echo '<p><input type="file" name="file" accept=".csv,text/csv" aria-describedby="kntnt-ad-attr-import-description"> ';
+		echo '<button type="submit" class="button">' . esc_html__( 'Preview', 'kntnt-ad-attr' ) . '</button></p>';
+		echo '</form>';
+
+		// Filled by js/admin.js with the preview and the result.
+		echo '<div class="kntnt-ad-attr-bulk-preview" aria-live="polite"></div>';
+
+		echo '</div>';
 	}
 
 	/**
@@ -458,6 +925,8 @@ final class Admin_Page {
 
 		$notices = [
 			'created'        => [ 'success', __( 'Tracking URL created.', 'kntnt-ad-attr' ) ],
+			'updated'        => [ 'success', __( 'Tracking URL updated.', 'kntnt-ad-attr' ) ],
+			'unchanged'      => [ 'info', __( 'There were no changes to save.', 'kntnt-ad-attr' ) ],
 			'trashed'        => [ 'success', __( 'Tracking URL moved to Trash.', 'kntnt-ad-attr' ) ],
 			'restored'       => [ 'success', __( 'Tracking URL restored.', 'kntnt-ad-attr' ) ],
 			'deleted'        => [ 'success', __( 'Tracking URL permanently deleted.', 'kntnt-ad-attr' ) ],
@@ -498,7 +967,8 @@ final class Admin_Page {
 	 * Routes incoming form submissions and actions to handlers.
 	 *
 	 * Called from the `load-` hook before output. POST with
-	 * `kntnt_ad_attr_action=save_url` triggers save_url(). GET with
+	 * `kntnt_ad_attr_action=save_url` triggers save_url(), and with
+	 * `kntnt_ad_attr_action=update_url` update_url(). GET with
 	 * `action=trash|restore|delete` triggers the corresponding handler.
 	 *
 	 * @return void
@@ -514,6 +984,11 @@ final class Admin_Page {
 				return;
 			}
 
+			if ( $action === 'update_url' ) {
+				$this->update_url();
+				return;
+			}
+
 			if ( $action === 'export_csv' ) {
 				$this->export_csv();
 				return;
@@ -595,11 +1070,12 @@ final class Admin_Page {
 	/**
 	 * Processes the save form submission (create only).
 	 *
-	 * Generates a unique hash via do-while loop, builds the tracking URL
-	 * from home_url(), creates the CPT post with meta, and redirects.
+	 * Validates the input, creates the tracking URL with
+	 * Tracking_Url_Creator, and redirects.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Delegates the creation to Tracking_Url_Creator.
 	 */
 	private function save_url(): void {
 
@@ -624,34 +1100,10 @@ final class Admin_Page {
 			wp_die( esc_html__( 'The selected target page does not exist or is not published.', 'kntnt-ad-attr' ) );
 		}
 
-		// Generate a unique hash.
-		do {
-			$hash = hash( 'sha256', random_bytes( 32 ) );
-		} while ( $this->hash_exists( $hash ) );
-
-		// Build the tracking URL.
-		$tracking_url = home_url( Plugin::get_url_prefix() . '/' . $hash );
-
-		// Create the CPT post.
-		$post_id = wp_insert_post( [
-			'post_type'   => Post_Type::SLUG,
-			'post_title'  => $tracking_url,
-			'post_status' => 'publish',
-		] );
-
-		if ( is_wp_error( $post_id ) ) {
+		if ( $this->tracking_url_creator->create( $target_post_id, $utm_source, $utm_medium, $utm_campaign ) === null ) {
 			wp_die( esc_html__( 'Failed to create tracking URL. Please try again.', 'kntnt-ad-attr' ) );
 		}
 
-		// Store meta fields (always-required fields first).
-		add_post_meta( $post_id, '_hash', $hash, true );
-		add_post_meta( $post_id, '_target_post_id', (string) $target_post_id, true );
-
-		// Store Source/Medium/Campaign unconditionally (all required).
-		add_post_meta( $post_id, '_utm_source', $utm_source, true );
-		add_post_meta( $post_id, '_utm_medium', $utm_medium, true );
-		add_post_meta( $post_id, '_utm_campaign', $utm_campaign, true );
-
 		// Redirect to the list view with a success message.
 		wp_safe_redirect( admin_url( sprintf(
 			'tools.php?page=%s&message=created',
@@ -660,6 +1112,61 @@ final class Admin_Page {
 		exit;
 	}
 
+	/**
+	 * Processes the edit form submission.
+	 *
+	 * Validates the input like save_url(), updates the tracking URL through
+	 * Tracking_Url_History so the change is recorded, and redirects back to
+	 * the edit form. The hash, and with it the tracking URL, is kept.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function update_url(): void {
+		$post_id = (int) ( $_POST['kntnt_ad_attr_post_id'] ?? 0 );
+
+		// Verify nonce and capability.
+		check_admin_referer( 'kntnt_ad_attr_update_url_' . $post_id, 'kntnt_ad_attr_nonce' );
+		Plugin::authorize();
+
+		$post = $post_id > 0 ? get_post( $post_id ) : null;
+		if ( ! $post || $post->post_type !== Post_Type::SLUG || $post->post_status !== 'publish' ) {
+			wp_die( esc_html__( 'The tracking URL does not exist or is in the trash.', 'kntnt-ad-attr' ) );
+		}
+
+		// Sanitize and truncate input.
+		$target_post_id = (int) ( $_POST['kntnt_ad_attr_target_post_id'] ?? 0 );
+		$utm_source     = mb_substr( sanitize_text_field( wp_unslash( $_POST['kntnt_ad_attr_utm_source'] ?? '' ) ), 0, 255 );
+		$utm_medium     = mb_substr( sanitize_text_field( wp_unslash( $_POST['kntnt_ad_attr_utm_medium'] ?? '' ) ), 0, 255 );
+		$utm_campaign   = mb_substr( sanitize_text_field( wp_unslash( $_POST['kntnt_ad_attr_utm_campaign'] ?? '' ) ), 0, 255 );
+
+		// Validate required fields: target page, source, medium, and campaign.
+		if ( $target_post_id <= 0 || $utm_source === '' || $utm_medium === '' || $utm_campaign === '' ) {
+			wp_die( esc_html__( 'Please fill in all required fields.', 'kntnt-ad-attr' ) );
+		}
+
+		// Validate that the target post exists and is published.
+		$target_post = get_post( $target_post_id );
+		if ( ! $target_post || $target_post->post_status !== 'publish' || $target_post->post_type === Post_Type::SLUG ) {
+			wp_die( esc_html__( 'The selected target page does not exist or is not published.', 'kntnt-ad-attr' ) );
+		}
+
+		$changes = $this->tracking_url_history->update( $post_id, [
+			'target_post_id' => (string) $target_post_id,
+			'utm_source'     => $utm_source,
+			'utm_medium'     => $utm_medium,
+			'utm_campaign'   => $utm_campaign,
+		] );
+
+		wp_safe_redirect( add_query_arg( [
+			'page'    => Plugin::get_slug(),
+			'action'  => 'edit',
+			'post'    => $post_id,
+			'message' => $changes ? 'updated' : 'unchanged',
+		], admin_url( 'tools.php' ) ) );
+		exit;
+	}
+
 	/**
 	 * Processes the trash action for a tracking URL.
 	 *
@@ -753,6 +1260,10 @@ final class Admin_Page {
 			// Delete the click records.
 			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 			$wpdb->delete( $clicks_table, [ 'hash' => $hash ], [ '%s' ] );
+
+			// Delete the hash's touchpoints kept for the model comparison.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->delete( $wpdb->prefix . 'kntnt_ad_attr_touchpoints', [ 'hash' => $hash ], [ '%s' ] );
 		}
 
 		wp_delete_post( $post_id, true );
@@ -844,26 +1355,4 @@ final class Admin_Page {
 		$exporter->export( $items, $params['date_start'], $params['date_end'] );
 	}
 
-	/**
-	 * Checks if a hash already exists in the database.
-	 *
-	 * Used during hash generation to ensure uniqueness.
-	 *
-	 * @param string $hash The SHA-256 hash to check.
-	 *
-	 * @return bool True if the hash already exists.
-	 * @since 1.0.0
-	 */
-	private function hash_exists( string $hash ): bool {
-		global $wpdb;
-
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$count = (int) $wpdb->get_var( $wpdb->prepare(
-			"SELECT COUNT(*) FROM {$wpdb->postmeta} WHERE meta_key = '_hash' AND meta_value = %s",
-			$hash,
-		) );
-
-		return $count > 0;
-	}
-
 }
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Side-by-side comparison of the bundled attribution models.
+ *
+ * Records every click a conversion could be attributed to, then replays the
+ * recorded conversions through each bundled model to show how conversions
+ * per tracking URL would shift between models over a date range.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Manages the kntnt_ad_attr_touchpoints table and the model comparison.
+ *
+ * The conversions table only holds the clicks that received credit, so it
+ * can't tell how another model would have distributed it. The touchpoints
+ * table keeps all candidate clicks of each conversion for that purpose.
+ *
+ * @since 1.9.0
+ */
+final class Attribution_Comparison {
+
+	/**
+	 * Attribution models to replay the conversions through.
+	 *
+	 * @var Attribution_Models
+	 * @since 1.9.0
+	 */
+	private readonly Attribution_Models $attribution_models;
+
+	/**
+	 * Initializes the comparison with the attribution models.
+	 *
+	 * @param Attribution_Models $attribution_models Bundled attribution models.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Attribution_Models $attribution_models ) {
+		$this->attribution_models = $attribution_models;
+	}
+
+	/**
+	 * Registers the touchpoint recorder.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		add_action( 'kntnt_ad_attr_conversion_recorded', [ $this, 'record_touchpoints' ], 10, 2 );
+	}
+
+	/**
+	 * Stores the candidate clicks of a recorded conversion.
+	 *
+	 * @param array<string, float> $attributions Hash => fractional value (unused).
+	 * @param array                $context      Recorded hook context with the `clicks` key.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function record_touchpoints( array $attributions, array $context ): void {
+		global $wpdb;
+
+		$clicks = $context['clicks'] ?? [];
+		if ( empty( $clicks ) ) {
+			return;
+		}
+
+		$table          = $wpdb->prefix . 'kntnt_ad_attr_touchpoints';
+		$conversion_key = bin2hex( random_bytes( 16 ) );
+		$converted_at   = gmdate( 'Y-m-d H:i:s' );
+
+		$placeholders = [];
+		$values       = [];
+		foreach ( $clicks as $click ) {
+			$placeholders[] = '(%s, %s, %s, %s)';
+			array_push( $values, $conversion_key, $click['hash'], gmdate( 'Y-m-d H:i:s', (int) $click['clicked_at'] ), $converted_at );
+		}
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$wpdb->query( $wpdb->prepare(
+			"INSERT IGNORE INTO {$table} (conversion_key, hash, clicked_at, converted_at)
+			 VALUES " . implode( ', ', $placeholders ),
+			...$values,
+		) );
+	}
+
+	/**
+	 * Returns conversions per tracking URL under each bundled model.
+	 *
+	 * Only conversions recorded since the touchpoints table was introduced
+	 * (version 1.9.0) are included. Tracking URLs that are no longer
+	 * published are left out, but still take part in the attribution.
+	 *
+	 * @param string $date_start First conversion date (Y-m-d), inclusive.
+	 * @param string $date_end   Last conversion date (Y-m-d), inclusive.
+	 *
+	 * @return array<int, object> Rows with hash, post_id, utm_source, utm_medium,
+	 *                            utm_campaign and conversions (model ID => float),
+	 *                            sorted by conversions under the selected model.
+	 * @since 1.9.0
+	 */
+	public function get_rows( string $date_start, string $date_end ): array {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_touchpoints';
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$touchpoints = $wpdb->get_results( $wpdb->prepare(
+			"SELECT conversion_key, hash, clicked_at, converted_at
+			 FROM {$table}
+			 WHERE converted_at BETWEEN %s AND %s
+			 ORDER BY conversion_key",
+			$date_start . ' 00:00:00',
+			$date_end . ' 23:59:59',
+		) );
+
+		// Group the candidate clicks by conversion.
+		$conversions = [];
+		foreach ( $touchpoints ?: [] as $touchpoint ) {
+			$conversions[ $touchpoint->conversion_key ]['converted_at'] = strtotime( $touchpoint->converted_at . ' UTC' );
+			$conversions[ $touchpoint->conversion_key ]['clicks'][]     = [
+				'hash'       => $touchpoint->hash,
+				'clicked_at' => strtotime( $touchpoint->clicked_at . ' UTC' ),
+			];
+		}
+
+		// Replay every conversion through every model.
+		$models = array_keys( Attribution_Models::get_labels() );
+		$totals = [];
+		foreach ( $conversions as $conversion ) {
+			foreach ( $models as $model ) {
+				$weights = $this->attribution_models->get_weights( $conversion['clicks'], $model, $conversion['converted_at'] );
+				foreach ( $weights as $hash => $weight ) {
+					$totals[ $hash ] ??= array_fill_keys( $models, 0.0 );
+					$totals[ $hash ][ $model ] += $weight;
+				}
+			}
+		}
+
+		if ( empty( $totals ) ) {
+			return [];
+		}
+
+		$rows = [];
+		foreach ( $this->get_tracking_urls( array_keys( $totals ) ) as $row ) {
+			$row->conversions = $totals[ $row->hash ];
+			$rows[]           = $row;
+		}
+
+		$selected = $this->attribution_models->get_model();
+		usort( $rows, fn( $a, $b ) => $b->conversions[ $selected ] <=> $a->conversions[ $selected ] );
+
+		return $rows;
+	}
+
+	/**
+	 * Returns the model selected in the settings.
+	 *
+	 * @return string Model ID.
+	 * @since 1.9.0
+	 */
+	public function get_selected_model(): string {
+		return $this->attribution_models->get_model();
+	}
+
+	/**
+	 * Looks up the published tracking URLs and their UTM parameters for hashes.
+	 *
+	 * @param string[] $hashes SHA-256 hashes.
+	 *
+	 * @return array<int, object> Rows with hash, post_id, utm_source, utm_medium and utm_campaign.
+	 * @since 1.9.0
+	 */
+	private function get_tracking_urls( array $hashes ): array {
+		global $wpdb;
+
+		$placeholders = implode( ',', array_fill( 0, count( $hashes ), '%s' ) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT pm_hash.meta_value AS hash,
+				p.ID AS post_id,
+				pm_src.meta_value AS utm_source,
+				pm_med.meta_value AS utm_medium,
+				pm_camp.meta_value AS utm_campaign
+			 FROM {$wpdb->posts} p
+			 INNER JOIN {$wpdb->postmeta} pm_hash
+				ON pm_hash.post_id = p.ID AND pm_hash.meta_key = '_hash'
+			 LEFT JOIN {$wpdb->postmeta} pm_src
+				ON pm_src.post_id = p.ID AND pm_src.meta_key = '_utm_source'
+			 LEFT JOIN {$wpdb->postmeta} pm_med
+				ON pm_med.post_id = p.ID AND pm_med.meta_key = '_utm_medium'
+			 LEFT JOIN {$wpdb->postmeta} pm_camp
+				ON pm_camp.post_id = p.ID AND pm_camp.meta_key = '_utm_campaign'
+			 WHERE pm_hash.meta_value IN ({$placeholders})
+			   AND p.post_type = %s
+			   AND p.post_status = 'publish'",
+			...array_merge( $hashes, [ Post_Type::SLUG ] ),
+		) );
+
+		return $rows ?: [];
+	}
+
+}
@@ -0,0 +1,190 @@
+<?php
+/**
+ * Bundled attribution models.
+ *
+ * Distributes the credit for a conversion over the clicks that preceded it:
+ * last click, first click, linear, time decay, and position-based (40/20/40).
+ * The model selected on the settings page provides the default weights that
+ * the `kntnt_ad_attr_attribution` filter receives.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Computes attribution weights for a set of clicks.
+ *
+ * @since 1.9.0
+ */
+final class Attribution_Models {
+
+	/**
+	 * Full credit to the most recent click.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const LAST_CLICK = 'last_click';
+
+	/**
+	 * Full credit to the earliest click.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const FIRST_CLICK = 'first_click';
+
+	/**
+	 * Equal credit to every click.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const LINEAR = 'linear';
+
+	/**
+	 * Credit halved for every half-life between click and conversion.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const TIME_DECAY = 'time_decay';
+
+	/**
+	 * 40 % to the first and last click, 20 % shared by the clicks between.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const POSITION_BASED = 'position_based';
+
+	/**
+	 * Settings instance for the selected model and time-decay half-life.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Initializes the models with their settings.
+	 *
+	 * @param Settings $settings Plugin settings.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings ) {
+		$this->settings = $settings;
+	}
+
+	/**
+	 * Returns the bundled models keyed by ID.
+	 *
+	 * @return array<string, string> Model ID => label.
+	 * @since 1.9.0
+	 */
+	public static function get_labels(): array {
+		return [
+			self::LAST_CLICK     => __( 'Last click', 'kntnt-ad-attr' ),
+			self::FIRST_CLICK    => __( 'First click', 'kntnt-ad-attr' ),
+			self::LINEAR         => __( 'Linear', 'kntnt-ad-attr' ),
+			self::TIME_DECAY     => __( 'Time decay', 'kntnt-ad-attr' ),
+			self::POSITION_BASED => __( 'Position-based (40/20/40)', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Returns the model selected in the settings.
+	 *
+	 * Falls back to last click if the saved or filtered value is unknown.
+	 *
+	 * @return string Model ID.
+	 * @since 1.9.0
+	 */
+	public function get_model(): string {
+		$model = (string) $this->settings->get( 'attribution_model' );
+		return array_key_exists( $model, self::get_labels() ) ? $model : self::LAST_CLICK;
+	}
+
+	/**
+	 * Computes the attribution weights for a conversion.
+	 *
+	 * The weights sum to 1.0. Clicks sharing a timestamp keep their relative
+	 * order, so last click credits the first of several simultaneous latest
+	 * clicks, as it always has.
+	 *
+	 * @param array<int, array{hash: string, clicked_at: int}> $clicks       Clicks with Unix timestamps.
+	 * @param string|null                                       $model        Model ID, or null for the selected model.
+	 * @param int|null                                          $converted_at Unix time of the conversion, or null for now.
+	 *
+	 * @return array<string, float> Hash => fractional value.
+	 * @since 1.9.0
+	 */
+	public function get_weights( array $clicks, ?string $model = null, ?int $converted_at = null ): array {
+		if ( empty( $clicks ) ) {
+			return [];
+		}
+
+		$model ??= $this->get_model();
+		$weights = array_fill_keys( array_column( $clicks, 'hash' ), 0.0 );
+
+		// Chronological order; usort() is stable, so ties keep their order.
+		usort( $clicks, fn( $a, $b ) => $a['clicked_at'] <=> $b['clicked_at'] );
+		$count = count( $clicks );
+
+		switch ( $model ) {
+
+			case self::FIRST_CLICK:
+				$weights[ $clicks[0]['hash'] ] = 1.0;
+				break;
+
+			case self::LINEAR:
+				foreach ( $clicks as $click ) {
+					$weights[ $click['hash'] ] = 1.0 / $count;
+				}
+				break;
+
+			case self::TIME_DECAY:
+				$converted_at ??= time();
+				$half_life      = max( 1, (int) $this->settings->get( 'time_decay_half_life' ) ) * DAY_IN_SECONDS;
+				foreach ( $clicks as $click ) {
+					$age                       = max( 0, $converted_at - $click['clicked_at'] );
+					$weights[ $click['hash'] ] = 2 ** ( -$age / $half_life );
+				}
+				$sum     = array_sum( $weights );
+				$weights = array_map( fn( $weight ) => $weight / $sum, $weights );
+				break;
+
+			case self::POSITION_BASED:
+				if ( $count <= 2 ) {
+					foreach ( $clicks as $click ) {
+						$weights[ $click['hash'] ] = 1.0 / $count;
+					}
+					break;
+				}
+				foreach ( array_slice( $clicks, 1, -1 ) as $click ) {
+					$weights[ $click['hash'] ] = 0.2 / ( $count - 2 );
+				}
+				$weights[ $clicks[0]['hash'] ]            = 0.4;
+				$weights[ $clicks[ $count - 1 ]['hash'] ] = 0.4;
+				break;
+
+			default:
+				$latest = max( array_column( $clicks, 'clicked_at' ) );
+				foreach ( $clicks as $click ) {
+					if ( $click['clicked_at'] === $latest ) {
+						$weights[ $click['hash'] ] = 1.0;
+						break;
+					}
+				}
+
+		}
+
+		return $weights;
+	}
+
+}
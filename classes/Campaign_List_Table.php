@@ -21,6 +21,14 @@ if ( ! class_exists( 'WP_List_Table' ) ) {
 	require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
 }
 
+// The campaigns REST route renders the list outside wp-admin, where the
+// screen API the base class relies on isn't loaded.
+if ( ! class_exists( 'WP_Screen' ) ) {
+	require_once ABSPATH . 'wp-admin/includes/class-wp-screen.php';
+	require_once ABSPATH . 'wp-admin/includes/screen.php';
+	require_once ABSPATH . 'wp-admin/includes/template.php';
+}
+
 /**
  * Custom list table for campaign statistics.
  *
@@ -39,6 +47,14 @@ final class Campaign_List_Table extends WP_List_Table {
 	 */
 	public const PER_PAGE_OPTION = 'kntnt_ad_attr_campaigns_per_page';
 
+	/**
+	 * Query string keys that make up a view of the list.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	private const VIEW_ARGS = [ 'date_start', 'date_end', 'utm_source', 'utm_medium', 'utm_campaign', 'click_id_platform', 's', 'compare', 'suspected', 'orderby', 'order', 'paged' ];
+
 	/**
 	 * Cached totals for the current filter set.
 	 *
@@ -47,17 +63,40 @@ final class Campaign_List_Table extends WP_List_Table {
 	 */
 	private ?object $totals = null;
 
+	/**
+	 * Change history of the tracking URLs, for target page changes.
+	 *
+	 * @var Tracking_Url_History
+	 * @since 1.9.0
+	 */
+	private readonly Tracking_Url_History $history;
+
+	/**
+	 * Click-ID store, for the platforms to filter by.
+	 *
+	 * @var Click_ID_Store
+	 * @since 1.9.0
+	 */
+	private readonly Click_ID_Store $click_id_store;
+
 	/**
 	 * Constructor.
 	 *
+	 * @param string|null $screen Screen ID, for use outside the admin page.
+	 *                            Defaults to the current screen.
+	 *
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the `$screen` parameter.
 	 */
-	public function __construct() {
+	public function __construct( ?string $screen = null ) {
 		parent::__construct( [
 			'singular' => 'tracking-url',
 			'plural'   => 'tracking-urls',
 			'ajax'     => false,
+			'screen'   => $screen,
 		] );
+		$this->history        = new Tracking_Url_History();
+		$this->click_id_store = new Click_ID_Store();
 	}
 
 	/**
@@ -77,8 +116,10 @@ final class Campaign_List_Table extends WP_List_Table {
 			'utm_source'        => __( 'Source', 'kntnt-ad-attr' ),
 			'utm_medium'        => __( 'Medium', 'kntnt-ad-attr' ),
 			'utm_campaign'      => __( 'Campaign', 'kntnt-ad-attr' ),
+			'click_ids'         => __( 'Click IDs', 'kntnt-ad-attr' ),
 			'total_clicks'      => __( 'Clicks', 'kntnt-ad-attr' ),
 			'total_conversions' => __( 'Conversions', 'kntnt-ad-attr' ),
+			'attributed_value'  => __( 'Attributed Value', 'kntnt-ad-attr' ),
 		];
 	}
 
@@ -92,6 +133,7 @@ final class Campaign_List_Table extends WP_List_Table {
 		return [
 			'total_clicks'      => [ 'total_clicks', true ],
 			'total_conversions' => [ 'total_conversions', true ],
+			'attributed_value'  => [ 'attributed_value', true ],
 			'utm_source'        => [ 'utm_source', false ],
 			'utm_medium'        => [ 'utm_medium', false ],
 			'utm_campaign'      => [ 'utm_campaign', false ],
@@ -188,13 +230,16 @@ final class Campaign_List_Table extends WP_List_Table {
 	/**
 	 * Renders the tracking URL column with click-to-copy and row actions.
 	 *
-	 * Shows Trash action for published URLs and Restore/Delete Permanently
-	 * actions for trashed URLs.
+	 * Shows Breakdown and Trash actions for published URLs and
+	 * Restore/Delete Permanently actions for trashed URLs. Edit opens the
+	 * edit form; Breakdown and QR Code expand the row in place (see
+	 * js/admin.js).
 	 *
 	 * @param object $item The current row data.
 	 *
 	 * @return string HTML for the column.
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the Edit, Breakdown and QR Code actions.
 	 */
 	protected function column_tracking_url( object $item ): string {
 		$tracking_url = home_url( Plugin::get_url_prefix() . '/' . $item->hash );
@@ -238,8 +283,26 @@ final class Campaign_List_Table extends WP_List_Table {
 				'trash_kntnt_ad_attr_url_' . $item->post_id,
 			);
 
+			$edit_url = admin_url( sprintf(
+				'tools.php?page=%s&action=edit&post=%d',
+				Plugin::get_slug(),
+				$item->post_id,
+			) );
+
 			$actions = [
-				'trash' => sprintf( '<a href="%s">%s</a>', esc_url( $trash_url ), esc_html__( 'Trash', 'kntnt-ad-attr' ) ),
+				'edit'      => sprintf( '<a href="%s">%s</a>', esc_url( $edit_url ), esc_html__( 'Edit', 'kntnt-ad-attr' ) ),
+				'breakdown' => sprintf(
+					'<button type="button" class="button-link kntnt-ad-attr-breakdown-toggle" aria-expanded="false" data-hash="%s">%s</button>',
+					esc_attr( $item->hash ),
+					esc_html__( 'Breakdown', 'kntnt-ad-attr' ),
+				),
+				'qr_code'   => sprintf(
+					'<button type="button" class="button-link kntnt-ad-attr-qr-toggle" aria-expanded="false" data-url="%s" data-hash="%s">%s</button>',
+					esc_attr( $tracking_url ),
+					esc_attr( $item->hash ),
+					esc_html__( 'QR Code', 'kntnt-ad-attr' ),
+				),
+				'trash'     => sprintf( '<a href="%s">%s</a>', esc_url( $trash_url ), esc_html__( 'Trash', 'kntnt-ad-attr' ) ),
 			];
 
 		}
@@ -251,19 +314,56 @@ final class Campaign_List_Table extends WP_List_Table {
 	 * Renders the target URL column.
 	 *
 	 * Resolves the post ID to a permalink. Shows "(deleted)" if the target
-	 * post no longer exists.
+	 * post no longer exists. If the target page was changed within the date
+	 * range, notes when, since the clicks then went to more than one page.
 	 *
 	 * @param object $item The current row data.
 	 *
 	 * @return string HTML for the column.
 	 * @since 1.0.0
+	 * @since 1.9.0 Notes target page changes within the date range.
 	 */
 	protected function column_target_url( object $item ): string {
-		$url = get_permalink( (int) $item->target_post_id );
-		if ( ! $url ) {
-			return '<em>' . esc_html__( '(deleted)', 'kntnt-ad-attr' ) . '</em>';
+		$url  = get_permalink( (int) $item->target_post_id );
+		$html = $url
+			? '<a href="' . esc_url( $url ) . '" target="_blank">' . esc_html( $url ) . '</a>'
+			: '<em>' . esc_html__( '(deleted)', 'kntnt-ad-attr' ) . '</em>';
+
+		if ( ! $this->is_trash_view() && isset( $item->post_id ) ) {
+			$params = $this->get_filter_params();
+			foreach ( $this->history->get_target_changes( (int) $item->post_id, $params['date_start'], $params['date_end'] ) as $change ) {
+				$html .= '<br><small class="kntnt-ad-attr-target-changed">' . esc_html( sprintf(
+					/* translators: %s: Date and time of the change. */
+					__( 'Target changed on %s', 'kntnt-ad-attr' ),
+					get_date_from_gmt( $change['time'], 'Y-m-d H:i' ),
+				) ) . '</small>';
+			}
 		}
-		return '<a href="' . esc_url( $url ) . '" target="_blank">' . esc_html( $url ) . '</a>';
+
+		return $html;
+	}
+
+	/**
+	 * Renders the click IDs column as the parameters of the stored click IDs.
+	 *
+	 * Click IDs of platforms registered by add-ons are shown by platform ID.
+	 *
+	 * @param object $item The current row data.
+	 *
+	 * @return string HTML for the column.
+	 * @since 1.9.0
+	 */
+	protected function column_click_ids( object $item ): string {
+		$platforms = array_filter( explode( ',', (string) ( $item->click_id_platforms ?? '' ) ) );
+
+		return implode( ', ', array_map(
+			fn( string $platform ) => sprintf(
+				'<abbr title="%s">%s</abbr>',
+				esc_attr( Click_ID_Capturers::get_label( $platform ) ),
+				esc_html( Click_ID_Capturers::PLATFORMS[ $platform ] ?? $platform ),
+			),
+			$platforms,
+		) );
 	}
 
 	/**
@@ -290,6 +390,48 @@ final class Campaign_List_Table extends WP_List_Table {
 		return esc_html( number_format_i18n( (float) $item->total_conversions, 1 ) );
 	}
 
+	/**
+	 * Renders the attributed value column.
+	 *
+	 * @param object $item The current row data.
+	 *
+	 * @return string HTML for the column.
+	 * @since 1.9.0
+	 */
+	protected function column_attributed_value( object $item ): string {
+		return esc_html( $this->format_value( $item ) );
+	}
+
+	/**
+	 * Formats an attributed value with its currency code.
+	 *
+	 * Values recorded in different currencies are summed as-is, since the
+	 * plugin does no exchange rate conversion; such sums are flagged instead
+	 * of being labelled with a single, misleading currency code.
+	 *
+	 * @param object $row Row with attributed_value, value_currencies and value_currency.
+	 *
+	 * @return string Formatted value, or an empty string if nothing has a value.
+	 * @since 1.9.0
+	 */
+	private function format_value( object $row ): string {
+		if ( $row->attributed_value === null ) {
+			return '';
+		}
+
+		$amount = number_format_i18n( (float) $row->attributed_value, 2 );
+
+		return match ( (int) ( $row->value_currencies ?? 0 ) ) {
+			0       => $amount,
+			1       => $amount . ' ' . $row->value_currency,
+			default => sprintf(
+				/* translators: %s: Sum of values recorded in different currencies. */
+				__( '%s (mixed currencies)', 'kntnt-ad-attr' ),
+				$amount,
+			),
+		};
+	}
+
 	/**
 	 * Default column renderer for UTM fields.
 	 *
@@ -344,7 +486,7 @@ final class Campaign_List_Table extends WP_List_Table {
 	}
 
 	/**
-	 * Builds UTM filter and search WHERE clauses from current filter params.
+	 * Builds UTM, click-ID and search WHERE clauses from current filter params.
 	 *
 	 * @param array $params Filter parameters from get_filter_params().
 	 *
@@ -367,6 +509,15 @@ final class Campaign_List_Table extends WP_List_Table {
 			}
 		}
 
+		// Click-ID filter — tracking URLs with a stored click ID of the platform.
+		if ( $params['click_id_platform'] !== '' ) {
+			$ids_table = $wpdb->prefix . 'kntnt_ad_attr_click_ids';
+			$clauses  .= $wpdb->prepare(
+				" AND EXISTS (SELECT 1 FROM {$ids_table} ci WHERE ci.hash = pm_hash.meta_value AND ci.platform = %s)",
+				$params['click_id_platform'],
+			);
+		}
+
 		// Free-text search — matches tracking URL (post_title) or hash.
 		if ( $params['search'] !== '' ) {
 			$like     = '%' . $wpdb->esc_like( $params['search'] ) . '%';
@@ -396,6 +547,8 @@ final class Campaign_List_Table extends WP_List_Table {
 
 		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
 		$conv_table   = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+		$params       = $this->get_filter_params();
+		$counted      = self::get_counted_conversion_condition( $params['suspected'] );
 
 		// Start FROM posts so zero-click tracking URLs are included.
 		$from_where = "FROM {$wpdb->posts} p
@@ -419,11 +572,9 @@ final class Campaign_List_Table extends WP_List_Table {
 			LEFT JOIN {$clicks_table} c
 				ON c.hash = pm_hash.meta_value AND c.clicked_at BETWEEN %s AND %s
 			LEFT JOIN {$conv_table} cv
-				ON cv.click_id = c.id
+				ON cv.click_id = c.id AND {$counted}
 			WHERE p.post_type = %s AND p.post_status = 'publish'";
 
-		$params = $this->get_filter_params();
-
 		$query_params = [
 			$params['date_start'] . ' 00:00:00',
 			$params['date_end'] . ' 23:59:59',
@@ -475,8 +626,9 @@ final class Campaign_List_Table extends WP_List_Table {
 	 *
 	 * @return array{start: string, end: string} ISO-8601 date strings.
 	 * @since 1.8.0
+	 * @since 1.9.0 Public and static, so the report route defaults to the same range.
 	 */
-	private function get_default_date_range(): array {
+	public static function get_default_date_range(): array {
 		$start_of_week  = (int) get_option( 'start_of_week', 0 );
 		$today_dow      = (int) gmdate( 'w' ); // 0=Sun … 6=Sat
 		$days_into_week = ( $today_dow - $start_of_week + 7 ) % 7;
@@ -493,14 +645,59 @@ final class Campaign_List_Table extends WP_List_Table {
 		return [ 'start' => $default_start, 'end' => $default_end ];
 	}
 
+	/**
+	 * Returns the SQL condition of clicks that are left out of click counts.
+	 *
+	 * Clicks the interstitial page's script never confirmed are always left
+	 * out; clicks suspected of click fraud are left out unless included.
+	 * Evaluates to NULL, which counts, for ordinary clicks.
+	 *
+	 * @param bool $include_suspected Whether to count flagged clicks and clicks confirmed as fraud.
+	 *
+	 * @return string Condition on the clicks table aliased `c`.
+	 * @since 1.9.0
+	 */
+	public static function get_uncounted_click_condition( bool $include_suspected = false ): string {
+		if ( $include_suspected ) {
+			return 'c.js_confirmed = 0';
+		}
+
+		$statuses = "'" . implode( "', '", Fraud_Detector::UNCOUNTED_STATUSES ) . "'";
+		return "(c.js_confirmed = 0 OR c.fraud_status IN ({$statuses}))";
+	}
+
+	/**
+	 * Returns the SQL condition of conversions that are counted.
+	 *
+	 * Conversions attributed to clicks suspected of click fraud are left out
+	 * with their clicks unless included, so the conversion rate of a tracking
+	 * URL compares counted clicks with their own conversions. Conversions of
+	 * unconfirmed interstitial clicks are counted, since a conversion shows
+	 * that a visitor was there.
+	 *
+	 * @param bool $include_suspected Whether to count conversions of flagged clicks and clicks confirmed as fraud.
+	 *
+	 * @return string Condition on the clicks table aliased `c`, for the join of the conversions table.
+	 * @since 1.9.0
+	 */
+	public static function get_counted_conversion_condition( bool $include_suspected = false ): string {
+		if ( $include_suspected ) {
+			return 'TRUE';
+		}
+
+		$statuses = "'" . implode( "', '", Fraud_Detector::UNCOUNTED_STATUSES ) . "'";
+		return "(c.fraud_status IS NULL OR c.fraud_status NOT IN ({$statuses}))";
+	}
+
 	/**
 	 * Returns sanitized filter parameters from the current request.
 	 *
 	 * Used internally and exposed publicly so Csv_Exporter can access
 	 * the same filter values.
 	 *
-	 * @return array{date_start: string, date_end: string, utm_source: string, utm_medium: string, utm_campaign: string, search: string}
+	 * @return array{date_start: string, date_end: string, utm_source: string, utm_medium: string, utm_campaign: string, click_id_platform: string, search: string, suspected: bool}
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the click-ID platform and the inclusion of suspected clicks.
 	 */
 	public function get_filter_params(): array {
 		$date_start = sanitize_text_field( wp_unslash( $_GET['date_start'] ?? '' ) );
@@ -512,18 +709,20 @@ final class Campaign_List_Table extends WP_List_Table {
 		$valid_end    = preg_match( $date_pattern, $date_end );
 
 		if ( ! $valid_start || ! $valid_end ) {
-			$defaults   = $this->get_default_date_range();
+			$defaults   = self::get_default_date_range();
 			$date_start = $valid_start ? $date_start : $defaults['start'];
 			$date_end   = $valid_end ? $date_end : $defaults['end'];
 		}
 
 		return [
-			'date_start'   => $date_start,
-			'date_end'     => $date_end,
-			'utm_source'   => sanitize_text_field( wp_unslash( $_GET['utm_source'] ?? '' ) ),
-			'utm_medium'   => sanitize_text_field( wp_unslash( $_GET['utm_medium'] ?? '' ) ),
-			'utm_campaign' => sanitize_text_field( wp_unslash( $_GET['utm_campaign'] ?? '' ) ),
-			'search'       => sanitize_text_field( wp_unslash( $_GET['s'] ?? '' ) ),
+			'date_start'        => $date_start,
+			'date_end'          => $date_end,
+			'utm_source'        => sanitize_text_field( wp_unslash( $_GET['utm_source'] ?? '' ) ),
+			'utm_medium'        => sanitize_text_field( wp_unslash( $_GET['utm_medium'] ?? '' ) ),
+			'utm_campaign'      => sanitize_text_field( wp_unslash( $_GET['utm_campaign'] ?? '' ) ),
+			'click_id_platform' => sanitize_text_field( wp_unslash( $_GET['click_id_platform'] ?? '' ) ),
+			'search'            => sanitize_text_field( wp_unslash( $_GET['s'] ?? '' ) ),
+			'suspected'         => ! empty( $_GET['suspected'] ),
 		];
 	}
 
@@ -541,6 +740,9 @@ final class Campaign_List_Table extends WP_List_Table {
 
 		[ $base_query, $params ] = $this->build_base_query();
 
+		$ids_table = $wpdb->prefix . 'kntnt_ad_attr_click_ids';
+		$uncounted = self::get_uncounted_click_condition( $this->get_filter_params()['suspected'] );
+
 		// Count total grouped rows for pagination.
 		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
 		$total_items = (int) $wpdb->get_var( $wpdb->prepare(
@@ -554,6 +756,7 @@ final class Campaign_List_Table extends WP_List_Table {
 		$allowed_orderby = [
 			'total_clicks'      => 'total_clicks',
 			'total_conversions' => 'total_conversions',
+			'attributed_value'  => 'attributed_value',
 			'utm_source'        => 'pm_src.meta_value',
 			'utm_medium'        => 'pm_med.meta_value',
 			'utm_campaign'      => 'pm_camp.meta_value',
@@ -575,8 +778,12 @@ final class Campaign_List_Table extends WP_List_Table {
 				pm_src.meta_value AS utm_source,
 				pm_med.meta_value AS utm_medium,
 				pm_camp.meta_value AS utm_campaign,
-				COUNT(c.id) AS total_clicks,
-				COALESCE(SUM(cv.fractional_conversion), 0) AS total_conversions
+				(SELECT GROUP_CONCAT(ci.platform ORDER BY ci.platform) FROM {$ids_table} ci WHERE ci.hash = pm_hash.meta_value) AS click_id_platforms,
+				COUNT(IF({$uncounted}, NULL, c.id)) AS total_clicks,
+				COALESCE(SUM(cv.fractional_conversion), 0) AS total_conversions,
+				SUM(cv.conversion_value) AS attributed_value,
+				COUNT(DISTINCT cv.currency) AS value_currencies,
+				MIN(cv.currency) AS value_currency
 			{$base_query}
 			ORDER BY {$orderby} {$order}
 			LIMIT %d OFFSET %d",
@@ -629,8 +836,12 @@ final class Campaign_List_Table extends WP_List_Table {
 				pm_src.meta_value AS utm_source,
 				pm_med.meta_value AS utm_medium,
 				pm_camp.meta_value AS utm_campaign,
+				NULL AS click_id_platforms,
 				0 AS total_clicks,
-				0 AS total_conversions
+				0 AS total_conversions,
+				NULL AS attributed_value,
+				0 AS value_currencies,
+				NULL AS value_currency
 			{$base_query}
 			ORDER BY p.ID DESC
 			LIMIT %d OFFSET %d",
@@ -646,7 +857,8 @@ final class Campaign_List_Table extends WP_List_Table {
 	 * Fetches all per-click data matching the current filters (no LIMIT).
 	 *
 	 * Used by Csv_Exporter to export the complete dataset. Each row is one
-	 * click–conversion pair with timestamps and fractional attribution.
+	 * click–conversion pair with timestamps, fractional attribution and the
+	 * attributed share of the conversion value.
 	 *
 	 * @return array<object> List of row objects.
 	 * @since 1.0.0
@@ -669,6 +881,9 @@ final class Campaign_List_Table extends WP_List_Table {
 				c.utm_source_platform,
 				c.clicked_at,
 				cv.fractional_conversion,
+				cv.conversion_value,
+				cv.currency,
+				cv.label,
 				cv.converted_at
 			{$base_query}
 			ORDER BY c.clicked_at DESC",
@@ -681,13 +896,14 @@ final class Campaign_List_Table extends WP_List_Table {
 	/**
 	 * Renders filter controls above the table.
 	 *
-	 * Date range inputs, UTM dropdowns, and a filter button. Only shown
+	 * Date range inputs, UTM and click-ID dropdowns, and a filter button. Only shown
 	 * in the top navigation bar.
 	 *
 	 * @param string $which Position: 'top' or 'bottom'.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Added date range presets, the previous period comparison and the inclusion of suspected clicks.
 	 */
 	protected function extra_tablenav( $which ): void {
 		if ( $which !== 'top' || $this->is_trash_view() ) {
@@ -711,6 +927,26 @@ final class Campaign_List_Table extends WP_List_Table {
 		echo '<input type="date" name="date_start" value="' . esc_attr( $date_start_value ) . '" placeholder="' . esc_attr__( 'Start date', 'kntnt-ad-attr' ) . '">';
 		echo '<input type="date" name="date_end" value="' . esc_attr( $date_end_value ) . '" placeholder="' . esc_attr__( 'End date', 'kntnt-ad-attr' ) . '">';
 
+		// Date range presets and the period comparison are applied by js/admin.js.
+		$presets = [
+			''               => __( 'Custom range', 'kntnt-ad-attr' ),
+			'last_7_days'    => __( 'Last 7 days', 'kntnt-ad-attr' ),
+			'last_30_days'   => __( 'Last 30 days', 'kntnt-ad-attr' ),
+			'last_90_days'   => __( 'Last 90 days', 'kntnt-ad-attr' ),
+			'month_to_date'  => __( 'Month to date', 'kntnt-ad-attr' ),
+			'previous_month' => __( 'Previous month', 'kntnt-ad-attr' ),
+		];
+
+		echo '<span class="kntnt-ad-attr-date-presets hide-if-no-js">';
+		echo '<select class="kntnt-ad-attr-date-preset" aria-label="' . esc_attr__( 'Date range', 'kntnt-ad-attr' ) . '">';
+		foreach ( $presets as $value => $label ) {
+			echo '<option value="' . esc_attr( $value ) . '">' . esc_html( $label ) . '</option>';
+		}
+		echo '</select>';
+		echo '<label><input type="checkbox" name="compare" value="1"' . checked( ! empty( $_GET['compare'] ), true, false ) . '> '
+			. esc_html__( 'Compare to previous period', 'kntnt-ad-attr' ) . '</label>';
+		echo '</span>';
+
 		// UTM dropdowns.
 		foreach ( $utm_filters as $meta_suffix => $label ) {
 			$meta_key = '_' . $meta_suffix;
@@ -730,6 +966,26 @@ final class Campaign_List_Table extends WP_List_Table {
 			echo '</select>';
 		}
 
+		// Click-ID dropdown — platforms with stored click IDs.
+		$platforms = $this->click_id_store->get_platforms();
+		if ( $platforms || $params['click_id_platform'] !== '' ) {
+			echo '<select name="click_id_platform">';
+			echo '<option value="">' . esc_html__( 'All Click IDs', 'kntnt-ad-attr' ) . '</option>';
+			foreach ( array_unique( [ ...$platforms, ...array_filter( [ $params['click_id_platform'] ] ) ] ) as $platform ) {
+				printf(
+					'<option value="%s"%s>%s</option>',
+					esc_attr( $platform ),
+					selected( $params['click_id_platform'], $platform, false ),
+					esc_html( Click_ID_Capturers::get_label( $platform ) ),
+				);
+			}
+			echo '</select>';
+		}
+
+		// Suspected clicks are left out of the click counts unless included.
+		echo '<label><input type="checkbox" name="suspected" value="1"' . checked( $params['suspected'], true, false ) . '> '
+			. esc_html__( 'Include suspected clicks', 'kntnt-ad-attr' ) . '</label>';
+
 		submit_button( __( 'Filter', 'kntnt-ad-attr' ), '', 'filter_action', false );
 
 		echo '</div>';
@@ -740,9 +996,13 @@ final class Campaign_List_Table extends WP_List_Table {
 	 *
 	 * Queries the clicks and conversions tables without GROUP BY. Omits the
 	 * pm_target JOIN since totals don't need the target post ID column.
+	 * Clicks the interstitial page's script never confirmed and, unless
+	 * included, clicks suspected of click fraud are left out of the click
+	 * count, but their conversions count.
 	 *
-	 * @return object|null Object with total_clicks and total_conversions, or null.
+	 * @return object|null Object with total_clicks, total_conversions and the attributed value, or null.
 	 * @since 1.0.0
+	 * @since 1.9.0 Leaves out unconfirmed interstitial clicks and suspected clicks.
 	 */
 	public function get_totals(): ?object {
 		if ( $this->totals !== null ) {
@@ -753,10 +1013,15 @@ final class Campaign_List_Table extends WP_List_Table {
 
 		[ $from_where, $query_params ] = $this->build_from_where( include_target: false );
 
+		$uncounted = self::get_uncounted_click_condition( $this->get_filter_params()['suspected'] );
+
 		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
 		$this->totals = $wpdb->get_row( $wpdb->prepare(
-			"SELECT COUNT(DISTINCT c.id) AS total_clicks,
-				COALESCE(SUM(cv.fractional_conversion), 0) AS total_conversions
+			"SELECT COUNT(DISTINCT IF({$uncounted}, NULL, c.id)) AS total_clicks,
+				COALESCE(SUM(cv.fractional_conversion), 0) AS total_conversions,
+				SUM(cv.conversion_value) AS attributed_value,
+				COUNT(DISTINCT cv.currency) AS value_currencies,
+				MIN(cv.currency) AS value_currency
 			{$from_where}",
 			...$query_params,
 		) );
@@ -764,6 +1029,87 @@ final class Campaign_List_Table extends WP_List_Table {
 		return $this->totals;
 	}
 
+	/**
+	 * Renders the parts of the list that change with filters, sorting and paging.
+	 *
+	 * Used by the campaigns REST route, through which js/admin.js updates
+	 * the list in place. Call prepare_items() first. The totals have the
+	 * shape of a Report row.
+	 *
+	 * @return array{rows: string, column_headers: string, column_footers: string, pagination: array{top: string, bottom: string}, total_items: int, total_pages: int, totals: array{clicks: int, conversions: float, attributed_value: float|null, currency: string|null}}
+	 * @since 1.9.0
+	 */
+	public function get_fragments(): array {
+
+		// Sort and pagination links are built from the request URI, which on
+		// the REST route is the route's own; point them at the admin page.
+		$request_uri            = $_SERVER['REQUEST_URI'] ?? '';
+		$_SERVER['REQUEST_URI'] = wp_make_link_relative( $this->get_view_url() );
+
+		$rows           = $this->capture( fn() => $this->display_rows_or_placeholder() );
+		$column_headers = $this->capture( fn() => $this->print_column_headers() );
+		$column_footers = $this->capture( fn() => $this->print_column_headers( false ) );
+		$pagination     = [
+			'top'    => $this->capture( fn() => $this->pagination( 'top' ) ),
+			'bottom' => $this->capture( fn() => $this->pagination( 'bottom' ) ),
+		];
+
+		$_SERVER['REQUEST_URI'] = $request_uri;
+
+		$totals = $this->get_totals();
+
+		return [
+			'rows'           => $rows,
+			'column_headers' => $column_headers,
+			'column_footers' => $column_footers,
+			'pagination'     => $pagination,
+			'total_items'    => (int) $this->get_pagination_arg( 'total_items' ),
+			'total_pages'    => (int) $this->get_pagination_arg( 'total_pages' ),
+			'totals'         => [
+				'clicks'           => (int) ( $totals->total_clicks ?? 0 ),
+				'conversions'      => (float) ( $totals->total_conversions ?? 0 ),
+				'attributed_value' => isset( $totals->attributed_value ) ? (float) $totals->attributed_value : null,
+				'currency'         => match ( (int) ( $totals->value_currencies ?? 0 ) ) {
+					0       => null,
+					1       => (string) $totals->value_currency,
+					default => 'mixed',
+				},
+			],
+		];
+	}
+
+	/**
+	 * Returns the output of a renderer as a string.
+	 *
+	 * @param callable $render Renderer that echoes HTML.
+	 *
+	 * @return string Captured HTML.
+	 * @since 1.9.0
+	 */
+	private function capture( callable $render ): string {
+		ob_start();
+		$render();
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Returns the admin page URL of the current view of the list.
+	 *
+	 * @return string URL with the filter, sort and page arguments of the request.
+	 * @since 1.9.0
+	 */
+	private function get_view_url(): string {
+		$args = [ 'page' => Plugin::get_slug() ];
+		foreach ( self::VIEW_ARGS as $key ) {
+			$value = sanitize_text_field( wp_unslash( $_GET[ $key ] ?? '' ) );
+			if ( $value !== '' ) {
+				$args[ $key ] = rawurlencode( $value );
+			}
+		}
+
+		return add_query_arg( $args, admin_url( 'tools.php' ) );
+	}
+
 	/**
 	 * Prepends a totals summary row before the regular data rows.
 	 *
@@ -796,6 +1142,8 @@ final class Campaign_List_Table extends WP_List_Table {
 						echo '<td><strong>' . esc_html( number_format_i18n( (int) $totals->total_clicks ) ) . '</strong></td>';
 					} elseif ( $slug === 'total_conversions' ) {
 						echo '<td><strong>' . esc_html( number_format_i18n( (float) $totals->total_conversions, 1 ) ) . '</strong></td>';
+					} elseif ( $slug === 'attributed_value' ) {
+						echo '<td><strong>' . esc_html( $this->format_value( $totals ) ) . '</strong></td>';
 					} else {
 						echo '<td></td>';
 					}
@@ -58,6 +58,22 @@ final class Click_Handler {
 	 */
 	private readonly Click_ID_Store $click_id_store;
 
+	/**
+	 * Interstitial page for the `interstitial` redirect method.
+	 *
+	 * @var Interstitial
+	 * @since 1.9.0
+	 */
+	private readonly Interstitial $interstitial;
+
+	/**
+	 * Fraud detector for scoring recorded clicks.
+	 *
+	 * @var Fraud_Detector
+	 * @since 1.9.0
+	 */
+	private readonly Fraud_Detector $fraud_detector;
+
 	/**
 	 * Initializes the click handler with its dependencies.
 	 *
@@ -65,14 +81,19 @@ final class Click_Handler {
 	 * @param Consent        $consent         Consent state resolution.
 	 * @param Bot_Detector   $bot_detector    Bot traffic detection.
 	 * @param Click_ID_Store $click_id_store  Platform-specific click ID storage.
+	 * @param Interstitial   $interstitial    Interstitial redirect page.
+	 * @param Fraud_Detector $fraud_detector  Click fraud scoring.
 	 *
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the $interstitial and $fraud_detector parameters.
 	 */
-	public function __construct( Cookie_Manager $cookie_manager, Consent $consent, Bot_Detector $bot_detector, Click_ID_Store $click_id_store ) {
+	public function __construct( Cookie_Manager $cookie_manager, Consent $consent, Bot_Detector $bot_detector, Click_ID_Store $click_id_store, Interstitial $interstitial, Fraud_Detector $fraud_detector ) {
 		$this->cookie_manager = $cookie_manager;
 		$this->consent        = $consent;
 		$this->bot_detector   = $bot_detector;
 		$this->click_id_store = $click_id_store;
+		$this->interstitial   = $interstitial;
+		$this->fraud_detector = $fraud_detector;
 	}
 
 	/**
@@ -124,9 +145,12 @@ final class Click_Handler {
 	 * Implements the 12-step click flow: hash extraction → validation →
 	 * database lookup → target resolution → loop guard → bot check →
 	 * stats logging → consent check → cookie/transport → redirect.
+	 * Recorded clicks are scored for click fraud, and suspected ones are
+	 * flagged for review.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Scores clicks for click fraud.
 	 */
 	public function handle_click(): void {
 		global $wpdb;
@@ -210,9 +234,12 @@ final class Click_Handler {
 			$this->send_404();
 		}
 
+		/** @var string $method Redirect method: '302', 'js' or 'interstitial'. */
+		$method = (string) apply_filters( 'kntnt_ad_attr_redirect_method', '302' );
+
 		// Step 9: Bot check — bots get redirected without logging or cookies.
 		if ( $this->bot_detector->is_bot() ) {
-			$this->redirect( $target_url );
+			$this->redirect( $target_url, $method );
 		}
 
 		// Capture the current time once for consistent timestamps across
@@ -233,7 +260,7 @@ final class Click_Handler {
 			$existing = $this->cookie_manager->parse();
 			if ( isset( $existing[ $hash ] ) && ( $now - $existing[ $hash ] ) < $dedup_seconds ) {
 				$this->set_cookie( $hash, $now );
-				$this->redirect( $target_url );
+				$this->redirect( $target_url, $method );
 			}
 		}
 
@@ -247,8 +274,16 @@ final class Click_Handler {
 		$click_group   = sanitize_text_field( $_GET['utm_source_platform'] ?? '' )
 			?: sanitize_text_field( $_GET['mtm_group'] ?? '' );
 
-		// Insert the click record into the clicks table.
+		// Score the click for signs of click fraud. When flagging is turned
+		// on, a suspected click is recorded flagged rather than dropped, and
+		// isn't counted unless a reviewer clears it.
+		$fraud = $this->fraud_detector->score( $hash, $now );
+
+		// Insert the click record into the clicks table. A click redirected
+		// through the interstitial page is unconfirmed until the page's
+		// script confirms it, and isn't counted until then.
 		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+		$interstitial = $method === 'interstitial';
 
 		$wpdb->insert( $clicks_table, [
 			'hash'                => $hash,
@@ -257,6 +292,10 @@ final class Click_Handler {
 			'utm_term'            => $click_term !== '' ? mb_substr( $click_term, 0, 255 ) : null,
 			'utm_id'              => $click_id_val !== '' ? mb_substr( $click_id_val, 0, 255 ) : null,
 			'utm_source_platform' => $click_group !== '' ? mb_substr( $click_group, 0, 255 ) : null,
+			'js_confirmed'        => $interstitial ? 0 : null,
+			'fraud_score'         => $fraud['score'] ?? null,
+			'fraud_reasons'       => $fraud && $fraud['reasons'] ? mb_substr( implode( ',', $fraud['reasons'] ), 0, 255 ) : null,
+			'fraud_status'        => $fraud && $fraud['suspected'] ? 'flagged' : null,
 		] );
 
 		// Capture platform-specific click IDs via registered capturers.
@@ -306,15 +345,20 @@ final class Click_Handler {
 			'utm_campaign' => get_post_meta( $post_id, '_utm_campaign', true ),
 		] );
 
-		// Step 12: Handle consent for cookie storage.
+		// Step 12: Handle consent for cookie storage. The interstitial page
+		// hands a pending click to the client script itself.
 		match ( $consent_state ) {
 			true  => $this->set_cookie( $hash, $now ),
 			false => null, // Consent denied — attribution lost for this visitor.
-			null  => $this->handle_pending_consent( $hash, $target_url ),
+			null  => $interstitial ? null : $this->handle_pending_consent( $hash, $now, $target_url ),
 		};
 
 		// Step 13: Redirect to the target page.
-		$this->redirect( $target_url );
+		if ( $interstitial ) {
+			nocache_headers();
+			$this->interstitial->render( $hash, $now, $target_url, $consent_state === null );
+		}
+		$this->redirect( $target_url, $method );
 	}
 
 	/**
@@ -337,21 +381,27 @@ final class Click_Handler {
 	 * Handles the transport mechanism when consent state is undetermined.
 	 *
 	 * The transport method is filterable: `cookie` sets a short-lived transport
-	 * cookie, `fragment` appends the hash as a URL fragment.
+	 * cookie, `fragment` appends the hash as a URL fragment. Either carries
+	 * the hash with its signed click time, so the cookie entry set once
+	 * consent is granted matches the click record.
 	 *
 	 * @param string $hash       The SHA-256 hash to transport.
+	 * @param int    $timestamp  Unix timestamp of the click record.
 	 * @param string &$target_url The target URL, modified in place for fragment transport.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the $timestamp parameter.
 	 */
-	private function handle_pending_consent( string $hash, string &$target_url ): void {
+	private function handle_pending_consent( string $hash, int $timestamp, string &$target_url ): void {
 		/** @var string $transport Transport method: 'cookie' or 'fragment'. */
 		$transport = apply_filters( 'kntnt_ad_attr_pending_transport', 'cookie' );
 
+		$signed_click = $this->cookie_manager->sign_click( $hash, $timestamp );
+
 		match ( $transport ) {
-			'fragment' => $target_url .= '#_aah=' . $hash,
-			default    => $this->cookie_manager->set_transport_cookie( $hash ),
+			'fragment' => $target_url .= '#_aah=' . $signed_click,
+			default    => $this->cookie_manager->set_transport_cookie( $signed_click ),
 		};
 	}
 
@@ -360,17 +410,18 @@ final class Click_Handler {
 	 *
 	 * The redirect method is filterable via `kntnt_ad_attr_redirect_method`:
 	 * `302` (default) uses a standard HTTP redirect, `js` outputs a minimal
-	 * HTML page with a JavaScript redirect.
+	 * HTML page with a JavaScript redirect. The `interstitial` method is
+	 * handled by `handle_click()` for recorded clicks and falls back to a
+	 * 302 redirect for bots and deduplicated clicks.
 	 *
-	 * @param string $url The target URL to redirect to.
+	 * @param string $url    The target URL to redirect to.
+	 * @param string $method Redirect method.
 	 *
 	 * @return never
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the $method parameter.
 	 */
-	private function redirect( string $url ): never {
-		/** @var string $method Redirect method: '302' or 'js'. */
-		$method = apply_filters( 'kntnt_ad_attr_redirect_method', '302' );
-
+	private function redirect( string $url, string $method ): never {
 		nocache_headers();
 
 		if ( $method === 'js' ) {
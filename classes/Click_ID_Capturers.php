@@ -0,0 +1,146 @@
+<?php
+/**
+ * Built-in click-ID capturers for the major ad platforms.
+ *
+ * Registers the URL parameters that Google Ads (gclid, gbraid, wbraid),
+ * Meta (fbclid), Microsoft Ads (msclkid), LinkedIn (li_fat_id), TikTok
+ * (ttclid), X (twclid) and Pinterest (epik) append to landing page URLs
+ * with the `kntnt_ad_attr_click_id_capturers` filter, so `Click_Handler`
+ * stores them in `Click_ID_Store` and the client script picks them up on
+ * landing pages reached without a tracking URL. Each capturer can be
+ * turned off on the settings page.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Adds the enabled built-in capturers to `kntnt_ad_attr_click_id_capturers`.
+ *
+ * Registered at priority 5, so site-specific callbacks on the default
+ * priority can replace or remove a built-in capturer. A capturer already
+ * registered under the same platform ID is left untouched.
+ *
+ * @since 1.9.0
+ */
+final class Click_ID_Capturers {
+
+	/**
+	 * GET parameter of each built-in capturer keyed by platform ID.
+	 *
+	 * The platform IDs of Google Ads and Meta match the reporter IDs of
+	 * `Conversion_Reporters`, which read the click IDs by them.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	public const PLATFORMS = [
+		'google_ads'        => 'gclid',
+		'google_ads_gbraid' => 'gbraid',
+		'google_ads_wbraid' => 'wbraid',
+		'meta'              => 'fbclid',
+		'microsoft_ads'     => 'msclkid',
+		'linkedin'          => 'li_fat_id',
+		'tiktok'            => 'ttclid',
+		'x'                 => 'twclid',
+		'pinterest'         => 'epik',
+	];
+
+	/**
+	 * Platform name of each built-in capturer.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	private const NAMES = [
+		'google_ads'        => 'Google Ads',
+		'google_ads_gbraid' => 'Google Ads',
+		'google_ads_wbraid' => 'Google Ads',
+		'meta'              => 'Meta',
+		'microsoft_ads'     => 'Microsoft Ads',
+		'linkedin'          => 'LinkedIn',
+		'tiktok'            => 'TikTok',
+		'x'                 => 'X',
+		'pinterest'         => 'Pinterest',
+	];
+
+	/**
+	 * Settings instance for reading the enabled capturers.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Initializes the click-ID capturers.
+	 *
+	 * @param Settings $settings Settings instance.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings ) {
+		$this->settings = $settings;
+	}
+
+	/**
+	 * Registers the capturer filter unless all capturers are turned off.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		if ( $this->get_enabled() ) {
+			add_filter( 'kntnt_ad_attr_click_id_capturers', [ $this, 'add_capturers' ], 5 );
+		}
+	}
+
+	/**
+	 * Adds the GET parameters of the enabled capturers.
+	 *
+	 * @param array<string, string> $capturers Platform => GET parameter.
+	 *
+	 * @return array<string, string> Capturers including the built-in ones.
+	 * @since 1.9.0
+	 */
+	public function add_capturers( array $capturers ): array {
+		foreach ( $this->get_enabled() as $platform ) {
+			$capturers[ $platform ] ??= self::PLATFORMS[ $platform ];
+		}
+		return $capturers;
+	}
+
+	/**
+	 * Gets the IDs of the enabled built-in capturers.
+	 *
+	 * @return string[] Platform IDs in the order of `PLATFORMS`.
+	 * @since 1.9.0
+	 */
+	public function get_enabled(): array {
+		$enabled = array_filter( (array) $this->settings->get( 'click_id_capturers' ), 'is_string' );
+		return array_values( array_intersect( array_keys( self::PLATFORMS ), $enabled ) );
+	}
+
+	/**
+	 * Gets a human-readable label for a platform ID.
+	 *
+	 * Built-in platforms are shown with their parameter, e.g. "Meta
+	 * (fbclid)". Platforms registered by add-ons are shown by their ID.
+	 *
+	 * @param string $platform Platform ID.
+	 *
+	 * @return string Label.
+	 * @since 1.9.0
+	 */
+	public static function get_label( string $platform ): string {
+		if ( ! isset( self::PLATFORMS[ $platform ] ) ) {
+			return $platform;
+		}
+		return sprintf( '%s (%s)', self::NAMES[ $platform ], self::PLATFORMS[ $platform ] );
+	}
+
+}
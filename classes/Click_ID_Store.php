@@ -3,8 +3,9 @@
  * CRUD operations for platform-specific click IDs.
  *
  * Stores, retrieves, and cleans up click IDs (e.g. gclid, fbclid, msclkid)
- * captured by registered adapters via the kntnt_ad_attr_click_id_capturers
- * filter. Each hash/platform combination has exactly one row.
+ * captured by the built-in and add-on capturers registered via the
+ * kntnt_ad_attr_click_id_capturers filter. Each hash/platform combination
+ * has exactly one row.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.2.0
@@ -89,6 +90,20 @@ final class Click_ID_Store {
 		return $result;
 	}
 
+	/**
+	 * Retrieves the platforms that have stored click IDs.
+	 *
+	 * @return string[] Platform identifiers in alphabetical order.
+	 * @since 1.9.0
+	 */
+	public function get_platforms(): array {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_click_ids';
+
+		return array_map( 'strval', $wpdb->get_col( "SELECT DISTINCT platform FROM {$table} ORDER BY platform" ) );
+	}
+
 	/**
 	 * Deletes click ID rows older than a given number of days.
 	 *
@@ -0,0 +1,291 @@
+<?php
+/**
+ * Built-in server-side consent readers for common CMPs.
+ *
+ * Reads the consent cookies written by common consent management platforms
+ * (IAB TCF v2.2, Cookiebot, CookieYes, Complianz and Borlabs Cookie) and
+ * feeds the result into `kntnt_ad_attr_has_consent`, so the server agrees
+ * with the client-side adapters in `pending-consent.js`.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Resolves consent from CMP cookies on the `kntnt_ad_attr_has_consent` filter.
+ *
+ * Registered at priority 5, so site-specific callbacks on the default
+ * priority still have the final word.
+ *
+ * @since 1.9.0
+ */
+final class Consent_Adapters {
+
+	/**
+	 * Adapter IDs in auto-detection order.
+	 *
+	 * Google Consent Mode (`gcm`) is a client-side signal only; it has no
+	 * cookie of its own, so the server reads nothing for it.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const ADAPTERS = [ 'tcf', 'cookiebot', 'cookieyes', 'complianz', 'borlabs', 'gcm' ];
+
+	/**
+	 * IAB TCF purposes that must be consented.
+	 *
+	 * Purpose 1 is "Store and/or access information on a device" and
+	 * purpose 7 is "Measure advertising performance".
+	 *
+	 * @var int[]
+	 * @since 1.9.0
+	 */
+	private const TCF_PURPOSES = [ 1, 7 ];
+
+	/**
+	 * Bit offset of the PurposesConsent field in a TC string core segment.
+	 *
+	 * Version (6) + Created (36) + LastUpdated (36) + CmpId (12) +
+	 * CmpVersion (12) + ConsentScreen (6) + ConsentLanguage (12) +
+	 * VendorListVersion (12) + TcfPolicyVersion (6) + IsServiceSpecific (1) +
+	 * UseNonStandardTexts (1) + SpecialFeatureOptIns (12).
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const TCF_PURPOSES_OFFSET = 152;
+
+	/**
+	 * Settings instance for reading the adapter choice.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Initializes the consent adapters.
+	 *
+	 * @param Settings $settings Settings instance.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings ) {
+		$this->settings = $settings;
+	}
+
+	/**
+	 * Registers the consent filter unless adapters are disabled.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		if ( $this->settings->get( 'consent_adapter' ) !== 'none' ) {
+			add_filter( 'kntnt_ad_attr_has_consent', [ $this, 'filter_consent' ], 5 );
+		}
+	}
+
+	/**
+	 * Resolves consent from the configured (or detected) CMP's cookie.
+	 *
+	 * A non-null value from an earlier callback is passed through unchanged.
+	 *
+	 * @param bool|null $consent Consent state from earlier callbacks.
+	 *
+	 * @return bool|null True = granted, false = denied, null = undetermined.
+	 * @since 1.9.0
+	 */
+	public function filter_consent( ?bool $consent ): ?bool {
+
+		if ( $consent !== null ) {
+			return $consent;
+		}
+
+		$adapter = (string) $this->settings->get( 'consent_adapter' );
+
+		// A forced adapter is the only one consulted.
+		if ( $adapter !== 'auto' ) {
+			return $this->read( $adapter );
+		}
+
+		// Auto-detect: the first CMP whose cookie is present decides.
+		foreach ( self::ADAPTERS as $candidate ) {
+			$state = $this->read( $candidate );
+			if ( $state !== null ) {
+				return $state;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Reads the consent state for a single adapter.
+	 *
+	 * @param string $adapter Adapter ID.
+	 *
+	 * @return bool|null Consent state, or null if the CMP's cookie is absent.
+	 * @since 1.9.0
+	 */
+	public function read( string $adapter ): ?bool {
+		return match ( $adapter ) {
+			'tcf'       => $this->read_tcf(),
+			'cookiebot' => $this->read_cookiebot(),
+			'cookieyes' => $this->read_cookieyes(),
+			'complianz' => $this->read_complianz(),
+			'borlabs'   => $this->read_borlabs(),
+			default     => null,
+		};
+	}
+
+	/**
+	 * Reads purpose consents from the IAB TCF v2.2 `euconsent-v2` cookie.
+	 *
+	 * Only the core segment of the TC string is decoded; vendor consents
+	 * are left to the CMP.
+	 *
+	 * @return bool|null Consent state, or null if no readable TC string exists.
+	 * @since 1.9.0
+	 */
+	private function read_tcf(): ?bool {
+		$tc_string = $this->get_cookie( 'euconsent-v2' );
+		if ( $tc_string === null ) {
+			return null;
+		}
+
+		// Decode the base64url-encoded core segment.
+		$core  = strtr( explode( '.', $tc_string )[0], '-_', '+/' );
+		$bytes = base64_decode( str_pad( $core, (int) ( ceil( strlen( $core ) / 4 ) * 4 ), '=' ), true );
+
+		$last_bit = self::TCF_PURPOSES_OFFSET + max( self::TCF_PURPOSES ) - 1;
+		if ( $bytes === false || strlen( $bytes ) <= intdiv( $last_bit, 8 ) ) {
+			return null;
+		}
+
+		// Every required purpose bit must be set.
+		foreach ( self::TCF_PURPOSES as $purpose ) {
+			$bit  = self::TCF_PURPOSES_OFFSET + $purpose - 1;
+			$byte = ord( $bytes[ intdiv( $bit, 8 ) ] );
+			if ( ( ( $byte >> ( 7 - $bit % 8 ) ) & 1 ) === 0 ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Reads the marketing category from Cookiebot's `CookieConsent` cookie.
+	 *
+	 * Cookiebot writes `-1` for visitors in regions where no consent is
+	 * required, which counts as granted.
+	 *
+	 * @return bool|null Consent state, or null if the cookie is absent.
+	 * @since 1.9.0
+	 */
+	private function read_cookiebot(): ?bool {
+		$value = $this->get_cookie( 'CookieConsent' );
+		if ( $value === null ) {
+			return null;
+		}
+
+		if ( $value === '-1' ) {
+			return true;
+		}
+
+		return preg_match( '/marketing:(true|false)/', $value, $matches ) ? $matches[1] === 'true' : null;
+	}
+
+	/**
+	 * Reads the advertisement category from the `cookieyes-consent` cookie.
+	 *
+	 * The cookie exists before the visitor decides; `action:yes` marks
+	 * that a decision has been made.
+	 *
+	 * @return bool|null Consent state, or null if the visitor hasn't decided.
+	 * @since 1.9.0
+	 */
+	private function read_cookieyes(): ?bool {
+		$value = $this->get_cookie( 'cookieyes-consent' );
+		if ( $value === null ) {
+			return null;
+		}
+
+		// Parse "key:value,key:value" pairs.
+		$pairs = [];
+		foreach ( explode( ',', $value ) as $pair ) {
+			[ $key, $state ] = array_pad( explode( ':', $pair, 2 ), 2, '' );
+			$pairs[ $key ]   = $state;
+		}
+
+		if ( ( $pairs['action'] ?? '' ) !== 'yes' ) {
+			return null;
+		}
+
+		return ( $pairs['advertisement'] ?? '' ) === 'yes';
+	}
+
+	/**
+	 * Reads Complianz's `cmplz_marketing` category cookie.
+	 *
+	 * @return bool|null Consent state, or null if the visitor hasn't decided.
+	 * @since 1.9.0
+	 */
+	private function read_complianz(): ?bool {
+		return match ( $this->get_cookie( 'cmplz_marketing' ) ) {
+			'allow' => true,
+			'deny'  => false,
+			default => null,
+		};
+	}
+
+	/**
+	 * Checks whether the `borlabs-cookie` cookie lists the configured service.
+	 *
+	 * @return bool|null Consent state, or null if the visitor hasn't decided.
+	 * @since 1.9.0
+	 */
+	private function read_borlabs(): ?bool {
+		$value = $this->get_cookie( 'borlabs-cookie' );
+		if ( $value === null ) {
+			return null;
+		}
+
+		$data = json_decode( $value, true );
+		if ( ! is_array( $data ) || ! is_array( $data['consents'] ?? null ) ) {
+			return null;
+		}
+
+		// The service counts as consented if it appears in any group.
+		$service_id = (string) $this->settings->get( 'consent_service_id' );
+		foreach ( $data['consents'] as $services ) {
+			if ( is_array( $services ) && in_array( $service_id, $services, true ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Gets an unslashed cookie value.
+	 *
+	 * @param string $name Cookie name.
+	 *
+	 * @return string|null Cookie value, or null if absent or empty.
+	 * @since 1.9.0
+	 */
+	private function get_cookie( string $name ): ?string {
+		if ( ! isset( $_COOKIE[ $name ] ) || ! is_string( $_COOKIE[ $name ] ) || $_COOKIE[ $name ] === '' ) {
+			return null;
+		}
+		return wp_unslash( $_COOKIE[ $name ] );
+	}
+
+}
@@ -1,10 +1,12 @@
 <?php
 /**
- * Conversion handling with filterable last-click attribution.
+ * Conversion handling with filterable attribution.
  *
  * Listens for the `kntnt_ad_attr_conversion` action hook (fired by the form
- * plugin) and attributes the conversion to clicked tracking URLs using a
- * filterable attribution model (default: last-click).
+ * plugin, or by the REST convert route for conversions reported from the
+ * browser) and attributes the conversion to clicked tracking URLs using the
+ * attribution model selected in the settings (default: last-click), which
+ * the `kntnt_ad_attr_attribution` filter may override.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.0.0
@@ -25,6 +27,14 @@ namespace Kntnt\Ad_Attribution;
  */
 final class Conversion_Handler {
 
+	/**
+	 * Maximum length of a conversion label.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const LABEL_MAX_LENGTH = 255;
+
 	/**
 	 * Cookie manager for reading the _ad_clicks cookie.
 	 *
@@ -73,25 +83,36 @@ final class Conversion_Handler {
 	 */
 	private readonly Queue_Processor $queue_processor;
 
+	/**
+	 * Attribution models for the default weights.
+	 *
+	 * @var Attribution_Models
+	 * @since 1.9.0
+	 */
+	private readonly Attribution_Models $attribution_models;
+
 	/**
 	 * Initializes the conversion handler with its dependencies.
 	 *
-	 * @param Cookie_Manager  $cookie_manager  Cookie read operations.
-	 * @param Consent         $consent         Consent state resolution.
-	 * @param Bot_Detector    $bot_detector    Bot traffic detection.
-	 * @param Click_ID_Store  $click_id_store  Platform-specific click ID retrieval.
-	 * @param Queue           $queue           Async job queue.
-	 * @param Queue_Processor $queue_processor Queue processing scheduler.
+	 * @param Cookie_Manager     $cookie_manager     Cookie read operations.
+	 * @param Consent            $consent            Consent state resolution.
+	 * @param Bot_Detector       $bot_detector       Bot traffic detection.
+	 * @param Click_ID_Store     $click_id_store     Platform-specific click ID retrieval.
+	 * @param Queue              $queue              Async job queue.
+	 * @param Queue_Processor    $queue_processor    Queue processing scheduler.
+	 * @param Attribution_Models $attribution_models Default attribution weights.
 	 *
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the $attribution_models parameter.
 	 */
-	public function __construct( Cookie_Manager $cookie_manager, Consent $consent, Bot_Detector $bot_detector, Click_ID_Store $click_id_store, Queue $queue, Queue_Processor $queue_processor ) {
-		$this->cookie_manager  = $cookie_manager;
-		$this->consent         = $consent;
-		$this->bot_detector    = $bot_detector;
-		$this->click_id_store  = $click_id_store;
-		$this->queue           = $queue;
-		$this->queue_processor = $queue_processor;
+	public function __construct( Cookie_Manager $cookie_manager, Consent $consent, Bot_Detector $bot_detector, Click_ID_Store $click_id_store, Queue $queue, Queue_Processor $queue_processor, Attribution_Models $attribution_models ) {
+		$this->cookie_manager     = $cookie_manager;
+		$this->consent            = $consent;
+		$this->bot_detector       = $bot_detector;
+		$this->click_id_store     = $click_id_store;
+		$this->queue              = $queue;
+		$this->queue_processor    = $queue_processor;
+		$this->attribution_models = $attribution_models;
 	}
 
 	/**
@@ -107,41 +128,71 @@ final class Conversion_Handler {
 	/**
 	 * Processes a conversion through the attribution flow.
 	 *
-	 * Steps: cookie parse → hash validation → per-hash deduplication →
-	 * attribution calculation → conversions DB write → dedup cookie →
-	 * recorded hook → reporter enqueueing.
+	 * Steps: cookie parse → hash validation → dedup key check → per-hash
+	 * deduplication → attribution calculation → conversions DB write →
+	 * dedup cookie → recorded hook → reporter enqueueing.
 	 *
-	 * @return void
+	 * The optional details describe the conversion: `label`, `value`,
+	 * `currency` (ISO 4217), `dedup_key` (a conversion with a key that has
+	 * already been recorded for one of the visitor's clicks is ignored) and `page_url` (where it happened,
+	 * defaults to the current request). They are passed to the recorded
+	 * hook and to the reporters. When fired via `do_action()` without
+	 * arguments, WordPress passes an empty string, which counts as none.
+	 *
+	 * Conversions attributed to clicks suspected of click fraud are recorded
+	 * but not reported.
+	 *
+	 * @param mixed $details Conversion details, or anything else for none.
+	 *
+	 * @return bool True if the conversion was attributed to at least one click.
 	 * @since 1.0.0
+	 * @since 1.9.0 Added the $details parameter and the return value.
+	 * @since 1.9.0 Conversions of suspected clicks aren't reported.
 	 */
-	public function handle_conversion(): void {
+	public function handle_conversion( mixed $details = [] ): bool {
 		global $wpdb;
 
 		// Reject automated requests to prevent fake conversions.
 		if ( $this->bot_detector->is_bot() ) {
-			return;
+			return false;
 		}
 
 		// Reading the _ad_clicks cookie requires confirmed consent under
 		// ePrivacy Article 5(3). Without consent, no attribution possible.
 		if ( $this->consent->check() !== true ) {
-			return;
+			return false;
 		}
 
 		// Step 1: Read and parse the _ad_clicks cookie.
 		$entries = $this->cookie_manager->parse( '_ad_clicks' );
 		if ( empty( $entries ) ) {
-			return;
+			return false;
 		}
 
 		// Step 2: Filter to hashes that exist as published tracking URLs.
 		$valid_entries = $this->filter_valid_entries( $entries );
 		if ( empty( $valid_entries ) ) {
-			return;
+			return false;
 		}
 
-		// Step 3: Per-hash deduplication — remove hashes converted recently.
+		// Skip conversions whose dedup key has already been recorded for one
+		// of the visitor's clicks, e.g. an order confirmation reported again
+		// when the visitor reloads the page. The key is remembered per click,
+		// so a key guessed by someone else can't block the visitor's conversion.
 		$lifetime      = (int) apply_filters( 'kntnt_ad_attr_cookie_lifetime', 90 );
+		$details       = $this->normalize_details( $details );
+		$dedup_key_ids = [];
+		if ( $details['dedup_key'] !== '' ) {
+			foreach ( array_keys( $valid_entries ) as $hash ) {
+				$dedup_key_id = 'kntnt_ad_attr_dk_' . md5( $hash . '|' . $details['label'] . '|' . $details['dedup_key'] );
+				if ( get_transient( $dedup_key_id ) !== false ) {
+					return false;
+				}
+				$dedup_key_ids[] = $dedup_key_id;
+			}
+		}
+
+		// Step 3: Per-hash deduplication — remove hashes converted recently.
 		$dedup_seconds = (int) apply_filters( 'kntnt_ad_attr_dedup_seconds', 0 );
 		$dedup_seconds = min( $dedup_seconds, $lifetime * DAY_IN_SECONDS );
 
@@ -157,7 +208,7 @@ final class Conversion_Handler {
 			}
 
 			if ( empty( $valid_entries ) ) {
-				return;
+				return false;
 			}
 		}
 
@@ -167,15 +218,13 @@ final class Conversion_Handler {
 			$clicks[] = [ 'hash' => $hash, 'clicked_at' => $timestamp ];
 		}
 
-		// Step 5: Default last-click attribution — full credit to most recent click.
-		$latest_hash  = array_keys( $valid_entries, max( $valid_entries ) )[0];
-		$attributions = array_fill_keys( array_keys( $valid_entries ), 0.0 );
-		$attributions[ $latest_hash ] = 1.0;
+		// Step 5: Default weights from the attribution model selected in the settings.
+		$attributions = $this->attribution_models->get_weights( $clicks );
 
 		/**
 		 * Filters the attribution weights for a conversion.
 		 *
-		 * @param array<string, float>                       $attributions Hash => fractional value. Default: 1.0 for last click, 0.0 for rest.
+		 * @param array<string, float>                       $attributions Hash => fractional value. Default: weights of the selected model (last click: 1.0 for the most recent click, 0.0 for the rest).
 		 * @param array<int, array{hash: string, clicked_at: int}> $clicks Click data with timestamps.
 		 *
 		 * @since 1.5.0
@@ -190,6 +239,8 @@ final class Conversion_Handler {
 		$wpdb->query( 'START TRANSACTION' );
 
 		$attributed_hashes = [];
+		$attributed_values = [];
+		$suspected_hashes  = [];
 
 		foreach ( $attributions as $hash => $value ) {
 			if ( $value <= 0 ) {
@@ -197,33 +248,54 @@ final class Conversion_Handler {
 			}
 
 			// Find the click record matching the cookie timestamp.
-			$click_id = $wpdb->get_var( $wpdb->prepare(
-				"SELECT id FROM {$clicks_table} WHERE hash = %s AND clicked_at = %s LIMIT 1",
+			$click = $wpdb->get_row( $wpdb->prepare(
+				"SELECT id, fraud_status FROM {$clicks_table} WHERE hash = %s AND clicked_at = %s LIMIT 1",
 				$hash,
 				gmdate( 'Y-m-d H:i:s', $valid_entries[ $hash ] ),
 			) );
 
-			if ( ! $click_id ) {
+			if ( ! $click ) {
 				continue;
 			}
 
+			// A conversion of a click suspected of click fraud is recorded
+			// like the click, so it's counted if a reviewer clears the click,
+			// but isn't reported to the ad platforms.
+			if ( in_array( $click->fraud_status, Fraud_Detector::UNCOUNTED_STATUSES, true ) ) {
+				$suspected_hashes[] = $hash;
+			}
+
+			// Split the monetary value by the same weight as the conversion.
+			$attributed_value = $details['value'] !== null ? round( $details['value'] * $value, 4 ) : null;
+
 			$result = $wpdb->insert( $conv_table, [
-				'click_id'              => (int) $click_id,
+				'click_id'              => (int) $click->id,
 				'converted_at'          => $converted_at,
 				'fractional_conversion' => $value,
+				'conversion_value'      => $attributed_value,
+				'currency'              => $details['currency'] !== '' ? $details['currency'] : null,
+				'label'                 => $details['label'] !== '' ? $details['label'] : null,
 			] );
 
 			if ( $result === false ) {
 				$wpdb->query( 'ROLLBACK' );
 				error_log( '[Kntnt Ad Attribution] Conversion write failed, rolled back.' );
-				return;
+				return false;
 			}
 
-			$attributed_hashes[] = $hash;
+			$attributed_hashes[]        = $hash;
+			$attributed_values[ $hash ] = $attributed_value;
 		}
 
 		$wpdb->query( 'COMMIT' );
 
+		// Remember the dedup key for as long as the clicks can be attributed.
+		if ( ! empty( $attributed_hashes ) ) {
+			foreach ( $dedup_key_ids as $dedup_key_id ) {
+				set_transient( $dedup_key_id, 1, $lifetime * DAY_IN_SECONDS );
+			}
+		}
+
 		// Step 7: Write the per-hash dedup cookie (only when dedup is enabled).
 		if ( $dedup_seconds > 0 && ! empty( $attributed_hashes ) ) {
 			$now = time();
@@ -235,14 +307,21 @@ final class Conversion_Handler {
 
 		// Step 8: Notify other components that a conversion was recorded.
 		do_action( 'kntnt_ad_attr_conversion_recorded', $attributions, [
-			'timestamp'  => gmdate( 'c' ),
-			'ip'         => $_SERVER['REMOTE_ADDR'] ?? '',
-			'user_agent' => $_SERVER['HTTP_USER_AGENT'] ?? '',
+			'timestamp'         => gmdate( 'c' ),
+			'ip'                => $_SERVER['REMOTE_ADDR'] ?? '',
+			'user_agent'        => $_SERVER['HTTP_USER_AGENT'] ?? '',
+			'label'             => $details['label'],
+			'value'             => $details['value'],
+			'currency'          => $details['currency'],
+			'attributed_values' => $attributed_values,
+			'clicks'            => $clicks,
 		] );
 
-		// Step 9: Enqueue conversion reports for registered reporters.
-		$reporters = apply_filters( 'kntnt_ad_attr_conversion_reporters', [] );
-		if ( ! empty( $reporters ) ) {
+		// Step 9: Enqueue conversion reports for registered reporters,
+		// leaving out the clicks suspected of click fraud.
+		$reporters    = apply_filters( 'kntnt_ad_attr_conversion_reporters', [] );
+		$attributions = array_diff_key( $attributions, array_flip( $suspected_hashes ) );
+		if ( ! empty( $reporters ) && array_filter( $attributions, fn ( $value ) => $value > 0 ) ) {
 
 			// Look up click IDs and campaign data for attributed hashes.
 			$hashes    = array_keys( $attributions );
@@ -250,10 +329,15 @@ final class Conversion_Handler {
 			$campaigns = $this->get_campaign_data( $hashes );
 
 			$context = [
-				'timestamp'  => gmdate( 'c' ),
-				'ip'         => $_SERVER['REMOTE_ADDR'] ?? '',
-				'user_agent' => $_SERVER['HTTP_USER_AGENT'] ?? '',
-				'page_url'   => home_url( $_SERVER['REQUEST_URI'] ?? '' ),
+				'timestamp'         => gmdate( 'c' ),
+				'ip'                => $_SERVER['REMOTE_ADDR'] ?? '',
+				'user_agent'        => $_SERVER['HTTP_USER_AGENT'] ?? '',
+				'page_url'          => $details['page_url'] !== '' ? $details['page_url'] : home_url( $_SERVER['REQUEST_URI'] ?? '' ),
+				'label'             => $details['label'],
+				'value'             => $details['value'],
+				'currency'          => $details['currency'],
+				'attributed_values' => array_diff_key( $attributed_values, array_flip( $suspected_hashes ) ),
+				'clicked_at'        => array_intersect_key( $valid_entries, $attributions ),
 			];
 
 			foreach ( $reporters as $reporter_id => $reporter ) {
@@ -281,6 +365,33 @@ final class Conversion_Handler {
 
 			$this->queue_processor->schedule();
 		}
+
+		return ! empty( $attributed_hashes );
+	}
+
+	/**
+	 * Normalizes the conversion details passed to handle_conversion().
+	 *
+	 * Unknown keys are dropped and invalid values replaced by their empty
+	 * defaults, so a malformed detail never prevents the conversion.
+	 *
+	 * @param mixed $details Raw details.
+	 *
+	 * @return array{label: string, value: float|null, currency: string, dedup_key: string, page_url: string}
+	 * @since 1.9.0
+	 */
+	private function normalize_details( mixed $details ): array {
+		$details  = is_array( $details ) ? $details : [];
+		$value    = $details['value'] ?? null;
+		$currency = strtoupper( is_string( $details['currency'] ?? null ) ? $details['currency'] : '' );
+
+		return [
+			'label'     => mb_substr( sanitize_text_field( (string) ( is_scalar( $details['label'] ?? null ) ? $details['label'] : '' ) ), 0, self::LABEL_MAX_LENGTH ),
+			'value'     => is_numeric( $value ) && is_finite( (float) $value ) ? (float) $value : null,
+			'currency'  => preg_match( '/^[A-Z]{3}$/', $currency ) ? $currency : '',
+			'dedup_key' => is_scalar( $details['dedup_key'] ?? null ) ? (string) $details['dedup_key'] : '',
+			'page_url'  => is_string( $details['page_url'] ?? null ) ? esc_url_raw( $details['page_url'] ) : '',
+		];
 	}
 
 	/**
@@ -0,0 +1,741 @@
+<?php
+/**
+ * Built-in conversion reporters for common ad and analytics platforms.
+ *
+ * Reports attributed conversions to Google Ads (offline conversion upload by
+ * gclid, or by gbraid or wbraid when no gclid was captured), the Meta
+ * Conversions API (by fbclid, sent as `fbc`) and the GA4 Measurement Protocol
+ * through the `kntnt_ad_attr_conversion_reporters` filter, so they are queued
+ * and retried like any add-on reporter. Each reporter is configured on the
+ * settings page and only registered when it is enabled and complete.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Registers the built-in reporters and the click-ID capturers they need.
+ *
+ * Both filters are hooked at priority 5, so site-specific callbacks on the
+ * default priority can replace or remove a built-in reporter. A reporter or
+ * capturer already registered under the same ID is left untouched.
+ *
+ * @since 1.9.0
+ */
+final class Conversion_Reporters {
+
+	/**
+	 * Reporter IDs, which are also the queue's reporter column values.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const REPORTERS = [ 'google_ads', 'meta', 'ga4' ];
+
+	/**
+	 * Default API endpoints keyed by endpoint ID.
+	 *
+	 * A `%s` is replaced by the Google Ads customer ID or the Meta pixel ID.
+	 * Each can be overridden with `kntnt_ad_attr_reporter_endpoint`, e.g. to
+	 * test against a local stand-in server.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	public const ENDPOINTS = [
+		'google_ads'       => 'https://googleads.googleapis.com/v19/customers/%s:uploadClickConversions',
+		'google_ads_token' => 'https://oauth2.googleapis.com/token',
+		'meta'             => 'https://graph.facebook.com/v21.0/%s/events',
+		'ga4'              => 'https://www.google-analytics.com/mp/collect',
+	];
+
+	/**
+	 * Click-ID parameter captured for each reporter that needs one.
+	 *
+	 * The reporter ID doubles as the platform ID in `Click_ID_Store`.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	private const CLICK_ID_PARAMETERS = [
+		'google_ads' => 'gclid',
+		'meta'       => 'fbclid',
+	];
+
+	/**
+	 * Google Ads click-ID fields in order of preference, keyed by platform ID.
+	 *
+	 * A click conversion takes exactly one of them, and gbraid and wbraid
+	 * replace the gclid on clicks from iOS where no gclid is given.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	private const GOOGLE_ADS_CLICK_IDS = [
+		'google_ads'        => 'gclid',
+		'google_ads_gbraid' => 'gbraid',
+		'google_ads_wbraid' => 'wbraid',
+	];
+
+	/**
+	 * Settings that must be non-empty before a reporter is registered.
+	 *
+	 * @var array<string, string[]>
+	 * @since 1.9.0
+	 */
+	private const REQUIRED_SETTINGS = [
+		'google_ads' => [
+			'google_ads_customer_id',
+			'google_ads_conversion_action',
+			'google_ads_developer_token',
+			'google_ads_client_id',
+			'google_ads_client_secret',
+			'google_ads_refresh_token',
+		],
+		'meta'       => [ 'meta_pixel_id', 'meta_access_token' ],
+		'ga4'        => [ 'ga4_measurement_id', 'ga4_api_secret' ],
+	];
+
+	/**
+	 * Log prefix for each reporter.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	private const LOG_PREFIXES = [
+		'google_ads' => 'GADS',
+		'meta'       => 'META',
+		'ga4'        => 'GA4',
+	];
+
+	/**
+	 * Transient caching the Google Ads OAuth access token.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const GOOGLE_ADS_TOKEN_TRANSIENT = 'kntnt_ad_attr_google_ads_token';
+
+	/**
+	 * Timeout in seconds for API requests.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const TIMEOUT = 15;
+
+	/**
+	 * Settings instance for reading the reporter configuration.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Logger instance for API responses.
+	 *
+	 * @var Logger
+	 * @since 1.9.0
+	 */
+	private readonly Logger $logger;
+
+	/**
+	 * Initializes the conversion reporters.
+	 *
+	 * @param Settings $settings Settings instance.
+	 * @param Logger   $logger   Logger instance.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings, Logger $logger ) {
+		$this->settings = $settings;
+		$this->logger   = $logger;
+	}
+
+	/**
+	 * Registers the reporter and capturer filters if any reporter is set up.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		foreach ( self::REPORTERS as $reporter ) {
+			if ( $this->is_configured( $reporter ) ) {
+				add_filter( 'kntnt_ad_attr_conversion_reporters', [ $this, 'add_reporters' ], 5 );
+				add_filter( 'kntnt_ad_attr_click_id_capturers', [ $this, 'add_capturers' ], 5 );
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Gets the reporter labels keyed by reporter ID.
+	 *
+	 * @return array<string, string> Reporter ID => label.
+	 * @since 1.9.0
+	 */
+	public static function get_labels(): array {
+		return [
+			'google_ads' => 'Google Ads',
+			'meta'       => 'Meta',
+			'ga4'        => 'Google Analytics 4',
+		];
+	}
+
+	/**
+	 * Checks whether a reporter is enabled and has all required settings.
+	 *
+	 * @param string $reporter Reporter ID.
+	 *
+	 * @return bool True if the reporter should be registered.
+	 * @since 1.9.0
+	 */
+	public function is_configured( string $reporter ): bool {
+
+		if ( ! isset( self::REQUIRED_SETTINGS[ $reporter ] ) || ! $this->settings->get( "{$reporter}_enabled" ) ) {
+			return false;
+		}
+
+		foreach ( self::REQUIRED_SETTINGS[ $reporter ] as $key ) {
+			if ( (string) $this->settings->get( $key ) === '' ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Adds the configured reporters on `kntnt_ad_attr_conversion_reporters`.
+	 *
+	 * @param array<string, array> $reporters Reporters registered so far.
+	 *
+	 * @return array<string, array> Reporters including the built-in ones.
+	 * @since 1.9.0
+	 */
+	public function add_reporters( array $reporters ): array {
+		$labels = self::get_labels();
+
+		foreach ( self::REPORTERS as $reporter ) {
+			if ( isset( $reporters[ $reporter ] ) || ! $this->is_configured( $reporter ) ) {
+				continue;
+			}
+			$reporters[ $reporter ] = [
+				'label'   => $labels[ $reporter ],
+				'enqueue' => fn( array $attributions, array $click_ids, array $campaigns, array $context ): array => $this->enqueue( $reporter, $attributions, $click_ids, $campaigns, $context ),
+				'process' => fn( array $payload ): bool => $this->process( $reporter, $payload ),
+			];
+		}
+
+		return $reporters;
+	}
+
+	/**
+	 * Adds the click-ID parameters of the configured reporters.
+	 *
+	 * @param array<string, string> $capturers Platform => GET parameter.
+	 *
+	 * @return array<string, string> Capturers including the built-in ones.
+	 * @since 1.9.0
+	 */
+	public function add_capturers( array $capturers ): array {
+		foreach ( self::CLICK_ID_PARAMETERS as $reporter => $parameter ) {
+			if ( ! isset( $capturers[ $reporter ] ) && $this->is_configured( $reporter ) ) {
+				$capturers[ $reporter ] = $parameter;
+			}
+		}
+		return $capturers;
+	}
+
+	/**
+	 * Builds the queue items for a conversion.
+	 *
+	 * Only hashes that were credited with the conversion are reported.
+	 * Payloads hold no credentials; those are read when the job runs.
+	 *
+	 * @param string                               $reporter     Reporter ID.
+	 * @param array<string, float>                 $attributions Hash => attribution weight.
+	 * @param array<string, array<string, string>> $click_ids    Hash => [ platform => click ID ].
+	 * @param array<string, array<string, string>> $campaigns    Hash => UTM fields.
+	 * @param array<string, mixed>                 $context      Conversion context.
+	 *
+	 * @return array<int, array{payload: array, label: string}> Queue items.
+	 * @since 1.9.0
+	 */
+	private function enqueue( string $reporter, array $attributions, array $click_ids, array $campaigns, array $context ): array {
+		$values = (array) ( $context['attributed_values'] ?? [] );
+
+		return match ( $reporter ) {
+			'google_ads' => $this->enqueue_google_ads( $values, $click_ids, $context ),
+			'meta'       => $this->enqueue_meta( $values, $click_ids, $context ),
+			'ga4'        => $this->enqueue_ga4( array_intersect_key( $attributions, $values ), $campaigns, $context ),
+			default      => [],
+		};
+	}
+
+	/**
+	 * Sends a queued payload to the reporter's API.
+	 *
+	 * @param string               $reporter Reporter ID.
+	 * @param array<string, mixed> $payload  Queued payload.
+	 *
+	 * @return bool True if the platform accepted the conversion.
+	 * @since 1.9.0
+	 */
+	private function process( string $reporter, array $payload ): bool {
+		return match ( $reporter ) {
+			'google_ads' => $this->process_google_ads( $payload ),
+			'meta'       => $this->process_meta( $payload ),
+			'ga4'        => $this->process_ga4( $payload ),
+			default      => false,
+		};
+	}
+
+	/**
+	 * Builds one click conversion per credited hash with a Google Ads click ID.
+	 *
+	 * The gclid is used when present, otherwise the gbraid or the wbraid.
+	 *
+	 * @param array<string, float|null>            $values    Hash => attributed value.
+	 * @param array<string, array<string, string>> $click_ids Hash => [ platform => click ID ].
+	 * @param array<string, mixed>                 $context   Conversion context.
+	 *
+	 * @return array<int, array{payload: array, label: string}> Queue items.
+	 * @since 1.9.0
+	 */
+	private function enqueue_google_ads( array $values, array $click_ids, array $context ): array {
+		$customer_id = (string) $this->settings->get( 'google_ads_customer_id' );
+		$action      = (string) $this->settings->get( 'google_ads_conversion_action' );
+		$items       = [];
+
+		foreach ( $values as $hash => $value ) {
+			[ $field, $click_id ] = self::get_google_ads_click_id( $click_ids[ $hash ] ?? [] );
+			if ( $click_id === '' ) {
+				continue;
+			}
+			$items[] = [
+				'payload' => [
+					'customer_id'          => $customer_id,
+					'conversion_action'    => "customers/{$customer_id}/conversionActions/{$action}",
+					$field                 => $click_id,
+					'conversion_date_time' => gmdate( 'Y-m-d H:i:sP', (int) strtotime( (string) $context['timestamp'] ) ),
+					'conversion_value'     => $value,
+					'currency'             => (string) ( $context['currency'] ?? '' ),
+				],
+				'label'   => $field . ' ' . self::shorten( $click_id ),
+			];
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Builds one server event per credited hash with an fbclid.
+	 *
+	 * The fbclid is sent as an `fbc` parameter in the format the Meta Pixel
+	 * uses, timestamped with the time of the click, and the Pixel's `_fbp`
+	 * cookie is included when present.
+	 *
+	 * @param array<string, float|null>            $values    Hash => attributed value.
+	 * @param array<string, array<string, string>> $click_ids Hash => [ platform => click ID ].
+	 * @param array<string, mixed>                 $context   Conversion context.
+	 *
+	 * @return array<int, array{payload: array, label: string}> Queue items.
+	 * @since 1.9.0
+	 */
+	private function enqueue_meta( array $values, array $click_ids, array $context ): array {
+		$time  = (int) strtotime( (string) $context['timestamp'] );
+		$fbp   = (string) ( $_COOKIE['_fbp'] ?? '' );
+		$items = [];
+
+		foreach ( $values as $hash => $value ) {
+			$fbclid = $click_ids[ $hash ]['meta'] ?? '';
+			if ( $fbclid === '' ) {
+				continue;
+			}
+			$clicked_at = (int) ( $context['clicked_at'][ $hash ] ?? $time );
+			$items[]    = [
+				'payload' => [
+					'pixel_id'          => (string) $this->settings->get( 'meta_pixel_id' ),
+					'event_name'        => (string) $this->settings->get( 'meta_event_name' ),
+					'event_time'        => $time,
+					'event_id'          => md5( $hash . '|' . $context['timestamp'] ),
+					'event_source_url'  => (string) ( $context['page_url'] ?? '' ),
+					'fbc'               => 'fb.1.' . ( $clicked_at * 1000 ) . '.' . $fbclid,
+					'fbp'               => preg_match( '/^fb\.\d\.\d+\.\d+$/', $fbp ) ? $fbp : '',
+					'client_ip_address' => (string) ( $context['ip'] ?? '' ),
+					'client_user_agent' => (string) ( $context['user_agent'] ?? '' ),
+					'value'             => $value,
+					'currency'          => (string) ( $context['currency'] ?? '' ),
+					'content_name'      => (string) ( $context['label'] ?? '' ),
+				],
+				'label'   => 'fbclid ' . self::shorten( $fbclid ),
+			];
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Builds a single event for the conversion.
+	 *
+	 * GA4 counts events, so the conversion is sent once with its full value
+	 * and the campaign of the click with the largest weight.
+	 *
+	 * @param array<string, float>                 $weights   Credited hash => attribution weight.
+	 * @param array<string, array<string, string>> $campaigns Hash => UTM fields.
+	 * @param array<string, mixed>                 $context   Conversion context.
+	 *
+	 * @return array<int, array{payload: array, label: string}> Queue items.
+	 * @since 1.9.0
+	 */
+	private function enqueue_ga4( array $weights, array $campaigns, array $context ): array {
+
+		if ( empty( $weights ) ) {
+			return [];
+		}
+
+		arsort( $weights );
+		$campaign   = $campaigns[ array_key_first( $weights ) ] ?? [];
+		$event_name = (string) $this->settings->get( 'ga4_event_name' );
+
+		return [
+			[
+				'payload' => [
+					'measurement_id'   => (string) $this->settings->get( 'ga4_measurement_id' ),
+					'client_id'        => $this->get_ga4_client_id(),
+					'timestamp_micros' => (int) strtotime( (string) $context['timestamp'] ) * 1000000,
+					'event_name'       => $event_name,
+					'params'           => self::compact_fields( [
+						'value'            => $context['value'] ?? null,
+						'currency'         => $context['currency'] ?? '',
+						'campaign_id'      => $campaign['utm_id'] ?? '',
+						'campaign'         => $campaign['utm_campaign'] ?? '',
+						'source'           => $campaign['utm_source'] ?? '',
+						'medium'           => $campaign['utm_medium'] ?? '',
+						'term'             => $campaign['utm_term'] ?? '',
+						'content'          => $campaign['utm_content'] ?? '',
+						'conversion_label' => $context['label'] ?? '',
+					] ),
+				],
+				'label'   => trim( $event_name . ' ' . ( $campaign['utm_campaign'] ?? '' ) ),
+			],
+		];
+	}
+
+	/**
+	 * Uploads a click conversion to the Google Ads API.
+	 *
+	 * @param array<string, mixed> $payload Queued payload.
+	 *
+	 * @return bool True if the conversion was accepted.
+	 * @since 1.9.0
+	 */
+	private function process_google_ads( array $payload ): bool {
+		$token = $this->get_google_ads_token();
+
+		if ( $token === null ) {
+			return false;
+		}
+
+		$headers = [
+			'Authorization'   => "Bearer {$token}",
+			'developer-token' => (string) $this->settings->get( 'google_ads_developer_token' ),
+			'Content-Type'    => 'application/json',
+		];
+
+		$login_customer_id = (string) $this->settings->get( 'google_ads_login_customer_id' );
+		if ( $login_customer_id !== '' ) {
+			$headers['login-customer-id'] = $login_customer_id;
+		}
+
+		// The payload holds one of the three click IDs, which is sent first.
+		$click_id_fields = self::compact_fields( [
+			'gclid'  => $payload['gclid'] ?? '',
+			'gbraid' => $payload['gbraid'] ?? '',
+			'wbraid' => $payload['wbraid'] ?? '',
+		] );
+
+		$conversion = $click_id_fields + self::compact_fields( [
+			'conversionAction'   => $payload['conversion_action'] ?? '',
+			'conversionDateTime' => $payload['conversion_date_time'] ?? '',
+			'conversionValue'    => $payload['conversion_value'] ?? null,
+			'currencyCode'       => $payload['currency'] ?? '',
+		] );
+
+		$data = $this->post( 'google_ads', sprintf( $this->get_endpoint( 'google_ads' ), $payload['customer_id'] ?? '' ), [
+			'headers' => $headers,
+			'body'    => wp_json_encode( [ 'conversions' => [ $conversion ], 'partialFailure' => true ] ),
+		] );
+
+		// Drop the cached token, in case it was the reason, so the retry starts afresh.
+		if ( $data === null ) {
+			delete_transient( self::GOOGLE_ADS_TOKEN_TRANSIENT );
+			return false;
+		}
+
+		// With partial failure enabled, a rejected conversion still returns HTTP 200.
+		if ( ! empty( $data['partialFailureError'] ) ) {
+			$this->logger->error( 'GADS', 'Conversion rejected: ' . ( $data['partialFailureError']['message'] ?? wp_json_encode( $data['partialFailureError'] ) ) );
+			return false;
+		}
+
+		$field = (string) ( array_key_first( $click_id_fields ) ?? 'gclid' );
+		$this->logger->info( 'GADS', "Uploaded conversion for {$field} " . self::shorten( (string) ( $click_id_fields[ $field ] ?? '' ) ) );
+		return true;
+	}
+
+	/**
+	 * Sends a server event to the Meta Conversions API.
+	 *
+	 * @param array<string, mixed> $payload Queued payload.
+	 *
+	 * @return bool True if Meta received the event.
+	 * @since 1.9.0
+	 */
+	private function process_meta( array $payload ): bool {
+
+		$event = [
+			'event_name'       => $payload['event_name'] ?? '',
+			'event_time'       => $payload['event_time'] ?? time(),
+			'event_id'         => $payload['event_id'] ?? '',
+			'action_source'    => 'website',
+			'event_source_url' => $payload['event_source_url'] ?? '',
+			'user_data'        => self::compact_fields( [
+				'fbc'               => $payload['fbc'] ?? '',
+				'fbp'               => $payload['fbp'] ?? '',
+				'client_ip_address' => $payload['client_ip_address'] ?? '',
+				'client_user_agent' => $payload['client_user_agent'] ?? '',
+			] ),
+			'custom_data'      => (object) self::compact_fields( [
+				'value'        => $payload['value'] ?? null,
+				'currency'     => $payload['currency'] ?? '',
+				'content_name' => $payload['content_name'] ?? '',
+			] ),
+		];
+
+		$body = [
+			'data'         => [ $event ],
+			'access_token' => (string) $this->settings->get( 'meta_access_token' ),
+		];
+
+		$test_event_code = (string) $this->settings->get( 'meta_test_event_code' );
+		if ( $test_event_code !== '' ) {
+			$body['test_event_code'] = $test_event_code;
+		}
+
+		$data = $this->post( 'meta', sprintf( $this->get_endpoint( 'meta' ), $payload['pixel_id'] ?? '' ), [
+			'headers' => [ 'Content-Type' => 'application/json' ],
+			'body'    => wp_json_encode( $body ),
+		] );
+
+		if ( $data === null ) {
+			return false;
+		}
+
+		if ( (int) ( $data['events_received'] ?? 0 ) < 1 ) {
+			$this->logger->error( 'META', 'Event not received: ' . wp_json_encode( $data ) );
+			return false;
+		}
+
+		$this->logger->info( 'META', 'Sent event ' . ( $payload['event_id'] ?? '' ) );
+		return true;
+	}
+
+	/**
+	 * Sends an event to the GA4 Measurement Protocol.
+	 *
+	 * The Measurement Protocol accepts any well-formed request with a 2xx
+	 * status and doesn't report validation errors.
+	 *
+	 * @param array<string, mixed> $payload Queued payload.
+	 *
+	 * @return bool True if the request was accepted.
+	 * @since 1.9.0
+	 */
+	private function process_ga4( array $payload ): bool {
+
+		$query = http_build_query( [
+			'measurement_id' => $payload['measurement_id'] ?? '',
+			'api_secret'     => (string) $this->settings->get( 'ga4_api_secret' ),
+		] );
+
+		$endpoint = $this->get_endpoint( 'ga4' );
+
+		$data = $this->post( 'ga4', $endpoint . ( str_contains( $endpoint, '?' ) ? '&' : '?' ) . $query, [
+			'headers' => [ 'Content-Type' => 'application/json' ],
+			'body'    => wp_json_encode( [
+				'client_id'        => $payload['client_id'] ?? '',
+				'timestamp_micros' => $payload['timestamp_micros'] ?? time() * 1000000,
+				'events'           => [
+					[
+						'name'   => $payload['event_name'] ?? '',
+						'params' => (object) ( $payload['params'] ?? [] ),
+					],
+				],
+			] ),
+		] );
+
+		if ( $data === null ) {
+			return false;
+		}
+
+		$this->logger->info( 'GA4', 'Sent event ' . ( $payload['event_name'] ?? '' ) . ' for client ' . ( $payload['client_id'] ?? '' ) );
+		return true;
+	}
+
+	/**
+	 * Gets a Google Ads access token, refreshing it when the cache is empty.
+	 *
+	 * @return string|null Access token, or null if it couldn't be obtained.
+	 * @since 1.9.0
+	 */
+	private function get_google_ads_token(): ?string {
+		$token = get_transient( self::GOOGLE_ADS_TOKEN_TRANSIENT );
+
+		if ( is_string( $token ) && $token !== '' ) {
+			return $token;
+		}
+
+		$data = $this->post( 'google_ads', $this->get_endpoint( 'google_ads_token' ), [
+			'body' => [
+				'grant_type'    => 'refresh_token',
+				'client_id'     => (string) $this->settings->get( 'google_ads_client_id' ),
+				'client_secret' => (string) $this->settings->get( 'google_ads_client_secret' ),
+				'refresh_token' => (string) $this->settings->get( 'google_ads_refresh_token' ),
+			],
+		] );
+
+		$token = (string) ( $data['access_token'] ?? '' );
+
+		if ( $token === '' ) {
+			if ( $data !== null ) {
+				$this->logger->error( 'GADS', 'Token response has no access token.' );
+			}
+			return null;
+		}
+
+		// Refresh five minutes before Google expires the token.
+		set_transient( self::GOOGLE_ADS_TOKEN_TRANSIENT, $token, max( 60, (int) ( $data['expires_in'] ?? 3600 ) - 300 ) );
+
+		return $token;
+	}
+
+	/**
+	 * Gets the GA4 client ID from the `_ga` cookie.
+	 *
+	 * Falls back to a random ID in the same format when the conversion is
+	 * recorded outside the visitor's request or GA4 isn't on the site.
+	 *
+	 * @return string Client ID.
+	 * @since 1.9.0
+	 */
+	private function get_ga4_client_id(): string {
+		if ( preg_match( '/^GA\d\.\d+\.(\d+\.\d+)$/', (string) ( $_COOKIE['_ga'] ?? '' ), $m ) ) {
+			return $m[1];
+		}
+		return wp_rand( 100000000, 2147483647 ) . '.' . time();
+	}
+
+	/**
+	 * Gets an API endpoint, filtered by `kntnt_ad_attr_reporter_endpoint`.
+	 *
+	 * @param string $endpoint Endpoint ID (a key of `ENDPOINTS`).
+	 *
+	 * @return string Endpoint URL, possibly with a `%s` placeholder.
+	 * @since 1.9.0
+	 */
+	private function get_endpoint( string $endpoint ): string {
+
+		/**
+		 * Filters the URL of a built-in reporter's API endpoint.
+		 *
+		 * @param string $url      Endpoint URL. A `%s` is replaced by the Google Ads customer ID or Meta pixel ID.
+		 * @param string $endpoint Endpoint ID: `google_ads`, `google_ads_token`, `meta` or `ga4`.
+		 *
+		 * @since 1.9.0
+		 */
+		return (string) apply_filters( 'kntnt_ad_attr_reporter_endpoint', self::ENDPOINTS[ $endpoint ], $endpoint );
+	}
+
+	/**
+	 * Sends a POST request and decodes the JSON response.
+	 *
+	 * Failures are logged with the status and response body, but never the
+	 * URL, which may carry a secret.
+	 *
+	 * @param string               $reporter Reporter ID, for the log prefix.
+	 * @param string               $url      Request URL.
+	 * @param array<string, mixed> $args     Arguments for `wp_remote_post()`.
+	 *
+	 * @return array|null Decoded response (empty if not JSON), or null on failure.
+	 * @since 1.9.0
+	 */
+	private function post( string $reporter, string $url, array $args ): ?array {
+		$prefix   = self::LOG_PREFIXES[ $reporter ];
+		$response = wp_remote_post( $url, $args + [ 'timeout' => self::TIMEOUT ] );
+
+		if ( is_wp_error( $response ) ) {
+			$this->logger->error( $prefix, 'Request failed: ' . $response->get_error_message() );
+			return null;
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+		$body = (string) wp_remote_retrieve_body( $response );
+
+		if ( $code < 200 || $code >= 300 ) {
+			$this->logger->error( $prefix, "HTTP {$code}: {$body}" );
+			return null;
+		}
+
+		$data = json_decode( $body, true );
+		return is_array( $data ) ? $data : [];
+	}
+
+	/**
+	 * Picks the Google Ads click ID of a click.
+	 *
+	 * @param array<string, string> $click_ids Platform => click ID.
+	 *
+	 * @return array{0: string, 1: string} The payload field and the click ID, which is empty if there is none.
+	 * @since 1.9.0
+	 */
+	private static function get_google_ads_click_id( array $click_ids ): array {
+		foreach ( self::GOOGLE_ADS_CLICK_IDS as $platform => $field ) {
+			if ( ( $click_ids[ $platform ] ?? '' ) !== '' ) {
+				return [ $field, (string) $click_ids[ $platform ] ];
+			}
+		}
+		return [ 'gclid', '' ];
+	}
+
+	/**
+	 * Removes null and empty-string fields, which the APIs reject.
+	 *
+	 * @param array<string, mixed> $fields Fields.
+	 *
+	 * @return array<string, mixed> Fields with a value.
+	 * @since 1.9.0
+	 */
+	private static function compact_fields( array $fields ): array {
+		return array_filter( $fields, fn( $value ) => $value !== null && $value !== '' );
+	}
+
+	/**
+	 * Shortens a click ID for queue labels and log messages.
+	 *
+	 * @param string $click_id Click ID.
+	 *
+	 * @return string The first 12 characters, followed by an ellipsis if cut.
+	 * @since 1.9.0
+	 */
+	private static function shorten( string $click_id ): string {
+		return mb_strlen( $click_id ) > 12 ? mb_substr( $click_id, 0, 12 ) . '…' : $click_id;
+	}
+
+}
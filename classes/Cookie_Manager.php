@@ -156,13 +156,13 @@ final class Cookie_Manager {
 	 * so the client-side script can pick up the hash and store it once consent
 	 * is granted.
 	 *
-	 * @param string $hash The SHA-256 hash to transport.
+	 * @param string $value The hash to transport, or a signed click from sign_click().
 	 *
 	 * @return void
 	 * @since 1.0.0
 	 */
-	public function set_transport_cookie( string $hash ): void {
-		setcookie( '_aah_pending', $hash, [
+	public function set_transport_cookie( string $value ): void {
+		setcookie( '_aah_pending', $value, [
 			'expires'  => time() + 60,
 			'path'     => '/',
 			'secure'   => true,
@@ -171,6 +171,50 @@ final class Cookie_Manager {
 		] );
 	}
 
+	/**
+	 * Signs a click for the deferred consent transport.
+	 *
+	 * The signed value travels through the transport cookie or URL fragment
+	 * and the client-side script's storage back to the REST endpoint, which
+	 * verifies it to stamp the cookie entry with the exact click time.
+	 *
+	 * @param string $hash      The SHA-256 hash that was clicked.
+	 * @param int    $timestamp Unix timestamp of the click record.
+	 *
+	 * @return string Signed click in `hash.timestamp.signature` format.
+	 * @since 1.9.0
+	 */
+	public function sign_click( string $hash, int $timestamp ): string {
+		return $hash . '.' . $timestamp . '.' . $this->get_click_signature( $hash, $timestamp );
+	}
+
+	/**
+	 * Verifies the signature of a click signed by sign_click().
+	 *
+	 * @param string $hash      The SHA-256 hash.
+	 * @param int    $timestamp The claimed click timestamp.
+	 * @param string $signature The signature to check.
+	 *
+	 * @return bool True if the signature matches the hash and timestamp.
+	 * @since 1.9.0
+	 */
+	public function verify_click( string $hash, int $timestamp, string $signature ): bool {
+		return hash_equals( $this->get_click_signature( $hash, $timestamp ), $signature );
+	}
+
+	/**
+	 * Computes the HMAC that binds a click timestamp to its hash.
+	 *
+	 * @param string $hash      The SHA-256 hash.
+	 * @param int    $timestamp Unix timestamp of the click.
+	 *
+	 * @return string Hex-encoded HMAC-SHA256.
+	 * @since 1.9.0
+	 */
+	private function get_click_signature( string $hash, int $timestamp ): string {
+		return hash_hmac( 'sha256', 'click|' . $hash . '|' . $timestamp, wp_salt( 'nonce' ) );
+	}
+
 	/**
 	 * Writes the _ad_last_conv deduplication cookie.
 	 *
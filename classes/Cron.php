@@ -3,7 +3,8 @@
  * Daily housekeeping and target page integrity checks.
  *
  * Handles the scheduled cron cleanup of orphaned click records, expired data,
- * and tracking URLs whose target pages no longer exist.
+ * and tracking URLs whose target pages no longer exist, and the daily summary
+ * of clicks suspected of click fraud.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.0.0
@@ -18,7 +19,8 @@ namespace Kntnt\Ad_Attribution;
  *
  * Hooks into the scheduled `kntnt_ad_attr_daily_cleanup` event to remove
  * expired clicks, orphaned conversions, and deactivate tracking URLs whose
- * target pages no longer exist. Also warns when a target page is trashed.
+ * target pages no longer exist. Also warns when a target page is trashed,
+ * and when clicks were flagged as suspected click fraud the last day.
  *
  * @since 1.0.0
  */
@@ -78,17 +80,20 @@ final class Cron {
 	/**
 	 * Cron callback for daily housekeeping.
 	 *
-	 * Removes expired clicks, orphaned conversions/clicks, and drafts
-	 * tracking URLs whose target pages no longer exist.
+	 * Removes expired clicks, orphaned conversions/clicks/touchpoints, drafts
+	 * tracking URLs whose target pages no longer exist, and summarizes the
+	 * clicks flagged as suspected click fraud.
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Summarizes suspected clicks.
 	 */
 	public function run_daily_cleanup(): void {
 		$this->cleanup_clicks();
 		$this->cleanup_conversions();
 		$this->delete_orphaned_clicks();
 		$this->draft_orphaned_urls();
+		$this->summarize_suspected_clicks();
 
 		// Clean up adapter infrastructure tables.
 		$this->click_id_store->cleanup( 120 );
@@ -115,6 +120,7 @@ final class Cron {
 
 		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
 		$conv_table   = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+		$touch_table  = $wpdb->prefix . 'kntnt_ad_attr_touchpoints';
 		$cutoff       = gmdate( 'Y-m-d H:i:s', time() - ( $days * DAY_IN_SECONDS ) );
 
 		// Delete conversions linked to expired clicks first.
@@ -133,6 +139,13 @@ final class Cron {
 			$cutoff,
 		) );
 
+		// Delete the touchpoints of the expired clicks.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$wpdb->query( $wpdb->prepare(
+			"DELETE FROM {$touch_table} WHERE clicked_at < %s",
+			$cutoff,
+		) );
+
 		if ( $deleted > 0 ) {
 			$this->logger?->info( 'CORE', sprintf( 'Deleted %d expired click(s).', $deleted ) );
 		}
@@ -181,6 +194,7 @@ final class Cron {
 
 		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
 		$conv_table   = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+		$touch_table  = $wpdb->prefix . 'kntnt_ad_attr_touchpoints';
 
 		// Delete conversions linked to orphaned clicks first.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
@@ -207,6 +221,18 @@ final class Cron {
 			),
 		);
 
+		// Delete touchpoints of tracking URLs that no longer exist.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE t FROM {$touch_table} t
+				 LEFT JOIN {$wpdb->postmeta} pm ON pm.meta_key = '_hash' AND pm.meta_value = t.hash
+				 LEFT JOIN {$wpdb->posts} p ON p.ID = pm.post_id AND p.post_type = %s
+				 WHERE p.ID IS NULL",
+				Post_Type::SLUG,
+			),
+		);
+
 		if ( $deleted > 0 ) {
 			$this->logger?->info( 'CORE', sprintf( 'Deleted %d orphaned click(s).', $deleted ) );
 		}
@@ -257,6 +283,49 @@ final class Cron {
 		}
 	}
 
+	/**
+	 * Summarizes the clicks flagged as suspected click fraud the last day.
+	 *
+	 * Stores the number of flagged clicks and the tracking URLs with the
+	 * most of them in a transient, so an admin notice can point to the
+	 * review tab on the next page load.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function summarize_suspected_clicks(): void {
+		global $wpdb;
+
+		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+		$since        = gmdate( 'Y-m-d H:i:s', time() - DAY_IN_SECONDS );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT COALESCE(p.post_title, c.hash) AS title, COUNT(*) AS clicks
+			 FROM {$clicks_table} c
+			 LEFT JOIN {$wpdb->postmeta} pm ON pm.meta_key = '_hash' AND pm.meta_value = c.hash
+			 LEFT JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+			 WHERE c.fraud_status = 'flagged' AND c.clicked_at >= %s
+			 GROUP BY c.hash, title
+			 ORDER BY clicks DESC",
+			$since,
+		) );
+
+		if ( ! $rows ) {
+			return;
+		}
+
+		$total = array_sum( array_map( fn ( object $row ) => (int) $row->clicks, $rows ) );
+		$urls  = array_map(
+			fn ( object $row ) => [ 'title' => $row->title, 'clicks' => (int) $row->clicks ],
+			array_slice( $rows, 0, 5 ),
+		);
+
+		set_transient( 'kntnt_ad_attr_suspected_clicks', [ 'total' => $total, 'urls' => $urls ], DAY_IN_SECONDS );
+
+		$this->logger?->info( 'CORE', sprintf( 'Flagged %d suspected click(s) the last day.', $total ) );
+	}
+
 	/**
 	 * Warns administrators when a target page is trashed.
 	 *
@@ -298,6 +367,7 @@ final class Cron {
 	 *
 	 * @return void
 	 * @since 1.0.0
+	 * @since 1.9.0 Shows the daily summary of suspected clicks.
 	 */
 	public function display_admin_notices(): void {
 
@@ -360,6 +430,38 @@ final class Cron {
 
 			delete_transient( 'kntnt_ad_attr_trashed_target' );
 		}
+
+		// Suspected click fraud notice.
+		$suspected = get_transient( 'kntnt_ad_attr_suspected_clicks' );
+
+		if ( is_array( $suspected ) && ! empty( $suspected['total'] ) ) {
+			$count   = (int) $suspected['total'];
+			$message = sprintf(
+				/* translators: %d: Number of clicks flagged the last day. */
+				_n(
+					'%d click the last day was flagged as suspected click fraud.',
+					'%d clicks the last day were flagged as suspected click fraud.',
+					$count,
+					'kntnt-ad-attr',
+				),
+				$count,
+			);
+
+			printf(
+				'<div class="notice notice-warning is-dismissible"><p>%s</p><ul>',
+				esc_html( $message ),
+			);
+			foreach ( (array) ( $suspected['urls'] ?? [] ) as $url ) {
+				printf( '<li>%s (%d)</li>', esc_html( $url['title'] ), (int) $url['clicks'] );
+			}
+			printf(
+				'</ul><p><a href="%s">%s</a></p></div>',
+				esc_url( Fraud_Review::get_url() ),
+				esc_html__( 'Review suspected clicks', 'kntnt-ad-attr' ),
+			);
+
+			delete_transient( 'kntnt_ad_attr_suspected_clicks' );
+		}
 	}
 
 }
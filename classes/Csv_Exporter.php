@@ -29,7 +29,8 @@ final class Csv_Exporter {
 	 * Each item is a per-click row with optional conversion attribution.
 	 * Properties: hash, target_post_id, utm_source, utm_medium, utm_campaign,
 	 * utm_content, utm_term, utm_id, utm_source_platform, clicked_at,
-	 * fractional_conversion (nullable), converted_at (nullable).
+	 * fractional_conversion (nullable), conversion_value (nullable),
+	 * currency (nullable), label (nullable), converted_at (nullable).
 	 *
 	 * @param array<object> $items      Row objects from Campaign_List_Table::fetch_all_items().
 	 * @param string        $date_start Start date filter value ('1970-01-01' if unset).
@@ -82,6 +83,9 @@ final class Csv_Exporter {
 			__( 'Group', 'kntnt-ad-attr' ),
 			__( 'Clicked At', 'kntnt-ad-attr' ),
 			__( 'Attribution', 'kntnt-ad-attr' ),
+			__( 'Value', 'kntnt-ad-attr' ),
+			__( 'Currency', 'kntnt-ad-attr' ),
+			__( 'Label', 'kntnt-ad-attr' ),
 			__( 'Converted At', 'kntnt-ad-attr' ),
 		], $delimiter );
 
@@ -98,6 +102,11 @@ final class Csv_Exporter {
 				? number_format( (float) $item->fractional_conversion, 4, $decimal_point, '' )
 				: '';
 
+			// Format the attributed share of the conversion value, or empty if none.
+			$value = isset( $item->conversion_value )
+				? number_format( (float) $item->conversion_value, 4, $decimal_point, '' )
+				: '';
+
 			fputcsv( $output, [
 				$tracking_url,
 				$target_url ?: __( '(deleted)', 'kntnt-ad-attr' ),
@@ -110,6 +119,9 @@ final class Csv_Exporter {
 				$item->utm_source_platform ?? '',
 				$item->clicked_at ?? '',
 				$attribution,
+				$value,
+				$item->currency ?? '',
+				$item->label ?? '',
 				$item->converted_at ?? '',
 			], $delimiter );
 		}
@@ -0,0 +1,264 @@
+<?php
+/**
+ * Analytics dashboard tab on the admin page.
+ *
+ * Registers a "Dashboard" tab through the `kntnt_ad_attr_admin_tabs`
+ * mechanism and aggregates clicks and conversions per day or week for the
+ * time-series charts drawn by `js/dashboard.js`.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Renders the dashboard tab and provides its time series.
+ *
+ * @since 1.9.0
+ */
+final class Dashboard {
+
+	/**
+	 * Slug of the dashboard tab (`?tab=dashboard`).
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const TAB = 'dashboard';
+
+	/**
+	 * Supported time intervals.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const INTERVALS = [ 'day', 'week' ];
+
+	/**
+	 * Supported grouping dimensions mapped to their postmeta keys.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	public const GROUPS = [
+		'utm_source'   => '_utm_source',
+		'utm_medium'   => '_utm_medium',
+		'utm_campaign' => '_utm_campaign',
+	];
+
+	/**
+	 * Registers the tab and its renderer.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		add_filter( 'kntnt_ad_attr_admin_tabs', [ $this, 'add_tab' ] );
+		add_action( 'kntnt_ad_attr_admin_tab_' . self::TAB, [ $this, 'render_tab' ] );
+	}
+
+	/**
+	 * Adds the dashboard to the admin page tabs.
+	 *
+	 * @param array<string, string> $tabs Tab slug => label.
+	 *
+	 * @return array<string, string> Tabs including the dashboard.
+	 * @since 1.9.0
+	 */
+	public function add_tab( array $tabs ): array {
+		$tabs[ self::TAB ] = __( 'Dashboard', 'kntnt-ad-attr' );
+		return $tabs;
+	}
+
+	/**
+	 * Renders the dashboard controls and chart containers.
+	 *
+	 * The charts are drawn client-side from the `dashboard` REST route.
+	 * The script is enqueued here, since it's only needed on this tab.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function render_tab(): void {
+		$params = ( new Campaign_List_Table() )->get_filter_params();
+
+		wp_enqueue_script(
+			'kntnt-ad-attr-dashboard',
+			Plugin::get_plugin_url() . 'js/dashboard.js',
+			[],
+			Plugin::get_version(),
+			true,
+		);
+
+		wp_localize_script( 'kntnt-ad-attr-dashboard', 'kntntAdAttrDashboard', [
+			'reportUrl' => rest_url( 'kntnt-ad-attribution/v1/dashboard' ),
+			'nonce'     => wp_create_nonce( 'wp_rest' ),
+			'i18n'      => [
+				'clicks'         => __( 'Clicks', 'kntnt-ad-attr' ),
+				'conversions'    => __( 'Conversions', 'kntnt-ad-attr' ),
+				'conversionRate' => __( 'Conversion rate', 'kntnt-ad-attr' ),
+				'other'          => __( 'Other', 'kntnt-ad-attr' ),
+				'none'           => __( '(not set)', 'kntnt-ad-attr' ),
+				'noData'         => __( 'No clicks in this date range.', 'kntnt-ad-attr' ),
+				'error'          => __( 'The dashboard data could not be loaded.', 'kntnt-ad-attr' ),
+			],
+		] );
+
+		$groups = [
+			'utm_source'   => __( 'Source', 'kntnt-ad-attr' ),
+			'utm_medium'   => __( 'Medium', 'kntnt-ad-attr' ),
+			'utm_campaign' => __( 'Campaign', 'kntnt-ad-attr' ),
+		];
+
+		$intervals = [
+			'day'  => __( 'Daily', 'kntnt-ad-attr' ),
+			'week' => __( 'Weekly', 'kntnt-ad-attr' ),
+		];
+
+		echo '<div id="kntnt-ad-attr-dashboard" class="kntnt-ad-attr-dashboard">';
+
+		echo '<form class="kntnt-ad-attr-filters kntnt-ad-attr-dashboard-controls">';
+		echo '<input type="date" name="date_start" value="' . esc_attr( $params['date_start'] ) . '" aria-label="' . esc_attr__( 'Start date', 'kntnt-ad-attr' ) . '">';
+		echo '<input type="date" name="date_end" value="' . esc_attr( $params['date_end'] ) . '" aria-label="' . esc_attr__( 'End date', 'kntnt-ad-attr' ) . '">';
+
+		echo '<select name="interval" aria-label="' . esc_attr__( 'Interval', 'kntnt-ad-attr' ) . '">';
+		foreach ( $intervals as $value => $label ) {
+			echo '<option value="' . esc_attr( $value ) . '">' . esc_html( $label ) . '</option>';
+		}
+		echo '</select>';
+
+		echo '<select name="group_by" aria-label="' . esc_attr__( 'Group by', 'kntnt-ad-attr' ) . '">';
+		foreach ( $groups as $value => $label ) {
+			echo '<option value="' . esc_attr( $value ) . '">' . esc_html( $label ) . '</option>';
+		}
+		echo '</select>';
+		echo '</form>';
+
+		echo '<p class="kntnt-ad-attr-dashboard-status" role="status"></p>';
+
+		foreach ( [ 'clicks', 'conversions', 'rate' ] as $metric ) {
+			echo '<div class="kntnt-ad-attr-chart" data-metric="' . esc_attr( $metric ) . '"></div>';
+		}
+
+		echo '</div>';
+	}
+
+	/**
+	 * Returns clicks and conversions per period and group.
+	 *
+	 * Conversions are counted on the day of the click they are attributed
+	 * to, as in the campaign list, so the periods add up to its totals.
+	 * Only published tracking URLs are included, and clicks awaiting
+	 * confirmation by the interstitial page are left out, as are clicks
+	 * suspected of click fraud and their conversions. Weeks begin on the
+	 * WordPress "Week Starts On" day and are labeled by their first day.
+	 *
+	 * @param string $date_start First click date (Y-m-d), inclusive.
+	 * @param string $date_end   Last click date (Y-m-d), inclusive.
+	 * @param string $interval   'day' or 'week'.
+	 * @param string $group_by   'utm_source', 'utm_medium' or 'utm_campaign'.
+	 *
+	 * @return array{interval: string, group_by: string, periods: string[], series: array<int, array{key: string, clicks: int[], conversions: float[]}>}
+	 *         Series are sorted by total clicks, most first. Each series has one value per period.
+	 * @since 1.9.0
+	 */
+	public function get_series( string $date_start, string $date_end, string $interval, string $group_by ): array {
+		global $wpdb;
+
+		$interval = in_array( $interval, self::INTERVALS, true ) ? $interval : 'day';
+		$group_by = array_key_exists( $group_by, self::GROUPS ) ? $group_by : 'utm_source';
+
+		// Map every day in the range to its period.
+		$day_periods = $this->get_day_periods( $date_start, $date_end, $interval );
+		$periods     = array_values( array_unique( $day_periods ) );
+		$index       = array_flip( $periods );
+
+		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+		$conv_table   = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+		$uncounted    = Campaign_List_Table::get_uncounted_click_condition();
+		$counted      = Campaign_List_Table::get_counted_conversion_condition();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT DATE(c.clicked_at) AS day,
+				COALESCE(pm_group.meta_value, '') AS group_key,
+				COUNT(DISTINCT IF({$uncounted}, NULL, c.id)) AS clicks,
+				COALESCE(SUM(cv.fractional_conversion), 0) AS conversions
+			 FROM {$clicks_table} c
+			 INNER JOIN {$wpdb->postmeta} pm_hash
+				ON pm_hash.meta_key = '_hash' AND pm_hash.meta_value = c.hash
+			 INNER JOIN {$wpdb->posts} p
+				ON p.ID = pm_hash.post_id AND p.post_type = %s AND p.post_status = 'publish'
+			 LEFT JOIN {$wpdb->postmeta} pm_group
+				ON pm_group.post_id = p.ID AND pm_group.meta_key = %s
+			 LEFT JOIN {$conv_table} cv
+				ON cv.click_id = c.id AND {$counted}
+			 WHERE c.clicked_at BETWEEN %s AND %s
+			 GROUP BY day, group_key",
+			Post_Type::SLUG,
+			self::GROUPS[ $group_by ],
+			$date_start . ' 00:00:00',
+			$date_end . ' 23:59:59',
+		) );
+
+		// Sum the daily rows into their periods, one series per group.
+		$series = [];
+		foreach ( $rows ?: [] as $row ) {
+			$period = $day_periods[ $row->day ] ?? null;
+			if ( $period === null ) {
+				continue;
+			}
+
+			$key = (string) $row->group_key;
+			$series[ $key ] ??= [
+				'key'         => $key,
+				'clicks'      => array_fill( 0, count( $periods ), 0 ),
+				'conversions' => array_fill( 0, count( $periods ), 0.0 ),
+			];
+
+			$series[ $key ]['clicks'][ $index[ $period ] ]      += (int) $row->clicks;
+			$series[ $key ]['conversions'][ $index[ $period ] ] += (float) $row->conversions;
+		}
+
+		$series = array_values( $series );
+		usort( $series, fn( $a, $b ) => array_sum( $b['clicks'] ) <=> array_sum( $a['clicks'] ) );
+
+		return [
+			'interval' => $interval,
+			'group_by' => $group_by,
+			'periods'  => $periods,
+			'series'   => $series,
+		];
+	}
+
+	/**
+	 * Maps each day of a date range to the period it belongs to.
+	 *
+	 * @param string $date_start First date (Y-m-d).
+	 * @param string $date_end   Last date (Y-m-d).
+	 * @param string $interval   'day' or 'week'.
+	 *
+	 * @return array<string, string> Day (Y-m-d) => period (Y-m-d of its first day).
+	 * @since 1.9.0
+	 */
+	private function get_day_periods( string $date_start, string $date_end, string $interval ): array {
+		$start_of_week = (int) get_option( 'start_of_week', 0 );
+		$first         = strtotime( $date_start . ' 00:00:00 UTC' );
+		$last          = strtotime( $date_end . ' 00:00:00 UTC' );
+
+		$day_periods = [];
+		for ( $day = $first; $day <= $last; $day += DAY_IN_SECONDS ) {
+			$period = $day;
+			if ( $interval === 'week' ) {
+				$period -= ( ( (int) gmdate( 'w', $day ) - $start_of_week + 7 ) % 7 ) * DAY_IN_SECONDS;
+			}
+			$day_periods[ gmdate( 'Y-m-d', $day ) ] = gmdate( 'Y-m-d', $period );
+		}
+
+		return $day_periods;
+	}
+
+}
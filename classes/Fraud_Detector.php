@@ -0,0 +1,494 @@
+<?php
+/**
+ * Click fraud scoring for tracking URL visits.
+ *
+ * Complements the User-Agent matching of Bot_Detector with signals that
+ * a single request can't reveal on its own: the rate of clicks from one
+ * network and on one tracking URL, addresses in known datacenter ranges,
+ * missing browser headers and machine-like timing. Each signal adds points
+ * to the click's score; clicks that reach the configured threshold are
+ * recorded flagged rather than dropped, so they can be reviewed.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Scores clicks for signs of click fraud.
+ *
+ * Recent clicks on a tracking URL are counted in the clicks table. Recent
+ * clicks from a network are counted in the object cache, or in a transient
+ * without a persistent object cache, keyed by a hash of the network, so no
+ * IP address is stored.
+ *
+ * @since 1.9.0
+ */
+final class Fraud_Detector {
+
+	/**
+	 * Points each signal adds to the score of a click.
+	 *
+	 * Many visitors can share a network behind carrier NAT or in an office,
+	 * so the signals of the network, `ip_rate` and `timing`, add up to less
+	 * than the default threshold and need a signal of the click itself to
+	 * flag it.
+	 *
+	 * @var array<string, int>
+	 * @since 1.9.0
+	 */
+	public const SIGNALS = [
+		'ip_rate'    => 25,
+		'datacenter' => 40,
+		'headers'    => 30,
+		'timing'     => 20,
+		'hash_rate'  => 20,
+	];
+
+	/**
+	 * Review statuses of scored clicks.
+	 *
+	 * `flagged` awaits review, `fraud` is confirmed by a reviewer and
+	 * `valid` is cleared by one.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const STATUSES = [ 'flagged', 'fraud', 'valid' ];
+
+	/**
+	 * Review statuses of clicks that are left out of click counts.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const UNCOUNTED_STATUSES = [ 'flagged', 'fraud' ];
+
+	/**
+	 * Highest possible score.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const MAX_SCORE = 100;
+
+	/**
+	 * Seconds during which clicks are counted for the rate signals.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const WINDOW = HOUR_IN_SECONDS;
+
+	/**
+	 * Fewest seconds between two clicks from one network before they count as too fast.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const MIN_INTERVAL = 2;
+
+	/**
+	 * Number of clicks from one network whose intervals are compared for regularity.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const TIMING_CLICKS = 5;
+
+	/**
+	 * Object cache group of the network counters.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const CACHE_GROUP = 'kntnt_ad_attr_fraud';
+
+	/**
+	 * Settings instance for reading whether detection is on and its threshold.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Datacenter ranges, read once per request.
+	 *
+	 * @var string[]|null
+	 * @since 1.9.0
+	 */
+	private ?array $datacenter_ranges = null;
+
+	/**
+	 * Initializes the fraud detector with its dependencies.
+	 *
+	 * @param Settings $settings Settings instance.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings ) {
+		$this->settings = $settings;
+	}
+
+	/**
+	 * Returns whether clicks are scored.
+	 *
+	 * @return bool True unless detection is turned off on the settings page.
+	 * @since 1.9.0
+	 */
+	public function is_enabled(): bool {
+		return $this->settings->get( 'fraud_detection' ) !== 'off';
+	}
+
+	/**
+	 * Returns whether clicks that reach the threshold are flagged.
+	 *
+	 * With scores only recorded, a site can see what would be flagged
+	 * before any click is left out of its counts.
+	 *
+	 * @return bool True if suspected clicks are flagged.
+	 * @since 1.9.0
+	 */
+	public function is_flagging(): bool {
+		return $this->settings->get( 'fraud_detection' ) === 'flag';
+	}
+
+	/**
+	 * Returns the score at which a click is flagged.
+	 *
+	 * @return int Threshold between 1 and MAX_SCORE.
+	 * @since 1.9.0
+	 */
+	public function get_threshold(): int {
+		return max( 1, min( self::MAX_SCORE, (int) $this->settings->get( 'fraud_threshold' ) ) );
+	}
+
+	/**
+	 * Returns the labels of the signals.
+	 *
+	 * @return array<string, string> Signal => label.
+	 * @since 1.9.0
+	 */
+	public static function get_reason_labels(): array {
+		return [
+			'ip_rate'    => __( 'Many clicks from one network', 'kntnt-ad-attr' ),
+			'datacenter' => __( 'Datacenter IP address', 'kntnt-ad-attr' ),
+			'headers'    => __( 'Missing browser headers', 'kntnt-ad-attr' ),
+			'timing'     => __( 'Machine-like timing', 'kntnt-ad-attr' ),
+			'hash_rate'  => __( 'Many clicks on the tracking URL', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Scores the current request as a click on a tracking URL.
+	 *
+	 * Also counts the click for the rate and timing signals of later
+	 * clicks, so call it once per recorded click.
+	 *
+	 * @param string $hash Hash of the clicked tracking URL.
+	 * @param int    $now  Unix timestamp of the click.
+	 *
+	 * @return array{score: int, reasons: string[], suspected: bool}|null
+	 *         Score, signals that contributed and whether the click is to be
+	 *         flagged, or null if detection is turned off.
+	 * @since 1.9.0
+	 */
+	public function score( string $hash, int $now ): ?array {
+		if ( ! $this->is_enabled() ) {
+			return null;
+		}
+
+		$ip      = $_SERVER['REMOTE_ADDR'] ?? '';
+		$reasons = [];
+
+		/** @var int $ip_limit Most clicks per hour from one network before the click is suspected. */
+		$ip_limit = max( 1, (int) apply_filters( 'kntnt_ad_attr_fraud_ip_limit', 10 ) );
+		[ $ip_count, $ip_clicks ] = $this->count_network_click( $this->get_network( $ip ), $now, $ip_limit );
+		if ( $ip_count > $ip_limit ) {
+			$reasons[] = 'ip_rate';
+		}
+
+		if ( $this->is_datacenter( $ip ) ) {
+			$reasons[] = 'datacenter';
+		}
+
+		if ( ! $this->has_browser_headers() ) {
+			$reasons[] = 'headers';
+		}
+
+		if ( $this->is_machine_timed( $ip_clicks ) ) {
+			$reasons[] = 'timing';
+		}
+
+		/** @var int $hash_limit Most clicks per hour on one tracking URL before the click is suspected. */
+		$hash_limit = max( 1, (int) apply_filters( 'kntnt_ad_attr_fraud_hash_limit', 100 ) );
+		if ( $this->count_hash_clicks( $hash, $now ) > $hash_limit ) {
+			$reasons[] = 'hash_rate';
+		}
+
+		$result = [
+			'score'   => array_sum( array_intersect_key( self::SIGNALS, array_flip( $reasons ) ) ),
+			'reasons' => $reasons,
+		];
+
+		/**
+		 * Filters the fraud score of a click before it's compared with the threshold.
+		 *
+		 * @param array{score: int, reasons: string[]} $result Score and the signals that contributed.
+		 * @param string                               $hash   Hash of the clicked tracking URL.
+		 *
+		 * @since 1.9.0
+		 */
+		$result = (array) apply_filters( 'kntnt_ad_attr_fraud_score', $result, $hash );
+
+		$score = max( 0, min( self::MAX_SCORE, (int) ( $result['score'] ?? 0 ) ) );
+
+		return [
+			'score'     => $score,
+			'reasons'   => array_values( array_filter( (array) ( $result['reasons'] ?? [] ), 'is_string' ) ),
+			'suspected' => $this->is_flagging() && $score >= $this->get_threshold(),
+		];
+	}
+
+	/**
+	 * Counts a click from a network.
+	 *
+	 * With a persistent object cache, the clicks are counted atomically per
+	 * hour, with the previous hour weighted by how much of it is still
+	 * within the window, and only the latest clicks are kept for the timing
+	 * signal. Without one, a transient keeps the timestamps of the recent
+	 * clicks.
+	 *
+	 * @param string $network Network address.
+	 * @param int    $now     Unix timestamp of the click.
+	 * @param int    $limit   Most clicks per hour before the click is suspected.
+	 *
+	 * @return array{0: int, 1: int[]} Number of clicks within the last hour and
+	 *                                 timestamps of the latest clicks, oldest
+	 *                                 first, both including this one.
+	 * @since 1.9.0
+	 */
+	private function count_network_click( string $network, int $now, int $limit ): array {
+		$key = 'kntnt_ad_attr_frip_' . md5( $network );
+
+		if ( ! wp_using_ext_object_cache() ) {
+			$clicks = self::add_click( get_transient( $key ), $now, max( $limit + 1, self::TIMING_CLICKS ) );
+			set_transient( $key, $clicks, self::WINDOW );
+			return [ count( $clicks ), $clicks ];
+		}
+
+		$window = intdiv( $now, self::WINDOW );
+		wp_cache_add( "{$key}_{$window}", 0, self::CACHE_GROUP, 2 * self::WINDOW );
+		$count    = (int) wp_cache_incr( "{$key}_{$window}", 1, self::CACHE_GROUP );
+		$previous = (int) wp_cache_get( "{$key}_" . ( $window - 1 ), self::CACHE_GROUP );
+		$count   += (int) round( $previous * ( self::WINDOW - $now % self::WINDOW ) / self::WINDOW );
+
+		// A timestamp lost to a concurrent click only weakens the timing signal.
+		$clicks = self::add_click( wp_cache_get( $key, self::CACHE_GROUP ), $now, self::TIMING_CLICKS );
+		wp_cache_set( $key, $clicks, self::CACHE_GROUP, self::WINDOW );
+
+		return [ $count, $clicks ];
+	}
+
+	/**
+	 * Counts the clicks on a tracking URL within the last hour.
+	 *
+	 * @param string $hash Hash of the tracking URL.
+	 * @param int    $now  Unix timestamp of the click.
+	 *
+	 * @return int Number of clicks, including this one.
+	 * @since 1.9.0
+	 */
+	private function count_hash_clicks( string $hash, int $now ): int {
+		global $wpdb;
+
+		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+
+		// The click being scored is inserted afterwards, so it's added here.
+		return 1 + (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT COUNT(*) FROM {$clicks_table} WHERE hash = %s AND clicked_at > %s",
+			$hash,
+			gmdate( 'Y-m-d H:i:s', $now - self::WINDOW ),
+		) );
+	}
+
+	/**
+	 * Adds a click to a list of recent clicks.
+	 *
+	 * @param mixed $clicks Stored timestamps, or anything else for none.
+	 * @param int   $now    Unix timestamp of the click.
+	 * @param int   $keep   Most clicks to keep.
+	 *
+	 * @return int[] Timestamps of the recent clicks, oldest first, including this one.
+	 * @since 1.9.0
+	 */
+	private static function add_click( mixed $clicks, int $now, int $keep ): array {
+		$clicks = is_array( $clicks ) ? array_filter( $clicks, fn( $ts ) => is_int( $ts ) && $ts > $now - self::WINDOW ) : [];
+
+		$clicks[] = $now;
+
+		return array_slice( array_values( $clicks ), -$keep );
+	}
+
+	/**
+	 * Returns the network of an IP address.
+	 *
+	 * Neighbouring addresses are usually controlled by the same party, so
+	 * clicks are counted per /24 for IPv4 and per /48 for IPv6.
+	 *
+	 * @param string $ip IP address.
+	 *
+	 * @return string Network address, or the input if it isn't an IP address.
+	 * @since 1.9.0
+	 */
+	private function get_network( string $ip ): string {
+		if ( filter_var( $ip, FILTER_VALIDATE_IP ) === false ) {
+			return $ip;
+		}
+
+		$packed = inet_pton( $ip );
+		$prefix = strlen( $packed ) === 4 ? 3 : 6;
+
+		return (string) inet_ntop( str_pad( substr( $packed, 0, $prefix ), strlen( $packed ), "\0" ) );
+	}
+
+	/**
+	 * Returns whether an IP address is in a known datacenter range.
+	 *
+	 * @param string $ip IP address.
+	 *
+	 * @return bool True if a range of the list contains the address.
+	 * @since 1.9.0
+	 */
+	private function is_datacenter( string $ip ): bool {
+		foreach ( $this->get_datacenter_ranges() as $range ) {
+			if ( self::in_range( $ip, (string) $range ) ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Returns the known datacenter ranges.
+	 *
+	 * Read from `data/datacenter-ranges.txt`, one CIDR range per line, and
+	 * filterable via `kntnt_ad_attr_datacenter_ranges`.
+	 *
+	 * @return string[] CIDR ranges.
+	 * @since 1.9.0
+	 */
+	private function get_datacenter_ranges(): array {
+		if ( $this->datacenter_ranges !== null ) {
+			return $this->datacenter_ranges;
+		}
+
+		$file   = Plugin::get_plugin_dir() . 'data/datacenter-ranges.txt';
+		$lines  = is_readable( $file ) ? file( $file, FILE_IGNORE_NEW_LINES ) : [];
+		$ranges = array_filter( array_map( 'trim', $lines ?: [] ), fn( $line ) => $line !== '' && ! str_starts_with( $line, '#' ) );
+
+		/**
+		 * Filters the IP ranges whose clicks are scored as datacenter traffic.
+		 *
+		 * @param string[] $ranges CIDR ranges, IPv4 or IPv6.
+		 *
+		 * @since 1.9.0
+		 */
+		$this->datacenter_ranges = array_values( (array) apply_filters( 'kntnt_ad_attr_datacenter_ranges', array_values( $ranges ) ) );
+
+		return $this->datacenter_ranges;
+	}
+
+	/**
+	 * Returns whether an IP address is in a CIDR range.
+	 *
+	 * @param string $ip    IP address.
+	 * @param string $range CIDR range, or a single address.
+	 *
+	 * @return bool False for invalid input or addresses of the other IP version.
+	 * @since 1.9.0
+	 */
+	private static function in_range( string $ip, string $range ): bool {
+		[ $subnet, $bits ] = array_pad( explode( '/', $range, 2 ), 2, null );
+
+		if ( filter_var( $ip, FILTER_VALIDATE_IP ) === false || filter_var( $subnet, FILTER_VALIDATE_IP ) === false ) {
+			return false;
+		}
+
+		$ip_packed     = inet_pton( $ip );
+		$subnet_packed = inet_pton( $subnet );
+		$length        = strlen( $ip_packed ) * 8;
+		$bits          = $bits === null ? $length : (int) $bits;
+
+		if ( strlen( $subnet_packed ) !== strlen( $ip_packed ) || $bits < 0 || $bits > $length ) {
+			return false;
+		}
+
+		// Compare the whole bytes of the prefix, then the bits of the last partial byte.
+		$bytes = intdiv( $bits, 8 );
+		if ( substr( $ip_packed, 0, $bytes ) !== substr( $subnet_packed, 0, $bytes ) ) {
+			return false;
+		}
+
+		$remainder = $bits % 8;
+		if ( $remainder === 0 ) {
+			return true;
+		}
+
+		$mask = ( 0xFF << ( 8 - $remainder ) ) & 0xFF;
+		return ( ord( $ip_packed[ $bytes ] ) & $mask ) === ( ord( $subnet_packed[ $bytes ] ) & $mask );
+	}
+
+	/**
+	 * Returns whether the request has the headers every browser sends.
+	 *
+	 * Browsers send Accept and Accept-Language with each navigation; HTTP
+	 * libraries and simple bots often leave them out.
+	 *
+	 * @return bool True if both headers are present.
+	 * @since 1.9.0
+	 */
+	private function has_browser_headers(): bool {
+		return ( $_SERVER['HTTP_ACCEPT'] ?? '' ) !== '' && ( $_SERVER['HTTP_ACCEPT_LANGUAGE'] ?? '' ) !== '';
+	}
+
+	/**
+	 * Returns whether the latest clicks from a network are machine-timed.
+	 *
+	 * Two clicks less than MIN_INTERVAL seconds apart are too fast for a
+	 * person returning to an ad, and TIMING_CLICKS clicks whose intervals
+	 * differ by at most a second are too regular.
+	 *
+	 * @param int[] $clicks Timestamps of the recent clicks, oldest first.
+	 *
+	 * @return bool True if the timing looks automated.
+	 * @since 1.9.0
+	 */
+	private function is_machine_timed( array $clicks ): bool {
+		$count = count( $clicks );
+		if ( $count < 2 ) {
+			return false;
+		}
+
+		if ( $clicks[ $count - 1 ] - $clicks[ $count - 2 ] < self::MIN_INTERVAL ) {
+			return true;
+		}
+
+		if ( $count < self::TIMING_CLICKS ) {
+			return false;
+		}
+
+		$recent    = array_slice( $clicks, -self::TIMING_CLICKS );
+		$intervals = [];
+		for ( $i = 1; $i < self::TIMING_CLICKS; $i++ ) {
+			$intervals[] = $recent[ $i ] - $recent[ $i - 1 ];
+		}
+
+		return max( $intervals ) - min( $intervals ) <= 1;
+	}
+
+}
@@ -0,0 +1,311 @@
+<?php
+/**
+ * WP_List_Table for clicks suspected of click fraud.
+ *
+ * Lists flagged, fraudulent or valid clicks with their score and the
+ * signals behind it. Row actions and the action on selected clicks are
+ * submitted to Fraud_Review::handle_review().
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+// Load the WP_List_Table base class if not already available.
+if ( ! class_exists( 'WP_List_Table' ) ) {
+	require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+}
+
+/**
+ * Suspected clicks list table for the review tab.
+ *
+ * @since 1.9.0
+ */
+final class Fraud_List_Table extends \WP_List_Table {
+
+	/**
+	 * Clicks per page.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const PER_PAGE = 50;
+
+	/**
+	 * Review tab for fetching and reviewing clicks.
+	 *
+	 * @var Fraud_Review
+	 * @since 1.9.0
+	 */
+	private readonly Fraud_Review $review;
+
+	/**
+	 * Initializes the list table with a Fraud_Review dependency.
+	 *
+	 * @param Fraud_Review $review The review tab.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Fraud_Review $review ) {
+		parent::__construct( [
+			'singular' => 'suspected-click',
+			'plural'   => 'suspected-clicks',
+			'ajax'     => false,
+		] );
+		$this->review = $review;
+	}
+
+	/**
+	 * Returns the labels of the review statuses.
+	 *
+	 * @return array<string, string> Status => label.
+	 * @since 1.9.0
+	 */
+	public static function get_status_labels(): array {
+		return [
+			'flagged' => __( 'Flagged', 'kntnt-ad-attr' ),
+			'fraud'   => __( 'Fraud', 'kntnt-ad-attr' ),
+			'valid'   => __( 'Valid', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Returns the review status shown, from the `fraud_status` query argument.
+	 *
+	 * @return string 'flagged' (default), 'fraud' or 'valid'.
+	 * @since 1.9.0
+	 */
+	public function get_status(): string {
+		$status = sanitize_text_field( wp_unslash( $_GET['fraud_status'] ?? '' ) );
+		return in_array( $status, Fraud_Detector::STATUSES, true ) ? $status : 'flagged';
+	}
+
+	/**
+	 * Defines the table columns.
+	 *
+	 * @return array<string, string> Column slug => label.
+	 * @since 1.9.0
+	 */
+	public function get_columns(): array {
+		return [
+			'cb'            => '<input type="checkbox">',
+			'clicked_at'    => __( 'Clicked', 'kntnt-ad-attr' ),
+			'tracking_url'  => __( 'Tracking URL', 'kntnt-ad-attr' ),
+			'fraud_score'   => __( 'Score', 'kntnt-ad-attr' ),
+			'fraud_reasons' => __( 'Signals', 'kntnt-ad-attr' ),
+			'fraud_status'  => __( 'Status', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Prepares items for display.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function prepare_items(): void {
+		$this->_column_headers = [
+			$this->get_columns(),
+			[],
+			[],
+		];
+
+		$result      = $this->review->get_clicks( $this->get_status(), self::PER_PAGE, $this->get_pagenum() );
+		$this->items = $result['rows'];
+
+		$this->set_pagination_args( [
+			'total_items' => $result['total'],
+			'per_page'    => self::PER_PAGE,
+			'total_pages' => (int) ceil( $result['total'] / self::PER_PAGE ),
+		] );
+	}
+
+	/**
+	 * Returns the status view links (Flagged / Fraud / Valid).
+	 *
+	 * @return array<string, string> View slug => HTML link.
+	 * @since 1.9.0
+	 */
+	protected function get_views(): array {
+		$current = $this->get_status();
+		$counts  = $this->review->get_status_counts();
+		$views   = [];
+
+		foreach ( self::get_status_labels() as $status => $label ) {
+			$views[ $status ] = sprintf(
+				'<a href="%s"%s>%s <span class="count">(%d)</span></a>',
+				esc_url( Fraud_Review::get_url( [ 'fraud_status' => $status ] ) ),
+				$status === $current ? ' class="current"' : '',
+				esc_html( $label ),
+				$counts[ $status ] ?? 0,
+			);
+		}
+
+		return $views;
+	}
+
+	/**
+	 * Renders the checkbox column for the action on selected clicks.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string HTML checkbox input.
+	 * @since 1.9.0
+	 */
+	protected function column_cb( $item ): string {
+		return '<input type="checkbox" name="click[]" value="' . esc_attr( (string) $item->id ) . '">';
+	}
+
+	/**
+	 * Renders the click time with the review row actions.
+	 *
+	 * Offers the statuses the click doesn't already have.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_clicked_at( object $item ): string {
+		$labels = [
+			'fraud' => __( 'Mark as Fraud', 'kntnt-ad-attr' ),
+			'valid' => __( 'Mark as Valid', 'kntnt-ad-attr' ),
+		];
+
+		$actions = [];
+		foreach ( $labels as $status => $label ) {
+			if ( $status === $item->fraud_status ) {
+				continue;
+			}
+
+			$url = wp_nonce_url(
+				add_query_arg( [
+					'action'        => Fraud_Review::ACTION,
+					'click[]'       => (int) $item->id,
+					'review_status' => $status,
+					'fraud_status'  => $this->get_status(),
+				], admin_url( 'admin-post.php' ) ),
+				Fraud_Review::ACTION,
+			);
+
+			$actions[ "mark_{$status}" ] = sprintf( '<a href="%s">%s</a>', esc_url( $url ), esc_html( $label ) );
+		}
+
+		$time = get_date_from_gmt( $item->clicked_at, 'Y-m-d H:i:s' );
+
+		return esc_html( $time ) . $this->row_actions( $actions );
+	}
+
+	/**
+	 * Renders the tracking URL with its campaign.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_tracking_url( object $item ): string {
+		$html = '<code>' . esc_html( home_url( Plugin::get_url_prefix() . '/' . $item->hash ) ) . '</code>';
+
+		if ( $item->utm_campaign !== '' ) {
+			$html .= '<br><span class="description">' . esc_html( $item->utm_campaign ) . '</span>';
+		}
+
+		if ( ! $item->post_id ) {
+			$html .= '<br><em>' . esc_html__( '(deleted)', 'kntnt-ad-attr' ) . '</em>';
+		}
+
+		return $html;
+	}
+
+	/**
+	 * Renders the fraud score.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_fraud_score( object $item ): string {
+		return $item->fraud_score === null ? '—' : esc_html( (string) $item->fraud_score );
+	}
+
+	/**
+	 * Renders the signals behind the score as labels.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_fraud_reasons( object $item ): string {
+		if ( empty( $item->fraud_reasons ) ) {
+			return '—';
+		}
+
+		$labels  = Fraud_Detector::get_reason_labels();
+		$reasons = array_map(
+			fn ( string $reason ) => $labels[ $reason ] ?? $reason,
+			explode( ',', $item->fraud_reasons ),
+		);
+
+		return esc_html( implode( ', ', $reasons ) );
+	}
+
+	/**
+	 * Renders the review status.
+	 *
+	 * @param object $item Click row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_fraud_status( object $item ): string {
+		$labels = self::get_status_labels();
+		return esc_html( $labels[ $item->fraud_status ] ?? $item->fraud_status );
+	}
+
+	/**
+	 * Renders the action on selected clicks above the table.
+	 *
+	 * The select isn't named `action`, since that selects the admin post
+	 * handler the form is submitted to.
+	 *
+	 * @param string $which Position: 'top' or 'bottom'.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	protected function extra_tablenav( $which ): void {
+		if ( $which !== 'top' ) {
+			return;
+		}
+
+		echo '<div class="alignleft actions">';
+		echo '<select name="review_status" aria-label="' . esc_attr__( 'Action on selected clicks', 'kntnt-ad-attr' ) . '">';
+		echo '<option value="">' . esc_html__( 'Bulk actions', 'kntnt-ad-attr' ) . '</option>';
+		echo '<option value="fraud">' . esc_html__( 'Mark as Fraud', 'kntnt-ad-attr' ) . '</option>';
+		echo '<option value="valid">' . esc_html__( 'Mark as Valid', 'kntnt-ad-attr' ) . '</option>';
+		echo '</select>';
+		submit_button( __( 'Apply', 'kntnt-ad-attr' ), '', 'review_apply', false );
+		echo '</div>';
+	}
+
+	/**
+	 * Message displayed when no clicks are found.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function no_items(): void {
+		match ( $this->get_status() ) {
+			'fraud' => esc_html_e( 'No clicks have been marked as fraud.', 'kntnt-ad-attr' ),
+			'valid' => esc_html_e( 'No suspected clicks have been marked as valid.', 'kntnt-ad-attr' ),
+			default => esc_html_e( 'No clicks are waiting for review.', 'kntnt-ad-attr' ),
+		};
+	}
+
+}
@@ -0,0 +1,259 @@
+<?php
+/**
+ * Review tab for clicks suspected of click fraud.
+ *
+ * Registers a "Suspected Clicks" tab through the `kntnt_ad_attr_admin_tabs`
+ * mechanism, lists the clicks Fraud_Detector flagged, and lets a reviewer
+ * confirm them as fraud or clear them as valid. Valid clicks are counted
+ * again; flagged and fraudulent clicks are left out of the click counts.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Renders the review tab and updates the review status of clicks.
+ *
+ * @since 1.9.0
+ */
+final class Fraud_Review {
+
+	/**
+	 * Slug of the review tab (`?tab=suspected-clicks`).
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const TAB = 'suspected-clicks';
+
+	/**
+	 * Admin post action that sets the review status of clicks.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const ACTION = 'kntnt_ad_attr_review_clicks';
+
+	/**
+	 * Statuses a reviewer can give a click.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const REVIEW_STATUSES = [ 'fraud', 'valid' ];
+
+	/**
+	 * Registers the tab, its renderer and the review handler.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		add_filter( 'kntnt_ad_attr_admin_tabs', [ $this, 'add_tab' ] );
+		add_action( 'kntnt_ad_attr_admin_tab_' . self::TAB, [ $this, 'render_tab' ] );
+		add_action( 'admin_post_' . self::ACTION, [ $this, 'handle_review' ] );
+	}
+
+	/**
+	 * Adds the review tab to the admin page tabs.
+	 *
+	 * @param array<string, string> $tabs Tab slug => label.
+	 *
+	 * @return array<string, string> Tabs including the review tab.
+	 * @since 1.9.0
+	 */
+	public function add_tab( array $tabs ): array {
+		$tabs[ self::TAB ] = __( 'Suspected Clicks', 'kntnt-ad-attr' );
+		return $tabs;
+	}
+
+	/**
+	 * Returns the URL of the review tab.
+	 *
+	 * @param array<string, string|int> $args Additional query arguments.
+	 *
+	 * @return string Admin URL.
+	 * @since 1.9.0
+	 */
+	public static function get_url( array $args = [] ): string {
+		return add_query_arg(
+			[ 'page' => Plugin::get_slug(), 'tab' => self::TAB ] + $args,
+			admin_url( 'tools.php' ),
+		);
+	}
+
+	/**
+	 * Renders the list of suspected clicks.
+	 *
+	 * The form posts to admin-post.php, so the review is carried out by
+	 * handle_review() before any output.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function render_tab(): void {
+		$table = new Fraud_List_Table( $this );
+		$table->prepare_items();
+
+		if ( isset( $_GET['reviewed'] ) ) {
+			printf(
+				'<div class="notice notice-success is-dismissible"><p>%s</p></div>',
+				/* translators: %d: Number of reviewed clicks. */
+				esc_html( sprintf( __( '%d click(s) reviewed.', 'kntnt-ad-attr' ), (int) $_GET['reviewed'] ) ),
+			);
+		}
+
+		echo '<p class="description">'
+			. esc_html__( 'Clicks whose fraud score reached the threshold are recorded but not counted until you mark them as valid. Clicks marked as fraud are never counted. Conversions of suspected clicks are recorded, but counted only with their clicks and never sent to conversion reporters.', 'kntnt-ad-attr' )
+			. '</p>';
+
+		$table->views();
+
+		echo '<form method="post" action="' . esc_url( admin_url( 'admin-post.php' ) ) . '" class="kntnt-ad-attr-fraud-review">';
+		echo '<input type="hidden" name="action" value="' . esc_attr( self::ACTION ) . '">';
+		echo '<input type="hidden" name="fraud_status" value="' . esc_attr( $table->get_status() ) . '">';
+		wp_nonce_field( self::ACTION );
+		$table->display();
+		echo '</form>';
+	}
+
+	/**
+	 * Handles the admin post request that sets the review status of clicks.
+	 *
+	 * Accepts the clicks as `click[]` and the new status as `review_status`,
+	 * from both the form and the row action links.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function handle_review(): void {
+		Plugin::authorize();
+		check_admin_referer( self::ACTION );
+
+		$status = sanitize_text_field( wp_unslash( $_REQUEST['review_status'] ?? '' ) );
+		$ids    = array_map( 'intval', (array) ( $_REQUEST['click'] ?? [] ) );
+		$view   = sanitize_text_field( wp_unslash( $_REQUEST['fraud_status'] ?? '' ) );
+		$paged  = (int) ( $_REQUEST['paged'] ?? 0 );
+
+		// Without a status, the form was submitted to change the page.
+		$args = in_array( $status, self::REVIEW_STATUSES, true ) ? [ 'reviewed' => $this->review( $ids, $status ) ] : [];
+		if ( in_array( $view, Fraud_Detector::STATUSES, true ) ) {
+			$args['fraud_status'] = $view;
+		}
+		if ( $paged > 1 ) {
+			$args['paged'] = $paged;
+		}
+
+		wp_safe_redirect( self::get_url( $args ) );
+		exit;
+	}
+
+	/**
+	 * Sets the review status of suspected clicks.
+	 *
+	 * Clicks that were never flagged are left as they are.
+	 *
+	 * @param int[]  $ids    Click IDs.
+	 * @param string $status 'fraud' or 'valid'.
+	 *
+	 * @return int Number of clicks whose status changed.
+	 * @since 1.9.0
+	 */
+	public function review( array $ids, string $status ): int {
+		global $wpdb;
+
+		$ids = array_values( array_unique( array_filter( $ids, fn ( int $id ) => $id > 0 ) ) );
+		if ( empty( $ids ) || ! in_array( $status, self::REVIEW_STATUSES, true ) ) {
+			return 0;
+		}
+
+		$table        = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+		$placeholders = implode( ', ', array_fill( 0, count( $ids ), '%d' ) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$updated = $wpdb->query( $wpdb->prepare(
+			"UPDATE {$table} SET fraud_status = %s WHERE id IN ({$placeholders}) AND fraud_status IS NOT NULL",
+			$status,
+			...$ids,
+		) );
+
+		return (int) $updated;
+	}
+
+	/**
+	 * Returns one page of suspected clicks with the given review status.
+	 *
+	 * Clicks are joined with their tracking URL, newest first.
+	 *
+	 * @param string $status   'flagged', 'fraud' or 'valid'.
+	 * @param int    $per_page Clicks per page.
+	 * @param int    $page     Page number, starting at 1.
+	 *
+	 * @return array{total: int, rows: object[]} Total matching clicks and the rows of the page.
+	 * @since 1.9.0
+	 */
+	public function get_clicks( string $status, int $per_page, int $page ): array {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$total = (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT COUNT(*) FROM {$table} WHERE fraud_status = %s",
+			$status,
+		) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT c.id, c.hash, c.clicked_at, c.fraud_score, c.fraud_reasons, c.fraud_status,
+				pm_hash.post_id, COALESCE(pm_campaign.meta_value, '') AS utm_campaign
+			 FROM {$table} c
+			 LEFT JOIN {$wpdb->postmeta} pm_hash
+				ON pm_hash.meta_key = '_hash' AND pm_hash.meta_value = c.hash
+			 LEFT JOIN {$wpdb->postmeta} pm_campaign
+				ON pm_campaign.post_id = pm_hash.post_id AND pm_campaign.meta_key = '_utm_campaign'
+			 WHERE c.fraud_status = %s
+			 ORDER BY c.clicked_at DESC, c.id DESC
+			 LIMIT %d OFFSET %d",
+			$status,
+			$per_page,
+			( max( 1, $page ) - 1 ) * $per_page,
+		) );
+
+		return [
+			'total' => $total,
+			'rows'  => $rows ?: [],
+		];
+	}
+
+	/**
+	 * Returns the number of suspected clicks per review status.
+	 *
+	 * @return array<string, int> Status => count, for every status in Fraud_Detector::STATUSES.
+	 * @since 1.9.0
+	 */
+	public function get_status_counts(): array {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$rows = $wpdb->get_results(
+			"SELECT fraud_status, COUNT(*) AS cnt FROM {$table} WHERE fraud_status IS NOT NULL GROUP BY fraud_status",
+		);
+
+		$counts = array_fill_keys( Fraud_Detector::STATUSES, 0 );
+		foreach ( $rows ?: [] as $row ) {
+			if ( isset( $counts[ $row->fraud_status ] ) ) {
+				$counts[ $row->fraud_status ] = (int) $row->cnt;
+			}
+		}
+
+		return $counts;
+	}
+
+}
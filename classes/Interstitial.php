@@ -0,0 +1,318 @@
+<?php
+/**
+ * Interstitial redirect page.
+ *
+ * Renders the page served instead of a 302 redirect when the redirect
+ * method is `interstitial`. The page loads `js/interstitial.js` as an
+ * external script with Subresource Integrity and carries its configuration
+ * in a data attribute, so it runs under a strict Content Security Policy
+ * without inline JavaScript. While consent is undetermined, the page also
+ * loads the client script's consent check. The script confirms the click
+ * through the `confirm-click` REST route together with the consent it
+ * read, hands a hash that still awaits consent to the client script's
+ * storage, and continues to the target page. Visitors without JavaScript
+ * are sent on by a `<noscript>` meta refresh, and their clicks stay
+ * unconfirmed.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Builds and sends the interstitial redirect page.
+ *
+ * @since 1.9.0
+ */
+final class Interstitial {
+
+	/**
+	 * Seconds after a click within which the page's script may confirm it.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const CONFIRM_WINDOW = 10 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Longest configurable delay before the page continues, in milliseconds.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const MAX_DELAY = 10000;
+
+	/**
+	 * Transient holding the Subresource Integrity hashes of the assets.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const INTEGRITY_TRANSIENT = 'kntnt_ad_attr_sri';
+
+	/**
+	 * Settings instance for reading the delay and branding.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Cookie manager for signing the click the script confirms.
+	 *
+	 * @var Cookie_Manager
+	 * @since 1.9.0
+	 */
+	private readonly Cookie_Manager $cookie_manager;
+
+	/**
+	 * Initializes the interstitial page with its dependencies.
+	 *
+	 * @param Settings       $settings       Settings instance.
+	 * @param Cookie_Manager $cookie_manager Click signing.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings, Cookie_Manager $cookie_manager ) {
+		$this->settings       = $settings;
+		$this->cookie_manager = $cookie_manager;
+	}
+
+	/**
+	 * Sends the interstitial page and terminates execution.
+	 *
+	 * @param string $hash       Hash of the clicked tracking URL.
+	 * @param int    $timestamp  Unix timestamp of the click record.
+	 * @param string $target_url URL of the target page.
+	 * @param bool   $pending    Whether consent is undetermined, so the
+	 *                           script must keep the hash for later.
+	 *
+	 * @return never
+	 * @since 1.9.0
+	 */
+	public function render( string $hash, int $timestamp, string $target_url, bool $pending ): never {
+		status_header( 200 );
+		header( 'Content-Type: text/html; charset=utf-8' );
+		header( 'Content-Security-Policy: ' . $this->get_content_security_policy() );
+		header( 'X-Robots-Tag: noindex, nofollow' );
+
+		echo $this->get_html( $hash, $timestamp, $target_url, $pending ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped in get_html().
+		exit;
+	}
+
+	/**
+	 * Builds the HTML of the interstitial page.
+	 *
+	 * @param string $hash       Hash of the clicked tracking URL.
+	 * @param int    $timestamp  Unix timestamp of the click record.
+	 * @param string $target_url URL of the target page.
+	 * @param bool   $pending    Whether consent is undetermined.
+	 *
+	 * @return string Complete HTML document.
+	 * @since 1.9.0
+	 */
+	public function get_html( string $hash, int $timestamp, string $target_url, bool $pending ): string {
+		$site_name = (string) get_bloginfo( 'name' );
+		$message   = (string) $this->settings->get( 'interstitial_message' );
+		$logo      = (string) $this->settings->get( 'interstitial_logo' );
+
+		$config = [
+			'target'           => $target_url,
+			'confirmUrl'       => rest_url( 'kntnt-ad-attribution/v1/confirm-click' ),
+			'click'            => $this->cookie_manager->sign_click( $hash, $timestamp ),
+			'pending'          => $pending,
+			'storage'          => (string) $this->settings->get( 'pending_storage' ),
+			'delay'            => $this->get_delay(),
+			'consentAdapter'   => (string) $this->settings->get( 'consent_adapter' ),
+			'consentServiceId' => (string) $this->settings->get( 'consent_service_id' ),
+		];
+
+		$logo_html = $logo !== ''
+			? sprintf( '<img class="kntnt-ad-attr-interstitial-logo" src="%s" alt="%s">', esc_url( $logo ), esc_attr( $site_name ) )
+			: '';
+
+		// The page's own script runs first, then the site's consent scripts
+		// and the consent check, which is only needed while consent is
+		// undetermined.
+		$scripts = [ self::get_asset_script( 'js/interstitial.js' ) ];
+		if ( $pending ) {
+			foreach ( $this->get_consent_scripts() as $url ) {
+				$scripts[] = sprintf( '<script src="%s" defer></script>', esc_url( $url ) );
+			}
+			$scripts[] = self::get_asset_script( 'js/pending-consent.js' );
+		}
+
+		return sprintf(
+			'<!DOCTYPE html>
+<html lang="%1$s">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>%2$s</title>
+<noscript><meta http-equiv="refresh" content="0;url=%3$s"></noscript>
+<link rel="stylesheet" href="%4$s" integrity="%5$s" crossorigin="anonymous">
+%6$s
+</head>
+<body>
+<main id="kntnt-ad-attr-interstitial" class="kntnt-ad-attr-interstitial" data-config="%7$s">
+%8$s<p class="kntnt-ad-attr-interstitial-message" role="status">%9$s</p>
+<p><a class="kntnt-ad-attr-interstitial-link" href="%3$s">%10$s</a></p>
+</main>
+</body>
+</html>
+',
+			esc_attr( (string) get_bloginfo( 'language' ) ),
+			esc_html( $site_name ),
+			esc_url( $target_url ),
+			esc_url( Plugin::get_plugin_url() . 'css/interstitial.css' ),
+			esc_attr( self::get_integrity( 'css/interstitial.css' ) ),
+			implode( "\n", $scripts ),
+			esc_attr( (string) wp_json_encode( $config ) ),
+			$logo_html,
+			esc_html( $message !== '' ? $message : __( 'Redirecting…', 'kntnt-ad-attr' ) ),
+			esc_html__( 'Continue', 'kntnt-ad-attr' ),
+		);
+	}
+
+	/**
+	 * Builds the Content Security Policy of the interstitial page.
+	 *
+	 * Scripts and styles may only be loaded from the plugin's origin,
+	 * requests may only go to the REST API's origin, and images only to
+	 * that of the logo. Nothing may be embedded, framed or submitted. The
+	 * origins of the site's consent scripts may serve scripts and answer
+	 * requests as well.
+	 *
+	 * @return string Policy for the `Content-Security-Policy` header.
+	 * @since 1.9.0
+	 */
+	public function get_content_security_policy(): string {
+		$assets  = self::get_origin( Plugin::get_plugin_url() );
+		$logo    = self::get_origin( (string) $this->settings->get( 'interstitial_logo' ) );
+		$consent = array_map( fn( string $url ) => self::get_origin( $url ), $this->get_consent_scripts() );
+
+		$directives = [
+			"default-src 'none'",
+			'script-src ' . implode( ' ', array_unique( [ $assets, ...$consent ] ) ),
+			"style-src {$assets}",
+			'img-src ' . ( $logo !== '' ? $logo : "'none'" ),
+			'connect-src ' . implode( ' ', array_unique( [ self::get_origin( rest_url() ), ...$consent ] ) ),
+			"base-uri 'none'",
+			"form-action 'none'",
+			"frame-ancestors 'none'",
+		];
+
+		return implode( '; ', $directives );
+	}
+
+	/**
+	 * Gets the delay before the page continues, within its bounds.
+	 *
+	 * @return int Milliseconds.
+	 * @since 1.9.0
+	 */
+	public function get_delay(): int {
+		return max( 0, min( self::MAX_DELAY, (int) $this->settings->get( 'interstitial_delay' ) ) );
+	}
+
+	/**
+	 * Gets the scripts the site loads on the page for the consent check.
+	 *
+	 * @return string[] Absolute URLs.
+	 * @since 1.9.0
+	 */
+	private function get_consent_scripts(): array {
+
+		/**
+		 * Filters the scripts loaded on the interstitial page before its
+		 * consent check.
+		 *
+		 * Add the consent platform's script, or one that defines
+		 * `kntntAdAttributionGetConsent`, to read consent that is only
+		 * known to JavaScript. Their origins are allowed by the page's
+		 * Content Security Policy.
+		 *
+		 * @param string[] $scripts Absolute script URLs.
+		 *
+		 * @since 1.9.0
+		 */
+		$scripts = (array) apply_filters( 'kntnt_ad_attr_interstitial_scripts', [] );
+
+		return array_values( array_filter( $scripts, fn( $url ) => is_string( $url ) && self::get_origin( $url ) !== '' ) );
+	}
+
+	/**
+	 * Builds the script tag of a plugin asset with Subresource Integrity.
+	 *
+	 * @param string $file Path relative to the plugin directory.
+	 *
+	 * @return string Deferred `<script>` element.
+	 * @since 1.9.0
+	 */
+	private static function get_asset_script( string $file ): string {
+		return sprintf(
+			'<script src="%s" integrity="%s" crossorigin="anonymous" defer></script>',
+			esc_url( Plugin::get_plugin_url() . $file ),
+			esc_attr( self::get_integrity( $file ) ),
+		);
+	}
+
+	/**
+	 * Gets the Subresource Integrity hash of a plugin asset.
+	 *
+	 * The assets only change with the plugin version, so each hash is
+	 * computed once per version and kept in a transient.
+	 *
+	 * @param string $file Path relative to the plugin directory.
+	 *
+	 * @return string `sha384-` followed by the base64-encoded digest, or an
+	 *                empty string if the file can't be read.
+	 * @since 1.9.0
+	 */
+	private static function get_integrity( string $file ): string {
+		$version = Plugin::get_version();
+		$cached  = get_transient( self::INTEGRITY_TRANSIENT );
+		$hashes  = is_array( $cached ) && ( $cached['version'] ?? null ) === $version ? (array) ( $cached['hashes'] ?? [] ) : [];
+
+		if ( isset( $hashes[ $file ] ) ) {
+			return (string) $hashes[ $file ];
+		}
+
+		$path   = Plugin::get_plugin_dir() . $file;
+		$digest = is_readable( $path ) ? hash_file( 'sha384', $path, true ) : false;
+		if ( $digest === false ) {
+			return '';
+		}
+
+		$hashes[ $file ] = 'sha384-' . base64_encode( $digest );
+		set_transient( self::INTEGRITY_TRANSIENT, [ 'version' => $version, 'hashes' => $hashes ] );
+
+		return $hashes[ $file ];
+	}
+
+	/**
+	 * Gets the origin (scheme, host and port) of a URL.
+	 *
+	 * @param string $url Absolute URL.
+	 *
+	 * @return string Origin, or an empty string for a URL without a host.
+	 * @since 1.9.0
+	 */
+	private static function get_origin( string $url ): string {
+		$parts = wp_parse_url( $url );
+		if ( ! is_array( $parts ) || empty( $parts['host'] ) ) {
+			return '';
+		}
+
+		$scheme = $parts['scheme'] ?? 'https';
+		$port   = isset( $parts['port'] ) ? ':' . $parts['port'] : '';
+
+		return "{$scheme}://{$parts['host']}{$port}";
+	}
+
+}
@@ -6,7 +6,8 @@
  * Logging is controlled by the `enable_logging` setting. Sensitive values
  * (client_secret, refresh_token, access tokens) are masked to reveal only
  * the last 4 characters. Shared by core and companion plugins via a
- * configurable prefix.
+ * configurable prefix. The entries can be read back parsed and redacted
+ * for the log viewer on the settings page.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.8.0
@@ -39,6 +40,30 @@ final class Logger {
 	 */
 	private const FILE_NAME = 'kntnt-ad-attribution.log';
 
+	/**
+	 * Log levels, as written to the file.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const LEVELS = [ 'INFO', 'ERROR' ];
+
+	/**
+	 * Keys whose values are masked when entries are read back.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	private const SENSITIVE_KEYS = [
+		'client_secret',
+		'refresh_token',
+		'access_token',
+		'developer_token',
+		'api_secret',
+		'api_key',
+		'password',
+	];
+
 	/**
 	 * Settings instance for checking enable_logging and file size limits.
 	 *
@@ -107,6 +132,92 @@ final class Logger {
 		return str_repeat( '*', $length - $visible ) . substr( $value, -$visible );
 	}
 
+	/**
+	 * Masks the values of sensitive keys and bearer tokens in a text.
+	 *
+	 * Catches credentials a companion plugin logged without masking, as in
+	 * `access_token=…`, `"client_secret": "…"` or `Authorization: Bearer …`.
+	 * Values that are already masked stay as they are.
+	 *
+	 * @param string $text Text to redact.
+	 *
+	 * @return string The text with the values masked by mask().
+	 * @since 1.9.0
+	 */
+	public static function redact( string $text ): string {
+		$keys = implode( '|', array_map( 'preg_quote', self::SENSITIVE_KEYS ) );
+
+		$text = (string) preg_replace_callback(
+			'/\b((?:' . $keys . ')["\']?\s*[:=]\s*["\']?)([^\s"\'&,;}]+)/i',
+			fn( array $m ) => $m[1] . self::mask( $m[2] ),
+			$text,
+		);
+
+		return (string) preg_replace_callback(
+			'/\b(Bearer\s+)([^\s"\',;}]+)/i',
+			fn( array $m ) => $m[1] . self::mask( $m[2] ),
+			$text,
+		);
+	}
+
+	/**
+	 * Returns the entries of the log file, oldest first.
+	 *
+	 * Lines that don't start a new entry belong to the message of the entry
+	 * before them. Messages are redacted, so the entries can be shown in the
+	 * browser.
+	 *
+	 * @return array<int, array{time: string, prefix: string, level: string, message: string}>
+	 *         Entries with the level in lowercase.
+	 * @since 1.9.0
+	 */
+	public function get_entries(): array {
+		$entries = [];
+
+		foreach ( preg_split( '/\r?\n/', $this->get_contents() ) as $line ) {
+			if ( preg_match( '/^\[([^\]]+)\]\[([^\]]+)\]\[(' . implode( '|', self::LEVELS ) . ')\] ?(.*)$/', $line, $m ) ) {
+				$entries[] = [
+					'time'    => $m[1],
+					'prefix'  => $m[2],
+					'level'   => strtolower( $m[3] ),
+					'message' => $m[4],
+				];
+			} elseif ( $entries && $line !== '' ) {
+				$entries[ array_key_last( $entries ) ]['message'] .= "\n" . $line;
+			}
+		}
+
+		return array_map(
+			fn( array $entry ) => [ ...$entry, 'message' => self::redact( $entry['message'] ) ],
+			$entries,
+		);
+	}
+
+	/**
+	 * Filters log entries by level, prefix and text.
+	 *
+	 * @param array<int, array{time: string, prefix: string, level: string, message: string}> $entries
+	 *        Entries from get_entries().
+	 * @param array{level?: string, prefix?: string, search?: string}                         $filters
+	 *        Level (`info` or `error`), prefix, and text to find in the
+	 *        message, case-insensitive; empty values don't filter.
+	 *
+	 * @return array<int, array{time: string, prefix: string, level: string, message: string}> Matching entries.
+	 * @since 1.9.0
+	 */
+	public static function filter_entries( array $entries, array $filters ): array {
+		$level  = strtolower( $filters['level'] ?? '' );
+		$prefix = $filters['prefix'] ?? '';
+		$search = $filters['search'] ?? '';
+
+		return array_values( array_filter(
+			$entries,
+			fn( array $entry ) => ( $level === '' || $entry['level'] === $level )
+				&& ( $prefix === '' || $entry['prefix'] === $prefix )
+				&& ( $search === '' || stripos( $entry['message'], $search ) !== false ),
+		) );
+	}
+
 	/**
 	 * Returns the absolute path to the log file.
 	 *
@@ -73,6 +73,38 @@ final class Plugin {
 	 */
 	public readonly Consent $consent;
 
+	/**
+	 * Built-in CMP consent readers component instance.
+	 *
+	 * @var Consent_Adapters
+	 * @since 1.9.0
+	 */
+	public readonly Consent_Adapters $consent_adapters;
+
+	/**
+	 * Built-in click-ID capturers component instance.
+	 *
+	 * @var Click_ID_Capturers
+	 * @since 1.9.0
+	 */
+	public readonly Click_ID_Capturers $click_id_capturers;
+
+	/**
+	 * Built-in conversion reporters component instance.
+	 *
+	 * @var Conversion_Reporters
+	 * @since 1.9.0
+	 */
+	public readonly Conversion_Reporters $conversion_reporters;
+
+	/**
+	 * Webhook reporter component instance.
+	 *
+	 * @var Webhook_Reporter
+	 * @since 1.9.0
+	 */
+	public readonly Webhook_Reporter $webhook_reporter;
+
 	/**
 	 * Bot detector component instance.
 	 *
@@ -81,6 +113,14 @@ final class Plugin {
 	 */
 	public readonly Bot_Detector $bot_detector;
 
+	/**
+	 * Click fraud detector component instance.
+	 *
+	 * @var Fraud_Detector
+	 * @since 1.9.0
+	 */
+	public readonly Fraud_Detector $fraud_detector;
+
 	/**
 	 * Click handler component instance.
 	 *
@@ -89,6 +129,14 @@ final class Plugin {
 	 */
 	public readonly Click_Handler $click_handler;
 
+	/**
+	 * Interstitial redirect page component instance.
+	 *
+	 * @var Interstitial
+	 * @since 1.9.0
+	 */
+	public readonly Interstitial $interstitial;
+
 	/**
 	 * Admin page component instance.
 	 *
@@ -97,6 +145,22 @@ final class Plugin {
 	 */
 	public readonly Admin_Page $admin_page;
 
+	/**
+	 * Tracking URL creator component instance.
+	 *
+	 * @var Tracking_Url_Creator
+	 * @since 1.9.0
+	 */
+	public readonly Tracking_Url_Creator $tracking_url_creator;
+
+	/**
+	 * Tracking URL change history component instance.
+	 *
+	 * @var Tracking_Url_History
+	 * @since 1.9.0
+	 */
+	public readonly Tracking_Url_History $tracking_url_history;
+
 	/**
 	 * REST endpoint component instance.
 	 *
@@ -113,6 +177,46 @@ final class Plugin {
 	 */
 	public readonly Conversion_Handler $conversion_handler;
 
+	/**
+	 * Attribution models component instance.
+	 *
+	 * @var Attribution_Models
+	 * @since 1.9.0
+	 */
+	public readonly Attribution_Models $attribution_models;
+
+	/**
+	 * Attribution model comparison component instance.
+	 *
+	 * @var Attribution_Comparison
+	 * @since 1.9.0
+	 */
+	public readonly Attribution_Comparison $attribution_comparison;
+
+	/**
+	 * Dashboard tab component instance.
+	 *
+	 * @var Dashboard
+	 * @since 1.9.0
+	 */
+	public readonly Dashboard $dashboard;
+
+	/**
+	 * Suspected clicks review tab component instance.
+	 *
+	 * @var Fraud_Review
+	 * @since 1.9.0
+	 */
+	public readonly Fraud_Review $fraud_review;
+
+	/**
+	 * Report component instance.
+	 *
+	 * @var Report
+	 * @since 1.9.0
+	 */
+	public readonly Report $report;
+
 	/**
 	 * Cron component instance.
 	 *
@@ -203,23 +307,36 @@ final class Plugin {
 	private function __construct() {
 
 		// Initialize plugin components.
-		$this->updater              = new Updater();
-		$this->migrator             = new Migrator();
-		$this->settings             = new Settings();
-		$this->logger               = new Logger( $this->settings );
-		$this->post_type            = new Post_Type();
-		$this->cookie_manager       = new Cookie_Manager();
-		$this->consent              = new Consent();
-		$this->bot_detector         = new Bot_Detector();
-		$this->click_id_store       = new Click_ID_Store();
-		$this->queue                = new Queue( $this->settings );
-		$this->queue_processor      = new Queue_Processor( $this->queue, $this->logger );
-		$this->click_handler        = new Click_Handler( $this->cookie_manager, $this->consent, $this->bot_detector, $this->click_id_store );
-		$this->conversion_handler   = new Conversion_Handler( $this->cookie_manager, $this->consent, $this->bot_detector, $this->click_id_store, $this->queue, $this->queue_processor );
-		$this->cron                 = new Cron( $this->click_id_store, $this->queue, $this->logger );
-		$this->admin_page           = new Admin_Page( $this->queue, $this->queue_processor );
-		$this->rest_endpoint        = new Rest_Endpoint( $this->cookie_manager, $this->consent );
-		$this->settings_page        = new Settings_Page( $this->settings, $this->logger );
+		$this->updater                = new Updater();
+		$this->migrator               = new Migrator();
+		$this->settings               = new Settings();
+		$this->logger                 = new Logger( $this->settings );
+		$this->post_type              = new Post_Type();
+		$this->cookie_manager         = new Cookie_Manager();
+		$this->consent                = new Consent();
+		$this->consent_adapters       = new Consent_Adapters( $this->settings );
+		$this->bot_detector           = new Bot_Detector();
+		$this->fraud_detector         = new Fraud_Detector( $this->settings );
+		$this->click_id_store         = new Click_ID_Store();
+		$this->click_id_capturers     = new Click_ID_Capturers( $this->settings );
+		$this->queue                  = new Queue( $this->settings );
+		$this->queue_processor        = new Queue_Processor( $this->queue, $this->logger );
+		$this->conversion_reporters   = new Conversion_Reporters( $this->settings, $this->logger );
+		$this->webhook_reporter       = new Webhook_Reporter( $this->settings, $this->logger );
+		$this->attribution_models     = new Attribution_Models( $this->settings );
+		$this->attribution_comparison = new Attribution_Comparison( $this->attribution_models );
+		$this->interstitial           = new Interstitial( $this->settings, $this->cookie_manager );
+		$this->click_handler          = new Click_Handler( $this->cookie_manager, $this->consent, $this->bot_detector, $this->click_id_store, $this->interstitial, $this->fraud_detector );
+		$this->conversion_handler     = new Conversion_Handler( $this->cookie_manager, $this->consent, $this->bot_detector, $this->click_id_store, $this->queue, $this->queue_processor, $this->attribution_models );
+		$this->cron                   = new Cron( $this->click_id_store, $this->queue, $this->logger );
+		$this->tracking_url_creator   = new Tracking_Url_Creator();
+		$this->tracking_url_history   = new Tracking_Url_History();
+		$this->admin_page             = new Admin_Page( $this->queue, $this->queue_processor, $this->attribution_comparison, $this->tracking_url_creator, $this->tracking_url_history );
+		$this->dashboard              = new Dashboard();
+		$this->fraud_review           = new Fraud_Review();
+		$this->report                 = new Report();
+		$this->rest_endpoint          = new Rest_Endpoint( $this->cookie_manager, $this->consent, $this->settings, $this->conversion_handler, $this->dashboard, $this->report, $this->tracking_url_creator, $this->queue, $this->queue_processor, $this->logger, $this->webhook_reporter, $this->click_id_store );
+		$this->settings_page          = new Settings_Page( $this->settings, $this->logger );
 
 		// Register WordPress hooks.
 		$this->register_hooks();
@@ -403,6 +520,7 @@ final class Plugin {
 		// in settings, it takes precedence over the default filter value.
 		add_filter( 'kntnt_ad_attr_cookie_lifetime', fn( $v ) => $this->settings_override( 'cookie_lifetime', $v ), PHP_INT_MAX );
 		add_filter( 'kntnt_ad_attr_dedup_seconds', fn( $v ) => $this->settings_override( 'dedup_seconds', $v ), PHP_INT_MAX );
+		add_filter( 'kntnt_ad_attr_redirect_method', fn( $v ) => $this->settings_override( 'redirect_method', $v ), PHP_INT_MAX );
 
 		// Register settings page hooks.
 		$this->settings_page->register();
@@ -420,17 +538,33 @@ final class Plugin {
 		// Register queue processor cron callback.
 		add_action( 'kntnt_ad_attr_process_queue', [ $this->queue_processor, 'process' ] );
 
+		// Register the built-in CMP consent readers.
+		$this->consent_adapters->register();
+
+		// Register the built-in click-ID capturers.
+		$this->click_id_capturers->register();
+
+		// Register the built-in conversion reporters and their click-ID capturers.
+		$this->conversion_reporters->register();
+
+		// Register a conversion reporter per enabled webhook.
+		$this->webhook_reporter->register();
+
 		// Register bot detection filters and robots.txt rule.
 		$this->bot_detector->register();
 
 		// Register rewrite rule, query var, and click handler.
 		$this->click_handler->register();
 
-		// Register conversion attribution handler.
+		// Register conversion attribution handler and the touchpoint recorder
+		// that the attribution model comparison relies on.
 		$this->conversion_handler->register();
+		$this->attribution_comparison->register();
 
-		// Register admin page, REST endpoint, and plugin action link.
+		// Register admin page, dashboard and review tabs, REST endpoint, and plugin action link.
 		$this->admin_page->register();
+		$this->dashboard->register();
+		$this->fraud_review->register();
 		$this->rest_endpoint->register();
 
 		$plugin_basename = plugin_basename( self::get_plugin_file() );
@@ -481,17 +615,18 @@ final class Plugin {
 	 * override any earlier filter values while preserving the filter chain
 	 * for non-saved keys.
 	 *
-	 * @param string    $key           Setting key.
-	 * @param int|float $filter_value  Current filter value.
+	 * @param string           $key           Setting key.
+	 * @param int|float|string $filter_value  Current filter value.
 	 *
-	 * @return int|float Saved value or pass-through.
+	 * @return int|float|string Saved value, of the filter value's type, or pass-through.
 	 * @since 1.8.0
+	 * @since 1.9.0 Accepts string values.
 	 */
-	private function settings_override( string $key, int|float $filter_value ): int|float {
+	private function settings_override( string $key, int|float|string $filter_value ): int|float|string {
 		$saved = $this->settings->get_saved();
 
 		if ( isset( $saved[ $key ] ) && $saved[ $key ] !== '' ) {
-			return (int) $saved[ $key ];
+			return is_string( $filter_value ) ? (string) $saved[ $key ] : (int) $saved[ $key ];
 		}
 
 		return $filter_value;
@@ -502,7 +637,17 @@ final class Plugin {
 	 *
 	 * The script picks up hashes from the transport cookie or URL fragment,
 	 * stores them in sessionStorage, and sends them to the REST endpoint
-	 * when consent is granted.
+	 * when consent is granted. The consent adapter settings are passed along
+	 * so the client reads the same CMP as the server.
+	 *
+	 * In cache-safe mode no nonce is baked into the page; the script fetches
+	 * a token from the uncached token route instead.
+	 *
+	 * The script also reports conversions made in the browser to the convert
+	 * route, including those of the embedded widgets enabled with the
+	 * `kntnt_ad_attr_embed_conversions` filter, and picks up the click IDs
+	 * of the registered capturers on landing pages reached without a
+	 * tracking URL.
 	 *
 	 * @return void
 	 * @since 1.0.0
@@ -516,9 +661,27 @@ final class Plugin {
 			true,
 		);
 
+		$credentials = $this->settings->get( 'cache_safe' )
+			? [
+				'cacheSafe' => true,
+				'tokenUrl'  => rest_url( 'kntnt-ad-attribution/v1/token' ),
+			]
+			: [
+				'nonce'    => wp_create_nonce( 'wp_rest' ),
+				'nonceUrl' => rest_url( 'kntnt-ad-attribution/v1/nonce' ),
+			];
+
 		wp_localize_script( 'kntnt-ad-attribution', 'kntntAdAttribution', [
-			'restUrl' => rest_url( 'kntnt-ad-attribution/v1/set-cookie' ),
-			'nonce'   => wp_create_nonce( 'wp_rest' ),
+			'restUrl'           => rest_url( 'kntnt-ad-attribution/v1/set-cookie' ),
+			'convertUrl'        => rest_url( 'kntnt-ad-attribution/v1/convert' ),
+			...$credentials,
+			'retryBudget'       => (int) apply_filters( 'kntnt_ad_attr_client_retry_budget', 900 ),
+			'consentAdapter'    => (string) $this->settings->get( 'consent_adapter' ),
+			'consentServiceId'  => (string) $this->settings->get( 'consent_service_id' ),
+			'storage'           => (string) $this->settings->get( 'pending_storage' ),
+			'storageTtl'        => (int) $this->settings->get( 'pending_ttl' ),
+			'embedConversions'  => array_values( (array) apply_filters( 'kntnt_ad_attr_embed_conversions', [] ) ),
+			'clickIdParameters' => (array) apply_filters( 'kntnt_ad_attr_click_id_capturers', [] ),
 		] );
 	}
 
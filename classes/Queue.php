@@ -22,6 +22,22 @@ namespace Kntnt\Ad_Attribution;
  */
 final class Queue {
 
+	/**
+	 * Job statuses, in the order a job passes through them.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const STATUSES = [ 'pending', 'processing', 'done', 'failed' ];
+
+	/**
+	 * Largest number of jobs listed at a time, newest first.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const MAX_JOBS = 200;
+
 	/**
 	 * Settings instance for retry defaults.
 	 *
@@ -311,21 +327,166 @@ final class Queue {
 	}
 
 	/**
-	 * Returns all pending and failed jobs for the admin queue table.
+	 * Returns the newest jobs matching the filters for the admin queue table.
 	 *
-	 * @return array Array of row objects.
-	 * @since 1.8.0
+	 * Without a status filter, lists the pending, processing and failed
+	 * jobs. Dates are compared with the creation time in UTC.
+	 *
+	 * @param array{reporter?: string, status?: string, date_start?: string, date_end?: string} $filters
+	 *        Reporter, status, and first and last day as `Y-m-d`; empty values don't filter.
+	 *
+	 * @return array Array of row objects, at most MAX_JOBS.
+	 * @since 1.9.0
 	 */
-	public function get_active_jobs(): array {
+	public function get_jobs( array $filters = [] ): array {
 		global $wpdb;
 
 		$table = $wpdb->prefix . 'kntnt_ad_attr_queue';
+		$where = $this->build_job_filter( $filters );
 
-		return $wpdb->get_results(
+		return $wpdb->get_results( $wpdb->prepare(
 			"SELECT id, reporter, status, attempts, created_at, retry_after, error_message, label
 			 FROM {$table}
-			 WHERE status IN ('pending', 'failed', 'processing')
-			 ORDER BY created_at DESC",
+			 WHERE {$where}
+			 ORDER BY created_at DESC, id DESC
+			 LIMIT %d",
+			self::MAX_JOBS,
+		) );
+	}
+
+	/**
+	 * Builds the WHERE clause of the job filters.
+	 *
+	 * @param array<string, string> $filters See get_jobs().
+	 *
+	 * @return string SQL conditions joined with AND.
+	 * @since 1.9.0
+	 */
+	private function build_job_filter( array $filters ): string {
+		global $wpdb;
+
+		$status  = $filters['status'] ?? '';
+		$clauses = [
+			in_array( $status, self::STATUSES, true )
+				? $wpdb->prepare( 'status = %s', $status )
+				: "status IN ('pending', 'processing', 'failed')",
+		];
+
+		if ( ( $filters['reporter'] ?? '' ) !== '' ) {
+			$clauses[] = $wpdb->prepare( 'reporter = %s', $filters['reporter'] );
+		}
+		if ( ( $filters['date_start'] ?? '' ) !== '' ) {
+			$clauses[] = $wpdb->prepare( 'created_at >= %s', $filters['date_start'] . ' 00:00:00' );
+		}
+		if ( ( $filters['date_end'] ?? '' ) !== '' ) {
+			$clauses[] = $wpdb->prepare( 'created_at <= %s', $filters['date_end'] . ' 23:59:59' );
+		}
+
+		return implode( ' AND ', $clauses );
+	}
+
+	/**
+	 * Returns the reporters that have jobs in the queue.
+	 *
+	 * Includes reporters that are no longer registered, so their jobs can
+	 * still be found.
+	 *
+	 * @return string[] Reporter identifiers in alphabetical order.
+	 * @since 1.9.0
+	 */
+	public function get_reporters(): array {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_queue';
+
+		return array_map( 'strval', $wpdb->get_col( "SELECT DISTINCT reporter FROM {$table} ORDER BY reporter" ) );
+	}
+
+	/**
+	 * Returns a job with its decoded payload.
+	 *
+	 * @param int $id Job ID.
+	 *
+	 * @return object|null The job row, or null if there is no such job.
+	 * @since 1.9.0
+	 */
+	public function get_job( int $id ): ?object {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_queue';
+
+		$job = $wpdb->get_row( $wpdb->prepare(
+			"SELECT id, reporter, payload, status, attempts, created_at, processed_at, retry_after, error_message, label
+			 FROM {$table} WHERE id = %d",
+			$id,
+		) );
+
+		if ( ! $job ) {
+			return null;
+		}
+
+		$job->id       = (int) $job->id;
+		$job->payload  = json_decode( (string) $job->payload, true );
+		$job->attempts = (int) $job->attempts;
+
+		return $job;
+	}
+
+	/**
+	 * Cancels a pending job.
+	 *
+	 * The job is marked as failed with a note of who cancelled it, so it
+	 * can be requeued later and is cleaned up like other failed jobs.
+	 *
+	 * @param int $id Job ID.
+	 *
+	 * @return bool True if the job was pending and is now cancelled.
+	 * @since 1.9.0
+	 */
+	public function cancel( int $id ): bool {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_queue';
+
+		return (bool) $wpdb->update(
+			$table,
+			[
+				'status'        => 'failed',
+				'error_message' => sprintf( 'Cancelled by user %d.', get_current_user_id() ),
+				'processed_at'  => gmdate( 'Y-m-d H:i:s' ),
+				'retry_after'   => null,
+			],
+			[ 'id' => $id, 'status' => 'pending' ],
+			[ '%s', '%s', '%s', null ],
+			[ '%d', '%s' ],
+		);
+	}
+
+	/**
+	 * Returns a failed job to the queue with all its attempts available again.
+	 *
+	 * @param int $id Job ID.
+	 *
+	 * @return bool True if the job was failed and is now pending.
+	 * @since 1.9.0
+	 */
+	public function requeue( int $id ): bool {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'kntnt_ad_attr_queue';
+
+		return (bool) $wpdb->update(
+			$table,
+			[
+				'status'        => 'pending',
+				'attempts'      => 0,
+				'error_message' => null,
+				'processed_at'  => null,
+				'retry_after'   => null,
+			],
+			[ 'id' => $id, 'status' => 'failed' ],
+			[ '%s', '%d', null, null, null ],
+			[ '%d', '%s' ],
 		);
 	}
 
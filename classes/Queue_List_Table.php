@@ -3,7 +3,9 @@
  * WP_List_Table for the conversion report queue.
  *
  * Displays pending and failed jobs with row actions for retrying and
- * deleting individual jobs.
+ * deleting individual jobs. Jobs can be filtered by reporter, status and
+ * creation date; js/admin.js refreshes the rows live, shows the payload of
+ * a job in a side panel, and retries, cancels or requeues selected jobs.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.8.0
@@ -31,19 +33,60 @@ final class Queue_List_Table extends \WP_List_Table {
 	/**
 	 * Initializes the list table with a Queue dependency.
 	 *
-	 * @param Queue $queue The job queue.
+	 * @param Queue       $queue  The job queue.
+	 * @param string|null $screen Screen ID, for use outside the admin page.
+	 *                            Defaults to the current screen.
 	 *
 	 * @since 1.8.0
+	 * @since 1.9.0 Added the `$screen` parameter.
 	 */
-	public function __construct( Queue $queue ) {
+	public function __construct( Queue $queue, ?string $screen = null ) {
 		parent::__construct( [
 			'singular' => 'queue-job',
 			'plural'   => 'queue-jobs',
 			'ajax'     => false,
+			'screen'   => $screen,
 		] );
 		$this->queue = $queue;
 	}
 
+	/**
+	 * Returns the labels of the job statuses.
+	 *
+	 * @return array<string, string> Status => label.
+	 * @since 1.9.0
+	 */
+	public static function get_status_labels(): array {
+		return [
+			'pending'    => __( 'Pending', 'kntnt-ad-attr' ),
+			'processing' => __( 'Processing', 'kntnt-ad-attr' ),
+			'done'       => __( 'Done', 'kntnt-ad-attr' ),
+			'failed'     => __( 'Failed', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Returns sanitized filter parameters from the current request.
+	 *
+	 * The query arguments are prefixed with `queue_`, so they don't clash
+	 * with the filters of the campaign list on the same page.
+	 *
+	 * @return array{reporter: string, status: string, date_start: string, date_end: string}
+	 * @since 1.9.0
+	 */
+	public function get_filter_params(): array {
+		$status     = sanitize_text_field( wp_unslash( $_GET['queue_status'] ?? '' ) );
+		$date_start = sanitize_text_field( wp_unslash( $_GET['queue_date_start'] ?? '' ) );
+		$date_end   = sanitize_text_field( wp_unslash( $_GET['queue_date_end'] ?? '' ) );
+
+		return [
+			'reporter'   => sanitize_text_field( wp_unslash( $_GET['queue_reporter'] ?? '' ) ),
+			'status'     => in_array( $status, Queue::STATUSES, true ) ? $status : '',
+			'date_start' => preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date_start ) ? $date_start : '',
+			'date_end'   => preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date_end ) ? $date_end : '',
+		];
+	}
+
 	/**
 	 * Defines the table columns.
 	 *
@@ -52,8 +95,10 @@ final class Queue_List_Table extends \WP_List_Table {
 	 */
 	public function get_columns(): array {
 		return [
+			'cb'            => '<input type="checkbox">',
 			'reporter'      => __( 'Reporter', 'kntnt-ad-attr' ),
 			'label'         => __( 'Description', 'kntnt-ad-attr' ),
+			'status'        => __( 'Status', 'kntnt-ad-attr' ),
 			'created_at'    => __( 'Created', 'kntnt-ad-attr' ),
 			'retry_after'   => __( 'Next Retry', 'kntnt-ad-attr' ),
 			'attempts'      => __( 'Attempts', 'kntnt-ad-attr' ),
@@ -66,6 +111,7 @@ final class Queue_List_Table extends \WP_List_Table {
 	 *
 	 * @return void
 	 * @since 1.8.0
+	 * @since 1.9.0 Applies the filters.
 	 */
 	public function prepare_items(): void {
 		$this->_column_headers = [
@@ -74,7 +120,35 @@ final class Queue_List_Table extends \WP_List_Table {
 			[],
 		];
 
-		$this->items = $this->queue->get_active_jobs();
+		$this->items = $this->queue->get_jobs( $this->get_filter_params() );
+	}
+
+	/**
+	 * Returns the rendered rows for the live updates of js/admin.js.
+	 *
+	 * @return array{rows: string, total_items: int}
+	 * @since 1.9.0
+	 */
+	public function get_fragments(): array {
+		ob_start();
+		$this->display_rows_or_placeholder();
+
+		return [
+			'rows'        => (string) ob_get_clean(),
+			'total_items' => count( $this->items ),
+		];
+	}
+
+	/**
+	 * Renders the checkbox column for bulk actions.
+	 *
+	 * @param object $item Queue job row.
+	 *
+	 * @return string HTML checkbox input.
+	 * @since 1.9.0
+	 */
+	protected function column_cb( $item ): string {
+		return '<input type="checkbox" name="job[]" value="' . esc_attr( (string) $item->id ) . '">';
 	}
 
 	/**
@@ -110,6 +184,11 @@ final class Queue_List_Table extends \WP_List_Table {
 				esc_url( $delete_url ),
 				esc_html__( 'Delete', 'kntnt-ad-attr' ),
 			),
+			'details' => sprintf(
+				'<button type="button" class="button-link kntnt-ad-attr-queue-details hide-if-no-js" data-job-id="%d">%s</button>',
+				$job_id,
+				esc_html__( 'Details', 'kntnt-ad-attr' ),
+			),
 		];
 
 		return esc_html( $item->reporter ) . $this->row_actions( $actions );
@@ -127,6 +206,21 @@ final class Queue_List_Table extends \WP_List_Table {
 		return esc_html( $item->label ?? '—' );
 	}
 
+	/**
+	 * Renders the status column.
+	 *
+	 * @param object $item Queue job row.
+	 *
+	 * @return string Column HTML.
+	 * @since 1.9.0
+	 */
+	protected function column_status( object $item ): string {
+		$labels = self::get_status_labels();
+
+		return '<span class="kntnt-ad-attr-queue-status-' . esc_attr( $item->status ) . '">'
+			. esc_html( $labels[ $item->status ] ?? $item->status ) . '</span>';
+	}
+
 	/**
 	 * Renders the created_at column as a relative time.
 	 *
@@ -213,14 +307,71 @@ final class Queue_List_Table extends \WP_List_Table {
 		return '<span title="' . esc_attr( $item->error_message ) . '">' . esc_html( $truncated ) . '</span>';
 	}
 
+	/**
+	 * Renders the filters and the actions on selected jobs above the table.
+	 *
+	 * The actions are carried out by js/admin.js without reloading the
+	 * page; without JavaScript, the row actions remain.
+	 *
+	 * @param string $which Position: 'top' or 'bottom'.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	protected function extra_tablenav( $which ): void {
+		if ( $which !== 'top' ) {
+			return;
+		}
+
+		$params = $this->get_filter_params();
+
+		echo '<div class="alignleft actions kntnt-ad-attr-queue-actions hide-if-no-js">';
+		echo '<select class="kntnt-ad-attr-queue-action" aria-label="' . esc_attr__( 'Action on selected jobs', 'kntnt-ad-attr' ) . '">';
+		echo '<option value="">' . esc_html__( 'Bulk actions', 'kntnt-ad-attr' ) . '</option>';
+		echo '<option value="retry">' . esc_html__( 'Retry now', 'kntnt-ad-attr' ) . '</option>';
+		echo '<option value="cancel">' . esc_html__( 'Cancel', 'kntnt-ad-attr' ) . '</option>';
+		echo '<option value="requeue">' . esc_html__( 'Requeue', 'kntnt-ad-attr' ) . '</option>';
+		echo '</select>';
+		echo '<button type="button" class="button kntnt-ad-attr-queue-apply">' . esc_html__( 'Apply', 'kntnt-ad-attr' ) . '</button>';
+		echo '</div>';
+
+		echo '<div class="alignleft actions kntnt-ad-attr-filters">';
+
+		echo '<select name="queue_reporter" aria-label="' . esc_attr__( 'Reporter', 'kntnt-ad-attr' ) . '">';
+		echo '<option value="">' . esc_html__( 'All Reporters', 'kntnt-ad-attr' ) . '</option>';
+		foreach ( $this->queue->get_reporters() as $reporter ) {
+			echo '<option value="' . esc_attr( $reporter ) . '"' . ( $reporter === $params['reporter'] ? ' selected' : '' ) . '>' . esc_html( $reporter ) . '</option>';
+		}
+		echo '</select>';
+
+		echo '<select name="queue_status" aria-label="' . esc_attr__( 'Status', 'kntnt-ad-attr' ) . '">';
+		echo '<option value="">' . esc_html__( 'Pending, Processing and Failed', 'kntnt-ad-attr' ) . '</option>';
+		foreach ( self::get_status_labels() as $status => $label ) {
+			echo '<option value="' . esc_attr( $status ) . '"' . ( $status === $params['status'] ? ' selected' : '' ) . '>' . esc_html( $label ) . '</option>';
+		}
+		echo '</select>';
+
+		echo '<input type="date" name="queue_date_start" value="' . esc_attr( $params['date_start'] ) . '" aria-label="' . esc_attr__( 'Created from', 'kntnt-ad-attr' ) . '">';
+		echo '<input type="date" name="queue_date_end" value="' . esc_attr( $params['date_end'] ) . '" aria-label="' . esc_attr__( 'Created until', 'kntnt-ad-attr' ) . '">';
+
+		submit_button( __( 'Filter', 'kntnt-ad-attr' ), '', 'queue_filter', false );
+
+		echo '</div>';
+	}
+
 	/**
 	 * Message displayed when no jobs are found.
 	 *
 	 * @return void
 	 * @since 1.8.0
+	 * @since 1.9.0 Mentions the filters when they are applied.
 	 */
 	public function no_items(): void {
-		esc_html_e( 'No pending or failed jobs in the queue.', 'kntnt-ad-attr' );
+		if ( array_filter( $this->get_filter_params() ) ) {
+			esc_html_e( 'No jobs in the queue match the filters.', 'kntnt-ad-attr' );
+		} else {
+			esc_html_e( 'No pending or failed jobs in the queue.', 'kntnt-ad-attr' );
+		}
 	}
 
 }
@@ -0,0 +1,320 @@
+<?php
+/**
+ * Aggregated click and conversion report for the reporting REST route.
+ *
+ * Sums clicks, fractional conversions and attributed value grouped by any
+ * combination of tracking URL, the UTM parameters stored on the tracking
+ * URL, the UTM parameters recorded per click, and day, week or month.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Builds report rows and their CSV representation.
+ *
+ * @since 1.9.0
+ */
+final class Report {
+
+	/**
+	 * Grouping dimensions mapped to their SQL expressions.
+	 *
+	 * Source, medium and campaign are set on the tracking URL; the others
+	 * are recorded per click from the query string of the click.
+	 *
+	 * @var array<string, string>
+	 * @since 1.9.0
+	 */
+	public const DIMENSIONS = [
+		'tracking_url'        => 'c.hash',
+		'utm_source'          => "COALESCE(pm_src.meta_value, '')",
+		'utm_medium'          => "COALESCE(pm_med.meta_value, '')",
+		'utm_campaign'        => "COALESCE(pm_camp.meta_value, '')",
+		'utm_content'         => "COALESCE(c.utm_content, '')",
+		'utm_term'            => "COALESCE(c.utm_term, '')",
+		'utm_id'              => "COALESCE(c.utm_id, '')",
+		'utm_source_platform' => "COALESCE(c.utm_source_platform, '')",
+	];
+
+	/**
+	 * Time periods a report can be grouped by; at most one per report.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const PERIODS = [ 'day', 'week', 'month' ];
+
+	/**
+	 * Largest number of rows per page.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const MAX_PER_PAGE = 1000;
+
+	/**
+	 * Returns one page of report rows and the total number of rows.
+	 *
+	 * Only clicks on published tracking URLs within the date range are
+	 * counted, leaving out clicks the interstitial page's script never
+	 * confirmed and, unless `suspected` is set, clicks suspected of click
+	 * fraud and their conversions. Conversions are counted on the day of the click they are
+	 * attributed to, as in the campaign list. Rows are ordered by the
+	 * grouping dimensions in the order given.
+	 *
+	 * @param array{date_start: string, date_end: string, utm_source: string, utm_medium: string, utm_campaign: string, click_id_platform?: string, search: string, suspected?: bool, hash?: string} $params
+	 *                                 Filters in the shape of Campaign_List_Table::get_filter_params(),
+	 *                                 optionally limited to the tracking URL with `hash`.
+	 * @param string[] $group_by Keys of DIMENSIONS and at most one of PERIODS.
+	 * @param int      $page     Page number, starting at 1.
+	 * @param int      $per_page Rows per page.
+	 *
+	 * @return array{total: int, rows: array<int, array<string, mixed>>}
+	 * @since 1.9.0
+	 */
+	public function get_rows( array $params, array $group_by, int $page, int $per_page ): array {
+		global $wpdb;
+
+		$group_by = $this->sanitize_group_by( $group_by );
+
+		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+		$conv_table   = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+		$counted      = Campaign_List_Table::get_counted_conversion_condition( ! empty( $params['suspected'] ) );
+
+		// Grouping columns, aliased by dimension so rows can be read back by name.
+		$columns = [];
+		foreach ( $group_by as $dimension ) {
+			$columns[ $dimension ] = $this->get_expression( $dimension ) . ' AS ' . $dimension;
+		}
+
+		$from_where = "FROM {$clicks_table} c
+			INNER JOIN {$wpdb->postmeta} pm_hash
+				ON pm_hash.meta_key = '_hash' AND pm_hash.meta_value = c.hash
+			INNER JOIN {$wpdb->posts} p
+				ON p.ID = pm_hash.post_id AND p.post_type = %s AND p.post_status = 'publish'
+			LEFT JOIN {$wpdb->postmeta} pm_src
+				ON pm_src.post_id = p.ID AND pm_src.meta_key = '_utm_source'
+			LEFT JOIN {$wpdb->postmeta} pm_med
+				ON pm_med.post_id = p.ID AND pm_med.meta_key = '_utm_medium'
+			LEFT JOIN {$wpdb->postmeta} pm_camp
+				ON pm_camp.post_id = p.ID AND pm_camp.meta_key = '_utm_campaign'
+			LEFT JOIN {$conv_table} cv
+				ON cv.click_id = c.id AND {$counted}
+			WHERE c.clicked_at BETWEEN %s AND %s";
+
+		$query_params = [
+			Post_Type::SLUG,
+			$params['date_start'] . ' 00:00:00',
+			$params['date_end'] . ' 23:59:59',
+		];
+
+		// Same UTM, click-ID and free-text filters as the campaign list.
+		$filter_map = [
+			'utm_source'   => 'pm_src.meta_value',
+			'utm_medium'   => 'pm_med.meta_value',
+			'utm_campaign' => 'pm_camp.meta_value',
+		];
+		foreach ( $filter_map as $filter_key => $column ) {
+			if ( ( $params[ $filter_key ] ?? '' ) !== '' ) {
+				$from_where    .= " AND {$column} = %s";
+				$query_params[] = $params[ $filter_key ];
+			}
+		}
+		if ( ( $params['click_id_platform'] ?? '' ) !== '' ) {
+			$from_where    .= " AND EXISTS (SELECT 1 FROM {$wpdb->prefix}kntnt_ad_attr_click_ids ci WHERE ci.hash = c.hash AND ci.platform = %s)";
+			$query_params[] = $params['click_id_platform'];
+		}
+		if ( ( $params['hash'] ?? '' ) !== '' ) {
+			$from_where    .= ' AND c.hash = %s';
+			$query_params[] = $params['hash'];
+		}
+		if ( ( $params['search'] ?? '' ) !== '' ) {
+			$like           = '%' . $wpdb->esc_like( $params['search'] ) . '%';
+			$from_where    .= ' AND (p.post_title LIKE %s OR pm_hash.meta_value LIKE %s)';
+			$query_params[] = $like;
+			$query_params[] = $like;
+		}
+
+		$aliases  = implode( ', ', $group_by );
+		$grouping = $group_by ? " GROUP BY {$aliases}" : '';
+		$ordering = $group_by ? " ORDER BY {$aliases}" : '';
+		$select   = $columns ? implode( ', ', $columns ) . ',' : '';
+
+		// Without grouping, the report is a single totals row.
+		if ( $group_by ) {
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			$total = (int) $wpdb->get_var( $wpdb->prepare(
+				"SELECT COUNT(*) FROM (
+					SELECT {$select} 1 {$from_where}{$grouping}
+				) AS grouped_rows",
+				...$query_params,
+			) );
+		} else {
+			$total = 1;
+		}
+
+		$uncounted = Campaign_List_Table::get_uncounted_click_condition( ! empty( $params['suspected'] ) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		$results = $wpdb->get_results( $wpdb->prepare(
+			"SELECT {$select}
+				COUNT(DISTINCT IF({$uncounted}, NULL, c.id)) AS clicks,
+				COALESCE(SUM(cv.fractional_conversion), 0) AS conversions,
+				SUM(cv.conversion_value) AS attributed_value,
+				COUNT(DISTINCT cv.currency) AS value_currencies,
+				MIN(cv.currency) AS value_currency
+			{$from_where}{$grouping}{$ordering}
+			LIMIT %d OFFSET %d",
+			...[ ...$query_params, $per_page, ( $page - 1 ) * $per_page ],
+		) );
+
+		$rows = [];
+		foreach ( $results ?: [] as $result ) {
+			$rows[] = $this->format_row( $result, $group_by );
+		}
+
+		return [ 'total' => $total, 'rows' => $rows ];
+	}
+
+	/**
+	 * Returns the column names of report rows.
+	 *
+	 * @param string[] $group_by Grouping dimensions of the report.
+	 *
+	 * @return string[] Column names in row order.
+	 * @since 1.9.0
+	 */
+	public function get_columns( array $group_by ): array {
+		$columns = [];
+		foreach ( $this->sanitize_group_by( $group_by ) as $dimension ) {
+			if ( $dimension === 'tracking_url' ) {
+				$columns[] = 'hash';
+			}
+			$columns[] = $dimension;
+		}
+
+		return [ ...$columns, 'clicks', 'conversions', 'attributed_value', 'currency' ];
+	}
+
+	/**
+	 * Renders report rows as CSV.
+	 *
+	 * Unlike the admin export, the CSV is meant for machines: the header
+	 * row holds the column names, the delimiter is always a comma, and
+	 * numbers use a decimal point regardless of the site's locale.
+	 *
+	 * @param array<int, array<string, mixed>> $rows     Rows from get_rows().
+	 * @param string[]                         $group_by Grouping dimensions of the report.
+	 *
+	 * @return string CSV document.
+	 * @since 1.9.0
+	 */
+	public function to_csv( array $rows, array $group_by ): string {
+		$columns = $this->get_columns( $group_by );
+		$output  = fopen( 'php://temp', 'r+' );
+
+		fputcsv( $output, $columns, ',', '"', '' );
+		foreach ( $rows as $row ) {
+			fputcsv( $output, array_map( fn( string $column ) => $row[ $column ] ?? '', $columns ), ',', '"', '' );
+		}
+
+		rewind( $output );
+		$csv = (string) stream_get_contents( $output );
+		fclose( $output );
+
+		return $csv;
+	}
+
+	/**
+	 * Drops unknown dimensions, duplicates and all periods but the first.
+	 *
+	 * @param string[] $group_by Requested grouping dimensions.
+	 *
+	 * @return string[] Valid grouping dimensions in the requested order.
+	 * @since 1.9.0
+	 */
+	private function sanitize_group_by( array $group_by ): array {
+		$valid      = [];
+		$has_period = false;
+
+		foreach ( $group_by as $dimension ) {
+			$is_period = in_array( $dimension, self::PERIODS, true );
+			if ( ( ! $is_period && ! array_key_exists( $dimension, self::DIMENSIONS ) ) || in_array( $dimension, $valid, true ) ) {
+				continue;
+			}
+			if ( $is_period ) {
+				if ( $has_period ) {
+					continue;
+				}
+				$has_period = true;
+			}
+			$valid[] = $dimension;
+		}
+
+		return $valid;
+	}
+
+	/**
+	 * Returns the SQL expression of a grouping dimension.
+	 *
+	 * Periods are labeled by their first day. Weeks begin on the WordPress
+	 * "Week Starts On" day, as on the dashboard.
+	 *
+	 * @param string $dimension Key of DIMENSIONS or one of PERIODS.
+	 *
+	 * @return string SQL expression.
+	 * @since 1.9.0
+	 */
+	private function get_expression( string $dimension ): string {
+		return match ( $dimension ) {
+			'day'   => 'DATE(c.clicked_at)',
+			'week'  => sprintf(
+				'DATE_SUB(DATE(c.clicked_at), INTERVAL MOD(DAYOFWEEK(c.clicked_at) + 6 - %d, 7) DAY)',
+				(int) get_option( 'start_of_week', 0 ),
+			),
+			'month' => 'DATE_SUB(DATE(c.clicked_at), INTERVAL DAYOFMONTH(c.clicked_at) - 1 DAY)',
+			default => self::DIMENSIONS[ $dimension ],
+		};
+	}
+
+	/**
+	 * Converts a result row to a report row.
+	 *
+	 * Values in different currencies are summed as-is, as in the campaign
+	 * list; such sums have the currency `mixed` instead of a code.
+	 *
+	 * @param object   $result   Database row.
+	 * @param string[] $group_by Grouping dimensions of the report.
+	 *
+	 * @return array<string, mixed> Row keyed by column name.
+	 * @since 1.9.0
+	 */
+	private function format_row( object $result, array $group_by ): array {
+		$row = [];
+		foreach ( $group_by as $dimension ) {
+			if ( $dimension === 'tracking_url' ) {
+				$row['hash']         = (string) $result->tracking_url;
+				$row['tracking_url'] = home_url( Plugin::get_url_prefix() . '/' . $result->tracking_url );
+			} else {
+				$row[ $dimension ] = (string) $result->$dimension;
+			}
+		}
+
+		$row['clicks']           = (int) $result->clicks;
+		$row['conversions']      = (float) $result->conversions;
+		$row['attributed_value'] = $result->attributed_value === null ? null : (float) $result->attributed_value;
+		$row['currency']         = match ( (int) $result->value_currencies ) {
+			0       => null,
+			1       => (string) $result->value_currency,
+			default => 'mixed',
+		};
+
+		return $row;
+	}
+
+}
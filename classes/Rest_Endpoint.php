@@ -1,10 +1,15 @@
 <?php
 /**
- * REST endpoints for admin page selector and client-side cookie setting.
+ * REST endpoints for the admin pages and the client-side scripts.
  *
- * Registers the `search-posts` endpoint used by the select2 component
- * on the admin page, and the `set-cookie` endpoint used by the client-side
- * script to persist pending hashes after consent is granted.
+ * Registers the plugin's routes under `kntnt-ad-attribution/v1`:
+ *
+ * - Client scripts: `set-cookie`, `convert`, `confirm-click`, and the
+ *   `nonce` and `token` routes that supply credentials on cached pages.
+ * - Admin page: `search-posts`, `campaigns`, `bulk-create`, `dashboard`
+ *   and `report`.
+ * - Report queue: `queue`, `queue/{id}` and `queue/actions`.
+ * - Settings page: `log` and `webhooks/{id}/test`.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.0.0
@@ -19,7 +24,7 @@ use WP_REST_Response;
 use WP_Query;
 
 /**
- * Provides REST endpoints for the admin page selector and cookie setting.
+ * Provides REST endpoints for the admin pages and the client-side scripts.
  *
  * @since 1.0.0
  */
@@ -33,6 +38,62 @@ final class Rest_Endpoint {
 	 */
 	private const NAMESPACE = 'kntnt-ad-attribution/v1';
 
+	/**
+	 * Maximum requests per IP address and rate limit window.
+	 *
+	 * Applies to the set-cookie, convert and confirm-click routes, each
+	 * counted separately under its own transient prefix
+	 * (`kntnt_ad_attr_rl_`, `kntnt_ad_attr_crl_` and `kntnt_ad_attr_irl_`).
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const RATE_LIMIT = 10;
+
+	/**
+	 * Length of the rate limit window of the set-cookie, convert and
+	 * confirm-click routes in seconds.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const RATE_LIMIT_WINDOW = MINUTE_IN_SECONDS;
+
+	/**
+	 * Maximum number of entries the log route returns.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const MAX_LOG_ENTRIES = 500;
+
+	/**
+	 * Lifetime of a cache-safe request token in seconds.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const TOKEN_TTL = 10 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Seconds a click may precede the time the client script reports.
+	 *
+	 * The script records a hash when the landing page loads, shortly after
+	 * the click was logged during the redirect.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const CLICK_TIME_TOLERANCE = MINUTE_IN_SECONDS;
+
+	/**
+	 * Longest date range in days the dashboard route aggregates.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const DASHBOARD_MAX_DAYS = 731;
+
 	/**
 	 * Cookie manager for reading/writing the _ad_clicks cookie.
 	 *
@@ -42,80 +103,866 @@ final class Rest_Endpoint {
 	private readonly Cookie_Manager $cookie_manager;
 
 	/**
-	 * Consent resolver for verifying storage permission.
+	 * Consent resolver for verifying storage permission.
+	 *
+	 * @var Consent
+	 * @since 1.0.0
+	 */
+	private readonly Consent $consent;
+
+	/**
+	 * Settings instance for reading the cache-safe mode.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Conversion handler for conversions reported from the browser.
+	 *
+	 * @var Conversion_Handler
+	 * @since 1.9.0
+	 */
+	private readonly Conversion_Handler $conversion_handler;
+
+	/**
+	 * Dashboard for the time series of the dashboard tab.
+	 *
+	 * @var Dashboard
+	 * @since 1.9.0
+	 */
+	private readonly Dashboard $dashboard;
+
+	/**
+	 * Report for the reporting route.
+	 *
+	 * @var Report
+	 * @since 1.9.0
+	 */
+	private readonly Report $report;
+
+	/**
+	 * Creator of tracking URLs for the bulk route.
+	 *
+	 * @var Tracking_Url_Creator
+	 * @since 1.9.0
+	 */
+	private readonly Tracking_Url_Creator $tracking_url_creator;
+
+	/**
+	 * Queue for the queue routes.
+	 *
+	 * @var Queue
+	 * @since 1.9.0
+	 */
+	private readonly Queue $queue;
+
+	/**
+	 * Queue processor for retrying jobs.
+	 *
+	 * @var Queue_Processor
+	 * @since 1.9.0
+	 */
+	private readonly Queue_Processor $queue_processor;
+
+	/**
+	 * Logger for the log route.
+	 *
+	 * @var Logger
+	 * @since 1.9.0
+	 */
+	private readonly Logger $logger;
+
+	/**
+	 * Webhook reporter for sending test events.
+	 *
+	 * @var Webhook_Reporter
+	 * @since 1.9.0
+	 */
+	private readonly Webhook_Reporter $webhook_reporter;
+
+	/**
+	 * Click-ID store for click IDs picked up by the client script.
+	 *
+	 * @var Click_ID_Store
+	 * @since 1.9.0
+	 */
+	private readonly Click_ID_Store $click_id_store;
+
+	/**
+	 * Initializes the REST endpoint with its dependencies.
+	 *
+	 * @param Cookie_Manager       $cookie_manager       Cookie read/write operations.
+	 * @param Consent              $consent              Consent state resolution.
+	 * @param Settings             $settings             Plugin settings.
+	 * @param Conversion_Handler   $conversion_handler   Conversion attribution.
+	 * @param Dashboard            $dashboard            Dashboard time series.
+	 * @param Report               $report               Aggregated report.
+	 * @param Tracking_Url_Creator $tracking_url_creator Tracking URL creation.
+	 * @param Queue                $queue                Async job queue.
+	 * @param Queue_Processor      $queue_processor      Queue processor for retries.
+	 * @param Logger               $logger               Diagnostic log.
+	 * @param Webhook_Reporter     $webhook_reporter     Webhook test events.
+	 * @param Click_ID_Store       $click_id_store       Platform click IDs.
+	 *
+	 * @since 1.0.0
+	 * @since 1.9.0 Added the `$settings`, `$conversion_handler`, `$dashboard`, `$report`, `$tracking_url_creator`, `$queue`, `$queue_processor`, `$logger`, `$webhook_reporter` and `$click_id_store` parameters.
+	 */
+	public function __construct( Cookie_Manager $cookie_manager, Consent $consent, Settings $settings, Conversion_Handler $conversion_handler, Dashboard $dashboard, Report $report, Tracking_Url_Creator $tracking_url_creator, Queue $queue, Queue_Processor $queue_processor, Logger $logger, Webhook_Reporter $webhook_reporter, Click_ID_Store $click_id_store ) {
+		$this->cookie_manager       = $cookie_manager;
+		$this->consent              = $consent;
+		$this->settings             = $settings;
+		$this->conversion_handler   = $conversion_handler;
+		$this->dashboard            = $dashboard;
+		$this->report               = $report;
+		$this->tracking_url_creator = $tracking_url_creator;
+		$this->queue                = $queue;
+		$this->queue_processor      = $queue_processor;
+		$this->logger               = $logger;
+		$this->webhook_reporter     = $webhook_reporter;
+		$this->click_id_store       = $click_id_store;
+	}
+
+	/**
+	 * Registers the REST API initialization hook.
+	 *
+	 * @return void
+	 * @since 1.0.0
+	 * @since 1.9.0 Also hooks the CSV output of the report route.
+	 */
+	public function register(): void {
+		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+		add_filter( 'rest_pre_serve_request', [ $this, 'serve_csv' ], 10, 3 );
+	}
+
+	/**
+	 * Registers the plugin's REST routes.
+	 *
+	 * See the file header for the list of routes.
+	 *
+	 * @return void
+	 * @since 1.0.0
+	 */
+	public function register_routes(): void {
+		register_rest_route( self::NAMESPACE, '/search-posts', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'search_posts' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'search' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/set-cookie', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'set_cookie' ],
+			'permission_callback' => '__return_true',
+			'args'                => [
+				'hashes' => [
+					'type'  => 'array',
+					'items' => [
+						'type' => 'string',
+					],
+				],
+				'clicks' => [
+					'type'  => 'array',
+					'items' => [
+						'type'       => 'object',
+						'properties' => [
+							'hash'       => [ 'type' => 'string' ],
+							'age'        => [ 'type' => 'integer' ],
+							'clicked_at' => [ 'type' => 'integer' ],
+							'sig'        => [ 'type' => 'string' ],
+							'click_ids'  => [ 'type' => 'object' ],
+						],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/convert', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'convert' ],
+			'permission_callback' => '__return_true',
+			'args'                => [
+				'label'     => [ 'type' => 'string' ],
+				'value'     => [ 'type' => 'number' ],
+				'currency'  => [ 'type' => 'string' ],
+				'dedup_key' => [ 'type' => 'string' ],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/confirm-click', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'confirm_click' ],
+			'permission_callback' => '__return_true',
+			'args'                => [
+				'click'   => [
+					'type'     => 'string',
+					'required' => true,
+				],
+				'consent' => [
+					'type' => 'string',
+					'enum' => [ 'yes', 'no' ],
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/nonce', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'refresh_nonce' ],
+			'permission_callback' => '__return_true',
+		] );
+
+		register_rest_route( self::NAMESPACE, '/token', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'issue_token' ],
+			'permission_callback' => '__return_true',
+		] );
+
+		register_rest_route( self::NAMESPACE, '/dashboard', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_dashboard' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'date_start' => [
+					'required' => true,
+					'type'     => 'string',
+					'pattern'  => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'date_end'   => [
+					'required' => true,
+					'type'     => 'string',
+					'pattern'  => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'interval'   => [
+					'type'    => 'string',
+					'enum'    => Dashboard::INTERVALS,
+					'default' => 'day',
+				],
+				'group_by'   => [
+					'type'    => 'string',
+					'enum'    => array_keys( Dashboard::GROUPS ),
+					'default' => 'utm_source',
+				],
+			],
+		] );
+
+		// Filters share their names with the campaign list's query string.
+		register_rest_route( self::NAMESPACE, '/report', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_report' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'date_start'        => [
+					'type'    => 'string',
+					'pattern' => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'date_end'          => [
+					'type'    => 'string',
+					'pattern' => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'utm_source'        => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'utm_medium'        => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'utm_campaign'      => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'click_id_platform' => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				's'                 => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'suspected'         => [
+					'type'    => 'boolean',
+					'default' => false,
+				],
+				'hash'              => [
+					'type'    => 'string',
+					'pattern' => '^[a-f0-9]{64}$',
+				],
+				'group_by'          => [
+					'type'    => 'array',
+					'items'   => [
+						'type' => 'string',
+						'enum' => [ ...array_keys( Report::DIMENSIONS ), ...Report::PERIODS ],
+					],
+					'default' => [ 'tracking_url' ],
+				],
+				'page'              => [
+					'type'    => 'integer',
+					'minimum' => 1,
+					'default' => 1,
+				],
+				'per_page'          => [
+					'type'    => 'integer',
+					'minimum' => 1,
+					'maximum' => Report::MAX_PER_PAGE,
+					'default' => 100,
+				],
+				'format'            => [
+					'type'    => 'string',
+					'enum'    => [ 'json', 'csv' ],
+					'default' => 'json',
+				],
+			],
+		] );
+
+		// Arguments mirror the campaign list's query string, which the list table reads.
+		register_rest_route( self::NAMESPACE, '/campaigns', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_campaigns' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'date_start'        => [
+					'type'    => 'string',
+					'pattern' => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'date_end'          => [
+					'type'    => 'string',
+					'pattern' => '^\d{4}-\d{2}-\d{2}$',
+				],
+				'utm_source'        => [
+					'type' => 'string',
+				],
+				'utm_medium'        => [
+					'type' => 'string',
+				],
+				'utm_campaign'      => [
+					'type' => 'string',
+				],
+				'click_id_platform' => [
+					'type' => 'string',
+				],
+				's'                 => [
+					'type' => 'string',
+				],
+				'suspected'         => [
+					'type' => 'boolean',
+				],
+				'orderby'           => [
+					'type' => 'string',
+					'enum' => [ 'total_clicks', 'total_conversions', 'attributed_value', 'utm_source', 'utm_medium', 'utm_campaign' ],
+				],
+				'order'             => [
+					'type' => 'string',
+					'enum' => [ 'asc', 'desc' ],
+				],
+				'paged'             => [
+					'type'    => 'integer',
+					'minimum' => 1,
+				],
+				'compare'           => [
+					'type'    => 'boolean',
+					'default' => false,
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/bulk-create', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'bulk_create' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'rows'    => [
+					'required' => true,
+					'type'     => 'array',
+					'minItems' => 1,
+					'maxItems' => Tracking_Url_Creator::MAX_ROWS,
+					'items'    => [
+						'type'       => 'object',
+						'properties' => [
+							'target'       => [ 'type' => 'string' ],
+							'utm_source'   => [ 'type' => 'string' ],
+							'utm_medium'   => [ 'type' => 'string' ],
+							'utm_campaign' => [ 'type' => 'string' ],
+						],
+					],
+				],
+				'dry_run' => [
+					'type'    => 'boolean',
+					'default' => false,
+				],
+			],
+		] );
+
+		// Filters share their names with the queue table's query string.
+		register_rest_route( self::NAMESPACE, '/queue', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_queue' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'queue_reporter'   => [
+					'type' => 'string',
+				],
+				'queue_status'     => [
+					'type' => 'string',
+					'enum' => [ '', ...Queue::STATUSES ],
+				],
+				'queue_date_start' => [
+					'type'    => 'string',
+					'pattern' => '^(\d{4}-\d{2}-\d{2})?$',
+				],
+				'queue_date_end'   => [
+					'type'    => 'string',
+					'pattern' => '^(\d{4}-\d{2}-\d{2})?$',
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/queue/(?P<id>\d+)', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_queue_job' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/queue/actions', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'update_queue' ],
+			'permission_callback' => [ $this, 'check_permission' ],
+			'args'                => [
+				'action' => [
+					'required' => true,
+					'type'     => 'string',
+					'enum'     => [ 'retry', 'cancel', 'requeue' ],
+				],
+				'ids'    => [
+					'required' => true,
+					'type'     => 'array',
+					'minItems' => 1,
+					'maxItems' => Queue::MAX_JOBS,
+					'items'    => [
+						'type'    => 'integer',
+						'minimum' => 1,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/log', [
+			'methods'             => 'GET',
+			'callback'            => [ $this, 'get_log' ],
+			'permission_callback' => [ $this, 'check_settings_permission' ],
+			'args'                => [
+				'level'  => [
+					'type'    => 'string',
+					'enum'    => [ '', 'info', 'error' ],
+					'default' => '',
+				],
+				'prefix' => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'search' => [
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+			],
+		] );
+
+		register_rest_route( self::NAMESPACE, '/webhooks/(?P<id>[a-f0-9]+)/test', [
+			'methods'             => 'POST',
+			'callback'            => [ $this, 'test_webhook' ],
+			'permission_callback' => [ $this, 'check_settings_permission' ],
+		] );
+	}
+
+	/**
+	 * Checks if the current user has the plugin capability.
+	 *
+	 * @return bool True if authorized.
+	 * @since 1.0.0
+	 */
+	public function check_permission(): bool {
+		return current_user_can( 'kntnt_ad_attr' );
+	}
+
+	/**
+	 * Checks if the current user can manage the plugin settings.
+	 *
+	 * The log and the webhooks are part of the settings page, which requires
+	 * `manage_options` like its download and clear actions.
+	 *
+	 * @return bool True if authorized.
+	 * @since 1.9.0
+	 */
+	public function check_settings_permission(): bool {
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * Returns the time series for the dashboard charts.
+	 *
+	 * Clicks and conversions per day or week, grouped by source, medium
+	 * or campaign. See Dashboard::get_series() for the response shape.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Time series, or 400 for an invalid date range.
+	 * @since 1.9.0
+	 */
+	public function get_dashboard( WP_REST_Request $request ): WP_REST_Response {
+		$date_start = (string) $request->get_param( 'date_start' );
+		$date_end   = (string) $request->get_param( 'date_end' );
+
+		// Reject reversed and overly long ranges before aggregating.
+		$start = strtotime( $date_start . ' UTC' );
+		$end   = strtotime( $date_end . ' UTC' );
+		if ( $start === false || $end === false || $end < $start || ( $end - $start ) / DAY_IN_SECONDS >= self::DASHBOARD_MAX_DAYS ) {
+			return new WP_REST_Response( [ 'message' => __( 'Invalid date range.', 'kntnt-ad-attr' ) ], 400 );
+		}
+
+		return new WP_REST_Response( $this->dashboard->get_series(
+			$date_start,
+			$date_end,
+			(string) $request->get_param( 'interval' ),
+			(string) $request->get_param( 'group_by' ),
+		) );
+	}
+
+	/**
+	 * Returns one page of the aggregated report as JSON or CSV.
+	 *
+	 * Missing dates default to the same two weeks as the campaign list.
+	 * The total number of rows and pages are sent in the `X-WP-Total` and
+	 * `X-WP-TotalPages` headers, as by the core collection routes. Scheduled
+	 * jobs authenticate with an Application Password of a user with the
+	 * `kntnt_ad_attr` capability.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Report rows, or 400 for an invalid date range or grouping.
+	 * @since 1.9.0
+	 */
+	public function get_report( WP_REST_Request $request ): WP_REST_Response {
+		$defaults = Campaign_List_Table::get_default_date_range();
+		$params   = [
+			'date_start'        => (string) ( $request->get_param( 'date_start' ) ?? $defaults['start'] ),
+			'date_end'          => (string) ( $request->get_param( 'date_end' ) ?? $defaults['end'] ),
+			'utm_source'        => (string) $request->get_param( 'utm_source' ),
+			'utm_medium'        => (string) $request->get_param( 'utm_medium' ),
+			'utm_campaign'      => (string) $request->get_param( 'utm_campaign' ),
+			'click_id_platform' => (string) $request->get_param( 'click_id_platform' ),
+			'search'            => (string) $request->get_param( 's' ),
+			'suspected'         => (bool) $request->get_param( 'suspected' ),
+			'hash'              => (string) $request->get_param( 'hash' ),
+		];
+
+		$start = strtotime( $params['date_start'] . ' UTC' );
+		$end   = strtotime( $params['date_end'] . ' UTC' );
+		if ( $start === false || $end === false || $end < $start ) {
+			return new WP_REST_Response( [ 'message' => __( 'Invalid date range.', 'kntnt-ad-attr' ) ], 400 );
+		}
+
+		$group_by = array_values( array_unique( array_map( 'strval', (array) ( $request->get_param( 'group_by' ) ?? [ 'tracking_url' ] ) ) ) );
+		if ( count( array_intersect( $group_by, Report::PERIODS ) ) > 1 ) {
+			return new WP_REST_Response( [ 'message' => __( 'Group by at most one of day, week and month.', 'kntnt-ad-attr' ) ], 400 );
+		}
+
+		$page     = max( 1, (int) ( $request->get_param( 'page' ) ?? 1 ) );
+		$per_page = min( Report::MAX_PER_PAGE, max( 1, (int) ( $request->get_param( 'per_page' ) ?? 100 ) ) );
+		$result   = $this->report->get_rows( $params, $group_by, $page, $per_page );
+
+		if ( $request->get_param( 'format' ) === 'csv' ) {
+			$response = new WP_REST_Response( $this->report->to_csv( $result['rows'], $group_by ) );
+			$response->header( 'Content-Type', 'text/csv; charset=UTF-8' );
+			$response->header( 'Content-Disposition', sprintf(
+				'attachment; filename=kntnt-ad-attribution-report-%s-to-%s.csv',
+				$params['date_start'],
+				$params['date_end'],
+			) );
+		} else {
+			$response = new WP_REST_Response( $result['rows'] );
+		}
+
+		$response->header( 'X-WP-Total', (string) $result['total'] );
+		$response->header( 'X-WP-TotalPages', (string) (int) ceil( $result['total'] / $per_page ) );
+
+		return $response;
+	}
+
+	/**
+	 * Returns the campaign list for the filters, sorting and page requested.
+	 *
+	 * The rows, column headers and pagination are rendered by the list
+	 * table, so js/admin.js can swap them into the admin page as is. With
+	 * `compare`, the response also holds the totals of the period of the
+	 * same length immediately before the date range.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response List fragments and totals, or 400 for an invalid date range.
+	 * @since 1.9.0
+	 */
+	public function get_campaigns( WP_REST_Request $request ): WP_REST_Response {
+		$table  = new Campaign_List_Table( 'tools_page_' . Plugin::get_slug() );
+		$params = $table->get_filter_params();
+
+		$start = strtotime( $params['date_start'] . ' UTC' );
+		$end   = strtotime( $params['date_end'] . ' UTC' );
+		if ( $start === false || $end === false || $end < $start ) {
+			return new WP_REST_Response( [ 'message' => __( 'Invalid date range.', 'kntnt-ad-attr' ) ], 400 );
+		}
+
+		$table->prepare_items();
+		$data = $table->get_fragments();
+
+		if ( $request->get_param( 'compare' ) ) {
+			$days     = intdiv( $end - $start, DAY_IN_SECONDS ) + 1;
+			$previous = [
+				...$params,
+				'date_start' => gmdate( 'Y-m-d', $start - $days * DAY_IN_SECONDS ),
+				'date_end'   => gmdate( 'Y-m-d', $start - DAY_IN_SECONDS ),
+			];
+
+			// Without grouping, the report is the totals row.
+			$data['previous'] = [
+				'date_start' => $previous['date_start'],
+				'date_end'   => $previous['date_end'],
+				'totals'     => $this->report->get_rows( $previous, [], 1, 1 )['rows'][0],
+			];
+		}
+
+		return new WP_REST_Response( $data );
+	}
+
+	/**
+	 * Validates rows of tracking URLs and, unless it is a dry run, creates them.
+	 *
+	 * A dry run returns the rows with their validation errors for the
+	 * preview on the admin page. Otherwise, nothing is created unless all
+	 * rows are valid; the response then lists the created tracking URLs and
+	 * holds them as CSV for download.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Validated rows, or the created tracking URLs; 400 if any row is invalid.
+	 * @since 1.9.0
+	 */
+	public function bulk_create( WP_REST_Request $request ): WP_REST_Response {
+		$rows    = $this->tracking_url_creator->validate_rows( (array) $request->get_param( 'rows' ) );
+		$invalid = count( array_filter( $rows, fn( array $row ) => $row['errors'] !== [] ) );
+
+		if ( $request->get_param( 'dry_run' ) ) {
+			return new WP_REST_Response( [ 'rows' => $rows, 'invalid' => $invalid ] );
+		}
+
+		if ( $invalid > 0 ) {
+			return new WP_REST_Response( [
+				'message' => __( 'Correct the rows with errors before creating the tracking URLs.', 'kntnt-ad-attr' ),
+				'rows'    => $rows,
+				'invalid' => $invalid,
+			], 400 );
+		}
+
+		$created = $this->tracking_url_creator->create_rows( $rows );
+
+		return new WP_REST_Response( [
+			'created' => $created,
+			'csv'     => $this->tracking_url_creator->to_csv( $created ),
+		] );
+	}
+
+	/**
+	 * Returns the queue table rows for the filters requested.
+	 *
+	 * The rows are rendered by the list table, so js/admin.js can swap
+	 * them into the admin page as is while polling the job status.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Rendered rows and their number.
+	 * @since 1.9.0
+	 */
+	public function get_queue( WP_REST_Request $request ): WP_REST_Response {
+		$table = new Queue_List_Table( $this->queue, 'tools_page_' . Plugin::get_slug() );
+		$table->prepare_items();
+
+		return new WP_REST_Response( $table->get_fragments() );
+	}
+
+	/**
+	 * Returns a job with its decoded payload and full error message.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response The job, or 404 if there is no such job.
+	 * @since 1.9.0
+	 */
+	public function get_queue_job( WP_REST_Request $request ): WP_REST_Response {
+		$job = $this->queue->get_job( (int) $request->get_param( 'id' ) );
+
+		if ( ! $job ) {
+			return new WP_REST_Response( [ 'message' => __( 'The job does not exist.', 'kntnt-ad-attr' ) ], 404 );
+		}
+
+		return new WP_REST_Response( [
+			'id'            => $job->id,
+			'reporter'      => (string) $job->reporter,
+			'label'         => $job->label !== null ? (string) $job->label : null,
+			'status'        => (string) $job->status,
+			'attempts'      => $job->attempts,
+			'created_at'    => (string) $job->created_at,
+			'processed_at'  => $job->processed_at,
+			'retry_after'   => $job->retry_after,
+			'error_message' => $job->error_message,
+			'payload'       => $job->payload,
+		] );
+	}
+
+	/**
+	 * Retries, cancels or requeues jobs.
 	 *
-	 * @var Consent
-	 * @since 1.0.0
+	 * Retrying runs a pending or failed job at once through
+	 * Queue_Processor::process_single(); a failed job gets one more attempt.
+	 * Cancelling applies to pending jobs and requeuing to failed jobs, which
+	 * get all their attempts back and are picked up by the next queue run.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Whether the action succeeded for each job.
+	 * @since 1.9.0
 	 */
-	private readonly Consent $consent;
+	public function update_queue( WP_REST_Request $request ): WP_REST_Response {
+		$action  = (string) $request->get_param( 'action' );
+		$results = [];
+
+		foreach ( array_unique( array_map( 'intval', (array) $request->get_param( 'ids' ) ) ) as $id ) {
+			$results[] = [
+				'id' => $id,
+				'ok' => match ( $action ) {
+					'retry'   => $this->retry_job( $id ),
+					'cancel'  => $this->queue->cancel( $id ),
+					'requeue' => $this->queue->requeue( $id ),
+				},
+			];
+		}
+
+		if ( $action === 'requeue' && in_array( true, array_column( $results, 'ok' ), true ) ) {
+			$this->queue_processor->schedule();
+		}
+
+		return new WP_REST_Response( [ 'results' => $results ] );
+	}
 
 	/**
-	 * Initializes the REST endpoint with its dependencies.
+	 * Runs a pending or failed job at once.
 	 *
-	 * @param Cookie_Manager $cookie_manager Cookie read/write operations.
-	 * @param Consent        $consent        Consent state resolution.
+	 * @param int $id Job ID.
 	 *
-	 * @since 1.0.0
+	 * @return bool True if the job was reported successfully.
+	 * @since 1.9.0
 	 */
-	public function __construct( Cookie_Manager $cookie_manager, Consent $consent ) {
-		$this->cookie_manager = $cookie_manager;
-		$this->consent        = $consent;
+	private function retry_job( int $id ): bool {
+		$job = $this->queue->get_job( $id );
+
+		if ( ! $job || ! in_array( $job->status, [ 'pending', 'failed' ], true ) ) {
+			return false;
+		}
+
+		return $this->queue_processor->process_single( $id, $job->status === 'failed' );
 	}
 
 	/**
-	 * Registers the REST API initialization hook.
+	 * Returns the newest log entries matching the filters.
 	 *
-	 * @return void
-	 * @since 1.0.0
+	 * The messages are redacted by Logger::get_entries(). Returns the
+	 * prefixes of all entries, so the viewer can offer them as filters.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Up to MAX_LOG_ENTRIES entries, newest first,
+	 *                          with the number of matching entries and the prefixes.
+	 * @since 1.9.0
 	 */
-	public function register(): void {
-		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+	public function get_log( WP_REST_Request $request ): WP_REST_Response {
+		$entries  = $this->logger->get_entries();
+		$prefixes = array_values( array_unique( array_column( $entries, 'prefix' ) ) );
+		sort( $prefixes );
+
+		$matching = Logger::filter_entries( $entries, [
+			'level'  => (string) $request->get_param( 'level' ),
+			'prefix' => (string) $request->get_param( 'prefix' ),
+			'search' => (string) $request->get_param( 'search' ),
+		] );
+
+		return new WP_REST_Response( [
+			'entries'  => array_reverse( array_slice( $matching, -self::MAX_LOG_ENTRIES ) ),
+			'total'    => count( $matching ),
+			'prefixes' => $prefixes,
+		] );
 	}
 
 	/**
-	 * Registers REST routes for search-posts and set-cookie.
+	 * Sends a test event to a saved webhook.
 	 *
-	 * @return void
-	 * @since 1.0.0
+	 * The request is sent at once, bypassing the queue, so the admin sees
+	 * the endpoint's answer. The result is returned with status 200 even if
+	 * the delivery failed, since the REST request itself succeeded.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Whether the endpoint accepted the event, its
+	 *                          HTTP status and response, or 404 if there is no such webhook.
+	 * @since 1.9.0
 	 */
-	public function register_routes(): void {
-		register_rest_route( self::NAMESPACE, '/search-posts', [
-			'methods'             => 'GET',
-			'callback'            => [ $this, 'search_posts' ],
-			'permission_callback' => [ $this, 'check_permission' ],
-			'args'                => [
-				'search' => [
-					'required'          => true,
-					'type'              => 'string',
-					'sanitize_callback' => 'sanitize_text_field',
-				],
-			],
-		] );
+	public function test_webhook( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->webhook_reporter->send_test( (string) $request->get_param( 'id' ) );
 
-		register_rest_route( self::NAMESPACE, '/set-cookie', [
-			'methods'             => 'POST',
-			'callback'            => [ $this, 'set_cookie' ],
-			'permission_callback' => '__return_true',
-			'args'                => [
-				'hashes' => [
-					'required' => true,
-					'type'     => 'array',
-					'items'    => [
-						'type' => 'string',
-					],
-				],
-			],
-		] );
+		if ( $result === null ) {
+			return new WP_REST_Response( [ 'message' => __( 'The webhook does not exist.', 'kntnt-ad-attr' ) ], 404 );
+		}
+
+		return new WP_REST_Response( $result );
 	}
 
 	/**
-	 * Checks if the current user has the plugin capability.
+	 * Sends a CSV report as is instead of as a JSON-encoded string.
 	 *
-	 * @return bool True if authorized.
-	 * @since 1.0.0
+	 * Hooked to `rest_pre_serve_request`, which runs after the response
+	 * headers, including the report's Content-Type, have been sent.
+	 *
+	 * @param bool            $served  Whether the request has already been served.
+	 * @param mixed           $result  Response to serve.
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return bool True if the CSV was sent.
+	 * @since 1.9.0
 	 */
-	public function check_permission(): bool {
-		return current_user_can( 'kntnt_ad_attr' );
+	public function serve_csv( bool $served, mixed $result, WP_REST_Request $request ): bool {
+		if ( $served || ! $result instanceof WP_REST_Response || $request->get_route() !== '/' . self::NAMESPACE . '/report' ) {
+			return $served;
+		}
+
+		if ( ! str_starts_with( $result->get_headers()['Content-Type'] ?? '', 'text/csv' ) ) {
+			return $served;
+		}
+
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- CSV, not HTML.
+		echo $result->get_data();
+
+		return true;
 	}
 
 	/**
@@ -239,7 +1086,7 @@ final class Rest_Endpoint {
 	}
 
 	/**
-	 * Formats a post object for the select2 component response.
+	 * Formats a post object for the page search combobox response.
 	 *
 	 * @param \WP_Post $post The post to format.
 	 *
@@ -259,29 +1106,32 @@ final class Rest_Endpoint {
 	 *
 	 * Called by the client-side script when the visitor grants consent.
 	 * Validates hashes against format and database, checks consent state,
-	 * merges with any existing cookie entries, and writes the cookie.
+	 * merges with any existing cookie entries, writes the cookie, and stores
+	 * the click IDs the script picked up for the hashes.
+	 *
+	 * Accepts JSON from `fetch` and form-encoded bodies (`hashes[]=…`) from
+	 * `navigator.sendBeacon`; WordPress parses both into request params.
 	 *
 	 * @param WP_REST_Request $request The REST request containing hashes array.
 	 *
 	 * @return WP_REST_Response Success status.
 	 * @since 1.0.0
+	 * @since 1.9.0 Stores click IDs sent along with the clicks.
 	 */
 	public function set_cookie( WP_REST_Request $request ): WP_REST_Response {
 
-		// Rate limit: allow at most 10 requests per minute per IP address.
-		$ip            = $_SERVER['REMOTE_ADDR'] ?? '';
-		$transient_key = 'kntnt_ad_attr_rl_' . md5( $ip );
-		$request_count = (int) get_transient( $transient_key );
-
-		if ( $request_count >= 10 ) {
-			return new WP_REST_Response( [ 'success' => false ], 429 );
+		// Rate limit and, in cache-safe mode, token check.
+		$rejection = $this->reject_request( $request, 'kntnt_ad_attr_rl_' );
+		if ( $rejection ) {
+			return $rejection;
 		}
 
-		set_transient( $transient_key, $request_count + 1, MINUTE_IN_SECONDS );
+		// Collect hashes with the age of each click as seen by the client.
+		$ages = $this->get_click_ages( $request );
 
 		// Validate hash format — silently discard malformed entries.
 		$hashes = array_filter(
-			$request->get_param( 'hashes' ),
+			array_map( 'strval', array_keys( $ages ) ),
 			fn( string $hash ) => $this->cookie_manager->validate_hash( $hash ),
 		);
 
@@ -297,40 +1147,464 @@ final class Rest_Endpoint {
 			return new WP_REST_Response( [ 'success' => false ] );
 		}
 
-		// Look up the actual click timestamps from the database so the cookie
-		// entries match the DB records. Without this, time() would be used,
-		// causing a mismatch when Conversion_Handler looks up clicks by hash
-		// and clicked_at.
+		// The cookie entries must carry the timestamps of the click records,
+		// or Conversion_Handler can't find them by hash and clicked_at. Clicks
+		// signed during the redirect carry their exact timestamp.
+		$click_times = array_intersect_key( $this->get_signed_click_times( $request ), array_flip( $hashes ) );
+
+		// Look up the timestamps of unsigned clicks in the database. A hash
+		// is shared by everyone who clicks the ad, so when the client reports
+		// the click's age, the latest click no later than that is chosen
+		// rather than the latest click by anyone.
 		global $wpdb;
 		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
 
-		$click_times = [];
-		if ( $hashes ) {
-			$placeholders = implode( ',', array_fill( 0, count( $hashes ), '%s' ) );
+		$unsigned = array_values( array_diff( $hashes, array_keys( $click_times ) ) );
+		if ( $unsigned ) {
+			$placeholders = implode( ',', array_fill( 0, count( $unsigned ), '%s' ) );
 			$rows = $wpdb->get_results( $wpdb->prepare(
 				"SELECT hash, UNIX_TIMESTAMP(clicked_at) AS ts
 				 FROM {$clicks_table}
 				 WHERE hash IN ({$placeholders})
 				 ORDER BY clicked_at DESC",
-				...$hashes,
+				...$unsigned,
 			) );
 
-			// Keep only the most recent click per hash.
+			// Keep the most recent click per hash within its bound, falling
+			// back to the most recent click overall.
+			$latest = [];
+			$now    = time();
 			foreach ( $rows as $row ) {
-				$click_times[ $row->hash ] ??= (int) $row->ts;
+				$ts  = (int) $row->ts;
+				$age = $ages[ $row->hash ] ?? null;
+
+				$latest[ $row->hash ] ??= $ts;
+				if ( $age === null || $ts <= $now - $age + self::CLICK_TIME_TOLERANCE ) {
+					$click_times[ $row->hash ] ??= $ts;
+				}
 			}
+			$click_times += $latest;
 		}
 
 		// Merge new hashes into existing cookie entries using the original
-		// click timestamps. Falls back to time() for hashes without a click
-		// record (defensive — should not happen in practice).
+		// click timestamps. Falls back to the client-reported click time, or
+		// time(), for hashes without a click record (defensive — should not
+		// happen in practice).
 		$entries = $this->cookie_manager->parse();
 		foreach ( $hashes as $hash ) {
-			$entries = $this->cookie_manager->add( $entries, $hash, $click_times[ $hash ] ?? null );
+			$fallback = isset( $ages[ $hash ] ) ? time() - $ages[ $hash ] : null;
+			$entries  = $this->cookie_manager->add( $entries, $hash, $click_times[ $hash ] ?? $fallback );
 		}
 		$this->cookie_manager->set_clicks_cookie( $entries );
 
+		$this->store_click_ids( $request, $hashes );
+
 		return new WP_REST_Response( [ 'success' => true ] );
 	}
 
-}
+	/**
+	 * Records a conversion reported by the client script.
+	 *
+	 * Runs the same pipeline as the `kntnt_ad_attr_conversion` action —
+	 * bot check, consent, deduplication, attribution and reporters — for
+	 * conversions that happen in the browser only, e.g. in embedded
+	 * widgets or headless forms. The request carries the visitor's
+	 * cookies, so the conversion is attributed to their clicks.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Whether the conversion was attributed, or
+	 *                          429/403 for rate-limited or unauthenticated requests.
+	 * @since 1.9.0
+	 */
+	public function convert( WP_REST_Request $request ): WP_REST_Response {
+
+		// Separate budget from set-cookie, so a burst of conversions doesn't
+		// hold up the visitor's hashes or vice versa.
+		$rejection = $this->reject_request( $request, 'kntnt_ad_attr_crl_' );
+		if ( $rejection ) {
+			return $rejection;
+		}
+
+		// The page the conversion happened on is the referrer of the request.
+		$referer = $request->get_header( 'referer' );
+
+		$recorded = $this->conversion_handler->handle_conversion( [
+			'label'     => $request->get_param( 'label' ),
+			'value'     => $request->get_param( 'value' ),
+			'currency'  => $request->get_param( 'currency' ),
+			'dedup_key' => $request->get_param( 'dedup_key' ),
+			'page_url'  => is_string( $referer ) ? $referer : '',
+		] );
+
+		return new WP_REST_Response( [ 'success' => $recorded ] );
+	}
+
+	/**
+	 * Confirms a click redirected through the interstitial page.
+	 *
+	 * Called by the page's script, so a confirmed click proves that the
+	 * visitor ran JavaScript; unconfirmed clicks are left out of the click
+	 * counts. The click is identified by the signed value the page was
+	 * rendered with and must be confirmed within
+	 * `Interstitial::CONFIRM_WINDOW`. If consent has been granted by now,
+	 * the click is also added to the `_ad_clicks` cookie.
+	 *
+	 * Consent is checked on the server first. If that leaves it
+	 * undetermined, the decision the page's consent check read in the
+	 * browser is used, as the set-cookie route trusts the client script.
+	 *
+	 * The page is served outside WordPress' script loading, so the request
+	 * carries neither a REST nonce nor a cache-safe token. Instead, the
+	 * click must carry a valid signature and be confirmed in time, and
+	 * the rate limit applies.
+	 *
+	 * @param WP_REST_Request $request The REST request containing the signed click.
+	 *
+	 * @return WP_REST_Response Whether the click was confirmed, and the consent
+	 *                          state (`yes`, `no` or `unknown`) the page acts on.
+	 * @since 1.9.0
+	 */
+	public function confirm_click( WP_REST_Request $request ): WP_REST_Response {
+		$rejection = $this->rate_limit( 'kntnt_ad_attr_irl_' );
+		if ( $rejection ) {
+			return $rejection;
+		}
+
+		$click = $request->get_param( 'click' );
+		if ( ! is_string( $click ) || ! preg_match( '/^([a-f0-9]{64})\.(\d{1,10})\.([a-f0-9]{64})$/', $click, $matches ) ) {
+			return new WP_REST_Response( [ 'success' => false ], 400 );
+		}
+
+		[ , $hash, $timestamp, $signature ] = $matches;
+		$timestamp = (int) $timestamp;
+		$age       = time() - $timestamp;
+
+		if ( ! $this->cookie_manager->verify_click( $hash, $timestamp, $signature ) || $age < 0 || $age > Interstitial::CONFIRM_WINDOW ) {
+			return new WP_REST_Response( [ 'success' => false ], 403 );
+		}
+
+		// Confirm the oldest unconfirmed click with this hash and time. Others
+		// may have clicked the same ad within the same second.
+		global $wpdb;
+		$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+
+		$confirmed = (int) $wpdb->query( $wpdb->prepare(
+			"UPDATE {$clicks_table}
+			 SET js_confirmed = 1
+			 WHERE hash = %s AND clicked_at = %s AND js_confirmed = 0
+			 ORDER BY id
+			 LIMIT 1",
+			$hash,
+			gmdate( 'Y-m-d H:i:s', $timestamp ),
+		) );
+
+		// Consent may have been given while the page was shown, or only be
+		// known to JavaScript on the page.
+		$consent = $this->consent->check() ?? match ( $request->get_param( 'consent' ) ) {
+			'yes'   => true,
+			'no'    => false,
+			default => null,
+		};
+		if ( $consent === true ) {
+			$entries = $this->cookie_manager->add( $this->cookie_manager->parse(), $hash, $timestamp );
+			$this->cookie_manager->set_clicks_cookie( $entries );
+		}
+
+		return new WP_REST_Response( [
+			'success' => $confirmed > 0,
+			'consent' => match ( $consent ) {
+				true    => 'yes',
+				false   => 'no',
+				default => 'unknown',
+			},
+		] );
+	}
+
+	/**
+	 * Applies the checks shared by the routes called by the client script.
+	 *
+	 * Allows at most 10 requests per minute per IP address and route; the
+	 * Retry-After header tells the script how long to back off. In
+	 * cache-safe mode the script sends a token instead of a REST nonce: in
+	 * a header, or in the body of a beacon, which can't set headers.
+	 *
+	 * @param WP_REST_Request $request    The REST request object.
+	 * @param string          $key_prefix Transient key prefix of the route's rate limit.
+	 *
+	 * @return WP_REST_Response|null Error response, or null if the request may proceed.
+	 * @since 1.9.0
+	 */
+	private function reject_request( WP_REST_Request $request, string $key_prefix ): ?WP_REST_Response {
+		$rejection = $this->rate_limit( $key_prefix );
+		if ( $rejection ) {
+			return $rejection;
+		}
+
+		if ( $this->settings->get( 'cache_safe' ) ) {
+			$token = $request->get_header( 'x_kntnt_ad_attr_token' ) ?? $request->get_param( 'kntnt_ad_attr_token' );
+			if ( ! $this->verify_token( is_string( $token ) ? $token : '' ) ) {
+				return new WP_REST_Response( [ 'success' => false ], 403 );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Counts a request against the per-IP rate limit of its route.
+	 *
+	 * @param string $key_prefix Transient key prefix of the route's rate limit.
+	 *
+	 * @return WP_REST_Response|null 429 response with Retry-After, or null if
+	 *                               the request is within the limit.
+	 * @since 1.9.0
+	 */
+	private function rate_limit( string $key_prefix ): ?WP_REST_Response {
+		$ip            = $_SERVER['REMOTE_ADDR'] ?? '';
+		$transient_key = $key_prefix . md5( $ip );
+		$request_count = (int) get_transient( $transient_key );
+
+		if ( $request_count >= self::RATE_LIMIT ) {
+			$response = new WP_REST_Response( [ 'success' => false ], 429 );
+			$response->header( 'Retry-After', (string) self::RATE_LIMIT_WINDOW );
+			return $response;
+		}
+
+		set_transient( $transient_key, $request_count + 1, self::RATE_LIMIT_WINDOW );
+
+		return null;
+	}
+
+	/**
+	 * Gets the submitted hashes with the client-reported age of each click.
+	 *
+	 * Current scripts send `clicks` (hash and age in seconds); scripts
+	 * cached from earlier versions send bare `hashes`, which have no age.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return array<string, int|null> Hash => seconds since the click, or null if unknown.
+	 * @since 1.9.0
+	 */
+	private function get_click_ages( WP_REST_Request $request ): array {
+		$ages = [];
+
+		foreach ( (array) $request->get_param( 'hashes' ) as $hash ) {
+			if ( is_string( $hash ) ) {
+				$ages[ $hash ] = null;
+			}
+		}
+
+		foreach ( (array) $request->get_param( 'clicks' ) as $click ) {
+			if ( is_array( $click ) && is_string( $click['hash'] ?? null ) ) {
+				$ages[ $click['hash'] ] = is_numeric( $click['age'] ?? null ) ? max( 0, (int) $click['age'] ) : null;
+			}
+		}
+
+		return $ages;
+	}
+
+	/**
+	 * Stores the click IDs the client script picked up on landing pages.
+	 *
+	 * A visitor who reaches a landing page directly from an ad, rather than
+	 * through a tracking URL, carries the platform's click ID in the page
+	 * URL only. The script attaches it to the pending hashes, and it is
+	 * stored like the click IDs `Click_Handler` captures. Only platforms of
+	 * registered capturers are accepted, and the values are validated the
+	 * same way.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 * @param string[]        $hashes  Valid hashes of consented clicks.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function store_click_ids( WP_REST_Request $request, array $hashes ): void {
+		$capturers = null;
+
+		foreach ( (array) $request->get_param( 'clicks' ) as $click ) {
+			if ( ! is_array( $click ) || ! is_array( $click['click_ids'] ?? null ) || ! in_array( $click['hash'] ?? null, $hashes, true ) ) {
+				continue;
+			}
+
+			// Resolved on first use, so requests without click IDs skip the filter.
+			$capturers ??= (array) apply_filters( 'kntnt_ad_attr_click_id_capturers', [] );
+
+			foreach ( $click['click_ids'] as $platform => $click_id ) {
+				if ( ! isset( $capturers[ $platform ] ) || ! is_string( $click_id ) ) {
+					continue;
+				}
+				$value = sanitize_text_field( $click_id );
+				if ( $value !== '' && strlen( $value ) <= 255 ) {
+					$this->click_id_store->store( $click['hash'], (string) $platform, $value );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Gets the click timestamps the request carries with a valid signature.
+	 *
+	 * Clicks made while consent was undetermined are signed by Click_Handler
+	 * before the redirect, and the client script sends them back unchanged.
+	 * Entries with a missing or invalid signature are left out, so their
+	 * click time is resolved from the client-reported age instead.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return array<string, int> Hash => Unix timestamp of the click record.
+	 * @since 1.9.0
+	 */
+	private function get_signed_click_times( WP_REST_Request $request ): array {
+		$times = [];
+
+		foreach ( (array) $request->get_param( 'clicks' ) as $click ) {
+			if ( ! is_array( $click ) || ! is_string( $click['hash'] ?? null ) || ! is_string( $click['sig'] ?? null ) ) {
+				continue;
+			}
+			if ( ! preg_match( '/^\d{1,10}$/', (string) ( $click['clicked_at'] ?? '' ) ) ) {
+				continue;
+			}
+			$timestamp = (int) $click['clicked_at'];
+			if ( $this->cookie_manager->verify_click( $click['hash'], $timestamp, $click['sig'] ) ) {
+				$times[ $click['hash'] ] = $timestamp;
+			}
+		}
+
+		return $times;
+	}
+
+	/**
+	 * Returns a fresh REST nonce for the client script.
+	 *
+	 * Called by the script after set-cookie answered 403, which happens
+	 * when a logged-in visitor's page carries an expired nonce. The script
+	 * calls this route without a nonce, so WordPress has reset the current
+	 * user to anonymous; the logged-in cookie is re-validated so the nonce
+	 * matches the cookies the retried request will carry.
+	 *
+	 * WordPress sends permissive CORS headers on REST responses, so
+	 * cross-origin callers are refused — another site must never be able
+	 * to read a visitor's nonce.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Nonce, or 403 for cross-origin requests.
+	 * @since 1.9.0
+	 */
+	public function refresh_nonce( WP_REST_Request $request ): WP_REST_Response {
+
+		if ( ! $this->is_same_origin( $request ) ) {
+			return new WP_REST_Response( [ 'success' => false ], 403 );
+		}
+
+		// Restore the cookie user that REST authentication ignored.
+		$user_id = (int) wp_validate_auth_cookie( '', 'logged_in' );
+		if ( $user_id !== get_current_user_id() ) {
+			wp_set_current_user( $user_id );
+		}
+
+		// Nonces are per user and time-limited; never let a cache keep one.
+		$response = new WP_REST_Response( [ 'nonce' => wp_create_nonce( 'wp_rest' ) ] );
+		$response->header( 'Cache-Control', 'no-store, max-age=0' );
+
+		return $response;
+	}
+
+	/**
+	 * Issues a short-lived token for set-cookie in cache-safe mode.
+	 *
+	 * The REST nonce baked into a cached page expires, and belongs to
+	 * whichever user the page was cached for. The token is instead fetched
+	 * when needed and doesn't depend on the user, so it works for every
+	 * visitor of a cached page.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return WP_REST_Response Token and its expiry, or 403 for cross-origin requests.
+	 * @since 1.9.0
+	 */
+	public function issue_token( WP_REST_Request $request ): WP_REST_Response {
+
+		if ( ! $this->is_same_origin( $request ) ) {
+			return new WP_REST_Response( [ 'success' => false ], 403 );
+		}
+
+		$expires  = time() + self::TOKEN_TTL;
+		$response = new WP_REST_Response( [
+			'token'   => $expires . '.' . $this->sign_token( $expires ),
+			'expires' => $expires,
+		] );
+		$response->header( 'Cache-Control', 'no-store, max-age=0' );
+
+		return $response;
+	}
+
+	/**
+	 * Verifies a token issued by `issue_token()`.
+	 *
+	 * @param string $token Token in the format `<expires>.<signature>`.
+	 *
+	 * @return bool True if the signature matches and the token hasn't expired.
+	 * @since 1.9.0
+	 */
+	private function verify_token( string $token ): bool {
+
+		if ( ! preg_match( '/^(\d{1,10})\.([a-f0-9]{64})$/', $token, $matches ) ) {
+			return false;
+		}
+
+		// Reject expired tokens and expiries no issued token could have.
+		$expires = (int) $matches[1];
+		$now     = time();
+		if ( $expires < $now || $expires > $now + self::TOKEN_TTL ) {
+			return false;
+		}
+
+		return hash_equals( $this->sign_token( $expires ), $matches[2] );
+	}
+
+	/**
+	 * Computes the signature of a token.
+	 *
+	 * @param int $expires Expiry as a Unix timestamp.
+	 *
+	 * @return string HMAC-SHA256 hex digest.
+	 * @since 1.9.0
+	 */
+	private function sign_token( int $expires ): string {
+		return hash_hmac( 'sha256', 'set-cookie|' . $expires, wp_salt( 'nonce' ) );
+	}
+
+	/**
+	 * Checks that a request was made by a page on this site.
+	 *
+	 * Browsers send `Sec-Fetch-Site` and, for cross-origin fetches,
+	 * `Origin`. A request is refused if either one points elsewhere.
+	 *
+	 * @param WP_REST_Request $request The REST request object.
+	 *
+	 * @return bool True if the request is same-origin (or a direct visit).
+	 * @since 1.9.0
+	 */
+	private function is_same_origin( WP_REST_Request $request ): bool {
+
+		if ( in_array( $request->get_header( 'sec_fetch_site' ), [ 'cross-site', 'same-site' ], true ) ) {
+			return false;
+		}
+
+		$origin = (string) $request->get_header( 'origin' );
+		if ( $origin === '' ) {
+			return true;
+		}
+
+		// Compare scheme, host, and port with the site's own origin.
+		$home      = wp_parse_url( home_url() );
+		$home_host = ( $home['scheme'] ?? 'https' ) . '://' . ( $home['host'] ?? '' ) . ( isset( $home['port'] ) ? ':' . $home['port'] : '' );
+
+		return strtolower( $origin ) === strtolower( $home_host );
+	}
+
+}
\ No newline at end of file
@@ -40,15 +40,47 @@ final class Settings {
 	 * @since 1.8.0
 	 */
 	private const BASE_DEFAULTS = [
-		'cookie_lifetime'      => 90,
-		'dedup_seconds'        => 0,
-		'enable_logging'       => '',
-		'log_file_size_max_KB' => 2048,
-		'log_file_size_min_KB' => 256,
-		'attempts_per_round'   => 3,
-		'retry_delay'          => 60,
-		'max_rounds'           => 3,
-		'round_delay'          => 21600,
+		'cookie_lifetime'              => 90,
+		'dedup_seconds'                => 0,
+		'enable_logging'               => '',
+		'log_file_size_max_KB'         => 2048,
+		'log_file_size_min_KB'         => 256,
+		'attempts_per_round'           => 3,
+		'retry_delay'                  => 60,
+		'max_rounds'                   => 3,
+		'round_delay'                  => 21600,
+		'consent_adapter'              => 'auto',
+		'consent_service_id'           => 'kntnt-ad-attribution',
+		'cache_safe'                   => '',
+		'pending_storage'              => 'session',
+		'pending_ttl'                  => 7,
+		'redirect_method'              => '302',
+		'interstitial_delay'           => 0,
+		'interstitial_message'         => '',
+		'interstitial_logo'            => '',
+		'fraud_detection'              => 'flag',
+		'fraud_threshold'              => 50,
+		'attribution_model'            => 'last_click',
+		'time_decay_half_life'         => 7,
+		'click_id_capturers'           => [ 'google_ads', 'google_ads_gbraid', 'google_ads_wbraid', 'meta', 'microsoft_ads', 'linkedin', 'tiktok', 'x', 'pinterest' ],
+		'google_ads_enabled'           => '',
+		'google_ads_customer_id'       => '',
+		'google_ads_login_customer_id' => '',
+		'google_ads_conversion_action' => '',
+		'google_ads_developer_token'   => '',
+		'google_ads_client_id'         => '',
+		'google_ads_client_secret'     => '',
+		'google_ads_refresh_token'     => '',
+		'meta_enabled'                 => '',
+		'meta_pixel_id'                => '',
+		'meta_access_token'            => '',
+		'meta_event_name'              => 'Lead',
+		'meta_test_event_code'         => '',
+		'ga4_enabled'                  => '',
+		'ga4_measurement_id'           => '',
+		'ga4_api_secret'               => '',
+		'ga4_event_name'               => 'ad_conversion',
+		'webhooks'                     => [],
 	];
 
 	/**
@@ -144,15 +176,47 @@ final class Settings {
 		] );
 
 		self::$filter_defaults = [
-			'cookie_lifetime'      => (int) apply_filters( 'kntnt_ad_attr_cookie_lifetime', self::BASE_DEFAULTS['cookie_lifetime'] ),
-			'dedup_seconds'        => (int) apply_filters( 'kntnt_ad_attr_dedup_seconds', self::BASE_DEFAULTS['dedup_seconds'] ),
-			'enable_logging'       => self::BASE_DEFAULTS['enable_logging'],
-			'log_file_size_max_KB' => (int) apply_filters( 'kntnt_ad_attr_log_file_size_max_KB', self::BASE_DEFAULTS['log_file_size_max_KB'] ),
-			'log_file_size_min_KB' => (int) apply_filters( 'kntnt_ad_attr_log_file_size_min_KB', self::BASE_DEFAULTS['log_file_size_min_KB'] ),
-			'attempts_per_round'   => (int) ( $retry_defaults['attempts_per_round'] ?? self::BASE_DEFAULTS['attempts_per_round'] ),
-			'retry_delay'          => (int) ( $retry_defaults['retry_delay'] ?? self::BASE_DEFAULTS['retry_delay'] ),
-			'max_rounds'           => (int) ( $retry_defaults['max_rounds'] ?? self::BASE_DEFAULTS['max_rounds'] ),
-			'round_delay'          => (int) ( $retry_defaults['round_delay'] ?? self::BASE_DEFAULTS['round_delay'] ),
+			'cookie_lifetime'              => (int) apply_filters( 'kntnt_ad_attr_cookie_lifetime', self::BASE_DEFAULTS['cookie_lifetime'] ),
+			'dedup_seconds'                => (int) apply_filters( 'kntnt_ad_attr_dedup_seconds', self::BASE_DEFAULTS['dedup_seconds'] ),
+			'enable_logging'               => self::BASE_DEFAULTS['enable_logging'],
+			'log_file_size_max_KB'         => (int) apply_filters( 'kntnt_ad_attr_log_file_size_max_KB', self::BASE_DEFAULTS['log_file_size_max_KB'] ),
+			'log_file_size_min_KB'         => (int) apply_filters( 'kntnt_ad_attr_log_file_size_min_KB', self::BASE_DEFAULTS['log_file_size_min_KB'] ),
+			'attempts_per_round'           => (int) ( $retry_defaults['attempts_per_round'] ?? self::BASE_DEFAULTS['attempts_per_round'] ),
+			'retry_delay'                  => (int) ( $retry_defaults['retry_delay'] ?? self::BASE_DEFAULTS['retry_delay'] ),
+			'max_rounds'                   => (int) ( $retry_defaults['max_rounds'] ?? self::BASE_DEFAULTS['max_rounds'] ),
+			'round_delay'                  => (int) ( $retry_defaults['round_delay'] ?? self::BASE_DEFAULTS['round_delay'] ),
+			'consent_adapter'              => (string) apply_filters( 'kntnt_ad_attr_consent_adapter', self::BASE_DEFAULTS['consent_adapter'] ),
+			'consent_service_id'           => self::BASE_DEFAULTS['consent_service_id'],
+			'cache_safe'                   => apply_filters( 'kntnt_ad_attr_cache_safe', false ) ? '1' : '',
+			'pending_storage'              => (string) apply_filters( 'kntnt_ad_attr_pending_storage', self::BASE_DEFAULTS['pending_storage'] ),
+			'pending_ttl'                  => (int) apply_filters( 'kntnt_ad_attr_pending_ttl', self::BASE_DEFAULTS['pending_ttl'] ),
+			'redirect_method'              => (string) apply_filters( 'kntnt_ad_attr_redirect_method', self::BASE_DEFAULTS['redirect_method'] ),
+			'interstitial_delay'           => (int) apply_filters( 'kntnt_ad_attr_interstitial_delay', self::BASE_DEFAULTS['interstitial_delay'] ),
+			'interstitial_message'         => self::BASE_DEFAULTS['interstitial_message'],
+			'interstitial_logo'            => self::BASE_DEFAULTS['interstitial_logo'],
+			'fraud_detection'              => self::BASE_DEFAULTS['fraud_detection'],
+			'fraud_threshold'              => (int) apply_filters( 'kntnt_ad_attr_fraud_threshold', self::BASE_DEFAULTS['fraud_threshold'] ),
+			'attribution_model'            => (string) apply_filters( 'kntnt_ad_attr_attribution_model', self::BASE_DEFAULTS['attribution_model'] ),
+			'time_decay_half_life'         => (int) apply_filters( 'kntnt_ad_attr_time_decay_half_life', self::BASE_DEFAULTS['time_decay_half_life'] ),
+			'click_id_capturers'           => self::BASE_DEFAULTS['click_id_capturers'],
+			'google_ads_enabled'           => self::BASE_DEFAULTS['google_ads_enabled'],
+			'google_ads_customer_id'       => self::BASE_DEFAULTS['google_ads_customer_id'],
+			'google_ads_login_customer_id' => self::BASE_DEFAULTS['google_ads_login_customer_id'],
+			'google_ads_conversion_action' => self::BASE_DEFAULTS['google_ads_conversion_action'],
+			'google_ads_developer_token'   => self::BASE_DEFAULTS['google_ads_developer_token'],
+			'google_ads_client_id'         => self::BASE_DEFAULTS['google_ads_client_id'],
+			'google_ads_client_secret'     => self::BASE_DEFAULTS['google_ads_client_secret'],
+			'google_ads_refresh_token'     => self::BASE_DEFAULTS['google_ads_refresh_token'],
+			'meta_enabled'                 => self::BASE_DEFAULTS['meta_enabled'],
+			'meta_pixel_id'                => self::BASE_DEFAULTS['meta_pixel_id'],
+			'meta_access_token'            => self::BASE_DEFAULTS['meta_access_token'],
+			'meta_event_name'              => self::BASE_DEFAULTS['meta_event_name'],
+			'meta_test_event_code'         => self::BASE_DEFAULTS['meta_test_event_code'],
+			'ga4_enabled'                  => self::BASE_DEFAULTS['ga4_enabled'],
+			'ga4_measurement_id'           => self::BASE_DEFAULTS['ga4_measurement_id'],
+			'ga4_api_secret'               => self::BASE_DEFAULTS['ga4_api_secret'],
+			'ga4_event_name'               => self::BASE_DEFAULTS['ga4_event_name'],
+			'webhooks'                     => self::BASE_DEFAULTS['webhooks'],
 		];
 
 		return self::$filter_defaults;
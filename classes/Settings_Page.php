@@ -2,9 +2,10 @@
 /**
  * WordPress settings page for core Ad Attribution configuration.
  *
- * Registers an options page under Settings > Ad Attribution with three
- * sections: Cookies, Logging, and Queue (retry). Uses the WordPress
- * Settings API for registration, rendering, and sanitization.
+ * Registers an options page under Settings > Ad Attribution with sections
+ * for Cookies, Attribution, Consent, Page Cache, Conversion Reporters, Webhooks, Logging, and Queue (retry). Uses the WordPress
+ * Settings API for registration, rendering, and sanitization. The Logging
+ * section also holds a viewer that tails the log file through the REST API.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.8.0
@@ -45,6 +46,70 @@ final class Settings_Page {
 	 */
 	private const SECTION_COOKIES = 'kntnt_ad_attr_section_cookies';
 
+	/**
+	 * Section ID for attribution model fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_ATTRIBUTION = 'kntnt_ad_attr_section_attribution';
+
+	/**
+	 * Section ID for consent adapter fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_CONSENT = 'kntnt_ad_attr_section_consent';
+
+	/**
+	 * Section ID for page cache fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_CACHE = 'kntnt_ad_attr_section_cache';
+
+	/**
+	 * Section ID for the click-ID capturer fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_CLICK_IDS = 'kntnt_ad_attr_section_click_ids';
+
+	/**
+	 * Section ID for redirect fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_REDIRECT = 'kntnt_ad_attr_section_redirect';
+
+	/**
+	 * Section ID for click fraud detection fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_FRAUD = 'kntnt_ad_attr_section_fraud';
+
+	/**
+	 * Section ID for the built-in conversion reporter fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_REPORTERS = 'kntnt_ad_attr_section_reporters';
+
+	/**
+	 * Section ID for the webhook fields.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	private const SECTION_WEBHOOKS = 'kntnt_ad_attr_section_webhooks';
+
 	/**
 	 * Section ID for logging fields.
 	 *
@@ -168,6 +233,94 @@ final class Settings_Page {
 			self::PAGE_SLUG,
 		);
 
+		// Attribution section.
+		add_settings_section(
+			self::SECTION_ATTRIBUTION,
+			__( 'Attribution', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Choose how the credit for a conversion is distributed over the ad clicks that preceded it. A kntnt_ad_attr_attribution filter still has the final say.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Consent section.
+		add_settings_section(
+			self::SECTION_CONSENT,
+			__( 'Consent', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Choose which consent management platform is read when no custom consent integration overrides it.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Page cache section.
+		add_settings_section(
+			self::SECTION_CACHE,
+			__( 'Page Cache', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Configure how the client-side script authenticates when pages are served from a full-page cache.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Redirect section.
+		add_settings_section(
+			self::SECTION_REDIRECT,
+			__( 'Redirect', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Choose how visitors are sent on from a tracking URL to its target page. The interstitial page counts a click only once its script has run, which leaves out most bots, and works under a strict Content Security Policy.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Click fraud section.
+		add_settings_section(
+			self::SECTION_FRAUD,
+			__( 'Click Fraud', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Score clicks on their rate per network and tracking URL, datacenter addresses, missing browser headers and timing. Clicks that reach the threshold and their conversions are left out of counts and conversion reports until cleared on the Suspected Clicks tab, unless scores are only recorded.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Click IDs section.
+		add_settings_section(
+			self::SECTION_CLICK_IDS,
+			__( 'Click IDs', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Choose which ad platform click IDs are stored with each click, both on tracking URL clicks and on landing pages reached directly from an ad. Conversion reporters that need a click ID capture it even if it is turned off here.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Conversion reporters section.
+		add_settings_section(
+			self::SECTION_REPORTERS,
+			__( 'Conversion Reporters', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Report attributed conversions to ad platforms and analytics. A reporter is active once it is enabled and all its required fields are filled in. Reports are queued and retried as configured under Queue (Retry).', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
+		// Webhooks section.
+		add_settings_section(
+			self::SECTION_WEBHOOKS,
+			__( 'Webhooks', 'kntnt-ad-attr' ),
+			fn() => printf(
+				'<p>%s</p>',
+				esc_html__( 'Send attributed conversions as JSON to any HTTP endpoint, one request per credited campaign. Requests are queued and retried like the other reporters, and signed with HMAC-SHA256 when a secret is set.', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+		);
+
 		// Logging section.
 		add_settings_section(
 			self::SECTION_LOGGING,
@@ -192,6 +345,14 @@ final class Settings_Page {
 
 		// Register individual fields.
 		$this->add_cookie_fields();
+		$this->add_attribution_fields();
+		$this->add_consent_fields();
+		$this->add_cache_fields();
+		$this->add_redirect_fields();
+		$this->add_fraud_fields();
+		$this->add_click_id_fields();
+		$this->add_reporter_fields();
+		$this->add_webhook_fields();
 		$this->add_logging_fields();
 		$this->add_queue_fields();
 	}
@@ -222,6 +383,64 @@ final class Settings_Page {
 			'retry_delay',
 			'max_rounds',
 			'round_delay',
+			'consent_adapter',
+			'consent_service_id',
+			'cache_safe',
+			'pending_storage',
+			'pending_ttl',
+			'redirect_method',
+			'interstitial_delay',
+			'interstitial_message',
+			'interstitial_logo',
+			'fraud_detection',
+			'fraud_threshold',
+			'attribution_model',
+			'time_decay_half_life',
+			'click_id_capturers',
+			'google_ads_enabled',
+			'google_ads_customer_id',
+			'google_ads_login_customer_id',
+			'google_ads_conversion_action',
+			'google_ads_developer_token',
+			'google_ads_client_id',
+			'google_ads_client_secret',
+			'google_ads_refresh_token',
+			'meta_enabled',
+			'meta_pixel_id',
+			'meta_access_token',
+			'meta_event_name',
+			'meta_test_event_code',
+			'ga4_enabled',
+			'ga4_measurement_id',
+			'ga4_api_secret',
+			'ga4_event_name',
+			'webhooks',
+		];
+
+		// Checkboxes: present means enabled, absent means disabled.
+		$checkbox_keys = [
+			'enable_logging',
+			'cache_safe',
+			'google_ads_enabled',
+			'meta_enabled',
+			'ga4_enabled',
+		];
+
+		// Secrets are never echoed back, so an empty field keeps the saved value.
+		$secret_keys = [
+			'google_ads_developer_token',
+			'google_ads_client_secret',
+			'google_ads_refresh_token',
+			'meta_access_token',
+			'ga4_api_secret',
+		];
+
+		// Account IDs that consist of digits only, once dashes are stripped.
+		$id_keys = [
+			'google_ads_customer_id',
+			'google_ads_login_customer_id',
+			'google_ads_conversion_action',
+			'meta_pixel_id',
 		];
 
 		// Numeric keys that must be non-negative integers.
@@ -234,6 +453,10 @@ final class Settings_Page {
 			'retry_delay',
 			'max_rounds',
 			'round_delay',
+			'pending_ttl',
+			'time_decay_half_life',
+			'interstitial_delay',
+			'fraud_threshold',
 		];
 
 		foreach ( $input as $key => $value ) {
@@ -243,22 +466,128 @@ final class Settings_Page {
 				continue;
 			}
 
+			// Webhooks are a list of rows rather than a single value.
+			if ( $key === 'webhooks' ) {
+				$clean[ $key ] = $this->sanitize_webhooks( $value );
+				continue;
+			}
+
+			// Click-ID capturers are a group of checkboxes; accept only built-in platforms.
+			if ( $key === 'click_id_capturers' ) {
+				$clean[ $key ] = array_values( array_intersect( array_keys( Click_ID_Capturers::PLATFORMS ), array_filter( (array) $value, 'is_string' ) ) );
+				continue;
+			}
+
 			$value = is_string( $value ) ? trim( $value ) : (string) $value;
 
 			// Handle checkbox: present means enabled, absent means disabled.
-			if ( $key === 'enable_logging' ) {
+			if ( in_array( $key, $checkbox_keys, true ) ) {
 				$clean[ $key ] = $value !== '' ? '1' : '';
 				continue;
 			}
 
+			// Keep the saved secret when the field is left empty.
+			if ( in_array( $key, $secret_keys, true ) && $value === '' ) {
+				$saved = $this->settings->get_saved();
+				if ( ( $saved[ $key ] ?? '' ) !== '' ) {
+					$clean[ $key ] = $saved[ $key ];
+				}
+				continue;
+			}
+
+			// Accept only digits, so "123-456-7890" is saved as "1234567890".
+			if ( in_array( $key, $id_keys, true ) ) {
+				$value = str_replace( '-', '', $value );
+				if ( ctype_digit( $value ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// GA4 measurement IDs look like G-XXXXXXXXXX.
+			if ( $key === 'ga4_measurement_id' ) {
+				$value = strtoupper( $value );
+				if ( preg_match( '/^G-[A-Z0-9]+$/', $value ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// GA4 event names start with a letter and hold letters, digits and underscores.
+			if ( $key === 'ga4_event_name' ) {
+				if ( preg_match( '/^[A-Za-z]\w{0,39}$/', $value ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Accept only known adapter IDs.
+			if ( $key === 'consent_adapter' ) {
+				if ( array_key_exists( $value, $this->get_consent_adapter_options() ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Accept only bundled attribution models.
+			if ( $key === 'attribution_model' ) {
+				if ( array_key_exists( $value, Attribution_Models::get_labels() ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Accept only known storage backends.
+			if ( $key === 'pending_storage' ) {
+				if ( array_key_exists( $value, $this->get_pending_storage_options() ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Accept only known redirect methods.
+			if ( $key === 'redirect_method' ) {
+				if ( array_key_exists( $value, $this->get_redirect_method_options() ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Accept only known fraud detection modes.
+			if ( $key === 'fraud_detection' ) {
+				if ( array_key_exists( $value, $this->get_fraud_detection_options() ) ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// The logo must be an http(s) URL.
+			if ( $key === 'interstitial_logo' ) {
+				$value = esc_url_raw( $value, [ 'http', 'https' ] );
+				if ( $value !== '' ) {
+					$clean[ $key ] = $value;
+				}
+				continue;
+			}
+
+			// Service IDs are slugs in all supported CMPs.
+			if ( $key === 'consent_service_id' ) {
+				$value = sanitize_key( $value );
+			}
+
 			// Validate numeric fields.
 			if ( in_array( $key, $numeric_keys, true ) ) {
 				if ( $value === '' ) {
 					continue; // Omit empty values so filter default applies.
 				}
 				$int_value = (int) $value;
-				if ( $int_value >= 0 ) {
-					$clean[ $key ] = $int_value;
+				$minimum   = in_array( $key, [ 'pending_ttl', 'time_decay_half_life', 'fraud_threshold' ], true ) ? 1 : 0; // A zero lifetime, half-life or threshold is meaningless.
+				if ( $int_value >= $minimum ) {
+					$clean[ $key ] = match ( $key ) {
+						'interstitial_delay' => min( $int_value, Interstitial::MAX_DELAY ),
+						'fraud_threshold'    => min( $int_value, Fraud_Detector::MAX_SCORE ),
+						default              => $int_value,
+					};
 				}
 				continue;
 			}
@@ -269,9 +598,16 @@ final class Settings_Page {
 			}
 		}
 
-		// Handle enable_logging when checkbox is unchecked (not submitted).
-		if ( ! isset( $input['enable_logging'] ) ) {
-			$clean['enable_logging'] = '';
+		// Handle checkboxes that are unchecked (not submitted).
+		foreach ( $checkbox_keys as $checkbox ) {
+			if ( ! isset( $input[ $checkbox ] ) ) {
+				$clean[ $checkbox ] = '';
+			}
+		}
+
+		// No checked capturer means all are turned off, not the default.
+		if ( ! isset( $input['click_id_capturers'] ) ) {
+			$clean['click_id_capturers'] = [];
 		}
 
 		return $clean;
@@ -291,6 +627,14 @@ final class Settings_Page {
 				<?php
 				settings_fields( self::SETTINGS_GROUP );
 				$this->render_section( self::SECTION_COOKIES );
+				$this->render_section( self::SECTION_ATTRIBUTION );
+				$this->render_section( self::SECTION_CONSENT );
+				$this->render_section( self::SECTION_CACHE );
+				$this->render_section( self::SECTION_REDIRECT );
+				$this->render_section( self::SECTION_FRAUD );
+				$this->render_section( self::SECTION_CLICK_IDS );
+				$this->render_section( self::SECTION_REPORTERS );
+				$this->render_section( self::SECTION_WEBHOOKS );
 				$this->render_section( self::SECTION_LOGGING );
 				$this->render_section( self::SECTION_QUEUE );
 				submit_button();
@@ -375,6 +719,408 @@ final class Settings_Page {
 		);
 	}
 
+	/**
+	 * Registers attribution model fields.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_attribution_fields(): void {
+
+		add_settings_field(
+			'attribution_model',
+			__( 'Attribution Model', 'kntnt-ad-attr' ),
+			fn() => $this->render_select_field( 'attribution_model', Attribution_Models::get_labels() ),
+			self::PAGE_SLUG,
+			self::SECTION_ATTRIBUTION,
+			[ 'label_for' => 'attribution_model' ],
+		);
+
+		add_settings_field(
+			'time_decay_half_life',
+			__( 'Time Decay Half-Life (days)', 'kntnt-ad-attr' ),
+			fn() => $this->render_number_field( 'time_decay_half_life' ),
+			self::PAGE_SLUG,
+			self::SECTION_ATTRIBUTION,
+			[ 'label_for' => 'time_decay_half_life' ],
+		);
+	}
+
+	/**
+	 * Registers consent adapter fields.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_consent_fields(): void {
+
+		add_settings_field(
+			'consent_adapter',
+			__( 'Consent Platform', 'kntnt-ad-attr' ),
+			fn() => $this->render_select_field( 'consent_adapter', $this->get_consent_adapter_options() ),
+			self::PAGE_SLUG,
+			self::SECTION_CONSENT,
+			[ 'label_for' => 'consent_adapter' ],
+		);
+
+		add_settings_field(
+			'consent_service_id',
+			__( 'Borlabs Service ID', 'kntnt-ad-attr' ),
+			fn() => $this->render_text_field( 'consent_service_id' ),
+			self::PAGE_SLUG,
+			self::SECTION_CONSENT,
+			[ 'label_for' => 'consent_service_id' ],
+		);
+
+		add_settings_field(
+			'pending_storage',
+			__( 'Pending Hash Storage', 'kntnt-ad-attr' ),
+			fn() => $this->render_select_field( 'pending_storage', $this->get_pending_storage_options() ),
+			self::PAGE_SLUG,
+			self::SECTION_CONSENT,
+			[ 'label_for' => 'pending_storage' ],
+		);
+
+		add_settings_field(
+			'pending_ttl',
+			__( 'Pending Hash Lifetime (days)', 'kntnt-ad-attr' ),
+			fn() => $this->render_number_field( 'pending_ttl' ),
+			self::PAGE_SLUG,
+			self::SECTION_CONSENT,
+			[ 'label_for' => 'pending_ttl' ],
+		);
+	}
+
+	/**
+	 * Gets the selectable storage backends for pending hashes keyed by ID.
+	 *
+	 * @return array<string, string> Backend ID => label.
+	 * @since 1.9.0
+	 */
+	private function get_pending_storage_options(): array {
+		return [
+			'session' => __( 'Session storage (until the tab is closed)', 'kntnt-ad-attr' ),
+			'local'   => __( 'Local storage (until the lifetime below expires)', 'kntnt-ad-attr' ),
+			'memory'  => __( 'Memory (current page view only)', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Registers page cache fields.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_cache_fields(): void {
+
+		add_settings_field(
+			'cache_safe',
+			__( 'Cache-Safe Mode', 'kntnt-ad-attr' ),
+			fn() => $this->render_checkbox_field(
+				'cache_safe',
+				__( 'Fetch a short-lived token on demand instead of embedding a REST nonce in the page', 'kntnt-ad-attr' ),
+			),
+			self::PAGE_SLUG,
+			self::SECTION_CACHE,
+			[ 'label_for' => 'cache_safe' ],
+		);
+	}
+
+	/**
+	 * Registers redirect fields.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_redirect_fields(): void {
+
+		add_settings_field(
+			'redirect_method',
+			__( 'Redirect Method', 'kntnt-ad-attr' ),
+			fn() => $this->render_select_field( 'redirect_method', $this->get_redirect_method_options() ),
+			self::PAGE_SLUG,
+			self::SECTION_REDIRECT,
+			[ 'label_for' => 'redirect_method' ],
+		);
+
+		add_settings_field(
+			'interstitial_delay',
+			__( 'Interstitial Delay (milliseconds)', 'kntnt-ad-attr' ),
+			fn() => $this->render_number_field( 'interstitial_delay' ),
+			self::PAGE_SLUG,
+			self::SECTION_REDIRECT,
+			[ 'label_for' => 'interstitial_delay' ],
+		);
+
+		add_settings_field(
+			'interstitial_message',
+			__( 'Interstitial Message', 'kntnt-ad-attr' ),
+			fn() => $this->render_text_field( 'interstitial_message', __( 'Shown while the visitor is redirected. Defaults to "Redirecting…".', 'kntnt-ad-attr' ) ),
+			self::PAGE_SLUG,
+			self::SECTION_REDIRECT,
+			[ 'label_for' => 'interstitial_message' ],
+		);
+
+		add_settings_field(
+			'interstitial_logo',
+			__( 'Interstitial Logo URL', 'kntnt-ad-attr' ),
+			fn() => $this->render_text_field( 'interstitial_logo', __( 'Image shown above the message. Its origin is added to the page\'s Content Security Policy.', 'kntnt-ad-attr' ) ),
+			self::PAGE_SLUG,
+			self::SECTION_REDIRECT,
+			[ 'label_for' => 'interstitial_logo' ],
+		);
+	}
+
+	/**
+	 * Gets the selectable redirect methods keyed by ID.
+	 *
+	 * @return array<string, string> Method ID => label.
+	 * @since 1.9.0
+	 */
+	private function get_redirect_method_options(): array {
+		return [
+			'302'          => __( 'HTTP redirect (302)', 'kntnt-ad-attr' ),
+			'js'           => __( 'JavaScript redirect', 'kntnt-ad-attr' ),
+			'interstitial' => __( 'Interstitial page', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Registers the click fraud detection fields.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_fraud_fields(): void {
+
+		add_settings_field(
+			'fraud_detection',
+			__( 'Fraud Detection', 'kntnt-ad-attr' ),
+			fn() => $this->render_select_field( 'fraud_detection', $this->get_fraud_detection_options() ),
+			self::PAGE_SLUG,
+			self::SECTION_FRAUD,
+			[ 'label_for' => 'fraud_detection' ],
+		);
+
+		add_settings_field(
+			'fraud_threshold',
+			__( 'Fraud Score Threshold (1–100)', 'kntnt-ad-attr' ),
+			fn() => $this->render_number_field( 'fraud_threshold' ),
+			self::PAGE_SLUG,
+			self::SECTION_FRAUD,
+			[ 'label_for' => 'fraud_threshold' ],
+		);
+	}
+
+	/**
+	 * Gets the selectable fraud detection modes keyed by ID.
+	 *
+	 * @return array<string, string> Mode ID => label.
+	 * @since 1.9.0
+	 */
+	private function get_fraud_detection_options(): array {
+		return [
+			'flag'  => __( 'Flag suspected clicks', 'kntnt-ad-attr' ),
+			'score' => __( 'Record scores only', 'kntnt-ad-attr' ),
+			'off'   => __( 'Off', 'kntnt-ad-attr' ),
+		];
+	}
+
+	/**
+	 * Registers the click-ID capturer field.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_click_id_fields(): void {
+
+		add_settings_field(
+			'click_id_capturers',
+			__( 'Capture', 'kntnt-ad-attr' ),
+			[ $this, 'render_click_id_capturers' ],
+			self::PAGE_SLUG,
+			self::SECTION_CLICK_IDS,
+		);
+	}
+
+	/**
+	 * Renders a checkbox per built-in click-ID capturer.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function render_click_id_capturers(): void {
+		$enabled = (array) $this->settings->get( 'click_id_capturers' );
+
+		printf( '<fieldset><legend class="screen-reader-text">%s</legend>', esc_html__( 'Click IDs to capture', 'kntnt-ad-attr' ) );
+		foreach ( array_keys( Click_ID_Capturers::PLATFORMS ) as $platform ) {
+			printf(
+				'<label><input type="checkbox" name="%s[click_id_capturers][]" value="%s"%s> %s</label><br>',
+				esc_attr( Settings::OPTION_KEY ),
+				esc_attr( $platform ),
+				checked( in_array( $platform, $enabled, true ), true, false ),
+				esc_html( Click_ID_Capturers::get_label( $platform ) ),
+			);
+		}
+		echo '</fieldset>';
+	}
+
+	/**
+	 * Registers the fields of the built-in conversion reporters.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_reporter_fields(): void {
+
+		$fields = [
+			'google_ads_enabled'           => [ __( 'Google Ads', 'kntnt-ad-attr' ), fn() => $this->render_checkbox_field( 'google_ads_enabled', __( 'Upload conversions of clicks with a gclid as offline click conversions', 'kntnt-ad-attr' ) ) ],
+			'google_ads_customer_id'       => [ __( 'Google Ads Customer ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'google_ads_customer_id' ) ],
+			'google_ads_login_customer_id' => [ __( 'Google Ads Manager Account ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'google_ads_login_customer_id', __( 'Only needed when the customer is accessed through a manager account.', 'kntnt-ad-attr' ) ) ],
+			'google_ads_conversion_action' => [ __( 'Google Ads Conversion Action ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'google_ads_conversion_action' ) ],
+			'google_ads_developer_token'   => [ __( 'Google Ads Developer Token', 'kntnt-ad-attr' ), fn() => $this->render_secret_field( 'google_ads_developer_token' ) ],
+			'google_ads_client_id'         => [ __( 'Google Ads OAuth Client ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'google_ads_client_id' ) ],
+			'google_ads_client_secret'     => [ __( 'Google Ads OAuth Client Secret', 'kntnt-ad-attr' ), fn() => $this->render_secret_field( 'google_ads_client_secret' ) ],
+			'google_ads_refresh_token'     => [ __( 'Google Ads Refresh Token', 'kntnt-ad-attr' ), fn() => $this->render_secret_field( 'google_ads_refresh_token' ) ],
+			'meta_enabled'                 => [ __( 'Meta', 'kntnt-ad-attr' ), fn() => $this->render_checkbox_field( 'meta_enabled', __( 'Send conversions of clicks with an fbclid to the Conversions API', 'kntnt-ad-attr' ) ) ],
+			'meta_pixel_id'                => [ __( 'Meta Pixel ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'meta_pixel_id' ) ],
+			'meta_access_token'            => [ __( 'Meta Access Token', 'kntnt-ad-attr' ), fn() => $this->render_secret_field( 'meta_access_token' ) ],
+			'meta_event_name'              => [ __( 'Meta Event Name', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'meta_event_name' ) ],
+			'meta_test_event_code'         => [ __( 'Meta Test Event Code', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'meta_test_event_code', __( 'Routes the events to Test Events in Events Manager. Remove it when done testing.', 'kntnt-ad-attr' ) ) ],
+			'ga4_enabled'                  => [ __( 'Google Analytics 4', 'kntnt-ad-attr' ), fn() => $this->render_checkbox_field( 'ga4_enabled', __( 'Send each conversion as an event through the Measurement Protocol', 'kntnt-ad-attr' ) ) ],
+			'ga4_measurement_id'           => [ __( 'GA4 Measurement ID', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'ga4_measurement_id' ) ],
+			'ga4_api_secret'               => [ __( 'GA4 API Secret', 'kntnt-ad-attr' ), fn() => $this->render_secret_field( 'ga4_api_secret' ) ],
+			'ga4_event_name'               => [ __( 'GA4 Event Name', 'kntnt-ad-attr' ), fn() => $this->render_text_field( 'ga4_event_name' ) ],
+		];
+
+		foreach ( $fields as $key => [ $title, $callback ] ) {
+			add_settings_field(
+				$key,
+				$title,
+				$callback,
+				self::PAGE_SLUG,
+				self::SECTION_REPORTERS,
+				[ 'label_for' => $key ],
+			);
+		}
+	}
+
+	/**
+	 * Registers the webhook list field.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function add_webhook_fields(): void {
+
+		add_settings_field(
+			'webhooks',
+			__( 'Endpoints', 'kntnt-ad-attr' ),
+			[ $this, 'render_webhooks' ],
+			self::PAGE_SLUG,
+			self::SECTION_WEBHOOKS,
+		);
+	}
+
+	/**
+	 * Sanitizes the submitted webhook rows.
+	 *
+	 * New rows get a random ID. Empty rows are dropped. Since secrets are
+	 * never echoed back, an empty secret keeps the saved one unless its
+	 * removal is requested. A webhook with an invalid URL or template is
+	 * saved disabled, with a settings error telling why.
+	 *
+	 * @param mixed $input Submitted rows.
+	 *
+	 * @return array<int, array<string, string>> Sanitized webhooks.
+	 * @since 1.9.0
+	 */
+	private function sanitize_webhooks( mixed $input ): array {
+		$saved    = array_column( array_filter( (array) ( $this->settings->get_saved()['webhooks'] ?? [] ), 'is_array' ), null, 'id' );
+		$webhooks = [];
+
+		foreach ( is_array( $input ) ? $input : [] as $row ) {
+
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			$row = array_map( fn( $value ) => is_string( $value ) ? trim( $value ) : '', $row ) + [
+				'id'           => '',
+				'name'         => '',
+				'enabled'      => '',
+				'url'          => '',
+				'method'       => '',
+				'headers'      => '',
+				'template'     => '',
+				'secret'       => '',
+				'clear_secret' => '',
+			];
+
+			// Skip rows added but never filled in.
+			if ( $row['name'] === '' && $row['url'] === '' && $row['template'] === '' ) {
+				continue;
+			}
+
+			$id      = preg_match( '/^[a-f0-9]{8}$/', $row['id'] ) ? $row['id'] : bin2hex( random_bytes( 4 ) );
+			$method  = strtoupper( $row['method'] );
+			$headers = Webhook_Reporter::parse_headers( $row['headers'] );
+			$webhook = [
+				'id'       => $id,
+				'name'     => sanitize_text_field( $row['name'] ) ?: $id,
+				'enabled'  => $row['enabled'] !== '' ? '1' : '',
+				'url'      => esc_url_raw( $row['url'], [ 'https', 'http' ] ),
+				'method'   => in_array( $method, Webhook_Reporter::METHODS, true ) ? $method : 'POST',
+				'headers'  => implode( "\n", array_map( fn( $name, $value ) => "{$name}: {$value}", array_keys( $headers ), $headers ) ),
+				'template' => $row['template'],
+				'secret'   => $row['clear_secret'] !== '' ? '' : ( $row['secret'] !== '' ? $row['secret'] : ( $saved[ $id ]['secret'] ?? '' ) ),
+			];
+
+			if ( $webhook['url'] === '' ) {
+				$webhook['enabled'] = '';
+				add_settings_error(
+					Settings::OPTION_KEY,
+					"kntnt_ad_attr_webhook_{$id}_url",
+					/* translators: %s: Webhook name */
+					sprintf( __( 'The webhook %s was disabled since its URL is invalid.', 'kntnt-ad-attr' ), $webhook['name'] ),
+				);
+			}
+
+			if ( Webhook_Reporter::decode_template( $webhook['template'] ) === null ) {
+				$webhook['enabled'] = '';
+				add_settings_error(
+					Settings::OPTION_KEY,
+					"kntnt_ad_attr_webhook_{$id}_template",
+					/* translators: %s: Webhook name */
+					sprintf( __( 'The webhook %s was disabled since its payload template isn\'t a valid JSON object or array.', 'kntnt-ad-attr' ), $webhook['name'] ),
+				);
+			}
+
+			$webhooks[] = $webhook;
+		}
+
+		return $webhooks;
+	}
+
+	/**
+	 * Gets the selectable consent adapters keyed by ID.
+	 *
+	 * @return array<string, string> Adapter ID => label.
+	 * @since 1.9.0
+	 */
+	private function get_consent_adapter_options(): array {
+		return [
+			'auto'      => __( 'Auto-detect', 'kntnt-ad-attr' ),
+			'none'      => __( 'None (custom integration only)', 'kntnt-ad-attr' ),
+			'tcf'       => __( 'IAB TCF v2.2', 'kntnt-ad-attr' ),
+			'cookiebot' => 'Cookiebot',
+			'cookieyes' => 'CookieYes',
+			'complianz' => 'Complianz',
+			'borlabs'   => 'Borlabs Cookie',
+			'gcm'       => __( 'Google Consent Mode v2 (client-side only)', 'kntnt-ad-attr' ),
+		];
+	}
+
 	/**
 	 * Registers logging-related fields.
 	 *
@@ -419,6 +1165,15 @@ final class Settings_Page {
 			self::PAGE_SLUG,
 			self::SECTION_LOGGING,
 		);
+
+		// In-page log viewer.
+		add_settings_field(
+			'log_viewer',
+			__( 'Log Viewer', 'kntnt-ad-attr' ),
+			[ $this, 'render_log_viewer' ],
+			self::PAGE_SLUG,
+			self::SECTION_LOGGING,
+		);
 	}
 
 	/**
@@ -525,6 +1280,239 @@ final class Settings_Page {
 		);
 	}
 
+	/**
+	 * Renders the controls and the container of the log viewer.
+	 *
+	 * The entries are loaded client-side from the `log` REST route, which
+	 * redacts them. The controls have no names, so they aren't saved with
+	 * the settings form. The script is enqueued here, since it's only
+	 * needed on this page.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function render_log_viewer(): void {
+		wp_enqueue_style(
+			'kntnt-ad-attr-admin',
+			Plugin::get_plugin_url() . 'css/admin.css',
+			[],
+			Plugin::get_version(),
+		);
+
+		wp_enqueue_script(
+			'kntnt-ad-attr-log-viewer',
+			Plugin::get_plugin_url() . 'js/log-viewer.js',
+			[],
+			Plugin::get_version(),
+			true,
+		);
+
+		wp_localize_script( 'kntnt-ad-attr-log-viewer', 'kntntAdAttrLog', [
+			'logUrl' => rest_url( 'kntnt-ad-attribution/v1/log' ),
+			'nonce'  => wp_create_nonce( 'wp_rest' ),
+			'i18n'   => [
+				'time'      => __( 'Time', 'kntnt-ad-attr' ),
+				'source'    => __( 'Source', 'kntnt-ad-attr' ),
+				'level'     => __( 'Level', 'kntnt-ad-attr' ),
+				'message'   => __( 'Message', 'kntnt-ad-attr' ),
+				'levels'    => [
+					'info'  => __( 'Info', 'kntnt-ad-attr' ),
+					'error' => __( 'Error', 'kntnt-ad-attr' ),
+				],
+				/* translators: 1: Number of entries shown, 2: Number of matching entries */
+				'showing'   => __( 'Showing the newest %1$d of %2$d entries.', 'kntnt-ad-attr' ),
+				/* translators: %d: Number of matching entries */
+				'entries'   => __( '%d entries.', 'kntnt-ad-attr' ),
+				'noEntries' => __( 'No log entries match the filters.', 'kntnt-ad-attr' ),
+				'error'     => __( 'The log could not be loaded.', 'kntnt-ad-attr' ),
+			],
+		] );
+
+		?>
+		<div id="kntnt-ad-attr-log" class="kntnt-ad-attr-log hide-if-no-js">
+			<div class="kntnt-ad-attr-log-controls">
+				<label>
+					<?php esc_html_e( 'Level', 'kntnt-ad-attr' ); ?>
+					<select class="kntnt-ad-attr-log-level">
+						<option value=""><?php esc_html_e( 'All levels', 'kntnt-ad-attr' ); ?></option>
+						<option value="info"><?php esc_html_e( 'Info', 'kntnt-ad-attr' ); ?></option>
+						<option value="error"><?php esc_html_e( 'Error', 'kntnt-ad-attr' ); ?></option>
+					</select>
+				</label>
+				<label>
+					<?php esc_html_e( 'Source', 'kntnt-ad-attr' ); ?>
+					<select class="kntnt-ad-attr-log-prefix">
+						<option value=""><?php esc_html_e( 'All sources', 'kntnt-ad-attr' ); ?></option>
+					</select>
+				</label>
+				<label>
+					<?php esc_html_e( 'Search', 'kntnt-ad-attr' ); ?>
+					<input type="search" class="kntnt-ad-attr-log-search">
+				</label>
+				<label>
+					<input type="checkbox" class="kntnt-ad-attr-log-refresh" checked>
+					<?php esc_html_e( 'Refresh automatically', 'kntnt-ad-attr' ); ?>
+				</label>
+			</div>
+			<p class="kntnt-ad-attr-log-status" role="status"></p>
+			<div class="kntnt-ad-attr-log-entries" tabindex="0" role="region" aria-label="<?php esc_attr_e( 'Log entries', 'kntnt-ad-attr' ); ?>"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the webhook rows and the controls to add, remove and test them.
+	 *
+	 * Rows are added from a `<template>` whose `__i__` is replaced by a new
+	 * index. The test button sends a sample event to the saved webhook
+	 * through the REST API, so it tests what is saved rather than what is
+	 * in the form.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function render_webhooks(): void {
+		wp_enqueue_style(
+			'kntnt-ad-attr-admin',
+			Plugin::get_plugin_url() . 'css/admin.css',
+			[],
+			Plugin::get_version(),
+		);
+
+		wp_enqueue_script(
+			'kntnt-ad-attr-webhooks',
+			Plugin::get_plugin_url() . 'js/webhooks.js',
+			[],
+			Plugin::get_version(),
+			true,
+		);
+
+		wp_localize_script( 'kntnt-ad-attr-webhooks', 'kntntAdAttrWebhooks', [
+			'webhooksUrl' => rest_url( 'kntnt-ad-attribution/v1/webhooks' ),
+			'nonce'       => wp_create_nonce( 'wp_rest' ),
+			'i18n'        => [
+				'sending' => __( 'Sending…', 'kntnt-ad-attr' ),
+				/* translators: %d: HTTP status code */
+				'success' => __( 'Delivered (HTTP %d).', 'kntnt-ad-attr' ),
+				/* translators: %d: HTTP status code */
+				'failure' => __( 'Failed (HTTP %d).', 'kntnt-ad-attr' ),
+				'error'   => __( 'The test event could not be sent.', 'kntnt-ad-attr' ),
+				'unsaved' => __( 'Save the changes before sending a test event.', 'kntnt-ad-attr' ),
+				'confirm' => __( 'Remove this webhook? It is deleted when the settings are saved.', 'kntnt-ad-attr' ),
+			],
+		] );
+
+		$webhooks = array_values( array_filter( (array) $this->settings->get( 'webhooks' ), 'is_array' ) );
+
+		echo '<div id="kntnt-ad-attr-webhooks" class="kntnt-ad-attr-webhooks">';
+		echo '<div class="kntnt-ad-attr-webhook-list">';
+		foreach ( $webhooks as $index => $webhook ) {
+			$this->render_webhook_row( (string) $index, $webhook );
+		}
+		echo '</div>';
+
+		echo '<template class="kntnt-ad-attr-webhook-template">';
+		$this->render_webhook_row( '__i__', [] );
+		echo '</template>';
+
+		printf(
+			'<p class="hide-if-no-js"><button type="button" class="button kntnt-ad-attr-webhook-add">%s</button></p>',
+			esc_html__( 'Add Webhook', 'kntnt-ad-attr' ),
+		);
+
+		printf(
+			'<p class="description">%s <code>%s</code></p>',
+			esc_html__( 'Template placeholders:', 'kntnt-ad-attr' ),
+			esc_html( implode( ' ', array_map( fn( $field ) => "{{{$field}}}", [ ...Webhook_Reporter::FIELDS, 'click_id.<platform>' ] ) ) ),
+		);
+
+		echo '</div>';
+	}
+
+	/**
+	 * Renders the fields of a single webhook.
+	 *
+	 * @param string               $index   Row index in the submitted list.
+	 * @param array<string, mixed> $webhook Saved webhook, or an empty array for a new one.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_webhook_row( string $index, array $webhook ): void {
+		$id   = (string) ( $webhook['id'] ?? '' );
+		$name = Settings::OPTION_KEY . "[webhooks][{$index}]";
+
+		// The default template is shown as placeholder, which is also what an empty template means.
+		$default_template = (string) wp_json_encode( Webhook_Reporter::decode_template( '' ), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+
+		?>
+		<fieldset class="kntnt-ad-attr-webhook" data-id="<?php echo esc_attr( $id ); ?>">
+			<legend><?php echo esc_html( $id !== '' ? (string) $webhook['name'] : __( 'New Webhook', 'kntnt-ad-attr' ) ); ?></legend>
+			<input type="hidden" name="<?php echo esc_attr( "{$name}[id]" ); ?>" value="<?php echo esc_attr( $id ); ?>">
+			<p>
+				<label>
+					<input type="checkbox" name="<?php echo esc_attr( "{$name}[enabled]" ); ?>" value="1"<?php checked( ( $webhook['enabled'] ?? '1' ) === '1' ); ?>>
+					<?php esc_html_e( 'Enabled', 'kntnt-ad-attr' ); ?>
+				</label>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'Name', 'kntnt-ad-attr' ); ?><br>
+					<input type="text" name="<?php echo esc_attr( "{$name}[name]" ); ?>" value="<?php echo esc_attr( (string) ( $webhook['name'] ?? '' ) ); ?>" class="regular-text">
+				</label>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'URL', 'kntnt-ad-attr' ); ?><br>
+					<input type="url" name="<?php echo esc_attr( "{$name}[url]" ); ?>" value="<?php echo esc_attr( (string) ( $webhook['url'] ?? '' ) ); ?>" placeholder="https://" class="large-text">
+				</label>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'Method', 'kntnt-ad-attr' ); ?><br>
+					<select name="<?php echo esc_attr( "{$name}[method]" ); ?>">
+						<?php foreach ( Webhook_Reporter::METHODS as $method ) : ?>
+							<option value="<?php echo esc_attr( $method ); ?>"<?php selected( $webhook['method'] ?? 'POST', $method ); ?>><?php echo esc_html( $method ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'Headers', 'kntnt-ad-attr' ); ?><br>
+					<textarea name="<?php echo esc_attr( "{$name}[headers]" ); ?>" rows="3" class="large-text code" placeholder="Authorization: Bearer …"><?php echo esc_textarea( (string) ( $webhook['headers'] ?? '' ) ); ?></textarea>
+				</label>
+				<span class="description"><?php esc_html_e( 'One "Name: value" per line.', 'kntnt-ad-attr' ); ?></span>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'Payload Template', 'kntnt-ad-attr' ); ?><br>
+					<textarea name="<?php echo esc_attr( "{$name}[template]" ); ?>" rows="8" class="large-text code" placeholder="<?php echo esc_attr( $default_template ); ?>"><?php echo esc_textarea( (string) ( $webhook['template'] ?? '' ) ); ?></textarea>
+				</label>
+				<span class="description"><?php esc_html_e( 'JSON. Leave empty to send all fields.', 'kntnt-ad-attr' ); ?></span>
+			</p>
+			<p>
+				<label>
+					<?php esc_html_e( 'Signing Secret', 'kntnt-ad-attr' ); ?><br>
+					<input type="password" name="<?php echo esc_attr( "{$name}[secret]" ); ?>" value="" autocomplete="new-password" class="regular-text">
+				</label>
+				<?php if ( ( $webhook['secret'] ?? '' ) !== '' ) : ?>
+					<span class="description"><?php esc_html_e( 'Saved. Leave empty to keep the current value.', 'kntnt-ad-attr' ); ?></span>
+					<label>
+						<input type="checkbox" name="<?php echo esc_attr( "{$name}[clear_secret]" ); ?>" value="1">
+						<?php esc_html_e( 'Remove the secret', 'kntnt-ad-attr' ); ?>
+					</label>
+				<?php endif; ?>
+			</p>
+			<p class="kntnt-ad-attr-webhook-actions hide-if-no-js">
+				<button type="button" class="button kntnt-ad-attr-webhook-test"<?php disabled( $id, '' ); ?>><?php esc_html_e( 'Send Test Event', 'kntnt-ad-attr' ); ?></button>
+				<button type="button" class="button-link button-link-delete kntnt-ad-attr-webhook-remove"><?php esc_html_e( 'Remove', 'kntnt-ad-attr' ); ?></button>
+				<span class="kntnt-ad-attr-webhook-status" role="status"></span>
+			</p>
+		</fieldset>
+		<?php
+	}
+
 	/**
 	 * Renders a number input field with the filter default as placeholder.
 	 *
@@ -548,6 +1536,103 @@ final class Settings_Page {
 		);
 	}
 
+	/**
+	 * Renders a select field with the effective value preselected.
+	 *
+	 * @param string                $key     Setting key.
+	 * @param array<string, string> $options Option value => label.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_select_field( string $key, array $options ): void {
+		$current = (string) $this->settings->get( $key );
+
+		printf( '<select id="%s" name="%s[%s]">', esc_attr( $key ), esc_attr( Settings::OPTION_KEY ), esc_attr( $key ) );
+		foreach ( $options as $value => $label ) {
+			printf(
+				'<option value="%s"%s>%s</option>',
+				esc_attr( (string) $value ),
+				selected( $current, (string) $value, false ),
+				esc_html( $label ),
+			);
+		}
+		echo '</select>';
+	}
+
+	/**
+	 * Renders a text input field with the filter default as placeholder.
+	 *
+	 * @param string $key         Setting key.
+	 * @param string $description Optional description below the field.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_text_field( string $key, string $description = '' ): void {
+		$saved       = $this->settings->get_saved();
+		$value       = $saved[ $key ] ?? '';
+		$placeholder = $this->settings->get_filter_default( $key );
+
+		printf(
+			'<input type="text" id="%s" name="%s[%s]" value="%s" placeholder="%s" class="regular-text">',
+			esc_attr( $key ),
+			esc_attr( Settings::OPTION_KEY ),
+			esc_attr( $key ),
+			esc_attr( (string) $value ),
+			esc_attr( (string) $placeholder ),
+		);
+
+		if ( $description !== '' ) {
+			printf( '<p class="description">%s</p>', esc_html( $description ) );
+		}
+	}
+
+	/**
+	 * Renders a password field for a secret that is never echoed back.
+	 *
+	 * The field is always empty; leaving it empty keeps the saved secret.
+	 *
+	 * @param string $key Setting key.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_secret_field( string $key ): void {
+		$saved = $this->settings->get_saved();
+
+		printf(
+			'<input type="password" id="%s" name="%s[%s]" value="" autocomplete="new-password" class="regular-text">',
+			esc_attr( $key ),
+			esc_attr( Settings::OPTION_KEY ),
+			esc_attr( $key ),
+		);
+
+		if ( ( $saved[ $key ] ?? '' ) !== '' ) {
+			printf( '<p class="description">%s</p>', esc_html__( 'Saved. Leave empty to keep the current value.', 'kntnt-ad-attr' ) );
+		}
+	}
+
+	/**
+	 * Renders a checkbox field with a label.
+	 *
+	 * @param string $key   Setting key.
+	 * @param string $label Checkbox label.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	private function render_checkbox_field( string $key, string $label ): void {
+		printf(
+			'<label><input type="checkbox" id="%s" name="%s[%s]" value="1"%s> %s</label>',
+			esc_attr( $key ),
+			esc_attr( Settings::OPTION_KEY ),
+			esc_attr( $key ),
+			checked( (bool) $this->settings->get( $key ), true, false ),
+			esc_html( $label ),
+		);
+	}
+
 	/**
 	 * Renders a single settings section with its heading and fields.
 	 *
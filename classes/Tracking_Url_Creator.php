@@ -0,0 +1,244 @@
+<?php
+/**
+ * Creation of tracking URLs, one at a time or in bulk.
+ *
+ * Used by the add form on the admin page and by the bulk route, which
+ * validates rows of target page, source, medium and campaign in a dry
+ * run before creating them all and returning them as CSV.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Validates and creates tracking URLs.
+ *
+ * @since 1.9.0
+ */
+final class Tracking_Url_Creator {
+
+	/**
+	 * Largest number of rows created in one batch.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	public const MAX_ROWS = 500;
+
+	/**
+	 * Columns of the CSV of created tracking URLs.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	private const CSV_COLUMNS = [ 'tracking_url', 'hash', 'target_post_id', 'target_url', 'utm_source', 'utm_medium', 'utm_campaign' ];
+
+	/**
+	 * Creates a tracking URL for a published target page.
+	 *
+	 * Generates a unique hash, builds the tracking URL from home_url(), and
+	 * creates the tracking URL post with its meta. The caller validates the
+	 * arguments.
+	 *
+	 * @param int    $target_post_id ID of the published target page.
+	 * @param string $utm_source     Source.
+	 * @param string $utm_medium     Medium.
+	 * @param string $utm_campaign   Campaign.
+	 *
+	 * @return array{post_id: int, hash: string, tracking_url: string}|null The created tracking URL, or null on failure.
+	 * @since 1.9.0
+	 */
+	public function create( int $target_post_id, string $utm_source, string $utm_medium, string $utm_campaign ): ?array {
+
+		// Generate a unique hash.
+		do {
+			$hash = hash( 'sha256', random_bytes( 32 ) );
+		} while ( $this->hash_exists( $hash ) );
+
+		// Build the tracking URL.
+		$tracking_url = home_url( Plugin::get_url_prefix() . '/' . $hash );
+
+		// Create the CPT post.
+		$post_id = wp_insert_post( [
+			'post_type'   => Post_Type::SLUG,
+			'post_title'  => $tracking_url,
+			'post_status' => 'publish',
+		] );
+
+		if ( is_wp_error( $post_id ) || ! $post_id ) {
+			return null;
+		}
+
+		// Store meta fields (always-required fields first).
+		add_post_meta( $post_id, '_hash', $hash, true );
+		add_post_meta( $post_id, '_target_post_id', (string) $target_post_id, true );
+
+		// Store Source/Medium/Campaign unconditionally (all required).
+		add_post_meta( $post_id, '_utm_source', $utm_source, true );
+		add_post_meta( $post_id, '_utm_medium', $utm_medium, true );
+		add_post_meta( $post_id, '_utm_campaign', $utm_campaign, true );
+
+		return [ 'post_id' => (int) $post_id, 'hash' => $hash, 'tracking_url' => $tracking_url ];
+	}
+
+	/**
+	 * Resolves and validates rows for bulk creation.
+	 *
+	 * The target of a row is a post ID or the URL of the post, with or
+	 * without the domain. It must resolve to a published post that is not
+	 * a tracking URL. Source, medium and campaign are required and, as on
+	 * the add form, truncated to 255 characters.
+	 *
+	 * @param array<int, array<string, mixed>> $rows Rows with `target`, `utm_source`, `utm_medium` and `utm_campaign`.
+	 *
+	 * @return array<int, array{target: string, target_post_id: int, target_title: string, utm_source: string, utm_medium: string, utm_campaign: string, errors: string[]}>
+	 *         The rows in the given order, each with its validation errors.
+	 * @since 1.9.0
+	 */
+	public function validate_rows( array $rows ): array {
+		$validated = [];
+
+		foreach ( $rows as $row ) {
+			$target = trim( sanitize_text_field( (string) ( $row['target'] ?? '' ) ) );
+			$fields = [];
+			foreach ( [ 'utm_source', 'utm_medium', 'utm_campaign' ] as $key ) {
+				$fields[ $key ] = mb_substr( trim( sanitize_text_field( (string) ( $row[ $key ] ?? '' ) ) ), 0, 255 );
+			}
+
+			$errors = [];
+			$post   = $target === '' ? null : $this->resolve_target( $target );
+			if ( $target === '' ) {
+				$errors[] = __( 'The target page is missing.', 'kntnt-ad-attr' );
+			} elseif ( ! $post ) {
+				$errors[] = __( 'The target page does not exist or is not published.', 'kntnt-ad-attr' );
+			}
+			if ( $fields['utm_source'] === '' ) {
+				$errors[] = __( 'The source is missing.', 'kntnt-ad-attr' );
+			}
+			if ( $fields['utm_medium'] === '' ) {
+				$errors[] = __( 'The medium is missing.', 'kntnt-ad-attr' );
+			}
+			if ( $fields['utm_campaign'] === '' ) {
+				$errors[] = __( 'The campaign is missing.', 'kntnt-ad-attr' );
+			}
+
+			$validated[] = [
+				'target'         => $target,
+				'target_post_id' => $post ? $post->ID : 0,
+				'target_title'   => $post ? $post->post_title : '',
+				...$fields,
+				'errors'         => $errors,
+			];
+		}
+
+		return $validated;
+	}
+
+	/**
+	 * Creates a tracking URL for each row.
+	 *
+	 * @param array<int, array<string, mixed>> $rows Rows from validate_rows() without errors.
+	 *
+	 * @return array<int, array<string, int|string>> The created tracking URLs with the columns of the CSV.
+	 * @since 1.9.0
+	 */
+	public function create_rows( array $rows ): array {
+		$created = [];
+
+		foreach ( $rows as $row ) {
+			$url = $this->create( $row['target_post_id'], $row['utm_source'], $row['utm_medium'], $row['utm_campaign'] );
+			if ( $url === null ) {
+				continue;
+			}
+
+			$created[] = [
+				'tracking_url'   => $url['tracking_url'],
+				'hash'           => $url['hash'],
+				'target_post_id' => $row['target_post_id'],
+				'target_url'     => (string) get_permalink( $row['target_post_id'] ),
+				'utm_source'     => $row['utm_source'],
+				'utm_medium'     => $row['utm_medium'],
+				'utm_campaign'   => $row['utm_campaign'],
+			];
+		}
+
+		return $created;
+	}
+
+	/**
+	 * Renders created tracking URLs as CSV.
+	 *
+	 * As the report route's CSV, it has a header row of column names and
+	 * always uses a comma as delimiter, so it can be imported elsewhere.
+	 *
+	 * @param array<int, array<string, int|string>> $created Tracking URLs from create_rows().
+	 *
+	 * @return string CSV document.
+	 * @since 1.9.0
+	 */
+	public function to_csv( array $created ): string {
+		$output = fopen( 'php://temp', 'r+' );
+
+		fputcsv( $output, self::CSV_COLUMNS, ',', '"', '' );
+		foreach ( $created as $row ) {
+			fputcsv( $output, array_map( fn( string $column ) => $row[ $column ] ?? '', self::CSV_COLUMNS ), ',', '"', '' );
+		}
+
+		rewind( $output );
+		$csv = (string) stream_get_contents( $output );
+		fclose( $output );
+
+		return $csv;
+	}
+
+	/**
+	 * Returns the published post a target refers to.
+	 *
+	 * @param string $target Post ID, or URL with or without the domain.
+	 *
+	 * @return \WP_Post|null The post, or null if there is no such published post.
+	 * @since 1.9.0
+	 */
+	private function resolve_target( string $target ): ?\WP_Post {
+		if ( ctype_digit( $target ) ) {
+			$post_id = (int) $target;
+		} else {
+			$url     = preg_match( '#^https?://#i', $target ) ? $target : home_url( '/' . ltrim( $target, '/' ) );
+			$post_id = url_to_postid( $url );
+		}
+
+		$post = $post_id > 0 ? get_post( $post_id ) : null;
+		if ( ! $post || $post->post_status !== 'publish' || $post->post_type === Post_Type::SLUG ) {
+			return null;
+		}
+
+		return $post;
+	}
+
+	/**
+	 * Checks if a hash already exists in the database.
+	 *
+	 * Used during hash generation to ensure uniqueness.
+	 *
+	 * @param string $hash The SHA-256 hash to check.
+	 *
+	 * @return bool True if the hash already exists.
+	 * @since 1.9.0
+	 */
+	private function hash_exists( string $hash ): bool {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$count = (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT COUNT(*) FROM {$wpdb->postmeta} WHERE meta_key = '_hash' AND meta_value = %s",
+			$hash,
+		) );
+
+		return $count > 0;
+	}
+
+}
@@ -0,0 +1,126 @@
+<?php
+/**
+ * Change history of tracking URLs.
+ *
+ * Editing a tracking URL keeps its hash, so ads already published keep
+ * working. Each edit is recorded as a `_change` post meta row with the
+ * time, the user and the old and new value of every changed field, so the
+ * edit view and the campaign list can show when a target page changed.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Updates tracking URLs and records their changes.
+ *
+ * @since 1.9.0
+ */
+final class Tracking_Url_History {
+
+	/**
+	 * Meta key of the change entries; one meta row per edit.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const META_KEY = '_change';
+
+	/**
+	 * Editable fields; each is stored in the post meta of the same name prefixed with an underscore.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const FIELDS = [ 'target_post_id', 'utm_source', 'utm_medium', 'utm_campaign' ];
+
+	/**
+	 * Updates the fields of a tracking URL and records what changed.
+	 *
+	 * Fields missing from `$values` are left as they are. Nothing is
+	 * recorded if no value changed.
+	 *
+	 * @param int                   $post_id ID of the tracking URL post.
+	 * @param array<string, string> $values  New values keyed by field name.
+	 *
+	 * @return array<string, array{from: string, to: string}> The changes, keyed by field name.
+	 * @since 1.9.0
+	 */
+	public function update( int $post_id, array $values ): array {
+		$changes = [];
+
+		foreach ( self::FIELDS as $field ) {
+			if ( ! isset( $values[ $field ] ) ) {
+				continue;
+			}
+
+			$from = (string) get_post_meta( $post_id, '_' . $field, true );
+			$to   = (string) $values[ $field ];
+			if ( $from === $to ) {
+				continue;
+			}
+
+			update_post_meta( $post_id, '_' . $field, $to );
+			$changes[ $field ] = [ 'from' => $from, 'to' => $to ];
+		}
+
+		if ( $changes ) {
+			add_post_meta( $post_id, self::META_KEY, [
+				'time'    => gmdate( 'Y-m-d H:i:s' ),
+				'user_id' => get_current_user_id(),
+				'changes' => $changes,
+			] );
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Returns the recorded changes of a tracking URL, newest first.
+	 *
+	 * @param int $post_id ID of the tracking URL post.
+	 *
+	 * @return array<int, array{time: string, user_id: int, changes: array<string, array{from: string, to: string}>}>
+	 *         Entries with the time in UTC as `Y-m-d H:i:s`.
+	 * @since 1.9.0
+	 */
+	public function get_entries( int $post_id ): array {
+		$entries = array_values( array_filter(
+			(array) get_post_meta( $post_id, self::META_KEY, false ),
+			fn( mixed $entry ) => is_array( $entry ) && isset( $entry['time'], $entry['changes'] ),
+		) );
+
+		usort( $entries, fn( array $a, array $b ) => strcmp( $b['time'], $a['time'] ) );
+
+		return $entries;
+	}
+
+	/**
+	 * Returns the changes of the target page between two dates, oldest first.
+	 *
+	 * @param int    $post_id    ID of the tracking URL post.
+	 * @param string $date_start First day, as `Y-m-d` in UTC.
+	 * @param string $date_end   Last day, as `Y-m-d` in UTC.
+	 *
+	 * @return array<int, array{time: string, from: string, to: string}> Target changes with the old and new post ID.
+	 * @since 1.9.0
+	 */
+	public function get_target_changes( int $post_id, string $date_start, string $date_end ): array {
+		$changes = [];
+
+		foreach ( array_reverse( $this->get_entries( $post_id ) ) as $entry ) {
+			$day = substr( $entry['time'], 0, 10 );
+			if ( ! isset( $entry['changes']['target_post_id'] ) || $day < $date_start || $day > $date_end ) {
+				continue;
+			}
+			$changes[] = [ 'time' => $entry['time'], ...$entry['changes']['target_post_id'] ];
+		}
+
+		return $changes;
+	}
+
+}
@@ -0,0 +1,519 @@
+<?php
+/**
+ * Built-in webhook reporter for endpoints configured in the admin.
+ *
+ * Pushes attributed conversions to any HTTP endpoint, such as an automation
+ * tool, a CRM or an internal service. Each webhook is defined on the
+ * settings page with a URL, an HTTP method, extra headers and a JSON payload
+ * template whose `{{field}}` placeholders are filled in from the conversion,
+ * its campaign, UTM and click-ID data. Requests are signed with HMAC-SHA256
+ * when the webhook has a secret, and delivered through the report queue.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Ad_Attribution;
+
+/**
+ * Registers one conversion reporter per enabled webhook.
+ *
+ * The reporter ID is `webhook_<id>`, so each webhook gets its own rows in
+ * the report queue. The filter is hooked at priority 5, like the other
+ * built-in reporters.
+ *
+ * @since 1.9.0
+ */
+final class Webhook_Reporter {
+
+	/**
+	 * Allowed HTTP methods.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const METHODS = [ 'POST', 'PUT', 'PATCH' ];
+
+	/**
+	 * Fields that payload templates can reference as `{{field}}`.
+	 *
+	 * A single click ID is referenced as `{{click_id.<platform>}}`, e.g.
+	 * `{{click_id.google_ads}}`. No personal data, such as the visitor's IP
+	 * address or user agent, is available.
+	 *
+	 * @var string[]
+	 * @since 1.9.0
+	 */
+	public const FIELDS = [
+		'event',
+		'event_id',
+		'timestamp',
+		'label',
+		'value',
+		'total_value',
+		'currency',
+		'weight',
+		'page_url',
+		'hash',
+		'utm_source',
+		'utm_medium',
+		'utm_campaign',
+		'utm_content',
+		'utm_term',
+		'utm_id',
+		'utm_source_platform',
+		'click_ids',
+	];
+
+	/**
+	 * Header with the HMAC-SHA256 signature of a signed request.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const SIGNATURE_HEADER = 'X-Kntnt-Signature';
+
+	/**
+	 * Header with the Unix time that is part of the signed content.
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const TIMESTAMP_HEADER = 'X-Kntnt-Timestamp';
+
+	/**
+	 * Header telling a real conversion (`conversion`) from a test (`test`).
+	 *
+	 * @var string
+	 * @since 1.9.0
+	 */
+	public const EVENT_HEADER = 'X-Kntnt-Event';
+
+	/**
+	 * Timeout in seconds for webhook requests.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const TIMEOUT = 15;
+
+	/**
+	 * Maximum length of a response body kept for the log and the admin.
+	 *
+	 * @var int
+	 * @since 1.9.0
+	 */
+	private const MAX_RESPONSE_LENGTH = 500;
+
+	/**
+	 * Settings instance for reading the webhooks.
+	 *
+	 * @var Settings
+	 * @since 1.9.0
+	 */
+	private readonly Settings $settings;
+
+	/**
+	 * Logger instance for delivery results.
+	 *
+	 * @var Logger
+	 * @since 1.9.0
+	 */
+	private readonly Logger $logger;
+
+	/**
+	 * Initializes the webhook reporter.
+	 *
+	 * @param Settings $settings Settings instance.
+	 * @param Logger   $logger   Logger instance.
+	 *
+	 * @since 1.9.0
+	 */
+	public function __construct( Settings $settings, Logger $logger ) {
+		$this->settings = $settings;
+		$this->logger   = $logger;
+	}
+
+	/**
+	 * Registers the reporter filter if any webhook is enabled.
+	 *
+	 * @return void
+	 * @since 1.9.0
+	 */
+	public function register(): void {
+		if ( $this->get_webhooks( true ) ) {
+			add_filter( 'kntnt_ad_attr_conversion_reporters', [ $this, 'add_reporters' ], 5 );
+		}
+	}
+
+	/**
+	 * Gets the saved webhooks keyed by ID.
+	 *
+	 * @param bool $enabled_only Whether to leave out disabled webhooks.
+	 *
+	 * @return array<string, array{id: string, name: string, enabled: string, url: string, method: string, headers: string, template: string, secret: string}>
+	 * @since 1.9.0
+	 */
+	public function get_webhooks( bool $enabled_only = false ): array {
+		$webhooks = [];
+
+		foreach ( (array) $this->settings->get( 'webhooks' ) as $webhook ) {
+			if ( ! is_array( $webhook ) || ( $webhook['id'] ?? '' ) === '' ) {
+				continue;
+			}
+			if ( $enabled_only && ( $webhook['enabled'] ?? '' ) !== '1' ) {
+				continue;
+			}
+			$webhooks[ $webhook['id'] ] = $webhook + [
+				'name'     => '',
+				'enabled'  => '',
+				'url'      => '',
+				'method'   => 'POST',
+				'headers'  => '',
+				'template' => '',
+				'secret'   => '',
+			];
+		}
+
+		return $webhooks;
+	}
+
+	/**
+	 * Adds a reporter per enabled webhook on `kntnt_ad_attr_conversion_reporters`.
+	 *
+	 * @param array<string, array> $reporters Reporters registered so far.
+	 *
+	 * @return array<string, array> Reporters including the webhooks.
+	 * @since 1.9.0
+	 */
+	public function add_reporters( array $reporters ): array {
+		foreach ( $this->get_webhooks( true ) as $id => $webhook ) {
+			$reporters["webhook_{$id}"] ??= [
+				/* translators: %s: Webhook name */
+				'label'   => sprintf( __( 'Webhook: %s', 'kntnt-ad-attr' ), $webhook['name'] ),
+				'enqueue' => fn( array $attributions, array $click_ids, array $campaigns, array $context ): array => $this->enqueue( $webhook, $attributions, $click_ids, $campaigns, $context ),
+				'process' => fn( array $payload ): bool => $this->process( $webhook, $payload ),
+			];
+		}
+		return $reporters;
+	}
+
+	/**
+	 * Sends a sample conversion to a saved webhook right away.
+	 *
+	 * The request bypasses the queue and carries `X-Kntnt-Event: test`.
+	 * Only the status is returned, never the response body, so the test
+	 * can't be used to read pages of hosts the site can reach.
+	 *
+	 * @param string $id Webhook ID.
+	 *
+	 * @return array{success: bool, status: int, message: string}|null Result with the error message of a failed request, or null if there is no such webhook.
+	 * @since 1.9.0
+	 */
+	public function send_test( string $id ): ?array {
+		$webhook = $this->get_webhooks()[ $id ] ?? null;
+
+		if ( $webhook === null ) {
+			return null;
+		}
+
+		$hash   = str_repeat( '0', 64 );
+		$fields = self::build_fields(
+			$hash,
+			1.0,
+			[ $hash => [ 'google_ads' => 'TEST-GCLID' ] ],
+			[
+				$hash => [
+					'utm_source'   => 'test',
+					'utm_medium'   => 'test',
+					'utm_campaign' => 'test-event',
+				],
+			],
+			[
+				'timestamp'         => gmdate( 'c' ),
+				'page_url'          => home_url( '/' ),
+				'label'             => 'test',
+				'value'             => 100.0,
+				'currency'          => 'USD',
+				'attributed_values' => [ $hash => 100.0 ],
+			],
+		);
+		$fields['event'] = 'test';
+
+		$result = $this->deliver( $webhook, $this->render_body( $webhook, $fields ), 'test' );
+
+		return [
+			'success' => $result['status'] >= 200 && $result['status'] < 300,
+			'status'  => $result['status'],
+			'message' => $result['status'] === 0 ? $result['message'] : '',
+		];
+	}
+
+	/**
+	 * Decodes a payload template.
+	 *
+	 * An empty template stands for the default, which has every field.
+	 *
+	 * @param string $template JSON template.
+	 *
+	 * @return array|null Decoded template, or null if it isn't a JSON object or array.
+	 * @since 1.9.0
+	 */
+	public static function decode_template( string $template ): ?array {
+
+		if ( trim( $template ) === '' ) {
+			return array_combine( self::FIELDS, array_map( fn( $field ) => "{{{$field}}}", self::FIELDS ) );
+		}
+
+		$decoded = json_decode( $template, true );
+		return is_array( $decoded ) ? $decoded : null;
+	}
+
+	/**
+	 * Fills in the placeholders of a decoded template.
+	 *
+	 * A string that is a single placeholder is replaced by the field's value
+	 * with its JSON type (number, object, null …); placeholders inside other
+	 * text are replaced by the value as text. Since the template is decoded
+	 * first, no value can break the JSON structure. Unknown fields are null.
+	 *
+	 * @param mixed                $node   Decoded template, or a part of it.
+	 * @param array<string, mixed> $fields Field name => value.
+	 *
+	 * @return mixed Template with the values filled in.
+	 * @since 1.9.0
+	 */
+	public static function render( mixed $node, array $fields ): mixed {
+
+		if ( is_array( $node ) ) {
+			return array_map( fn( $child ) => self::render( $child, $fields ), $node );
+		}
+
+		if ( ! is_string( $node ) ) {
+			return $node;
+		}
+
+		if ( preg_match( '/^\{\{\s*([\w.]+)\s*\}\}$/', $node, $m ) ) {
+			return self::get_field( $fields, $m[1] );
+		}
+
+		return preg_replace_callback(
+			'/\{\{\s*([\w.]+)\s*\}\}/',
+			function ( array $m ) use ( $fields ): string {
+				$value = self::get_field( $fields, $m[1] );
+				return is_scalar( $value ) || $value === null ? (string) $value : (string) wp_json_encode( $value );
+			},
+			$node,
+		);
+	}
+
+	/**
+	 * Parses header lines of the form `Name: value`.
+	 *
+	 * Lines that aren't valid headers are ignored.
+	 *
+	 * @param string $headers One header per line.
+	 *
+	 * @return array<string, string> Header name => value.
+	 * @since 1.9.0
+	 */
+	public static function parse_headers( string $headers ): array {
+		$parsed = [];
+
+		foreach ( preg_split( '/\R/', $headers ) as $line ) {
+			if ( preg_match( '/^([!#$%&\'*+.^_`|~0-9A-Za-z-]+):[ \t]*(.*)$/', trim( $line ), $m ) ) {
+				$parsed[ $m[1] ] = $m[2];
+			}
+		}
+
+		return $parsed;
+	}
+
+	/**
+	 * Computes the signature of a request.
+	 *
+	 * The signed content is the timestamp, a dot and the body, which lets
+	 * the receiver reject replayed requests by their age.
+	 *
+	 * @param string $secret    Webhook secret.
+	 * @param int    $timestamp Unix time sent in the timestamp header.
+	 * @param string $body      Request body.
+	 *
+	 * @return string Hex-encoded HMAC-SHA256.
+	 * @since 1.9.0
+	 */
+	public static function sign( string $secret, int $timestamp, string $body ): string {
+		return hash_hmac( 'sha256', "{$timestamp}.{$body}", $secret );
+	}
+
+	/**
+	 * Builds one queue item per credited hash.
+	 *
+	 * The body is rendered now, while the conversion data is at hand, and
+	 * stored as JSON text, so the queued bytes are the ones that are signed.
+	 *
+	 * @param array                                $webhook      Webhook.
+	 * @param array<string, float>                 $attributions Hash => attribution weight.
+	 * @param array<string, array<string, string>> $click_ids    Hash => [ platform => click ID ].
+	 * @param array<string, array<string, string>> $campaigns    Hash => UTM fields.
+	 * @param array<string, mixed>                 $context      Conversion context.
+	 *
+	 * @return array<int, array{payload: array, label: string}> Queue items.
+	 * @since 1.9.0
+	 */
+	private function enqueue( array $webhook, array $attributions, array $click_ids, array $campaigns, array $context ): array {
+		$items = [];
+
+		foreach ( array_keys( (array) ( $context['attributed_values'] ?? [] ) ) as $hash ) {
+			$fields  = self::build_fields( $hash, (float) ( $attributions[ $hash ] ?? 0 ), $click_ids, $campaigns, $context );
+			$items[] = [
+				'payload' => [
+					'event_id' => $fields['event_id'],
+					'body'     => $this->render_body( $webhook, $fields ),
+				],
+				'label'   => $webhook['name'] . ' · ' . ( $fields['utm_campaign'] !== '' ? $fields['utm_campaign'] : substr( $hash, 0, 8 ) ),
+			];
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Delivers a queued body to a webhook.
+	 *
+	 * @param array                $webhook Webhook.
+	 * @param array<string, mixed> $payload Queued payload.
+	 *
+	 * @return bool True if the endpoint answered with a 2xx status.
+	 * @since 1.9.0
+	 */
+	private function process( array $webhook, array $payload ): bool {
+		$result = $this->deliver( $webhook, (string) ( $payload['body'] ?? '' ), 'conversion' );
+
+		if ( $result['status'] < 200 || $result['status'] >= 300 ) {
+			return false;
+		}
+
+		$this->logger->info( 'HOOK', "Delivered {$payload['event_id']} to {$webhook['name']}" );
+		return true;
+	}
+
+	/**
+	 * Sends a body to a webhook, signed if it has a secret.
+	 *
+	 * Failures are logged with the status and the start of the response,
+	 * but never the secret or the headers. Requests to local and private
+	 * addresses are refused, unless the host is allowed through the
+	 * `http_request_host_is_external` filter.
+	 *
+	 * @param array  $webhook Webhook.
+	 * @param string $body    JSON body.
+	 * @param string $event   Event type for the event header.
+	 *
+	 * @return array{status: int, message: string} HTTP status (0 if the request failed) and response or error message.
+	 * @since 1.9.0
+	 */
+	private function deliver( array $webhook, string $body, string $event ): array {
+		$headers = [ 'Content-Type' => 'application/json' ];
+		$headers = array_merge( $headers, self::parse_headers( $webhook['headers'] ) );
+
+		$headers[ self::EVENT_HEADER ] = $event;
+
+		if ( $webhook['secret'] !== '' ) {
+			$time                              = time();
+			$headers[ self::TIMESTAMP_HEADER ] = (string) $time;
+			$headers[ self::SIGNATURE_HEADER ] = 'sha256=' . self::sign( $webhook['secret'], $time, $body );
+		}
+
+		$response = wp_safe_remote_request( $webhook['url'], [
+			'method'  => $webhook['method'],
+			'headers' => $headers,
+			'body'    => $body,
+			'timeout' => self::TIMEOUT,
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			$this->logger->error( 'HOOK', "{$webhook['name']}: {$response->get_error_message()}" );
+			return [ 'status' => 0, 'message' => $response->get_error_message() ];
+		}
+
+		$status  = (int) wp_remote_retrieve_response_code( $response );
+		$message = mb_substr( (string) wp_remote_retrieve_body( $response ), 0, self::MAX_RESPONSE_LENGTH );
+
+		if ( $status < 200 || $status >= 300 ) {
+			$this->logger->error( 'HOOK', "{$webhook['name']}: HTTP {$status}: {$message}" );
+		}
+
+		return [ 'status' => $status, 'message' => $message ];
+	}
+
+	/**
+	 * Renders a webhook's template as a JSON body.
+	 *
+	 * @param array                $webhook Webhook.
+	 * @param array<string, mixed> $fields  Field name => value.
+	 *
+	 * @return string JSON body.
+	 * @since 1.9.0
+	 */
+	private function render_body( array $webhook, array $fields ): string {
+		$template = self::decode_template( $webhook['template'] ) ?? self::decode_template( '' );
+		return (string) wp_json_encode( self::render( $template, $fields ), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+	}
+
+	/**
+	 * Collects the template fields of a credited hash.
+	 *
+	 * @param string                               $hash      Tracking URL hash.
+	 * @param float                                $weight    Attribution weight of the hash.
+	 * @param array<string, array<string, string>> $click_ids Hash => [ platform => click ID ].
+	 * @param array<string, array<string, string>> $campaigns Hash => UTM fields.
+	 * @param array<string, mixed>                 $context   Conversion context.
+	 *
+	 * @return array<string, mixed> Field name => value.
+	 * @since 1.9.0
+	 */
+	private static function build_fields( string $hash, float $weight, array $click_ids, array $campaigns, array $context ): array {
+		$campaign = $campaigns[ $hash ] ?? [];
+		$fields   = [
+			'event'       => 'conversion',
+			'event_id'    => md5( $hash . '|' . ( $context['timestamp'] ?? '' ) ),
+			'timestamp'   => $context['timestamp'] ?? '',
+			'label'       => $context['label'] ?? '',
+			'value'       => $context['attributed_values'][ $hash ] ?? null,
+			'total_value' => $context['value'] ?? null,
+			'currency'    => $context['currency'] ?? '',
+			'weight'      => $weight,
+			'page_url'    => $context['page_url'] ?? '',
+			'hash'        => $hash,
+		];
+
+		foreach ( [ 'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term', 'utm_id', 'utm_source_platform' ] as $key ) {
+			$fields[ $key ] = (string) ( $campaign[ $key ] ?? '' );
+		}
+
+		// An object, so that no click IDs is `{}` rather than `[]`.
+		$fields['click_ids'] = (object) ( $click_ids[ $hash ] ?? [] );
+
+		return $fields;
+	}
+
+	/**
+	 * Gets a field value, including `click_id.<platform>`.
+	 *
+	 * @param array<string, mixed> $fields Field name => value.
+	 * @param string               $name   Field name.
+	 *
+	 * @return mixed Field value, or null if unknown.
+	 * @since 1.9.0
+	 */
+	private static function get_field( array $fields, string $name ): mixed {
+		if ( str_starts_with( $name, 'click_id.' ) ) {
+			return ( (array) ( $fields['click_ids'] ?? [] ) )[ substr( $name, 9 ) ] ?? null;
+		}
+		return $fields[ $name ] ?? null;
+	}
+
+}
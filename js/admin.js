@@ -2,7 +2,17 @@
  * Admin page JavaScript.
  *
  * - Click-to-copy on tracking URLs in the list view.
- * - Select2 initialization on the target post selector (add/edit form).
+ * - Per-click breakdown of a tracking URL, expanded in place in the list view.
+ * - QR codes of tracking URLs for print, as SVG or PNG, expanded in place
+ *   in the list view.
+ * - Filtering, sorting and paging of the list view without page reloads,
+ *   with date range presets and a comparison to the previous period.
+ * - Bulk creation of tracking URLs from combinations or an imported CSV
+ *   file, with a preview of the validation errors of each row.
+ * - Live report queue with filters, a side panel with the payload of a
+ *   job, and retry, cancel and requeue of selected jobs.
+ * - Search combobox on the target post selector and auto-fill of the UTM
+ *   medium from the source (add, edit and bulk forms).
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.0.0
@@ -16,9 +26,11 @@
      *
      * Uses the Clipboard API (available in all modern browsers over HTTPS).
      * Listens for click and Enter keypress on elements with data-clipboard-text.
+     *
+     * @param {ParentNode} [root] Element to look in; defaults to the document.
      */
-    function initClipboard() {
-        document.querySelectorAll('.kntnt-ad-attr-copy').forEach(function(el) {
+    function initClipboard(root) {
+        (root || document).querySelectorAll('.kntnt-ad-attr-copy').forEach(function(el) {
             function copyText() {
                 var text = el.getAttribute('data-clipboard-text');
                 if (!text) return;
@@ -38,81 +50,1665 @@
         });
     }
 
+    /** Largest number of breakdown rows; the report route's page size limit. */
+    var BREAKDOWN_MAX_ROWS = 1000;
+
     /**
-     * Select2 initialization for the target post selector.
+     * Builds a report route URL for the breakdown of one tracking URL.
      *
-     * Only runs when jQuery, select2, and the localized config are available
-     * (i.e. on the add form view).
+     * @param {string} hash      Tracking URL hash.
+     * @param {string} dimension Per-click dimension to group by.
+     * @param {Object} [extra]   Additional query parameters.
+     * @return {string}
      */
-    function initSelect2() {
-        if (typeof jQuery === 'undefined' || typeof jQuery.fn.select2 === 'undefined') return;
-        if (typeof kntntAdAttrAdmin === 'undefined') return;
+    function breakdownUrl(hash, dimension, extra) {
+        var filters = kntntAdAttrAdmin.filters || {};
+        var params = new URLSearchParams();
+
+        // Apply the list's date and UTM filters to the breakdown.
+        Object.keys(filters).forEach(function(key) {
+            if (filters[key] !== '') params.set(key, filters[key]);
+        });
+        params.set('hash', hash);
+        params.set('group_by', dimension);
+        params.set('per_page', String(BREAKDOWN_MAX_ROWS));
+        Object.keys(extra || {}).forEach(function(key) {
+            params.set(key, extra[key]);
+        });
+
+        var separator = kntntAdAttrAdmin.reportUrl.indexOf('?') === -1 ? '?' : '&';
+        return kntntAdAttrAdmin.reportUrl + separator + params.toString();
+    }
 
-        var $ = jQuery;
-        var $select = $('#kntnt-ad-attr-target-post');
-        if (!$select.length) return;
-
-        $select.select2({
-            placeholder: '— Search for a page or post —',
-            minimumInputLength: 2,
-            allowClear: true,
-            ajax: {
-                url: kntntAdAttrAdmin.searchUrl,
-                dataType: 'json',
-                delay: 300,
-                data: function(params) {
-                    return {
-                        search: params.term,
-                        _wpnonce: kntntAdAttrAdmin.nonce
-                    };
-                },
-                processResults: function(data) {
-                    return {
-                        results: data.map(function(item) {
-                            return {
-                                id: item.id,
-                                text: item.title + ' (' + item.type + ' #' + item.id + ')'
-                            };
-                        })
-                    };
-                },
-                cache: true
-            }
-        });
-    }
-
-    /**
-     * Select2 tags initialization for UTM source and medium dropdowns.
-     *
-     * Enables free-text entry alongside predefined options. When a source
-     * is selected and the medium field is empty, auto-fills the medium
-     * with the source's default value from kntntAdAttrAdmin.utmSources.
+    /**
+     * Formats the attributed value of a breakdown row with its currency.
+     *
+     * @param {{attributed_value: ?number, currency: ?string}} row
+     * @param {Object} i18n Translated labels.
+     * @return {string}
      */
-    function initUtmFields() {
-        if (typeof jQuery === 'undefined' || typeof jQuery.fn.select2 === 'undefined') return;
-        if (typeof kntntAdAttrAdmin === 'undefined') return;
+    function formatBreakdownValue(row, i18n) {
+        if (row.attributed_value === null) return '';
+
+        var amount = row.attributed_value.toFixed(2);
+        if (row.currency === 'mixed') return i18n.mixed.replace('%s', amount);
+        return row.currency ? amount + ' ' + row.currency : amount;
+    }
+
+    /**
+     * Draws the breakdown table, most clicks first.
+     *
+     * @param {HTMLElement} container Table container.
+     * @param {string} dimension Per-click dimension of the rows.
+     * @param {Array<Object>} rows Rows from the report route.
+     */
+    function renderBreakdown(container, dimension, rows) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var table = document.createElement('table');
+        table.className = 'widefat striped kntnt-ad-attr-breakdown';
+
+        var head = table.createTHead().insertRow();
+        [kntntAdAttrAdmin.dimensions[dimension], i18n.clicks, i18n.conversions, i18n.value].forEach(function(label) {
+            head.appendChild(document.createElement('th')).textContent = label;
+        });
+
+        var body = table.createTBody();
+        rows.slice().sort(function(a, b) {
+            return b.clicks - a.clicks;
+        }).forEach(function(row) {
+            var tr = body.insertRow();
+            tr.insertCell().textContent = row[dimension] === '' ? i18n.none : row[dimension];
+            tr.insertCell().textContent = String(row.clicks);
+            tr.insertCell().textContent = row.conversions.toFixed(1);
+            tr.insertCell().textContent = formatBreakdownValue(row, i18n);
+        });
+
+        container.textContent = '';
+        container.appendChild(table);
+    }
+
+    /**
+     * Loads the breakdown for the selected dimension and updates the export link.
+     *
+     * @param {HTMLElement} panel Breakdown row.
+     * @param {string} hash Tracking URL hash.
+     * @return {Promise<void>}
+     */
+    function loadBreakdown(panel, hash) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var dimension = panel.querySelector('select').value;
+        var status = panel.querySelector('.kntnt-ad-attr-breakdown-status');
+        var container = panel.querySelector('.kntnt-ad-attr-breakdown-table');
+
+        // Cookie-authenticated downloads pass the nonce in the query string.
+        panel.querySelector('.kntnt-ad-attr-breakdown-export').href = breakdownUrl(hash, dimension, {
+            format: 'csv',
+            _wpnonce: kntntAdAttrAdmin.nonce
+        });
+
+        panel.setAttribute('aria-busy', 'true');
+
+        return fetch(breakdownUrl(hash, dimension), {
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': kntntAdAttrAdmin.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        }).then(function(rows) {
+            status.textContent = rows.length ? '' : i18n.noData;
+            if (rows.length) {
+                renderBreakdown(container, dimension, rows);
+            } else {
+                container.textContent = '';
+            }
+        }).catch(function() {
+            status.textContent = i18n.error;
+        }).then(function() {
+            panel.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Creates the breakdown row below a list row.
+     *
+     * @param {HTMLTableRowElement} row List row of the tracking URL.
+     * @param {string} hash Tracking URL hash.
+     * @return {HTMLTableRowElement}
+     */
+    function createBreakdown(row, hash) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var panel = document.createElement('tr');
+        panel.className = 'kntnt-ad-attr-panel-row kntnt-ad-attr-breakdown-row';
+
+        var cell = panel.insertCell();
+        cell.colSpan = row.children.length;
+
+        var controls = document.createElement('div');
+        controls.className = 'kntnt-ad-attr-breakdown-controls';
+
+        var label = document.createElement('label');
+        label.appendChild(document.createTextNode(i18n.breakDownBy + ' '));
+        var select = document.createElement('select');
+        Object.keys(kntntAdAttrAdmin.dimensions || {}).forEach(function(dimension) {
+            var option = document.createElement('option');
+            option.value = dimension;
+            option.textContent = kntntAdAttrAdmin.dimensions[dimension];
+            select.appendChild(option);
+        });
+        label.appendChild(select);
+        controls.appendChild(label);
+
+        var exportLink = document.createElement('a');
+        exportLink.className = 'button button-small kntnt-ad-attr-breakdown-export';
+        exportLink.textContent = i18n.export;
+        controls.appendChild(exportLink);
+
+        cell.appendChild(controls);
+
+        var status = document.createElement('p');
+        status.className = 'kntnt-ad-attr-breakdown-status';
+        status.setAttribute('role', 'status');
+        cell.appendChild(status);
+
+        var container = document.createElement('div');
+        container.className = 'kntnt-ad-attr-breakdown-table';
+        cell.appendChild(container);
+
+        select.addEventListener('change', function() {
+            loadBreakdown(panel, hash);
+        });
+
+        row.parentNode.insertBefore(panel, row.nextSibling);
+
+        return panel;
+    }
+
+    /**
+     * Returns the open panel of a kind below a list row.
+     *
+     * Breakdown and QR code panels are rows inserted after the list row,
+     * in the order they were opened.
+     *
+     * @param {HTMLTableRowElement} row List row of the tracking URL.
+     * @param {string} className Class of the panel row.
+     * @return {?HTMLTableRowElement}
+     */
+    function findPanel(row, className) {
+        for (var next = row.nextElementSibling; next && next.classList.contains('kntnt-ad-attr-panel-row'); next = next.nextElementSibling) {
+            if (next.classList.contains(className)) return next;
+        }
+        return null;
+    }
+
+    /**
+     * Per-click breakdown in the campaign list.
+     *
+     * The Breakdown row action expands a tracking URL's row into a table of
+     * clicks and conversions by content, term, id or group, loaded from the
+     * report route with the list's filters. Clicking it again collapses it.
+     *
+     * @param {ParentNode} [root] Element to look in; defaults to the document.
+     */
+    function initBreakdown(root) {
+        if (typeof kntntAdAttrAdmin === 'undefined' || !kntntAdAttrAdmin.reportUrl) return;
+
+        (root || document).querySelectorAll('.kntnt-ad-attr-breakdown-toggle').forEach(function(button) {
+            button.addEventListener('click', function() {
+                var row = button.closest('tr');
+                var open = findPanel(row, 'kntnt-ad-attr-breakdown-row');
+
+                if (open) {
+                    open.remove();
+                    button.setAttribute('aria-expanded', 'false');
+                    return;
+                }
+
+                var hash = button.getAttribute('data-hash');
+                button.setAttribute('aria-expanded', 'true');
+                loadBreakdown(createBreakdown(row, hash), hash);
+            });
+        });
+    }
+
+    /** Image sizes offered for QR codes, in pixels. */
+    var QR_SIZES = [256, 512, 1024, 2048];
+
+    /** Initial content and term of the link in a QR code; edited per print variant. */
+    var QR_PLACEHOLDERS = { utm_content: 'flyer', utm_term: 'variant-1' };
+
+    /**
+     * Builds the link of a QR code: the tracking URL with the content and
+     * term that tell print variants apart in the clicks table.
+     *
+     * @param {string} trackingUrl Tracking URL.
+     * @param {HTMLTableRowElement} panel QR code row.
+     * @return {string}
+     */
+    function qrLink(trackingUrl, panel) {
+        var url = new URL(trackingUrl);
+        Object.keys(QR_PLACEHOLDERS).forEach(function(key) {
+            var value = panel.querySelector('[name="' + key + '"]').value.trim();
+            if (value !== '') url.searchParams.set(key, value);
+        });
+        return url.toString();
+    }
+
+    /**
+     * Returns the file name of a QR code download, without extension.
+     *
+     * @param {string} hash Tracking URL hash.
+     * @param {HTMLTableRowElement} panel QR code row.
+     * @return {string}
+     */
+    function qrFileName(hash, panel) {
+        var parts = ['qr', hash.slice(0, 8)];
+        Object.keys(QR_PLACEHOLDERS).forEach(function(key) {
+            var value = panel.querySelector('[name="' + key + '"]').value.trim().replace(/[^a-z0-9_-]+/gi, '-');
+            if (value !== '') parts.push(value);
+        });
+        return parts.join('-');
+    }
+
+    /**
+     * Draws a QR code on a canvas with a whole number of pixels per module,
+     * at most the requested size.
+     *
+     * @param {{size: number, modules: boolean[][]}} qr QR code from kntntAdAttrQrCode.encode().
+     * @param {number} pixels Requested width and height.
+     * @return {?HTMLCanvasElement} Null if the browser can't draw.
+     */
+    function qrCanvas(qr, pixels) {
+        var quietZone = kntntAdAttrQrCode.QUIET_ZONE;
+        var extent = qr.size + quietZone * 2;
+        var scale = Math.max(1, Math.floor(pixels / extent));
+        var canvas = document.createElement('canvas');
+        canvas.width = canvas.height = extent * scale;
+
+        var context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return null;
+
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#000';
+        qr.modules.forEach(function(row, y) {
+            row.forEach(function(dark, x) {
+                if (dark) context.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+            });
+        });
+
+        return canvas;
+    }
 
-        var $ = jQuery;
-        var $tags = $('.kntnt-ad-attr-select2-tags');
-        if (!$tags.length) return;
+    /**
+     * Encodes the link of a QR code row and updates its preview and downloads.
+     *
+     * @param {HTMLTableRowElement} panel QR code row.
+     * @param {string} trackingUrl Tracking URL.
+     * @param {string} hash Tracking URL hash.
+     */
+    function renderQrCode(panel, trackingUrl, hash) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var link = qrLink(trackingUrl, panel);
+        var pixels = parseInt(panel.querySelector('[name="size"]').value, 10);
+        var qr = kntntAdAttrQrCode.encode(link, panel.querySelector('[name="level"]').value);
+        var code = panel.querySelector('.kntnt-ad-attr-qr-link');
+        var preview = panel.querySelector('.kntnt-ad-attr-qr-preview');
+        var downloads = panel.querySelectorAll('.kntnt-ad-attr-qr-download');
 
-        $tags.select2({
-            tags: true,
-            allowClear: true,
-            placeholder: '— Select or type —'
+        code.textContent = link;
+        code.setAttribute('data-clipboard-text', link);
+        panel.querySelector('.kntnt-ad-attr-qr-status').textContent = qr ? '' : i18n.qrTooLong;
+        downloads.forEach(function(download) {
+            download.hidden = !qr;
         });
 
-        // Auto-fill medium when a predefined source is selected.
-        $('#kntnt-ad-attr-utm_source').on('change', function() {
-            var $medium = $('#kntnt-ad-attr-utm_medium');
-            if ($medium.val()) return;
+        if (!qr) {
+            preview.textContent = '';
+            return;
+        }
+
+        var svg = kntntAdAttrQrCode.toSvg(qr, pixels);
+        preview.innerHTML = svg;
+
+        var name = qrFileName(hash, panel);
+        var svgLink = panel.querySelector('.kntnt-ad-attr-qr-svg');
+        svgLink.href = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        svgLink.setAttribute('download', name + '.svg');
+
+        // The PNG is drawn when it's downloaded rather than on every keystroke.
+        var pngLink = panel.querySelector('.kntnt-ad-attr-qr-png');
+        pngLink.setAttribute('download', name + '.png');
+        pngLink.onclick = function(e) {
+            var canvas = qrCanvas(qr, pixels);
+            if (!canvas) {
+                e.preventDefault();
+                return;
+            }
+            pngLink.href = canvas.toDataURL('image/png');
+        };
+    }
+
+    /**
+     * Appends a labeled field to the controls of a QR code row.
+     *
+     * @param {HTMLElement} controls Controls container.
+     * @param {string} label Label text.
+     * @param {HTMLElement} field Input or select.
+     */
+    function appendQrField(controls, label, field) {
+        var wrapper = document.createElement('label');
+        wrapper.appendChild(document.createTextNode(label + ' '));
+        wrapper.appendChild(field);
+        controls.appendChild(wrapper);
+    }
+
+    /**
+     * Creates the QR code row below a list row.
+     *
+     * @param {HTMLTableRowElement} row List row of the tracking URL.
+     * @param {string} trackingUrl Tracking URL.
+     * @param {string} hash Tracking URL hash.
+     * @return {HTMLTableRowElement}
+     */
+    function createQrCode(row, trackingUrl, hash) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var dimensions = kntntAdAttrAdmin.dimensions || {};
+        var panel = document.createElement('tr');
+        panel.className = 'kntnt-ad-attr-panel-row kntnt-ad-attr-qr-row';
+
+        var cell = panel.insertCell();
+        cell.colSpan = row.children.length;
+
+        var controls = document.createElement('div');
+        controls.className = 'kntnt-ad-attr-qr-controls';
+
+        Object.keys(QR_PLACEHOLDERS).forEach(function(key) {
+            var input = document.createElement('input');
+            input.type = 'text';
+            input.name = key;
+            input.value = QR_PLACEHOLDERS[key];
+            appendQrField(controls, dimensions[key], input);
+        });
+
+        var size = document.createElement('select');
+        size.name = 'size';
+        QR_SIZES.forEach(function(pixels) {
+            var option = document.createElement('option');
+            option.value = String(pixels);
+            option.textContent = i18n.qrPixels.replace('%d', String(pixels));
+            size.appendChild(option);
+        });
+        size.value = '512';
+        appendQrField(controls, i18n.qrSize, size);
+
+        var level = document.createElement('select');
+        level.name = 'level';
+        Object.keys(i18n.qrLevels || {}).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = i18n.qrLevels[key];
+            level.appendChild(option);
+        });
+        level.value = 'M';
+        appendQrField(controls, i18n.qrLevel, level);
+
+        cell.appendChild(controls);
+
+        var linkLine = document.createElement('p');
+        var code = document.createElement('code');
+        code.className = 'kntnt-ad-attr-copy kntnt-ad-attr-qr-link';
+        code.setAttribute('role', 'button');
+        code.setAttribute('tabindex', '0');
+        linkLine.appendChild(code);
+        cell.appendChild(linkLine);
+
+        var status = document.createElement('p');
+        status.className = 'kntnt-ad-attr-qr-status';
+        status.setAttribute('role', 'status');
+        cell.appendChild(status);
+
+        var preview = document.createElement('div');
+        preview.className = 'kntnt-ad-attr-qr-preview';
+        cell.appendChild(preview);
+
+        [['kntnt-ad-attr-qr-svg', i18n.downloadSvg], ['kntnt-ad-attr-qr-png', i18n.downloadPng]].forEach(function(download) {
+            var link = document.createElement('a');
+            link.className = 'button button-small kntnt-ad-attr-qr-download ' + download[0];
+            link.href = '#';
+            link.textContent = download[1];
+            cell.appendChild(link);
+        });
+
+        controls.addEventListener('input', function() {
+            renderQrCode(panel, trackingUrl, hash);
+        });
+        controls.addEventListener('change', function() {
+            renderQrCode(panel, trackingUrl, hash);
+        });
+
+        row.parentNode.insertBefore(panel, row.nextSibling);
+        initClipboard(panel);
+        renderQrCode(panel, trackingUrl, hash);
+
+        return panel;
+    }
+
+    /**
+     * QR codes in the campaign list.
+     *
+     * The QR Code row action expands a tracking URL's row into a QR code
+     * of the tracking URL with a content and term for the print variant,
+     * encoded in the browser by js/qr-code.js and offered for download as
+     * SVG or PNG. Clicking it again collapses it.
+     *
+     * @param {ParentNode} [root] Element to look in; defaults to the document.
+     */
+    function initQrCode(root) {
+        if (typeof kntntAdAttrQrCode === 'undefined' || typeof kntntAdAttrAdmin === 'undefined') return;
+
+        (root || document).querySelectorAll('.kntnt-ad-attr-qr-toggle').forEach(function(button) {
+            button.addEventListener('click', function() {
+                var row = button.closest('tr');
+                var open = findPanel(row, 'kntnt-ad-attr-qr-row');
+
+                if (open) {
+                    open.remove();
+                    button.setAttribute('aria-expanded', 'false');
+                    return;
+                }
+
+                button.setAttribute('aria-expanded', 'true');
+                createQrCode(row, button.getAttribute('data-url'), button.getAttribute('data-hash'));
+            });
+        });
+    }
+
+    /** Filter fields of the campaign list, named as in its query string. */
+    var LIST_FILTERS = ['date_start', 'date_end', 'utm_source', 'utm_medium', 'utm_campaign', 'click_id_platform', 's'];
+
+    /** Sequence number of the latest list request; older responses are dropped. */
+    var listRequest = 0;
+
+    /**
+     * Formats a date as YYYY-MM-DD.
+     *
+     * @param {Date} date
+     * @return {string}
+     */
+    function isoDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Returns the date range of a preset.
+     *
+     * Dates are in UTC, like the list's default range. The "last N days"
+     * presets end yesterday, the last complete day.
+     *
+     * @param {string} preset Value of a preset option.
+     * @param {Date} now Current time.
+     * @return {?{start: string, end: string}} Null for the custom range.
+     */
+    function presetRange(preset, now) {
+        var year = now.getUTCFullYear();
+        var month = now.getUTCMonth();
+        var day = now.getUTCDate();
+
+        function date(y, m, d) {
+            return isoDate(new Date(Date.UTC(y, m, d)));
+        }
+
+        switch (preset) {
+            case 'last_7_days':
+                return { start: date(year, month, day - 7), end: date(year, month, day - 1) };
+            case 'last_30_days':
+                return { start: date(year, month, day - 30), end: date(year, month, day - 1) };
+            case 'last_90_days':
+                return { start: date(year, month, day - 90), end: date(year, month, day - 1) };
+            case 'month_to_date':
+                return { start: date(year, month, 1), end: date(year, month, day) };
+            case 'previous_month':
+                return { start: date(year, month - 1, 1), end: date(year, month, 0) };
+        }
+        return null;
+    }
+
+    /**
+     * Selects the preset matching the date inputs, or the custom range.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     */
+    function matchPreset(form) {
+        var select = form.querySelector('.kntnt-ad-attr-date-preset');
+        if (!select) return;
+
+        var now = new Date();
+        var match = Array.from(select.options).filter(function(option) {
+            var range = presetRange(option.value, now);
+            return range && range.start === form.elements.date_start.value && range.end === form.elements.date_end.value;
+        })[0];
+
+        select.value = match ? match.value : '';
+    }
+
+    /**
+     * Builds the query string of a list view from the filter bar.
+     *
+     * Sorting and paging are kept from the current URL unless overridden;
+     * a null override removes the argument.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     * @param {Object} overrides Values of orderby, order and paged.
+     * @return {URLSearchParams}
+     */
+    function listQuery(form, overrides) {
+        var current = new URLSearchParams(window.location.search);
+        var query = new URLSearchParams();
+
+        query.set('page', form.elements.page.value);
+        LIST_FILTERS.forEach(function(name) {
+            var field = form.elements[name];
+            if (field && field.value !== '') query.set(name, field.value);
+        });
+        if (form.elements.compare && form.elements.compare.checked) query.set('compare', '1');
+        if (form.elements.suspected && form.elements.suspected.checked) query.set('suspected', '1');
+
+        ['orderby', 'order', 'paged'].forEach(function(name) {
+            var value = name in overrides ? overrides[name] : current.get(name);
+            if (value) query.set(name, value);
+        });
+
+        return query;
+    }
+
+    /**
+     * Returns a message paragraph above the list table, creating it if needed.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     * @param {string} className Class of the paragraph.
+     * @return {HTMLParagraphElement}
+     */
+    function listMessage(form, className) {
+        var message = form.querySelector('.' + className);
+        if (!message) {
+            message = document.createElement('p');
+            message.className = className;
+            var table = form.querySelector('.wp-list-table');
+            table.parentNode.insertBefore(message, table);
+        }
+        return message;
+    }
+
+    /**
+     * Formats the change from one number to another as a signed percentage.
+     *
+     * @param {number} current
+     * @param {number} previous
+     * @return {string} Empty if there is nothing to compare with.
+     */
+    function formatChange(current, previous) {
+        if (!previous) return '';
+
+        var change = (current - previous) / previous * 100;
+        return ' (' + (change > 0 ? '+' : '') + change.toFixed(1) + ' %)';
+    }
+
+    /**
+     * Shows the totals of the previous period and the change since then.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     * @param {Object} data Response of the campaigns route.
+     */
+    function renderComparison(form, data) {
+        var existing = form.querySelector('.kntnt-ad-attr-comparison');
+        if (!data.previous) {
+            if (existing) existing.remove();
+            return;
+        }
+
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var current = data.totals;
+        var previous = data.previous.totals;
+        var comparison = listMessage(form, 'kntnt-ad-attr-comparison');
+
+        var parts = [
+            i18n.clicks + ' ' + previous.clicks + formatChange(current.clicks, previous.clicks),
+            i18n.conversions + ' ' + previous.conversions.toFixed(1) + formatChange(current.conversions, previous.conversions)
+        ];
+
+        // Values are only comparable in one and the same currency.
+        if (previous.attributed_value !== null) {
+            var comparable = current.attributed_value !== null && current.currency === previous.currency && previous.currency !== 'mixed';
+            parts.push(i18n.value + ' ' + formatBreakdownValue(previous, i18n)
+                + (comparable ? formatChange(current.attributed_value, previous.attributed_value) : ''));
+        }
+
+        comparison.textContent = '';
+        comparison.appendChild(document.createElement('strong')).textContent = i18n.previousPeriod
+            .replace('%1$s', data.previous.date_start)
+            .replace('%2$s', data.previous.date_end);
+        comparison.appendChild(document.createTextNode(' ' + parts.join(' · ')));
+    }
+
+    /**
+     * Points the breakdown, the CSV export and the model comparison at the filters shown.
+     *
+     * @param {URLSearchParams} query Query string of the list view.
+     */
+    function updateFilters(query) {
+        var filters = kntntAdAttrAdmin.filters || {};
+        Object.keys(filters).forEach(function(key) {
+            filters[key] = query.get(key) || '';
+        });
+
+        document.querySelectorAll('form.kntnt-ad-attr-export input').forEach(function(input) {
+            if (LIST_FILTERS.indexOf(input.name) !== -1 || input.name === 'search') {
+                input.value = query.get(input.name === 'search' ? 's' : input.name) || '';
+            }
+        });
+
+        document.querySelectorAll('a.page-title-action').forEach(function(link) {
+            var url = new URL(link.href, window.location.href);
+            if (url.searchParams.get('action') !== 'compare') return;
+            url.searchParams.set('date_start', query.get('date_start'));
+            url.searchParams.set('date_end', query.get('date_end'));
+            link.href = url.toString();
+        });
+    }
+
+    /**
+     * Swaps the rendered rows, column headers and pagination into the list.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     * @param {Object} data Response of the campaigns route.
+     */
+    function renderList(form, data) {
+        var table = form.querySelector('.wp-list-table');
+        var body = table.querySelector('tbody');
+
+        body.innerHTML = data.rows;
+        table.querySelector('thead tr').innerHTML = data.column_headers;
+        var footer = table.querySelector('tfoot tr');
+        if (footer) footer.innerHTML = data.column_footers;
+
+        ['top', 'bottom'].forEach(function(which) {
+            var nav = form.querySelector('.tablenav.' + which);
+            if (!nav) return;
+            var pages = nav.querySelector('.tablenav-pages');
+            if (pages) {
+                pages.outerHTML = data.pagination[which];
+            } else {
+                nav.insertAdjacentHTML('beforeend', data.pagination[which]);
+            }
+        });
+
+        renderComparison(form, data);
+        initClipboard(body);
+        initBreakdown(body);
+        initQrCode(body);
+    }
+
+    /**
+     * Loads a view of the list from the campaigns route and shows it.
+     *
+     * @param {HTMLFormElement} form Campaign list form.
+     * @param {URLSearchParams} query Query string of the list view.
+     * @param {boolean} push Whether to add the view to the browser history.
+     * @return {Promise<void>}
+     */
+    function loadList(form, query, push) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var table = form.querySelector('.wp-list-table');
+        var request = ++listRequest;
+
+        var params = new URLSearchParams(query);
+        params.delete('page');
+        var separator = kntntAdAttrAdmin.campaignsUrl.indexOf('?') === -1 ? '?' : '&';
+
+        table.setAttribute('aria-busy', 'true');
+
+        return fetch(kntntAdAttrAdmin.campaignsUrl + separator + params.toString(), {
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': kntntAdAttrAdmin.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        }).then(function(data) {
+            if (request !== listRequest) return;
+            renderList(form, data);
+            updateFilters(query);
+            listMessage(form, 'kntnt-ad-attr-list-status').textContent = '';
+            if (push) {
+                history.pushState({ kntntAdAttrList: true }, '', '?' + query.toString());
+            }
+        }).catch(function() {
+            if (request !== listRequest) return;
+            var status = listMessage(form, 'kntnt-ad-attr-list-status');
+            status.setAttribute('role', 'status');
+            status.textContent = i18n.listError;
+        }).then(function() {
+            if (request === listRequest) table.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Filtering, sorting and paging of the campaign list without page reloads.
+     *
+     * Takes over the filter bar, the column sort links and the pagination,
+     * fetching the rows and totals from the campaigns route. Each view is
+     * pushed to the browser history with the same query string a page load
+     * would have, so views stay shareable and the back button works. Links
+     * still point to the admin page, so they can be opened in a new tab.
+     * Bulk actions submit the form as before.
+     */
+    function initList() {
+        if (typeof kntntAdAttrAdmin === 'undefined' || !kntntAdAttrAdmin.campaignsUrl) return;
+
+        // The trash view has no filter bar and is left as is.
+        var form = document.querySelector('form.kntnt-ad-attr-campaigns');
+        if (!form || !form.querySelector('.kntnt-ad-attr-filters')) return;
+
+        matchPreset(form);
+
+        // Make the current view explicit, so going back to it restores its dates.
+        var initial = listQuery(form, {});
+        history.replaceState({ kntntAdAttrList: true }, '', '?' + initial.toString());
+
+        form.addEventListener('change', function(e) {
+            var field = e.target;
+            if (!field.closest('.kntnt-ad-attr-filters')) return;
+
+            if (field.classList.contains('kntnt-ad-attr-date-preset')) {
+                var range = presetRange(field.value, new Date());
+                if (!range) return;
+                form.elements.date_start.value = range.start;
+                form.elements.date_end.value = range.end;
+            } else if (field.name === 'date_start' || field.name === 'date_end') {
+                matchPreset(form);
+            }
+
+            loadList(form, listQuery(form, { paged: null }), true);
+        });
+
+        form.addEventListener('submit', function(e) {
+            if (e.submitter && (e.submitter.id === 'doaction' || e.submitter.id === 'doaction2')) return;
+            e.preventDefault();
+            loadList(form, listQuery(form, { paged: null }), true);
+        });
+
+        // Enter in the page number input jumps to that page.
+        form.addEventListener('keydown', function(e) {
+            if (e.key !== 'Enter' || !e.target.classList.contains('current-page')) return;
+            e.preventDefault();
+            loadList(form, listQuery(form, { paged: e.target.value }), true);
+        });
+
+        form.addEventListener('click', function(e) {
+            var link = e.target.closest('th.sortable a, th.sorted a, .tablenav-pages a');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+
+            var params = new URL(link.href, window.location.href).searchParams;
+            var overrides = link.closest('.tablenav-pages')
+                ? { paged: params.get('paged') }
+                : { orderby: params.get('orderby'), order: params.get('order'), paged: null };
+
+            loadList(form, listQuery(form, overrides), true);
+        });
+
+        window.addEventListener('popstate', function(e) {
+            if (!e.state || !e.state.kntntAdAttrList) return;
+
+            var query = new URLSearchParams(window.location.search);
+            LIST_FILTERS.forEach(function(name) {
+                if (form.elements[name]) form.elements[name].value = query.get(name) || '';
+            });
+            if (form.elements.compare) form.elements.compare.checked = query.get('compare') === '1';
+            if (form.elements.suspected) form.elements.suspected.checked = query.get('suspected') === '1';
+            matchPreset(form);
+
+            loadList(form, query, false);
+        });
+
+        // The comparison isn't rendered with the page.
+        if (initial.get('compare')) {
+            loadList(form, initial, false);
+        }
+    }
+
+    /** CSV column names accepted for each field of a bulk row. */
+    var BULK_COLUMNS = {
+        target: ['target', 'target_post_id', 'target_url'],
+        utm_source: ['utm_source', 'source'],
+        utm_medium: ['utm_medium', 'medium'],
+        utm_campaign: ['utm_campaign', 'campaign']
+    };
+
+    /**
+     * Splits CSV text into records of fields.
+     *
+     * Handles quoted fields with doubled quotes and line breaks, CRLF line
+     * endings and a byte order mark. The delimiter is a comma, or a semicolon
+     * if the first line has semicolons but no commas, as in files saved by
+     * spreadsheets in locales with a decimal comma.
+     *
+     * @param {string} text
+     * @return {Array<{line: number, fields: string[]}>} Non-empty records with the line they start on.
+     */
+    function parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        var firstLine = text.split('\n', 1)[0];
+        var delimiter = firstLine.indexOf(';') !== -1 && firstLine.indexOf(',') === -1 ? ';' : ',';
+
+        var records = [];
+        var fields = [];
+        var field = '';
+        var quoted = false;
+        var line = 1;
+        var start = 1;
+
+        function endRecord() {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== '') {
+                records.push({ line: start, fields: fields });
+            }
+            fields = [];
+            field = '';
+            start = line;
+        }
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text[i];
+            if (c === '\n') line++;
+
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (c === '\n') {
+                endRecord();
+            } else if (c !== '\r') {
+                field += c;
+            }
+        }
+        endRecord();
+
+        return records;
+    }
+
+    /**
+     * Returns the bulk rows of an imported CSV file.
+     *
+     * @param {string} text CSV with a header row naming the columns.
+     * @return {Array<{line: number, row: Object}>|null} Rows with their line numbers, or null if a column is missing.
+     */
+    function importRows(text) {
+        var records = parseCsv(text);
+        if (!records.length) return [];
+
+        var header = records[0].fields.map(function(name) { return name.trim().toLowerCase(); });
+        var indexes = {};
+        var complete = Object.keys(BULK_COLUMNS).every(function(key) {
+            indexes[key] = header.findIndex(function(name) { return BULK_COLUMNS[key].indexOf(name) !== -1; });
+            return indexes[key] !== -1;
+        });
+        if (!complete) return null;
+
+        return records.slice(1).map(function(record) {
+            var row = {};
+            Object.keys(indexes).forEach(function(key) {
+                row[key] = (record.fields[indexes[key]] || '').trim();
+            });
+            return { line: record.line, row: row };
+        });
+    }
+
+    /**
+     * Returns the bulk rows of the target page and combinations form.
+     *
+     * @param {HTMLFormElement} form
+     * @return {Array<{line: number, row: Object}>} Rows with their line numbers in the text area.
+     */
+    function combinationRows(form) {
+        var target = form.elements.target.value || '';
+        return parseCsv(form.elements.combinations.value).map(function(record) {
+            return {
+                line: record.line,
+                row: {
+                    target: target,
+                    utm_source: (record.fields[0] || '').trim(),
+                    utm_medium: (record.fields[1] || '').trim(),
+                    utm_campaign: (record.fields.slice(2).join(',')).trim()
+                }
+            };
+        });
+    }
+
+    /**
+     * Sends rows to the bulk-create route.
+     *
+     * @param {Array<Object>} rows
+     * @param {boolean} dryRun Only validate the rows.
+     * @return {Promise<Object>} Response data; rejects with the response data on failure.
+     */
+    function bulkRequest(rows, dryRun) {
+        return fetch(kntntAdAttrAdmin.bulkUrl, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json', 'X-WP-Nonce': kntntAdAttrAdmin.nonce },
+            body: JSON.stringify({ rows: rows, dry_run: dryRun })
+        }).then(function(response) {
+            return response.json().catch(function() { return {}; }).then(function(data) {
+                if (!response.ok) throw data;
+                return data;
+            });
+        });
+    }
+
+    /**
+     * Creates a table with a header row.
+     *
+     * @param {string[]} labels Column headings.
+     * @return {HTMLTableElement}
+     */
+    function bulkTable(labels) {
+        var table = document.createElement('table');
+        table.className = 'widefat striped kntnt-ad-attr-bulk-table';
+        var head = table.createTHead().insertRow();
+        labels.forEach(function(label) {
+            var th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = label;
+            head.appendChild(th);
+        });
+        table.appendChild(document.createElement('tbody'));
+        return table;
+    }
+
+    /**
+     * Shows the validated rows and, if all are valid, a button that creates them.
+     *
+     * @param {HTMLElement} preview Preview container.
+     * @param {Array<{line: number, row: Object}>} entries Rows as sent.
+     * @param {{rows: Array<Object>, invalid: number}} data Response of the dry run.
+     */
+    function renderBulkPreview(preview, entries, data) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var status = preview.querySelector('.kntnt-ad-attr-bulk-status');
+        status.textContent = i18n.summary.replace('%1$d', data.rows.length).replace('%2$d', data.invalid);
+
+        var table = bulkTable([i18n.row, i18n.target, i18n.source, i18n.medium, i18n.campaign, i18n.status]);
+        data.rows.forEach(function(row, i) {
+            var tr = table.tBodies[0].insertRow();
+            tr.insertCell().textContent = entries[i].line;
+            tr.insertCell().textContent = row.target_post_id ? row.target_title + ' (#' + row.target_post_id + ')' : row.target;
+            tr.insertCell().textContent = row.utm_source;
+            tr.insertCell().textContent = row.utm_medium;
+            tr.insertCell().textContent = row.utm_campaign;
+
+            var cell = tr.insertCell();
+            if (row.errors.length) {
+                tr.className = 'kntnt-ad-attr-bulk-invalid';
+                var list = cell.appendChild(document.createElement('ul'));
+                row.errors.forEach(function(error) {
+                    list.appendChild(document.createElement('li')).textContent = error;
+                });
+            } else {
+                cell.textContent = i18n.valid;
+            }
+        });
+        preview.appendChild(table);
+
+        if (data.invalid === 0) {
+            var button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'button button-primary kntnt-ad-attr-bulk-create';
+            button.textContent = i18n.create.replace('%d', data.rows.length);
+            button.addEventListener('click', function() {
+                createBulk(preview, entries);
+            });
+            preview.appendChild(document.createElement('p')).appendChild(button);
+        }
+    }
+
+    /**
+     * Shows the created tracking URLs and a link that downloads them as CSV.
+     *
+     * @param {HTMLElement} preview Preview container.
+     * @param {{created: Array<Object>, csv: string}} data Response of the creation.
+     */
+    function renderBulkResult(preview, data) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        preview.querySelector('.kntnt-ad-attr-bulk-status').textContent = i18n.created.replace('%d', data.created.length);
+
+        var download = document.createElement('a');
+        download.className = 'button button-primary kntnt-ad-attr-bulk-download';
+        download.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent(data.csv);
+        download.download = 'kntnt-ad-attribution-tracking-urls.csv';
+        download.textContent = i18n.download;
+        preview.appendChild(document.createElement('p')).appendChild(download);
+
+        var table = bulkTable([i18n.trackingUrl, i18n.target, i18n.source, i18n.medium, i18n.campaign]);
+        data.created.forEach(function(url) {
+            var tr = table.tBodies[0].insertRow();
+            [url.tracking_url, url.target_url, url.utm_source, url.utm_medium, url.utm_campaign].forEach(function(value) {
+                tr.insertCell().textContent = value;
+            });
+        });
+        preview.appendChild(table);
+    }
+
+    /**
+     * Clears the preview container and returns its status line.
+     *
+     * @param {HTMLElement} preview
+     * @return {HTMLElement}
+     */
+    function resetBulkPreview(preview) {
+        preview.textContent = '';
+        var status = document.createElement('p');
+        status.className = 'kntnt-ad-attr-bulk-status';
+        status.setAttribute('role', 'status');
+        return preview.appendChild(status);
+    }
+
+    /**
+     * Validates rows in a dry run and shows the preview.
+     *
+     * @param {HTMLElement} preview Preview container.
+     * @param {Array<{line: number, row: Object}>|null} entries Rows to check; null if the CSV lacks a column.
+     * @return {Promise<void>}
+     */
+    function previewBulk(preview, entries) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var status = resetBulkPreview(preview);
+
+        if (entries === null) {
+            status.textContent = i18n.missingColumns;
+            return Promise.resolve();
+        }
+        if (!entries.length) {
+            status.textContent = i18n.noRows;
+            return Promise.resolve();
+        }
+        if (entries.length > kntntAdAttrAdmin.maxRows) {
+            status.textContent = i18n.tooManyRows.replace('%d', kntntAdAttrAdmin.maxRows);
+            return Promise.resolve();
+        }
+
+        preview.setAttribute('aria-busy', 'true');
+
+        return bulkRequest(entries.map(function(entry) { return entry.row; }), true).then(function(data) {
+            renderBulkPreview(preview, entries, data);
+        }).catch(function(data) {
+            status.textContent = (data && data.message) || i18n.bulkError;
+        }).then(function() {
+            preview.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Creates the previewed rows and shows the result.
+     *
+     * @param {HTMLElement} preview Preview container.
+     * @param {Array<{line: number, row: Object}>} entries Rows of the preview.
+     * @return {Promise<void>}
+     */
+    function createBulk(preview, entries) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var button = preview.querySelector('.kntnt-ad-attr-bulk-create');
+        button.disabled = true;
+        preview.setAttribute('aria-busy', 'true');
+
+        return bulkRequest(entries.map(function(entry) { return entry.row; }), false).then(function(data) {
+            resetBulkPreview(preview);
+            renderBulkResult(preview, data);
+        }).catch(function(data) {
+            button.disabled = false;
+            preview.querySelector('.kntnt-ad-attr-bulk-status').textContent = (data && data.message) || i18n.bulkError;
+        }).then(function() {
+            preview.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Bulk creation: previews the combinations or an imported CSV file
+     * with the validation errors of each row, then creates them all.
+     */
+    function initBulk() {
+        if (typeof kntntAdAttrAdmin === 'undefined' || !kntntAdAttrAdmin.bulkUrl) return;
+
+        var root = document.getElementById('kntnt-ad-attr-bulk');
+        if (!root) return;
+
+        var preview = root.querySelector('.kntnt-ad-attr-bulk-preview');
+
+        root.querySelector('.kntnt-ad-attr-bulk-combinations').addEventListener('submit', function(e) {
+            e.preventDefault();
+            previewBulk(preview, combinationRows(e.currentTarget));
+        });
+
+        root.querySelector('.kntnt-ad-attr-bulk-import').addEventListener('submit', function(e) {
+            e.preventDefault();
+            var file = e.currentTarget.elements.file.files[0];
+            if (!file) {
+                previewBulk(preview, []);
+                return;
+            }
+            file.text().then(function(text) {
+                previewBulk(preview, importRows(text));
+            });
+        });
+    }
+
+    /** Interval, in milliseconds, between refreshes of the queue table. */
+    var QUEUE_POLL_INTERVAL = 10000;
+
+    /** Filter fields of the queue table; their names are the query arguments. */
+    var QUEUE_FILTERS = ['queue_reporter', 'queue_status', 'queue_date_start', 'queue_date_end'];
+
+    /** Sequence number of the latest queue request; older responses are discarded. */
+    var queueRequest = 0;
+
+    /**
+     * Sends a request to a queue route.
+     *
+     * @param {string} path Path below the queue route, e.g. '/actions'.
+     * @param {URLSearchParams|null} params Query arguments.
+     * @param {Object} [init] Fetch options.
+     * @return {Promise<Object>} Response data; rejects on failure.
+     */
+    function queueFetch(path, params, init) {
+        var url = kntntAdAttrAdmin.queueUrl + path;
+        if (params && params.toString()) {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + params.toString();
+        }
+
+        return fetch(url, Object.assign({
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': kntntAdAttrAdmin.nonce }
+        }, init || {})).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        });
+    }
+
+    /**
+     * Returns the status message of the queue table, created on first use.
+     *
+     * @param {HTMLFormElement} form Queue form.
+     * @return {HTMLElement}
+     */
+    function queueMessage(form) {
+        var message = form.querySelector('.kntnt-ad-attr-queue-message');
+        if (!message) {
+            message = document.createElement('p');
+            message.className = 'kntnt-ad-attr-queue-message';
+            message.setAttribute('role', 'status');
+            form.insertBefore(message, form.firstChild);
+        }
+        return message;
+    }
+
+    /**
+     * Reloads the rows of the queue table for the current filters.
+     *
+     * Jobs that were selected stay selected.
+     *
+     * @param {HTMLFormElement} form Queue form.
+     * @return {Promise<void>}
+     */
+    function loadQueue(form) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var request = ++queueRequest;
+        var params = new URLSearchParams();
+
+        QUEUE_FILTERS.forEach(function(name) {
+            var field = form.elements[name];
+            if (field && field.value !== '') params.set(name, field.value);
+        });
+
+        return queueFetch('', params).then(function(data) {
+            if (request !== queueRequest) return;
+
+            var selected = {};
+            form.querySelectorAll('input[name="job[]"]:checked').forEach(function(checkbox) {
+                selected[checkbox.value] = true;
+            });
+
+            form.querySelector('.wp-list-table tbody').innerHTML = data.rows;
+            form.querySelectorAll('input[name="job[]"]').forEach(function(checkbox) {
+                checkbox.checked = !!selected[checkbox.value];
+            });
+        }).catch(function() {
+            if (request !== queueRequest) return;
+            queueMessage(form).textContent = i18n.queueError;
+        });
+    }
+
+    /**
+     * Closes the job panel and returns the focus to its Details button.
+     *
+     * @param {HTMLFormElement} form Queue form.
+     */
+    function closeJobPanel(form) {
+        var panel = form.parentNode.querySelector('.kntnt-ad-attr-queue-panel');
+        if (!panel) return;
+
+        var button = form.querySelector('.kntnt-ad-attr-queue-details[data-job-id="' + panel.getAttribute('data-job-id') + '"]');
+        panel.parentNode.removeChild(panel);
+        if (button) button.focus();
+    }
+
+    /**
+     * Renders a job in the side panel.
+     *
+     * @param {HTMLElement} panel Side panel.
+     * @param {Object} job Job from the queue route.
+     */
+    function renderJobPanel(panel, job) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var statuses = i18n.statuses || {};
+
+        var list = panel.appendChild(document.createElement('dl'));
+        [
+            [i18n.reporter, job.reporter],
+            [i18n.description, job.label],
+            [i18n.status, statuses[job.status] || job.status],
+            [i18n.attempts, String(job.attempts)],
+            [i18n.createdAt, job.created_at && job.created_at + ' UTC'],
+            [i18n.processedAt, job.processed_at && job.processed_at + ' UTC'],
+            [i18n.retryAfter, job.retry_after && job.retry_after + ' UTC']
+        ].forEach(function(field) {
+            list.appendChild(document.createElement('dt')).textContent = field[0];
+            list.appendChild(document.createElement('dd')).textContent = field[1] || '—';
+        });
+
+        if (job.error_message) {
+            panel.appendChild(document.createElement('h4')).textContent = i18n.errorMessage;
+            panel.appendChild(document.createElement('pre')).textContent = job.error_message;
+        }
+
+        panel.appendChild(document.createElement('h4')).textContent = i18n.payload;
+        panel.appendChild(document.createElement('pre')).textContent = JSON.stringify(job.payload, null, 2);
+    }
+
+    /**
+     * Opens the side panel with the payload and full error message of a job.
+     *
+     * @param {HTMLFormElement} form Queue form.
+     * @param {HTMLElement} button Details button of the job.
+     * @return {Promise<void>}
+     */
+    function openJobPanel(form, button) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var id = button.getAttribute('data-job-id');
+
+        closeJobPanel(form);
+
+        var panel = document.createElement('aside');
+        panel.className = 'kntnt-ad-attr-queue-panel';
+        panel.setAttribute('data-job-id', id);
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', 'kntnt-ad-attr-queue-panel-title');
+        panel.setAttribute('aria-busy', 'true');
+
+        var title = panel.appendChild(document.createElement('h3'));
+        title.id = 'kntnt-ad-attr-queue-panel-title';
+        title.textContent = i18n.job.replace('%d', id);
+
+        var close = panel.appendChild(document.createElement('button'));
+        close.type = 'button';
+        close.className = 'button-link kntnt-ad-attr-queue-panel-close';
+        close.textContent = i18n.close;
+        close.addEventListener('click', function() {
+            closeJobPanel(form);
+        });
+
+        panel.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') closeJobPanel(form);
+        });
+
+        form.parentNode.insertBefore(panel, form.nextSibling);
+        close.focus();
+
+        return queueFetch('/' + id, null).then(function(job) {
+            renderJobPanel(panel, job);
+        }).catch(function() {
+            panel.appendChild(document.createElement('p')).textContent = i18n.jobError;
+        }).then(function() {
+            panel.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Retries, cancels or requeues the selected jobs and reloads the rows.
+     *
+     * @param {HTMLFormElement} form Queue form.
+     * @return {Promise<void>}
+     */
+    function applyQueueAction(form) {
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var message = queueMessage(form);
+        var action = form.querySelector('.kntnt-ad-attr-queue-action').value;
+        var ids = Array.prototype.map.call(form.querySelectorAll('input[name="job[]"]:checked'), function(checkbox) {
+            return Number(checkbox.value);
+        });
+
+        if (!action || !ids.length) {
+            message.textContent = i18n.noJobs;
+            return Promise.resolve();
+        }
+
+        form.setAttribute('aria-busy', 'true');
+
+        return queueFetch('/actions', null, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-WP-Nonce': kntntAdAttrAdmin.nonce },
+            body: JSON.stringify({ action: action, ids: ids })
+        }).then(function(data) {
+            var updated = data.results.filter(function(result) { return result.ok; }).length;
+            message.textContent = i18n.queueUpdated.replace('%1$d', updated).replace('%2$d', ids.length);
+            form.querySelectorAll('input[type="checkbox"]').forEach(function(checkbox) {
+                checkbox.checked = false;
+            });
+            return loadQueue(form);
+        }).catch(function() {
+            message.textContent = i18n.queueError;
+        }).then(function() {
+            form.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Live report queue.
+     *
+     * Takes over the filters of the queue table and polls the queue route
+     * for the status of the jobs while the page is visible. The Details row
+     * action opens a side panel with the payload and full error message of
+     * a job, and the selected jobs can be retried, cancelled or requeued
+     * without reloading the page.
+     */
+    function initQueue() {
+        if (typeof kntntAdAttrAdmin === 'undefined' || !kntntAdAttrAdmin.queueUrl) return;
+
+        var form = document.getElementById('kntnt-ad-attr-queue');
+        if (!form) return;
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            loadQueue(form);
+        });
+
+        form.addEventListener('change', function(e) {
+            if (QUEUE_FILTERS.indexOf(e.target.name) !== -1) loadQueue(form);
+        });
+
+        form.addEventListener('click', function(e) {
+            var details = e.target.closest('.kntnt-ad-attr-queue-details');
+            if (details) {
+                e.preventDefault();
+                openJobPanel(form, details);
+            } else if (e.target.closest('.kntnt-ad-attr-queue-apply')) {
+                e.preventDefault();
+                applyQueueAction(form);
+            }
+        });
+
+        setInterval(function() {
+            if (!document.hidden) loadQueue(form);
+        }, QUEUE_POLL_INTERVAL);
+    }
+
+    /** Delay, in milliseconds, between the last keystroke and the post search. */
+    var SEARCH_DELAY = 300;
+
+    /** Shortest search term; shorter terms match too many posts to be useful. */
+    var SEARCH_MIN_LENGTH = 2;
+
+    /**
+     * Searches published posts through the search-posts route.
+     *
+     * @param {string} term Title, ID, slug or URL.
+     * @return {Promise<Array<{id: number, title: string, type: string}>>}
+     */
+    function searchPosts(term) {
+        var separator = kntntAdAttrAdmin.searchUrl.indexOf('?') === -1 ? '?' : '&';
+
+        return fetch(kntntAdAttrAdmin.searchUrl + separator + new URLSearchParams({ search: term }).toString(), {
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': kntntAdAttrAdmin.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        });
+    }
+
+    /**
+     * Formats a search result as shown in the combobox.
+     *
+     * @param {{id: number, title: string, type: string}} item
+     * @return {string}
+     */
+    function targetLabel(item) {
+        return item.title + ' (' + item.type + ' #' + item.id + ')';
+    }
+
+    /**
+     * Search combobox for the target post selector (add, edit and bulk forms).
+     *
+     * Replaces the select with a text input following the ARIA combobox
+     * pattern. Typing searches the posts after a pause; the arrow keys move
+     * through the results, Enter chooses one and Escape closes the list.
+     * The number of results is announced in a live region. The chosen post
+     * becomes the only option of the hidden select, so the form submits it
+     * under the select's name.
+     */
+    function initTargetSearch() {
+        if (typeof kntntAdAttrAdmin === 'undefined' || !kntntAdAttrAdmin.searchUrl) return;
+
+        var select = document.getElementById('kntnt-ad-attr-target-post');
+        if (!select) return;
+
+        var i18n = kntntAdAttrAdmin.i18n || {};
+        var id = select.id + '-search';
+        var results = [];
+        var cache = {};
+        var active = -1;
+        var timer = null;
+        var request = 0;
+
+        var combobox = document.createElement('div');
+        combobox.className = 'kntnt-ad-attr-combobox';
+
+        var input = combobox.appendChild(document.createElement('input'));
+        input.type = 'text';
+        input.id = id;
+        input.className = 'regular-text';
+        input.placeholder = i18n.searchPlaceholder;
+        input.autocomplete = 'off';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', id + '-listbox');
+        var preselected = select.querySelector('option[selected]');
+        input.value = preselected ? preselected.textContent : '';
+
+        var listbox = combobox.appendChild(document.createElement('ul'));
+        listbox.id = id + '-listbox';
+        listbox.className = 'kntnt-ad-attr-combobox-listbox';
+        listbox.setAttribute('role', 'listbox');
+        listbox.hidden = true;
+
+        var status = combobox.appendChild(document.createElement('span'));
+        status.className = 'screen-reader-text';
+        status.setAttribute('role', 'status');
+
+        select.hidden = true;
+        select.parentNode.insertBefore(combobox, select.nextSibling);
+        document.querySelectorAll('label[for="' + select.id + '"]').forEach(function(label) {
+            label.htmlFor = id;
+        });
+
+        function open() {
+            listbox.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+
+        function close() {
+            listbox.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            highlight(-1);
+        }
+
+        function highlight(index) {
+            if (active >= 0) listbox.children[active].setAttribute('aria-selected', 'false');
+            active = index;
+            if (active < 0) {
+                input.removeAttribute('aria-activedescendant');
+                return;
+            }
+            var option = listbox.children[active];
+            option.setAttribute('aria-selected', 'true');
+            input.setAttribute('aria-activedescendant', option.id);
+            if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+        }
+
+        function render(items) {
+            close();
+            results = items;
+            listbox.textContent = '';
+            items.forEach(function(item, index) {
+                var option = listbox.appendChild(document.createElement('li'));
+                option.id = id + '-option-' + index;
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.textContent = targetLabel(item);
+            });
+            if (items.length) open();
+            status.textContent = items.length ? i18n.searchResults.replace('%d', items.length) : i18n.noResults;
+        }
+
+        function choose(index) {
+            clearTimeout(timer);
+            request++;
+
+            var option = document.createElement('option');
+            option.value = String(results[index].id);
+            option.textContent = targetLabel(results[index]);
+            select.textContent = '';
+            select.appendChild(option).selected = true;
+            input.value = option.textContent;
+            close();
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        function search() {
+            var term = input.value.trim();
+            var current = ++request;
+
+            if (term.length < SEARCH_MIN_LENGTH) {
+                results = [];
+                listbox.textContent = '';
+                close();
+                status.textContent = i18n.searchHint.replace('%d', SEARCH_MIN_LENGTH);
+                return;
+            }
+            if (cache[term]) {
+                render(cache[term]);
+                return;
+            }
+
+            status.textContent = i18n.searching;
+            searchPosts(term).then(function(items) {
+                cache[term] = items;
+                if (current === request) render(items);
+            }).catch(function() {
+                if (current !== request) return;
+                close();
+                status.textContent = i18n.searchError;
+            });
+        }
+
+        // Editing the text discards the chosen post until another is chosen.
+        input.addEventListener('input', function() {
+            if (select.value) {
+                select.textContent = '';
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            clearTimeout(timer);
+            timer = setTimeout(search, SEARCH_DELAY);
+        });
+
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!results.length) return;
+                e.preventDefault();
+                open();
+                if (e.key === 'ArrowDown') {
+                    highlight(active < 0 ? 0 : (active + 1) % results.length);
+                } else {
+                    highlight(active <= 0 ? results.length - 1 : active - 1);
+                }
+            } else if (e.key === 'Enter' && !listbox.hidden && active >= 0) {
+                e.preventDefault();
+                choose(active);
+            } else if (e.key === 'Escape' && !listbox.hidden) {
+                e.preventDefault();
+                close();
+            }
+        });
+
+        input.addEventListener('blur', close);
+
+        // Keep the focus in the input, so a click on an option isn't preceded by blur.
+        listbox.addEventListener('mousedown', function(e) {
+            e.preventDefault();
+        });
+        listbox.addEventListener('click', function(e) {
+            var option = e.target.closest('[role="option"]');
+            if (option) choose(Array.prototype.indexOf.call(listbox.children, option));
+        });
+    }
+
+    /**
+     * Auto-fill of the UTM medium from the source (add and edit forms).
+     *
+     * The source and medium are text inputs suggesting the predefined
+     * options from a datalist, so any value can be typed. When a source is
+     * entered and the medium is empty, fills in the source's default medium
+     * from kntntAdAttrAdmin.utmSources if it is one of the suggested mediums.
+     */
+    function initUtmFields() {
+        if (typeof kntntAdAttrAdmin === 'undefined') return;
+
+        var source = document.getElementById('kntnt-ad-attr-utm_source');
+        var medium = document.getElementById('kntnt-ad-attr-utm_medium');
+        if (!source || !medium) return;
+
+        source.addEventListener('change', function() {
+            if (medium.value) return;
 
-            var sourceVal = $(this).val();
             var sources = kntntAdAttrAdmin.utmSources || {};
-            var defaultMedium = sources[sourceVal];
+            var defaultMedium = sources[source.value.trim()];
+            var suggestions = document.getElementById(medium.getAttribute('list'));
+            var suggested = suggestions && Array.prototype.some.call(suggestions.querySelectorAll('option'), function(option) {
+                return option.value === defaultMedium;
+            });
 
-            if (defaultMedium && $medium.find('option[value="' + defaultMedium + '"]').length) {
-                $medium.val(defaultMedium).trigger('change');
+            if (defaultMedium && suggested) {
+                medium.value = defaultMedium;
+                medium.dispatchEvent(new Event('change', { bubbles: true }));
             }
         });
     }
@@ -121,12 +1717,22 @@
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() {
             initClipboard();
-            initSelect2();
+            initBreakdown();
+            initQrCode();
+            initList();
+            initBulk();
+            initQueue();
+            initTargetSearch();
             initUtmFields();
         });
     } else {
         initClipboard();
-        initSelect2();
+        initBreakdown();
+        initQrCode();
+        initList();
+        initBulk();
+        initQueue();
+        initTargetSearch();
         initUtmFields();
     }
 
@@ -0,0 +1,273 @@
+/**
+ * Dashboard tab JavaScript.
+ *
+ * Fetches clicks and conversions per day or week from the dashboard REST
+ * route and draws them, with the conversion rate, as SVG line charts with
+ * one line per source, medium or campaign. Each chart carries a visually
+ * hidden table with the same numbers for screen readers.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+(function() {
+    'use strict';
+
+    /** Number of groups drawn as lines of their own; the rest are summed as "Other". */
+    var MAX_SERIES = 6;
+
+    /** Line colors, taken from the WordPress admin palette. */
+    var COLORS = ['#2271b1', '#d63638', '#00a32a', '#dba617', '#8c5ac8', '#135e96', '#787c82'];
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+
+    /** Chart geometry in SVG user units; the SVG scales to its container. */
+    var WIDTH = 720;
+    var HEIGHT = 220;
+    var PAD = { top: 12, right: 12, bottom: 28, left: 48 };
+
+    /**
+     * Keeps the groups with the most clicks and sums the rest into "Other".
+     *
+     * @param {Array<{key: string, clicks: number[], conversions: number[]}>} series Sorted by clicks, most first.
+     * @param {Object} i18n Translated labels.
+     * @return {Array<{label: string, clicks: number[], conversions: number[]}>}
+     */
+    function collapseSeries(series, i18n) {
+        var shown = series.slice(0, MAX_SERIES).map(function(s) {
+            return { label: s.key === '' ? i18n.none : s.key, clicks: s.clicks, conversions: s.conversions };
+        });
+
+        var rest = series.slice(MAX_SERIES);
+        if (rest.length) {
+            shown.push(rest.reduce(function(other, s) {
+                s.clicks.forEach(function(value, i) { other.clicks[i] += value; });
+                s.conversions.forEach(function(value, i) { other.conversions[i] += value; });
+                return other;
+            }, {
+                label: i18n.other,
+                clicks: rest[0].clicks.map(function() { return 0; }),
+                conversions: rest[0].conversions.map(function() { return 0; })
+            }));
+        }
+
+        return shown;
+    }
+
+    /**
+     * Returns the values a chart plots for one series.
+     *
+     * @param {{clicks: number[], conversions: number[]}} s Series.
+     * @param {string} metric 'clicks', 'conversions' or 'rate' (percent).
+     * @return {number[]}
+     */
+    function metricValues(s, metric) {
+        if (metric === 'rate') {
+            return s.clicks.map(function(clicks, i) {
+                return clicks > 0 ? s.conversions[i] / clicks * 100 : 0;
+            });
+        }
+        return s[metric];
+    }
+
+    /**
+     * Formats a value for axis labels and the data table.
+     *
+     * @param {number} value
+     * @param {string} metric
+     * @return {string}
+     */
+    function formatValue(value, metric) {
+        if (metric === 'rate') return value.toFixed(1) + ' %';
+        if (metric === 'conversions') return String(Math.round(value * 10) / 10);
+        return String(value);
+    }
+
+    /**
+     * Creates an SVG element with attributes.
+     *
+     * @param {string} name
+     * @param {Object} attrs
+     * @return {SVGElement}
+     */
+    function svgElement(name, attrs) {
+        var el = document.createElementNS(SVG_NS, name);
+        Object.keys(attrs).forEach(function(key) {
+            el.setAttribute(key, attrs[key]);
+        });
+        return el;
+    }
+
+    /**
+     * Draws one chart with a line per series, a legend and a data table.
+     *
+     * @param {HTMLElement} container Chart container with data-metric.
+     * @param {string[]} periods First day of each period.
+     * @param {Array<{label: string, clicks: number[], conversions: number[]}>} series
+     * @param {Object} i18n Translated labels.
+     */
+    function renderChart(container, periods, series, i18n) {
+        var metric = container.getAttribute('data-metric');
+        var title = { clicks: i18n.clicks, conversions: i18n.conversions, rate: i18n.conversionRate }[metric];
+        var values = series.map(function(s) { return metricValues(s, metric); });
+        var max = Math.max.apply(null, values.map(function(v) { return Math.max.apply(null, v); }).concat([0]));
+        var plotWidth = WIDTH - PAD.left - PAD.right;
+        var plotHeight = HEIGHT - PAD.top - PAD.bottom;
+
+        function x(i) {
+            return PAD.left + (periods.length > 1 ? i / (periods.length - 1) * plotWidth : plotWidth / 2);
+        }
+
+        function y(value) {
+            return PAD.top + plotHeight - (max > 0 ? value / max * plotHeight : 0);
+        }
+
+        container.textContent = '';
+
+        var heading = document.createElement('h3');
+        heading.textContent = title;
+        container.appendChild(heading);
+
+        var svg = svgElement('svg', {
+            viewBox: '0 0 ' + WIDTH + ' ' + HEIGHT,
+            role: 'img',
+            'aria-label': title
+        });
+
+        // Baseline and axis labels for zero, the maximum, and the first and last period.
+        svg.appendChild(svgElement('line', {
+            x1: PAD.left, y1: y(0), x2: WIDTH - PAD.right, y2: y(0), class: 'kntnt-ad-attr-chart-axis'
+        }));
+        [[0, y(0)], [max, y(max)]].forEach(function(tick) {
+            var label = svgElement('text', { x: PAD.left - 6, y: tick[1], 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+            label.textContent = formatValue(tick[0], metric);
+            svg.appendChild(label);
+        });
+        [0, periods.length - 1].forEach(function(i, n) {
+            var label = svgElement('text', { x: x(i), y: HEIGHT - 8, 'text-anchor': n === 0 ? 'start' : 'end' });
+            label.textContent = periods[i];
+            svg.appendChild(label);
+        });
+
+        values.forEach(function(v, n) {
+            var points = v.map(function(value, i) { return x(i) + ',' + y(value); }).join(' ');
+            var line = svgElement('polyline', {
+                points: points,
+                fill: 'none',
+                stroke: COLORS[n % COLORS.length],
+                'stroke-width': 2,
+                class: 'kntnt-ad-attr-chart-line'
+            });
+            var tooltip = svgElement('title', {});
+            tooltip.textContent = series[n].label;
+            line.appendChild(tooltip);
+            svg.appendChild(line);
+        });
+
+        container.appendChild(svg);
+
+        // Legend.
+        var legend = document.createElement('ul');
+        legend.className = 'kntnt-ad-attr-chart-legend';
+        series.forEach(function(s, n) {
+            var item = document.createElement('li');
+            var swatch = document.createElement('span');
+            swatch.className = 'kntnt-ad-attr-chart-swatch';
+            swatch.style.backgroundColor = COLORS[n % COLORS.length];
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(s.label));
+            legend.appendChild(item);
+        });
+        container.appendChild(legend);
+
+        // The same numbers as a table for screen readers.
+        var table = document.createElement('table');
+        table.className = 'screen-reader-text';
+        var head = table.insertRow();
+        head.appendChild(document.createElement('th')).textContent = title;
+        series.forEach(function(s) {
+            head.appendChild(document.createElement('th')).textContent = s.label;
+        });
+        periods.forEach(function(period, i) {
+            var row = table.insertRow();
+            row.appendChild(document.createElement('th')).textContent = period;
+            values.forEach(function(v) {
+                row.insertCell().textContent = formatValue(v[i], metric);
+            });
+        });
+        container.appendChild(table);
+    }
+
+    /**
+     * Fetches the time series for the current controls and redraws the charts.
+     *
+     * @param {HTMLElement} root Dashboard container.
+     * @param {Object} config Localized configuration.
+     * @return {Promise<void>}
+     */
+    function load(root, config) {
+        var form = root.querySelector('.kntnt-ad-attr-dashboard-controls');
+        var status = root.querySelector('.kntnt-ad-attr-dashboard-status');
+        var charts = root.querySelectorAll('.kntnt-ad-attr-chart');
+        var i18n = config.i18n || {};
+
+        var params = new URLSearchParams();
+        ['date_start', 'date_end', 'interval', 'group_by'].forEach(function(name) {
+            params.set(name, form.elements[name].value);
+        });
+
+        var separator = config.reportUrl.indexOf('?') === -1 ? '?' : '&';
+
+        root.setAttribute('aria-busy', 'true');
+
+        return fetch(config.reportUrl + separator + params.toString(), {
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': config.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        }).then(function(data) {
+            var series = collapseSeries(data.series || [], i18n);
+            status.textContent = series.length ? '' : i18n.noData;
+            charts.forEach(function(container) {
+                if (series.length) {
+                    renderChart(container, data.periods, series, i18n);
+                } else {
+                    container.textContent = '';
+                }
+            });
+        }).catch(function() {
+            status.textContent = i18n.error;
+        }).then(function() {
+            root.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Loads the charts and reloads them when a control changes.
+     */
+    function init() {
+        if (typeof kntntAdAttrDashboard === 'undefined') return;
+
+        var root = document.getElementById('kntnt-ad-attr-dashboard');
+        if (!root) return;
+
+        var form = root.querySelector('.kntnt-ad-attr-dashboard-controls');
+        form.addEventListener('change', function() {
+            load(root, kntntAdAttrDashboard);
+        });
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+        });
+
+        load(root, kntntAdAttrDashboard);
+    }
+
+    // Initialize when DOM is ready.
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,225 @@
+/**
+ * Interstitial redirect page script.
+ *
+ * Confirms the click through the confirm-click REST route, which tells
+ * visitors running JavaScript apart from bots that follow the redirect
+ * without it, and continues to the target page.
+ *
+ * If the server couldn't determine consent, the page also loads the
+ * client script (pending-consent.js) for its consent check only, after
+ * any scripts added with `kntnt_ad_attr_interstitial_scripts`. Consent
+ * reported by `kntntAdAttributionGetConsent` is sent with the
+ * confirmation, so the click is stored at once. A click whose consent is
+ * still undetermined is handed to the client script on the target page
+ * through the same storage it uses, or through the `#_aah=` URL fragment
+ * if that storage is unavailable.
+ *
+ * The configuration is read from the `data-config` attribute of the page's
+ * main element, so the page needs no inline script and can be served with
+ * a strict Content Security Policy.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY_HASHES = 'kntnt_ad_attr_hashes';
+
+    // Signed click as issued by Cookie_Manager::sign_click().
+    const CLICK_PATTERN = /^([a-f0-9]{64})\.(\d{1,10})\.([a-f0-9]{64})$/;
+
+    // Longest time to wait for the confirmation before moving on.
+    const CONFIRM_TIMEOUT = 2000;
+
+    // Longest time to wait for the consent check to reach a decision.
+    const CONSENT_TIMEOUT = 1000;
+
+    /**
+     * Reads the page configuration.
+     *
+     * @param {HTMLElement} root - Main element of the page.
+     * @returns {Object|null} Configuration, or null if it can't be read.
+     */
+    const readConfig = (root) => {
+        try {
+            const config = JSON.parse(root.getAttribute('data-config') || '');
+            return config && typeof config.target === 'string' ? config : null;
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Resolves after a number of milliseconds.
+     *
+     * @param {number} ms - Milliseconds to wait.
+     * @returns {Promise<void>}
+     */
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    /**
+     * Reads the visitor's consent with the client script's consent check.
+     *
+     * Waits for the first decision, since a consent platform may report
+     * `unknown` until it has loaded, and resolves with `unknown` if none
+     * comes in time or the check isn't loaded.
+     *
+     * @param {Object} config - Page configuration.
+     * @returns {Promise<string>} `yes`, `no` or `unknown`.
+     */
+    const readConsent = (config) => {
+        if (!config.pending || typeof window.kntntAdAttributionGetConsent !== 'function') {
+            return Promise.resolve('unknown');
+        }
+        return new Promise((resolve) => {
+            setTimeout(() => resolve('unknown'), CONSENT_TIMEOUT);
+            try {
+                window.kntntAdAttributionGetConsent((state) => {
+                    if (state === 'yes' || state === 'no') {
+                        resolve(state);
+                    }
+                });
+            } catch {
+                resolve('unknown');
+            }
+        });
+    };
+
+    /**
+     * Confirms the click and resolves with the visitor's consent state.
+     *
+     * A decision from the page's consent check is sent along, so the
+     * server can store the click if consent has been granted. Resolves
+     * with `unknown` if the request fails or takes too long, so the
+     * visitor is never held up by the confirmation.
+     *
+     * @param {Object} config  - Page configuration.
+     * @param {string} consent - Consent read on the page.
+     * @returns {Promise<string>} `yes`, `no` or `unknown`.
+     */
+    const confirmClick = (config, consent) => {
+        let request;
+        try {
+            request = fetch(config.confirmUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(consent === 'unknown' ? { click: config.click } : { click: config.click, consent }),
+            })
+                .then((response) => (response.ok ? response.json() : {}))
+                .then((data) => (data && data.consent) || 'unknown')
+                .catch(() => 'unknown');
+        } catch {
+            request = Promise.resolve('unknown');
+        }
+        return Promise.race([request, wait(CONFIRM_TIMEOUT).then(() => 'unknown')]);
+    };
+
+    /**
+     * Gets the configured Web Storage, probing that it can be written.
+     *
+     * @param {string} backend - `session`, `local` or `memory`.
+     * @returns {Storage|null} Storage, or null if none can be used.
+     */
+    const resolveStorage = (backend) => {
+        try {
+            let candidate = null;
+            if (backend === 'local') {
+                candidate = window.localStorage;
+            } else if (backend === 'session') {
+                candidate = window.sessionStorage;
+            }
+            if (candidate) {
+                candidate.setItem('kntnt_ad_attr_probe', '1');
+                candidate.removeItem('kntnt_ad_attr_probe');
+                return candidate;
+            }
+        } catch {
+            // Storage access denied.
+        }
+        return null;
+    };
+
+    /**
+     * Keeps a click that awaits consent for the client script.
+     *
+     * The entry has the shape pending-consent.js stores transport values in
+     * and replaces any earlier entry for the same hash.
+     *
+     * @param {string} click - Signed click (`<hash>.<timestamp>.<signature>`).
+     * @param {string} backend - Configured storage backend.
+     * @returns {boolean} Whether the click was stored.
+     */
+    const storePending = (click, backend) => {
+        const match = click.match(CLICK_PATTERN);
+        const storage = match ? resolveStorage(backend) : null;
+        if (!storage) {
+            return false;
+        }
+        try {
+            const raw = storage.getItem(STORAGE_KEY_HASHES);
+            const parsed = raw ? JSON.parse(raw) : [];
+            const entries = Array.isArray(parsed) ? parsed.filter((entry) => entry && entry.hash !== match[1]) : [];
+            entries.push({
+                hash: match[1],
+                ts: Math.floor(Date.now() / 1000),
+                clickedAt: parseInt(match[2], 10),
+                sig: match[3],
+            });
+            storage.setItem(STORAGE_KEY_HASHES, JSON.stringify(entries));
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    const root = document.getElementById('kntnt-ad-attr-interstitial');
+    const config = root ? readConfig(root) : null;
+
+    // Configure the client script, which runs after this one, for its
+    // consent check only.
+    if (config && config.pending) {
+        window.kntntAdAttribution = {
+            consentAdapter: config.consentAdapter,
+            consentServiceId: config.consentServiceId,
+            consentOnly: true,
+        };
+    }
+
+    /**
+     * Reads consent, confirms the click, hands over a pending click and
+     * continues.
+     *
+     * @returns {Promise<void>|undefined}
+     */
+    const init = () => {
+        if (!config) {
+            return;
+        }
+
+        const delay = Math.max(0, Number(config.delay) || 0);
+        const confirmation = readConsent(config).then((consent) => confirmClick(config, consent));
+
+        return Promise.all([confirmation, wait(delay)]).then(([consent]) => {
+            let target = config.target;
+            if (config.pending && consent !== 'yes' && consent !== 'no' && typeof config.click === 'string') {
+                if (!storePending(config.click, config.storage)) {
+                    target = `${target.split('#')[0]}#_aah=${config.click}`;
+                }
+            }
+            window.location.replace(target);
+        });
+    };
+
+    // DOMContentLoaded fires once the deferred scripts after this one,
+    // including the consent check, have run.
+    if (document.readyState === 'complete') {
+        init();
+    } else {
+        document.addEventListener('DOMContentLoaded', init);
+    }
+
+})();
@@ -0,0 +1,191 @@
+/**
+ * Log viewer JavaScript.
+ *
+ * Tails the diagnostic log on the settings page. Fetches the newest
+ * entries from the log REST route, which redacts them, filtered by level,
+ * source and text, and refreshes them while the page is visible.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+(function() {
+    'use strict';
+
+    /** Interval, in milliseconds, between refreshes of the log. */
+    var POLL_INTERVAL = 5000;
+
+    /** Delay, in milliseconds, between the last keystroke and the search. */
+    var SEARCH_DELAY = 300;
+
+    /** Sequence number of the latest request; older responses are discarded. */
+    var latest = 0;
+
+    /**
+     * Replaces the source options with the prefixes in the log.
+     *
+     * The selected source is kept, even if it's no longer in the log.
+     *
+     * @param {HTMLSelectElement} select Source filter.
+     * @param {string[]} prefixes Prefixes of all entries.
+     */
+    function renderPrefixes(select, prefixes) {
+        var current = select.value;
+        var all = select.options[0];
+
+        if (current && prefixes.indexOf(current) === -1) {
+            prefixes = prefixes.concat([current]);
+        }
+
+        select.textContent = '';
+        select.appendChild(all);
+        prefixes.forEach(function(prefix) {
+            var option = document.createElement('option');
+            option.value = prefix;
+            option.textContent = prefix;
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+
+    /**
+     * Renders the entries as a table, newest first.
+     *
+     * @param {HTMLElement} container Entries container.
+     * @param {Array<{time: string, prefix: string, level: string, message: string}>} entries
+     * @param {Object} i18n Translated labels.
+     */
+    function renderEntries(container, entries, i18n) {
+        var levels = i18n.levels || {};
+
+        container.textContent = '';
+        if (!entries.length) return;
+
+        var table = document.createElement('table');
+        table.className = 'widefat striped kntnt-ad-attr-log-table';
+
+        var head = table.createTHead().insertRow();
+        [i18n.time, i18n.source, i18n.level, i18n.message].forEach(function(label) {
+            var th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = label;
+            head.appendChild(th);
+        });
+
+        var body = table.createTBody();
+        entries.forEach(function(entry) {
+            var row = body.insertRow();
+            row.className = 'kntnt-ad-attr-log-' + entry.level;
+            row.insertCell().textContent = entry.time;
+            row.insertCell().textContent = entry.prefix;
+            row.insertCell().textContent = levels[entry.level] || entry.level;
+            row.insertCell().appendChild(document.createElement('pre')).textContent = entry.message;
+        });
+
+        container.appendChild(table);
+    }
+
+    /**
+     * Fetches the entries for the current filters and renders them.
+     *
+     * @param {HTMLElement} root Log viewer container.
+     * @param {Object} config Localized configuration.
+     * @return {Promise<void>}
+     */
+    function load(root, config) {
+        var i18n = config.i18n || {};
+        var status = root.querySelector('.kntnt-ad-attr-log-status');
+        var prefix = root.querySelector('.kntnt-ad-attr-log-prefix');
+        var request = ++latest;
+
+        var params = new URLSearchParams();
+        [['level', root.querySelector('.kntnt-ad-attr-log-level').value],
+            ['prefix', prefix.value],
+            ['search', root.querySelector('.kntnt-ad-attr-log-search').value.trim()]
+        ].forEach(function(param) {
+            if (param[1] !== '') params.set(param[0], param[1]);
+        });
+
+        var query = params.toString();
+        var separator = config.logUrl.indexOf('?') === -1 ? '?' : '&';
+
+        root.setAttribute('aria-busy', 'true');
+
+        return fetch(config.logUrl + (query ? separator + query : ''), {
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': config.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        }).then(function(data) {
+            if (request !== latest) return;
+
+            renderPrefixes(prefix, data.prefixes || []);
+            renderEntries(root.querySelector('.kntnt-ad-attr-log-entries'), data.entries, i18n);
+
+            if (!data.entries.length) {
+                status.textContent = i18n.noEntries;
+            } else if (data.entries.length < data.total) {
+                status.textContent = i18n.showing.replace('%1$d', data.entries.length).replace('%2$d', data.total);
+            } else {
+                status.textContent = i18n.entries.replace('%d', data.total);
+            }
+        }).catch(function() {
+            if (request !== latest) return;
+            status.textContent = i18n.error;
+        }).then(function() {
+            if (request === latest) root.removeAttribute('aria-busy');
+        });
+    }
+
+    /**
+     * Loads the log, reloads it when a filter changes, and refreshes it.
+     */
+    function init() {
+        if (typeof kntntAdAttrLog === 'undefined') return;
+
+        var root = document.getElementById('kntnt-ad-attr-log');
+        if (!root) return;
+
+        var search = root.querySelector('.kntnt-ad-attr-log-search');
+        var refresh = root.querySelector('.kntnt-ad-attr-log-refresh');
+        var timer = null;
+
+        root.querySelector('.kntnt-ad-attr-log-level').addEventListener('change', function() {
+            load(root, kntntAdAttrLog);
+        });
+        root.querySelector('.kntnt-ad-attr-log-prefix').addEventListener('change', function() {
+            load(root, kntntAdAttrLog);
+        });
+
+        search.addEventListener('input', function() {
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                load(root, kntntAdAttrLog);
+            }, SEARCH_DELAY);
+        });
+
+        // The viewer sits in the settings form; Enter must not submit it.
+        search.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(timer);
+                load(root, kntntAdAttrLog);
+            }
+        });
+
+        setInterval(function() {
+            if (refresh.checked && !document.hidden) load(root, kntntAdAttrLog);
+        }, POLL_INTERVAL);
+
+        load(root, kntntAdAttrLog);
+    }
+
+    // Initialize when DOM is ready.
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -2,8 +2,26 @@
  * Client-side pending consent handler.
  *
  * Picks up ad click hashes from the transport cookie (_aah_pending) or
- * URL fragment (#_aah=<hash>), stores them in sessionStorage, and sends
- * them to the REST set-cookie endpoint when consent is granted.
+ * URL fragment (#_aah=<hash>), stores them in sessionStorage (or the
+ * configured storage backend) with their click times, and sends
+ * them to the REST set-cookie endpoint when consent is granted. The
+ * transport value may carry the server's signed click time
+ * (`<hash>.<timestamp>.<signature>`), which is passed back unchanged.
+ *
+ * Ad platform click IDs (gclid, fbclid, …) found in the URL of a landing
+ * page reached directly from an ad are attached to the pending hashes and
+ * sent along with them, so they are stored like those captured by the
+ * tracking URL.
+ *
+ * Consent is read from `window.kntntAdAttributionGetConsent` when the site
+ * defines it, otherwise from a built-in adapter for the consent management
+ * platform (CMP) found on the page.
+ *
+ * The interstitial page loads the script with `consentOnly` set, for the
+ * consent function alone.
+ *
+ * Also provides `kntntAdAttribution.convert()`, which reports a conversion
+ * that happens in the browser, e.g. in an embedded booking widget.
  *
  * @package Kntnt\Ad_Attribution
  * @since   1.0.0
@@ -15,17 +33,42 @@
     'use strict';
 
     const STORAGE_KEY_HASHES = 'kntnt_ad_attr_hashes';
-    const STORAGE_KEY_RETRIES = 'kntnt_ad_attr_retries';
-    const MAX_RETRIES = 3;
+    const STORAGE_KEY_RETRY_SINCE = 'kntnt_ad_attr_retry_since';
 
-    // Define the default consent function if the site hasn't provided one.
-    // Sites integrate their consent plugin by defining this function before
-    // DOMContentLoaded fires.
-    if (typeof window.kntntAdAttributionGetConsent !== 'function') {
-        window.kntntAdAttributionGetConsent = (callback) => {
-            callback('unknown');
-        };
-    }
+    // A transport value: the hash, optionally followed by the click
+    // timestamp and its signature.
+    const TRANSPORT_PATTERN = /^([a-f0-9]{64})(?:\.(\d{1,10})\.([a-f0-9]{64}))?$/;
+
+    // Backoff between in-page retries: 1 s, doubling up to 60 s.
+    const BACKOFF_BASE = 1000;
+    const BACKOFF_MAX = 60000;
+
+    // IAB TCF purposes that must be consented: 1 (store and/or access
+    // information on a device) and 7 (measure advertising performance).
+    const TCF_PURPOSES = [1, 7];
+
+    const config = window.kntntAdAttribution = window.kntntAdAttribution || {};
+    const consentAdapter = config.consentAdapter || 'auto';
+    const consentServiceId = config.consentServiceId || 'kntnt-ad-attribution';
+
+    // Seconds from the first failed attempt until pending hashes are given up.
+    const retryBudget = Number(config.retryBudget) || 900;
+
+    // In cache-safe mode the page carries no nonce; a token is fetched from
+    // an uncached route when needed and renewed a little before it expires.
+    const cacheSafe = Boolean(config.cacheSafe);
+    const TOKEN_MARGIN = 30;
+
+    // Embedded widgets whose conversion events are reported automatically.
+    const embedConversions = Array.isArray(config.embedConversions) ? config.embedConversions : [];
+
+    // Where pending hashes are kept ('session', 'local' or 'memory') and how
+    // many days a hash may wait for consent before it is pruned.
+    const storageBackend = config.storage || 'session';
+    const storageTtl = (Number(config.storageTtl) || 7) * 86400;
+
+    // URL parameter of each registered click-ID capturer, keyed by platform.
+    const clickIdParameters = config.clickIdParameters && typeof config.clickIdParameters === 'object' ? config.clickIdParameters : {};
 
     /**
      * Reads a cookie value by name.
@@ -38,6 +81,206 @@
         return match ? decodeURIComponent(match[1]) : null;
     };
 
+    /**
+     * Maps a boolean decision to a consent state, treating undefined as
+     * "no decision yet".
+     *
+     * @param {boolean|undefined} granted - Decision, if any.
+     * @returns {string} 'yes', 'no' or 'unknown'.
+     */
+    const toState = (granted) => {
+        if (granted === undefined) {
+            return 'unknown';
+        }
+        return granted ? 'yes' : 'no';
+    };
+
+    /**
+     * Finds the latest Google Consent Mode `ad_storage` decision in dataLayer.
+     *
+     * Only `consent update` commands count as decisions — `consent default`
+     * is the site's pre-banner state, not the visitor's choice.
+     *
+     * @returns {string} 'yes', 'no' or 'unknown'.
+     */
+    const getConsentModeState = () => {
+        let granted;
+        (Array.isArray(window.dataLayer) ? window.dataLayer : []).forEach((entry) => {
+            if (entry && entry[0] === 'consent' && entry[1] === 'update' && entry[2] && entry[2].ad_storage) {
+                granted = entry[2].ad_storage === 'granted';
+            }
+        });
+        return toState(granted);
+    };
+
+    /**
+     * Checks whether the Borlabs Cookie consent cookie lists the service.
+     *
+     * @returns {boolean|undefined} Undefined when the visitor hasn't decided.
+     */
+    const getBorlabsConsent = () => {
+        const raw = getCookie('borlabs-cookie');
+        if (!raw) {
+            return undefined;
+        }
+        try {
+            const consents = JSON.parse(raw).consents || {};
+            return Object.values(consents).some(
+                (services) => Array.isArray(services) && services.includes(consentServiceId),
+            );
+        } catch {
+            return undefined;
+        }
+    };
+
+    /**
+     * Built-in adapters for common consent management platforms.
+     *
+     * Each adapter has `detect()`, which tells whether the CMP is present on
+     * the page, and `getConsent(callback)`, which follows the contract of
+     * `kntntAdAttributionGetConsent`: the callback receives 'yes', 'no' or
+     * 'unknown', and is called again when the CMP reports a change. The
+     * order is the auto-detection order; Consent Mode comes last since it
+     * is usually fed by one of the CMPs above it.
+     *
+     * @type {Object<string, {detect: function(): boolean, getConsent: function(function(string)): void}>}
+     */
+    const CONSENT_ADAPTERS = {
+
+        tcf: {
+            detect: () => typeof window.__tcfapi === 'function',
+            getConsent: (callback) => {
+                window.__tcfapi('addEventListener', 2, (tcData, success) => {
+                    if (!success || !tcData) {
+                        callback('unknown');
+                    } else if (tcData.gdprApplies === false) {
+                        callback('yes');
+                    } else if (tcData.eventStatus === 'tcloaded' || tcData.eventStatus === 'useractioncomplete') {
+                        const consents = (tcData.purpose && tcData.purpose.consents) || {};
+                        callback(toState(TCF_PURPOSES.every((id) => consents[id] === true)));
+                    } else {
+                        callback('unknown');
+                    }
+                });
+            },
+        },
+
+        cookiebot: {
+            detect: () => typeof window.Cookiebot === 'object' && window.Cookiebot !== null,
+            getConsent: (callback) => {
+                const report = () => {
+                    const { hasResponse, consent } = window.Cookiebot;
+                    callback(hasResponse ? toState(Boolean(consent && consent.marketing)) : 'unknown');
+                };
+                report();
+                ['CookiebotOnConsentReady', 'CookiebotOnAccept', 'CookiebotOnDecline'].forEach((event) => {
+                    window.addEventListener(event, report);
+                });
+            },
+        },
+
+        cookieyes: {
+            detect: () => typeof window.getCkyConsent === 'function',
+            getConsent: (callback) => {
+                const report = () => {
+                    const consent = window.getCkyConsent() || {};
+                    const categories = consent.categories || {};
+                    callback(consent.isUserActionCompleted ? toState(Boolean(categories.advertisement)) : 'unknown');
+                };
+                report();
+                document.addEventListener('cookieyes_consent_update', report);
+            },
+        },
+
+        complianz: {
+            detect: () => typeof window.cmplz_has_consent === 'function' || Boolean(getCookie('cmplz_marketing')),
+            getConsent: (callback) => {
+                const report = () => {
+                    callback(toState({ allow: true, deny: false }[getCookie('cmplz_marketing')]));
+                };
+                report();
+                ['cmplz_status_change', 'cmplz_fire_categories'].forEach((event) => {
+                    document.addEventListener(event, report);
+                });
+            },
+        },
+
+        borlabs: {
+            detect: () => typeof window.BorlabsCookie === 'object' && window.BorlabsCookie !== null,
+            getConsent: (callback) => {
+                const report = () => callback(toState(getBorlabsConsent()));
+                report();
+                ['borlabs-cookie-consent-saved', 'borlabs-cookie-code-unblocked-after-consent'].forEach((event) => {
+                    document.addEventListener(event, report);
+                });
+            },
+        },
+
+        gcm: {
+            detect: () => Array.isArray(window.dataLayer)
+                && window.dataLayer.some((entry) => entry && entry[0] === 'consent'),
+            getConsent: (callback) => {
+                callback(getConsentModeState());
+
+                // Watch for later `consent update` commands pushed by the CMP.
+                const layer = window.dataLayer;
+                const push = layer.push;
+                layer.push = (...entries) => {
+                    const result = push.apply(layer, entries);
+                    if (entries.some((entry) => entry && entry[0] === 'consent')) {
+                        callback(getConsentModeState());
+                    }
+                    return result;
+                };
+            },
+        },
+
+    };
+
+    /**
+     * Resolves the adapter to use from the `consentAdapter` setting.
+     *
+     * 'auto' picks the first CMP detected on the page, 'none' disables the
+     * adapters, and an adapter ID forces that adapter — but only once the
+     * CMP is actually present, since its API is needed to read the state.
+     *
+     * @returns {Object|null} Adapter or null if none applies.
+     */
+    const resolveAdapter = () => {
+        if (consentAdapter === 'none') {
+            return null;
+        }
+        if (consentAdapter === 'auto') {
+            return Object.values(CONSENT_ADAPTERS).find((adapter) => adapter.detect()) || null;
+        }
+        const adapter = CONSENT_ADAPTERS[consentAdapter];
+        return adapter && adapter.detect() ? adapter : null;
+    };
+
+    // Expose the adapter registry so sites can add adapters for other CMPs
+    // and select them by ID.
+    config.consentAdapters = CONSENT_ADAPTERS;
+
+    // Define the default consent function if the site hasn't provided one.
+    // Sites integrate their consent plugin by defining this function before
+    // DOMContentLoaded fires; otherwise a built-in CMP adapter is used.
+    if (typeof window.kntntAdAttributionGetConsent !== 'function') {
+        window.kntntAdAttributionGetConsent = (callback) => {
+            const adapter = resolveAdapter();
+            if (adapter) {
+                adapter.getConsent(callback);
+            } else {
+                callback('unknown');
+            }
+        };
+    }
+
+    // The interstitial page loads the script for its consent check only;
+    // the hashes are handled on the target page.
+    if (config.consentOnly) {
+        return;
+    }
+
     /**
      * Expires a cookie by setting its max-age to 0.
      *
@@ -48,127 +291,714 @@
     };
 
     /**
-     * Gets the stored hashes from sessionStorage.
+     * Creates a Storage-like object that keeps values for this page view only.
+     *
+     * @returns {{getItem: function(string): ?string, setItem: function(string, string): void, removeItem: function(string): void}}
+     */
+    const createMemoryStorage = () => {
+        const items = new Map();
+        return {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key),
+        };
+    };
+
+    /**
+     * Resolves the configured storage backend.
+     *
+     * Falls back to memory if Web Storage is unavailable, e.g. when blocked
+     * by the browser's privacy settings.
+     *
+     * @returns {Storage|Object} Storage for pending hashes.
+     */
+    const resolveStorage = () => {
+        try {
+            // Only touch the chosen backend; merely reading one may throw.
+            let candidate = null;
+            if (storageBackend === 'local') {
+                candidate = window.localStorage;
+            } else if (storageBackend === 'session') {
+                candidate = window.sessionStorage;
+            }
+            if (candidate) {
+                candidate.setItem('kntnt_ad_attr_probe', '1');
+                candidate.removeItem('kntnt_ad_attr_probe');
+                return candidate;
+            }
+        } catch {
+            // Storage access denied — use memory.
+        }
+        return createMemoryStorage();
+    };
+
+    const storage = resolveStorage();
+
+    /**
+     * Gets the current time in seconds.
+     *
+     * @returns {number} Unix timestamp.
+     */
+    const now = () => Math.floor(Date.now() / 1000);
+
+    /**
+     * Gets the stored hashes that haven't outlived the TTL.
      *
-     * @returns {string[]} Array of hash strings.
+     * Entries stored by earlier versions as bare hash strings are given the
+     * current time.
+     *
+     * @returns {{hash: string, ts: number, clickIds?: Object<string, string>}[]} Hashes with their click times.
      */
     const getHashes = () => {
+        let entries;
         try {
-            const raw = sessionStorage.getItem(STORAGE_KEY_HASHES);
-            return raw ? JSON.parse(raw) : [];
+            const raw = storage.getItem(STORAGE_KEY_HASHES);
+            entries = raw ? JSON.parse(raw) : [];
         } catch {
             return [];
         }
+        if (!Array.isArray(entries)) {
+            return [];
+        }
+        const cutoff = now() - storageTtl;
+        return entries
+            .map((entry) => (typeof entry === 'string' ? { hash: entry, ts: now() } : entry))
+            .filter((entry) => entry && typeof entry.hash === 'string' && Number(entry.ts) > cutoff);
     };
 
     /**
-     * Saves hashes to sessionStorage, deduplicating entries.
+     * Saves hashes, keeping the latest click for each.
      *
-     * @param {string[]} hashes - Hash strings to store.
+     * Click IDs of the entries of a hash are merged, the latest click's
+     * taking precedence.
+     *
+     * @param {{hash: string, ts: number, clickIds?: Object<string, string>}[]} entries - Hashes with click times.
      */
-    const setHashes = (hashes) => {
-        const unique = [...new Set(hashes)];
-        sessionStorage.setItem(STORAGE_KEY_HASHES, JSON.stringify(unique));
+    const setHashes = (entries) => {
+        const latest = new Map();
+        entries.forEach((entry) => {
+            const kept = latest.get(entry.hash);
+            const newer = !kept || kept.ts < entry.ts ? entry : kept;
+            const older = newer === entry ? kept : entry;
+            const clickIds = { ...(older && older.clickIds), ...newer.clickIds };
+            latest.set(entry.hash, Object.keys(clickIds).length > 0 ? { ...newer, clickIds } : newer);
+        });
+        const unique = [...latest.values()];
+        if (unique.length === 0) {
+            storage.removeItem(STORAGE_KEY_HASHES);
+            return;
+        }
+        storage.setItem(STORAGE_KEY_HASHES, JSON.stringify(unique));
+    };
+
+    /**
+     * Parses a value from the transport cookie or URL fragment.
+     *
+     * @param {string|null} value - Transport value.
+     * @returns {{hash: string, ts: number, clickedAt?: number, sig?: string}|null}
+     *     Entry stamped with the current time, or null if the value is invalid.
+     */
+    const parseTransport = (value) => {
+        const match = value ? value.match(TRANSPORT_PATTERN) : null;
+        if (!match) {
+            return null;
+        }
+        const entry = { hash: match[1], ts: now() };
+        if (match[2]) {
+            entry.clickedAt = parseInt(match[2], 10);
+            entry.sig = match[3];
+        }
+        return entry;
     };
 
     /**
-     * Gets the current retry count.
+     * Reads the click IDs of the registered capturers from the page URL.
      *
-     * @returns {number} Number of failed REST attempts.
+     * Values longer than the server accepts are skipped.
+     *
+     * @returns {Object<string, string>} Platform => click ID.
      */
-    const getRetries = () => {
-        return parseInt(sessionStorage.getItem(STORAGE_KEY_RETRIES) || '0', 10);
+    const getClickIds = () => {
+        const params = new URLSearchParams(window.location.search);
+        const clickIds = {};
+        Object.entries(clickIdParameters).forEach(([platform, parameter]) => {
+            const value = typeof parameter === 'string' ? params.get(parameter) : null;
+            if (value && value.length <= 255) {
+                clickIds[platform] = value;
+            }
+        });
+        return clickIds;
     };
 
     /**
-     * Increments the retry counter.
+     * Describes stored entries for the REST endpoint.
+     *
+     * The age (rather than the timestamp) is sent so the server can place
+     * the click on its own clock, whatever the visitor's clock says. A
+     * signed click time is passed back as is, pinning the exact click.
+     *
+     * @param {{hash: string, ts: number, clickedAt?: number, sig?: string, clickIds?: Object<string, string>}[]} entries - Stored hashes.
+     * @returns {{hash: string, age: number, clicked_at?: number, sig?: string, click_ids?: Object<string, string>}[]} Clicks to send.
      */
-    const incrementRetries = () => {
-        sessionStorage.setItem(STORAGE_KEY_RETRIES, String(getRetries() + 1));
+    const toClicks = (entries) => entries.map(({ hash, ts, clickedAt, sig, clickIds }) => {
+        const click = { hash, age: Math.max(0, now() - ts) };
+        if (clickedAt && sig) {
+            click.clicked_at = clickedAt;
+            click.sig = sig;
+        }
+        if (clickIds && Object.keys(clickIds).length > 0) {
+            click.click_ids = clickIds;
+        }
+        return click;
+    });
+
+    /**
+     * Gets the time of the first failed attempt, recording it if unset.
+     *
+     * The retry budget runs from this moment and survives page loads.
+     *
+     * @returns {number} Milliseconds since the epoch.
+     */
+    const getRetrySince = () => {
+        const since = parseInt(storage.getItem(STORAGE_KEY_RETRY_SINCE) || '0', 10);
+        if (since > 0) {
+            return since;
+        }
+        const failedAt = Date.now();
+        storage.setItem(STORAGE_KEY_RETRY_SINCE, String(failedAt));
+        return failedAt;
     };
 
     /**
-     * Clears all plugin keys from sessionStorage.
+     * Clears all plugin keys from storage.
      */
     const clearStorage = () => {
-        sessionStorage.removeItem(STORAGE_KEY_HASHES);
-        sessionStorage.removeItem(STORAGE_KEY_RETRIES);
+        storage.removeItem(STORAGE_KEY_HASHES);
+        storage.removeItem(STORAGE_KEY_RETRY_SINCE);
     };
 
     /**
-     * Main logic — runs on DOMContentLoaded (or immediately if DOM is ready).
+     * Reads a Retry-After header as a delay in milliseconds.
+     *
+     * @param {Response} response - Fetch response.
+     * @returns {number|null} Delay, or null if the header is missing or invalid.
      */
-    const init = () => {
+    const getRetryAfter = (response) => {
+        const value = response.headers.get('Retry-After');
+        if (!value) {
+            return null;
+        }
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    };
+
+    /**
+     * Reports the outcome of a set-cookie attempt.
+     *
+     * Dispatches `kntnt-ad-attr:attempt` on document. `detail.outcome` is
+     * 'success', 'retry', 'deferred', 'rejected', 'abandoned' or, for a
+     * request sent while leaving the page, 'beacon'.
+     *
+     * @param {Object} detail - Event detail.
+     */
+    const emitAttempt = (detail) => {
+        document.dispatchEvent(new CustomEvent('kntnt-ad-attr:attempt', { detail }));
+    };
+
+    /**
+     * Fetches JSON from one of the plugin's credential routes.
+     *
+     * @param {string|undefined} url - Route URL.
+     * @returns {Promise<Object|null>} Parsed response, or null on any failure.
+     */
+    const fetchCredential = async (url) => {
+        if (!url) {
+            return null;
+        }
+        try {
+            const response = await fetch(url, { credentials: 'same-origin' });
+            return response.ok ? await response.json() : null;
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * Replaces the page's credential for set-cookie with a fresh one.
+     *
+     * Pages served from a cache may carry a nonce that has expired. In
+     * cache-safe mode, a new token is fetched instead.
+     *
+     * @returns {Promise<boolean>} True if a new credential was obtained.
+     */
+    const refreshCredential = async () => {
+        if (cacheSafe) {
+            const data = await fetchCredential(config.tokenUrl);
+            if (!data || typeof data.token !== 'string') {
+                return false;
+            }
+            config.token = data.token;
+            config.tokenExpires = Number(data.expires) || 0;
+            return true;
+        }
+
+        const data = await fetchCredential(config.nonceUrl);
+        if (!data || typeof data.nonce !== 'string') {
+            return false;
+        }
+        config.nonce = data.nonce;
+        return true;
+    };
+
+    /**
+     * Checks whether a token is cached and not about to expire.
+     *
+     * @returns {boolean} True if the cached token can be used.
+     */
+    const hasFreshToken = () => Boolean(config.token) && config.tokenExpires - TOKEN_MARGIN > Date.now() / 1000;
+
+    /**
+     * Gets the request headers that authenticate a set-cookie call.
+     *
+     * @returns {Promise<Object<string, string>>} Headers to send.
+     * @throws {Error} In cache-safe mode, if no token can be fetched.
+     */
+    const getCredentialHeaders = async () => {
+        if (!cacheSafe) {
+            return config.nonce ? { 'X-WP-Nonce': config.nonce } : {};
+        }
+        if (!hasFreshToken() && !(await refreshCredential())) {
+            throw new Error('No token');
+        }
+        return { 'X-Kntnt-Ad-Attr-Token': config.token };
+    };
+
+    /**
+     * Reports a conversion to the REST convert route.
+     *
+     * The server runs the same pipeline as for conversions fired with the
+     * `kntnt_ad_attr_conversion` action: bot check, consent, deduplication,
+     * attribution and reporters. A 403 is retried once with a fresh nonce
+     * or token.
+     *
+     * @param {Object}  [details]          - Conversion details.
+     * @param {string}  [details.label]    - What converted, e.g. 'demo-booked'.
+     * @param {number}  [details.value]    - Monetary value of the conversion.
+     * @param {string}  [details.currency] - ISO 4217 currency code.
+     * @param {string}  [details.dedupKey] - Key that makes repeated reports count once, e.g. an order ID.
+     * @param {boolean} [refreshed]        - Whether the credential has been refreshed.
+     * @returns {Promise<boolean>} True if the conversion was attributed to a click.
+     */
+    const convert = async (details = {}, refreshed = false) => {
+        if (!config.convertUrl) {
+            return false;
+        }
+        const { label, value, currency, dedupKey } = details;
+        let response;
+        try {
+            response = await fetch(config.convertUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(await getCredentialHeaders()),
+                },
+                body: JSON.stringify({ label, value, currency, dedup_key: dedupKey }),
+                keepalive: true,
+            });
+        } catch {
+            return false;
+        }
+
+        if (response.status === 403 && !refreshed && await refreshCredential()) {
+            return convert(details, true);
+        }
+        if (!response.ok) {
+            return false;
+        }
+        try {
+            return (await response.json()).success === true;
+        } catch {
+            return false;
+        }
+    };
+
+    /**
+     * Ready-made conversion listeners for embedded widgets.
+     *
+     * Each listener receives a `message` event posted by the widget and
+     * returns the conversion details, or null if the message isn't a
+     * conversion. Enabled with the `kntnt_ad_attr_embed_conversions` filter.
+     *
+     * @type {Object<string, function(MessageEvent): ?Object>}
+     */
+    const EMBED_CONVERSIONS = {
+
+        // Calendly posts from its iframe when a meeting is booked.
+        calendly: (event) => {
+            const data = event.data;
+            if (event.origin !== 'https://calendly.com' || !data || data.event !== 'calendly.event_scheduled') {
+                return null;
+            }
+            const invitee = data.payload && data.payload.invitee;
+            return { label: 'calendly', dedupKey: invitee && invitee.uri };
+        },
+
+        // HubSpot forms post to the page itself, or from an iframe on a
+        // HubSpot domain, when a form has been submitted.
+        hubspot: (event) => {
+            const data = event.data;
+            const trusted = event.origin === window.location.origin
+                || /^https:\/\/([a-z0-9-]+\.)*(hsforms|hubspot)\.(com|net)$/.test(event.origin);
+            if (!trusted || !data || data.type !== 'hsFormCallback' || data.eventName !== 'onFormSubmitted') {
+                return null;
+            }
+            return { label: data.id ? `hubspot:${data.id}` : 'hubspot' };
+        },
+
+    };
+
+    // Consent state last reported for this page view, and whether the
+    // current batch of hashes has been settled (sent or discarded). The
+    // batch is reopened when new hashes arrive, e.g. on an SPA route change.
+    let consentState = 'unknown';
+    let handled = false;
+    let subscribed = false;
+
+    // Whether a set-cookie request is awaiting its response.
+    let inFlight = false;
+
+    // Hashes last sent in a beacon, joined into a key. Cleared when a
+    // request is made, so a batch is beaconed at most once per attempt.
+    let flushedBatch = null;
+
+    /**
+     * Checks whether this instance is the one bound to the current config.
+     *
+     * Page-transition libraries may re-execute scripts, leaving earlier
+     * instances with live listeners. Those stand down in favor of the
+     * newest one so hashes are never handled twice.
+     *
+     * @returns {boolean} True if this instance is current.
+     */
+    const isCurrent = () => window.kntntAdAttribution === config;
+
+    /**
+     * Moves hashes from the transport cookie and URL fragment to storage.
+     *
+     * The hashes arrive right after the ad click redirect, so the time they
+     * are found is recorded as the click time. Click IDs in the page URL are
+     * attached to the pending hashes that lack one for the platform. Expired
+     * entries are pruned.
+     *
+     * @returns {boolean} True if a hash was found.
+     */
+    const collectHashes = () => {
         const existing = getHashes();
 
         // Collect hash from transport cookie.
-        const cookieHash = getCookie('_aah_pending');
-        if (cookieHash) {
-            existing.push(cookieHash);
+        const cookieValue = getCookie('_aah_pending');
+        const cookieEntry = parseTransport(cookieValue);
+        if (cookieEntry) {
+            existing.push(cookieEntry);
+        }
+        if (cookieValue) {
             expireCookie('_aah_pending');
         }
 
         // Collect hash from URL fragment.
-        const fragmentMatch = window.location.hash.match(/^#_aah=([a-f0-9]{64})$/);
-        if (fragmentMatch) {
-            existing.push(fragmentMatch[1]);
-            history.replaceState(null, '', window.location.pathname + window.location.search);
+        const fragmentMatch = window.location.hash.match(/^#_aah=(.*)$/);
+        const fragmentEntry = parseTransport(fragmentMatch && fragmentMatch[1]);
+        if (fragmentEntry) {
+            existing.push(fragmentEntry);
+            history.replaceState(history.state, '', window.location.pathname + window.location.search);
         }
 
-        // Persist any newly discovered hashes.
-        if (cookieHash || fragmentMatch) {
-            setHashes(existing);
+        // Attach the click IDs of an ad that linked straight to this page.
+        const clickIds = getClickIds();
+        if (Object.keys(clickIds).length > 0) {
+            existing.forEach((entry) => {
+                entry.clickIds = { ...clickIds, ...entry.clickIds };
+            });
         }
 
-        // Nothing to process — exit early.
-        const hashes = getHashes();
-        if (hashes.length === 0) {
+        // Persist newly discovered hashes and drop expired ones.
+        setHashes(existing);
+
+        return Boolean(cookieEntry || fragmentEntry);
+    };
+
+    /**
+     * Sends hashes to the REST endpoint and acts on the response.
+     *
+     * Success and permanent rejections (4xx) clear storage. A 403 is first
+     * retried once with a fresh nonce or token. Rate limiting (429), server
+     * errors (5xx) and network errors are retried with exponential backoff
+     * (or after Retry-After) until the retry budget runs out; hashes stay
+     * in storage meanwhile, so the next page load picks them up if this
+     * one is left.
+     *
+     * @param {{hash: string, ts: number}[]} entries   - Stored hashes with click times.
+     * @param {number}                       attempt   - Attempt number, starting at 1.
+     * @param {boolean}                      refreshed - Whether the credential has been refreshed.
+     */
+    const postHashes = async (entries, attempt = 1, refreshed = false) => {
+        const hashes = entries.map((entry) => entry.hash);
+        let status = 0;
+        let response = null;
+        inFlight = true;
+        flushedBatch = null;
+        try {
+            // keepalive lets the request finish if the visitor navigates away.
+            response = await fetch(config.restUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(await getCredentialHeaders()),
+                },
+                body: JSON.stringify({ clicks: toClicks(entries) }),
+                keepalive: true,
+            });
+            status = response.status;
+        } catch {
+            // Network error or no token — status 0, treated as transient.
+        } finally {
+            inFlight = false;
+        }
+
+        const report = (outcome, retryIn = null) => {
+            emitAttempt({ attempt, status, hashes, outcome, retryIn });
+        };
+
+        if (response && response.ok) {
+            clearStorage();
+            report('success');
             return;
         }
 
-        // Guard against multiple callback invocations.
-        let handled = false;
-
-        const { restUrl, nonce } = kntntAdAttribution;
-
-        /**
-         * Sends hashes to the REST endpoint and clears sessionStorage.
-         *
-         * @param {string[]} hashesToSend - Validated hashes.
-         */
-        const postHashes = async (hashesToSend) => {
-            try {
-                await fetch(restUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-WP-Nonce': nonce,
-                    },
-                    body: JSON.stringify({ hashes: hashesToSend }),
-                });
-                clearStorage();
-            } catch {
-                incrementRetries();
-                if (getRetries() >= MAX_RETRIES) {
-                    clearStorage();
-                }
+        // An expired nonce or token: fetch a new one and retry at once.
+        if (status === 403 && !refreshed && await refreshCredential()) {
+            report('retry', 0);
+            postHashes(entries, attempt + 1, true);
+            return;
+        }
+
+        // Any other client error won't succeed on a retry.
+        if (status >= 400 && status < 500 && status !== 429) {
+            clearStorage();
+            report('rejected');
+            return;
+        }
+
+        // Transient failure: retry while the budget lasts.
+        const remaining = getRetrySince() + retryBudget * 1000 - Date.now();
+        if (remaining <= 0) {
+            clearStorage();
+            report('abandoned');
+            return;
+        }
+
+        const delay = (status === 429 && getRetryAfter(response)) || Math.min(BACKOFF_BASE * 2 ** (attempt - 1), BACKOFF_MAX);
+        if (delay > remaining) {
+            report('deferred');
+            return;
+        }
+
+        report('retry', delay);
+        setTimeout(() => {
+            if (isCurrent() && getHashes().length > 0) {
+                postHashes(entries, attempt + 1, refreshed);
             }
-        };
+        }, delay);
+    };
+
+    /**
+     * Sends unconfirmed hashes with a beacon as the page is being left.
+     *
+     * Covers hashes waiting for a retry, whose timer won't fire once the
+     * page is gone. A request in flight is left alone — it was sent with
+     * keepalive and completes by itself. The hashes stay in storage: not
+     * all browsers store cookies set in a beacon's response, so the next
+     * page load sends them again with fetch.
+     *
+     * A batch already beaconed isn't sent again until it changes or a
+     * retry has been made. Otherwise every switch away from the tab would
+     * post the same clicks, using up the endpoint's rate limit and making
+     * the real retry fail with 429.
+     */
+    const flush = () => {
+        const entries = getHashes();
+        if (!isCurrent() || inFlight || consentState !== 'yes' || entries.length === 0) {
+            return;
+        }
+        const batch = entries.map((entry) => entry.hash).join(',');
+        if (batch === flushedBatch) {
+            return;
+        }
 
-        window.kntntAdAttributionGetConsent((state) => {
-            if (handled) {
+        // Beacons can't carry headers, so the credential goes in the body.
+        // WordPress reads `_wpnonce` from the body of form-encoded requests.
+        const body = new URLSearchParams();
+        toClicks(entries).forEach((click, index) => {
+            Object.entries(click).forEach(([key, value]) => {
+                if (value && typeof value === 'object') {
+                    Object.entries(value).forEach(([platform, clickId]) => {
+                        body.append(`clicks[${index}][${key}][${platform}]`, String(clickId));
+                    });
+                } else {
+                    body.append(`clicks[${index}][${key}]`, String(value));
+                }
+            });
+        });
+        if (cacheSafe) {
+            if (!hasFreshToken()) {
                 return;
             }
+            body.append('kntnt_ad_attr_token', config.token);
+        } else if (config.nonce) {
+            body.append('_wpnonce', config.nonce);
+        }
+
+        // Fall back to a keepalive fetch where beacons are unavailable or refused.
+        const queued = typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(config.restUrl, body);
+        if (!queued) {
+            fetch(config.restUrl, { method: 'POST', body, keepalive: true, credentials: 'same-origin' }).catch(() => {});
+        }
+        flushedBatch = batch;
+
+        emitAttempt({ attempt: null, status: null, hashes: entries.map((entry) => entry.hash), outcome: 'beacon', retryIn: null });
+    };
+
+    /**
+     * Acts on the current consent state unless the batch is already settled.
+     *
+     * 'yes' sends the stored hashes, 'no' discards them, and 'unknown'
+     * leaves them in storage for a later change or page load.
+     */
+    const settle = () => {
+        const entries = getHashes();
+        if (handled || entries.length === 0) {
+            return;
+        }
+
+        if (consentState === 'yes') {
+            handled = true;
+            postHashes(entries);
+        } else if (consentState === 'no') {
+            handled = true;
+            clearStorage();
+        }
+    };
+
+    /**
+     * Records a consent state and settles the pending hashes accordingly.
+     *
+     * Used both as the callback passed to `kntntAdAttributionGetConsent`
+     * and by the public change API, so every source of consent changes
+     * goes through the same `handled` guard.
+     *
+     * @param {string} state - 'yes', 'no' or 'unknown'.
+     */
+    const handleConsent = (state) => {
+        if (!isCurrent() || !['yes', 'no', 'unknown'].includes(state)) {
+            return;
+        }
+        consentState = state;
+        settle();
+    };
+
+    /**
+     * Asks the consent function for the state, once per page view.
+     *
+     * The consent function keeps reporting changes through the callback,
+     * so calling it again would only register duplicate CMP listeners.
+     */
+    const subscribe = () => {
+        if (!subscribed) {
+            subscribed = true;
+            window.kntntAdAttributionGetConsent(handleConsent);
+        }
+    };
+
+    /**
+     * Picks up hashes brought in by an SPA route change and settles them.
+     */
+    const handleRouteChange = () => {
+        if (!isCurrent()) {
+            return;
+        }
+        if (collectHashes()) {
+            handled = false;
+        }
+        if (getHashes().length > 0) {
+            subscribe();
+            settle();
+        }
+    };
+
+    // Public API: sites report consent changes by calling
+    // `kntntAdAttribution.onConsentChange( 'yes' )` or by dispatching a
+    // `kntnt-ad-attr:consent` event with `detail.state` on document.
+    config.onConsentChange = handleConsent;
+    document.addEventListener('kntnt-ad-attr:consent', (event) => {
+        handleConsent(event.detail && event.detail.state);
+    });
+
+    // Public API: `kntntAdAttribution.convert( { label, value, currency,
+    // dedupKey } )` reports a conversion that happens in the browser.
+    config.convert = (details) => convert(details || {});
 
-            if (state === 'yes') {
-                handled = true;
-                postHashes(hashes);
-            } else if (state === 'no') {
-                handled = true;
-                clearStorage();
+    // Report conversions from the enabled embedded widgets.
+    if (embedConversions.length > 0) {
+        window.addEventListener('message', (event) => {
+            if (!isCurrent()) {
+                return;
             }
-            // 'unknown' — do nothing, hashes stay in sessionStorage.
+            embedConversions.forEach((id) => {
+                const details = EMBED_CONVERSIONS[id] ? EMBED_CONVERSIONS[id](event) : null;
+                if (details) {
+                    convert(details);
+                }
+            });
         });
+    }
+
+    // Leaving the page: flush hashes that would otherwise wait for a retry.
+    // pagehide is the reliable unload signal; visibilitychange also covers
+    // mobile browsers that discard hidden tabs without firing it.
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flush();
+        }
+    });
+
+    // SPA route changes: history navigation and fragment changes fire
+    // events; pushState doesn't, so it is wrapped.
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+    const pushState = history.pushState;
+    history.pushState = function (...args) {
+        const result = pushState.apply(this, args);
+        handleRouteChange();
+        return result;
+    };
+
+    /**
+     * Main logic — runs on DOMContentLoaded (or immediately if DOM is ready).
+     */
+    const init = () => {
+        collectHashes();
+
+        // Nothing to process — wait for hashes from a route change.
+        if (getHashes().length === 0) {
+            return;
+        }
+
+        subscribe();
+        settle();
     };
 
     // Run when DOM is ready.
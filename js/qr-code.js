@@ -0,0 +1,525 @@
+/**
+ * QR code encoder for the admin page.
+ *
+ * Encodes text as a QR code (ISO/IEC 18004) in byte mode with UTF-8, in
+ * the smallest version (1–40) that fits at the requested error correction
+ * level, and renders it as SVG. Used by js/admin.js to offer tracking URLs
+ * as QR codes for print, without sending them to an external service.
+ *
+ * Exposes `window.kntntAdAttrQrCode` with `encode()` and `toSvg()`.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+(function() {
+    'use strict';
+
+    /** Index of each error correction level in the tables below. */
+    var LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+
+    /** Two-bit value of each error correction level in the format information. */
+    var FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+    /** Error correction codewords per block, by level and version (index 0 unused). */
+    var ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    /** Error correction blocks, by level and version (index 0 unused). */
+    var ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    /** Light modules around the symbol, as the standard requires. */
+    var QUIET_ZONE = 4;
+
+    /**
+     * Returns the number of modules available for data and error correction.
+     *
+     * @param {number} version Version 1–40.
+     * @return {number}
+     */
+    function rawDataModules(version) {
+        var result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            var alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the number of data codewords of a version and level.
+     *
+     * @param {number} version Version 1–40.
+     * @param {string} level   Error correction level L, M, Q or H.
+     * @return {number}
+     */
+    function dataCodewords(version, level) {
+        var index = LEVELS[level];
+        return Math.floor(rawDataModules(version) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[index][version] * ERROR_CORRECTION_BLOCKS[index][version];
+    }
+
+    /**
+     * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @return {number}
+     */
+    function gfMultiply(x, y) {
+        var z = 0;
+        for (var i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Returns the Reed–Solomon generator polynomial of a degree, highest
+     * coefficient first and the leading 1 omitted.
+     *
+     * @param {number} degree Number of error correction codewords.
+     * @return {number[]}
+     */
+    function reedSolomonDivisor(degree) {
+        var result = [];
+        for (var i = 0; i < degree - 1; i++) result.push(0);
+        result.push(1);
+
+        var root = 1;
+        for (var n = 0; n < degree; n++) {
+            for (var j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the error correction codewords of a block of data codewords.
+     *
+     * @param {number[]} data    Data codewords.
+     * @param {number[]} divisor Generator polynomial from reedSolomonDivisor().
+     * @return {number[]}
+     */
+    function reedSolomonRemainder(data, divisor) {
+        var result = divisor.map(function() { return 0; });
+        data.forEach(function(codeword) {
+            var factor = codeword ^ result.shift();
+            result.push(0);
+            divisor.forEach(function(coefficient, i) {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Splits the data codewords into blocks, adds their error correction
+     * codewords and interleaves the blocks.
+     *
+     * @param {number[]} data    Data codewords.
+     * @param {number}   version Version 1–40.
+     * @param {string}   level   Error correction level.
+     * @return {number[]} All codewords in placement order.
+     */
+    function addErrorCorrection(data, version, level) {
+        var index = LEVELS[level];
+        var blockCount = ERROR_CORRECTION_BLOCKS[index][version];
+        var eccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+        var rawCodewords = Math.floor(rawDataModules(version) / 8);
+        var shortBlocks = blockCount - rawCodewords % blockCount;
+        var shortBlockLength = Math.floor(rawCodewords / blockCount);
+        var divisor = reedSolomonDivisor(eccLength);
+
+        // Short blocks are padded so every block has the same length; the
+        // padding is skipped when interleaving.
+        var blocks = [];
+        for (var i = 0, k = 0; i < blockCount; i++) {
+            var block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            k += block.length;
+            var ecc = reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        var result = [];
+        for (var column = 0; column < blocks[0].length; column++) {
+            blocks.forEach(function(row, j) {
+                if (column !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(row[column]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Returns the data codewords of text in byte mode, padded to the
+     * capacity of the version.
+     *
+     * @param {number[]} bytes   UTF-8 bytes of the text.
+     * @param {number}   version Version 1–40.
+     * @param {string}   level   Error correction level.
+     * @return {number[]}
+     */
+    function encodeData(bytes, version, level) {
+        var capacity = dataCodewords(version, level) * 8;
+        var bits = [];
+
+        function append(value, length) {
+            for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        }
+
+        append(0x4, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(function(byte) {
+            append(byte, 8);
+        });
+
+        // Terminator, then zeros to a byte boundary, then alternating pad bytes.
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (var pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+            append(pad, 8);
+        }
+
+        var codewords = [];
+        for (var i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        return codewords;
+    }
+
+    /**
+     * Returns the centers of the alignment patterns on each axis.
+     *
+     * @param {number} version Version 1–40.
+     * @return {number[]}
+     */
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+
+        var count = Math.floor(version / 7) + 2;
+        var step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        var result = [6];
+        for (var position = version * 4 + 10; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Returns whether a mask inverts the module at a position.
+     *
+     * @param {number} mask Mask pattern 0–7.
+     * @param {number} x    Column.
+     * @param {number} y    Row.
+     * @return {boolean}
+     */
+    function masks(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return x * y % 2 + x * y % 3 === 0;
+            case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+            default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+        }
+    }
+
+    /**
+     * Builds the module matrix of a version.
+     *
+     * @param {number} version Version 1–40.
+     * @return {{size: number, modules: boolean[][], reserved: boolean[][]}}
+     */
+    function createMatrix(version) {
+        var size = version * 4 + 17;
+        var modules = [];
+        var reserved = [];
+        for (var i = 0; i < size; i++) {
+            modules.push(new Array(size).fill(false));
+            reserved.push(new Array(size).fill(false));
+        }
+        return { size: size, modules: modules, reserved: reserved };
+    }
+
+    /**
+     * Sets a function module, which holds no data and is never masked.
+     *
+     * @param {Object}  matrix Matrix from createMatrix().
+     * @param {number}  x      Column.
+     * @param {number}  y      Row.
+     * @param {boolean} dark   Whether the module is dark.
+     */
+    function setFunction(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.reserved[y][x] = true;
+    }
+
+    /**
+     * Draws the finder, timing and alignment patterns.
+     *
+     * @param {Object} matrix  Matrix from createMatrix().
+     * @param {number} version Version 1–40.
+     */
+    function drawPatterns(matrix, version) {
+        var size = matrix.size;
+
+        for (var i = 0; i < size; i++) {
+            setFunction(matrix, 6, i, i % 2 === 0);
+            setFunction(matrix, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators in three corners.
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function(center) {
+            for (var dy = -4; dy <= 4; dy++) {
+                for (var dx = -4; dx <= 4; dx++) {
+                    var x = center[0] + dx;
+                    var y = center[1] + dy;
+                    var distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(matrix, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder pattern.
+        var positions = alignmentPositions(version);
+        var last = positions.length - 1;
+        positions.forEach(function(cy, row) {
+            positions.forEach(function(cx, column) {
+                if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) return;
+                for (var dy = -2; dy <= 2; dy++) {
+                    for (var dx = -2; dx <= 2; dx++) {
+                        setFunction(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Version information, from version 7.
+        if (version >= 7) {
+            var remainder = version;
+            for (var n = 0; n < 12; n++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            var bits = version << 12 | remainder;
+            for (var b = 0; b < 18; b++) {
+                var dark = ((bits >>> b) & 1) === 1;
+                var a = size - 11 + b % 3;
+                var c = Math.floor(b / 3);
+                setFunction(matrix, a, c, dark);
+                setFunction(matrix, c, a, dark);
+            }
+        }
+
+        drawFormat(matrix, 'L', 0);
+    }
+
+    /**
+     * Draws both copies of the format information and the dark module.
+     *
+     * @param {Object} matrix Matrix from createMatrix().
+     * @param {string} level  Error correction level.
+     * @param {number} mask   Mask pattern 0–7.
+     */
+    function drawFormat(matrix, level, mask) {
+        var size = matrix.size;
+        var data = FORMAT_LEVEL_BITS[level] << 3 | mask;
+        var remainder = data;
+        for (var n = 0; n < 10; n++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        var bits = (data << 10 | remainder) ^ 0x5412;
+
+        function bit(i) {
+            return ((bits >>> i) & 1) === 1;
+        }
+
+        for (var i = 0; i <= 5; i++) setFunction(matrix, 8, i, bit(i));
+        setFunction(matrix, 8, 7, bit(6));
+        setFunction(matrix, 8, 8, bit(7));
+        setFunction(matrix, 7, 8, bit(8));
+        for (i = 9; i < 15; i++) setFunction(matrix, 14 - i, 8, bit(i));
+
+        for (i = 0; i < 8; i++) setFunction(matrix, size - 1 - i, 8, bit(i));
+        for (i = 8; i < 15; i++) setFunction(matrix, 8, size - 15 + i, bit(i));
+        setFunction(matrix, 8, size - 8, true);
+    }
+
+    /**
+     * Places the codewords in the zigzag order of the standard.
+     *
+     * @param {Object}   matrix    Matrix from createMatrix().
+     * @param {number[]} codewords Codewords from addErrorCorrection().
+     */
+    function drawCodewords(matrix, codewords) {
+        var size = matrix.size;
+        var index = 0;
+
+        for (var right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            var upward = ((right + 1) & 2) === 0;
+            for (var vertical = 0; vertical < size; vertical++) {
+                for (var j = 0; j < 2; j++) {
+                    var x = right - j;
+                    var y = upward ? size - 1 - vertical : vertical;
+                    if (!matrix.reserved[y][x] && index < codewords.length * 8) {
+                        matrix.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Inverts the data modules selected by a mask; applying it twice undoes it.
+     *
+     * @param {Object} matrix Matrix from createMatrix().
+     * @param {number} mask   Mask pattern 0–7.
+     */
+    function applyMask(matrix, mask) {
+        for (var y = 0; y < matrix.size; y++) {
+            for (var x = 0; x < matrix.size; x++) {
+                if (!matrix.reserved[y][x] && masks(mask, x, y)) {
+                    matrix.modules[y][x] = !matrix.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Scores how hard a masked symbol is to read; lower is better.
+     *
+     * Applies the four penalty rules of the standard: runs of five or more
+     * modules of the same color, 2×2 blocks of one color, patterns that look
+     * like finder patterns, and an imbalance of dark and light modules.
+     *
+     * @param {Object} matrix Matrix from createMatrix().
+     * @return {number}
+     */
+    function penalty(matrix) {
+        var size = matrix.size;
+        var modules = matrix.modules;
+        var lines = [];
+        var result = 0;
+        var dark = 0;
+
+        for (var y = 0; y < size; y++) {
+            var row = '';
+            var column = '';
+            for (var x = 0; x < size; x++) {
+                row += modules[y][x] ? '1' : '0';
+                column += modules[x][y] ? '1' : '0';
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1
+                    && modules[y][x] === modules[y][x + 1]
+                    && modules[y][x] === modules[y + 1][x]
+                    && modules[y][x] === modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+            lines.push(row, column);
+        }
+
+        lines.forEach(function(line) {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(function(run) {
+                result += run.length - 2;
+            });
+            result += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+        });
+
+        var total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return result;
+    }
+
+    /**
+     * Encodes text as a QR code.
+     *
+     * @param {string} text    Text to encode, typically a URL.
+     * @param {string} [level] Error correction level L, M, Q or H; defaults to M.
+     * @param {number} [mask]  Mask pattern 0–7; by default the one with the lowest penalty.
+     * @return {?{version: number, size: number, modules: boolean[][]}}
+     *         Rows of modules, true for dark, or null if the text is too long.
+     */
+    function encode(text, level, mask) {
+        level = Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : 'M';
+        var bytes = Array.from(new TextEncoder().encode(text));
+
+        var version = 1;
+        while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+            if (++version > 40) return null;
+        }
+
+        var matrix = createMatrix(version);
+        drawPatterns(matrix, version);
+        drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+        if (typeof mask !== 'number') {
+            var lowest = Infinity;
+            for (var candidate = 0; candidate < 8; candidate++) {
+                applyMask(matrix, candidate);
+                drawFormat(matrix, level, candidate);
+                var score = penalty(matrix);
+                if (score < lowest) {
+                    lowest = score;
+                    mask = candidate;
+                }
+                applyMask(matrix, candidate);
+            }
+        }
+
+        applyMask(matrix, mask);
+        drawFormat(matrix, level, mask);
+
+        return { version: version, size: matrix.size, modules: matrix.modules };
+    }
+
+    /**
+     * Renders a QR code as an SVG document with a quiet zone.
+     *
+     * @param {{size: number, modules: boolean[][]}} qr     QR code from encode().
+     * @param {number}                               pixels Width and height of the image.
+     * @return {string}
+     */
+    function toSvg(qr, pixels) {
+        var extent = qr.size + QUIET_ZONE * 2;
+        var path = [];
+
+        qr.modules.forEach(function(row, y) {
+            row.forEach(function(dark, x) {
+                if (dark) path.push('M' + (x + QUIET_ZONE) + ' ' + (y + QUIET_ZONE) + 'h1v1h-1z');
+            });
+        });
+
+        return '<svg xmlns="http://www.w3.org/2000/svg" width="' + pixels + '" height="' + pixels + '"'
+            + ' viewBox="0 0 ' + extent + ' ' + extent + '" shape-rendering="crispEdges">'
+            + '<rect width="' + extent + '" height="' + extent + '" fill="#fff"/>'
+            + '<path d="' + path.join('') + '" fill="#000"/>'
+            + '</svg>';
+    }
+
+    window.kntntAdAttrQrCode = {
+        QUIET_ZONE: QUIET_ZONE,
+        encode: encode,
+        toSvg: toSvg
+    };
+
+})();
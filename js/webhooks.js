@@ -0,0 +1,121 @@
+/**
+ * Webhooks JavaScript.
+ *
+ * Adds and removes webhook rows on the settings page and sends test events
+ * to saved webhooks through the webhooks REST route. A test event is sent
+ * with the saved settings, so rows changed since the page was loaded must
+ * be saved first.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Shows a message in a row's status region.
+     *
+     * @param {HTMLElement} row Webhook row.
+     * @param {string} message Message to show.
+     * @param {boolean} isError Whether the message reports a failure.
+     */
+    function showStatus(row, message, isError) {
+        var status = row.querySelector('.kntnt-ad-attr-webhook-status');
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+    }
+
+    /**
+     * Sends a test event to the saved webhook of a row.
+     *
+     * @param {HTMLElement} row Webhook row.
+     * @param {Object} config Localized configuration.
+     * @return {Promise<void>|undefined}
+     */
+    function sendTest(row, config) {
+        var i18n = config.i18n || {};
+        var button = row.querySelector('.kntnt-ad-attr-webhook-test');
+
+        if (row.hasAttribute('data-changed')) {
+            showStatus(row, i18n.unsaved, true);
+            return;
+        }
+
+        button.disabled = true;
+        showStatus(row, i18n.sending, false);
+
+        return fetch(config.webhooksUrl + '/' + encodeURIComponent(row.getAttribute('data-id')) + '/test', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'X-WP-Nonce': config.nonce }
+        }).then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+        }).then(function(data) {
+            if (data.success) {
+                showStatus(row, i18n.success.replace('%d', data.status), false);
+            } else {
+                var message = data.status ? i18n.failure.replace('%d', data.status) : i18n.error;
+                showStatus(row, data.message ? message + ' ' + data.message : message, true);
+            }
+        }).catch(function() {
+            showStatus(row, i18n.error, true);
+        }).then(function() {
+            button.disabled = false;
+        });
+    }
+
+    /**
+     * Wires up adding, removing, editing and testing webhook rows.
+     */
+    function init() {
+        if (typeof kntntAdAttrWebhooks === 'undefined') return;
+
+        var root = document.getElementById('kntnt-ad-attr-webhooks');
+        if (!root) return;
+
+        var list = root.querySelector('.kntnt-ad-attr-webhook-list');
+        var template = root.querySelector('.kntnt-ad-attr-webhook-template');
+
+        // New rows get indexes after the rendered ones, which start at 0.
+        var next = list.querySelectorAll('.kntnt-ad-attr-webhook').length;
+
+        root.querySelector('.kntnt-ad-attr-webhook-add').addEventListener('click', function() {
+            var html = template.innerHTML.replace(/__i__/g, String(next++));
+            list.insertAdjacentHTML('beforeend', html);
+            var row = list.lastElementChild;
+            row.setAttribute('data-changed', '');
+            row.querySelector('input[type="text"]').focus();
+        });
+
+        list.addEventListener('click', function(e) {
+            var row = e.target.closest('.kntnt-ad-attr-webhook');
+            if (!row) return;
+
+            if (e.target.closest('.kntnt-ad-attr-webhook-remove')) {
+                if (!row.getAttribute('data-id') || window.confirm(kntntAdAttrWebhooks.i18n.confirm)) {
+                    row.remove();
+                }
+            } else if (e.target.closest('.kntnt-ad-attr-webhook-test')) {
+                sendTest(row, kntntAdAttrWebhooks);
+            }
+        });
+
+        // Any edit makes the row differ from what a test event would use.
+        ['input', 'change'].forEach(function(type) {
+            list.addEventListener(type, function(e) {
+                var row = e.target.closest('.kntnt-ad-attr-webhook');
+                if (row) row.setAttribute('data-changed', '');
+            });
+        });
+    }
+
+    // Initialize when DOM is ready.
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
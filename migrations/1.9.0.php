@@ -0,0 +1,67 @@
+<?php
+/**
+ * Migration: 1.9.0 — Conversion values, attribution touchpoints,
+ * JavaScript-confirmed clicks and click fraud scores.
+ *
+ * Adds the optional monetary value (already split by attribution weight),
+ * its ISO 4217 currency code and the conversion label to each conversion row,
+ * and creates the kntnt_ad_attr_touchpoints table that keeps every click a
+ * conversion could be attributed to, so attribution models can be compared.
+ * Also adds the flag that records whether the visitor's browser confirmed a
+ * click from the interstitial redirect page, and the fraud score, signals
+ * and review status of each click.
+ *
+ * @package Kntnt\Ad_Attribution
+ * @since   1.9.0
+ */
+
+declare( strict_types = 1 );
+
+// Prevent direct file access.
+if ( ! defined( 'WPINC' ) ) {
+	die;
+}
+
+return function ( \wpdb $wpdb ): void {
+
+	$table = $wpdb->prefix . 'kntnt_ad_attr_conversions';
+
+	// NULL defaults keep pre-migration conversions value-less.
+	$wpdb->query( "ALTER TABLE {$table}
+		ADD COLUMN conversion_value DECIMAL(19,4) NULL AFTER fractional_conversion,
+		ADD COLUMN currency         CHAR(3)       NULL AFTER conversion_value,
+		ADD COLUMN label            VARCHAR(255)  NULL AFTER currency" );
+
+	// NULL for clicks redirected without the interstitial page, 0 until the
+	// page's script confirms the click, 1 once it has.
+	$clicks_table = $wpdb->prefix . 'kntnt_ad_attr_clicks';
+	$wpdb->query( "ALTER TABLE {$clicks_table}
+		ADD COLUMN js_confirmed TINYINT(1) NULL AFTER utm_source_platform" );
+
+	// The score is NULL for clicks recorded while fraud detection was turned
+	// off. The status is NULL below the threshold, and 'flagged' until a
+	// reviewer marks the click 'fraud' or 'valid'.
+	$wpdb->query( "ALTER TABLE {$clicks_table}
+		ADD COLUMN fraud_score   TINYINT UNSIGNED NULL AFTER js_confirmed,
+		ADD COLUMN fraud_reasons VARCHAR(255)     NULL AFTER fraud_score,
+		ADD COLUMN fraud_status  VARCHAR(10)      NULL AFTER fraud_reasons,
+		ADD INDEX idx_fraud_status (fraud_status, clicked_at)" );
+
+	// One row per candidate click of a conversion, including clicks that the
+	// selected model gave no credit. Rows of a conversion share conversion_key.
+	$touchpoints_table = $wpdb->prefix . 'kntnt_ad_attr_touchpoints';
+	$charset           = $wpdb->get_charset_collate();
+
+	$sql_touchpoints = "CREATE TABLE {$touchpoints_table} (
+		conversion_key CHAR(32) NOT NULL,
+		hash           CHAR(64) NOT NULL,
+		clicked_at     DATETIME NOT NULL,
+		converted_at   DATETIME NOT NULL,
+		PRIMARY KEY (conversion_key, hash),
+		INDEX idx_hash (hash),
+		INDEX idx_converted_at (converted_at)
+	) {$charset};";
+
+	require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+	dbDelta( $sql_touchpoints );
+};
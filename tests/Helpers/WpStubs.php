@@ -210,9 +210,49 @@ if (!class_exists('WP_List_Table')) {
         public function current_action(): string|false {
             return false;
         }
+
+        /** @return void */
+        public function display_rows_or_placeholder(): void {
+            $this->display_rows();
+        }
+
+        /**
+         * Echoes one header cell per column, like the real method.
+         *
+         * @param bool $with_id Whether to set the id attribute.
+         *
+         * @return void
+         */
+        public function print_column_headers(bool $with_id = true): void {
+            foreach ($this->get_columns() as $slug => $label) {
+                echo $with_id ? "<th id=\"{$slug}\">{$label}</th>" : "<th>{$label}</th>";
+            }
+        }
+
+        /**
+         * Echoes a link to the current request URI, which the real method
+         * builds its page links from.
+         *
+         * @param string $which Top or bottom.
+         *
+         * @return void
+         */
+        protected function pagination(string $which): void {
+            echo "<div class=\"tablenav-pages {$which}\"><a href=\"{$_SERVER['REQUEST_URI']}\">2</a></div>";
+        }
     }
 }
 
+// ─── WP_Screen stub ───
+
+if (!class_exists('WP_Screen')) {
+
+    /**
+     * Empty WP_Screen stub, so Campaign_List_Table doesn't load the screen API.
+     */
+    class WP_Screen {}
+}
+
 // ─── WP_Post stub ───
 
 if (!class_exists('WP_Post')) {
@@ -266,6 +306,9 @@ if (!class_exists('WP_REST_Request')) {
         /** @var array<string,mixed> */
         private array $params = [];
 
+        /** @var array<string,string> */
+        private array $headers = [];
+
         /** @var string */
         private string $method;
 
@@ -320,6 +363,25 @@ if (!class_exists('WP_REST_Request')) {
         public function get_route(): string {
             return $this->route;
         }
+
+        /**
+         * @param string $key Header name (lowercase, underscores for dashes).
+         *
+         * @return string|null
+         */
+        public function get_header(string $key): ?string {
+            return $this->headers[$key] ?? null;
+        }
+
+        /**
+         * @param string $key   Header name (lowercase, underscores for dashes).
+         * @param string $value Header value.
+         *
+         * @return void
+         */
+        public function set_header(string $key, string $value): void {
+            $this->headers[$key] = $value;
+        }
     }
 }
 
@@ -338,6 +400,9 @@ if (!class_exists('WP_REST_Response')) {
         /** @var int */
         public int $status;
 
+        /** @var array<string,string> */
+        private array $headers = [];
+
         /**
          * @param mixed $data   Response data.
          * @param int   $status HTTP status code.
@@ -360,6 +425,23 @@ if (!class_exists('WP_REST_Response')) {
         public function get_status(): int {
             return $this->status;
         }
+
+        /**
+         * @param string $key   Header name.
+         * @param string $value Header value.
+         *
+         * @return void
+         */
+        public function header(string $key, string $value): void {
+            $this->headers[$key] = $value;
+        }
+
+        /**
+         * @return array<string,string>
+         */
+        public function get_headers(): array {
+            return $this->headers;
+        }
     }
 }
 
@@ -1,7 +1,9 @@
 /**
  * Unit tests for admin.js.
  *
- * Tests clipboard functionality and Select2/UTM field initialization.
+ * Tests clipboard functionality, the per-click breakdown, QR codes, the
+ * in-place updates of the campaign list, bulk creation, the target search
+ * combobox and the UTM medium auto-fill.
  * The script is an IIFE that auto-executes on load.
  *
  * @package Tests/JS
@@ -14,6 +16,7 @@ import { resolve } from 'path';
 
 const scriptPath = resolve(__dirname, '../../js/admin.js');
 const scriptSource = readFileSync(scriptPath, 'utf-8');
+const qrCodeSource = readFileSync(resolve(__dirname, '../../js/qr-code.js'), 'utf-8');
 
 /**
  * Evaluates the IIFE script in the current global context.
@@ -43,8 +46,7 @@ describe('admin.js', () => {
         // Clean DOM.
         document.body.innerHTML = '';
 
-        // Remove jQuery/kntntAdAttrAdmin globals.
-        delete window.jQuery;
+        // Remove the kntntAdAttrAdmin global.
         delete window.kntntAdAttrAdmin;
 
         // Ensure DOM is ready so init runs immediately.
@@ -156,125 +158,1444 @@ describe('admin.js', () => {
 
     });
 
-    // ─── Select2 guards ───
+    // ─── Breakdown ───
 
-    describe('Select2 initialization', () => {
+    describe('breakdown', () => {
 
-        it('returns early if jQuery is undefined', () => {
-            expect(() => loadScript()).not.toThrow();
+        const hash = 'a'.repeat(64);
+
+        /** Renders a list row with the Breakdown row action. */
+        function renderList() {
+            document.body.innerHTML = `
+                <table><tbody>
+                    <tr id="row">
+                        <td></td><td>URL <button type="button" class="kntnt-ad-attr-breakdown-toggle" aria-expanded="false" data-hash="${hash}">Breakdown</button></td><td></td>
+                    </tr>
+                    <tr id="next"><td></td><td></td><td></td></tr>
+                </tbody></table>`;
+            return document.querySelector('.kntnt-ad-attr-breakdown-toggle');
+        }
+
+        /** Sets the localized configuration of the list view. */
+        function configure() {
+            window.kntntAdAttrAdmin = {
+                reportUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/report',
+                nonce: 'abc123',
+                filters: { date_start: '2026-02-09', date_end: '2026-02-22', utm_source: 'google', utm_medium: '', utm_campaign: '' },
+                dimensions: { utm_content: 'Content', utm_term: 'Term', utm_id: 'Id', utm_source_platform: 'Group' },
+                i18n: {
+                    breakDownBy: 'Break down by',
+                    clicks: 'Clicks',
+                    conversions: 'Conversions',
+                    value: 'Attributed Value',
+                    mixed: '%s (mixed currencies)',
+                    none: '(not set)',
+                    noData: 'No clicks in this date range.',
+                    error: 'The breakdown could not be loaded.',
+                    export: 'Export CSV',
+                },
+            };
+        }
+
+        /** Mocks fetch with a JSON response. Returns the spy. */
+        function mockFetch(body, ok = true, status = 200) {
+            const spy = vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+            globalThis.fetch = spy;
+            return spy;
+        }
+
+        /** Waits for the pending fetch promise chain to settle. */
+        function flush() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        /** Builds a report row. */
+        function row(content, clicks, conversions, value = null, currency = null) {
+            return { utm_content: content, clicks, conversions, attributed_value: value, currency };
+        }
+
+        afterEach(() => {
+            delete globalThis.fetch;
         });
 
-        it('returns early if kntntAdAttrAdmin is undefined', () => {
-            window.jQuery = Object.assign(
-                () => ({ length: 0, select2: vi.fn(), on: vi.fn(), val: vi.fn(), find: vi.fn() }),
-                { fn: { select2: vi.fn() } },
+        it('does nothing without the report configuration', () => {
+            const toggle = renderList();
+            const fetchSpy = mockFetch([]);
+
+            loadScript();
+            toggle.click();
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-row')).toBeNull();
+        });
+
+        it('expands the row and requests the breakdown with the list filters', () => {
+            const toggle = renderList();
+            configure();
+            const fetchSpy = mockFetch([]);
+
+            loadScript();
+            toggle.click();
+
+            const panel = document.getElementById('row').nextElementSibling;
+            expect(panel.classList.contains('kntnt-ad-attr-breakdown-row')).toBe(true);
+            expect(panel.querySelector('td').colSpan).toBe(3);
+            expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+            const [url, options] = fetchSpy.mock.calls[0];
+            const params = new URL(url).searchParams;
+            expect(params.get('hash')).toBe(hash);
+            expect(params.get('group_by')).toBe('utm_content');
+            expect(params.get('date_start')).toBe('2026-02-09');
+            expect(params.get('date_end')).toBe('2026-02-22');
+            expect(params.get('utm_source')).toBe('google');
+            expect(params.has('utm_medium')).toBe(false);
+            expect(options.headers['X-WP-Nonce']).toBe('abc123');
+        });
+
+        it('collapses the row when toggled again', () => {
+            const toggle = renderList();
+            configure();
+            mockFetch([]);
+
+            loadScript();
+            toggle.click();
+            toggle.click();
+
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-row')).toBeNull();
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+        });
+
+        it('lists the dimension values by clicks with conversions and value', async () => {
+            const toggle = renderList();
+            configure();
+            mockFetch([
+                row('', 2, 0),
+                row('banner-a', 10, 1.5, 300, 'SEK'),
+                row('banner-b', 4, 1, 99.5, 'mixed'),
+            ]);
+
+            loadScript();
+            toggle.click();
+            await flush();
+
+            const cells = Array.from(document.querySelectorAll('.kntnt-ad-attr-breakdown tr')).map((tr) =>
+                Array.from(tr.children).map((cell) => cell.textContent),
             );
+            expect(cells).toEqual([
+                ['Content', 'Clicks', 'Conversions', 'Attributed Value'],
+                ['banner-a', '10', '1.5', '300.00 SEK'],
+                ['banner-b', '4', '1.0', '99.50 (mixed currencies)'],
+                ['(not set)', '2', '0.0', ''],
+            ]);
+        });
 
-            expect(() => loadScript()).not.toThrow();
+        it('reloads for another dimension and updates the export link', async () => {
+            const toggle = renderList();
+            configure();
+            const fetchSpy = mockFetch([]);
+
+            loadScript();
+            toggle.click();
+            await flush();
+
+            const select = document.querySelector('.kntnt-ad-attr-breakdown-row select');
+            select.value = 'utm_term';
+            select.dispatchEvent(new Event('change'));
+
+            expect(new URL(fetchSpy.mock.calls[1][0]).searchParams.get('group_by')).toBe('utm_term');
+
+            const exportParams = new URL(document.querySelector('.kntnt-ad-attr-breakdown-export').href).searchParams;
+            expect(exportParams.get('group_by')).toBe('utm_term');
+            expect(exportParams.get('format')).toBe('csv');
+            expect(exportParams.get('_wpnonce')).toBe('abc123');
+            expect(exportParams.get('hash')).toBe(hash);
+        });
+
+        it('shows a message when there are no clicks', async () => {
+            const toggle = renderList();
+            configure();
+            mockFetch([]);
+
+            loadScript();
+            toggle.click();
+            await flush();
+
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-status').textContent).toBe('No clicks in this date range.');
+        });
+
+        it('shows an error when the request fails', async () => {
+            const toggle = renderList();
+            configure();
+            mockFetch({ message: 'Invalid date range.' }, false, 400);
+
+            loadScript();
+            toggle.click();
+            await flush();
+
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-status').textContent).toBe('The breakdown could not be loaded.');
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-row').hasAttribute('aria-busy')).toBe(false);
         });
 
     });
 
-    // ─── UTM auto-fill ───
+    // ─── QR codes ───
 
-    describe('UTM auto-fill', () => {
+    describe('QR codes', () => {
+
+        const hash = 'b'.repeat(64);
+        const trackingUrl = `https://example.com/ad/${hash}`;
+
+        /** Renders a list row with the Breakdown and QR Code row actions. */
+        function renderList() {
+            document.body.innerHTML = `
+                <table><tbody>
+                    <tr id="row">
+                        <td></td><td>URL
+                            <button type="button" class="kntnt-ad-attr-breakdown-toggle" aria-expanded="false" data-hash="${hash}">Breakdown</button>
+                            <button type="button" class="kntnt-ad-attr-qr-toggle" aria-expanded="false" data-url="${trackingUrl}" data-hash="${hash}">QR Code</button>
+                        </td><td></td>
+                    </tr>
+                </tbody></table>`;
+            return document.querySelector('.kntnt-ad-attr-qr-toggle');
+        }
+
+        /** Sets the localized configuration of the list view. */
+        function configure() {
+            window.kntntAdAttrAdmin = {
+                reportUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/report',
+                nonce: 'abc123',
+                filters: {},
+                dimensions: { utm_content: 'Content', utm_term: 'Term', utm_id: 'Id', utm_source_platform: 'Group' },
+                i18n: {
+                    breakDownBy: 'Break down by',
+                    export: 'Export CSV',
+                    qrSize: 'Size',
+                    qrPixels: '%d px',
+                    qrLevel: 'Error correction',
+                    qrLevels: { L: 'Low (7%)', M: 'Medium (15%)', Q: 'Quartile (25%)', H: 'High (30%)' },
+                    qrTooLong: 'The link is too long for a QR code.',
+                    downloadSvg: 'Download SVG',
+                    downloadPng: 'Download PNG',
+                },
+            };
+        }
+
+        /** Changes a field of the QR code row. */
+        function setField(name, value) {
+            const field = document.querySelector(`.kntnt-ad-attr-qr-row [name="${name}"]`);
+            field.value = value;
+            field.dispatchEvent(new Event(field.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+        }
+
+        beforeEach(() => {
+            new Function(qrCodeSource)();
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve([]) });
+        });
+
+        afterEach(() => {
+            delete window.kntntAdAttrQrCode;
+            delete globalThis.fetch;
+        });
+
+        it('does nothing without the QR code encoder', () => {
+            const toggle = renderList();
+            configure();
+            delete window.kntntAdAttrQrCode;
+
+            loadScript();
+            toggle.click();
+
+            expect(document.querySelector('.kntnt-ad-attr-qr-row')).toBeNull();
+        });
+
+        it('expands the row with a QR code of the tracking URL with placeholder content and term', () => {
+            const toggle = renderList();
+            configure();
+
+            loadScript();
+            toggle.click();
+
+            const panel = document.querySelector('.kntnt-ad-attr-qr-row');
+            const link = `${trackingUrl}?utm_content=flyer&utm_term=variant-1`;
+            expect(panel.querySelector('td').colSpan).toBe(3);
+            expect(toggle.getAttribute('aria-expanded')).toBe('true');
+            expect(panel.querySelector('.kntnt-ad-attr-qr-link').textContent).toBe(link);
+            expect(panel.querySelector('.kntnt-ad-attr-qr-link').getAttribute('data-clipboard-text')).toBe(link);
+            expect(panel.querySelector('[name="size"]').value).toBe('512');
+            expect(panel.querySelector('[name="level"]').value).toBe('M');
+
+            const svg = window.kntntAdAttrQrCode.toSvg(window.kntntAdAttrQrCode.encode(link, 'M'), 512);
+            const download = panel.querySelector('.kntnt-ad-attr-qr-svg');
+            expect(panel.querySelector('.kntnt-ad-attr-qr-preview svg')).not.toBeNull();
+            expect(decodeURIComponent(download.getAttribute('href').replace('data:image/svg+xml;charset=utf-8,', ''))).toBe(svg);
+            expect(download.getAttribute('download')).toBe('qr-bbbbbbbb-flyer-variant-1.svg');
+        });
+
+        it('updates the link, size and level as the fields change', () => {
+            const toggle = renderList();
+            configure();
+
+            loadScript();
+            toggle.click();
+
+            setField('utm_content', 'booth A');
+            setField('utm_term', '');
+            setField('size', '1024');
+            setField('level', 'H');
+
+            const link = `${trackingUrl}?utm_content=booth+A`;
+            const panel = document.querySelector('.kntnt-ad-attr-qr-row');
+            const svg = window.kntntAdAttrQrCode.toSvg(window.kntntAdAttrQrCode.encode(link, 'H'), 1024);
+            expect(panel.querySelector('.kntnt-ad-attr-qr-link').textContent).toBe(link);
+            expect(decodeURIComponent(panel.querySelector('.kntnt-ad-attr-qr-svg').getAttribute('href').replace('data:image/svg+xml;charset=utf-8,', ''))).toBe(svg);
+            expect(panel.querySelector('.kntnt-ad-attr-qr-svg').getAttribute('download')).toBe('qr-bbbbbbbb-booth-A.svg');
+        });
+
+        it('draws the PNG with whole pixels per module when downloaded', () => {
+            const toggle = renderList();
+            configure();
+            const fillRect = vi.fn();
+            vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ fillRect });
+            const toDataURL = vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+
+            loadScript();
+            toggle.click();
+            setField('size', '256');
+
+            const png = document.querySelector('.kntnt-ad-attr-qr-png');
+            png.click();
+
+            // The link is version 8 (49 modules), 57 with the quiet zone: 4 pixels each.
+            const qr = window.kntntAdAttrQrCode.encode(`${trackingUrl}?utm_content=flyer&utm_term=variant-1`, 'M');
+            expect(qr.version).toBe(8);
+            expect(fillRect).toHaveBeenCalledWith(0, 0, 228, 228);
+            expect(toDataURL).toHaveBeenCalledWith('image/png');
+            expect(png.getAttribute('href')).toBe('data:image/png;base64,AAAA');
+            expect(png.getAttribute('download')).toBe('qr-bbbbbbbb-flyer-variant-1.png');
+        });
+
+        it('reports links too long for a QR code', () => {
+            const toggle = renderList();
+            configure();
+
+            loadScript();
+            toggle.click();
+            setField('level', 'H');
+            setField('utm_term', 'x'.repeat(1300));
+
+            const panel = document.querySelector('.kntnt-ad-attr-qr-row');
+            expect(panel.querySelector('.kntnt-ad-attr-qr-status').textContent).toBe('The link is too long for a QR code.');
+            expect(panel.querySelector('.kntnt-ad-attr-qr-preview').textContent).toBe('');
+            expect(panel.querySelector('.kntnt-ad-attr-qr-svg').hidden).toBe(true);
+        });
+
+        it('keeps the QR code and breakdown rows apart', () => {
+            const toggle = renderList();
+            configure();
+
+            loadScript();
+            toggle.click();
+            document.querySelector('.kntnt-ad-attr-breakdown-toggle').click();
+            toggle.click();
+
+            expect(document.querySelector('.kntnt-ad-attr-qr-row')).toBeNull();
+            expect(document.querySelector('.kntnt-ad-attr-breakdown-row')).not.toBeNull();
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+        });
+
+    });
+
+    // ─── Campaign list ───
+
+    describe('campaign list', () => {
+
+        /** Renders the list view Admin_Page::render_main_view() outputs. */
+        function renderList({ trash = false, compare = false } = {}) {
+            const filters = trash ? '' : `
+                <div class="alignleft actions kntnt-ad-attr-filters">
+                    <input type="date" name="date_start" value="2026-02-09">
+                    <input type="date" name="date_end" value="2026-02-22">
+                    <span class="kntnt-ad-attr-date-presets hide-if-no-js">
+                        <select class="kntnt-ad-attr-date-preset">
+                            <option value="">Custom range</option>
+                            <option value="last_7_days">Last 7 days</option>
+                            <option value="previous_month">Previous month</option>
+                        </select>
+                        <label><input type="checkbox" name="compare" value="1"${compare ? ' checked' : ''}> Compare to previous period</label>
+                    </span>
+                    <select name="utm_source"><option value="">All Sources</option><option value="google">google</option><option value="meta">meta</option></select>
+                    <select name="utm_medium"><option value="">All Mediums</option></select>
+                    <select name="utm_campaign"><option value="">All Campaigns</option></select>
+                    <label><input type="checkbox" name="suspected" value="1"> Include suspected clicks</label>
+                    <input type="submit" name="filter_action" id="post-query-submit" value="Filter">
+                </div>`;
+            document.body.innerHTML = `
+                <a href="https://example.com/wp-admin/tools.php?page=kntnt-ad-attribution&action=compare&date_start=2026-02-09&date_end=2026-02-22" class="page-title-action">Compare</a>
+                <form method="get" class="kntnt-ad-attr-campaigns">
+                    <input type="hidden" name="page" value="kntnt-ad-attribution">
+                    <p class="search-box"><input type="search" id="kntnt-ad-attr-search-search-input" name="s" value=""><input type="submit" id="search-submit" value="Search"></p>
+                    <div class="tablenav top">
+                        <div class="alignleft actions bulkactions"><select name="action"><option value="-1">Bulk actions</option></select><input type="submit" id="doaction" value="Apply"></div>
+                        ${filters}
+                        <div class="tablenav-pages"><span class="pagination-links"><a class="next-page" href="https://example.com/wp-admin/tools.php?page=kntnt-ad-attribution&paged=2">›</a><input class="current-page" id="current-page-selector" type="text" name="paged" value="1"></span></div>
+                        <br class="clear">
+                    </div>
+                    <table class="wp-list-table widefat fixed striped">
+                        <thead><tr><th class="manage-column sortable desc"><a href="https://example.com/wp-admin/tools.php?page=kntnt-ad-attribution&orderby=total_conversions&order=desc&paged=2">Conversions</a></th></tr></thead>
+                        <tbody id="the-list"><tr><td>old row</td></tr></tbody>
+                        <tfoot><tr><th class="manage-column sortable desc"><a href="#">Conversions</a></th></tr></tfoot>
+                    </table>
+                    <div class="tablenav bottom"><div class="tablenav-pages">old pages</div><br class="clear"></div>
+                </form>
+                <form method="post" class="kntnt-ad-attr-export">
+                    <input type="hidden" name="kntnt_ad_attr_action" value="export_csv">
+                    <input type="hidden" name="date_start" value="2026-02-09">
+                    <input type="hidden" name="utm_source" value="">
+                    <input type="hidden" name="search" value="">
+                </form>`;
+            return document.querySelector('form.kntnt-ad-attr-campaigns');
+        }
+
+        /** Sets the localized configuration of the list view. */
+        function configure() {
+            window.kntntAdAttrAdmin = {
+                reportUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/report',
+                campaignsUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/campaigns',
+                nonce: 'abc123',
+                filters: { date_start: '2026-02-09', date_end: '2026-02-22', utm_source: '', utm_medium: '', utm_campaign: '', suspected: '' },
+                dimensions: {},
+                i18n: {
+                    clicks: 'Clicks',
+                    conversions: 'Conversions',
+                    value: 'Attributed Value',
+                    mixed: '%s (mixed currencies)',
+                    previousPeriod: 'Previous period (%1$s – %2$s):',
+                    listError: 'The list could not be updated.',
+                },
+            };
+        }
 
-        /**
-         * Creates a minimal jQuery mock that supports the auto-fill flow.
-         *
-         * The admin.js change handler does `$(this).val()` where `this`
-         * is the source DOM element. We track which source value to return
-         * and handle both string selectors and DOM element arguments.
-         */
-        function setupJQueryMock({ mediumValue = '', sourceVal = 'google' } = {}) {
-            const select2Spy = vi.fn();
-            const changeHandlers = {};
-            let currentMediumVal = mediumValue;
-
-            // Track the "source element" to recognize $(this) calls.
-            const sourceElement = {};
-
-            const jQueryFn = (selector) => {
-                // $(this) inside the change handler — `this` is sourceElement.
-                if (selector === sourceElement) {
-                    return { val: () => sourceVal };
-                }
-                if (selector === '#kntnt-ad-attr-target-post') {
-                    return { length: 1, select2: select2Spy };
-                }
-                if (selector === '.kntnt-ad-attr-select2-tags') {
-                    return { length: 1, select2: select2Spy };
-                }
-                if (selector === '#kntnt-ad-attr-utm_source') {
-                    return {
-                        on: (event, handler) => { changeHandlers.source = handler; },
-                    };
-                }
-                if (selector === '#kntnt-ad-attr-utm_medium') {
-                    return {
-                        val: (...args) => {
-                            if (args.length === 0) return currentMediumVal;
-                            currentMediumVal = args[0];
-                            return { trigger: vi.fn() };
-                        },
-                        find: (sel) => ({
-                            length: sel.includes('cpc') ? 1 : 0,
-                        }),
-                    };
-                }
-                return { length: 0, select2: vi.fn(), on: vi.fn(), val: vi.fn(), find: vi.fn() };
+        /** Builds a campaigns route response. */
+        function fragments(extra = {}) {
+            return {
+                rows: '<tr><td><code class="kntnt-ad-attr-copy" data-clipboard-text="https://example.com/ad/x">new row</code></td></tr>',
+                column_headers: '<th class="manage-column sorted asc"><a href="#">Conversions</a></th>',
+                column_footers: '<th class="manage-column sorted asc"><a href="#">Conversions</a></th>',
+                pagination: { top: '<div class="tablenav-pages">new top</div>', bottom: '<div class="tablenav-pages">new bottom</div>' },
+                total_items: 1,
+                total_pages: 1,
+                totals: { clicks: 120, conversions: 3, attributed_value: 450, currency: 'SEK' },
+                ...extra,
             };
+        }
+
+        /** Mocks fetch with a JSON response. Returns the spy. */
+        function mockFetch(body, ok = true, status = 200) {
+            const spy = vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+            globalThis.fetch = spy;
+            return spy;
+        }
+
+        /** Waits for the pending fetch promise chain to settle. */
+        function flush() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        /** Returns the query parameters of the nth fetch call. */
+        function requested(spy, n = 0) {
+            return new URL(spy.mock.calls[n][0]).searchParams;
+        }
+
+        /** Changes a form field and lets the change bubble. */
+        function change(field, value) {
+            if (typeof value === 'boolean') {
+                field.checked = value;
+            } else {
+                field.value = value;
+            }
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        beforeEach(() => {
+            history.replaceState(null, '', '/wp-admin/tools.php?page=kntnt-ad-attribution');
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            delete globalThis.fetch;
+        });
+
+        it('leaves the trash view as is', () => {
+            const form = renderList({ trash: true });
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            form.querySelector('.next-page').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+        });
+
+        it('reloads the rows for a filter and pushes the view to the history', async () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            change(form.elements.utm_source, 'meta');
+
+            const [, options] = fetchSpy.mock.calls[0];
+            const params = requested(fetchSpy);
+            expect(params.get('date_start')).toBe('2026-02-09');
+            expect(params.get('date_end')).toBe('2026-02-22');
+            expect(params.get('utm_source')).toBe('meta');
+            expect(params.has('page')).toBe(false);
+            expect(params.has('utm_medium')).toBe(false);
+            expect(options.headers['X-WP-Nonce']).toBe('abc123');
 
-            jQueryFn.fn = { select2: vi.fn() };
+            await flush();
+
+            expect(form.querySelector('tbody').textContent).toBe('new row');
+            expect(form.querySelector('thead th').className).toContain('sorted asc');
+            expect(form.querySelector('.tablenav.top .tablenav-pages').textContent).toBe('new top');
+            expect(form.querySelector('.tablenav.bottom .tablenav-pages').textContent).toBe('new bottom');
+            expect(form.querySelector('.wp-list-table').hasAttribute('aria-busy')).toBe(false);
+
+            const url = new URLSearchParams(window.location.search);
+            expect(url.get('page')).toBe('kntnt-ad-attribution');
+            expect(url.get('utm_source')).toBe('meta');
+            expect(history.state).toEqual({ kntntAdAttrList: true });
+
+            // The breakdown, the export and the model comparison follow the list.
+            expect(window.kntntAdAttrAdmin.filters.utm_source).toBe('meta');
+            expect(document.querySelector('form.kntnt-ad-attr-export input[name="utm_source"]').value).toBe('meta');
+            expect(document.querySelector('.page-title-action').href).toContain('date_start=2026-02-09');
+        });
+
+        it('binds click-to-copy on the new rows', async () => {
+            const form = renderList();
+            configure();
+            mockFetch(fragments());
+            const writeTextSpy = mockClipboard();
+
+            loadScript();
+            change(form.elements.utm_source, 'meta');
+            await flush();
+
+            form.querySelector('tbody .kntnt-ad-attr-copy').click();
+
+            expect(writeTextSpy).toHaveBeenCalledWith('https://example.com/ad/x');
+        });
+
+        it('sorts with the column header links from the first page', () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+            form.querySelector('thead a').dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+            const params = requested(fetchSpy);
+            expect(params.get('orderby')).toBe('total_conversions');
+            expect(params.get('order')).toBe('desc');
+            expect(params.has('paged')).toBe(false);
+        });
+
+        it('pages with the pagination links and the page number input', () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            form.querySelector('.next-page').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+            expect(requested(fetchSpy).get('paged')).toBe('2');
+
+            const input = form.querySelector('.current-page');
+            input.value = '5';
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+            expect(requested(fetchSpy, 1).get('paged')).toBe('5');
+        });
+
+        it('takes over the search without a page reload', () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            form.elements.s.value = 'spring';
+            const event = new Event('submit', { cancelable: true });
+            form.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(requested(fetchSpy).get('s')).toBe('spring');
+        });
+
+        it('applies date range presets in UTC', () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date('2026-03-10T23:30:00Z'));
+
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            const preset = form.querySelector('.kntnt-ad-attr-date-preset');
+
+            change(preset, 'last_7_days');
+            expect(form.elements.date_start.value).toBe('2026-03-03');
+            expect(form.elements.date_end.value).toBe('2026-03-09');
+
+            change(preset, 'previous_month');
+            expect(requested(fetchSpy, 1).get('date_start')).toBe('2026-02-01');
+            expect(requested(fetchSpy, 1).get('date_end')).toBe('2026-02-28');
+        });
+
+        it('selects the preset that matches the dates shown', () => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date('2026-03-10T12:00:00Z'));
+
+            const form = renderList();
+            form.elements.date_start.value = '2026-02-01';
+            form.elements.date_end.value = '2026-02-28';
+            configure();
+            mockFetch(fragments());
+
+            loadScript();
+            const preset = form.querySelector('.kntnt-ad-attr-date-preset');
+            expect(preset.value).toBe('previous_month');
+
+            change(form.elements.date_end, '2026-02-27');
+            expect(preset.value).toBe('');
+        });
+
+        it('compares the totals with the previous period', async () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments({
+                previous: {
+                    date_start: '2026-01-26',
+                    date_end: '2026-02-08',
+                    totals: { clicks: 100, conversions: 4, attributed_value: 500, currency: 'SEK' },
+                },
+            }));
+
+            loadScript();
+            change(form.elements.compare, true);
+            await flush();
+
+            expect(requested(fetchSpy).get('compare')).toBe('1');
+            expect(new URLSearchParams(window.location.search).get('compare')).toBe('1');
+            expect(form.querySelector('.kntnt-ad-attr-comparison').textContent).toBe(
+                'Previous period (2026-01-26 – 2026-02-08): Clicks 100 (+20.0 %) · Conversions 4.0 (-25.0 %) · Attributed Value 500.00 SEK (-10.0 %)',
+            );
+        });
+
+        it('loads the comparison of a view opened with compare', () => {
+            renderList({ compare: true });
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+
+            expect(requested(fetchSpy).get('compare')).toBe('1');
+        });
+
+        it('includes suspected clicks when asked to', async () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            change(form.elements.suspected, true);
+            await flush();
+
+            expect(requested(fetchSpy).get('suspected')).toBe('1');
+            expect(window.kntntAdAttrAdmin.filters.suspected).toBe('1');
+
+            history.replaceState({ kntntAdAttrList: true }, '', '?page=kntnt-ad-attribution&date_start=2026-02-09&date_end=2026-02-22');
+            window.dispatchEvent(new PopStateEvent('popstate', { state: { kntntAdAttrList: true } }));
+
+            expect(form.elements.suspected.checked).toBe(false);
+        });
+
+        it('restores the filters and rows of a view on back navigation', async () => {
+            const form = renderList();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            change(form.elements.utm_source, 'meta');
+            await flush();
+
+            history.replaceState({ kntntAdAttrList: true }, '', '?page=kntnt-ad-attribution&date_start=2026-02-09&date_end=2026-02-22');
+            window.dispatchEvent(new PopStateEvent('popstate', { state: { kntntAdAttrList: true } }));
+
+            expect(form.elements.utm_source.value).toBe('');
+            const params = new URL(fetchSpy.mock.calls.at(-1)[0]).searchParams;
+            expect(params.has('utm_source')).toBe(false);
+            expect(params.get('date_start')).toBe('2026-02-09');
+        });
+
+        it('keeps the rows and shows an error when the request fails', async () => {
+            const form = renderList();
+            configure();
+            mockFetch({ message: 'Invalid date range.' }, false, 400);
+
+            loadScript();
+            change(form.elements.utm_source, 'meta');
+            await flush();
+
+            expect(form.querySelector('tbody').textContent).toBe('old row');
+            expect(form.querySelector('.kntnt-ad-attr-list-status').textContent).toBe('The list could not be updated.');
+            expect(new URLSearchParams(window.location.search).has('utm_source')).toBe(false);
+            expect(form.querySelector('.wp-list-table').hasAttribute('aria-busy')).toBe(false);
+        });
+
+    });
+
+    // ─── Bulk creation ───
+
+    describe('bulk creation', () => {
+
+        /** Renders the bulk view Admin_Page::render_bulk_form() outputs. */
+        function renderBulk() {
+            document.body.innerHTML = `
+                <div id="kntnt-ad-attr-bulk" class="kntnt-ad-attr-bulk hide-if-no-js">
+                    <form class="kntnt-ad-attr-form kntnt-ad-attr-bulk-combinations">
+                        <select id="kntnt-ad-attr-target-post" name="target"><option value="42" selected>Spring sale</option></select>
+                        <textarea id="kntnt-ad-attr-combinations" name="combinations"></textarea>
+                        <button type="submit" class="button">Preview</button>
+                    </form>
+                    <form class="kntnt-ad-attr-form kntnt-ad-attr-bulk-import">
+                        <input type="file" name="file">
+                        <button type="submit" class="button">Preview</button>
+                    </form>
+                    <div class="kntnt-ad-attr-bulk-preview" aria-live="polite"></div>
+                </div>`;
+        }
+
+        /** Sets the localized configuration of the bulk view. */
+        function configure() {
+            window.kntntAdAttrAdmin = {
+                searchUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/search-posts',
+                bulkUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/bulk-create',
+                nonce: 'abc123',
+                utmSources: {},
+                maxRows: 3,
+                i18n: {
+                    row: 'Row',
+                    target: 'Target Page',
+                    trackingUrl: 'Tracking URL',
+                    source: 'Source',
+                    medium: 'Medium',
+                    campaign: 'Campaign',
+                    status: 'Status',
+                    valid: 'OK',
+                    noRows: 'There are no rows to preview.',
+                    tooManyRows: 'At most %d tracking URLs can be created at a time.',
+                    missingColumns: 'The CSV file must have the columns target, utm_source, utm_medium and utm_campaign.',
+                    summary: '%1$d rows, %2$d with errors.',
+                    create: 'Create %d Tracking URLs',
+                    created: '%d tracking URLs created.',
+                    download: 'Download CSV',
+                    bulkError: 'The request failed. Try again.',
+                },
+            };
+        }
 
+        /** Builds a validated row as returned by the dry run. */
+        function validated(row, errors = []) {
             return {
-                jQueryFn,
-                changeHandlers,
-                sourceElement,
-                getMediumVal: () => currentMediumVal,
+                target: row.target,
+                target_post_id: errors.length ? 0 : Number(row.target),
+                target_title: errors.length ? '' : 'Spring sale',
+                utm_source: row.utm_source,
+                utm_medium: row.utm_medium,
+                utm_campaign: row.utm_campaign,
+                errors,
             };
         }
 
-        it('auto-fills medium when source is selected and medium is empty', () => {
-            const { jQueryFn, changeHandlers, sourceElement, getMediumVal } = setupJQueryMock({
-                mediumValue: '',
-                sourceVal: 'google',
+        /** Mocks fetch with one JSON response per call. Returns the spy. */
+        function mockFetch(...responses) {
+            const spy = vi.fn();
+            responses.forEach(([body, ok = true, status = 200]) => {
+                spy.mockResolvedValueOnce({ ok, status, json: () => Promise.resolve(body) });
             });
+            globalThis.fetch = spy;
+            return spy;
+        }
+
+        /** Waits for the pending fetch promise chain to settle. */
+        function flush() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        /** Returns the JSON body of the nth fetch call. */
+        function sent(spy, n = 0) {
+            return JSON.parse(spy.mock.calls[n][1].body);
+        }
+
+        /** Submits a form the way a click on its button does. */
+        function submit(selector) {
+            document.querySelector(selector).dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        }
+
+        /** Selects a CSV file with the given contents in the import form. */
+        function chooseFile(contents) {
+            Object.defineProperty(document.querySelector('input[type="file"]'), 'files', {
+                value: [{ text: () => Promise.resolve(contents) }],
+                configurable: true,
+            });
+        }
+
+        /** Returns the status line of the preview. */
+        function status() {
+            return document.querySelector('.kntnt-ad-attr-bulk-status').textContent;
+        }
+
+        afterEach(() => {
+            delete globalThis.fetch;
+        });
+
+        it('does nothing outside the bulk view', () => {
+            renderBulk();
+            window.kntntAdAttrAdmin = { searchUrl: 'https://example.com/search', nonce: 'abc123' };
+            const fetchSpy = mockFetch([{}]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-combinations');
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+        });
+
+        it('previews each combination for the target page in a dry run', async () => {
+            renderBulk();
+            configure();
+            document.getElementById('kntnt-ad-attr-combinations').value = 'google, cpc, spring\n\nlinkedin,paid-social,"spring, b2b"\n';
+            const fetchSpy = mockFetch([{ rows: [], invalid: 0 }]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-combinations');
+
+            const [url, options] = fetchSpy.mock.calls[0];
+            expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/bulk-create');
+            expect(options.method).toBe('POST');
+            expect(options.headers['X-WP-Nonce']).toBe('abc123');
+            expect(sent(fetchSpy)).toEqual({
+                rows: [
+                    { target: '42', utm_source: 'google', utm_medium: 'cpc', utm_campaign: 'spring' },
+                    { target: '42', utm_source: 'linkedin', utm_medium: 'paid-social', utm_campaign: 'spring, b2b' },
+                ],
+                dry_run: true,
+            });
+        });
+
+        it('shows the errors of each row and offers no creation', async () => {
+            renderBulk();
+            configure();
+            chooseFile('target,utm_source,utm_medium,utm_campaign\n42,google,cpc,spring\n99,,cpc,spring\n');
+            const rows = [
+                { target: '42', utm_source: 'google', utm_medium: 'cpc', utm_campaign: 'spring' },
+                { target: '99', utm_source: '', utm_medium: 'cpc', utm_campaign: 'spring' },
+            ];
+            mockFetch([{
+                rows: [validated(rows[0]), validated(rows[1], ['The target page does not exist or is not published.', 'The source is missing.'])],
+                invalid: 1,
+            }]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-import');
+            await flush();
+
+            expect(status()).toBe('2 rows, 1 with errors.');
+            const cells = Array.from(document.querySelectorAll('.kntnt-ad-attr-bulk-table tbody tr')).map((tr) =>
+                Array.from(tr.cells).map((cell) => cell.textContent),
+            );
+            expect(cells[0]).toEqual(['2', 'Spring sale (#42)', 'google', 'cpc', 'spring', 'OK']);
+            expect(cells[1][0]).toBe('3');
+            expect(cells[1][1]).toBe('99');
+            expect(document.querySelectorAll('.kntnt-ad-attr-bulk-invalid li')).toHaveLength(2);
+            expect(document.querySelector('.kntnt-ad-attr-bulk-create')).toBeNull();
+        });
+
+        it('reads semicolon-separated files with columns in any order', async () => {
+            renderBulk();
+            configure();
+            chooseFile('\uFEFFCampaign;Source;Medium;Target\r\n"spring; ""b2b""";linkedin;paid-social;/spring-sale/\r\n');
+            const fetchSpy = mockFetch([{ rows: [], invalid: 0 }]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-import');
+            await flush();
+
+            expect(sent(fetchSpy).rows).toEqual([
+                { target: '/spring-sale/', utm_source: 'linkedin', utm_medium: 'paid-social', utm_campaign: 'spring; "b2b"' },
+            ]);
+        });
+
+        it('reports missing columns without a request', async () => {
+            renderBulk();
+            configure();
+            chooseFile('target,utm_source,utm_campaign\n42,google,spring\n');
+            const fetchSpy = mockFetch([{}]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-import');
+            await flush();
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(status()).toBe('The CSV file must have the columns target, utm_source, utm_medium and utm_campaign.');
+        });
+
+        it('refuses more rows than can be created at a time', () => {
+            renderBulk();
+            configure();
+            document.getElementById('kntnt-ad-attr-combinations').value = 'a,b,c\nd,e,f\ng,h,i\nj,k,l';
+            const fetchSpy = mockFetch([{}]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-combinations');
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(status()).toBe('At most 3 tracking URLs can be created at a time.');
+        });
+
+        it('creates the previewed rows and offers them as CSV', async () => {
+            renderBulk();
+            configure();
+            document.getElementById('kntnt-ad-attr-combinations').value = 'google,cpc,spring';
+            const row = { target: '42', utm_source: 'google', utm_medium: 'cpc', utm_campaign: 'spring' };
+            const csv = 'tracking_url,hash\nhttps://example.com/ad/abc,abc\n';
+            const fetchSpy = mockFetch(
+                [{ rows: [validated(row)], invalid: 0 }],
+                [{
+                    created: [{ tracking_url: 'https://example.com/ad/abc', hash: 'abc', target_post_id: 42, target_url: 'https://example.com/spring-sale/', ...row }],
+                    csv,
+                }],
+            );
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-combinations');
+            await flush();
+
+            const button = document.querySelector('.kntnt-ad-attr-bulk-create');
+            expect(button.textContent).toBe('Create 1 Tracking URLs');
+            button.click();
+            expect(button.disabled).toBe(true);
+            await flush();
+
+            expect(sent(fetchSpy, 1)).toEqual({ rows: [row], dry_run: false });
+            expect(status()).toBe('1 tracking URLs created.');
+            const download = document.querySelector('.kntnt-ad-attr-bulk-download');
+            expect(download.getAttribute('download')).toBe('kntnt-ad-attribution-tracking-urls.csv');
+            expect(decodeURIComponent(download.getAttribute('href').split(',').slice(1).join(','))).toBe(csv);
+            expect(document.querySelector('.kntnt-ad-attr-bulk-table tbody td').textContent).toBe('https://example.com/ad/abc');
+        });
 
-            window.jQuery = jQueryFn;
+        it('shows the message of a failed request', async () => {
+            renderBulk();
+            configure();
+            document.getElementById('kntnt-ad-attr-combinations').value = 'google,cpc,spring';
+            mockFetch([{ code: 'rest_forbidden', message: 'Sorry, you are not allowed to do that.' }, false, 403]);
+
+            loadScript();
+            submit('.kntnt-ad-attr-bulk-combinations');
+            await flush();
+
+            expect(status()).toBe('Sorry, you are not allowed to do that.');
+            expect(document.querySelector('.kntnt-ad-attr-bulk-preview').hasAttribute('aria-busy')).toBe(false);
+        });
+
+    });
+
+    // ─── Target search ───
+
+    describe('target search', () => {
+
+        /** Renders the target post selector Admin_Page::render_form() outputs. */
+        function renderForm() {
+            document.body.innerHTML = `
+                <form class="kntnt-ad-attr-form">
+                    <label for="kntnt-ad-attr-target-post">Target Page</label>
+                    <select id="kntnt-ad-attr-target-post" name="kntnt_ad_attr_target_post_id">
+                        <option value="42" selected>Spring sale (page #42)</option>
+                    </select>
+                </form>`;
+            return document.getElementById('kntnt-ad-attr-target-post');
+        }
+
+        /** Sets the localized configuration of the form views. */
+        function configure() {
             window.kntntAdAttrAdmin = {
-                searchUrl: 'https://example.com/search',
-                nonce: 'nonce',
-                utmSources: { google: 'cpc', meta: 'paid-social' },
+                searchUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/search-posts',
+                nonce: 'abc123',
+                utmSources: {},
+                i18n: {
+                    searchPlaceholder: '— Search for a page or post —',
+                    searchHint: 'Type at least %d characters to search.',
+                    searching: 'Searching…',
+                    searchResults: '%d results available. Use the up and down arrow keys to choose one.',
+                    noResults: 'No pages or posts found.',
+                    searchError: 'The search failed. Try again.',
+                },
             };
+        }
+
+        /** Mocks fetch with a JSON response. Returns the spy. */
+        function mockFetch(body) {
+            const spy = vi.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(body) });
+            globalThis.fetch = spy;
+            return spy;
+        }
+
+        /** Types a search term into the combobox and waits for the search. */
+        async function type(input, term) {
+            input.value = term;
+            input.dispatchEvent(new Event('input'));
+            await vi.advanceTimersByTimeAsync(300);
+        }
+
+        /** Presses a key in the combobox. */
+        function press(input, key) {
+            input.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+        }
+
+        /** Returns the live region of the combobox. */
+        function status() {
+            return document.querySelector('.kntnt-ad-attr-combobox [role="status"]').textContent;
+        }
+
+        const posts = [
+            { id: 42, title: 'Spring sale', type: 'page' },
+            { id: 43, title: 'Spring news', type: 'post' },
+        ];
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            delete globalThis.fetch;
+        });
+
+        it('does nothing without the search configuration', () => {
+            const select = renderForm();
+
+            expect(() => loadScript()).not.toThrow();
+            expect(select.hidden).toBe(false);
+            expect(document.querySelector('[role="combobox"]')).toBeNull();
+        });
+
+        it('replaces the select with a labelled combobox showing the current target', () => {
+            const select = renderForm();
+            configure();
 
             loadScript();
 
-            // Trigger source change with `this` = sourceElement.
-            expect(changeHandlers.source).toBeDefined();
-            changeHandlers.source.call(sourceElement);
+            const input = document.querySelector('[role="combobox"]');
+            expect(select.hidden).toBe(true);
+            expect(input.value).toBe('Spring sale (page #42)');
+            expect(input.getAttribute('aria-expanded')).toBe('false');
+            expect(input.getAttribute('aria-controls')).toBe(document.querySelector('[role="listbox"]').id);
+            expect(document.querySelector('label').htmlFor).toBe(input.id);
+        });
+
+        it('searches after a pause and announces the number of results', async () => {
+            const select = renderForm();
+            configure();
+            const fetchSpy = mockFetch(posts);
+
+            loadScript();
+            const input = document.querySelector('[role="combobox"]');
+
+            input.value = 'spr';
+            input.dispatchEvent(new Event('input'));
+
+            // Editing the text discards the chosen post.
+            expect(select.value).toBe('');
 
-            expect(getMediumVal()).toBe('cpc');
+            await vi.advanceTimersByTimeAsync(299);
+            expect(fetchSpy).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(1);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+            const [url, options] = fetchSpy.mock.calls[0];
+            expect(new URL(url).searchParams.get('search')).toBe('spr');
+            expect(options.headers['X-WP-Nonce']).toBe('abc123');
+
+            const items = [...document.querySelectorAll('[role="option"]')].map((option) => option.textContent);
+            expect(items).toEqual(['Spring sale (page #42)', 'Spring news (post #43)']);
+            expect(input.getAttribute('aria-expanded')).toBe('true');
+            expect(status()).toBe('2 results available. Use the up and down arrow keys to choose one.');
+
+            // The same term again is answered from the cache.
+            await type(input, 'spr');
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
         });
 
-        it('does not overwrite medium if already has value', () => {
-            const { jQueryFn, changeHandlers, sourceElement, getMediumVal } = setupJQueryMock({
-                mediumValue: 'existing-medium',
-                sourceVal: 'google',
+        it('asks for more characters instead of searching a short term', async () => {
+            renderForm();
+            configure();
+            const fetchSpy = mockFetch(posts);
+
+            loadScript();
+            await type(document.querySelector('[role="combobox"]'), 's');
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(status()).toBe('Type at least 2 characters to search.');
+        });
+
+        it('chooses a result with the arrow keys and Enter', async () => {
+            const select = renderForm();
+            configure();
+            mockFetch(posts);
+            const changed = vi.fn();
+            select.addEventListener('change', changed);
+
+            loadScript();
+            const input = document.querySelector('[role="combobox"]');
+            await type(input, 'spring');
+
+            press(input, 'ArrowDown');
+            press(input, 'ArrowDown');
+            expect(input.getAttribute('aria-activedescendant')).toBe(document.querySelectorAll('[role="option"]')[1].id);
+
+            press(input, 'ArrowDown');
+            expect(document.querySelectorAll('[role="option"]')[0].getAttribute('aria-selected')).toBe('true');
+
+            press(input, 'ArrowUp');
+            press(input, 'Enter');
+
+            expect(select.value).toBe('43');
+            expect(select.options).toHaveLength(1);
+            expect(input.value).toBe('Spring news (post #43)');
+            expect(input.getAttribute('aria-expanded')).toBe('false');
+            expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+            expect(changed).toHaveBeenCalled();
+        });
+
+        it('chooses a result by click and closes the list with Escape', async () => {
+            const select = renderForm();
+            configure();
+            mockFetch(posts);
+
+            loadScript();
+            const input = document.querySelector('[role="combobox"]');
+            await type(input, 'spring');
+
+            press(input, 'Escape');
+            expect(document.querySelector('[role="listbox"]').hidden).toBe(true);
+
+            press(input, 'ArrowDown');
+            expect(document.querySelector('[role="listbox"]').hidden).toBe(false);
+
+            document.querySelectorAll('[role="option"]')[0].click();
+            expect(select.value).toBe('42');
+            expect(document.querySelector('[role="listbox"]').hidden).toBe(true);
+        });
+
+        it('announces when nothing is found and when the search fails', async () => {
+            renderForm();
+            configure();
+            mockFetch([]);
+
+            loadScript();
+            const input = document.querySelector('[role="combobox"]');
+            await type(input, 'winter');
+
+            expect(document.querySelectorAll('[role="option"]')).toHaveLength(0);
+            expect(input.getAttribute('aria-expanded')).toBe('false');
+            expect(status()).toBe('No pages or posts found.');
+
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: false, status: 403, json: () => Promise.resolve({}) });
+            await type(input, 'autumn');
+
+            expect(status()).toBe('The search failed. Try again.');
+        });
+
+    });
+
+    // ─── Report queue ───
+
+    describe('report queue', () => {
+
+        /** Renders the queue table Admin_Page::render_queue_table() outputs. */
+        function renderQueue() {
+            document.body.innerHTML = `
+                <form method="get" id="kntnt-ad-attr-queue" class="kntnt-ad-attr-queue">
+                    <input type="hidden" name="page" value="kntnt-ad-attribution">
+                    <div class="tablenav top">
+                        <div class="alignleft actions kntnt-ad-attr-queue-actions hide-if-no-js">
+                            <select class="kntnt-ad-attr-queue-action"><option value="">Bulk actions</option><option value="retry">Retry now</option><option value="cancel">Cancel</option><option value="requeue">Requeue</option></select>
+                            <button type="button" class="button kntnt-ad-attr-queue-apply">Apply</button>
+                        </div>
+                        <div class="alignleft actions">
+                            <select name="queue_reporter"><option value="">All reporters</option><option value="ga4">ga4</option></select>
+                            <select name="queue_status"><option value="">Active</option><option value="failed">Failed</option></select>
+                            <input type="date" name="queue_date_start" value="">
+                            <input type="date" name="queue_date_end" value="">
+                            <input type="submit" name="queue_filter" value="Filter">
+                        </div>
+                    </div>
+                    <table class="wp-list-table widefat fixed striped">
+                        <tbody><tr>
+                            <th><input type="checkbox" name="job[]" value="7"></th>
+                            <td>ga4<span class="details"><button type="button" class="button-link kntnt-ad-attr-queue-details hide-if-no-js" data-job-id="7">Details</button></span></td>
+                        </tr></tbody>
+                    </table>
+                </form>`;
+            return document.getElementById('kntnt-ad-attr-queue');
+        }
+
+        /** Sets the localized configuration of the list view. */
+        function configure() {
+            window.kntntAdAttrAdmin = {
+                queueUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/queue',
+                nonce: 'abc123',
+                i18n: {
+                    job: 'Job #%d',
+                    close: 'Close',
+                    reporter: 'Reporter',
+                    description: 'Description',
+                    status: 'Status',
+                    statuses: { pending: 'Pending', failed: 'Failed' },
+                    attempts: 'Attempts',
+                    createdAt: 'Created',
+                    processedAt: 'Processed',
+                    retryAfter: 'Next retry',
+                    errorMessage: 'Error',
+                    payload: 'Payload',
+                    jobError: 'The job could not be loaded.',
+                    queueError: 'The queue could not be updated.',
+                    noJobs: 'Select an action and at least one job.',
+                    queueUpdated: '%1$d of %2$d jobs updated.',
+                },
+            };
+        }
+
+        /** Builds a queue route response with two jobs. */
+        function fragments() {
+            return {
+                rows: '<tr><th><input type="checkbox" name="job[]" value="7"></th></tr><tr><th><input type="checkbox" name="job[]" value="8"></th></tr>',
+                total_items: 2,
+            };
+        }
+
+        /** Mocks fetch with JSON responses in turn; the last one repeats. Returns the spy. */
+        function mockFetch(...responses) {
+            const spy = vi.fn();
+            responses.forEach((body) => spy.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(body) }));
+            spy.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(responses[responses.length - 1]) });
+            globalThis.fetch = spy;
+            return spy;
+        }
+
+        /** Waits for the pending fetch promise chains to settle. */
+        function flush() {
+            return new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        /** Changes a form field and lets the change bubble. */
+        function change(field, value) {
+            field.value = value;
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['setInterval'] });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            delete globalThis.fetch;
+        });
+
+        it('reloads the rows for a filter and keeps the selected jobs', async () => {
+            const form = renderQueue();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            form.querySelector('input[name="job[]"]').checked = true;
+            change(form.elements.queue_status, 'failed');
+
+            const [url, options] = fetchSpy.mock.calls[0];
+            const params = new URL(url).searchParams;
+            expect(params.get('queue_status')).toBe('failed');
+            expect(params.has('queue_reporter')).toBe(false);
+            expect(options.headers['X-WP-Nonce']).toBe('abc123');
+
+            await flush();
+
+            const checkboxes = form.querySelectorAll('input[name="job[]"]');
+            expect(checkboxes).toHaveLength(2);
+            expect(checkboxes[0].checked).toBe(true);
+            expect(checkboxes[1].checked).toBe(false);
+        });
+
+        it('polls the queue while the page is visible', () => {
+            renderQueue();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            vi.advanceTimersByTime(10000);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+            Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+            vi.advanceTimersByTime(10000);
+            delete document.hidden;
+
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('shows the payload and full error of a job in a side panel', async () => {
+            const form = renderQueue();
+            configure();
+            const fetchSpy = mockFetch({
+                id: 7,
+                reporter: 'ga4',
+                label: null,
+                status: 'failed',
+                attempts: 9,
+                created_at: '2026-02-20 09:30:00',
+                processed_at: '2026-02-20 15:30:00',
+                retry_after: null,
+                error_message: 'HTTP 500: Internal error',
+                payload: { gclid: 'abc' },
             });
 
-            window.jQuery = jQueryFn;
+            loadScript();
+            const details = form.querySelector('.kntnt-ad-attr-queue-details');
+            details.click();
+
+            expect(fetchSpy.mock.calls[0][0]).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/queue/7');
+
+            const panel = document.querySelector('.kntnt-ad-attr-queue-panel');
+            expect(panel.getAttribute('role')).toBe('dialog');
+            expect(panel.querySelector('h3').textContent).toBe('Job #7');
+            expect(document.activeElement).toBe(panel.querySelector('.kntnt-ad-attr-queue-panel-close'));
+
+            await flush();
+
+            expect(panel.hasAttribute('aria-busy')).toBe(false);
+            expect(panel.querySelector('dl').textContent).toContain('Failed');
+            const pre = panel.querySelectorAll('pre');
+            expect(pre[0].textContent).toBe('HTTP 500: Internal error');
+            expect(JSON.parse(pre[1].textContent)).toEqual({ gclid: 'abc' });
+
+            panel.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+            expect(document.querySelector('.kntnt-ad-attr-queue-panel')).toBeNull();
+            expect(document.activeElement).toBe(details);
+        });
+
+        it('applies an action to the selected jobs and reloads the rows', async () => {
+            const form = renderQueue();
+            configure();
+            const fetchSpy = mockFetch({ results: [{ id: 7, ok: true }] }, fragments());
+
+            loadScript();
+            form.querySelector('input[name="job[]"]').checked = true;
+            form.querySelector('.kntnt-ad-attr-queue-action').value = 'requeue';
+            form.querySelector('.kntnt-ad-attr-queue-apply').click();
+
+            const [url, options] = fetchSpy.mock.calls[0];
+            expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/queue/actions');
+            expect(options.method).toBe('POST');
+            expect(JSON.parse(options.body)).toEqual({ action: 'requeue', ids: [7] });
+
+            await flush();
+            await flush();
+
+            expect(form.querySelector('.kntnt-ad-attr-queue-message').textContent).toBe('1 of 1 jobs updated.');
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+            expect(form.querySelectorAll('input[name="job[]"]:checked')).toHaveLength(0);
+        });
+
+        it('asks for a selection before applying an action', () => {
+            const form = renderQueue();
+            configure();
+            const fetchSpy = mockFetch(fragments());
+
+            loadScript();
+            form.querySelector('.kntnt-ad-attr-queue-action').value = 'cancel';
+            form.querySelector('.kntnt-ad-attr-queue-apply').click();
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(form.querySelector('.kntnt-ad-attr-queue-message').textContent).toBe('Select an action and at least one job.');
+        });
+
+        it('reports a failed refresh', async () => {
+            const form = renderQueue();
+            configure();
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+            loadScript();
+            form.dispatchEvent(new Event('submit', { cancelable: true }));
+            await flush();
+
+            expect(form.querySelector('.kntnt-ad-attr-queue-message').textContent).toBe('The queue could not be updated.');
+        });
+
+    });
+
+    // ─── UTM auto-fill ───
+
+    describe('UTM auto-fill', () => {
+
+        /** Renders the UTM inputs Admin_Page::render_form() outputs. */
+        function renderForm(medium = '') {
+            document.body.innerHTML = `
+                <form class="kntnt-ad-attr-form">
+                    <input type="text" id="kntnt-ad-attr-utm_source" name="kntnt_ad_attr_utm_source" list="kntnt-ad-attr-utm_source-options">
+                    <datalist id="kntnt-ad-attr-utm_source-options"><option value="google"></option><option value="meta"></option></datalist>
+                    <input type="text" id="kntnt-ad-attr-utm_medium" name="kntnt_ad_attr_utm_medium" list="kntnt-ad-attr-utm_medium-options" value="${medium}">
+                    <datalist id="kntnt-ad-attr-utm_medium-options"><option value="cpc"></option></datalist>
+                </form>`;
             window.kntntAdAttrAdmin = {
-                searchUrl: 'https://example.com/search',
-                nonce: 'nonce',
-                utmSources: { google: 'cpc' },
+                utmSources: { google: 'cpc', meta: 'paid-social' },
             };
+        }
+
+        /** Enters a source. */
+        function enterSource(value) {
+            const source = document.getElementById('kntnt-ad-attr-utm_source');
+            source.value = value;
+            source.dispatchEvent(new Event('change'));
+        }
+
+        it('auto-fills medium when source is entered and medium is empty', () => {
+            renderForm();
 
             loadScript();
+            enterSource('google');
+
+            expect(document.getElementById('kntnt-ad-attr-utm_medium').value).toBe('cpc');
+        });
+
+        it('does not overwrite medium if already has value', () => {
+            renderForm('existing-medium');
 
-            changeHandlers.source.call(sourceElement);
+            loadScript();
+            enterSource('google');
+
+            expect(document.getElementById('kntnt-ad-attr-utm_medium').value).toBe('existing-medium');
+        });
+
+        it('does not fill in a default medium that is not suggested', () => {
+            renderForm();
+
+            loadScript();
+            enterSource('meta');
 
-            expect(getMediumVal()).toBe('existing-medium');
+            expect(document.getElementById('kntnt-ad-attr-utm_medium').value).toBe('');
         });
 
     });
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for dashboard.js.
+ *
+ * Tests fetching the time series and drawing the charts on the dashboard
+ * tab. The script is an IIFE that auto-executes on load.
+ *
+ * @package Tests/JS
+ * @since   1.9.0
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const scriptPath = resolve(__dirname, '../../js/dashboard.js');
+const scriptSource = readFileSync(scriptPath, 'utf-8');
+
+/**
+ * Evaluates the IIFE script in the current global context.
+ */
+function loadScript() {
+    const fn = new Function(scriptSource);
+    fn();
+}
+
+/** Waits for the pending fetch promise chain to settle. */
+function flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/** Renders the markup Dashboard::render_tab() outputs. */
+function renderTab() {
+    document.body.innerHTML = `
+        <div id="kntnt-ad-attr-dashboard" class="kntnt-ad-attr-dashboard">
+            <form class="kntnt-ad-attr-filters kntnt-ad-attr-dashboard-controls">
+                <input type="date" name="date_start" value="2026-02-09">
+                <input type="date" name="date_end" value="2026-02-11">
+                <select name="interval"><option value="day">Daily</option><option value="week">Weekly</option></select>
+                <select name="group_by"><option value="utm_source">Source</option><option value="utm_medium">Medium</option></select>
+            </form>
+            <p class="kntnt-ad-attr-dashboard-status" role="status"></p>
+            <div class="kntnt-ad-attr-chart" data-metric="clicks"></div>
+            <div class="kntnt-ad-attr-chart" data-metric="conversions"></div>
+            <div class="kntnt-ad-attr-chart" data-metric="rate"></div>
+        </div>`;
+}
+
+/** Mocks fetch with a JSON response. Returns the spy. */
+function mockFetch(body, ok = true, status = 200) {
+    const spy = vi.fn().mockResolvedValue({
+        ok,
+        status,
+        json: () => Promise.resolve(body),
+    });
+    globalThis.fetch = spy;
+    return spy;
+}
+
+/** Builds a series with the given clicks and conversions. */
+function series(key, clicks, conversions) {
+    return { key, clicks, conversions };
+}
+
+/** Returns the chart container for a metric. */
+function chart(metric) {
+    return document.querySelector(`.kntnt-ad-attr-chart[data-metric="${metric}"]`);
+}
+
+/** Returns the cell texts of a chart's data table, row by row. */
+function tableCells(metric) {
+    return Array.from(chart(metric).querySelectorAll('table tr')).map((row) =>
+        Array.from(row.children).map((cell) => cell.textContent),
+    );
+}
+
+const periods = ['2026-02-09', '2026-02-10', '2026-02-11'];
+
+describe('dashboard.js', () => {
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        delete window.kntntAdAttrDashboard;
+
+        // Ensure DOM is ready so init runs immediately.
+        Object.defineProperty(document, 'readyState', {
+            value: 'complete',
+            writable: true,
+            configurable: true,
+        });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        delete globalThis.fetch;
+    });
+
+    /** Sets the localized configuration. */
+    function configure() {
+        window.kntntAdAttrDashboard = {
+            reportUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/dashboard',
+            nonce: 'abc123',
+            i18n: {
+                clicks: 'Clicks',
+                conversions: 'Conversions',
+                conversionRate: 'Conversion rate',
+                other: 'Other',
+                none: '(not set)',
+                noData: 'No clicks in this date range.',
+                error: 'The dashboard data could not be loaded.',
+            },
+        };
+    }
+
+    it('does nothing without the localized configuration', () => {
+        renderTab();
+        const fetchSpy = mockFetch({ periods, series: [] });
+
+        loadScript();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('does nothing without the dashboard container', () => {
+        configure();
+        const fetchSpy = mockFetch({ periods, series: [] });
+
+        loadScript();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('requests the series for the controls with the REST nonce', () => {
+        renderTab();
+        configure();
+        const fetchSpy = mockFetch({ periods, series: [] });
+
+        loadScript();
+
+        const [url, options] = fetchSpy.mock.calls[0];
+        const params = new URL(url).searchParams;
+        expect(params.get('date_start')).toBe('2026-02-09');
+        expect(params.get('date_end')).toBe('2026-02-11');
+        expect(params.get('interval')).toBe('day');
+        expect(params.get('group_by')).toBe('utm_source');
+        expect(options.headers['X-WP-Nonce']).toBe('abc123');
+    });
+
+    it('draws one line per group in each chart', async () => {
+        renderTab();
+        configure();
+        mockFetch({
+            periods,
+            series: [series('google', [10, 20, 5], [1, 2, 0]), series('meta', [4, 0, 2], [0.5, 0, 1])],
+        });
+
+        loadScript();
+        await flush();
+
+        ['clicks', 'conversions', 'rate'].forEach((metric) => {
+            expect(chart(metric).querySelectorAll('polyline')).toHaveLength(2);
+        });
+        const legend = Array.from(chart('clicks').querySelectorAll('li')).map((li) => li.textContent);
+        expect(legend).toEqual(['google', 'meta']);
+    });
+
+    it('computes the conversion rate per period', async () => {
+        renderTab();
+        configure();
+        mockFetch({ periods, series: [series('google', [10, 20, 0], [1, 5, 0])] });
+
+        loadScript();
+        await flush();
+
+        expect(tableCells('rate')).toEqual([
+            ['Conversion rate', 'google'],
+            ['2026-02-09', '10.0 %'],
+            ['2026-02-10', '25.0 %'],
+            ['2026-02-11', '0.0 %'],
+        ]);
+    });
+
+    it('sums groups beyond the sixth as Other', async () => {
+        renderTab();
+        configure();
+        mockFetch({
+            periods,
+            series: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((key) => series(key, [1, 1, 1], [0, 0, 0])),
+        });
+
+        loadScript();
+        await flush();
+
+        const legend = Array.from(chart('clicks').querySelectorAll('li')).map((li) => li.textContent);
+        expect(legend).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'Other']);
+        expect(tableCells('clicks')[1]).toEqual(['2026-02-09', '1', '1', '1', '1', '1', '1', '2']);
+    });
+
+    it('labels tracking URLs without the dimension as not set', async () => {
+        renderTab();
+        configure();
+        mockFetch({ periods, series: [series('', [1, 0, 0], [0, 0, 0])] });
+
+        loadScript();
+        await flush();
+
+        expect(chart('clicks').querySelector('li').textContent).toBe('(not set)');
+    });
+
+    it('shows a message when there are no clicks', async () => {
+        renderTab();
+        configure();
+        mockFetch({ periods, series: [] });
+
+        loadScript();
+        await flush();
+
+        expect(document.querySelector('.kntnt-ad-attr-dashboard-status').textContent).toBe('No clicks in this date range.');
+        expect(document.querySelectorAll('svg')).toHaveLength(0);
+    });
+
+    it('shows an error when the request fails', async () => {
+        renderTab();
+        configure();
+        mockFetch({ message: 'Invalid date range.' }, false, 400);
+
+        loadScript();
+        await flush();
+
+        expect(document.querySelector('.kntnt-ad-attr-dashboard-status').textContent).toBe('The dashboard data could not be loaded.');
+        expect(document.getElementById('kntnt-ad-attr-dashboard').hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('reloads when a control changes', async () => {
+        renderTab();
+        configure();
+        const fetchSpy = mockFetch({ periods, series: [] });
+
+        loadScript();
+        await flush();
+
+        const interval = document.querySelector('select[name="interval"]');
+        interval.value = 'week';
+        interval.dispatchEvent(new Event('change', { bubbles: true }));
+
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+        expect(new URL(fetchSpy.mock.calls[1][0]).searchParams.get('interval')).toBe('week');
+    });
+
+});
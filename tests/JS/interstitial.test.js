@@ -0,0 +1,261 @@
+/**
+ * Unit tests for interstitial.js.
+ *
+ * Tests confirming the click, handing a pending click to the client
+ * script's storage and continuing to the target page. The script is an
+ * IIFE that auto-executes on load.
+ *
+ * @package Tests/JS
+ * @since   1.9.0
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const scriptPath = resolve(__dirname, '../../js/interstitial.js');
+const scriptSource = readFileSync(scriptPath, 'utf-8');
+
+const HASH = 'a'.repeat(64);
+const SIG = 'b'.repeat(64);
+const CLICK = `${HASH}.1700000000.${SIG}`;
+
+/**
+ * Evaluates the IIFE script in the current global context.
+ */
+function loadScript() {
+    const fn = new Function(scriptSource);
+    fn();
+}
+
+/** Lets the pending promise chains and zero-delay timers settle. */
+async function flush() {
+    await vi.advanceTimersByTimeAsync(0);
+}
+
+/** Renders the markup Interstitial::get_html() outputs with the given configuration. */
+function renderPage(config) {
+    const main = document.createElement('main');
+    main.id = 'kntnt-ad-attr-interstitial';
+    main.setAttribute('data-config', JSON.stringify({
+        target: 'https://example.com/target/?utm_source=google',
+        confirmUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/confirm-click',
+        click: CLICK,
+        pending: false,
+        storage: 'session',
+        delay: 0,
+        ...config,
+    }));
+    document.body.replaceChildren(main);
+}
+
+/** Mocks fetch with a JSON response. Returns the spy. */
+function mockFetch(body, ok = true) {
+    const spy = vi.fn().mockResolvedValue({ ok, json: () => Promise.resolve(body) });
+    globalThis.fetch = spy;
+    return spy;
+}
+
+/** Reads the entries kept in the given storage. */
+function storedEntries(storage = sessionStorage) {
+    const raw = storage.getItem('kntnt_ad_attr_hashes');
+    return raw ? JSON.parse(raw) : null;
+}
+
+describe('interstitial.js', () => {
+
+    let replaceSpy;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        sessionStorage.clear();
+        localStorage.clear();
+        document.body.innerHTML = '';
+        delete window.kntntAdAttribution;
+        delete window.kntntAdAttributionGetConsent;
+        Object.defineProperty(document, 'readyState', { value: 'complete', writable: true, configurable: true });
+        replaceSpy = vi.spyOn(window.location, 'replace').mockImplementation(() => {});
+        vi.spyOn(Date, 'now').mockReturnValue(1700000005000);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete globalThis.fetch;
+    });
+
+    it('confirms the click and continues to the target page', async () => {
+        renderPage({});
+        const fetchSpy = mockFetch({ success: true, consent: 'yes' });
+
+        loadScript();
+        await flush();
+
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/confirm-click');
+        expect(options.method).toBe('POST');
+        expect(options.keepalive).toBe(true);
+        expect(JSON.parse(options.body)).toEqual({ click: CLICK });
+        expect(replaceSpy).toHaveBeenCalledWith('https://example.com/target/?utm_source=google');
+        expect(storedEntries()).toBeNull();
+    });
+
+    it('stores a pending click in the shape the client script reads', async () => {
+        renderPage({ pending: true });
+        sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+            { hash: HASH, ts: 1690000000 },
+            { hash: 'c'.repeat(64), ts: 1699999000 },
+        ]));
+        mockFetch({ success: true, consent: 'unknown' });
+
+        loadScript();
+        await flush();
+
+        expect(storedEntries()).toEqual([
+            { hash: 'c'.repeat(64), ts: 1699999000 },
+            { hash: HASH, ts: 1700000005, clickedAt: 1700000000, sig: SIG },
+        ]);
+        expect(replaceSpy).toHaveBeenCalledWith('https://example.com/target/?utm_source=google');
+    });
+
+    it('uses local storage when configured', async () => {
+        renderPage({ pending: true, storage: 'local' });
+        mockFetch({ success: true, consent: 'unknown' });
+
+        loadScript();
+        await flush();
+
+        expect(storedEntries(localStorage)).toHaveLength(1);
+        expect(storedEntries(sessionStorage)).toBeNull();
+    });
+
+    it('does not store a pending click once consent is decided', async () => {
+        renderPage({ pending: true });
+        mockFetch({ success: true, consent: 'no' });
+
+        loadScript();
+        await flush();
+
+        expect(storedEntries()).toBeNull();
+        expect(replaceSpy).toHaveBeenCalledOnce();
+    });
+
+    it('passes a pending click in the URL fragment without Web Storage', async () => {
+        renderPage({ pending: true, storage: 'memory', target: 'https://example.com/target/#section' });
+        mockFetch({ success: true, consent: 'unknown' });
+
+        loadScript();
+        await flush();
+
+        expect(replaceSpy).toHaveBeenCalledWith(`https://example.com/target/#_aah=${CLICK}`);
+    });
+
+    it('keeps a pending click when the confirmation fails', async () => {
+        renderPage({ pending: true });
+        globalThis.fetch = vi.fn().mockRejectedValue(new Error('offline'));
+
+        loadScript();
+        await flush();
+
+        expect(storedEntries()).toHaveLength(1);
+        expect(replaceSpy).toHaveBeenCalledOnce();
+    });
+
+    it('configures the client script for its consent check while consent is pending', () => {
+        renderPage({ pending: true, consentAdapter: 'gcm', consentServiceId: 'ads' });
+        mockFetch({ success: true, consent: 'unknown' });
+
+        loadScript();
+
+        expect(window.kntntAdAttribution).toEqual({ consentAdapter: 'gcm', consentServiceId: 'ads', consentOnly: true });
+    });
+
+    it('leaves the client script unconfigured once consent is decided', () => {
+        renderPage({ pending: false });
+        mockFetch({ success: true, consent: 'yes' });
+
+        loadScript();
+
+        expect(window.kntntAdAttribution).toBeUndefined();
+    });
+
+    it('sends the consent read on the page with the confirmation', async () => {
+        renderPage({ pending: true });
+        window.kntntAdAttributionGetConsent = (callback) => {
+            callback('unknown');
+            setTimeout(() => callback('yes'), 300);
+        };
+        const fetchSpy = mockFetch({ success: true, consent: 'yes' });
+
+        loadScript();
+        await vi.advanceTimersByTimeAsync(300);
+
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({ click: CLICK, consent: 'yes' });
+        expect(storedEntries()).toBeNull();
+        expect(replaceSpy).toHaveBeenCalledOnce();
+    });
+
+    it('confirms without consent when the consent check does not decide in time', async () => {
+        renderPage({ pending: true });
+        window.kntntAdAttributionGetConsent = (callback) => callback('unknown');
+        const fetchSpy = mockFetch({ success: true, consent: 'unknown' });
+
+        loadScript();
+        await vi.advanceTimersByTimeAsync(999);
+        expect(fetchSpy).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({ click: CLICK });
+        expect(storedEntries()).toHaveLength(1);
+    });
+
+    it('waits for the deferred scripts before confirming', async () => {
+        renderPage({});
+        document.readyState = 'interactive';
+        const fetchSpy = mockFetch({ success: true, consent: 'yes' });
+
+        loadScript();
+        await flush();
+        expect(fetchSpy).not.toHaveBeenCalled();
+
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        await flush();
+        expect(fetchSpy).toHaveBeenCalledOnce();
+    });
+
+    it('waits for the configured delay', async () => {
+        renderPage({ delay: 1500 });
+        mockFetch({ success: true, consent: 'yes' });
+
+        loadScript();
+        await vi.advanceTimersByTimeAsync(1499);
+        expect(replaceSpy).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(replaceSpy).toHaveBeenCalledOnce();
+    });
+
+    it('moves on when the confirmation takes too long', async () => {
+        renderPage({});
+        globalThis.fetch = vi.fn().mockReturnValue(new Promise(() => {}));
+
+        loadScript();
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(replaceSpy).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(replaceSpy).toHaveBeenCalledOnce();
+    });
+
+    it('does nothing without a readable configuration', async () => {
+        document.body.innerHTML = '<main id="kntnt-ad-attr-interstitial" data-config="{broken"></main>';
+        const fetchSpy = mockFetch({});
+
+        loadScript();
+        await flush();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        expect(replaceSpy).not.toHaveBeenCalled();
+    });
+
+});
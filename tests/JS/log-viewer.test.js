@@ -0,0 +1,252 @@
+/**
+ * Unit tests for log-viewer.js.
+ *
+ * Tests loading, filtering and refreshing the log entries on the settings
+ * page. The script is an IIFE that auto-executes on load.
+ *
+ * @package Tests/JS
+ * @since   1.9.0
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const scriptPath = resolve(__dirname, '../../js/log-viewer.js');
+const scriptSource = readFileSync(scriptPath, 'utf-8');
+
+/**
+ * Evaluates the IIFE script in the current global context.
+ */
+function loadScript() {
+    const fn = new Function(scriptSource);
+    fn();
+}
+
+/** Waits for the pending fetch promise chain to settle. */
+async function flush() {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+/** Renders the markup Settings_Page::render_log_viewer() outputs. */
+function renderViewer() {
+    document.body.innerHTML = `
+        <form method="post" action="options.php">
+            <div id="kntnt-ad-attr-log" class="kntnt-ad-attr-log hide-if-no-js">
+                <div class="kntnt-ad-attr-log-controls">
+                    <select class="kntnt-ad-attr-log-level"><option value="">All levels</option><option value="info">Info</option><option value="error">Error</option></select>
+                    <select class="kntnt-ad-attr-log-prefix"><option value="">All sources</option></select>
+                    <input type="search" class="kntnt-ad-attr-log-search">
+                    <input type="checkbox" class="kntnt-ad-attr-log-refresh" checked>
+                </div>
+                <p class="kntnt-ad-attr-log-status" role="status"></p>
+                <div class="kntnt-ad-attr-log-entries"></div>
+            </div>
+        </form>`;
+    return document.getElementById('kntnt-ad-attr-log');
+}
+
+/** Sets the localized configuration. */
+function configure() {
+    window.kntntAdAttrLog = {
+        logUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/log',
+        nonce: 'abc123',
+        i18n: {
+            time: 'Time',
+            source: 'Source',
+            level: 'Level',
+            message: 'Message',
+            levels: { info: 'Info', error: 'Error' },
+            showing: 'Showing the newest %1$d of %2$d entries.',
+            entries: '%d entries.',
+            noEntries: 'No log entries match the filters.',
+            error: 'The log could not be loaded.',
+        },
+    };
+}
+
+/** Builds a log route response. */
+function response(extra = {}) {
+    return {
+        entries: [
+            { time: '2026-02-26 13:19:05+01:00', prefix: 'GADS', level: 'error', message: 'HTTP 401 for access_token=********Z9x2' },
+            { time: '2026-02-26 13:19:03+01:00', prefix: 'CORE', level: 'info', message: 'Queue run started' },
+        ],
+        total: 2,
+        prefixes: ['CORE', 'GADS'],
+        ...extra,
+    };
+}
+
+/** Mocks fetch with a JSON response. Returns the spy. */
+function mockFetch(body, ok = true, status = 200) {
+    const spy = vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+    globalThis.fetch = spy;
+    return spy;
+}
+
+/** Returns the query parameters of the nth fetch call. */
+function requested(spy, n = 0) {
+    return new URL(spy.mock.calls[n][0]).searchParams;
+}
+
+describe('log-viewer.js', () => {
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        delete window.kntntAdAttrLog;
+        Object.defineProperty(document, 'readyState', { value: 'complete', writable: true, configurable: true });
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        delete globalThis.fetch;
+    });
+
+    it('does nothing without the configuration', () => {
+        renderViewer();
+        const fetchSpy = mockFetch(response());
+
+        loadScript();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('loads the entries with the nonce and renders them as text', async () => {
+        const root = renderViewer();
+        configure();
+        const fetchSpy = mockFetch(response({
+            entries: [{ time: '2026-02-26 13:19:03+01:00', prefix: 'CORE', level: 'info', message: '<img src=x onerror=alert(1)>' }],
+            total: 1,
+        }));
+
+        loadScript();
+
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/log');
+        expect(options.headers['X-WP-Nonce']).toBe('abc123');
+
+        await flush();
+
+        const cells = root.querySelectorAll('tbody td');
+        expect(cells[0].textContent).toBe('2026-02-26 13:19:03+01:00');
+        expect(cells[1].textContent).toBe('CORE');
+        expect(cells[2].textContent).toBe('Info');
+        expect(cells[3].querySelector('pre').textContent).toBe('<img src=x onerror=alert(1)>');
+        expect(root.querySelector('img')).toBeNull();
+        expect(root.querySelector('.kntnt-ad-attr-log-status').textContent).toBe('1 entries.');
+        expect(root.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('offers the sources in the log and keeps the selected one', async () => {
+        const root = renderViewer();
+        configure();
+        const fetchSpy = mockFetch(response());
+
+        loadScript();
+        await flush();
+
+        const prefix = root.querySelector('.kntnt-ad-attr-log-prefix');
+        expect(Array.from(prefix.options).map((o) => o.value)).toEqual(['', 'CORE', 'GADS']);
+
+        fetchSpy.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(response({ prefixes: ['CORE'] })) });
+        prefix.value = 'GADS';
+        prefix.dispatchEvent(new Event('change'));
+        expect(requested(fetchSpy, 1).get('prefix')).toBe('GADS');
+
+        await flush();
+
+        expect(prefix.value).toBe('GADS');
+        expect(Array.from(prefix.options).map((o) => o.value)).toEqual(['', 'CORE', 'GADS']);
+    });
+
+    it('filters by level and searches after a pause', async () => {
+        const root = renderViewer();
+        configure();
+        const fetchSpy = mockFetch(response());
+
+        loadScript();
+
+        const level = root.querySelector('.kntnt-ad-attr-log-level');
+        level.value = 'error';
+        level.dispatchEvent(new Event('change'));
+        expect(requested(fetchSpy, 1).get('level')).toBe('error');
+
+        const search = root.querySelector('.kntnt-ad-attr-log-search');
+        search.value = ' 401 ';
+        search.dispatchEvent(new Event('input'));
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+        vi.advanceTimersByTime(300);
+        expect(requested(fetchSpy, 2).get('search')).toBe('401');
+        expect(requested(fetchSpy, 2).get('level')).toBe('error');
+    });
+
+    it('searches on Enter without submitting the settings form', () => {
+        const root = renderViewer();
+        configure();
+        const fetchSpy = mockFetch(response());
+
+        loadScript();
+
+        const search = root.querySelector('.kntnt-ad-attr-log-search');
+        search.value = 'queue';
+        const event = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+        search.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(requested(fetchSpy, 1).get('search')).toBe('queue');
+    });
+
+    it('refreshes while enabled and the page is visible', () => {
+        const root = renderViewer();
+        configure();
+        const fetchSpy = mockFetch(response());
+
+        loadScript();
+        vi.advanceTimersByTime(5000);
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+        root.querySelector('.kntnt-ad-attr-log-refresh').checked = false;
+        vi.advanceTimersByTime(5000);
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+
+        root.querySelector('.kntnt-ad-attr-log-refresh').checked = true;
+        Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+        vi.advanceTimersByTime(5000);
+        delete document.hidden;
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('tells how many of the matching entries are shown', async () => {
+        const root = renderViewer();
+        configure();
+        mockFetch(response({ total: 812 }));
+
+        loadScript();
+        await flush();
+
+        expect(root.querySelector('.kntnt-ad-attr-log-status').textContent).toBe('Showing the newest 2 of 812 entries.');
+    });
+
+    it('reports an empty result and a failed request', async () => {
+        const root = renderViewer();
+        configure();
+        mockFetch(response({ entries: [], total: 0 }));
+
+        loadScript();
+        await flush();
+
+        expect(root.querySelector('.kntnt-ad-attr-log-status').textContent).toBe('No log entries match the filters.');
+        expect(root.querySelector('table')).toBeNull();
+
+        mockFetch({}, false, 403);
+        vi.advanceTimersByTime(5000);
+        await flush();
+
+        expect(root.querySelector('.kntnt-ad-attr-log-status').textContent).toBe('The log could not be loaded.');
+    });
+
+});
@@ -26,6 +26,17 @@ function loadScript() {
     fn();
 }
 
+/** Reads the hashes kept in sessionStorage, or null if there are none. */
+function storedHashes() {
+    const raw = sessionStorage.getItem('kntnt_ad_attr_hashes');
+    return raw ? JSON.parse(raw).map((entry) => entry.hash) : null;
+}
+
+/** Reads the hashes sent in the body of a set-cookie request. */
+function sentHashes(options) {
+    return JSON.parse(options.body).clicks.map((click) => click.hash);
+}
+
 /** Generates a valid 64-char hex hash. */
 function fakeHash(seed = 'a') {
     return seed.repeat(64).slice(0, 64);
@@ -42,6 +53,16 @@ describe('pending-consent.js', () => {
         delete window.kntntAdAttributionGetConsent;
         delete window.kntntAdAttribution;
 
+        // Remove any consent management platform left by a previous test.
+        delete window.__tcfapi;
+        delete window.Cookiebot;
+        delete window.getCkyConsent;
+        delete window.cmplz_has_consent;
+        delete window.BorlabsCookie;
+        delete window.dataLayer;
+        document.cookie = 'cmplz_marketing=; max-age=0; path=/';
+        document.cookie = 'borlabs-cookie=; max-age=0; path=/';
+
         // Default localized config (mimics wp_localize_script output).
         window.kntntAdAttribution = {
             restUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie',
@@ -74,7 +95,7 @@ describe('pending-consent.js', () => {
             // Consent returns 'unknown' so hashes stay in storage.
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            const stored = storedHashes();
             expect(stored).toContain(hash);
         });
 
@@ -95,7 +116,7 @@ describe('pending-consent.js', () => {
 
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            const stored = storedHashes();
             expect(stored).toContain(hash);
         });
 
@@ -122,7 +143,7 @@ describe('pending-consent.js', () => {
 
         it('merges new hashes with existing sessionStorage entries', () => {
             const existing = fakeHash('f');
-            const newHash = fakeHash('g');
+            const newHash = fakeHash('6');
 
             // Pre-populate storage.
             sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([existing]));
@@ -130,7 +151,7 @@ describe('pending-consent.js', () => {
 
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            const stored = storedHashes();
             expect(stored).toContain(existing);
             expect(stored).toContain(newHash);
         });
@@ -142,7 +163,7 @@ describe('pending-consent.js', () => {
     describe('deduplication', () => {
 
         it('deduplicates identical hashes in sessionStorage', () => {
-            const hash = fakeHash('h');
+            const hash = fakeHash('7');
 
             // Pre-populate with the hash, then add the same via cookie.
             sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
@@ -150,13 +171,289 @@ describe('pending-consent.js', () => {
 
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            const stored = storedHashes();
             const occurrences = stored.filter(h => h === hash).length;
             expect(occurrences).toBe(1);
         });
 
     });
 
+    // ─── Storage backends ───
+
+    describe('storage backends', () => {
+
+        const DAY = 86400;
+        const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+        beforeEach(() => {
+            localStorage.clear();
+        });
+
+        it('stores hashes with their click time', () => {
+            const hash = fakeHash('6');
+            document.cookie = `_aah_pending=${hash}; path=/`;
+
+            loadScript();
+
+            const [entry] = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entry.hash).toBe(hash);
+            expect(Math.abs(entry.ts - nowSeconds())).toBeLessThanOrEqual(1);
+        });
+
+        it('converts hashes stored by earlier versions', () => {
+            const hash = fakeHash('h');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+            window.kntntAdAttributionGetConsent = (callback) => callback('unknown');
+
+            loadScript();
+
+            const [entry] = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entry).toMatchObject({ hash });
+            expect(typeof entry.ts).toBe('number');
+        });
+
+        it('keeps hashes in localStorage when configured', () => {
+            const hash = fakeHash('8');
+            window.kntntAdAttribution.storage = 'local';
+            document.cookie = `_aah_pending=${hash}; path=/`;
+
+            loadScript();
+
+            expect(JSON.parse(localStorage.getItem('kntnt_ad_attr_hashes'))[0].hash).toBe(hash);
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('prunes hashes older than the TTL on load', () => {
+            const fresh = fakeHash('j');
+            window.kntntAdAttribution.storage = 'local';
+            window.kntntAdAttribution.storageTtl = '3';
+            localStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+                { hash: fakeHash('k'), ts: nowSeconds() - 4 * DAY },
+                { hash: fresh, ts: nowSeconds() - 2 * DAY },
+            ]));
+
+            loadScript();
+
+            expect(JSON.parse(localStorage.getItem('kntnt_ad_attr_hashes')).map((entry) => entry.hash)).toEqual([fresh]);
+        });
+
+        it('sends each hash with the age of its click', async () => {
+            const hash = fakeHash('l');
+            window.kntntAdAttribution.storage = 'local';
+            localStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([{ hash, ts: nowSeconds() - DAY }]));
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            const [click] = JSON.parse(fetchSpy.mock.calls[0][1].body).clicks;
+            expect(click.hash).toBe(hash);
+            expect(Math.abs(click.age - DAY)).toBeLessThanOrEqual(1);
+            await vi.waitFor(() => {
+                expect(localStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+            });
+        });
+
+        it('keeps the latest click time for a repeated hash', () => {
+            const hash = fakeHash('9');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([{ hash, ts: nowSeconds() - DAY }]));
+            document.cookie = `_aah_pending=${hash}; path=/`;
+
+            loadScript();
+
+            const entries = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entries).toHaveLength(1);
+            expect(Math.abs(entries[0].ts - nowSeconds())).toBeLessThanOrEqual(1);
+        });
+
+        it('keeps hashes in memory only when configured', async () => {
+            const hash = fakeHash('0');
+            window.kntntAdAttribution.storage = 'memory';
+            document.cookie = `_aah_pending=${hash}; path=/`;
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            let grant;
+            window.kntntAdAttributionGetConsent = (callback) => {
+                grant = callback;
+            };
+
+            loadScript();
+
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+            expect(localStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+
+            grant('yes');
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(sentHashes(fetchSpy.mock.calls[0][1])).toEqual([hash]);
+        });
+
+    });
+
+    // ─── Signed click times ───
+
+    describe('signed click times', () => {
+
+        const sig = fakeHash('5');
+
+        it('keeps the signed click time from the transport cookie', () => {
+            const hash = fakeHash('a');
+            document.cookie = `_aah_pending=${hash}.1700000000.${sig}; path=/`;
+
+            loadScript();
+
+            const [entry] = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entry).toMatchObject({ hash, clickedAt: 1700000000, sig });
+        });
+
+        it('sends the signed click time from the fragment back unchanged', async () => {
+            const hash = fakeHash('b');
+            history.replaceState(null, '', `${window.location.pathname}#_aah=${hash}.1700000000.${sig}`);
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            const [click] = JSON.parse(fetchSpy.mock.calls[0][1].body).clicks;
+            expect(click).toMatchObject({ hash, clicked_at: 1700000000, sig });
+            expect(window.location.hash).toBe('');
+        });
+
+        it('sends the signed click time in a beacon', async () => {
+            const hash = fakeHash('c');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+                { hash, ts: Math.floor(Date.now() / 1000), clickedAt: 1700000000, sig },
+            ]));
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}', { status: 503 }));
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            const attempts = [];
+            document.addEventListener('kntnt-ad-attr:attempt', (event) => attempts.push(event.detail));
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+            await vi.waitFor(() => {
+                expect(attempts).toHaveLength(1);
+            });
+            window.dispatchEvent(new Event('pagehide'));
+
+            const body = beacon.mock.calls[0][1];
+            expect(body.get('clicks[0][hash]')).toBe(hash);
+            expect(body.get('clicks[0][clicked_at]')).toBe('1700000000');
+            expect(body.get('clicks[0][sig]')).toBe(sig);
+        });
+
+        it('ignores a malformed transport cookie', () => {
+            document.cookie = `_aah_pending=${fakeHash('d')}.soon.${sig}; path=/`;
+
+            loadScript();
+
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+            const match = document.cookie.match(/_aah_pending=([^;]*)/);
+            expect(!match || match[1] === '').toBe(true);
+        });
+
+    });
+
+    // ─── Click IDs on landing pages ───
+
+    describe('click IDs on landing pages', () => {
+
+        const parameters = { google_ads: 'gclid', meta: 'fbclid', microsoft_ads: 'msclkid' };
+
+        afterEach(() => {
+            history.replaceState(null, '', window.location.pathname);
+        });
+
+        it('attaches click IDs in the URL to pending hashes lacking them', () => {
+            const hash = fakeHash('a');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+                { hash, ts: Math.floor(Date.now() / 1000), clickIds: { meta: 'fb.old' } },
+            ]));
+            window.kntntAdAttribution.clickIdParameters = parameters;
+            history.replaceState(null, '', `${window.location.pathname}?gclid=Cj0KCQ&fbclid=fb.new&utm_source=google`);
+
+            loadScript();
+
+            const [entry] = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entry.clickIds).toEqual({ google_ads: 'Cj0KCQ', meta: 'fb.old' });
+        });
+
+        it('ignores parameters without a registered capturer and overlong values', () => {
+            const hash = fakeHash('b');
+            document.cookie = `_aah_pending=${hash}; path=/`;
+            window.kntntAdAttribution.clickIdParameters = parameters;
+            history.replaceState(null, '', `${window.location.pathname}?ttclid=tt&msclkid=${'x'.repeat(256)}`);
+
+            loadScript();
+
+            const [entry] = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entry).not.toHaveProperty('clickIds');
+        });
+
+        it('keeps the click IDs of earlier entries of a repeated hash', () => {
+            const hash = fakeHash('c');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+                { hash, ts: Math.floor(Date.now() / 1000) - 60, clickIds: { google_ads: 'Cj0KCQ' } },
+            ]));
+            document.cookie = `_aah_pending=${hash}; path=/`;
+
+            loadScript();
+
+            const entries = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            expect(entries).toHaveLength(1);
+            expect(entries[0].ts).toBeGreaterThan(Math.floor(Date.now() / 1000) - 60);
+            expect(entries[0].clickIds).toEqual({ google_ads: 'Cj0KCQ' });
+        });
+
+        it('sends the click IDs with the clicks', async () => {
+            const hash = fakeHash('d');
+            document.cookie = `_aah_pending=${hash}; path=/`;
+            window.kntntAdAttribution.clickIdParameters = parameters;
+            history.replaceState(null, '', `${window.location.pathname}?gclid=Cj0KCQ`);
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            const [click] = JSON.parse(fetchSpy.mock.calls[0][1].body).clicks;
+            expect(click.click_ids).toEqual({ google_ads: 'Cj0KCQ' });
+        });
+
+        it('sends the click IDs in a beacon', async () => {
+            const hash = fakeHash('e');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([
+                { hash, ts: Math.floor(Date.now() / 1000), clickIds: { google_ads: 'Cj0KCQ', meta: 'fb.1' } },
+            ]));
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}', { status: 503 }));
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            const attempts = [];
+            document.addEventListener('kntnt-ad-attr:attempt', (event) => attempts.push(event.detail));
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+            await vi.waitFor(() => {
+                expect(attempts).toHaveLength(1);
+            });
+            window.dispatchEvent(new Event('pagehide'));
+
+            const body = beacon.mock.calls[0][1];
+            expect(body.get('clicks[0][click_ids][google_ads]')).toBe('Cj0KCQ');
+            expect(body.get('clicks[0][click_ids][meta]')).toBe('fb.1');
+        });
+
+    });
+
     // ─── Consent callbacks ───
 
     describe('consent callbacks', () => {
@@ -180,7 +477,7 @@ describe('pending-consent.js', () => {
             const [url, options] = fetchSpy.mock.calls[0];
             expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie');
             expect(options.method).toBe('POST');
-            expect(JSON.parse(options.body)).toEqual({ hashes: [hash] });
+            expect(sentHashes(options)).toEqual([hash]);
             expect(options.headers['X-WP-Nonce']).toBe('test-nonce-123');
         });
 
@@ -193,7 +490,7 @@ describe('pending-consent.js', () => {
             loadScript();
 
             expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
-            expect(sessionStorage.getItem('kntnt_ad_attr_retries')).toBeNull();
+            expect(sessionStorage.getItem('kntnt_ad_attr_retry_since')).toBeNull();
         });
 
         it('preserves sessionStorage when consent is unknown', () => {
@@ -204,7 +501,7 @@ describe('pending-consent.js', () => {
 
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
+            const stored = storedHashes();
             expect(stored).toContain(hash);
         });
 
@@ -236,7 +533,21 @@ describe('pending-consent.js', () => {
 
     describe('retry logic', () => {
 
-        it('increments retry counter on network error', async () => {
+        /** Mocks a fetch Response with the given status and headers. */
+        const respond = (status, headers = {}) => new Response('{}', { status, headers });
+
+        /** Collects kntnt-ad-attr:attempt event details. */
+        const recordAttempts = () => {
+            const attempts = [];
+            document.addEventListener('kntnt-ad-attr:attempt', (event) => attempts.push(event.detail));
+            return attempts;
+        };
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('keeps hashes and records the first failure on network error', async () => {
             const hash = fakeHash('m');
             sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
 
@@ -247,34 +558,150 @@ describe('pending-consent.js', () => {
             loadScript();
 
             await vi.waitFor(() => {
-                const retries = parseInt(sessionStorage.getItem('kntnt_ad_attr_retries') || '0', 10);
-                expect(retries).toBe(1);
+                expect(sessionStorage.getItem('kntnt_ad_attr_retry_since')).not.toBeNull();
             });
+            expect(storedHashes()).toEqual([hash]);
         });
 
-        it('clears storage after 3 failures', async () => {
+        it('keeps hashes for the next page load on a server error', async () => {
             const hash = fakeHash('n');
             sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
-            sessionStorage.setItem('kntnt_ad_attr_retries', '2');
 
-            vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(respond(500));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts).toHaveLength(1);
+            });
+            expect(attempts[0]).toMatchObject({ attempt: 1, status: 500, outcome: 'retry', retryIn: 1000 });
+            expect(storedHashes()).toEqual([hash]);
+        });
+
+        it('backs off exponentially between retries', async () => {
+            vi.useFakeTimers();
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('n')]));
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(respond(503));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+            await vi.advanceTimersByTimeAsync(0);
+            await vi.advanceTimersByTimeAsync(1000);
+            await vi.advanceTimersByTimeAsync(2000);
+
+            expect(fetchSpy).toHaveBeenCalledTimes(3);
+            expect(attempts.map((detail) => detail.retryIn)).toEqual([1000, 2000, 4000]);
+        });
+
+        it('waits for Retry-After when rate limited', async () => {
+            vi.useFakeTimers();
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('p')]));
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch')
+                .mockResolvedValueOnce(respond(429, { 'Retry-After': '30' }))
+                .mockResolvedValue(respond(200));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+            await vi.advanceTimersByTimeAsync(29000);
+            expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+            await vi.advanceTimersByTimeAsync(1000);
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+            expect(attempts.map((detail) => detail.outcome)).toEqual(['retry', 'success']);
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('refreshes the nonce and retries after a 403', async () => {
+            const hash = fakeHash('q');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+            window.kntntAdAttribution.nonceUrl = 'https://example.com/wp-json/kntnt-ad-attribution/v1/nonce';
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch')
+                .mockResolvedValueOnce(respond(403))
+                .mockResolvedValueOnce(new Response(JSON.stringify({ nonce: 'fresh-nonce' })))
+                .mockResolvedValueOnce(respond(200));
 
             window.kntntAdAttributionGetConsent = (callback) => callback('yes');
 
             loadScript();
 
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledTimes(3);
+            });
+            expect(fetchSpy.mock.calls[1][0]).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/nonce');
+            expect(fetchSpy.mock.calls[2][1].headers['X-WP-Nonce']).toBe('fresh-nonce');
             await vi.waitFor(() => {
                 expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
-                expect(sessionStorage.getItem('kntnt_ad_attr_retries')).toBeNull();
             });
         });
 
+        it('clears storage when the request is rejected', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('r')]));
+
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(respond(400));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts[0]).toMatchObject({ status: 400, outcome: 'rejected' });
+            });
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('abandons hashes when the retry budget has run out', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('s')]));
+            sessionStorage.setItem('kntnt_ad_attr_retry_since', String(Date.now() - 901000));
+
+            vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts[0]).toMatchObject({ status: 0, outcome: 'abandoned' });
+            });
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+            expect(sessionStorage.getItem('kntnt_ad_attr_retry_since')).toBeNull();
+        });
+
+        it('defers to the next page load when the backoff outlasts the budget', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('t')]));
+            window.kntntAdAttribution.retryBudget = '60';
+
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(respond(429, { 'Retry-After': '120' }));
+            const attempts = recordAttempts();
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts[0]).toMatchObject({ status: 429, outcome: 'deferred', retryIn: null });
+            });
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).not.toBeNull();
+        });
+
         it('clears storage on successful fetch', async () => {
             const hash = fakeHash('o');
             sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
-            sessionStorage.setItem('kntnt_ad_attr_retries', '1');
+            sessionStorage.setItem('kntnt_ad_attr_retry_since', String(Date.now()));
 
             vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            const attempts = recordAttempts();
 
             window.kntntAdAttributionGetConsent = (callback) => callback('yes');
 
@@ -282,26 +709,689 @@ describe('pending-consent.js', () => {
 
             await vi.waitFor(() => {
                 expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
-                expect(sessionStorage.getItem('kntnt_ad_attr_retries')).toBeNull();
+                expect(sessionStorage.getItem('kntnt_ad_attr_retry_since')).toBeNull();
             });
+            expect(attempts).toEqual([{ attempt: 1, status: 200, hashes: [hash], outcome: 'success', retryIn: null }]);
         });
 
     });
 
-    // ─── Default consent function ───
+    // ─── Cache-safe mode ───
 
-    describe('default consent function', () => {
+    describe('cache-safe mode', () => {
 
-        it('calls callback with unknown when no custom function defined', () => {
-            const hash = fakeHash('p');
-            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+        const TOKEN_URL = 'https://example.com/wp-json/kntnt-ad-attribution/v1/token';
+
+        beforeEach(() => {
+            window.kntntAdAttribution = {
+                restUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie',
+                cacheSafe: '1',
+                tokenUrl: TOKEN_URL,
+            };
+        });
+
+        /** Mocks a token route response expiring in the given seconds. */
+        const tokenResponse = (token, ttl = 600) => new Response(JSON.stringify({
+            token,
+            expires: Math.floor(Date.now() / 1000) + ttl,
+        }));
+
+        it('fetches a token and sends it instead of a nonce', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('u')]));
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch')
+                .mockResolvedValueOnce(tokenResponse('token-1'))
+                .mockResolvedValueOnce(new Response('{}'));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
 
-            // Do NOT define kntntAdAttributionGetConsent — default should be used.
-            // The default calls callback('unknown'), so hashes stay.
             loadScript();
 
-            const stored = JSON.parse(sessionStorage.getItem('kntnt_ad_attr_hashes'));
-            expect(stored).toContain(hash);
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledTimes(2);
+            });
+            expect(fetchSpy.mock.calls[0][0]).toBe(TOKEN_URL);
+            const headers = fetchSpy.mock.calls[1][1].headers;
+            expect(headers['X-Kntnt-Ad-Attr-Token']).toBe('token-1');
+            expect(headers).not.toHaveProperty('X-WP-Nonce');
+        });
+
+        it('reuses a token that has not expired', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('v')]));
+            window.kntntAdAttribution.token = 'cached-token';
+            window.kntntAdAttribution.tokenExpires = Math.floor(Date.now() / 1000) + 300;
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(fetchSpy.mock.calls[0][1].headers['X-Kntnt-Ad-Attr-Token']).toBe('cached-token');
+        });
+
+        it('fetches a new token and retries after a 403', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('w')]));
+            window.kntntAdAttribution.token = 'stale-token';
+            window.kntntAdAttribution.tokenExpires = Math.floor(Date.now() / 1000) + 300;
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch')
+                .mockResolvedValueOnce(new Response('{}', { status: 403 }))
+                .mockResolvedValueOnce(tokenResponse('token-2'))
+                .mockResolvedValueOnce(new Response('{}'));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledTimes(3);
+            });
+            expect(fetchSpy.mock.calls[2][1].headers['X-Kntnt-Ad-Attr-Token']).toBe('token-2');
+        });
+
+        it('keeps hashes when no token can be fetched', async () => {
+            const hash = fakeHash('x');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Network error'));
+            const attempts = [];
+            document.addEventListener('kntnt-ad-attr:attempt', (event) => attempts.push(event.detail));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts[0]).toMatchObject({ status: 0, outcome: 'retry' });
+            });
+            expect(fetchSpy).toHaveBeenCalledWith(TOKEN_URL, expect.anything());
+            expect(storedHashes()).toEqual([hash]);
+        });
+
+    });
+
+    // ─── Leaving the page ───
+
+    describe('leaving the page', () => {
+
+        /** Grants consent and lets the first attempt fail so a retry is pending. */
+        const loadWithPendingRetry = async (hash) => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}', { status: 503 }));
+            const attempts = [];
+            document.addEventListener('kntnt-ad-attr:attempt', (event) => attempts.push(event.detail));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(attempts).toHaveLength(1);
+            });
+            return { fetchSpy, attempts };
+        };
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('sends hashes with keepalive', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('y')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(fetchSpy.mock.calls[0][1].keepalive).toBe(true);
+        });
+
+        it('flushes a pending retry with a beacon on pagehide', async () => {
+            const hash = fakeHash('z');
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            const { attempts } = await loadWithPendingRetry(hash);
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(beacon).toHaveBeenCalledOnce();
+            const [url, body] = beacon.mock.calls[0];
+            expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie');
+            expect(body.get('clicks[0][hash]')).toBe(hash);
+            expect(body.get('_wpnonce')).toBe('test-nonce-123');
+            expect(attempts[1]).toMatchObject({ outcome: 'beacon', hashes: [hash] });
+
+            // Kept for the next page load, in case the beacon's cookie is dropped.
+            expect(storedHashes()).toEqual([hash]);
+        });
+
+        it('flushes when the page becomes hidden', async () => {
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            await loadWithPendingRetry(fakeHash('b'));
+
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            delete document.visibilityState;
+
+            expect(beacon).toHaveBeenCalledOnce();
+        });
+
+        it('beacons an unchanged batch only once', async () => {
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            await loadWithPendingRetry(fakeHash('g'));
+
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            document.dispatchEvent(new Event('visibilitychange'));
+            delete document.visibilityState;
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(beacon).toHaveBeenCalledOnce();
+        });
+
+        it('beacons the batch again once a retry has been made', async () => {
+            vi.useFakeTimers();
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('h')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}', { status: 503 }));
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+            loadScript();
+            await vi.advanceTimersByTimeAsync(0);
+
+            window.dispatchEvent(new Event('pagehide'));
+            await vi.advanceTimersByTimeAsync(1000);
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+            expect(beacon).toHaveBeenCalledTimes(2);
+        });
+
+        it('beacons a batch that has changed since the last beacon', async () => {
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            await loadWithPendingRetry(fakeHash('i'));
+
+            window.dispatchEvent(new Event('pagehide'));
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('i'), fakeHash('j')]));
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(beacon).toHaveBeenCalledTimes(2);
+            expect(beacon.mock.calls[1][1].get('clicks[1][hash]')).toBe(fakeHash('j'));
+        });
+
+        it('leaves the nonce out of the beacon when the page has none', async () => {
+            delete window.kntntAdAttribution.nonce;
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            const { fetchSpy } = await loadWithPendingRetry(fakeHash('k'));
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(fetchSpy.mock.calls[0][1].headers).not.toHaveProperty('X-WP-Nonce');
+            expect(beacon.mock.calls[0][1].has('_wpnonce')).toBe(false);
+        });
+
+        it('falls back to a keepalive fetch when the beacon is refused', async () => {
+            vi.spyOn(navigator, 'sendBeacon').mockReturnValue(false);
+            const { fetchSpy } = await loadWithPendingRetry(fakeHash('c'));
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(fetchSpy).toHaveBeenCalledTimes(2);
+            const options = fetchSpy.mock.calls[1][1];
+            expect(options.keepalive).toBe(true);
+            expect(options.body).toBeInstanceOf(URLSearchParams);
+        });
+
+        it('sends the token in the beacon body in cache-safe mode', async () => {
+            window.kntntAdAttribution = {
+                restUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie',
+                cacheSafe: '1',
+                token: 'cached-token',
+                tokenExpires: Math.floor(Date.now() / 1000) + 300,
+            };
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+            await loadWithPendingRetry(fakeHash('d'));
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            const body = beacon.mock.calls[0][1];
+            expect(body.get('kntnt_ad_attr_token')).toBe('cached-token');
+            expect(body.has('_wpnonce')).toBe(false);
+        });
+
+        it('leaves a request in flight alone', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('e')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockReturnValue(new Promise(() => {}));
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('yes');
+            loadScript();
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(beacon).not.toHaveBeenCalled();
+        });
+
+        it('does nothing without consent', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('f')]));
+            const beacon = vi.spyOn(navigator, 'sendBeacon').mockReturnValue(true);
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('unknown');
+            loadScript();
+
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(beacon).not.toHaveBeenCalled();
+        });
+
+    });
+
+    // ─── Client-side conversions ───
+
+    describe('client-side conversions', () => {
+
+        const convertUrl = 'https://example.com/wp-json/kntnt-ad-attribution/v1/convert';
+
+        beforeEach(() => {
+            window.kntntAdAttribution.convertUrl = convertUrl;
+            window.kntntAdAttribution.nonceUrl = 'https://example.com/wp-json/kntnt-ad-attribution/v1/nonce';
+        });
+
+        it('posts the conversion details with the nonce', async () => {
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"success":true}'));
+            loadScript();
+
+            const recorded = await window.kntntAdAttribution.convert({
+                label: 'demo-booked', value: 1200, currency: 'SEK', dedupKey: 'booking-42',
+            });
+
+            expect(recorded).toBe(true);
+            const [url, options] = fetchSpy.mock.calls[0];
+            expect(url).toBe(convertUrl);
+            expect(options.headers['X-WP-Nonce']).toBe('test-nonce-123');
+            expect(JSON.parse(options.body)).toEqual({
+                label: 'demo-booked', value: 1200, currency: 'SEK', dedup_key: 'booking-42',
+            });
+        });
+
+        it('resolves to false when the conversion is not attributed', async () => {
+            vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"success":false}'));
+            loadScript();
+
+            expect(await window.kntntAdAttribution.convert({ label: 'signup' })).toBe(false);
+        });
+
+        it('retries once with a fresh nonce after a 403', async () => {
+            const fetchSpy = vi.spyOn(globalThis, 'fetch')
+                .mockResolvedValueOnce(new Response('{}', { status: 403 }))
+                .mockResolvedValueOnce(new Response('{"nonce":"fresh-nonce"}'))
+                .mockResolvedValueOnce(new Response('{"success":true}'));
+            loadScript();
+
+            expect(await window.kntntAdAttribution.convert({ label: 'signup' })).toBe(true);
+            expect(fetchSpy).toHaveBeenCalledTimes(3);
+            expect(fetchSpy.mock.calls[2][1].headers['X-WP-Nonce']).toBe('fresh-nonce');
+        });
+
+        it('resolves to false on a network error', async () => {
+            vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('Failed to fetch'));
+            loadScript();
+
+            expect(await window.kntntAdAttribution.convert()).toBe(false);
+        });
+
+        it('reports a Calendly booking when enabled', async () => {
+            window.kntntAdAttribution.embedConversions = ['calendly'];
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"success":true}'));
+            loadScript();
+
+            window.dispatchEvent(new MessageEvent('message', {
+                origin: 'https://calendly.com',
+                data: { event: 'calendly.event_scheduled', payload: { invitee: { uri: 'https://api.calendly.com/invitees/1' } } },
+            }));
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toMatchObject({
+                label: 'calendly', dedup_key: 'https://api.calendly.com/invitees/1',
+            });
+        });
+
+        it('reports a HubSpot form submission when enabled', async () => {
+            window.kntntAdAttribution.embedConversions = ['hubspot'];
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"success":true}'));
+            loadScript();
+
+            window.dispatchEvent(new MessageEvent('message', {
+                origin: 'https://forms.hsforms.com',
+                data: { type: 'hsFormCallback', eventName: 'onFormSubmitted', id: 'form-guid' },
+            }));
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(JSON.parse(fetchSpy.mock.calls[0][1].body).label).toBe('hubspot:form-guid');
+        });
+
+        it('ignores widget messages when the listener is not enabled or the origin is foreign', async () => {
+            window.kntntAdAttribution.embedConversions = ['calendly'];
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{"success":true}'));
+            loadScript();
+
+            window.dispatchEvent(new MessageEvent('message', {
+                origin: 'https://evil.example',
+                data: { event: 'calendly.event_scheduled' },
+            }));
+            window.dispatchEvent(new MessageEvent('message', {
+                origin: 'https://forms.hsforms.com',
+                data: { type: 'hsFormCallback', eventName: 'onFormSubmitted' },
+            }));
+
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            expect(fetchSpy).not.toHaveBeenCalled();
+        });
+
+    });
+
+    // ─── Default consent function ───
+
+    describe('default consent function', () => {
+
+        it('calls callback with unknown when no custom function defined', () => {
+            const hash = fakeHash('p');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            // Do NOT define kntntAdAttributionGetConsent — default should be used.
+            // The default calls callback('unknown'), so hashes stay.
+            loadScript();
+
+            const stored = storedHashes();
+            expect(stored).toContain(hash);
+        });
+
+        it('only defines the consent function on the interstitial page', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('p')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            window.kntntAdAttribution = { consentAdapter: 'gcm', consentOnly: true };
+            window.dataLayer = [['consent', 'update', { ad_storage: 'granted' }]];
+
+            loadScript();
+
+            const callback = vi.fn();
+            window.kntntAdAttributionGetConsent(callback);
+            expect(callback).toHaveBeenCalledWith('yes');
+            expect(fetchSpy).not.toHaveBeenCalled();
+            expect(window.kntntAdAttribution.convert).toBeUndefined();
+        });
+
+    });
+
+    // ─── Live consent changes ───
+
+    describe('live consent changes', () => {
+
+        it('posts when onConsentChange reports yes after unknown', async () => {
+            const hash = fakeHash('1');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            loadScript();
+            expect(fetchSpy).not.toHaveBeenCalled();
+
+            window.kntntAdAttribution.onConsentChange('yes');
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(sentHashes(fetchSpy.mock.calls[0][1])).toEqual([hash]);
+        });
+
+        it('posts when a kntnt-ad-attr:consent event reports yes', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('2')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            loadScript();
+            document.dispatchEvent(new CustomEvent('kntnt-ad-attr:consent', { detail: { state: 'yes' } }));
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('clears storage when onConsentChange reports no', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('3')]));
+
+            loadScript();
+            window.kntntAdAttribution.onConsentChange('no');
+
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('ignores a later yes once the batch was discarded', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('4')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.kntntAdAttributionGetConsent = (callback) => callback('no');
+
+            loadScript();
+            window.kntntAdAttribution.onConsentChange('yes');
+
+            expect(fetchSpy).not.toHaveBeenCalled();
+        });
+
+        it('ignores invalid states', () => {
+            const hash = fakeHash('5');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            loadScript();
+            window.kntntAdAttribution.onConsentChange('maybe');
+
+            expect(storedHashes()).toContain(hash);
+        });
+
+        it('flushes hashes brought in by an SPA route change', async () => {
+            const hash = fakeHash('6');
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            const consentSpy = vi.fn((callback) => callback('yes'));
+            window.kntntAdAttributionGetConsent = consentSpy;
+
+            loadScript();
+            expect(consentSpy).not.toHaveBeenCalled();
+
+            history.pushState(null, '', `${window.location.pathname}#_aah=${hash}`);
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+            expect(sentHashes(fetchSpy.mock.calls[0][1])).toEqual([hash]);
+            expect(window.location.hash).toBe('');
+        });
+
+        it('reopens the batch for hashes arriving after a flush', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('7')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+            const consentSpy = vi.fn((callback) => callback('yes'));
+            window.kntntAdAttributionGetConsent = consentSpy;
+
+            loadScript();
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+
+            document.cookie = `_aah_pending=${fakeHash('8')}; path=/`;
+            window.dispatchEvent(new PopStateEvent('popstate'));
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledTimes(2);
+            });
+            expect(sentHashes(fetchSpy.mock.calls[1][1])).toEqual([fakeHash('8')]);
+
+            // The consent function is subscribed once per page view.
+            expect(consentSpy).toHaveBeenCalledOnce();
+        });
+
+    });
+
+    // ─── Built-in consent adapters ───
+
+    describe('consent adapters', () => {
+
+        it('posts when TCF purposes 1 and 7 are consented', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('q')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.__tcfapi = (command, version, callback) => {
+                callback({ eventStatus: 'tcloaded', gdprApplies: true, purpose: { consents: { 1: true, 7: true } } }, true);
+            };
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('clears storage when a TCF purpose is refused', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('r')]));
+
+            window.__tcfapi = (command, version, callback) => {
+                callback({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents: { 1: true } } }, true);
+            };
+
+            loadScript();
+
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('waits for the TCF banner while it is shown', () => {
+            const hash = fakeHash('s');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            window.__tcfapi = (command, version, callback) => {
+                callback({ eventStatus: 'cmpuishown', gdprApplies: true, purpose: { consents: {} } }, true);
+            };
+
+            loadScript();
+
+            expect(storedHashes()).toContain(hash);
+        });
+
+        it('posts when Cookiebot reports acceptance after load', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('t')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.Cookiebot = { hasResponse: false, consent: { marketing: false } };
+
+            loadScript();
+            expect(fetchSpy).not.toHaveBeenCalled();
+
+            window.Cookiebot = { hasResponse: true, consent: { marketing: true } };
+            window.dispatchEvent(new Event('CookiebotOnAccept'));
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('posts when CookieYes has advertisement consent', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('u')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.getCkyConsent = () => ({ isUserActionCompleted: true, categories: { advertisement: true } });
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('clears storage when Complianz marketing is denied', () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('v')]));
+            document.cookie = 'cmplz_marketing=deny; path=/';
+
+            loadScript();
+
+            expect(sessionStorage.getItem('kntnt_ad_attr_hashes')).toBeNull();
+        });
+
+        it('posts when Borlabs Cookie lists the configured service', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('w')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.kntntAdAttribution.consentServiceId = 'ad-attr';
+            window.BorlabsCookie = {};
+            const value = JSON.stringify({ consents: { essential: ['borlabs-cookie'], marketing: ['ad-attr'] } });
+            document.cookie = `borlabs-cookie=${encodeURIComponent(value)}; path=/`;
+
+            loadScript();
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('posts when a Consent Mode update grants ad_storage', async () => {
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([fakeHash('x')]));
+            const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('{}'));
+
+            window.dataLayer = [['consent', 'default', { ad_storage: 'denied' }]];
+
+            loadScript();
+            expect(fetchSpy).not.toHaveBeenCalled();
+
+            window.dataLayer.push(['consent', 'update', { ad_storage: 'granted' }]);
+
+            await vi.waitFor(() => {
+                expect(fetchSpy).toHaveBeenCalledOnce();
+            });
+        });
+
+        it('uses the forced adapter instead of auto-detection', () => {
+            const hash = fakeHash('y');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            window.kntntAdAttribution.consentAdapter = 'cookieyes';
+            window.__tcfapi = (command, version, callback) => {
+                callback({ eventStatus: 'tcloaded', gdprApplies: false }, true);
+            };
+            window.getCkyConsent = () => ({ isUserActionCompleted: false, categories: {} });
+
+            loadScript();
+
+            expect(storedHashes()).toContain(hash);
+        });
+
+        it('ignores detected platforms when adapters are disabled', () => {
+            const hash = fakeHash('z');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            window.kntntAdAttribution.consentAdapter = 'none';
+            document.cookie = 'cmplz_marketing=deny; path=/';
+
+            loadScript();
+
+            expect(storedHashes()).toContain(hash);
+        });
+
+        it('prefers a site-defined consent function over adapters', () => {
+            const hash = fakeHash('0');
+            sessionStorage.setItem('kntnt_ad_attr_hashes', JSON.stringify([hash]));
+
+            document.cookie = 'cmplz_marketing=deny; path=/';
+            window.kntntAdAttributionGetConsent = (callback) => callback('unknown');
+
+            loadScript();
+
+            expect(storedHashes()).toContain(hash);
         });
 
     });
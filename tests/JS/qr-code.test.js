@@ -0,0 +1,176 @@
+/**
+ * Unit tests for qr-code.js.
+ *
+ * Tests the QR code encoder against values from the standard by reading
+ * the encoded symbols back: version and format information, the data
+ * codewords, and their Reed–Solomon error correction. The script is an
+ * IIFE that exposes `window.kntntAdAttrQrCode`.
+ *
+ * @package Tests/JS
+ * @since   1.9.0
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const scriptPath = resolve(__dirname, '../../js/qr-code.js');
+const scriptSource = readFileSync(scriptPath, 'utf-8');
+
+/**
+ * Evaluates the IIFE script in the current global context.
+ */
+function loadScript() {
+    const fn = new Function(scriptSource);
+    fn();
+}
+
+/**
+ * Reads the 15 format information bits next to the top-left finder pattern.
+ *
+ * @param {{modules: boolean[][]}} qr
+ * @return {string} Bits, most significant first.
+ */
+function readFormat(qr) {
+    const m = qr.modules;
+    const bits = [0, 1, 2, 3, 4, 5, 7, 8].map((y) => m[y][8])
+        .concat([7, 5, 4, 3, 2, 1, 0].map((x) => m[8][x]));
+    return bits.map(Number).reverse().join('');
+}
+
+/**
+ * Reads the codewords of a version 1 symbol, unmasked with mask 0.
+ *
+ * Walks the symbol in the zigzag order of the standard, skipping the
+ * function patterns of version 1: finders with separators and format
+ * information, timing patterns, and the dark module.
+ *
+ * @param {{size: number, modules: boolean[][]}} qr
+ * @return {number[]}
+ */
+function readCodewords(qr) {
+    const size = qr.size;
+    const isFunction = (x, y) => x === 6 || y === 6 || (x < 9 && y < 9) || (x > size - 9 && y < 9) || (x < 9 && y > size - 9);
+    const bits = [];
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction(x, y)) bits.push(qr.modules[y][x] !== ((x + y) % 2 === 0));
+            }
+        }
+    }
+
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).map(Number).join(''), 2));
+    }
+    return codewords;
+}
+
+/**
+ * Evaluates a codeword polynomial at the powers 0…count-1 of α in GF(2^8).
+ *
+ * All results are zero for a block with valid error correction.
+ *
+ * @param {number[]} codewords Highest coefficient first.
+ * @param {number} count Number of error correction codewords.
+ * @return {number[]}
+ */
+function syndromes(codewords, count) {
+    const exp = [];
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        exp.push(value);
+        value = (value << 1) ^ (value & 0x80 ? 0x11d : 0);
+    }
+    const log = [];
+    exp.forEach((v, i) => { log[v] = i; });
+    const multiply = (a, b) => (a === 0 || b === 0 ? 0 : exp[(log[a] + log[b]) % 255]);
+
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        result.push(codewords.reduce((sum, codeword) => multiply(sum, exp[i]) ^ codeword, 0));
+    }
+    return result;
+}
+
+describe('kntntAdAttrQrCode', () => {
+
+    beforeAll(() => {
+        loadScript();
+    });
+
+    it('encodes short text as a version 1 symbol with valid error correction', () => {
+        const qr = window.kntntAdAttrQrCode.encode('ex.se/ad/1234', 'M', 0);
+
+        expect(qr.version).toBe(1);
+        expect(qr.size).toBe(21);
+
+        // Version 1-M: 16 data and 10 error correction codewords in one block.
+        const codewords = readCodewords(qr);
+        expect(codewords).toHaveLength(26);
+        expect(syndromes(codewords, 10)).toEqual(new Array(10).fill(0));
+
+        // Byte mode and 13 bytes, then the text shifted by half a codeword.
+        expect(codewords[0]).toBe(0x40);
+        expect(codewords[1] & 0xf0).toBe(0xd0);
+        const text = codewords.slice(1, 14).map((c, i) => ((c & 0x0f) << 4) | (codewords[i + 2] >> 4));
+        expect(String.fromCharCode(...text)).toBe('ex.se/ad/1234');
+    });
+
+    it('writes the format information of the standard for each level', () => {
+        const { encode } = window.kntntAdAttrQrCode;
+
+        expect(readFormat(encode('x', 'L', 0))).toBe('111011111000100');
+        expect(readFormat(encode('x', 'M', 0))).toBe('101010000010010');
+        expect(readFormat(encode('x', 'Q', 0))).toBe('011010101011111');
+        expect(readFormat(encode('x', 'H', 0))).toBe('001011010001001');
+        expect(readFormat(encode('x', 'M', 5))).toBe('100000011001110');
+    });
+
+    it('picks the smallest version that fits and writes its version information', () => {
+        const { encode } = window.kntntAdAttrQrCode;
+
+        // Version 6-M holds 106 bytes, version 7-M 122.
+        expect(encode('a'.repeat(106), 'M').version).toBe(6);
+
+        const qr = encode('a'.repeat(107), 'M');
+        expect(qr.version).toBe(7);
+        expect(qr.size).toBe(45);
+
+        let bits = '';
+        for (let i = 17; i >= 0; i--) {
+            bits += qr.modules[Math.floor(i / 3)][qr.size - 11 + (i % 3)] ? '1' : '0';
+        }
+        expect(bits).toBe('000111110010010100');
+    });
+
+    it('needs a larger version at a higher error correction level', () => {
+        const { encode } = window.kntntAdAttrQrCode;
+        const url = 'https://example.com/ad/' + 'a'.repeat(64) + '?utm_content=flyer&utm_term=booth-a';
+
+        expect(encode(url, 'L').version).toBeLessThan(encode(url, 'H').version);
+    });
+
+    it('returns null for text beyond the capacity of version 40', () => {
+        expect(window.kntntAdAttrQrCode.encode('a'.repeat(2331), 'M')).not.toBeNull();
+        expect(window.kntntAdAttrQrCode.encode('a'.repeat(2332), 'M')).toBeNull();
+    });
+
+    it('renders dark modules as an SVG path inside a quiet zone', () => {
+        const qr = { size: 2, modules: [[true, false], [false, true]] };
+
+        expect(window.kntntAdAttrQrCode.toSvg(qr, 256)).toBe(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 10 10" shape-rendering="crispEdges">'
+            + '<rect width="10" height="10" fill="#fff"/>'
+            + '<path d="M4 4h1v1h-1zM5 5h1v1h-1z" fill="#000"/>'
+            + '</svg>',
+        );
+    });
+
+});
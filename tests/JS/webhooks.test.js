@@ -0,0 +1,195 @@
+/**
+ * Unit tests for webhooks.js.
+ *
+ * Tests adding and removing webhook rows and sending test events on the
+ * settings page. The script is an IIFE that auto-executes on load.
+ *
+ * @package Tests/JS
+ * @since   1.9.0
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const scriptPath = resolve(__dirname, '../../js/webhooks.js');
+const scriptSource = readFileSync(scriptPath, 'utf-8');
+
+/**
+ * Evaluates the IIFE script in the current global context.
+ */
+function loadScript() {
+    const fn = new Function(scriptSource);
+    fn();
+}
+
+/** Waits for the pending fetch promise chain to settle. */
+async function flush() {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+/** Returns the markup of a row as Settings_Page::render_webhook_row() outputs it. */
+function row(index, id) {
+    return `
+        <fieldset class="kntnt-ad-attr-webhook" data-id="${id}">
+            <legend>${id ? 'CRM' : 'New Webhook'}</legend>
+            <input type="hidden" name="kntnt_ad_attr_settings[webhooks][${index}][id]" value="${id}">
+            <input type="checkbox" name="kntnt_ad_attr_settings[webhooks][${index}][enabled]" value="1" checked>
+            <input type="text" name="kntnt_ad_attr_settings[webhooks][${index}][name]" value="${id ? 'CRM' : ''}">
+            <input type="url" name="kntnt_ad_attr_settings[webhooks][${index}][url]" value="">
+            <p class="kntnt-ad-attr-webhook-actions">
+                <button type="button" class="button kntnt-ad-attr-webhook-test"${id ? '' : ' disabled'}>Send Test Event</button>
+                <button type="button" class="button-link kntnt-ad-attr-webhook-remove">Remove</button>
+                <span class="kntnt-ad-attr-webhook-status" role="status"></span>
+            </p>
+        </fieldset>`;
+}
+
+/** Renders the markup Settings_Page::render_webhooks() outputs with one saved webhook. */
+function renderWebhooks() {
+    document.body.innerHTML = `
+        <form method="post" action="options.php">
+            <div id="kntnt-ad-attr-webhooks" class="kntnt-ad-attr-webhooks">
+                <div class="kntnt-ad-attr-webhook-list">${row('0', '1a2b3c4d')}</div>
+                <template class="kntnt-ad-attr-webhook-template">${row('__i__', '')}</template>
+                <p><button type="button" class="button kntnt-ad-attr-webhook-add">Add Webhook</button></p>
+            </div>
+        </form>`;
+    return document.getElementById('kntnt-ad-attr-webhooks');
+}
+
+/** Sets the localized configuration. */
+function configure() {
+    window.kntntAdAttrWebhooks = {
+        webhooksUrl: 'https://example.com/wp-json/kntnt-ad-attribution/v1/webhooks',
+        nonce: 'abc123',
+        i18n: {
+            sending: 'Sending…',
+            success: 'Delivered (HTTP %d).',
+            failure: 'Failed (HTTP %d).',
+            error: 'The test event could not be sent.',
+            unsaved: 'Save the changes before sending a test event.',
+            confirm: 'Remove this webhook?',
+        },
+    };
+}
+
+/** Mocks fetch with a JSON response. Returns the spy. */
+function mockFetch(body, ok = true, status = 200) {
+    const spy = vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+    globalThis.fetch = spy;
+    return spy;
+}
+
+describe('webhooks.js', () => {
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        delete window.kntntAdAttrWebhooks;
+        Object.defineProperty(document, 'readyState', { value: 'complete', writable: true, configurable: true });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        delete globalThis.fetch;
+    });
+
+    it('adds rows with new indexes from the template', () => {
+        const root = renderWebhooks();
+        configure();
+
+        loadScript();
+        root.querySelector('.kntnt-ad-attr-webhook-add').click();
+        root.querySelector('.kntnt-ad-attr-webhook-add').click();
+
+        const rows = root.querySelectorAll('.kntnt-ad-attr-webhook-list .kntnt-ad-attr-webhook');
+        expect(rows).toHaveLength(3);
+        expect(rows[1].querySelector('input[type="text"]').name).toBe('kntnt_ad_attr_settings[webhooks][1][name]');
+        expect(rows[2].querySelector('input[type="text"]').name).toBe('kntnt_ad_attr_settings[webhooks][2][name]');
+        expect(document.activeElement).toBe(rows[2].querySelector('input[type="text"]'));
+    });
+
+    it('removes new rows at once and saved rows after confirmation', () => {
+        const root = renderWebhooks();
+        configure();
+        const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+        loadScript();
+        root.querySelector('.kntnt-ad-attr-webhook-add').click();
+        const rows = root.querySelectorAll('.kntnt-ad-attr-webhook-list .kntnt-ad-attr-webhook');
+
+        rows[1].querySelector('.kntnt-ad-attr-webhook-remove').click();
+        expect(confirmSpy).not.toHaveBeenCalled();
+
+        rows[0].querySelector('.kntnt-ad-attr-webhook-remove').click();
+        expect(root.querySelectorAll('.kntnt-ad-attr-webhook-list .kntnt-ad-attr-webhook')).toHaveLength(1);
+
+        rows[0].querySelector('.kntnt-ad-attr-webhook-remove').click();
+        expect(root.querySelectorAll('.kntnt-ad-attr-webhook-list .kntnt-ad-attr-webhook')).toHaveLength(0);
+    });
+
+    it('sends a test event with the nonce and shows the result', async () => {
+        const root = renderWebhooks();
+        configure();
+        const fetchSpy = mockFetch({ success: true, status: 202, message: '' });
+
+        loadScript();
+        const button = root.querySelector('.kntnt-ad-attr-webhook-test');
+        button.click();
+
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe('https://example.com/wp-json/kntnt-ad-attribution/v1/webhooks/1a2b3c4d/test');
+        expect(options.method).toBe('POST');
+        expect(options.headers['X-WP-Nonce']).toBe('abc123');
+        expect(button.disabled).toBe(true);
+        expect(root.querySelector('.kntnt-ad-attr-webhook-status').textContent).toBe('Sending…');
+
+        await flush();
+
+        expect(root.querySelector('.kntnt-ad-attr-webhook-status').textContent).toBe('Delivered (HTTP 202).');
+        expect(button.disabled).toBe(false);
+    });
+
+    it('shows the status and response of a rejected test event as text', async () => {
+        const root = renderWebhooks();
+        configure();
+        mockFetch({ success: false, status: 401, message: '<b>Unauthorized</b>' });
+
+        loadScript();
+        root.querySelector('.kntnt-ad-attr-webhook-test').click();
+        await flush();
+
+        const status = root.querySelector('.kntnt-ad-attr-webhook-status');
+        expect(status.textContent).toBe('Failed (HTTP 401). <b>Unauthorized</b>');
+        expect(status.querySelector('b')).toBeNull();
+        expect(status.classList.contains('is-error')).toBe(true);
+    });
+
+    it('reports a failed request', async () => {
+        const root = renderWebhooks();
+        configure();
+        mockFetch({ message: 'The webhook does not exist.' }, false, 404);
+
+        loadScript();
+        root.querySelector('.kntnt-ad-attr-webhook-test').click();
+        await flush();
+
+        expect(root.querySelector('.kntnt-ad-attr-webhook-status').textContent).toBe('The test event could not be sent.');
+    });
+
+    it('asks for the changes to be saved before testing an edited row', () => {
+        const root = renderWebhooks();
+        configure();
+        const fetchSpy = mockFetch({ success: true, status: 200 });
+
+        loadScript();
+        const url = root.querySelector('input[type="url"]');
+        url.value = 'https://hooks.example.com/new';
+        url.dispatchEvent(new Event('input', { bubbles: true }));
+        root.querySelector('.kntnt-ad-attr-webhook-test').click();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        expect(root.querySelector('.kntnt-ad-attr-webhook-status').textContent).toBe('Save the changes before sending a test event.');
+    });
+
+});
@@ -17,10 +17,13 @@ pest()->beforeEach(function () {
     Functions\when('absint')->alias(fn ($val) => abs((int) $val));
     Functions\when('wp_unslash')->returnArg(1);
 
-    // Stub DAY_IN_SECONDS, MINUTE_IN_SECONDS if not defined.
+    // Stub DAY_IN_SECONDS, HOUR_IN_SECONDS, MINUTE_IN_SECONDS if not defined.
     if (!defined('DAY_IN_SECONDS')) {
         define('DAY_IN_SECONDS', 86400);
     }
+    if (!defined('HOUR_IN_SECONDS')) {
+        define('HOUR_IN_SECONDS', 3600);
+    }
     if (!defined('MINUTE_IN_SECONDS')) {
         define('MINUTE_IN_SECONDS', 60);
     }
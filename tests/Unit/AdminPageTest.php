@@ -9,8 +9,11 @@
 declare(strict_types=1);
 
 use Kntnt\Ad_Attribution\Admin_Page;
+use Kntnt\Ad_Attribution\Attribution_Comparison;
 use Kntnt\Ad_Attribution\Queue;
 use Kntnt\Ad_Attribution\Queue_Processor;
+use Kntnt\Ad_Attribution\Tracking_Url_Creator;
+use Kntnt\Ad_Attribution\Tracking_Url_History;
 use Kntnt\Ad_Attribution\Plugin;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
@@ -25,12 +28,15 @@ class AdminExitException extends \RuntimeException {}
 /**
  * Creates an Admin_Page instance with mocked dependencies.
  *
- * @return array{0: Admin_Page, 1: Mockery\MockInterface}
+ * @return array{0: Admin_Page, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface}
  */
 function make_admin_page(): array {
     $queue = Mockery::mock(Queue::class);
     $queue_processor = Mockery::mock(Queue_Processor::class);
-    return [new Admin_Page($queue, $queue_processor), $queue];
+    $comparison = Mockery::mock(Attribution_Comparison::class);
+    $creator = Mockery::mock(Tracking_Url_Creator::class);
+    $history = Mockery::mock(Tracking_Url_History::class);
+    return [new Admin_Page($queue, $queue_processor, $comparison, $creator, $history), $queue, $comparison, $history];
 }
 
 /**
@@ -39,10 +45,10 @@ function make_admin_page(): array {
  * Mocks wpdb for Campaign_List_Table::prepare_items(), redefines
  * Plugin statics, and stubs WordPress functions needed during rendering.
  *
- * @return array{0: Admin_Page, 1: Mockery\MockInterface}
+ * @return array{0: Admin_Page, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface}
  */
 function setup_render_env(): array {
-    [$page, $queue] = make_admin_page();
+    [$page, $queue, $comparison, $history] = make_admin_page();
 
     $wpdb = TestFactory::wpdb();
     $GLOBALS['wpdb'] = $wpdb;
@@ -59,6 +65,7 @@ function setup_render_env(): array {
     );
 
     Functions\when('admin_url')->justReturn('https://example.com/wp-admin/tools.php');
+    Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . http_build_query($args));
     Functions\when('wp_nonce_field')->justReturn('');
     Functions\when('submit_button')->alias(function () {
         echo '<button>Submit</button>';
@@ -78,7 +85,34 @@ function setup_render_env(): array {
         return (new \DateTimeImmutable("@{$ts}", new \DateTimeZone('UTC')))->format($format);
     });
 
-    return [$page, $queue];
+    return [$page, $queue, $comparison, $history];
+}
+
+/**
+ * Stubs what the edit form reads of tracking URL 7 and its target pages.
+ *
+ * Tracking URL 7 points at page 42 and has a custom source. Page 43 is the
+ * previous target.
+ */
+function stub_edit_form(): void {
+    $posts = [
+        7  => TestFactory::post(['ID' => 7, 'post_type' => 'kntnt_ad_attr_url']),
+        42 => TestFactory::post(['ID' => 42, 'post_title' => 'Spring sale', 'post_type' => 'page']),
+        43 => TestFactory::post(['ID' => 43, 'post_title' => 'Winter sale', 'post_type' => 'page']),
+    ];
+    $meta = [
+        '_hash'           => TestFactory::hash('edit'),
+        '_target_post_id' => '42',
+        '_utm_source'     => 'newsletter-partner',
+        '_utm_medium'     => 'cpc',
+        '_utm_campaign'   => 'spring',
+    ];
+
+    Functions\when('get_post')->alias(fn (int $id) => $posts[$id] ?? null);
+    Functions\when('get_post_meta')->alias(fn (int $id, string $key) => $id === 7 ? ($meta[$key] ?? '') : '');
+    Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Utm_Options::get_options', fn () => ['sources' => ['google' => 'cpc'], 'mediums' => ['cpc', 'email']]);
 }
 
 // ─── register() ───
@@ -121,44 +155,6 @@ describe('Admin_Page::save_screen_option()', function () {
 
 });
 
-// ─── add_sri_attributes() ───
-
-describe('Admin_Page::add_sri_attributes()', function () {
-
-    it('adds integrity attribute to select2 script', function () {
-        [$page] = make_admin_page();
-
-        $tag = '<script src="https://cdnjs.cloudflare.com/ajax/libs/select2/4.0.13/js/select2.min.js"></script>';
-
-        $result = $page->add_sri_attributes($tag, 'select2');
-
-        expect($result)->toContain('integrity=');
-        expect($result)->toContain('crossorigin="anonymous"');
-    });
-
-    it('adds integrity attribute to select2 CSS', function () {
-        [$page] = make_admin_page();
-
-        $tag = '<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/select2/4.0.13/css/select2.min.css">';
-
-        $result = $page->add_sri_attributes($tag, 'select2');
-
-        expect($result)->toContain('integrity=');
-        expect($result)->toContain('crossorigin="anonymous"');
-    });
-
-    it('does not modify other script handles', function () {
-        [$page] = make_admin_page();
-
-        $tag = '<script src="https://example.com/other.js"></script>';
-
-        $result = $page->add_sri_attributes($tag, 'jquery');
-
-        expect($result)->toBe($tag);
-    });
-
-});
-
 // ─── add_menu_page() ───
 
 describe('Admin_Page::add_menu_page()', function () {
@@ -221,6 +217,89 @@ describe('Admin_Page::enqueue_assets()', function () {
         expect(true)->toBeTrue();
     });
 
+    it('loads the QR code encoder and localizes the breakdown and list configuration with the list filters', function () {
+        [$page] = make_admin_page();
+
+        $_GET = ['date_start' => '2026-02-09', 'date_end' => '2026-02-22', 'utm_campaign' => 'spring'];
+
+        $ref = new \ReflectionProperty($page, 'hook_suffix');
+        $ref->setAccessible(true);
+        $ref->setValue($page, 'tools_page_kntnt-ad-attr');
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_url', fn () => 'https://example.com/plugin/');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_version', fn () => '1.9.0');
+
+        Functions\when('wp_enqueue_style')->justReturn(true);
+        Functions\when('rest_url')->alias(fn (string $path) => 'https://example.com/wp-json/' . $path);
+        Functions\when('wp_create_nonce')->justReturn('abc123');
+
+        Functions\expect('wp_enqueue_script')
+            ->once()
+            ->with('kntnt-ad-attr-qr-code', 'https://example.com/plugin/js/qr-code.js', [], '1.9.0', true);
+        Functions\expect('wp_enqueue_script')
+            ->once()
+            ->with('kntnt-ad-attr-admin', 'https://example.com/plugin/js/admin.js', ['kntnt-ad-attr-qr-code'], '1.9.0', true);
+        Functions\expect('wp_localize_script')
+            ->once()
+            ->withArgs(fn (string $handle, string $name, array $data) => $name === 'kntntAdAttrAdmin'
+                && $data['reportUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/report'
+                && $data['campaignsUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/campaigns'
+                && $data['nonce'] === 'abc123'
+                && $data['filters'] === [
+                    'date_start'   => '2026-02-09',
+                    'date_end'     => '2026-02-22',
+                    'utm_source'   => '',
+                    'utm_medium'   => '',
+                    'utm_campaign' => 'spring',
+                ]
+                && array_keys($data['dimensions']) === ['utm_content', 'utm_term', 'utm_id', 'utm_source_platform']
+                && array_keys($data['i18n']['qrLevels']) === ['L', 'M', 'Q', 'H']);
+
+        $page->enqueue_assets('tools_page_kntnt-ad-attr');
+
+        $_GET = [];
+
+        expect(true)->toBeTrue();
+    });
+
+    it('loads no third-party assets and localizes the search and bulk-create routes on the bulk view', function () {
+        [$page] = make_admin_page();
+
+        $_GET = ['action' => 'bulk'];
+
+        $ref = new \ReflectionProperty($page, 'hook_suffix');
+        $ref->setAccessible(true);
+        $ref->setValue($page, 'tools_page_kntnt-ad-attr');
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_url', fn () => 'https://example.com/plugin/');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_version', fn () => '1.9.0');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Utm_Options::get_options', fn () => ['sources' => ['google' => 'cpc'], 'mediums' => ['cpc']]);
+
+        Functions\when('rest_url')->alias(fn (string $path) => 'https://example.com/wp-json/' . $path);
+        Functions\when('wp_create_nonce')->justReturn('abc123');
+
+        Functions\expect('wp_enqueue_style')
+            ->once()
+            ->with('kntnt-ad-attr-admin', 'https://example.com/plugin/css/admin.css', [], '1.9.0');
+        Functions\expect('wp_enqueue_script')
+            ->once()
+            ->with('kntnt-ad-attr-admin', 'https://example.com/plugin/js/admin.js', [], '1.9.0', true);
+        Functions\expect('wp_localize_script')
+            ->once()
+            ->withArgs(fn (string $handle, string $name, array $data) => $name === 'kntntAdAttrAdmin'
+                && $data['searchUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/search-posts'
+                && $data['bulkUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/bulk-create'
+                && isset($data['i18n']['searchResults'], $data['i18n']['noResults'])
+                && $data['maxRows'] === Tracking_Url_Creator::MAX_ROWS
+                && $data['utmSources'] === ['google' => 'cpc']);
+
+        $page->enqueue_assets('tools_page_kntnt-ad-attr');
+
+        $_GET = [];
+
+        expect(true)->toBeTrue();
+    });
+
 });
 
 // ─── render_page() ───
@@ -254,6 +333,72 @@ describe('Admin_Page::render_page()', function () {
         expect($output)->toContain('Ad Attribution');
     });
 
+    it('appends an unregistered tab after the merged view', function () {
+        [$page] = setup_render_env();
+
+        $_GET['tab'] = 'addons';
+
+        Filters\expectApplied('kntnt_ad_attr_admin_tabs')->once()->andReturn(['dashboard' => 'Dashboard']);
+        Actions\expectDone('kntnt_ad_attr_admin_tab_addons')->once()->whenHappen(function () {
+            echo '<div id="addons-tab"></div>';
+        });
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('class="nav-tab nav-tab-active">Tracking URLs</a>');
+        expect($output)->toContain('Create Tracking URL');
+        expect(strpos($output, 'addons-tab'))->toBeGreaterThan(strpos($output, 'Create Tracking URL'));
+    });
+
+    it('renders a custom tab instead of the merged view', function () {
+        [$page] = setup_render_env();
+
+        $_GET['tab'] = 'dashboard';
+
+        Filters\expectApplied('kntnt_ad_attr_admin_tabs')->once()->andReturn(['dashboard' => 'Dashboard']);
+        Actions\expectDone('kntnt_ad_attr_admin_tab_dashboard')->once();
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->never();
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('nav-tab-wrapper');
+        expect($output)->toContain('class="nav-tab nav-tab-active">Dashboard</a>');
+        expect($output)->toContain('class="nav-tab">Tracking URLs</a>');
+        expect($output)->not->toContain('Create Tracking URL');
+    });
+
+    it('renders the tab bar with the merged view selected', function () {
+        [$page] = setup_render_env();
+
+        Filters\expectApplied('kntnt_ad_attr_admin_tabs')->once()->andReturn(['dashboard' => 'Dashboard']);
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('class="nav-tab nav-tab-active">Tracking URLs</a>');
+        expect($output)->toContain('tab=dashboard');
+        expect($output)->toContain('Create Tracking URL');
+    });
+
+    it('omits the tab bar when no tabs are registered', function () {
+        [$page] = setup_render_env();
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->not->toContain('nav-tab-wrapper');
+    });
+
     it('renders queue status when reporters registered', function () {
         [$page, $queue] = setup_render_env();
 
@@ -262,7 +407,7 @@ describe('Admin_Page::render_page()', function () {
             'test-reporter' => fn () => null,
         ]);
 
-        $queue->shouldReceive('get_active_jobs')->once()->andReturn([]);
+        $queue->shouldReceive('get_jobs')->once()->andReturn([]);
 
         ob_start();
         $page->render_page();
@@ -284,4 +429,155 @@ describe('Admin_Page::render_page()', function () {
         expect($output)->toContain('Create Tracking URL');
     });
 
+    it('links to the bulk view', function () {
+        [$page] = setup_render_env();
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('Create in Bulk');
+    });
+
+    it('renders the combinations and import forms in the bulk view', function () {
+        [$page] = setup_render_env();
+
+        $_GET['action'] = 'bulk';
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('id="kntnt-ad-attr-bulk"');
+        expect($output)->toContain('class="kntnt-ad-attr-form kntnt-ad-attr-bulk-combinations"');
+        expect($output)->toContain('id="kntnt-ad-attr-target-post" name="target"');
+        expect($output)->toContain('name="combinations"');
+        expect($output)->toContain('type="file" name="file"');
+        expect($output)->toContain('class="kntnt-ad-attr-bulk-preview"');
+        expect($output)->not->toContain('wp-list-table');
+    });
+
+    it('renders the edit form prefilled with the current values and the change history', function () {
+        [$page, , , $history] = setup_render_env();
+        stub_edit_form();
+
+        $_GET = ['action' => 'edit', 'post' => '7'];
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+        Functions\when('get_date_from_gmt')->alias(fn (string $time) => substr($time, 0, 16));
+        Functions\when('get_userdata')->justReturn((object) ['display_name' => 'Alice']);
+
+        $history->shouldReceive('get_entries')->once()->with(7)->andReturn([
+            ['time' => '2026-02-20 09:30:00', 'user_id' => 3, 'changes' => ['target_post_id' => ['from' => '43', 'to' => '42']]],
+        ]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('Edit Tracking URL');
+        expect($output)->toContain('name="kntnt_ad_attr_action" value="update_url"');
+        expect($output)->toContain('name="kntnt_ad_attr_post_id" value="7"');
+        expect($output)->toContain('<code>https://example.com/ad/' . TestFactory::hash('edit') . '</code>');
+        expect($output)->toContain('<option value="42" selected>Spring sale (page #42)</option>');
+        expect($output)->toContain('id="kntnt-ad-attr-utm_source" name="kntnt_ad_attr_utm_source" list="kntnt-ad-attr-utm_source-options" value="newsletter-partner"');
+        expect($output)->toContain('id="kntnt-ad-attr-utm_medium" name="kntnt_ad_attr_utm_medium" list="kntnt-ad-attr-utm_medium-options" value="cpc"');
+        expect($output)->toContain('<datalist id="kntnt-ad-attr-utm_medium-options"><option value="cpc"></option>');
+        expect($output)->toContain('value="spring"');
+        expect($output)->toContain('<td>2026-02-20 09:30</td><td>Alice</td><td>Target Page</td><td>Winter sale (page #43)</td><td>Spring sale (page #42)</td>');
+    });
+
+    it('refuses to edit a post that is not a tracking URL', function () {
+        [$page, , , $history] = setup_render_env();
+        stub_edit_form();
+
+        $_GET = ['action' => 'edit', 'post' => '42'];
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+        $history->shouldNotReceive('get_entries');
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('The tracking URL does not exist or is in the trash.');
+        expect($output)->not->toContain('update_url');
+    });
+
+    it('links to the model comparison for the date range shown', function () {
+        [$page] = setup_render_env();
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('Compare Attribution Models');
+        expect($output)->toContain('action=compare');
+        expect($output)->toContain('date_start=2026-02-09');
+        expect($output)->toContain('date_end=2026-02-22');
+    });
+
+    it('renders conversions per tracking URL under every model in the compare view', function () {
+        [$page, $queue, $comparison] = setup_render_env();
+
+        $_GET['action'] = 'compare';
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+        Functions\when('home_url')->alias(fn ($path) => 'https://example.com/' . $path);
+        Functions\when('number_format_i18n')->alias(fn (float $number, int $decimals = 0) => number_format($number, $decimals));
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+
+        $comparison->shouldReceive('get_selected_model')->andReturn('linear');
+        $comparison->shouldReceive('get_rows')->once()->with('2026-02-09', '2026-02-22')->andReturn([
+            (object) [
+                'hash'         => 'abc123',
+                'post_id'      => 7,
+                'utm_source'   => 'google',
+                'utm_medium'   => 'cpc',
+                'utm_campaign' => 'spring',
+                'conversions'  => [
+                    'last_click'     => 2.0,
+                    'first_click'    => 0.0,
+                    'linear'         => 1.5,
+                    'time_decay'     => 1.25,
+                    'position_based' => 1.0,
+                ],
+            ],
+        ]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('https://example.com/ad/abc123');
+        expect($output)->toContain('<strong>Linear</strong> (selected)');
+        expect($output)->toContain('<strong>1.5</strong>');
+        expect($output)->toContain('<td>2.0</td>');
+        expect($output)->not->toContain('Create Tracking URL');
+    });
+
+    it('explains an empty comparison', function () {
+        [$page, $queue, $comparison] = setup_render_env();
+
+        $_GET['action'] = 'compare';
+
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')->andReturn([]);
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+
+        $comparison->shouldReceive('get_selected_model')->andReturn('last_click');
+        $comparison->shouldReceive('get_rows')->once()->andReturn([]);
+
+        ob_start();
+        $page->render_page();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('No conversions recorded in this date range.');
+    });
+
 });
@@ -0,0 +1,146 @@
+<?php
+/**
+ * Unit tests for Attribution_Comparison.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Attribution_Comparison;
+use Kntnt\Ad_Attribution\Attribution_Models;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Actions;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Creates an Attribution_Comparison instance with real models.
+ *
+ * @param string $model Selected model ID.
+ *
+ * @return Attribution_Comparison
+ */
+function make_attribution_comparison(string $model = 'last_click'): Attribution_Comparison {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('attribution_model')->andReturn($model);
+    $settings->shouldReceive('get')->with('time_decay_half_life')->andReturn(7);
+    return new Attribution_Comparison(new Attribution_Models($settings));
+}
+
+// ─── register() ───
+
+describe('Attribution_Comparison::register()', function () {
+
+    it('records touchpoints when a conversion is recorded', function () {
+        Actions\expectAdded('kntnt_ad_attr_conversion_recorded')->once();
+
+        make_attribution_comparison()->register();
+
+        expect(true)->toBeTrue();
+    });
+
+});
+
+// ─── record_touchpoints() ───
+
+describe('Attribution_Comparison::record_touchpoints()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('inserts one row per candidate click in a single query', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $hash1 = TestFactory::hash('touch-1');
+        $hash2 = TestFactory::hash('touch-2');
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(function (string $sql, ...$values) use ($hash1, $hash2) {
+                return str_contains($sql, 'INSERT IGNORE INTO wp_kntnt_ad_attr_touchpoints')
+                    && substr_count($sql, '(%s, %s, %s, %s)') === 2
+                    && count($values) === 8
+                    && $values[1] === $hash1
+                    && $values[2] === '2023-11-14 22:13:20'
+                    && $values[5] === $hash2
+                    && $values[0] === $values[4];
+            })
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->with('SQL');
+
+        make_attribution_comparison()->record_touchpoints([$hash1 => 0.0, $hash2 => 1.0], [
+            'clicks' => [
+                ['hash' => $hash1, 'clicked_at' => 1700000000],
+                ['hash' => $hash2, 'clicked_at' => 1700003600],
+            ],
+        ]);
+
+        expect(true)->toBeTrue();
+    });
+
+    it('does nothing without clicks in the context', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldNotReceive('query');
+
+        make_attribution_comparison()->record_touchpoints([], []);
+
+        expect(true)->toBeTrue();
+    });
+
+});
+
+// ─── get_rows() ───
+
+describe('Attribution_Comparison::get_rows()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('returns an empty array without touchpoints', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+
+        expect(make_attribution_comparison()->get_rows('2024-01-01', '2024-01-31'))->toBe([]);
+    });
+
+    it('replays conversions through every model and sorts by the selected one', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $hash1 = TestFactory::hash('compare-1');
+        $hash2 = TestFactory::hash('compare-2');
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+
+        // One conversion with two clicks: hash1 first, hash2 last.
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['conversion_key' => 'k1', 'hash' => $hash1, 'clicked_at' => '2024-01-01 10:00:00', 'converted_at' => '2024-01-02 10:00:00'],
+            (object) ['conversion_key' => 'k1', 'hash' => $hash2, 'clicked_at' => '2024-01-02 09:00:00', 'converted_at' => '2024-01-02 10:00:00'],
+        ]);
+
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['hash' => $hash2, 'post_id' => 2, 'utm_source' => 'meta', 'utm_medium' => 'paid-social', 'utm_campaign' => 'b'],
+            (object) ['hash' => $hash1, 'post_id' => 1, 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'a'],
+        ]);
+
+        $rows = make_attribution_comparison('first_click')->get_rows('2024-01-01', '2024-01-31');
+
+        expect($rows)->toHaveCount(2);
+        expect($rows[0]->hash)->toBe($hash1);
+        expect($rows[0]->conversions['first_click'])->toBe(1.0);
+        expect($rows[0]->conversions['last_click'])->toBe(0.0);
+        expect($rows[0]->conversions['linear'])->toBe(0.5);
+        expect($rows[1]->conversions['last_click'])->toBe(1.0);
+        expect($rows[1]->conversions['position_based'])->toBe(0.5);
+    });
+
+});
@@ -0,0 +1,160 @@
+<?php
+/**
+ * Unit tests for Attribution_Models.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Attribution_Models;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+
+/**
+ * Creates an Attribution_Models instance with a mocked Settings.
+ *
+ * @param string $model     Selected model ID.
+ * @param int    $half_life Time-decay half-life in days.
+ *
+ * @return Attribution_Models
+ */
+function make_attribution_models(string $model = 'last_click', int $half_life = 7): Attribution_Models {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('attribution_model')->andReturn($model);
+    $settings->shouldReceive('get')->with('time_decay_half_life')->andReturn($half_life);
+    return new Attribution_Models($settings);
+}
+
+/**
+ * Builds a click list from hash => timestamp pairs.
+ *
+ * @param array<string, int> $timestamps Hash => Unix timestamp.
+ *
+ * @return array<int, array{hash: string, clicked_at: int}>
+ */
+function make_model_clicks(array $timestamps): array {
+    $clicks = [];
+    foreach ($timestamps as $hash => $clicked_at) {
+        $clicks[] = ['hash' => $hash, 'clicked_at' => $clicked_at];
+    }
+    return $clicks;
+}
+
+// ─── get_labels() ───
+
+describe('Attribution_Models::get_labels()', function () {
+
+    it('lists the five bundled models', function () {
+        expect(array_keys(Attribution_Models::get_labels()))->toBe([
+            'last_click',
+            'first_click',
+            'linear',
+            'time_decay',
+            'position_based',
+        ]);
+    });
+
+});
+
+// ─── get_model() ───
+
+describe('Attribution_Models::get_model()', function () {
+
+    it('returns the selected model', function () {
+        expect(make_attribution_models('linear')->get_model())->toBe('linear');
+    });
+
+    it('falls back to last click for an unknown model', function () {
+        expect(make_attribution_models('bogus')->get_model())->toBe('last_click');
+    });
+
+});
+
+// ─── get_weights() ───
+
+describe('Attribution_Models::get_weights()', function () {
+
+    it('returns an empty array without clicks', function () {
+        expect(make_attribution_models()->get_weights([]))->toBe([]);
+    });
+
+    it('gives last click full credit to the most recent click', function () {
+        $clicks = make_model_clicks(['b' => 200, 'a' => 100, 'c' => 150]);
+
+        expect(make_attribution_models()->get_weights($clicks))
+            ->toBe(['b' => 1.0, 'a' => 0.0, 'c' => 0.0]);
+    });
+
+    it('gives last click credit to the first of simultaneous latest clicks', function () {
+        $clicks = make_model_clicks(['a' => 200, 'b' => 200, 'c' => 100]);
+
+        expect(make_attribution_models()->get_weights($clicks))
+            ->toBe(['a' => 1.0, 'b' => 0.0, 'c' => 0.0]);
+    });
+
+    it('uses the selected model when none is given', function () {
+        $clicks = make_model_clicks(['a' => 100, 'b' => 200]);
+
+        expect(make_attribution_models('first_click')->get_weights($clicks))
+            ->toBe(['a' => 1.0, 'b' => 0.0]);
+    });
+
+    it('gives first click full credit to the earliest click', function () {
+        $clicks = make_model_clicks(['a' => 300, 'b' => 100, 'c' => 200]);
+
+        expect(make_attribution_models()->get_weights($clicks, 'first_click'))
+            ->toBe(['a' => 0.0, 'b' => 1.0, 'c' => 0.0]);
+    });
+
+    it('splits linear credit equally', function () {
+        $clicks = make_model_clicks(['a' => 100, 'b' => 200, 'c' => 300, 'd' => 400]);
+
+        expect(make_attribution_models()->get_weights($clicks, 'linear'))
+            ->toBe(['a' => 0.25, 'b' => 0.25, 'c' => 0.25, 'd' => 0.25]);
+    });
+
+    it('halves time-decay credit per half-life', function () {
+        $now    = 1700000000;
+        $clicks = make_model_clicks(['old' => $now - 2 * DAY_IN_SECONDS, 'new' => $now]);
+
+        $weights = make_attribution_models('last_click', 2)->get_weights($clicks, 'time_decay', $now);
+
+        expect($weights['new'])->toEqualWithDelta(2 / 3, 0.0001);
+        expect($weights['old'])->toEqualWithDelta(1 / 3, 0.0001);
+    });
+
+    it('measures time decay from now by default', function () {
+        $now = 1700000000;
+        Functions\when('time')->justReturn($now);
+
+        $clicks = make_model_clicks(['old' => $now - 7 * DAY_IN_SECONDS, 'new' => $now]);
+
+        $weights = make_attribution_models()->get_weights($clicks, 'time_decay');
+
+        expect($weights['new'])->toEqualWithDelta(2 / 3, 0.0001);
+        expect(array_sum($weights))->toEqualWithDelta(1.0, 0.0001);
+    });
+
+    it('gives position-based 40/20/40 credit', function () {
+        $clicks = make_model_clicks(['a' => 100, 'b' => 200, 'c' => 300, 'd' => 400]);
+
+        $weights = make_attribution_models()->get_weights($clicks, 'position_based');
+
+        expect($weights['a'])->toEqualWithDelta(0.4, 0.0001);
+        expect($weights['b'])->toEqualWithDelta(0.1, 0.0001);
+        expect($weights['c'])->toEqualWithDelta(0.1, 0.0001);
+        expect($weights['d'])->toEqualWithDelta(0.4, 0.0001);
+    });
+
+    it('splits position-based credit equally for one or two clicks', function () {
+        $models = make_attribution_models();
+
+        expect($models->get_weights(make_model_clicks(['a' => 100]), 'position_based'))
+            ->toBe(['a' => 1.0]);
+        expect($models->get_weights(make_model_clicks(['a' => 100, 'b' => 200]), 'position_based'))
+            ->toBe(['a' => 0.5, 'b' => 0.5]);
+    });
+
+});
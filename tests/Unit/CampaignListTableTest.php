@@ -43,6 +43,54 @@ function stub_default_dates(int $startOfWeek = 1, string $todayDate = '2026-02-2
     });
 }
 
+/**
+ * Invokes the protected attributed value column renderer for a row.
+ *
+ * @param object $item Row with attributed_value, value_currencies and value_currency.
+ */
+function render_attributed_value(object $item): string {
+    $table = new Campaign_List_Table();
+    $ref   = new \ReflectionMethod($table, 'column_attributed_value');
+    $ref->setAccessible(true);
+    return $ref->invoke($table, $item);
+}
+
+/**
+ * Invokes the protected tracking URL column renderer for a row.
+ *
+ * @param object $item Row with hash and post_id.
+ */
+function render_tracking_url(object $item): string {
+    $table = new Campaign_List_Table();
+    $ref   = new \ReflectionMethod($table, 'column_tracking_url');
+    $ref->setAccessible(true);
+    return $ref->invoke($table, $item);
+}
+
+/**
+ * Invokes the protected click IDs column renderer for a row.
+ *
+ * @param object $item Row with click_id_platforms.
+ */
+function render_click_ids(object $item): string {
+    $table = new Campaign_List_Table();
+    $ref   = new \ReflectionMethod($table, 'column_click_ids');
+    $ref->setAccessible(true);
+    return $ref->invoke($table, $item);
+}
+
+/**
+ * Invokes the protected target URL column renderer for a row.
+ *
+ * @param object $item Row with target_post_id and post_id.
+ */
+function render_target_url(object $item): string {
+    $table = new Campaign_List_Table();
+    $ref   = new \ReflectionMethod($table, 'column_target_url');
+    $ref->setAccessible(true);
+    return $ref->invoke($table, $item);
+}
+
 // ─── get_columns() ───
 
 describe('Campaign_List_Table::get_columns()', function () {
@@ -62,11 +110,13 @@ describe('Campaign_List_Table::get_columns()', function () {
             'utm_source',
             'utm_medium',
             'utm_campaign',
+            'click_ids',
             'total_clicks',
             'total_conversions',
+            'attributed_value',
         ]);
 
-        expect($columns)->toHaveCount(8);
+        expect($columns)->toHaveCount(10);
     });
 
     it('returns same columns in trash view for consistent layout', function () {
@@ -82,11 +132,13 @@ describe('Campaign_List_Table::get_columns()', function () {
             'utm_source',
             'utm_medium',
             'utm_campaign',
+            'click_ids',
             'total_clicks',
             'total_conversions',
+            'attributed_value',
         ]);
 
-        expect($columns)->toHaveCount(8);
+        expect($columns)->toHaveCount(10);
     });
 
 });
@@ -105,14 +157,16 @@ describe('Campaign_List_Table::get_sortable_columns()', function () {
         expect($sortable)->toHaveKeys([
             'total_clicks',
             'total_conversions',
+            'attributed_value',
             'utm_source',
             'utm_medium',
             'utm_campaign',
         ]);
 
-        // total_clicks and total_conversions sort DESC first.
+        // Click, conversion and value columns sort DESC first.
         expect($sortable['total_clicks'][1])->toBeTrue();
         expect($sortable['total_conversions'][1])->toBeTrue();
+        expect($sortable['attributed_value'][1])->toBeTrue();
 
         // UTM columns sort ASC first.
         expect($sortable['utm_source'][1])->toBeFalse();
@@ -176,10 +230,11 @@ describe('Campaign_List_Table::get_filter_params()', function () {
     });
 
     it('passes through UTM filter values', function () {
-        $_GET['utm_source']   = 'google';
-        $_GET['utm_medium']   = 'cpc';
-        $_GET['utm_campaign'] = 'summer';
-        $_GET['s']            = 'search term';
+        $_GET['utm_source']        = 'google';
+        $_GET['utm_medium']        = 'cpc';
+        $_GET['utm_campaign']      = 'summer';
+        $_GET['click_id_platform'] = 'meta';
+        $_GET['s']                 = 'search term';
 
         stub_default_dates();
 
@@ -189,6 +244,7 @@ describe('Campaign_List_Table::get_filter_params()', function () {
         expect($params['utm_source'])->toBe('google');
         expect($params['utm_medium'])->toBe('cpc');
         expect($params['utm_campaign'])->toBe('summer');
+        expect($params['click_id_platform'])->toBe('meta');
         expect($params['search'])->toBe('search term');
     });
 
@@ -203,9 +259,20 @@ describe('Campaign_List_Table::get_filter_params()', function () {
         expect($params['utm_source'])->toBe('');
         expect($params['utm_medium'])->toBe('');
         expect($params['utm_campaign'])->toBe('');
+        expect($params['click_id_platform'])->toBe('');
         expect($params['search'])->toBe('');
     });
 
+    it('leaves out suspected clicks unless they are included', function () {
+        stub_default_dates();
+
+        expect((new Campaign_List_Table())->get_filter_params()['suspected'])->toBeFalse();
+
+        $_GET['suspected'] = '1';
+
+        expect((new Campaign_List_Table())->get_filter_params()['suspected'])->toBeTrue();
+    });
+
 });
 
 // ─── get_default_date_range() via get_filter_params() ───
@@ -442,6 +509,33 @@ describe('Campaign_List_Table::prepare_items()', function () {
         expect($has_group)->toBeTrue();
     });
 
+    it('lists the platforms of stored click IDs and filters by platform', function () {
+        $_GET['click_id_platform'] = 'google_ads';
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $captured = [];
+
+        $wpdb->shouldReceive('prepare')->andReturnUsing(function () use (&$captured) {
+            $captured[] = func_get_args();
+            return 'SQL';
+        });
+
+        $wpdb->shouldReceive('get_var')->once()->andReturn(0);
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+
+        (new Campaign_List_Table())->prepare_items();
+
+        $filter = array_values(array_filter($captured, fn ($args) => str_contains($args[0], 'AND EXISTS')));
+        expect($filter[0][0])->toContain('wp_kntnt_ad_attr_click_ids ci WHERE ci.hash = pm_hash.meta_value AND ci.platform = %s');
+        expect($filter[0][1])->toBe('google_ads');
+
+        $select = end($captured)[0];
+        expect($select)->toContain('GROUP_CONCAT(ci.platform ORDER BY ci.platform)');
+        expect($select)->toContain('AS click_id_platforms');
+    });
+
     it('joins clicks and conversions tables', function () {
         $wpdb = TestFactory::wpdb();
         $GLOBALS['wpdb'] = $wpdb;
@@ -643,6 +737,148 @@ describe('Campaign_List_Table::prepare_items()', function () {
 
 });
 
+// ─── column_attributed_value() ───
+
+describe('Campaign_List_Table::column_attributed_value()', function () {
+
+    beforeEach(function () {
+        Functions\when('number_format_i18n')->alias(fn (float $number, int $decimals = 0) => number_format($number, $decimals));
+    });
+
+    it('appends the currency code when all values share one currency', function () {
+        $item = (object) ['attributed_value' => '1250.5000', 'value_currencies' => 1, 'value_currency' => 'SEK'];
+
+        expect(render_attributed_value($item))->toBe('1,250.50 SEK');
+    });
+
+    it('flags sums of values recorded in different currencies', function () {
+        $item = (object) ['attributed_value' => '300.0000', 'value_currencies' => 2, 'value_currency' => 'EUR'];
+
+        expect(render_attributed_value($item))->toBe('300.00 (mixed currencies)');
+    });
+
+    it('shows the bare amount when no currency was recorded', function () {
+        $item = (object) ['attributed_value' => '42.0000', 'value_currencies' => 0, 'value_currency' => null];
+
+        expect(render_attributed_value($item))->toBe('42.00');
+    });
+
+    it('is empty when no conversion carried a value', function () {
+        $item = (object) ['attributed_value' => null, 'value_currencies' => 0, 'value_currency' => null];
+
+        expect(render_attributed_value($item))->toBe('');
+    });
+
+});
+
+// ─── column_click_ids() ───
+
+describe('Campaign_List_Table::column_click_ids()', function () {
+
+    it('shows the parameters of built-in platforms and the IDs of others', function () {
+        $html = render_click_ids((object) ['click_id_platforms' => 'google_ads,meta,snapchat']);
+
+        expect($html)->toBe('<abbr title="Google Ads (gclid)">gclid</abbr>, <abbr title="Meta (fbclid)">fbclid</abbr>, <abbr title="snapchat">snapchat</abbr>');
+    });
+
+    it('is empty without stored click IDs', function () {
+        expect(render_click_ids((object) ['click_id_platforms' => null]))->toBe('');
+    });
+
+});
+
+// ─── column_tracking_url() ───
+
+describe('Campaign_List_Table::column_tracking_url()', function () {
+
+    beforeEach(function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+        Functions\when('admin_url')->alias(fn (string $path) => 'https://example.com/wp-admin/' . $path);
+        Functions\when('wp_nonce_url')->alias(fn (string $url) => $url . '&_wpnonce=nonce');
+    });
+
+    afterEach(function () {
+        $_GET = [];
+    });
+
+    it('offers a breakdown toggle for published tracking URLs', function () {
+        $hash = TestFactory::hash('breakdown');
+
+        $html = render_tracking_url((object) ['hash' => $hash, 'post_id' => 7]);
+
+        expect($html)->toContain('class="button-link kntnt-ad-attr-breakdown-toggle" aria-expanded="false" data-hash="' . $hash . '"');
+        expect($html)->toContain('action=trash&post=7');
+    });
+
+    it('offers a QR code toggle with the tracking URL for published tracking URLs', function () {
+        $hash = TestFactory::hash('qr');
+
+        $html = render_tracking_url((object) ['hash' => $hash, 'post_id' => 7]);
+
+        expect($html)->toContain('class="button-link kntnt-ad-attr-qr-toggle" aria-expanded="false" data-url="https://example.com/ad/' . $hash . '" data-hash="' . $hash . '"');
+    });
+
+    it('links to the edit form for published tracking URLs', function () {
+        $html = render_tracking_url((object) ['hash' => TestFactory::hash('edit'), 'post_id' => 7]);
+
+        expect($html)->toContain("<span class='edit'><a href=\"https://example.com/wp-admin/tools.php?page=kntnt-ad-attribution&action=edit&post=7\">Edit</a></span>");
+    });
+
+    it('omits the breakdown toggle in the trash view', function () {
+        $_GET['post_status'] = 'trash';
+
+        $html = render_tracking_url((object) ['hash' => TestFactory::hash('trashed'), 'post_id' => 7]);
+
+        expect($html)->not->toContain('kntnt-ad-attr-breakdown-toggle');
+        expect($html)->not->toContain('action=edit');
+        expect($html)->not->toContain('kntnt-ad-attr-qr-toggle');
+        expect($html)->toContain('action=restore&post=7');
+    });
+
+});
+
+// ─── column_target_url() ───
+
+describe('Campaign_List_Table::column_target_url()', function () {
+
+    beforeEach(function () {
+        Functions\when('get_permalink')->alias(fn (int $id) => $id === 42 ? 'https://example.com/spring-sale/' : false);
+        Functions\when('get_date_from_gmt')->alias(fn (string $time) => substr($time, 0, 16));
+    });
+
+    afterEach(function () {
+        $_GET = [];
+    });
+
+    it('notes target changes within the date range', function () {
+        $_GET = ['date_start' => '2026-02-09', 'date_end' => '2026-02-22'];
+
+        Functions\expect('get_post_meta')->once()->with(7, '_change', false)->andReturn([
+            ['time' => '2026-01-15 08:00:00', 'user_id' => 1, 'changes' => ['target_post_id' => ['from' => '41', 'to' => '43']]],
+            ['time' => '2026-02-20 09:30:00', 'user_id' => 1, 'changes' => ['target_post_id' => ['from' => '43', 'to' => '42']]],
+            ['time' => '2026-02-21 10:00:00', 'user_id' => 1, 'changes' => ['utm_campaign' => ['from' => 'spring', 'to' => 'spring-2026']]],
+        ]);
+
+        $html = render_target_url((object) ['target_post_id' => '42', 'post_id' => 7]);
+
+        expect($html)->toBe(
+            '<a href="https://example.com/spring-sale/" target="_blank">https://example.com/spring-sale/</a>'
+            . '<br><small class="kntnt-ad-attr-target-changed">Target changed on 2026-02-20 09:30</small>',
+        );
+    });
+
+    it('shows deleted targets without reading the history in the trash view', function () {
+        $_GET['post_status'] = 'trash';
+
+        Functions\expect('get_post_meta')->never();
+
+        expect(render_target_url((object) ['target_post_id' => '99', 'post_id' => 7]))->toBe('<em>(deleted)</em>');
+    });
+
+});
+
 // ─── fetch_all_items() ───
 
 describe('Campaign_List_Table::fetch_all_items()', function () {
@@ -684,6 +920,9 @@ describe('Campaign_List_Table::fetch_all_items()', function () {
                 str_contains($sql, 'c.utm_source_platform') &&
                 str_contains($sql, 'c.clicked_at') &&
                 str_contains($sql, 'cv.fractional_conversion') &&
+                str_contains($sql, 'cv.conversion_value') &&
+                str_contains($sql, 'cv.currency') &&
+                str_contains($sql, 'cv.label') &&
                 str_contains($sql, 'cv.converted_at')
             ) {
                 $has_per_click = true;
@@ -816,7 +1055,7 @@ describe('Campaign_List_Table::get_totals()', function () {
         // Totals query should NOT have pm_target JOIN.
         $has_target_join = false;
         foreach ($captured_sql as $sql) {
-            if (str_contains($sql, 'COUNT(DISTINCT c.id)') && str_contains($sql, '_target_post_id')) {
+            if (str_contains($sql, 'AS total_clicks') && str_contains($sql, '_target_post_id')) {
                 $has_target_join = true;
             }
         }
@@ -824,4 +1063,144 @@ describe('Campaign_List_Table::get_totals()', function () {
         expect($has_target_join)->toBeFalse();
     });
 
+    it('leaves suspected clicks out of the click count unless included', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $captured_sql = [];
+
+        $wpdb->shouldReceive('prepare')->andReturnUsing(function (string $sql) use (&$captured_sql) {
+            $captured_sql[] = $sql;
+            return 'SQL';
+        });
+        $wpdb->shouldReceive('get_row')->twice()->andReturn(null);
+
+        (new Campaign_List_Table())->get_totals();
+        $_GET['suspected'] = '1';
+        (new Campaign_List_Table())->get_totals();
+
+        expect($captured_sql[0])->toContain("COUNT(DISTINCT IF((c.js_confirmed = 0 OR c.fraud_status IN ('flagged', 'fraud')), NULL, c.id))");
+        expect($captured_sql[1])->toContain('COUNT(DISTINCT IF(c.js_confirmed = 0, NULL, c.id))');
+    });
+
+    it('leaves conversions of suspected clicks out with their clicks unless included', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $captured_sql = [];
+
+        $wpdb->shouldReceive('prepare')->andReturnUsing(function (string $sql) use (&$captured_sql) {
+            $captured_sql[] = $sql;
+            return 'SQL';
+        });
+        $wpdb->shouldReceive('get_row')->twice()->andReturn(null);
+
+        (new Campaign_List_Table())->get_totals();
+        $_GET['suspected'] = '1';
+        (new Campaign_List_Table())->get_totals();
+
+        expect($captured_sql[0])->toContain("ON cv.click_id = c.id AND (c.fraud_status IS NULL OR c.fraud_status NOT IN ('flagged', 'fraud'))");
+        expect($captured_sql[1])->toContain('ON cv.click_id = c.id AND TRUE');
+    });
+
+});
+
+// ─── extra_tablenav() ───
+
+describe('Campaign_List_Table::extra_tablenav()', function () {
+
+    beforeEach(function () {
+        stub_default_dates();
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Post_Type::get_distinct_meta_values', fn () => []);
+        Functions\when('selected')->justReturn('');
+        Functions\when('checked')->alias(fn ($checked, $current = true, $display = true) => $checked === $current ? " checked='checked'" : '');
+        Functions\when('submit_button')->justReturn(null);
+    });
+
+    afterEach(function () {
+        $_GET = [];
+    });
+
+    it('offers date range presets and the previous period comparison to scripts', function () {
+        $_GET['compare'] = '1';
+
+        $table = new Campaign_List_Table();
+        $ref   = new \ReflectionMethod($table, 'extra_tablenav');
+        $ref->setAccessible(true);
+
+        ob_start();
+        $ref->invoke($table, 'top');
+        $html = ob_get_clean();
+
+        expect($html)->toContain('<span class="kntnt-ad-attr-date-presets hide-if-no-js">');
+        expect($html)->toContain('<option value="last_30_days">');
+        expect($html)->toContain('<option value="previous_month">');
+        expect($html)->toContain("name=\"compare\" value=\"1\" checked='checked'");
+    });
+
+    it('offers to include suspected clicks', function () {
+        $table = new Campaign_List_Table();
+        $ref   = new \ReflectionMethod($table, 'extra_tablenav');
+        $ref->setAccessible(true);
+
+        ob_start();
+        $ref->invoke($table, 'top');
+        $html = ob_get_clean();
+
+        expect($html)->toContain('<input type="checkbox" name="suspected" value="1">');
+    });
+
+});
+
+// ─── get_fragments() ───
+
+describe('Campaign_List_Table::get_fragments()', function () {
+
+    beforeEach(function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('admin_url')->alias(fn (string $path) => 'https://example.com/wp-admin/' . $path);
+        Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . implode('&', array_map(
+            fn (string $key, string $value) => "{$key}={$value}",
+            array_keys($args),
+            $args,
+        )));
+        Functions\when('wp_make_link_relative')->alias(fn (string $url) => (string) preg_replace('|^https?://[^/]+|', '', $url));
+        Functions\when('number_format_i18n')->alias(fn ($number, int $decimals = 0) => number_format((float) $number, $decimals));
+    });
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb'], $_SERVER['REQUEST_URI']);
+        $_GET = [];
+    });
+
+    it('renders rows, headers and pagination linking to the admin page', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $_GET = [
+            'date_start' => '2026-02-09',
+            'date_end'   => '2026-02-22',
+            'utm_source' => 'google ads',
+            'orderby'    => 'total_conversions',
+            '_wpnonce'   => 'abc123',
+        ];
+        $_SERVER['REQUEST_URI'] = '/wp-json/kntnt-ad-attribution/v1/campaigns?utm_source=google+ads';
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->once()->andReturn(
+            (object) ['total_clicks' => '120', 'total_conversions' => '3.5000', 'attributed_value' => '450.0000', 'value_currencies' => '1', 'value_currency' => 'SEK'],
+        );
+
+        $fragments = (new Campaign_List_Table('tools_page_kntnt-ad-attribution'))->get_fragments();
+
+        expect($fragments['rows'])->toContain('kntnt-ad-attr-totals-row');
+        expect($fragments['column_headers'])->toContain('<th id="total_clicks">');
+        expect($fragments['column_footers'])->not->toContain(' id=');
+        expect($fragments['pagination']['top'])->toContain(
+            'href="/wp-admin/tools.php?page=kntnt-ad-attribution&date_start=2026-02-09&date_end=2026-02-22&utm_source=google%20ads&orderby=total_conversions"',
+        );
+        expect($fragments['totals'])->toBe(['clicks' => 120, 'conversions' => 3.5, 'attributed_value' => 450.0, 'currency' => 'SEK']);
+        expect($_SERVER['REQUEST_URI'])->toBe('/wp-json/kntnt-ad-attribution/v1/campaigns?utm_source=google+ads');
+    });
+
 });
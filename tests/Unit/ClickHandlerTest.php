@@ -13,6 +13,8 @@ use Kntnt\Ad_Attribution\Cookie_Manager;
 use Kntnt\Ad_Attribution\Consent;
 use Kntnt\Ad_Attribution\Bot_Detector;
 use Kntnt\Ad_Attribution\Click_ID_Store;
+use Kntnt\Ad_Attribution\Interstitial;
+use Kntnt\Ad_Attribution\Fraud_Detector;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
 use Brain\Monkey\Filters;
@@ -26,14 +28,51 @@ class ExitException extends \RuntimeException {}
 /**
  * Creates a Click_Handler with fresh mocked dependencies.
  *
- * @return array{0: Click_Handler, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface, 4: Mockery\MockInterface}
+ * The fraud detector scores no click unless a test says otherwise.
+ *
+ * @return array{0: Click_Handler, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface, 4: Mockery\MockInterface, 5: Mockery\MockInterface, 6: Mockery\MockInterface}
  */
 function make_click_handler(): array {
     $cm  = Mockery::mock(Cookie_Manager::class);
     $con = Mockery::mock(Consent::class);
     $bd  = Mockery::mock(Bot_Detector::class);
     $cis = Mockery::mock(Click_ID_Store::class);
-    return [new Click_Handler($cm, $con, $bd, $cis), $cm, $con, $bd, $cis];
+    $int = Mockery::mock(Interstitial::class);
+    $fd  = Mockery::mock(Fraud_Detector::class);
+    $fd->shouldReceive('score')->andReturn(null)->byDefault();
+    return [new Click_Handler($cm, $con, $bd, $cis, $int, $fd), $cm, $con, $bd, $cis, $int, $fd];
+}
+
+/**
+ * Stubs the WP functions needed to reach the click insert with the
+ * interstitial redirect method and the given consent state.
+ * Returns the handler, its dependencies, a mock wpdb and the hash.
+ */
+function setup_interstitial_path(?bool $consent): array {
+    [$handler, $cm, $con, $bd, $cis, $int] = make_click_handler();
+    $hash = TestFactory::hash('interstitial');
+
+    Functions\expect('get_query_var')->once()->andReturn($hash);
+    $cm->shouldReceive('validate_hash')->andReturn(true);
+
+    $wpdb = TestFactory::wpdb();
+    $row  = (object) ['ID' => 10, 'target_post_id' => '20'];
+    $wpdb->shouldReceive('prepare')->andReturn('SQL');
+    $wpdb->shouldReceive('get_row')->once()->andReturn($row);
+    $GLOBALS['wpdb'] = $wpdb;
+
+    Functions\expect('get_permalink')->once()->andReturn('https://example.com/target/');
+    Functions\when('wp_parse_url')->alias(fn ($url, $comp) => parse_url($url, $comp));
+    Functions\when('wp_parse_str')->alias(function ($str, &$result) { parse_str($str, $result); });
+    Functions\when('add_query_arg')->alias(fn ($args, $url) => $url);
+    Functions\when('time')->justReturn(1700000000);
+    Functions\when('gmdate')->justReturn('2023-11-14 22:13:20');
+    Functions\when('get_post_meta')->justReturn('existing');
+
+    Filters\expectApplied('kntnt_ad_attr_redirect_method')->once()->andReturn('interstitial');
+    $con->shouldReceive('check')->andReturn($consent);
+
+    return [$handler, $cm, $bd, $int, $wpdb, $hash];
 }
 
 /**
@@ -297,6 +336,56 @@ describe('Click_Handler::handle_click()', function () {
                 expect($data['utm_term'])->toBe('keyword');
                 expect($data['utm_id'])->toBe('camp-123');
                 expect($data['utm_source_platform'])->toBe('google');
+                expect($data['js_confirmed'])->toBeNull();
+                expect($data['fraud_score'])->toBeNull();
+                expect($data['fraud_status'])->toBeNull();
+                return true;
+            });
+
+        Functions\when('get_post_meta')->justReturn('existing');
+        $cm->shouldReceive('parse')->andReturn([]);
+        $cm->shouldReceive('add')->andReturn([$hash => time()]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
+
+        Functions\expect('nocache_headers')->once();
+        Functions\expect('wp_redirect')->once()->andReturnUsing(fn () => throw new ExitException());
+
+        expect(fn () => $handler->handle_click())->toThrow(ExitException::class);
+    });
+
+    it('records a suspected click flagged with its score and signals', function () {
+        [$handler, $cm, $con, $bd, $cis, , $fd] = make_click_handler();
+        $hash = TestFactory::hash('fraud');
+
+        Functions\expect('get_query_var')->once()->andReturn($hash);
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+
+        $wpdb = TestFactory::wpdb();
+        $row  = (object) ['ID' => 10, 'target_post_id' => '20'];
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->once()->andReturn($row);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\expect('get_permalink')->once()->andReturn('https://example.com/');
+        Functions\when('wp_parse_url')->alias(fn ($url, $comp) => parse_url($url, $comp));
+        Functions\when('wp_parse_str')->alias(function ($str, &$result) { parse_str($str, $result); });
+        Functions\when('add_query_arg')->alias(fn ($args, $url) => $url);
+
+        $bd->shouldReceive('is_bot')->andReturn(false);
+        $con->shouldReceive('check')->andReturn(true);
+        Functions\when('gmdate')->justReturn('2024-01-01 12:00:00');
+
+        $fd->shouldReceive('score')
+            ->once()
+            ->with($hash, Mockery::type('int'))
+            ->andReturn(['score' => 70, 'reasons' => ['datacenter', 'headers'], 'suspected' => true]);
+
+        $wpdb->shouldReceive('insert')
+            ->once()
+            ->withArgs(function ($table, $data) {
+                expect($data['fraud_score'])->toBe(70);
+                expect($data['fraud_reasons'])->toBe('datacenter,headers');
+                expect($data['fraud_status'])->toBe('flagged');
                 return true;
             });
 
@@ -463,8 +552,9 @@ describe('Click_Handler::handle_click()', function () {
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         Functions\when('get_post_meta')->justReturn('existing');
 
-        // Transport cookie should be set.
-        $cm->shouldReceive('set_transport_cookie')->once()->with($hash);
+        // Transport cookie should carry the signed click.
+        $cm->shouldReceive('sign_click')->once()->with($hash, Mockery::type('int'))->andReturn($hash . '.1700000000.sig');
+        $cm->shouldReceive('set_transport_cookie')->once()->with($hash . '.1700000000.sig');
 
         Functions\expect('nocache_headers')->once();
         Functions\expect('wp_redirect')->once()->andReturnUsing(fn () => throw new ExitException());
@@ -504,14 +594,15 @@ describe('Click_Handler::handle_click()', function () {
             ->andReturn('fragment');
 
         // Should NOT call set_transport_cookie.
+        $cm->shouldReceive('sign_click')->once()->with($hash, Mockery::type('int'))->andReturn($hash . '.1700000000.sig');
         $cm->shouldNotReceive('set_transport_cookie');
 
-        // The redirect URL should contain the hash fragment.
+        // The redirect URL should contain the signed click as fragment.
         Functions\expect('nocache_headers')->once();
         Functions\expect('wp_redirect')
             ->once()
             ->withArgs(function ($url) use ($hash) {
-                expect($url)->toContain('#_aah=' . $hash);
+                expect($url)->toEndWith('#_aah=' . $hash . '.1700000000.sig');
                 return true;
             })
             ->andReturnUsing(fn () => throw new ExitException());
@@ -818,6 +909,62 @@ describe('Click_Handler::handle_click()', function () {
         expect(fn () => $handler->handle_click())->toThrow(ExitException::class);
     });
 
+    it('renders the interstitial page with an unconfirmed click when consent is pending', function () {
+        [$handler, $cm, $bd, $int, $wpdb, $hash] = setup_interstitial_path(null);
+        $bd->shouldReceive('is_bot')->andReturn(false);
+
+        $wpdb->shouldReceive('insert')
+            ->once()
+            ->withArgs(function ($table, $data) {
+                expect($data['js_confirmed'])->toBe(0);
+                return true;
+            })
+            ->andReturn(true);
+
+        // The page hands the click to the client script — no transport.
+        $cm->shouldNotReceive('sign_click');
+        $cm->shouldNotReceive('set_transport_cookie');
+
+        Functions\expect('nocache_headers')->once();
+        Functions\expect('wp_redirect')->never();
+        $int->shouldReceive('render')
+            ->once()
+            ->with($hash, 1700000000, 'https://example.com/target/', true)
+            ->andReturnUsing(fn () => throw new ExitException('interstitial'));
+
+        expect(fn () => $handler->handle_click())->toThrow(ExitException::class, 'interstitial');
+    });
+
+    it('sets the cookie before the interstitial page when consent is granted', function () {
+        [$handler, $cm, $bd, $int, $wpdb, $hash] = setup_interstitial_path(true);
+        $bd->shouldReceive('is_bot')->andReturn(false);
+        $wpdb->shouldReceive('insert')->once()->andReturn(true);
+
+        $cm->shouldReceive('parse')->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, 1700000000)->andReturn([$hash => 1700000000]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
+
+        Functions\expect('nocache_headers')->once();
+        $int->shouldReceive('render')
+            ->once()
+            ->with($hash, 1700000000, 'https://example.com/target/', false)
+            ->andReturnUsing(fn () => throw new ExitException('interstitial'));
+
+        expect(fn () => $handler->handle_click())->toThrow(ExitException::class, 'interstitial');
+    });
+
+    it('redirects bots with 302 when the method is interstitial', function () {
+        [$handler, , $bd, $int, $wpdb] = setup_interstitial_path(null);
+        $bd->shouldReceive('is_bot')->once()->andReturn(true);
+        $wpdb->shouldNotReceive('insert');
+        $int->shouldNotReceive('render');
+
+        Functions\expect('nocache_headers')->once();
+        Functions\expect('wp_redirect')->once()->andReturnUsing(fn () => throw new ExitException('redirect'));
+
+        expect(fn () => $handler->handle_click())->toThrow(ExitException::class, 'redirect');
+    });
+
     it('does not check dedup cookie when dedup_seconds is 0 and consent is true', function () {
         [$handler, $cm, $con, $bd, $cis] = make_click_handler();
         $hash = TestFactory::hash('dedup-disabled');
@@ -1055,7 +1202,8 @@ describe('Click_Handler::handle_click()', function () {
         Functions\when('get_post_meta')->justReturn('existing');
 
         // Transport cookie for pending consent.
-        $cm->shouldReceive('set_transport_cookie')->once()->with($hash);
+        $cm->shouldReceive('sign_click')->once()->andReturn($hash . '.1700000000.sig');
+        $cm->shouldReceive('set_transport_cookie')->once()->with($hash . '.1700000000.sig');
 
         Functions\expect('nocache_headers')->once();
         Functions\expect('wp_redirect')->once()->andReturnUsing(fn () => throw new ExitException());
@@ -0,0 +1,101 @@
+<?php
+/**
+ * Unit tests for Click_ID_Capturers.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Click_ID_Capturers;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+
+/**
+ * Creates a Click_ID_Capturers instance with the given enabled platforms.
+ *
+ * @param mixed $enabled Value of the click_id_capturers setting.
+ */
+function make_click_id_capturers(mixed $enabled): Click_ID_Capturers {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('click_id_capturers')->andReturn($enabled);
+
+    return new Click_ID_Capturers($settings);
+}
+
+// ─── register() ───
+
+describe('Click_ID_Capturers::register()', function () {
+
+    it('hooks the capturer filter at priority 5', function () {
+        Functions\expect('add_filter')
+            ->once()
+            ->with('kntnt_ad_attr_click_id_capturers', Mockery::type('array'), 5);
+
+        make_click_id_capturers(['meta'])->register();
+    });
+
+    it('adds no filter while all capturers are turned off', function () {
+        Functions\expect('add_filter')->never();
+
+        make_click_id_capturers([])->register();
+    });
+
+});
+
+// ─── add_capturers() ───
+
+describe('Click_ID_Capturers::add_capturers()', function () {
+
+    it('adds every platform by default', function () {
+        $capturers = make_click_id_capturers(array_keys(Click_ID_Capturers::PLATFORMS))->add_capturers([]);
+
+        expect($capturers)->toBe([
+            'google_ads'        => 'gclid',
+            'google_ads_gbraid' => 'gbraid',
+            'google_ads_wbraid' => 'wbraid',
+            'meta'              => 'fbclid',
+            'microsoft_ads'     => 'msclkid',
+            'linkedin'          => 'li_fat_id',
+            'tiktok'            => 'ttclid',
+            'x'                 => 'twclid',
+            'pinterest'         => 'epik',
+        ]);
+    });
+
+    it('adds only enabled platforms and keeps existing capturers', function () {
+        $capturers = make_click_id_capturers(['tiktok', 'microsoft_ads', 'snapchat'])
+            ->add_capturers(['microsoft_ads' => 'custom_msclkid', 'snapchat' => 'sccid']);
+
+        expect($capturers)->toBe([
+            'microsoft_ads' => 'custom_msclkid',
+            'snapchat'      => 'sccid',
+            'tiktok'        => 'ttclid',
+        ]);
+    });
+
+});
+
+// ─── get_enabled() ───
+
+describe('Click_ID_Capturers::get_enabled()', function () {
+
+    it('ignores unknown platforms and keeps the built-in order', function () {
+        expect(make_click_id_capturers(['pinterest', 'unknown', 7, 'google_ads'])->get_enabled())
+            ->toBe(['google_ads', 'pinterest']);
+    });
+
+});
+
+// ─── get_label() ───
+
+describe('Click_ID_Capturers::get_label()', function () {
+
+    it('names built-in platforms with their parameter and others by ID', function () {
+        expect(Click_ID_Capturers::get_label('linkedin'))->toBe('LinkedIn (li_fat_id)');
+        expect(Click_ID_Capturers::get_label('google_ads_wbraid'))->toBe('Google Ads (wbraid)');
+        expect(Click_ID_Capturers::get_label('snapchat'))->toBe('snapchat');
+    });
+
+});
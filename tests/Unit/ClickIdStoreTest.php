@@ -104,6 +104,24 @@ describe('Click_ID_Store::get_for_hashes()', function () {
 
 });
 
+// ─── get_platforms() ───
+
+describe('Click_ID_Store::get_platforms()', function () {
+
+    it('returns the distinct platforms with stored click IDs', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('get_col')
+            ->once()
+            ->withArgs(fn (string $sql) => str_contains($sql, 'SELECT DISTINCT platform') && str_contains($sql, 'wp_kntnt_ad_attr_click_ids'))
+            ->andReturn(['google_ads', 'meta']);
+
+        expect((new Click_ID_Store())->get_platforms())->toBe(['google_ads', 'meta']);
+    });
+
+});
+
 // ─── cleanup() ───
 
 describe('Click_ID_Store::cleanup()', function () {
@@ -0,0 +1,170 @@
+<?php
+/**
+ * Unit tests for Consent_Adapters.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Consent_Adapters;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+
+/**
+ * Creates a Consent_Adapters instance with the given adapter setting.
+ *
+ * @param string $adapter    Value of the consent_adapter setting.
+ * @param string $service_id Value of the consent_service_id setting.
+ */
+function make_consent_adapters(string $adapter = 'auto', string $service_id = 'kntnt-ad-attribution'): Consent_Adapters {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('consent_adapter')->andReturn($adapter);
+    $settings->shouldReceive('get')->with('consent_service_id')->andReturn($service_id);
+
+    return new Consent_Adapters($settings);
+}
+
+/**
+ * Builds a TC string whose core segment consents to the given purposes.
+ *
+ * @param int[] $purposes Purpose IDs to set.
+ */
+function make_tc_string(array $purposes): string {
+    $bits = str_repeat('0', 176);
+    foreach ($purposes as $purpose) {
+        $bits[152 + $purpose - 1] = '1';
+    }
+
+    $bytes = implode('', array_map(fn ($chunk) => chr(bindec($chunk)), str_split($bits, 8)));
+    return rtrim(strtr(base64_encode($bytes), '+/', '-_'), '=') . '.YAAAAAAAAAAA';
+}
+
+beforeEach(function () {
+    $_COOKIE = [];
+});
+
+afterEach(function () {
+    $_COOKIE = [];
+});
+
+// ─── register() ───
+
+describe('Consent_Adapters::register()', function () {
+
+    it('hooks the consent filter at priority 5', function () {
+        Functions\expect('add_filter')
+            ->once()
+            ->with('kntnt_ad_attr_has_consent', Mockery::type('array'), 5);
+
+        make_consent_adapters()->register();
+    });
+
+    it('does not hook the filter when adapters are disabled', function () {
+        Functions\expect('add_filter')->never();
+
+        make_consent_adapters('none')->register();
+    });
+
+});
+
+// ─── filter_consent() ───
+
+describe('Consent_Adapters::filter_consent()', function () {
+
+    it('passes through a decision from an earlier callback', function () {
+        $_COOKIE['cmplz_marketing'] = 'deny';
+
+        expect(make_consent_adapters()->filter_consent(true))->toBeTrue();
+    });
+
+    it('returns null when no CMP cookie is present', function () {
+        expect(make_consent_adapters()->filter_consent(null))->toBeNull();
+    });
+
+    it('auto-detects the first CMP with a cookie', function () {
+        $_COOKIE['cmplz_marketing'] = 'allow';
+
+        expect(make_consent_adapters()->filter_consent(null))->toBeTrue();
+    });
+
+    it('reads only the forced adapter', function () {
+        $_COOKIE['cmplz_marketing'] = 'allow';
+
+        expect(make_consent_adapters('cookieyes')->filter_consent(null))->toBeNull();
+    });
+
+    it('returns null for Consent Mode, which has no cookie', function () {
+        $_COOKIE['cmplz_marketing'] = 'allow';
+
+        expect(make_consent_adapters('gcm')->filter_consent(null))->toBeNull();
+    });
+
+});
+
+// ─── read() ───
+
+describe('Consent_Adapters::read()', function () {
+
+    it('grants TCF consent when purposes 1 and 7 are set', function () {
+        $_COOKIE['euconsent-v2'] = make_tc_string([1, 2, 7]);
+
+        expect(make_consent_adapters()->read('tcf'))->toBeTrue();
+    });
+
+    it('denies TCF consent when purpose 7 is missing', function () {
+        $_COOKIE['euconsent-v2'] = make_tc_string([1]);
+
+        expect(make_consent_adapters()->read('tcf'))->toBeFalse();
+    });
+
+    it('returns null for an unreadable TC string', function () {
+        $_COOKIE['euconsent-v2'] = 'CP';
+
+        expect(make_consent_adapters()->read('tcf'))->toBeNull();
+    });
+
+    it('reads the Cookiebot marketing category', function () {
+        $_COOKIE['CookieConsent'] = "{stamp:'abc',necessary:true,preferences:true,statistics:true,marketing:false,method:'explicit',ver:1}";
+
+        expect(make_consent_adapters()->read('cookiebot'))->toBeFalse();
+    });
+
+    it('treats Cookiebot -1 as granted', function () {
+        $_COOKIE['CookieConsent'] = '-1';
+
+        expect(make_consent_adapters()->read('cookiebot'))->toBeTrue();
+    });
+
+    it('reads CookieYes advertisement consent after a user action', function () {
+        $_COOKIE['cookieyes-consent'] = 'consentid:abc,consent:yes,action:yes,necessary:yes,advertisement:yes';
+
+        expect(make_consent_adapters()->read('cookieyes'))->toBeTrue();
+    });
+
+    it('returns null for CookieYes before a user action', function () {
+        $_COOKIE['cookieyes-consent'] = 'consentid:abc,consent:no,action:,necessary:yes,advertisement:no';
+
+        expect(make_consent_adapters()->read('cookieyes'))->toBeNull();
+    });
+
+    it('reads the Complianz marketing cookie', function () {
+        $_COOKIE['cmplz_marketing'] = 'deny';
+
+        expect(make_consent_adapters()->read('complianz'))->toBeFalse();
+    });
+
+    it('grants Borlabs consent when the service is listed', function () {
+        $_COOKIE['borlabs-cookie'] = json_encode(['consents' => ['essential' => ['borlabs-cookie'], 'marketing' => ['ad-attr']]]);
+
+        expect(make_consent_adapters('auto', 'ad-attr')->read('borlabs'))->toBeTrue();
+    });
+
+    it('denies Borlabs consent when the service is not listed', function () {
+        $_COOKIE['borlabs-cookie'] = json_encode(['consents' => ['essential' => ['borlabs-cookie']]]);
+
+        expect(make_consent_adapters()->read('borlabs'))->toBeFalse();
+    });
+
+});
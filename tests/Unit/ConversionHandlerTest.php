@@ -8,6 +8,7 @@
 
 declare(strict_types=1);
 
+use Kntnt\Ad_Attribution\Attribution_Models;
 use Kntnt\Ad_Attribution\Conversion_Handler;
 use Kntnt\Ad_Attribution\Cookie_Manager;
 use Kntnt\Ad_Attribution\Consent;
@@ -15,6 +16,7 @@ use Kntnt\Ad_Attribution\Bot_Detector;
 use Kntnt\Ad_Attribution\Click_ID_Store;
 use Kntnt\Ad_Attribution\Queue;
 use Kntnt\Ad_Attribution\Queue_Processor;
+use Kntnt\Ad_Attribution\Settings;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
 use Brain\Monkey\Filters;
@@ -25,8 +27,9 @@ use Tests\Helpers\TestFactory;
  *
  * The Bot_Detector mock defaults to is_bot() => false and the Consent mock
  * defaults to check() => true so existing tests don't need to configure them.
+ * The attribution models are real, with the Settings mock selecting last click.
  *
- * @return array{0: Conversion_Handler, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface, 4: Mockery\MockInterface, 5: Mockery\MockInterface, 6: Mockery\MockInterface}
+ * @return array{0: Conversion_Handler, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface, 4: Mockery\MockInterface, 5: Mockery\MockInterface, 6: Mockery\MockInterface, 7: Mockery\MockInterface}
  */
 function make_conversion_handler(): array {
     $cm  = Mockery::mock(Cookie_Manager::class);
@@ -35,12 +38,14 @@ function make_conversion_handler(): array {
     $cis = Mockery::mock(Click_ID_Store::class);
     $q   = Mockery::mock(Queue::class);
     $qp  = Mockery::mock(Queue_Processor::class);
+    $st  = Mockery::mock(Settings::class);
 
-    // Default: not a bot, consent granted.
+    // Default: not a bot, consent granted, last-click attribution.
     $bd->shouldReceive('is_bot')->andReturn(false)->byDefault();
     $con->shouldReceive('check')->andReturn(true)->byDefault();
+    $st->shouldReceive('get')->with('attribution_model')->andReturn('last_click')->byDefault();
 
-    return [new Conversion_Handler($cm, $con, $bd, $cis, $q, $qp), $cm, $con, $bd, $cis, $q, $qp];
+    return [new Conversion_Handler($cm, $con, $bd, $cis, $q, $qp, new Attribution_Models($st)), $cm, $con, $bd, $cis, $q, $qp, $st];
 }
 
 /**
@@ -83,7 +88,7 @@ function setup_conversion_path(): array {
 
     // Click lookups — only hash2 gets attribution (last-click default).
     $wpdb->shouldReceive('prepare')->andReturn('SQL');
-    $wpdb->shouldReceive('get_var')->andReturn('42');
+    $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
     $wpdb->shouldReceive('insert')->once()->andReturn(true);
 
     // $_SERVER for context.
@@ -228,11 +233,11 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
 
-        // First get_var for hash_missing returns null (click not found).
-        // Second get_var for hash_found returns a valid click ID.
-        $wpdb->shouldReceive('get_var')
+        // First get_row for hash_missing returns null (click not found).
+        // Second get_row for hash_found returns a valid click.
+        $wpdb->shouldReceive('get_row')
             ->twice()
-            ->andReturn(null, '42');
+            ->andReturn(null, (object) ['id' => '42', 'fraud_status' => null]);
 
         // Only one insert -- hash_missing is skipped because its click_id is null.
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
@@ -270,7 +275,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
 
@@ -315,7 +320,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
 
         // Only hash_b should be inserted (hash_a is deduped).
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
@@ -399,7 +404,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
 
@@ -440,7 +445,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
 
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->once()->andReturn('42');
+        $wpdb->shouldReceive('get_row')->once()->andReturn((object) ['id' => '42', 'fraud_status' => null]);
 
         // Only one insert — for the valid hash.
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
@@ -481,7 +486,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
 
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
 
         // Only one insert — the older click has 0.0 attribution and is skipped.
         $wpdb->shouldReceive('insert')
@@ -503,6 +508,49 @@ describe('Conversion_Handler::handle_conversion()', function () {
         expect(true)->toBeTrue();
     });
 
+    it('uses the weights of the model selected in the settings', function () {
+        [$handler, $cm, $con, $bd, $cis, $q, $qp, $st] = make_conversion_handler();
+
+        $hash1 = TestFactory::hash('model-1');
+        $hash2 = TestFactory::hash('model-2');
+        $now   = 1700000000;
+
+        Functions\when('time')->justReturn($now);
+        Functions\when('gmdate')->justReturn('2024-01-01 12:00:00');
+
+        $st->shouldReceive('get')->with('attribution_model')->andReturn('first_click');
+
+        $cm->shouldReceive('parse')->with('_ad_clicks')->once()->andReturn([
+            $hash1 => $now - 7200,
+            $hash2 => $now - 3600,
+        ]);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        // The filter receives the first-click weights.
+        Filters\expectApplied('kntnt_ad_attr_attribution')
+            ->once()
+            ->with([$hash1 => 1.0, $hash2 => 0.0], Mockery::any())
+            ->andReturnFirstArg();
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('query');
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
+        $wpdb->shouldReceive('insert')->once()->andReturn(true);
+
+        $_SERVER['REMOTE_ADDR']    = '127.0.0.1';
+        $_SERVER['HTTP_USER_AGENT'] = 'TestAgent';
+        $_SERVER['REQUEST_URI']    = '/';
+
+        expect($handler->handle_conversion())->toBeTrue();
+    });
+
     it('uses modified weights from attribution filter', function () {
         [$handler, $cm, $con, $bd, $cis, $q, $qp] = make_conversion_handler();
 
@@ -533,7 +581,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
 
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
 
         // Both hashes get 0.5 — two inserts.
         $insertedValues = [];
@@ -577,7 +625,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         // Verify transaction ordering.
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once()->ordered();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true)->ordered();
         $wpdb->shouldReceive('query')->with('COMMIT')->once()->ordered();
 
@@ -610,7 +658,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
 
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
 
         // Insert fails.
         $wpdb->shouldReceive('insert')->once()->andReturn(false);
@@ -646,7 +694,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
 
@@ -686,7 +734,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
 
@@ -722,7 +770,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
 
@@ -740,12 +788,14 @@ describe('Conversion_Handler::handle_conversion()', function () {
 
         // Register a reporter.
         $enqueueCalled = false;
+        $context       = null;
         Filters\expectApplied('kntnt_ad_attr_conversion_reporters')
             ->once()
             ->andReturn([
                 'test_reporter' => [
-                    'enqueue' => function ($attributions, $click_ids, $campaigns, $context) use (&$enqueueCalled) {
+                    'enqueue' => function ($attributions, $click_ids, $campaigns, $ctx) use (&$enqueueCalled, &$context) {
                         $enqueueCalled = true;
+                        $context       = $ctx;
                         return [['action' => 'test']];
                     },
                 ],
@@ -761,6 +811,54 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $handler->handle_conversion();
 
         expect($enqueueCalled)->toBeTrue();
+        expect($context['clicked_at'])->toBe([$hash => $now]);
+    });
+
+    it('records but does not report a conversion of a suspected click', function () {
+        [$handler, $cm, $con, $bd, $cis, $q, $qp] = make_conversion_handler();
+        $hash = TestFactory::hash('flagged-reporter');
+        $now  = 1700000000;
+
+        Functions\when('time')->justReturn($now);
+        Functions\when('gmdate')->justReturn('2024-01-01 12:00:00');
+
+        $cm->shouldReceive('parse')->with('_ad_clicks')->once()->andReturn([$hash => $now]);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => 'flagged']);
+        $wpdb->shouldReceive('insert')->once()->andReturn(true);
+        $wpdb->shouldReceive('query')->with('COMMIT')->once();
+
+        $_SERVER['REMOTE_ADDR']    = '127.0.0.1';
+        $_SERVER['HTTP_USER_AGENT'] = 'TestAgent';
+        $_SERVER['REQUEST_URI']    = '/';
+
+        $enqueueCalled = false;
+        Filters\expectApplied('kntnt_ad_attr_conversion_reporters')
+            ->once()
+            ->andReturn([
+                'test_reporter' => [
+                    'enqueue' => function () use (&$enqueueCalled) {
+                        $enqueueCalled = true;
+                        return [];
+                    },
+                ],
+            ]);
+
+        $cis->shouldNotReceive('get_for_hashes');
+        $q->shouldNotReceive('enqueue');
+        $qp->shouldNotReceive('schedule');
+
+        expect($handler->handle_conversion())->toBeTrue();
+        expect($enqueueCalled)->toBeFalse();
     });
 
     it('passes correct arguments to reporter enqueue callback', function () {
@@ -782,7 +880,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
         $wpdb->shouldReceive('get_results')->andReturn([]);
@@ -840,7 +938,7 @@ describe('Conversion_Handler::handle_conversion()', function () {
         $GLOBALS['wpdb'] = $wpdb;
         $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_var')->andReturn('42');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
         $wpdb->shouldReceive('insert')->once()->andReturn(true);
         $wpdb->shouldReceive('query')->with('COMMIT')->once();
         $wpdb->shouldReceive('get_results')->andReturn([]);
@@ -867,3 +965,178 @@ describe('Conversion_Handler::handle_conversion()', function () {
     });
 
 });
+
+// ─── handle_conversion() details ───
+
+describe('Conversion_Handler::handle_conversion() details', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+        unset($_SERVER['REMOTE_ADDR'], $_SERVER['HTTP_USER_AGENT'], $_SERVER['REQUEST_URI']);
+    });
+
+    it('returns true and passes the details to the recorded hook', function () {
+        [$handler] = setup_conversion_path();
+
+        Actions\expectDone('kntnt_ad_attr_conversion_recorded')
+            ->once()
+            ->with(
+                Mockery::any(),
+                Mockery::on(fn ($ctx) => $ctx['label'] === 'demo-booked' && $ctx['value'] === 1200.0 && $ctx['currency'] === 'SEK'),
+            );
+
+        expect($handler->handle_conversion(['label' => 'demo-booked', 'value' => '1200', 'currency' => 'sek']))->toBeTrue();
+    });
+
+    it('accepts the empty string WordPress passes for do_action() without arguments', function () {
+        [$handler] = setup_conversion_path();
+
+        Actions\expectDone('kntnt_ad_attr_conversion_recorded')
+            ->once()
+            ->with(
+                Mockery::any(),
+                Mockery::on(fn ($ctx) => $ctx['label'] === '' && $ctx['value'] === null && $ctx['currency'] === ''),
+            );
+
+        expect($handler->handle_conversion(''))->toBeTrue();
+    });
+
+    it('drops an invalid currency and value', function () {
+        [$handler] = setup_conversion_path();
+
+        Actions\expectDone('kntnt_ad_attr_conversion_recorded')
+            ->once()
+            ->with(
+                Mockery::any(),
+                Mockery::on(fn ($ctx) => $ctx['value'] === null && $ctx['currency'] === ''),
+            );
+
+        expect($handler->handle_conversion(['value' => 'lots', 'currency' => 'kronor']))->toBeTrue();
+    });
+
+    it('splits the value by attribution weight and stores currency and label', function () {
+        [$handler, $cm] = make_conversion_handler();
+
+        $hash1 = TestFactory::hash('value-1');
+        $hash2 = TestFactory::hash('value-2');
+        $now   = 1700000000;
+
+        Functions\when('time')->justReturn($now);
+        Functions\when('gmdate')->justReturn('2024-01-01 12:00:00');
+
+        $cm->shouldReceive('parse')->with('_ad_clicks')->once()->andReturn([
+            $hash1 => $now - 7200,
+            $hash2 => $now - 3600,
+        ]);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        Filters\expectApplied('kntnt_ad_attr_attribution')
+            ->once()
+            ->andReturnUsing(fn () => [$hash1 => 0.25, $hash2 => 0.75]);
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('query')->with('START TRANSACTION')->once();
+        $wpdb->shouldReceive('query')->with('COMMIT')->once();
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
+
+        $inserted = [];
+        $wpdb->shouldReceive('insert')
+            ->twice()
+            ->withArgs(function ($table, $data) use (&$inserted) {
+                $inserted[] = $data;
+                return true;
+            })
+            ->andReturn(true);
+
+        Actions\expectDone('kntnt_ad_attr_conversion_recorded')
+            ->once()
+            ->with(
+                Mockery::any(),
+                Mockery::on(fn ($ctx) => $ctx['attributed_values'] === [$hash1 => 250.0, $hash2 => 750.0]),
+            );
+
+        $handler->handle_conversion(['label' => 'purchase', 'value' => 1000, 'currency' => 'EUR']);
+
+        expect(array_column($inserted, 'conversion_value'))->toBe([250.0, 750.0]);
+        expect(array_column($inserted, 'currency'))->toBe(['EUR', 'EUR']);
+        expect(array_column($inserted, 'label'))->toBe(['purchase', 'purchase']);
+    });
+
+    it('stores NULL value, currency and label when none are given', function () {
+        [$handler, $cm] = make_conversion_handler();
+        $hash = TestFactory::hash('no-value');
+
+        Functions\when('time')->justReturn(1700000000);
+        Functions\when('gmdate')->justReturn('2024-01-01 12:00:00');
+
+        $cm->shouldReceive('parse')->with('_ad_clicks')->once()->andReturn([$hash => 1700000000]);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('query');
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->andReturn((object) ['id' => '42', 'fraud_status' => null]);
+        $wpdb->shouldReceive('insert')
+            ->once()
+            ->withArgs(fn ($table, $data) => $data['conversion_value'] === null && $data['currency'] === null && $data['label'] === null)
+            ->andReturn(true);
+
+        expect($handler->handle_conversion())->toBeTrue();
+    });
+
+    it('remembers the dedup key for each of the visitor\'s clicks once the conversion is recorded', function () {
+        [$handler, , , , , , , , $hash1, $hash2] = setup_conversion_path();
+
+        $key1 = 'kntnt_ad_attr_dk_' . md5($hash1 . '|order|1001');
+        $key2 = 'kntnt_ad_attr_dk_' . md5($hash2 . '|order|1001');
+        Functions\expect('get_transient')->twice()->andReturn(false);
+        Functions\expect('set_transient')->once()->with($key1, 1, 90 * DAY_IN_SECONDS);
+        Functions\expect('set_transient')->once()->with($key2, 1, 90 * DAY_IN_SECONDS);
+
+        expect($handler->handle_conversion(['label' => 'order', 'dedup_key' => '1001']))->toBeTrue();
+    });
+
+    it('skips a conversion whose dedup key has been recorded', function () {
+        [$handler, $cm] = make_conversion_handler();
+        $hash = TestFactory::hash('dedup-key');
+
+        $cm->shouldReceive('parse')->with('_ad_clicks')->once()->andReturn([$hash => 1700000000]);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldNotReceive('insert');
+
+        Functions\expect('get_transient')->once()->with('kntnt_ad_attr_dk_' . md5($hash . '|order|1001'))->andReturn(1);
+
+        expect($handler->handle_conversion(['label' => 'order', 'dedup_key' => '1001']))->toBeFalse();
+    });
+
+    it('ignores a dedup key recorded for other clicks', function () {
+        [$handler] = setup_conversion_path();
+
+        $recorded = 'kntnt_ad_attr_dk_' . md5(TestFactory::hash('other-visitor') . '|order|1001');
+        Functions\when('get_transient')->alias(fn (string $key) => $key === $recorded ? 1 : false);
+        Functions\when('set_transient')->justReturn(true);
+
+        expect($handler->handle_conversion(['label' => 'order', 'dedup_key' => '1001']))->toBeTrue();
+    });
+
+});
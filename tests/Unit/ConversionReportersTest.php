@@ -0,0 +1,417 @@
+<?php
+/**
+ * Unit tests for Conversion_Reporters.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Conversion_Reporters;
+use Kntnt\Ad_Attribution\Logger;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+
+/**
+ * Settings with all three reporters enabled and complete.
+ */
+function reporter_settings(): array {
+    return [
+        'google_ads_enabled'           => '1',
+        'google_ads_customer_id'       => '1234567890',
+        'google_ads_conversion_action' => '987',
+        'google_ads_developer_token'   => 'dev-token',
+        'google_ads_client_id'         => 'client.apps.googleusercontent.com',
+        'google_ads_client_secret'     => 'GOCSPX-secret',
+        'google_ads_refresh_token'     => '1//refresh',
+        'meta_enabled'                 => '1',
+        'meta_pixel_id'                => '555000111',
+        'meta_access_token'            => 'EAAGm0PX4ZCps',
+        'meta_event_name'              => 'Lead',
+        'ga4_enabled'                  => '1',
+        'ga4_measurement_id'           => 'G-ABC123',
+        'ga4_api_secret'               => 'mp-secret',
+        'ga4_event_name'               => 'ad_conversion',
+    ];
+}
+
+/**
+ * Creates a Conversion_Reporters instance with the given settings.
+ *
+ * @param array<string, string> $values Setting values; missing keys are empty.
+ * @param Logger|null           $logger Logger, or a mock that ignores calls.
+ */
+function make_conversion_reporters(array $values, ?Logger $logger = null): Conversion_Reporters {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->andReturnUsing(fn (string $key) => $values[$key] ?? '');
+
+    return new Conversion_Reporters($settings, $logger ?? Mockery::mock(Logger::class)->shouldIgnoreMissing());
+}
+
+/**
+ * Conversion context as assembled by Conversion_Handler.
+ *
+ * @param array<string, float|null> $attributed_values Hash => attributed value.
+ */
+function reporter_context(array $attributed_values): array {
+    return [
+        'timestamp'         => '2026-02-26T12:19:03+00:00',
+        'ip'                => '203.0.113.7',
+        'user_agent'        => 'Mozilla/5.0',
+        'page_url'          => 'https://example.com/contact/',
+        'label'             => 'contact-form',
+        'value'             => 1000.0,
+        'currency'          => 'SEK',
+        'attributed_values' => $attributed_values,
+        'clicked_at'        => array_fill_keys(array_keys($attributed_values), 1771900000),
+    ];
+}
+
+/**
+ * Stubs wp_remote_post() with a response and records the requests.
+ *
+ * @param int    $code Response status.
+ * @param string $body Response body.
+ *
+ * @return ArrayObject<int, array{url: string, args: array}> Recorded requests.
+ */
+function fake_reporter_http(int $code, string $body): ArrayObject {
+    $requests = new ArrayObject();
+
+    Functions\when('wp_remote_post')->alias(function (string $url, array $args) use ($requests, $code, $body) {
+        $requests[] = ['url' => $url, 'args' => $args];
+        return ['response' => ['code' => $code], 'body' => $body];
+    });
+    Functions\when('is_wp_error')->justReturn(false);
+    Functions\when('wp_remote_retrieve_response_code')->alias(fn ($r) => $r['response']['code']);
+    Functions\when('wp_remote_retrieve_body')->alias(fn ($r) => $r['body']);
+    Functions\when('wp_json_encode')->alias('json_encode');
+
+    return $requests;
+}
+
+beforeEach(function () {
+    $_COOKIE = [];
+});
+
+afterEach(function () {
+    $_COOKIE = [];
+});
+
+// ─── register() and the filters ───
+
+describe('Conversion_Reporters::register()', function () {
+
+    it('adds no filters while no reporter is configured', function () {
+        Functions\expect('add_filter')->never();
+
+        make_conversion_reporters(['meta_enabled' => '1', 'meta_pixel_id' => '555000111'])->register();
+    });
+
+    it('hooks the reporter and capturer filters at priority 5', function () {
+        Functions\expect('add_filter')
+            ->once()
+            ->with('kntnt_ad_attr_conversion_reporters', Mockery::type('array'), 5);
+        Functions\expect('add_filter')
+            ->once()
+            ->with('kntnt_ad_attr_click_id_capturers', Mockery::type('array'), 5);
+
+        make_conversion_reporters(['ga4_enabled' => '1', 'ga4_measurement_id' => 'G-ABC123', 'ga4_api_secret' => 'mp-secret'])->register();
+    });
+
+});
+
+describe('Conversion_Reporters::add_reporters()', function () {
+
+    it('adds only the configured reporters and keeps existing ones', function () {
+        $settings = reporter_settings();
+        unset($settings['google_ads_refresh_token']);
+        $own = ['label' => 'Own Meta', 'enqueue' => fn () => [], 'process' => fn () => true];
+
+        $reporters = make_conversion_reporters($settings)->add_reporters(['meta' => $own]);
+
+        expect(array_keys($reporters))->toBe(['meta', 'ga4']);
+        expect($reporters['meta'])->toBe($own);
+        expect($reporters['ga4']['label'])->toBe('Google Analytics 4');
+    });
+
+    it('captures gclid and fbclid for the configured reporters', function () {
+        $settings = reporter_settings();
+        $settings['meta_enabled'] = '';
+
+        expect(make_conversion_reporters($settings)->add_capturers(['microsoft_ads' => 'msclkid']))
+            ->toBe(['microsoft_ads' => 'msclkid', 'google_ads' => 'gclid']);
+    });
+
+});
+
+// ─── Google Ads ───
+
+describe('Google Ads reporter', function () {
+
+    it('queues a click conversion per credited hash with a gclid', function () {
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['google_ads'];
+
+        $items = ($reporter['enqueue'])(
+            ['hash_a' => 0.6, 'hash_b' => 0.4, 'hash_c' => 0.0],
+            ['hash_a' => ['google_ads' => 'Cj0KCQjw-abcdefghij'], 'hash_b' => ['meta' => 'IwAR2x'], 'hash_c' => ['google_ads' => 'unused']],
+            [],
+            reporter_context(['hash_a' => 600.0, 'hash_b' => 400.0]),
+        );
+
+        expect($items)->toBe([[
+            'payload' => [
+                'customer_id'          => '1234567890',
+                'conversion_action'    => 'customers/1234567890/conversionActions/987',
+                'gclid'                => 'Cj0KCQjw-abcdefghij',
+                'conversion_date_time' => '2026-02-26 12:19:03+00:00',
+                'conversion_value'     => 600.0,
+                'currency'             => 'SEK',
+            ],
+            'label'   => 'gclid Cj0KCQjw-abc…',
+        ]]);
+    });
+
+    it('falls back to the gbraid and then the wbraid when there is no gclid', function () {
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['google_ads'];
+
+        $items = ($reporter['enqueue'])(
+            ['hash_a' => 0.5, 'hash_b' => 0.5],
+            [
+                'hash_a' => ['google_ads_gbraid' => '0AAAAA-gbraid', 'google_ads_wbraid' => 'unused'],
+                'hash_b' => ['google_ads_wbraid' => 'CjkKEQ-wbraid'],
+            ],
+            [],
+            reporter_context(['hash_a' => 500.0, 'hash_b' => 500.0]),
+        );
+
+        expect(array_column($items, 'label'))->toBe(['gbraid 0AAAAA-gbrai…', 'wbraid CjkKEQ-wbrai…']);
+        expect($items[0]['payload'])->toHaveKey('gbraid', '0AAAAA-gbraid')->not->toHaveKey('gclid')->not->toHaveKey('wbraid');
+        expect($items[1]['payload'])->toHaveKey('wbraid', 'CjkKEQ-wbraid')->not->toHaveKey('gclid')->not->toHaveKey('gbraid');
+    });
+
+    it('uploads a conversion by wbraid', function () {
+        $requests = fake_reporter_http(200, '{"results":[{}]}');
+        Functions\when('get_transient')->justReturn('ya29.cached');
+
+        $logger = Mockery::mock(Logger::class);
+        $logger->shouldReceive('info')->once()->with('GADS', 'Uploaded conversion for wbraid CjkKEQ-wbrai…');
+
+        $reporter = make_conversion_reporters(reporter_settings(), $logger)->add_reporters([])['google_ads'];
+
+        $result = ($reporter['process'])([
+            'customer_id'          => '1234567890',
+            'conversion_action'    => 'customers/1234567890/conversionActions/987',
+            'wbraid'               => 'CjkKEQ-wbraid',
+            'conversion_date_time' => '2026-02-26 12:19:03+00:00',
+        ]);
+
+        expect($result)->toBeTrue();
+        expect(json_decode($requests[0]['args']['body'], true)['conversions'])->toBe([[
+            'wbraid'             => 'CjkKEQ-wbraid',
+            'conversionAction'   => 'customers/1234567890/conversionActions/987',
+            'conversionDateTime' => '2026-02-26 12:19:03+00:00',
+        ]]);
+    });
+
+    it('refreshes the access token and uploads the conversion', function () {
+        $requests = fake_reporter_http(200, '{"access_token":"ya29.token","expires_in":3599,"results":[{}]}');
+        Functions\when('get_transient')->justReturn(false);
+        Functions\expect('set_transient')->once()->with('kntnt_ad_attr_google_ads_token', 'ya29.token', 3299);
+
+        $settings = reporter_settings();
+        $settings['google_ads_login_customer_id'] = '1112223333';
+        $reporter = make_conversion_reporters($settings)->add_reporters([])['google_ads'];
+
+        $result = ($reporter['process'])([
+            'customer_id'          => '1234567890',
+            'conversion_action'    => 'customers/1234567890/conversionActions/987',
+            'gclid'                => 'Cj0KCQjw-abcdefghij',
+            'conversion_date_time' => '2026-02-26 12:19:03+00:00',
+            'conversion_value'     => null,
+            'currency'             => 'SEK',
+        ]);
+
+        expect($result)->toBeTrue();
+        expect($requests[0]['url'])->toBe('https://oauth2.googleapis.com/token');
+        expect($requests[0]['args']['body']['refresh_token'])->toBe('1//refresh');
+        expect($requests[1]['url'])->toBe('https://googleads.googleapis.com/v19/customers/1234567890:uploadClickConversions');
+        expect($requests[1]['args']['headers'])->toMatchArray([
+            'Authorization'     => 'Bearer ya29.token',
+            'developer-token'   => 'dev-token',
+            'login-customer-id' => '1112223333',
+        ]);
+        expect(json_decode($requests[1]['args']['body'], true))->toBe([
+            'conversions'    => [[
+                'gclid'              => 'Cj0KCQjw-abcdefghij',
+                'conversionAction'   => 'customers/1234567890/conversionActions/987',
+                'conversionDateTime' => '2026-02-26 12:19:03+00:00',
+                'currencyCode'       => 'SEK',
+            ]],
+            'partialFailure' => true,
+        ]);
+    });
+
+    it('fails on a partial failure error', function () {
+        fake_reporter_http(200, '{"partialFailureError":{"code":3,"message":"The click is too old."}}');
+        Functions\when('get_transient')->justReturn('ya29.cached');
+
+        $logger = Mockery::mock(Logger::class);
+        $logger->shouldReceive('error')->once()->with('GADS', 'Conversion rejected: The click is too old.');
+
+        $reporter = make_conversion_reporters(reporter_settings(), $logger)->add_reporters([])['google_ads'];
+
+        expect(($reporter['process'])(['customer_id' => '1234567890', 'gclid' => 'Cj0']))->toBeFalse();
+    });
+
+    it('drops the cached token when the upload fails', function () {
+        fake_reporter_http(401, '{"error":{"status":"UNAUTHENTICATED"}}');
+        Functions\when('get_transient')->justReturn('ya29.expired');
+        Functions\expect('delete_transient')->once()->with('kntnt_ad_attr_google_ads_token');
+
+        $logger = Mockery::mock(Logger::class);
+        $logger->shouldReceive('error')->once()->with('GADS', 'HTTP 401: {"error":{"status":"UNAUTHENTICATED"}}');
+
+        $reporter = make_conversion_reporters(reporter_settings(), $logger)->add_reporters([])['google_ads'];
+
+        expect(($reporter['process'])(['customer_id' => '1234567890', 'gclid' => 'Cj0']))->toBeFalse();
+    });
+
+});
+
+// ─── Meta ───
+
+describe('Meta reporter', function () {
+
+    it('queues a server event with fbc and fbp per credited hash with an fbclid', function () {
+        $_COOKIE['_fbp'] = 'fb.1.1700000000000.1234567890';
+
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['meta'];
+
+        $items = ($reporter['enqueue'])(
+            ['hash_a' => 1.0],
+            ['hash_a' => ['meta' => 'IwAR2xyz']],
+            [],
+            reporter_context(['hash_a' => 1000.0]),
+        );
+
+        expect($items[0]['label'])->toBe('fbclid IwAR2xyz');
+        expect($items[0]['payload'])->toMatchArray([
+            'pixel_id'          => '555000111',
+            'event_name'        => 'Lead',
+            'event_time'        => 1772108343,
+            'event_id'          => md5('hash_a|2026-02-26T12:19:03+00:00'),
+            'fbc'               => 'fb.1.1771900000000.IwAR2xyz',
+            'fbp'               => 'fb.1.1700000000000.1234567890',
+            'client_ip_address' => '203.0.113.7',
+            'value'             => 1000.0,
+            'content_name'      => 'contact-form',
+        ]);
+    });
+
+    it('sends the event and requires it to be received', function () {
+        $requests = fake_reporter_http(200, '{"events_received":1,"fbtrace_id":"A1"}');
+
+        $settings = reporter_settings();
+        $settings['meta_test_event_code'] = 'TEST123';
+        $reporter = make_conversion_reporters($settings)->add_reporters([])['meta'];
+
+        $result = ($reporter['process'])([
+            'pixel_id'   => '555000111',
+            'event_name' => 'Lead',
+            'event_time' => 1772108343,
+            'event_id'   => 'abc',
+            'fbc'        => 'fb.1.1772108343000.IwAR2xyz',
+            'fbp'        => '',
+            'value'      => null,
+        ]);
+
+        $body = json_decode($requests[0]['args']['body'], true);
+
+        expect($result)->toBeTrue();
+        expect($requests[0]['url'])->toBe('https://graph.facebook.com/v21.0/555000111/events');
+        expect($body['access_token'])->toBe('EAAGm0PX4ZCps');
+        expect($body['test_event_code'])->toBe('TEST123');
+        expect($body['data'][0]['action_source'])->toBe('website');
+        expect($body['data'][0]['user_data'])->toBe(['fbc' => 'fb.1.1772108343000.IwAR2xyz']);
+        expect($body['data'][0]['custom_data'])->toBe([]);
+    });
+
+    it('fails when no event was received', function () {
+        fake_reporter_http(200, '{"events_received":0}');
+
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['meta'];
+
+        expect(($reporter['process'])(['pixel_id' => '555000111']))->toBeFalse();
+    });
+
+});
+
+// ─── GA4 ───
+
+describe('GA4 reporter', function () {
+
+    it('queues one event with the campaign of the largest weight', function () {
+        $_COOKIE['_ga'] = 'GA1.1.1234567890.1700000000';
+
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['ga4'];
+
+        $items = ($reporter['enqueue'])(
+            ['hash_a' => 0.25, 'hash_b' => 0.75],
+            [],
+            [
+                'hash_a' => ['utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+                'hash_b' => ['utm_source' => 'meta', 'utm_medium' => 'paid_social', 'utm_campaign' => 'summer', 'utm_id' => '42'],
+            ],
+            reporter_context(['hash_a' => 250.0, 'hash_b' => 750.0]),
+        );
+
+        expect($items)->toBe([[
+            'payload' => [
+                'measurement_id'   => 'G-ABC123',
+                'client_id'        => '1234567890.1700000000',
+                'timestamp_micros' => 1772108343000000,
+                'event_name'       => 'ad_conversion',
+                'params'           => [
+                    'value'            => 1000.0,
+                    'currency'         => 'SEK',
+                    'campaign_id'      => '42',
+                    'campaign'         => 'summer',
+                    'source'           => 'meta',
+                    'medium'           => 'paid_social',
+                    'conversion_label' => 'contact-form',
+                ],
+            ],
+            'label'   => 'ad_conversion summer',
+        ]]);
+    });
+
+    it('queues nothing when no click was credited', function () {
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['ga4'];
+
+        expect(($reporter['enqueue'])(['hash_a' => 1.0], [], [], reporter_context([])))->toBe([]);
+    });
+
+    it('sends the event to an overridden endpoint with the credentials in the query', function () {
+        $requests = fake_reporter_http(204, '');
+        Functions\when('apply_filters')->alias(fn (string $hook, $url, $endpoint) => $endpoint === 'ga4' ? 'http://127.0.0.1:8089/mp/collect' : $url);
+
+        $reporter = make_conversion_reporters(reporter_settings())->add_reporters([])['ga4'];
+
+        $result = ($reporter['process'])([
+            'measurement_id'   => 'G-ABC123',
+            'client_id'        => '1234567890.1700000000',
+            'timestamp_micros' => 1772108343000000,
+            'event_name'       => 'ad_conversion',
+            'params'           => ['value' => 1000.0, 'currency' => 'SEK'],
+        ]);
+
+        expect($result)->toBeTrue();
+        expect($requests[0]['url'])->toBe('http://127.0.0.1:8089/mp/collect?measurement_id=G-ABC123&api_secret=mp-secret');
+        expect(json_decode($requests[0]['args']['body'], true)['events'])->toBe([
+            ['name' => 'ad_conversion', 'params' => ['value' => 1000.0, 'currency' => 'SEK']],
+        ]);
+    });
+
+});
@@ -411,6 +411,43 @@ describe('Cookie_Manager::set_transport_cookie()', function () {
 
 });
 
+// ─── sign_click() / verify_click() ───
+
+describe('Cookie_Manager::sign_click()', function () {
+
+    beforeEach(function () {
+        Functions\when('wp_salt')->justReturn('test-salt');
+    });
+
+    it('returns hash, timestamp and signature joined by dots', function () {
+        $hash = str_repeat('a', 64);
+
+        $signed = (new Cookie_Manager())->sign_click($hash, 1700000000);
+
+        expect($signed)->toMatch('/^' . $hash . '\.1700000000\.[a-f0-9]{64}$/');
+    });
+
+    it('produces a signature that verify_click() accepts', function () {
+        $manager = new Cookie_Manager();
+        $hash    = str_repeat('a', 64);
+
+        [, , $signature] = explode('.', $manager->sign_click($hash, 1700000000));
+
+        expect($manager->verify_click($hash, 1700000000, $signature))->toBeTrue();
+    });
+
+    it('rejects a signature for another timestamp or hash', function () {
+        $manager = new Cookie_Manager();
+        $hash    = str_repeat('a', 64);
+
+        [, , $signature] = explode('.', $manager->sign_click($hash, 1700000000));
+
+        expect($manager->verify_click($hash, 1700000060, $signature))->toBeFalse();
+        expect($manager->verify_click(str_repeat('b', 64), 1700000000, $signature))->toBeFalse();
+    });
+
+});
+
 // ─── validate_hash() ───
 
 describe('Cookie_Manager::validate_hash()', function () {
@@ -68,12 +68,13 @@ describe('Cron::run_daily_cleanup()', function () {
         Functions\when('time')->justReturn(1700000000);
         Functions\when('gmdate')->justReturn('2024-01-01 00:00:00');
 
-        // cleanup_clicks: DELETE conversions + DELETE clicks.
+        // cleanup_clicks: DELETE conversions + DELETE clicks + DELETE touchpoints.
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
         $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
 
         // cleanup_conversions: DELETE orphaned.
-        // delete_orphaned_clicks: DELETE conversions + DELETE clicks.
+        // delete_orphaned_clicks: DELETE conversions + DELETE clicks + DELETE touchpoints.
 
         // draft_orphaned_urls.
         Functions\expect('get_posts')->once()->andReturn([]);
@@ -98,6 +99,7 @@ describe('Cron::run_daily_cleanup()', function () {
 
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
         $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
         Functions\expect('get_posts')->once()->andReturn([]);
 
         $cis->shouldReceive('cleanup')->once()->with(120);
@@ -121,11 +123,14 @@ describe('Cron::run_daily_cleanup()', function () {
 
         // First query (delete conversions for expired clicks) returns 0.
         // Second query (delete expired clicks) returns 5.
-        // Third query (delete orphaned conversions) returns 0.
-        // Fourth query (delete conversions for orphaned clicks) returns 0.
-        // Fifth query (delete orphaned clicks) returns 0.
+        // Third query (delete touchpoints of expired clicks) returns 0.
+        // Fourth query (delete orphaned conversions) returns 0.
+        // Fifth query (delete conversions for orphaned clicks) returns 0.
+        // Sixth query (delete orphaned clicks) returns 0.
+        // Seventh query (delete orphaned touchpoints) returns 0.
         $wpdb->shouldReceive('query')
-            ->andReturn(0, 5, 0, 0, 0);
+            ->andReturn(0, 5, 0, 0, 0, 0, 0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
 
         // Logger is null in tests, so the info() call is a no-op.
 
@@ -150,6 +155,7 @@ describe('Cron::run_daily_cleanup()', function () {
 
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
         $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
 
         // draft_orphaned_urls: get_posts returns one tracking URL.
         $tracking_url = TestFactory::post([
@@ -196,6 +202,7 @@ describe('Cron::run_daily_cleanup()', function () {
 
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
         $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
 
         $tracking_url = TestFactory::post([
             'ID'         => 10,
@@ -236,6 +243,7 @@ describe('Cron::run_daily_cleanup()', function () {
 
         $wpdb->shouldReceive('prepare')->andReturn('SQL');
         $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->andReturn([]);
 
         $tracking_url = TestFactory::post([
             'ID'        => 10,
@@ -260,9 +268,63 @@ describe('Cron::run_daily_cleanup()', function () {
         expect(true)->toBeTrue();
     });
 
-});
+    it('summarizes the clicks flagged as suspected the last day', function () {
+        [$cron, $cis, $queue] = make_cron();
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\when('time')->justReturn(1700000000);
+        Functions\when('gmdate')->justReturn('2023-11-13 22:13:20');
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('query')->andReturn(0);
+        Functions\expect('get_posts')->once()->andReturn([]);
+
+        $rows = [];
+        foreach ([40, 12, 6, 3, 2, 1] as $i => $clicks) {
+            $rows[] = (object) ['title' => "URL {$i}", 'clicks' => (string) $clicks];
+        }
+        $wpdb->shouldReceive('get_results')->once()->andReturn($rows);
+
+        Functions\expect('set_transient')
+            ->once()
+            ->with('kntnt_ad_attr_suspected_clicks', Mockery::on(fn ($summary) => $summary['total'] === 64
+                && count($summary['urls']) === 5
+                && $summary['urls'][0] === ['title' => 'URL 0', 'clicks' => 40]), DAY_IN_SECONDS);
+
+        $cis->shouldReceive('cleanup')->once();
+        $queue->shouldReceive('cleanup')->once();
+
+        $cron->run_daily_cleanup();
+
+        expect(true)->toBeTrue();
+    });
+
+    it('stores no summary without suspected clicks', function () {
+        [$cron, $cis, $queue] = make_cron();
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\when('time')->justReturn(1700000000);
+        Functions\when('gmdate')->justReturn('2023-11-13 22:13:20');
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('query')->andReturn(0);
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+        Functions\expect('get_posts')->once()->andReturn([]);
+        Functions\expect('set_transient')->never();
+
+        $cis->shouldReceive('cleanup')->once();
+        $queue->shouldReceive('cleanup')->once();
+
+        $cron->run_daily_cleanup();
 
-// ─── warn_on_target_trash() ───
+        expect(true)->toBeTrue();
+    });
+
+});
 
 describe('Cron::warn_on_target_trash()', function () {
 
@@ -371,6 +433,11 @@ describe('Cron::display_admin_notices()', function () {
             ->once()
             ->andReturn(false);
 
+        Functions\expect('get_transient')
+            ->with('kntnt_ad_attr_suspected_clicks')
+            ->once()
+            ->andReturn(false);
+
         // _n is stubbed by Brain Monkey, but we need a functional version.
         Functions\when('_n')->alias(fn ($single, $plural, $count, $domain) => $count === 1 ? $single : $plural);
 
@@ -404,6 +471,11 @@ describe('Cron::display_admin_notices()', function () {
             ->with('kntnt_ad_attr_trashed_target')
             ->once();
 
+        Functions\expect('get_transient')
+            ->with('kntnt_ad_attr_suspected_clicks')
+            ->once()
+            ->andReturn(false);
+
         Functions\when('_n')->alias(fn ($single, $plural, $count, $domain) => $count === 1 ? $single : $plural);
 
         ob_start();
@@ -414,4 +486,43 @@ describe('Cron::display_admin_notices()', function () {
         expect($output)->toContain('Trashed Page');
     });
 
+    it('shows the suspected clicks notice with a link to the review tab and deletes transient', function () {
+        [$cron] = make_cron();
+
+        Functions\expect('current_user_can')->once()->andReturn(true);
+
+        Functions\expect('get_transient')
+            ->with('kntnt_ad_attr_orphaned_urls')
+            ->once()
+            ->andReturn(false);
+
+        Functions\expect('get_transient')
+            ->with('kntnt_ad_attr_trashed_target')
+            ->once()
+            ->andReturn(false);
+
+        Functions\expect('get_transient')
+            ->with('kntnt_ad_attr_suspected_clicks')
+            ->once()
+            ->andReturn(['total' => 52, 'urls' => [['title' => 'Spring Sale', 'clicks' => 40], ['title' => 'Brand', 'clicks' => 12]]]);
+
+        Functions\expect('delete_transient')
+            ->with('kntnt_ad_attr_suspected_clicks')
+            ->once();
+
+        Functions\when('_n')->alias(fn ($single, $plural, $count, $domain) => $count === 1 ? $single : $plural);
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('admin_url')->alias(fn (string $path) => 'https://example.com/wp-admin/' . $path);
+        Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . http_build_query($args));
+
+        ob_start();
+        $cron->display_admin_notices();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('52 clicks the last day were flagged as suspected click fraud.');
+        expect($output)->toContain('<li>Spring Sale (40)</li>');
+        expect($output)->toContain('<li>Brand (12)</li>');
+        expect($output)->toContain('href="https://example.com/wp-admin/tools.php?page=kntnt-ad-attribution&tab=suspected-clicks"');
+    });
+
 });
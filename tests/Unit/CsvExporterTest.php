@@ -41,6 +41,9 @@ describe('Csv_Exporter::export()', function () {
             'utm_source_platform'   => '',
             'clicked_at'            => '2024-06-15 10:30:00',
             'fractional_conversion' => null,
+            'conversion_value'      => null,
+            'currency'              => null,
+            'label'                 => null,
             'converted_at'          => null,
         ], $overrides);
     }
@@ -163,7 +166,7 @@ describe('Csv_Exporter::export()', function () {
         expect($lines[0])->toContain(',');
     });
 
-    it('has correct number of columns (12)', function () {
+    it('has correct number of columns (15)', function () {
         $result = run_export([], locale_decimal: '.');
 
         // Remove BOM and parse header.
@@ -172,7 +175,7 @@ describe('Csv_Exporter::export()', function () {
 
         // Parse the header row.
         $header = str_getcsv($lines[0], ',');
-        expect($header)->toHaveCount(12);
+        expect($header)->toHaveCount(15);
     });
 
     it('includes date range in filename when filtered', function () {
@@ -278,7 +281,38 @@ describe('Csv_Exporter::export()', function () {
         expect($rows[0]['Converted At'])->toBe('2024-06-15 11:00:00');
     });
 
-    it('produces one row per item with 12 fields each', function () {
+    it('outputs attributed value, currency and label of a conversion', function () {
+        $item = make_click([
+            'fractional_conversion' => 0.5,
+            'conversion_value'      => 750.0,
+            'currency'              => 'SEK',
+            'label'                 => 'purchase',
+            'converted_at'          => '2024-06-15 11:00:00',
+        ]);
+
+        $result = run_export([$item], locale_decimal: ',');
+        $rows   = parse_csv_rows($result['output'], ';');
+
+        expect($rows[0]['Value'])->toBe('750,0000');
+        expect($rows[0]['Currency'])->toBe('SEK');
+        expect($rows[0]['Label'])->toBe('purchase');
+    });
+
+    it('outputs empty value fields for conversions without a value', function () {
+        $item = make_click([
+            'fractional_conversion' => 1.0,
+            'converted_at'          => '2024-06-15 11:00:00',
+        ]);
+
+        $result = run_export([$item]);
+        $rows   = parse_csv_rows($result['output']);
+
+        expect($rows[0]['Value'])->toBe('');
+        expect($rows[0]['Currency'])->toBe('');
+        expect($rows[0]['Label'])->toBe('');
+    });
+
+    it('produces one row per item with 15 fields each', function () {
         $items = [
             make_click([
                 'fractional_conversion' => 1.0,
@@ -296,9 +330,9 @@ describe('Csv_Exporter::export()', function () {
         // Two data rows.
         expect($rows)->toHaveCount(2);
 
-        // Each row has 12 fields.
+        // Each row has 15 fields.
         foreach ($rows as $row) {
-            expect($row)->toHaveCount(12);
+            expect($row)->toHaveCount(15);
         }
     });
 
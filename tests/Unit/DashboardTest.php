@@ -0,0 +1,163 @@
+<?php
+/**
+ * Unit tests for Dashboard.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Dashboard;
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use Brain\Monkey\Filters;
+use Tests\Helpers\TestFactory;
+
+// ─── register() ───
+
+describe('Dashboard::register()', function () {
+
+    it('registers the tab and its renderer', function () {
+        Filters\expectAdded('kntnt_ad_attr_admin_tabs')->once();
+        Actions\expectAdded('kntnt_ad_attr_admin_tab_dashboard')->once();
+
+        (new Dashboard())->register();
+
+        expect(true)->toBeTrue();
+    });
+
+});
+
+// ─── add_tab() ───
+
+describe('Dashboard::add_tab()', function () {
+
+    it('appends the dashboard to existing tabs', function () {
+        $tabs = (new Dashboard())->add_tab(['addons' => 'Add-ons']);
+
+        expect($tabs)->toBe(['addons' => 'Add-ons', 'dashboard' => 'Dashboard']);
+    });
+
+});
+
+// ─── render_tab() ───
+
+describe('Dashboard::render_tab()', function () {
+
+    beforeEach(function () {
+        $_GET = ['date_start' => '2026-02-09', 'date_end' => '2026-02-22'];
+    });
+
+    afterEach(function () {
+        $_GET = [];
+    });
+
+    it('enqueues the script and renders controls and chart containers', function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_url', fn () => 'https://example.com/plugin/');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_version', fn () => '1.9.0');
+
+        Functions\when('rest_url')->alias(fn (string $path) => 'https://example.com/wp-json/' . $path);
+        Functions\when('wp_create_nonce')->justReturn('abc123');
+
+        Functions\expect('wp_enqueue_script')
+            ->once()
+            ->with('kntnt-ad-attr-dashboard', 'https://example.com/plugin/js/dashboard.js', [], '1.9.0', true);
+        Functions\expect('wp_localize_script')
+            ->once()
+            ->withArgs(fn (string $handle, string $name, array $data) => $handle === 'kntnt-ad-attr-dashboard'
+                && $name === 'kntntAdAttrDashboard'
+                && $data['reportUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/dashboard'
+                && $data['nonce'] === 'abc123');
+
+        ob_start();
+        (new Dashboard())->render_tab();
+        $output = ob_get_clean();
+
+        expect($output)->toContain('id="kntnt-ad-attr-dashboard"');
+        expect($output)->toContain('name="date_start" value="2026-02-09"');
+        expect($output)->toContain('name="date_end" value="2026-02-22"');
+        expect($output)->toContain('name="interval"');
+        expect($output)->toContain('name="group_by"');
+        expect(substr_count($output, 'class="kntnt-ad-attr-chart"'))->toBe(3);
+    });
+
+});
+
+// ─── get_series() ───
+
+describe('Dashboard::get_series()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('fills every day of the range and sorts the groups by clicks', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\when('get_option')->justReturn(1);
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(fn (string $sql, ...$args) => str_contains($sql, 'GROUP BY day, group_key')
+                && $args === ['kntnt_ad_attr_url', '_utm_source', '2026-02-09 00:00:00', '2026-02-11 23:59:59'])
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->with('SQL')->andReturn([
+            (object) ['day' => '2026-02-09', 'group_key' => 'meta', 'clicks' => '2', 'conversions' => '0.0000'],
+            (object) ['day' => '2026-02-09', 'group_key' => 'google', 'clicks' => '3', 'conversions' => '1.0000'],
+            (object) ['day' => '2026-02-11', 'group_key' => 'google', 'clicks' => '4', 'conversions' => '0.5000'],
+        ]);
+
+        $result = (new Dashboard())->get_series('2026-02-09', '2026-02-11', 'day', 'utm_source');
+
+        expect($result['interval'])->toBe('day');
+        expect($result['group_by'])->toBe('utm_source');
+        expect($result['periods'])->toBe(['2026-02-09', '2026-02-10', '2026-02-11']);
+        expect($result['series'])->toBe([
+            ['key' => 'google', 'clicks' => [3, 0, 4], 'conversions' => [1.0, 0.0, 0.5]],
+            ['key' => 'meta', 'clicks' => [2, 0, 0], 'conversions' => [0.0, 0.0, 0.0]],
+        ]);
+    });
+
+    it('sums days into weeks beginning on the configured weekday', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        // Weeks start on Monday; 2026-02-08 is a Sunday.
+        Functions\when('get_option')->justReturn(1);
+
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['day' => '2026-02-08', 'group_key' => 'spring', 'clicks' => '1', 'conversions' => '0'],
+            (object) ['day' => '2026-02-09', 'group_key' => 'spring', 'clicks' => '2', 'conversions' => '1'],
+            (object) ['day' => '2026-02-15', 'group_key' => 'spring', 'clicks' => '3', 'conversions' => '0'],
+        ]);
+
+        $result = (new Dashboard())->get_series('2026-02-08', '2026-02-15', 'week', 'utm_campaign');
+
+        expect($result['periods'])->toBe(['2026-02-02', '2026-02-09']);
+        expect($result['series'][0]['clicks'])->toBe([1, 5]);
+        expect($result['series'][0]['conversions'])->toBe([0.0, 1.0]);
+    });
+
+    it('falls back to daily series grouped by source for unknown arguments', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\when('get_option')->justReturn(0);
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(fn (string $sql, ...$args) => $args[1] === '_utm_source')
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+
+        $result = (new Dashboard())->get_series('2026-02-09', '2026-02-10', 'hour', 'post_title');
+
+        expect($result['interval'])->toBe('day');
+        expect($result['group_by'])->toBe('utm_source');
+        expect($result['series'])->toBe([]);
+    });
+
+});
@@ -0,0 +1,318 @@
+<?php
+/**
+ * Unit tests for Fraud_Detector.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Fraud_Detector;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+use Brain\Monkey\Filters;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Creates a Fraud_Detector with the given settings.
+ *
+ * @param array<string, mixed> $values Setting values returned by Settings::get().
+ */
+function make_fraud_detector(array $values = []): Fraud_Detector {
+    $values += [
+        'fraud_detection' => 'flag',
+        'fraud_threshold' => 50,
+    ];
+
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->andReturnUsing(fn (string $key) => $values[$key] ?? '');
+
+    return new Fraud_Detector($settings);
+}
+
+/**
+ * Keeps transients in the given array, so clicks are counted across calls.
+ *
+ * @param array<string, mixed> $store Transient key => value.
+ */
+function stub_fraud_transients(array &$store): void {
+    Functions\when('get_transient')->alias(function (string $key) use (&$store) {
+        return $store[$key] ?? false;
+    });
+    Functions\when('set_transient')->alias(function (string $key, mixed $value) use (&$store) {
+        $store[$key] = $value;
+        return true;
+    });
+}
+
+/**
+ * Keeps a persistent object cache in the given array.
+ *
+ * @param array<string, mixed> $cache Cache key => value.
+ */
+function stub_fraud_object_cache(array &$cache): void {
+    Functions\when('wp_using_ext_object_cache')->justReturn(true);
+    Functions\when('wp_cache_add')->alias(function (string $key, mixed $value) use (&$cache) {
+        if (array_key_exists($key, $cache)) {
+            return false;
+        }
+        $cache[$key] = $value;
+        return true;
+    });
+    Functions\when('wp_cache_incr')->alias(function (string $key, int $offset = 1) use (&$cache) {
+        $cache[$key] = ($cache[$key] ?? 0) + $offset;
+        return $cache[$key];
+    });
+    Functions\when('wp_cache_get')->alias(function (string $key) use (&$cache) {
+        return $cache[$key] ?? false;
+    });
+    Functions\when('wp_cache_set')->alias(function (string $key, mixed $value) use (&$cache) {
+        $cache[$key] = $value;
+        return true;
+    });
+}
+
+/**
+ * Sets the request to a browser visit from the given address.
+ */
+function fraud_request(string $ip, bool $browser_headers = true): void {
+    $_SERVER['REMOTE_ADDR'] = $ip;
+    if ($browser_headers) {
+        $_SERVER['HTTP_ACCEPT']          = 'text/html,application/xhtml+xml';
+        $_SERVER['HTTP_ACCEPT_LANGUAGE'] = 'sv-SE,sv;q=0.9';
+    } else {
+        unset($_SERVER['HTTP_ACCEPT'], $_SERVER['HTTP_ACCEPT_LANGUAGE']);
+    }
+}
+
+// ─── score() ───
+
+describe('Fraud_Detector::score()', function () {
+
+    beforeEach(function () {
+        $this->store = [];
+        stub_fraud_transients($this->store);
+        Functions\when('wp_using_ext_object_cache')->justReturn(false);
+
+        // No earlier clicks on the tracking URL unless a test says otherwise.
+        $this->wpdb = TestFactory::wpdb();
+        $this->wpdb->shouldReceive('prepare')->andReturn('SQL')->byDefault();
+        $this->wpdb->shouldReceive('get_var')->andReturn('0')->byDefault();
+        $GLOBALS['wpdb'] = $this->wpdb;
+
+        // The real plugin directory, so the bundled datacenter list is read.
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_dir', fn () => dirname(__DIR__, 2) . '/');
+    });
+
+    afterEach(function () {
+        unset($_SERVER['REMOTE_ADDR'], $_SERVER['HTTP_ACCEPT'], $_SERVER['HTTP_ACCEPT_LANGUAGE']);
+    });
+
+    it('returns null when detection is turned off', function () {
+        fraud_request('167.99.1.1', false);
+
+        expect(make_fraud_detector(['fraud_detection' => 'off'])->score(TestFactory::hash('off'), 1700000000))->toBeNull();
+        expect($this->store)->toBe([]);
+    });
+
+    it('scores a browser click from a residential address zero', function () {
+        fraud_request('192.0.2.10');
+
+        $result = make_fraud_detector()->score(TestFactory::hash('clean'), 1700000000);
+
+        expect($result)->toBe(['score' => 0, 'reasons' => [], 'suspected' => false]);
+    });
+
+    it('flags a click from a datacenter without browser headers', function () {
+        fraud_request('167.99.1.1', false);
+
+        $result = make_fraud_detector()->score(TestFactory::hash('dc'), 1700000000);
+
+        expect($result)->toBe(['score' => 70, 'reasons' => ['datacenter', 'headers'], 'suspected' => true]);
+    });
+
+    it('matches IPv6 datacenter ranges', function () {
+        fraud_request('2a01:4f8:c17:1::1');
+
+        $result = make_fraud_detector()->score(TestFactory::hash('dc6'), 1700000000);
+
+        expect($result['reasons'])->toBe(['datacenter']);
+    });
+
+    it('reads additional datacenter ranges from the filter', function () {
+        Filters\expectApplied('kntnt_ad_attr_datacenter_ranges')
+            ->once()
+            ->andReturnUsing(fn (array $ranges) => [...$ranges, '198.51.100.0/24']);
+
+        fraud_request('198.51.100.77');
+
+        expect(make_fraud_detector()->score(TestFactory::hash('custom-dc'), 1700000000)['reasons'])->toBe(['datacenter']);
+    });
+
+    it('scores the click that exceeds the hourly limit of a network', function () {
+        $now = 1700000000;
+
+        // Ten earlier clicks at irregular intervals from the same /24.
+        $this->store['kntnt_ad_attr_frip_' . md5('192.0.2.0')] = [$now - 3000, $now - 2900, $now - 2500, $now - 2000, $now - 1900, $now - 1300, $now - 1000, $now - 600, $now - 500, $now - 100];
+
+        fraud_request('192.0.2.200');
+        $result = make_fraud_detector()->score(TestFactory::hash('flood'), $now);
+
+        expect($result)->toBe(['score' => 25, 'reasons' => ['ip_rate'], 'suspected' => false]);
+    });
+
+    it('does not flag a click for a busy network alone', function () {
+        $now = 1700000000;
+
+        // A carrier NAT: many visitors, clicks every second from the same /24.
+        $this->store['kntnt_ad_attr_frip_' . md5('192.0.2.0')] = range($now - 30, $now - 1);
+
+        fraud_request('192.0.2.200');
+        $result = make_fraud_detector()->score(TestFactory::hash('nat'), $now);
+
+        expect($result['reasons'])->toBe(['ip_rate', 'timing']);
+        expect($result['score'])->toBeLessThan(50);
+        expect($result['suspected'])->toBeFalse();
+    });
+
+    it('forgets clicks older than an hour', function () {
+        $now = 1700000000;
+        $key = 'kntnt_ad_attr_frip_' . md5('192.0.2.0');
+        $this->store[$key] = array_map(fn ($i) => $now - 4000 - $i * 37, range(1, 20));
+
+        fraud_request('192.0.2.200');
+        $result = make_fraud_detector()->score(TestFactory::hash('old'), $now);
+
+        expect($result['reasons'])->toBe([]);
+        expect($this->store[$key])->toBe([$now]);
+    });
+
+    it('scores clicks in quick succession as machine-timed', function () {
+        fraud_request('192.0.2.10');
+        $detector = make_fraud_detector();
+        $hash     = TestFactory::hash('quick');
+
+        $detector->score($hash, 1700000000);
+        $result = $detector->score($hash, 1700000001);
+
+        expect($result)->toBe(['score' => 20, 'reasons' => ['timing'], 'suspected' => false]);
+    });
+
+    it('scores clicks at regular intervals as machine-timed', function () {
+        fraud_request('192.0.2.10');
+        $detector = make_fraud_detector();
+        $hash     = TestFactory::hash('regular');
+
+        foreach ([0, 30, 61, 91] as $offset) {
+            expect($detector->score($hash, 1700000000 + $offset)['reasons'])->toBe([]);
+        }
+
+        expect($detector->score($hash, 1700000121)['reasons'])->toBe(['timing']);
+    });
+
+    it('flags the click that exceeds the hourly limit of a tracking URL', function () {
+        Filters\expectApplied('kntnt_ad_attr_fraud_hash_limit')->andReturn(2);
+
+        $detector = make_fraud_detector(['fraud_threshold' => 20]);
+        $hash     = TestFactory::hash('hammered');
+
+        // One and then two earlier clicks in the clicks table within the hour.
+        $this->wpdb->shouldReceive('prepare')
+            ->with(Mockery::pattern('/FROM wp_kntnt_ad_attr_clicks WHERE hash = %s AND clicked_at > %s/'), $hash, '2023-11-14 21:13:20')
+            ->twice()
+            ->andReturn('SQL hammered');
+        $this->wpdb->shouldReceive('get_var')->with('SQL hammered')->andReturn('1', '2');
+
+        // Visitors from different networks.
+        fraud_request('192.0.2.10');
+        expect($detector->score($hash, 1700000000)['suspected'])->toBeFalse();
+
+        fraud_request('203.0.113.10');
+        expect($detector->score($hash, 1700000000))->toBe(['score' => 20, 'reasons' => ['hash_rate'], 'suspected' => true]);
+    });
+
+    it('counts the clicks of a network in the object cache when there is one', function () {
+        $cache = [];
+        stub_fraud_object_cache($cache);
+
+        // 800 seconds into the hour, so 7/9 of the previous hour's 12 clicks count.
+        $now = 1700000000;
+        $key = 'kntnt_ad_attr_frip_' . md5('192.0.2.0');
+        $cache[$key . '_472221'] = 12;
+        $cache[$key . '_472222'] = 1;
+
+        fraud_request('192.0.2.200');
+        $result = make_fraud_detector()->score(TestFactory::hash('cached-flood'), $now);
+
+        expect($result)->toBe(['score' => 25, 'reasons' => ['ip_rate'], 'suspected' => false]);
+        expect($cache[$key . '_472222'])->toBe(2);
+        expect($this->store)->toBe([]);
+    });
+
+    it('keeps the latest clicks of a network in the object cache for the timing signal', function () {
+        $cache = [];
+        stub_fraud_object_cache($cache);
+
+        fraud_request('192.0.2.10');
+        $detector = make_fraud_detector();
+        $hash     = TestFactory::hash('cached-quick');
+
+        $detector->score($hash, 1700000000);
+        $result = $detector->score($hash, 1700000001);
+
+        expect($result['reasons'])->toBe(['timing']);
+        expect($cache['kntnt_ad_attr_frip_' . md5('192.0.2.0')])->toBe([1700000000, 1700000001]);
+    });
+
+    it('only records the score when set to record scores only', function () {
+        fraud_request('167.99.1.1', false);
+
+        $result = make_fraud_detector(['fraud_detection' => 'score'])->score(TestFactory::hash('score-only'), 1700000000);
+
+        expect($result)->toBe(['score' => 70, 'reasons' => ['datacenter', 'headers'], 'suspected' => false]);
+    });
+
+    it('compares the score with the configured threshold', function () {
+        fraud_request('167.99.1.1', false);
+
+        $result = make_fraud_detector(['fraud_threshold' => 80])->score(TestFactory::hash('threshold'), 1700000000);
+
+        expect($result['score'])->toBe(70);
+        expect($result['suspected'])->toBeFalse();
+    });
+
+    it('lets the score be adjusted by a filter and clamps it', function () {
+        $hash = TestFactory::hash('filtered');
+
+        Filters\expectApplied('kntnt_ad_attr_fraud_score')
+            ->once()
+            ->with(['score' => 0, 'reasons' => []], $hash)
+            ->andReturn(['score' => 250, 'reasons' => ['custom', 42]]);
+
+        fraud_request('192.0.2.10');
+
+        expect(make_fraud_detector()->score($hash, 1700000000))->toBe(['score' => 100, 'reasons' => ['custom'], 'suspected' => true]);
+    });
+
+    it('stores no IP address', function () {
+        fraud_request('192.0.2.10');
+
+        make_fraud_detector()->score(TestFactory::hash('privacy'), 1700000000);
+
+        expect(json_encode($this->store))->not->toContain('192.0.2');
+    });
+
+});
+
+// ─── get_threshold() ───
+
+describe('Fraud_Detector::get_threshold()', function () {
+
+    it('keeps the threshold between 1 and 100', function () {
+        expect(make_fraud_detector(['fraud_threshold' => 0])->get_threshold())->toBe(1);
+        expect(make_fraud_detector(['fraud_threshold' => 500])->get_threshold())->toBe(100);
+        expect(make_fraud_detector(['fraud_threshold' => '65'])->get_threshold())->toBe(65);
+    });
+
+});
@@ -0,0 +1,163 @@
+<?php
+/**
+ * Unit tests for Fraud_List_Table.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Fraud_List_Table;
+use Kntnt\Ad_Attribution\Fraud_Review;
+use Brain\Monkey\Functions;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Invokes a protected method of a suspected clicks table.
+ *
+ * @param Fraud_List_Table $table  The table.
+ * @param string           $method Method name.
+ * @param mixed            ...$args Arguments.
+ */
+function invoke_fraud_table(Fraud_List_Table $table, string $method, mixed ...$args): mixed {
+    $ref = new \ReflectionMethod($table, $method);
+    $ref->setAccessible(true);
+    return $ref->invoke($table, ...$args);
+}
+
+/**
+ * Builds a suspected click row as Fraud_Review::get_clicks() returns it.
+ *
+ * @param array<string, mixed> $props Properties to override.
+ */
+function fraud_click(array $props = []): object {
+    return (object) ($props + [
+        'id'            => '42',
+        'hash'          => TestFactory::hash('suspected'),
+        'clicked_at'    => '2026-02-10 08:30:00',
+        'fraud_score'   => '70',
+        'fraud_reasons' => 'datacenter,headers',
+        'fraud_status'  => 'flagged',
+        'post_id'       => '10',
+        'utm_campaign'  => 'spring-sale',
+    ]);
+}
+
+beforeEach(function () {
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+    Functions\when('admin_url')->alias(fn (string $path) => '/wp-admin/' . $path);
+    Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . http_build_query($args));
+});
+
+afterEach(function () {
+    unset($_GET['fraud_status']);
+});
+
+// ─── get_status() ───
+
+describe('Fraud_List_Table::get_status()', function () {
+
+    it('shows flagged clicks unless another known status is asked for', function () {
+        $table = new Fraud_List_Table(Mockery::mock(Fraud_Review::class));
+
+        expect($table->get_status())->toBe('flagged');
+
+        $_GET['fraud_status'] = 'valid';
+        expect($table->get_status())->toBe('valid');
+
+        $_GET['fraud_status'] = 'deleted';
+        expect($table->get_status())->toBe('flagged');
+    });
+
+});
+
+// ─── prepare_items() ───
+
+describe('Fraud_List_Table::prepare_items()', function () {
+
+    it('fetches the clicks of the current status and paginates them', function () {
+        $_GET['fraud_status'] = 'fraud';
+
+        $review = Mockery::mock(Fraud_Review::class);
+        $review->shouldReceive('get_clicks')
+            ->once()
+            ->with('fraud', 50, 1)
+            ->andReturn(['total' => 120, 'rows' => [fraud_click()]]);
+
+        $table = new Fraud_List_Table($review);
+        $table->prepare_items();
+
+        expect($table->items)->toHaveCount(1);
+        expect(invoke_fraud_table($table, 'get_pagination_arg', 'total_pages'))->toBe(3);
+    });
+
+});
+
+// ─── get_views() ───
+
+describe('Fraud_List_Table::get_views()', function () {
+
+    it('links every status with its count', function () {
+        $review = Mockery::mock(Fraud_Review::class);
+        $review->shouldReceive('get_status_counts')->andReturn(['flagged' => 7, 'fraud' => 0, 'valid' => 2]);
+
+        $views = invoke_fraud_table(new Fraud_List_Table($review), 'get_views');
+
+        expect(array_keys($views))->toBe(['flagged', 'fraud', 'valid']);
+        expect($views['flagged'])->toContain('class="current"');
+        expect($views['flagged'])->toContain('<span class="count">(7)</span>');
+        expect($views['valid'])->toContain('href="/wp-admin/tools.php?page=kntnt-ad-attribution&tab=suspected-clicks&fraud_status=valid"');
+    });
+
+});
+
+// ─── Columns ───
+
+describe('Fraud_List_Table columns', function () {
+
+    it('offers the statuses a click does not have as nonce-protected row actions', function () {
+        Functions\when('get_date_from_gmt')->alias(fn (string $time) => $time);
+        Functions\expect('wp_nonce_url')
+            ->twice()
+            ->andReturnUsing(fn (string $url, string $action) => $url . '&_wpnonce=' . $action);
+
+        $html = invoke_fraud_table(new Fraud_List_Table(Mockery::mock(Fraud_Review::class)), 'column_clicked_at', fraud_click());
+
+        expect($html)->toContain('2026-02-10 08:30:00');
+        expect($html)->toContain('Mark as Fraud');
+        expect($html)->toContain('Mark as Valid');
+        expect($html)->toContain('/wp-admin/admin-post.php?action=kntnt_ad_attr_review_clicks&click%5B%5D=42&review_status=fraud&fraud_status=flagged&_wpnonce=kntnt_ad_attr_review_clicks');
+    });
+
+    it('leaves out the status a click already has', function () {
+        Functions\when('get_date_from_gmt')->alias(fn (string $time) => $time);
+        Functions\expect('wp_nonce_url')->once()->andReturnArg(0);
+
+        $html = invoke_fraud_table(new Fraud_List_Table(Mockery::mock(Fraud_Review::class)), 'column_clicked_at', fraud_click(['fraud_status' => 'valid']));
+
+        expect($html)->toContain('Mark as Fraud');
+        expect($html)->not->toContain('Mark as Valid');
+    });
+
+    it('shows the signals by their labels', function () {
+        $table = new Fraud_List_Table(Mockery::mock(Fraud_Review::class));
+
+        expect(invoke_fraud_table($table, 'column_fraud_reasons', fraud_click()))->toBe('Datacenter IP address, Missing browser headers');
+        expect(invoke_fraud_table($table, 'column_fraud_reasons', fraud_click(['fraud_reasons' => null])))->toBe('—');
+    });
+
+    it('names the select of the action on selected clicks review_status', function () {
+        Functions\when('submit_button')->alias(function (string $text) {
+            echo '<input type="submit" value="' . $text . '">';
+        });
+
+        ob_start();
+        invoke_fraud_table(new Fraud_List_Table(Mockery::mock(Fraud_Review::class)), 'extra_tablenav', 'top');
+        $output = ob_get_clean();
+
+        expect($output)->toContain('name="review_status"');
+        expect($output)->not->toContain('name="action"');
+    });
+
+});
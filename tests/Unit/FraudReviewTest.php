@@ -0,0 +1,174 @@
+<?php
+/**
+ * Unit tests for Fraud_Review.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Fraud_Review;
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use Brain\Monkey\Filters;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Exception used to stop handle_review() at its redirect.
+ */
+class ReviewExitException extends \RuntimeException {}
+
+// ─── register() ───
+
+describe('Fraud_Review::register()', function () {
+
+    it('registers the tab, its renderer and the review handler', function () {
+        Filters\expectAdded('kntnt_ad_attr_admin_tabs')->once();
+        Actions\expectAdded('kntnt_ad_attr_admin_tab_suspected-clicks')->once();
+        Actions\expectAdded('admin_post_kntnt_ad_attr_review_clicks')->once();
+
+        (new Fraud_Review())->register();
+
+        expect(true)->toBeTrue();
+    });
+
+});
+
+// ─── add_tab() ───
+
+describe('Fraud_Review::add_tab()', function () {
+
+    it('appends the review tab to existing tabs', function () {
+        $tabs = (new Fraud_Review())->add_tab(['dashboard' => 'Dashboard']);
+
+        expect($tabs)->toBe(['dashboard' => 'Dashboard', 'suspected-clicks' => 'Suspected Clicks']);
+    });
+
+});
+
+// ─── handle_review() ───
+
+describe('Fraud_Review::handle_review()', function () {
+
+    beforeEach(function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::authorize', fn () => null);
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('admin_url')->alias(fn (string $path) => '/wp-admin/' . $path);
+        Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . http_build_query($args));
+    });
+
+    afterEach(function () {
+        $_REQUEST = [];
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('marks the selected clicks and returns to the view with a count', function () {
+        $_REQUEST = ['click' => ['12', '15'], 'review_status' => 'fraud', 'fraud_status' => 'flagged'];
+
+        Functions\expect('check_admin_referer')->once()->with('kntnt_ad_attr_review_clicks');
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->with(Mockery::pattern('/^UPDATE wp_kntnt_ad_attr_clicks SET fraud_status = %s WHERE id IN \(%d, %d\) AND fraud_status IS NOT NULL$/'), 'fraud', 12, 15)
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->with('SQL')->andReturn(2);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\expect('wp_safe_redirect')
+            ->once()
+            ->with('/wp-admin/tools.php?page=kntnt-ad-attribution&tab=suspected-clicks&reviewed=2&fraud_status=flagged')
+            ->andReturnUsing(fn () => throw new ReviewExitException());
+
+        expect(fn () => (new Fraud_Review())->handle_review())->toThrow(ReviewExitException::class);
+    });
+
+    it('only changes the page when no status is chosen', function () {
+        $_REQUEST = ['click' => ['12'], 'review_status' => '', 'fraud_status' => 'fraud', 'paged' => '3'];
+
+        Functions\expect('check_admin_referer')->once();
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldNotReceive('query');
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\expect('wp_safe_redirect')
+            ->once()
+            ->with('/wp-admin/tools.php?page=kntnt-ad-attribution&tab=suspected-clicks&fraud_status=fraud&paged=3')
+            ->andReturnUsing(fn () => throw new ReviewExitException());
+
+        expect(fn () => (new Fraud_Review())->handle_review())->toThrow(ReviewExitException::class);
+    });
+
+});
+
+// ─── review() ───
+
+describe('Fraud_Review::review()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('ignores unknown statuses and missing clicks', function () {
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldNotReceive('query');
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $review = new Fraud_Review();
+
+        expect($review->review([12], 'flagged'))->toBe(0);
+        expect($review->review([0, -4], 'valid'))->toBe(0);
+    });
+
+});
+
+// ─── get_status_counts() ───
+
+describe('Fraud_Review::get_status_counts()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('returns a count for every status', function () {
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['fraud_status' => 'flagged', 'cnt' => '7'],
+            (object) ['fraud_status' => 'valid', 'cnt' => '2'],
+        ]);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        expect((new Fraud_Review())->get_status_counts())->toBe(['flagged' => 7, 'fraud' => 0, 'valid' => 2]);
+    });
+
+});
+
+// ─── get_clicks() ───
+
+describe('Fraud_Review::get_clicks()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('fetches one page of clicks with the status, newest first', function () {
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->with(Mockery::pattern('/SELECT COUNT\(\*\)/'), 'fraud')
+            ->andReturn('COUNT SQL');
+        $wpdb->shouldReceive('get_var')->once()->with('COUNT SQL')->andReturn('120');
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->with(Mockery::pattern('/ORDER BY c\.clicked_at DESC.*LIMIT %d OFFSET %d/s'), 'fraud', 50, 50)
+            ->andReturn('ROWS SQL');
+        $row = (object) ['id' => '3', 'hash' => TestFactory::hash('a')];
+        $wpdb->shouldReceive('get_results')->once()->with('ROWS SQL')->andReturn([$row]);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        expect((new Fraud_Review())->get_clicks('fraud', 50, 2))->toBe(['total' => 120, 'rows' => [$row]]);
+    });
+
+});
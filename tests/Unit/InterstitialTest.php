@@ -0,0 +1,281 @@
+<?php
+/**
+ * Unit tests for Interstitial.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Cookie_Manager;
+use Kntnt\Ad_Attribution\Interstitial;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Filters;
+use Brain\Monkey\Functions;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Creates an Interstitial with the given settings and a mocked cookie manager.
+ *
+ * @param array<string, mixed> $values Setting values returned by Settings::get().
+ *
+ * @return array{0: Interstitial, 1: Mockery\MockInterface}
+ */
+function make_interstitial(array $values = []): array {
+    $values += [
+        'interstitial_message' => '',
+        'interstitial_logo'    => '',
+        'interstitial_delay'   => 0,
+        'pending_storage'      => 'session',
+        'consent_adapter'      => 'auto',
+        'consent_service_id'   => 'kntnt-ad-attribution',
+    ];
+
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->andReturnUsing(fn (string $key) => $values[$key] ?? '');
+    $cm = Mockery::mock(Cookie_Manager::class);
+
+    return [new Interstitial($settings, $cm), $cm];
+}
+
+/**
+ * Stubs the WordPress functions and plugin paths the page is built from.
+ */
+function stub_interstitial_environment(): void {
+    Functions\when('get_bloginfo')->alias(fn ($show) => $show === 'language' ? 'en-US' : 'Example');
+    Functions\when('rest_url')->alias(fn ($path = '') => 'https://example.com/wp-json/' . $path);
+    Functions\when('wp_json_encode')->alias(fn ($data) => json_encode($data));
+    Functions\when('wp_parse_url')->alias(fn ($url, $comp = -1) => parse_url($url, $comp));
+    Functions\when('get_transient')->justReturn(false);
+    Functions\when('set_transient')->justReturn(true);
+
+    // The real plugin directory, so the integrity hashes match the files.
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_version', fn () => '1.9.0');
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_url', fn () => 'https://cdn.example.com/plugin/');
+    \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_dir', fn () => dirname(__DIR__, 2) . '/');
+}
+
+/**
+ * Records the values stored in the integrity hash transient.
+ *
+ * @return ArrayObject<int, array> Stored values.
+ */
+function stub_integrity_storage(): ArrayObject {
+    $stored = new ArrayObject();
+    Functions\when('set_transient')->alias(function (string $key, mixed $value) use ($stored) {
+        if ($key === 'kntnt_ad_attr_sri') {
+            $stored[] = $value;
+        }
+        return true;
+    });
+    return $stored;
+}
+
+/**
+ * Extracts and decodes the page configuration from the HTML.
+ */
+function interstitial_config(string $html): array {
+    preg_match('/data-config="([^"]*)"/', $html, $matches);
+    return json_decode(html_entity_decode($matches[1], ENT_QUOTES), true);
+}
+
+// ─── get_html() ───
+
+describe('Interstitial::get_html()', function () {
+
+    beforeEach(function () {
+        stub_interstitial_environment();
+    });
+
+    it('loads the script and stylesheet with Subresource Integrity', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+
+        $html = $page->get_html(TestFactory::hash('sri'), 1700000000, 'https://example.com/target/', false);
+
+        $root = dirname(__DIR__, 2);
+        $js   = 'sha384-' . base64_encode(hash_file('sha384', $root . '/js/interstitial.js', true));
+        $css  = 'sha384-' . base64_encode(hash_file('sha384', $root . '/css/interstitial.css', true));
+
+        expect($html)->toContain('<script src="https://cdn.example.com/plugin/js/interstitial.js" integrity="' . $js . '" crossorigin="anonymous" defer></script>');
+        expect($html)->toContain('href="https://cdn.example.com/plugin/css/interstitial.css" integrity="' . $css . '"');
+        expect($html)->not->toMatch('/<script>|<script [^>]*>[^<]/');
+    });
+
+    it('reuses the integrity hashes computed for the plugin version', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+        Functions\when('get_transient')->alias(fn (string $key) => $key === 'kntnt_ad_attr_sri' ? [
+            'version' => '1.9.0',
+            'hashes'  => ['js/interstitial.js' => 'sha384-js', 'css/interstitial.css' => 'sha384-css'],
+        ] : false);
+        $stored = stub_integrity_storage();
+
+        $html = $page->get_html(TestFactory::hash('sri-cached'), 1700000000, 'https://example.com/target/', false);
+
+        expect($html)->toContain('interstitial.js" integrity="sha384-js"');
+        expect($html)->toContain('interstitial.css" integrity="sha384-css"');
+        expect($stored->getArrayCopy())->toBe([]);
+    });
+
+    it('computes the integrity hashes again for a new plugin version', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+        Functions\when('get_transient')->justReturn(['version' => '1.8.0', 'hashes' => ['js/interstitial.js' => 'sha384-old']]);
+
+        $stored = stub_integrity_storage();
+
+        $html = $page->get_html(TestFactory::hash('sri-new'), 1700000000, 'https://example.com/target/', false);
+
+        $root = dirname(__DIR__, 2);
+        $js   = 'sha384-' . base64_encode(hash_file('sha384', $root . '/js/interstitial.js', true));
+        $css  = 'sha384-' . base64_encode(hash_file('sha384', $root . '/css/interstitial.css', true));
+
+        expect($html)->not->toContain('sha384-old');
+        expect($stored->getArrayCopy())->toBe([
+            ['version' => '1.9.0', 'hashes' => ['js/interstitial.js' => $js]],
+            ['version' => '1.9.0', 'hashes' => ['css/interstitial.css' => $css]],
+        ]);
+    });
+
+    it('leaves out the integrity hash of an asset that cannot be read', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_plugin_dir', fn () => '/nonexistent/');
+        $stored = stub_integrity_storage();
+
+        $html = $page->get_html(TestFactory::hash('sri-missing'), 1700000000, 'https://example.com/target/', false);
+
+        expect($html)->toContain('interstitial.js" integrity=""');
+        expect($stored->getArrayCopy())->toBe([]);
+    });
+
+    it('passes the signed click and settings to the script', function () {
+        [$page, $cm] = make_interstitial(['interstitial_delay' => 1500, 'pending_storage' => 'local']);
+        $hash = TestFactory::hash('config');
+        $cm->shouldReceive('sign_click')->once()->with($hash, 1700000000)->andReturn($hash . '.1700000000.sig');
+
+        $html = $page->get_html($hash, 1700000000, 'https://example.com/target/?a=1&b=2', true);
+
+        expect(interstitial_config($html))->toBe([
+            'target'           => 'https://example.com/target/?a=1&b=2',
+            'confirmUrl'       => 'https://example.com/wp-json/kntnt-ad-attribution/v1/confirm-click',
+            'click'            => $hash . '.1700000000.sig',
+            'pending'          => true,
+            'storage'          => 'local',
+            'delay'            => 1500,
+            'consentAdapter'   => 'auto',
+            'consentServiceId' => 'kntnt-ad-attribution',
+        ]);
+    });
+
+    it('loads the consent check after the site consent scripts while consent is pending', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+        Filters\expectApplied('kntnt_ad_attr_interstitial_scripts')->once()->andReturn(['https://cmp.example.net/cmp.js', '', 'relative.js']);
+
+        $html = $page->get_html(TestFactory::hash('consent-scripts'), 1700000000, 'https://example.com/target/', true);
+
+        $js = 'sha384-' . base64_encode(hash_file('sha384', dirname(__DIR__, 2) . '/js/pending-consent.js', true));
+
+        expect($html)->toContain(
+            'crossorigin="anonymous" defer></script>' . "\n"
+            . '<script src="https://cmp.example.net/cmp.js" defer></script>' . "\n"
+            . '<script src="https://cdn.example.com/plugin/js/pending-consent.js" integrity="' . $js . '" crossorigin="anonymous" defer></script>',
+        );
+        expect($html)->not->toContain('relative.js');
+    });
+
+    it('leaves out the consent check once consent is decided', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+        Filters\expectApplied('kntnt_ad_attr_interstitial_scripts')->never();
+
+        $html = $page->get_html(TestFactory::hash('no-consent-scripts'), 1700000000, 'https://example.com/target/', false);
+
+        expect($html)->not->toContain('pending-consent.js');
+    });
+
+    it('falls back to a meta refresh and a link without JavaScript', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+
+        $html = $page->get_html(TestFactory::hash('noscript'), 1700000000, 'https://example.com/target/', false);
+
+        expect($html)->toContain('<noscript><meta http-equiv="refresh" content="0;url=https://example.com/target/"></noscript>');
+        expect($html)->toContain('<a class="kntnt-ad-attr-interstitial-link" href="https://example.com/target/">Continue</a>');
+        expect($html)->toContain('<meta name="robots" content="noindex, nofollow">');
+    });
+
+    it('shows the configured message and logo', function () {
+        [$page, $cm] = make_interstitial([
+            'interstitial_message' => 'Taking you to <Example>',
+            'interstitial_logo'    => 'https://img.example.net/logo.svg',
+        ]);
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+
+        $html = $page->get_html(TestFactory::hash('branding'), 1700000000, 'https://example.com/', false);
+
+        expect($html)->toContain('Taking you to &lt;Example&gt;');
+        expect($html)->toContain('<img class="kntnt-ad-attr-interstitial-logo" src="https://img.example.net/logo.svg" alt="Example">');
+    });
+
+    it('shows a default message and no logo when unconfigured', function () {
+        [$page, $cm] = make_interstitial();
+        $cm->shouldReceive('sign_click')->andReturn('signed');
+
+        $html = $page->get_html(TestFactory::hash('default'), 1700000000, 'https://example.com/', false);
+
+        expect($html)->toContain('Redirecting…');
+        expect($html)->not->toContain('<img');
+    });
+
+});
+
+// ─── get_content_security_policy() ───
+
+describe('Interstitial::get_content_security_policy()', function () {
+
+    beforeEach(function () {
+        stub_interstitial_environment();
+    });
+
+    it('allows only the plugin assets and the REST API', function () {
+        [$page] = make_interstitial();
+
+        expect($page->get_content_security_policy())->toBe(
+            "default-src 'none'; script-src https://cdn.example.com; style-src https://cdn.example.com; img-src 'none'; "
+            . "connect-src https://example.com; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+        );
+    });
+
+    it('allows images from the origin of the logo', function () {
+        [$page] = make_interstitial(['interstitial_logo' => 'http://img.example.net:8080/logo.png']);
+
+        expect($page->get_content_security_policy())->toContain('img-src http://img.example.net:8080;');
+    });
+
+    it('allows the origins of the site consent scripts', function () {
+        [$page] = make_interstitial();
+        Filters\expectApplied('kntnt_ad_attr_interstitial_scripts')->andReturn(['https://cmp.example.net/cmp.js', 'https://cdn.example.com/consent.js']);
+
+        $policy = $page->get_content_security_policy();
+
+        expect($policy)->toContain('script-src https://cdn.example.com https://cmp.example.net;');
+        expect($policy)->toContain('connect-src https://example.com https://cmp.example.net https://cdn.example.com;');
+    });
+
+});
+
+// ─── get_delay() ───
+
+describe('Interstitial::get_delay()', function () {
+
+    it('keeps the delay within zero and the maximum', function () {
+        expect(make_interstitial(['interstitial_delay' => 800])[0]->get_delay())->toBe(800);
+        expect(make_interstitial(['interstitial_delay' => -5])[0]->get_delay())->toBe(0);
+        expect(make_interstitial(['interstitial_delay' => 60000])[0]->get_delay())->toBe(Interstitial::MAX_DELAY);
+    });
+
+});
@@ -0,0 +1,86 @@
+<?php
+/**
+ * Unit tests for Logger.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Logger;
+use Kntnt\Ad_Attribution\Settings;
+use Brain\Monkey\Functions;
+
+// ─── redact() ───
+
+describe('Logger::redact()', function () {
+
+    it('masks the values of sensitive keys', function () {
+        expect(Logger::redact('Refreshing with refresh_token=1//0gAbCdEfGh&client_secret=GOCSPX-abcd1234'))
+            ->toBe('Refreshing with refresh_token=*********EfGh&client_secret=***********1234');
+    });
+
+    it('masks sensitive keys in JSON and bearer tokens', function () {
+        expect(Logger::redact('{"access_token": "ya29.a0AfH6SM", "expires_in": 3599}'))
+            ->toBe('{"access_token": "*********H6SM", "expires_in": 3599}');
+        expect(Logger::redact('Authorization: Bearer EAAGm0PX4ZCps'))
+            ->toBe('Authorization: Bearer *********ZCps');
+    });
+
+    it('leaves masked values and other text as they are', function () {
+        $text = 'HTTP 401 for access_token=********Z9x2, password reset';
+
+        expect(Logger::redact($text))->toBe($text);
+    });
+
+});
+
+// ─── get_entries() and filter_entries() ───
+
+describe('Logger::get_entries()', function () {
+
+    beforeEach(function () {
+        $this->dir = sys_get_temp_dir() . '/kntnt-test-log-' . uniqid();
+        mkdir($this->dir . '/' . Logger::DIR_NAME, 0777, true);
+        Functions\when('wp_upload_dir')->justReturn(['basedir' => $this->dir]);
+    });
+
+    afterEach(function () {
+        array_map('unlink', glob($this->dir . '/' . Logger::DIR_NAME . '/*'));
+        rmdir($this->dir . '/' . Logger::DIR_NAME);
+        rmdir($this->dir);
+    });
+
+    it('parses the entries with continuation lines and redacts them', function () {
+        $logger = new Logger(Mockery::mock(Settings::class));
+        file_put_contents($logger->get_path(), implode("\n", [
+            '[2026-02-26 13:19:03+01:00][CORE][INFO] Queue run started',
+            '[2026-02-26 13:19:05+01:00][GADS][ERROR] HTTP 401: {"error": "invalid_grant",',
+            '"refresh_token": "1//0gAbCdEfGh"}',
+            '',
+        ]));
+
+        expect($logger->get_entries())->toBe([
+            ['time' => '2026-02-26 13:19:03+01:00', 'prefix' => 'CORE', 'level' => 'info', 'message' => 'Queue run started'],
+            ['time' => '2026-02-26 13:19:05+01:00', 'prefix' => 'GADS', 'level' => 'error', 'message' => "HTTP 401: {\"error\": \"invalid_grant\",\n\"refresh_token\": \"*********EfGh\"}"],
+        ]);
+    });
+
+    it('returns no entries without a log file', function () {
+        expect((new Logger(Mockery::mock(Settings::class)))->get_entries())->toBe([]);
+    });
+
+    it('filters by level, prefix and text', function () {
+        $entries = [
+            ['time' => '1', 'prefix' => 'CORE', 'level' => 'info', 'message' => 'Queue run started'],
+            ['time' => '2', 'prefix' => 'GADS', 'level' => 'error', 'message' => 'HTTP 401'],
+            ['time' => '3', 'prefix' => 'GADS', 'level' => 'info', 'message' => 'Queue job done'],
+        ];
+
+        expect(array_column(Logger::filter_entries($entries, ['level' => 'info']), 'time'))->toBe(['1', '3']);
+        expect(array_column(Logger::filter_entries($entries, ['prefix' => 'GADS', 'search' => 'queue']), 'time'))->toBe(['3']);
+        expect(Logger::filter_entries($entries, []))->toBe($entries);
+    });
+
+});
@@ -9,6 +9,7 @@
 declare(strict_types=1);
 
 use Kntnt\Ad_Attribution\Plugin;
+use Kntnt\Ad_Attribution\Settings;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Filters;
 
@@ -221,13 +222,65 @@ describe('Plugin::enqueue_public_scripts()', function () {
             return $handle === 'kntnt-ad-attribution'
                 && $name === 'kntntAdAttribution'
                 && isset($data['restUrl'])
-                && isset($data['nonce']);
+                && $data['convertUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/convert'
+                && isset($data['nonce'])
+                && isset($data['nonceUrl'])
+                && $data['retryBudget'] === 900
+                && $data['consentAdapter'] === 'auto'
+                && $data['storage'] === 'local'
+                && $data['storageTtl'] === 7
+                && $data['embedConversions'] === []
+                && $data['clickIdParameters'] === [];
         });
 
-        Functions\expect('rest_url')->once()->andReturn('https://example.com/wp-json/kntnt-ad-attribution/v1/set-cookie');
+        Functions\expect('rest_url')->times(3)->andReturnUsing(fn ($path) => 'https://example.com/wp-json/' . $path);
         Functions\expect('wp_create_nonce')->once()->andReturn('test-nonce');
 
-        $instance = (new \ReflectionClass(Plugin::class))->newInstanceWithoutConstructor();
+        $settings = Mockery::mock(Settings::class);
+        $settings->shouldReceive('get')->with('cache_safe')->andReturn('');
+        $settings->shouldReceive('get')->with('consent_adapter')->andReturn('auto');
+        $settings->shouldReceive('get')->with('consent_service_id')->andReturn('kntnt-ad-attribution');
+        $settings->shouldReceive('get')->with('pending_storage')->andReturn('local');
+        $settings->shouldReceive('get')->with('pending_ttl')->andReturn(7);
+
+        $class    = new \ReflectionClass(Plugin::class);
+        $instance = $class->newInstanceWithoutConstructor();
+        $class->getProperty('settings')->setValue($instance, $settings);
+        $instance->enqueue_public_scripts();
+
+        expect(true)->toBeTrue();
+    });
+
+    it('passes a token URL instead of a nonce in cache-safe mode', function () {
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Plugin::get_plugin_url',
+            fn () => 'https://example.com/wp-content/plugins/kntnt-ad-attribution/',
+        );
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Plugin::get_version',
+            fn () => '1.5.0',
+        );
+
+        Functions\when('wp_enqueue_script')->justReturn(true);
+        Functions\when('rest_url')->alias(fn ($path) => 'https://example.com/wp-json/' . $path);
+        Functions\expect('wp_create_nonce')->never();
+
+        Functions\expect('wp_localize_script')->once()->withArgs(function ($handle, $name, $data) {
+            return $data['cacheSafe'] === true
+                && $data['tokenUrl'] === 'https://example.com/wp-json/kntnt-ad-attribution/v1/token'
+                && ! isset($data['nonce']);
+        });
+
+        $settings = Mockery::mock(Settings::class);
+        $settings->shouldReceive('get')->with('cache_safe')->andReturn('1');
+        $settings->shouldReceive('get')->with('consent_adapter')->andReturn('auto');
+        $settings->shouldReceive('get')->with('consent_service_id')->andReturn('kntnt-ad-attribution');
+        $settings->shouldReceive('get')->with('pending_storage')->andReturn('local');
+        $settings->shouldReceive('get')->with('pending_ttl')->andReturn(7);
+
+        $class    = new \ReflectionClass(Plugin::class);
+        $instance = $class->newInstanceWithoutConstructor();
+        $class->getProperty('settings')->setValue($instance, $settings);
         $instance->enqueue_public_scripts();
 
         expect(true)->toBeTrue();
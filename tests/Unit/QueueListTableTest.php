@@ -0,0 +1,89 @@
+<?php
+/**
+ * Unit tests for Queue_List_Table.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Queue;
+use Kntnt\Ad_Attribution\Queue_List_Table;
+use Brain\Monkey\Functions;
+
+/**
+ * Invokes a protected method of a queue table.
+ *
+ * @param Queue_List_Table $table  The table.
+ * @param string           $method Method name.
+ * @param mixed            ...$args Arguments.
+ */
+function invoke_queue_table(Queue_List_Table $table, string $method, mixed ...$args): mixed {
+    $ref = new \ReflectionMethod($table, $method);
+    $ref->setAccessible(true);
+    return $ref->invoke($table, ...$args);
+}
+
+// ─── get_filter_params() ───
+
+describe('Queue_List_Table::get_filter_params()', function () {
+
+    afterEach(function () {
+        unset($_GET['queue_reporter'], $_GET['queue_status'], $_GET['queue_date_start'], $_GET['queue_date_end']);
+    });
+
+    it('reads the prefixed query arguments', function () {
+        $_GET['queue_reporter']   = 'ga4';
+        $_GET['queue_status']     = 'failed';
+        $_GET['queue_date_start'] = '2026-02-01';
+        $_GET['queue_date_end']   = '2026-02-28';
+
+        $table = new Queue_List_Table(Mockery::mock(Queue::class));
+
+        expect($table->get_filter_params())->toBe([
+            'reporter'   => 'ga4',
+            'status'     => 'failed',
+            'date_start' => '2026-02-01',
+            'date_end'   => '2026-02-28',
+        ]);
+    });
+
+    it('drops unknown statuses and malformed dates', function () {
+        $_GET['queue_status']     = 'deleted';
+        $_GET['queue_date_start'] = '1 Feb 2026';
+
+        $params = (new Queue_List_Table(Mockery::mock(Queue::class)))->get_filter_params();
+
+        expect($params['status'])->toBe('');
+        expect($params['date_start'])->toBe('');
+    });
+
+});
+
+// ─── Columns ───
+
+describe('Queue_List_Table columns', function () {
+
+    it('renders the status with its label and a class per status', function () {
+        $table = new Queue_List_Table(Mockery::mock(Queue::class));
+
+        $html = invoke_queue_table($table, 'column_status', (object) ['status' => 'failed']);
+
+        expect($html)->toBe('<span class="kntnt-ad-attr-queue-status-failed">Failed</span>');
+    });
+
+    it('adds a Details action for the side panel', function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('admin_url')->returnArg(1);
+        Functions\when('wp_nonce_url')->returnArg(1);
+
+        $table = new Queue_List_Table(Mockery::mock(Queue::class));
+
+        $html = invoke_queue_table($table, 'column_reporter', (object) ['id' => 7, 'reporter' => 'ga4']);
+
+        expect($html)->toContain('class="button-link kntnt-ad-attr-queue-details hide-if-no-js" data-job-id="7"');
+        expect($html)->toContain('queue_action=run_now&job_id=7');
+    });
+
+});
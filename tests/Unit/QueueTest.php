@@ -427,3 +427,159 @@ describe('Queue::get_status()', function () {
     });
 
 });
+
+// ─── get_jobs() ───
+
+describe('Queue::get_jobs()', function () {
+
+    it('lists pending, processing and failed jobs without filters', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(function (string $sql, int $limit) {
+                expect($sql)->toContain("WHERE status IN ('pending', 'processing', 'failed')");
+                expect($sql)->toContain('ORDER BY created_at DESC, id DESC');
+                expect($limit)->toBe(Queue::MAX_JOBS);
+                return true;
+            })
+            ->andReturn('SQL');
+
+        $wpdb->shouldReceive('get_results')->once()->with('SQL')->andReturn([]);
+
+        expect((new Queue($settings))->get_jobs())->toBe([]);
+    });
+
+    it('filters by status, reporter and creation date', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        $wpdb->shouldReceive('prepare')->with('status = %s', 'done')->once()->andReturn("status = 'done'");
+        $wpdb->shouldReceive('prepare')->with('reporter = %s', 'ga4')->once()->andReturn("reporter = 'ga4'");
+        $wpdb->shouldReceive('prepare')->with('created_at >= %s', '2026-02-01 00:00:00')->once()->andReturn('START');
+        $wpdb->shouldReceive('prepare')->with('created_at <= %s', '2026-02-28 23:59:59')->once()->andReturn('END');
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(function (string $sql) {
+                expect($sql)->toContain("WHERE status = 'done' AND reporter = 'ga4' AND START AND END");
+                return true;
+            })
+            ->andReturn('SQL');
+
+        $wpdb->shouldReceive('get_results')->once()->with('SQL')->andReturn([]);
+
+        (new Queue($settings))->get_jobs([
+            'status'     => 'done',
+            'reporter'   => 'ga4',
+            'date_start' => '2026-02-01',
+            'date_end'   => '2026-02-28',
+        ]);
+    });
+
+});
+
+// ─── get_job() ───
+
+describe('Queue::get_job()', function () {
+
+    it('returns the job with its payload decoded', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        $wpdb->shouldReceive('prepare')->once()->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->once()->with('SQL')->andReturn((object) [
+            'id'       => '7',
+            'payload'  => '{"gclid":"abc"}',
+            'attempts' => '2',
+        ]);
+
+        $job = (new Queue($settings))->get_job(7);
+
+        expect($job->id)->toBe(7);
+        expect($job->payload)->toBe(['gclid' => 'abc']);
+        expect($job->attempts)->toBe(2);
+    });
+
+    it('returns null for a missing job', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        $wpdb->shouldReceive('prepare')->once()->andReturn('SQL');
+        $wpdb->shouldReceive('get_row')->once()->andReturn(null);
+
+        expect((new Queue($settings))->get_job(7))->toBeNull();
+    });
+
+});
+
+// ─── cancel() and requeue() ───
+
+describe('Queue::cancel()', function () {
+
+    it('fails a pending job with a note of who cancelled it', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        Functions\when('get_current_user_id')->justReturn(3);
+
+        $wpdb->shouldReceive('update')
+            ->once()
+            ->withArgs(function (string $table, array $data, array $where) {
+                expect($data['status'])->toBe('failed');
+                expect($data['error_message'])->toBe('Cancelled by user 3.');
+                expect($where)->toBe(['id' => 7, 'status' => 'pending']);
+                return true;
+            })
+            ->andReturn(1);
+
+        expect((new Queue($settings))->cancel(7))->toBeTrue();
+    });
+
+    it('returns false when the job is not pending', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        Functions\when('get_current_user_id')->justReturn(3);
+        $wpdb->shouldReceive('update')->once()->andReturn(0);
+
+        expect((new Queue($settings))->cancel(7))->toBeFalse();
+    });
+
+});
+
+describe('Queue::requeue()', function () {
+
+    it('returns a failed job to pending with its attempts reset', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $settings = Mockery::mock(Settings::class)->shouldIgnoreMissing();
+
+        $wpdb->shouldReceive('update')
+            ->once()
+            ->withArgs(function (string $table, array $data, array $where) {
+                expect($data['status'])->toBe('pending');
+                expect($data['attempts'])->toBe(0);
+                expect($data['error_message'])->toBeNull();
+                expect($where)->toBe(['id' => 7, 'status' => 'failed']);
+                return true;
+            })
+            ->andReturn(1);
+
+        expect((new Queue($settings))->requeue(7))->toBeTrue();
+    });
+
+});
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Unit tests for Report.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Report;
+use Brain\Monkey\Functions;
+use Tests\Helpers\TestFactory;
+
+/**
+ * Returns report filters with the given overrides.
+ *
+ * @param array<string, string> $overrides Filter values to replace.
+ *
+ * @return array<string, string>
+ */
+function make_report_params(array $overrides = []): array {
+    return array_merge([
+        'date_start'   => '2026-02-09',
+        'date_end'     => '2026-02-22',
+        'utm_source'   => '',
+        'utm_medium'   => '',
+        'utm_campaign' => '',
+        'search'       => '',
+    ], $overrides);
+}
+
+// ─── get_rows() ───
+
+describe('Report::get_rows()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('groups by the requested dimensions with filters and pagination', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+        Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+
+        $hash = TestFactory::hash('report');
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(fn (string $sql, ...$args) => str_contains($sql, 'SELECT COUNT(*) FROM')
+                && str_contains($sql, 'GROUP BY tracking_url, utm_content')
+                && $args === ['kntnt_ad_attr_url', '2026-02-09 00:00:00', '2026-02-22 23:59:59', 'google'])
+            ->andReturn('COUNT SQL');
+        $wpdb->shouldReceive('get_var')->once()->with('COUNT SQL')->andReturn('41');
+
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(fn (string $sql, ...$args) => str_contains($sql, "COALESCE(c.utm_content, '') AS utm_content")
+                && str_contains($sql, 'AND pm_src.meta_value = %s')
+                && str_contains($sql, 'ORDER BY tracking_url, utm_content')
+                && $args === ['kntnt_ad_attr_url', '2026-02-09 00:00:00', '2026-02-22 23:59:59', 'google', 20, 20])
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->with('SQL')->andReturn([
+            (object) ['tracking_url' => $hash, 'utm_content' => 'banner', 'clicks' => '5', 'conversions' => '1.5000', 'attributed_value' => '300.0000', 'value_currencies' => '1', 'value_currency' => 'SEK'],
+            (object) ['tracking_url' => $hash, 'utm_content' => '', 'clicks' => '2', 'conversions' => '0.0000', 'attributed_value' => null, 'value_currencies' => '0', 'value_currency' => null],
+        ]);
+
+        $result = (new Report())->get_rows(make_report_params(['utm_source' => 'google']), ['tracking_url', 'utm_content'], 2, 20);
+
+        expect($result['total'])->toBe(41);
+        expect($result['rows'][0])->toBe([
+            'hash'             => $hash,
+            'tracking_url'     => "https://example.com/ad/{$hash}",
+            'utm_content'      => 'banner',
+            'clicks'           => 5,
+            'conversions'      => 1.5,
+            'attributed_value' => 300.0,
+            'currency'         => 'SEK',
+        ]);
+        expect($result['rows'][1]['attributed_value'])->toBeNull();
+        expect($result['rows'][1]['currency'])->toBeNull();
+    });
+
+    it('returns a single totals row without grouping', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldNotReceive('get_var');
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(fn (string $sql) => ! str_contains($sql, 'GROUP BY'))
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['clicks' => '9', 'conversions' => '2.0000', 'attributed_value' => '150.0000', 'value_currencies' => '2', 'value_currency' => 'EUR'],
+        ]);
+
+        $result = (new Report())->get_rows(make_report_params(), [], 1, 100);
+
+        expect($result['total'])->toBe(1);
+        expect($result['rows'][0]['clicks'])->toBe(9);
+        expect($result['rows'][0]['currency'])->toBe('mixed');
+    });
+
+    it('starts weeks on the configured weekday', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        Functions\when('get_option')->justReturn(1);
+
+        $wpdb->shouldReceive('prepare')
+            ->twice()
+            ->withArgs(fn (string $sql) => str_contains($sql, 'MOD(DAYOFWEEK(c.clicked_at) + 6 - 1, 7)'))
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->once()->andReturn('1');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['week' => '2026-02-09', 'clicks' => '3', 'conversions' => '0', 'attributed_value' => null, 'value_currencies' => '0', 'value_currency' => null],
+        ]);
+
+        $result = (new Report())->get_rows(make_report_params(), ['week'], 1, 100);
+
+        expect($result['rows'][0]['week'])->toBe('2026-02-09');
+    });
+
+    it('limits the rows to one tracking URL', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $hash = TestFactory::hash('breakdown');
+
+        $wpdb->shouldReceive('prepare')
+            ->twice()
+            ->withArgs(fn (string $sql, ...$args) => str_contains($sql, 'AND c.hash = %s') && $args[3] === $hash)
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->once()->andReturn('0');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+
+        (new Report())->get_rows(make_report_params(['hash' => $hash]), ['utm_term'], 1, 1000);
+
+        expect(true)->toBeTrue();
+    });
+
+    it('searches tracking URLs like the campaign list', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('esc_like')->once()->with('spring')->andReturn('spring');
+        $wpdb->shouldReceive('prepare')
+            ->twice()
+            ->withArgs(fn (string $sql, ...$args) => str_contains($sql, 'p.post_title LIKE %s OR pm_hash.meta_value LIKE %s')
+                && $args[3] === '%spring%'
+                && $args[4] === '%spring%')
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->once()->andReturn('0');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+
+        $result = (new Report())->get_rows(make_report_params(['search' => 'spring']), ['utm_campaign'], 1, 100);
+
+        expect($result)->toBe(['total' => 0, 'rows' => []]);
+    });
+
+});
+
+// ─── get_columns() ───
+
+describe('Report::get_columns()', function () {
+
+    it('lists the hash with the tracking URL and drops invalid dimensions', function () {
+        $columns = (new Report())->get_columns(['tracking_url', 'month', 'post_title', 'day', 'month']);
+
+        expect($columns)->toBe(['hash', 'tracking_url', 'month', 'clicks', 'conversions', 'attributed_value', 'currency']);
+    });
+
+});
+
+// ─── to_csv() ───
+
+describe('Report::to_csv()', function () {
+
+    it('writes a header row of column names and one line per row', function () {
+        $csv = (new Report())->to_csv([
+            ['utm_source' => 'google', 'clicks' => 5, 'conversions' => 1.5, 'attributed_value' => null, 'currency' => null],
+            ['utm_source' => 'meta, inc', 'clicks' => 2, 'conversions' => 0.0, 'attributed_value' => 99.5, 'currency' => 'SEK'],
+        ], ['utm_source']);
+
+        expect($csv)->toBe(
+            "utm_source,clicks,conversions,attributed_value,currency\n"
+            . "google,5,1.5,,\n"
+            . "\"meta, inc\",2,0,99.5,SEK\n",
+        );
+    });
+
+});
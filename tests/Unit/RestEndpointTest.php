@@ -9,21 +9,45 @@
 declare(strict_types=1);
 
 use Kntnt\Ad_Attribution\Rest_Endpoint;
+use Kntnt\Ad_Attribution\Click_ID_Store;
 use Kntnt\Ad_Attribution\Cookie_Manager;
 use Kntnt\Ad_Attribution\Consent;
+use Kntnt\Ad_Attribution\Conversion_Handler;
+use Kntnt\Ad_Attribution\Dashboard;
+use Kntnt\Ad_Attribution\Logger;
+use Kntnt\Ad_Attribution\Queue;
+use Kntnt\Ad_Attribution\Queue_Processor;
+use Kntnt\Ad_Attribution\Report;
+use Kntnt\Ad_Attribution\Settings;
+use Kntnt\Ad_Attribution\Tracking_Url_Creator;
+use Kntnt\Ad_Attribution\Webhook_Reporter;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
+use Brain\Monkey\Filters;
 use Tests\Helpers\TestFactory;
 
 /**
  * Creates a Rest_Endpoint with fresh mocked dependencies.
  *
- * @return array{0: Rest_Endpoint, 1: Mockery\MockInterface, 2: Mockery\MockInterface}
+ * @param bool $cache_safe Value of the cache_safe setting.
+ *
+ * @return array{0: Rest_Endpoint, 1: Mockery\MockInterface, 2: Mockery\MockInterface, 3: Mockery\MockInterface, 4: Mockery\MockInterface, 5: Mockery\MockInterface, 6: Mockery\MockInterface}
  */
-function make_rest_endpoint(): array {
-    $cm  = Mockery::mock(Cookie_Manager::class);
-    $con = Mockery::mock(Consent::class);
-    return [new Rest_Endpoint($cm, $con), $cm, $con];
+function make_rest_endpoint(bool $cache_safe = false): array {
+    $cm       = Mockery::mock(Cookie_Manager::class);
+    $con      = Mockery::mock(Consent::class);
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('cache_safe')->andReturn($cache_safe ? '1' : '');
+    $ch       = Mockery::mock(Conversion_Handler::class);
+    $db       = Mockery::mock(Dashboard::class);
+    $report   = Mockery::mock(Report::class);
+    $creator  = Mockery::mock(Tracking_Url_Creator::class);
+    $queue    = Mockery::mock(Queue::class);
+    $qp       = Mockery::mock(Queue_Processor::class);
+    $logger   = Mockery::mock(Logger::class);
+    $webhooks = Mockery::mock(Webhook_Reporter::class);
+    $ids      = Mockery::mock(Click_ID_Store::class);
+    return [new Rest_Endpoint($cm, $con, $settings, $ch, $db, $report, $creator, $queue, $qp, $logger, $webhooks, $ids), $cm, $con, $ch, $db, $report, $creator, $queue, $qp, $logger, $webhooks, $ids];
 }
 
 // ─── register() ───
@@ -40,16 +64,26 @@ describe('Rest_Endpoint::register()', function () {
         expect(true)->toBeTrue();
     });
 
+    it('hooks the CSV output of the report route', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Filters\expectAdded('rest_pre_serve_request')->once();
+
+        $endpoint->register();
+
+        expect(true)->toBeTrue();
+    });
+
 });
 
 // ─── register_routes() ───
 
 describe('Rest_Endpoint::register_routes()', function () {
 
-    it('registers search-posts and set-cookie routes', function () {
+    it('registers search-posts, set-cookie, convert, nonce, token, dashboard, report, campaigns, bulk-create, queue, log, and webhooks routes', function () {
         [$endpoint] = make_rest_endpoint();
 
-        Functions\expect('register_rest_route')->twice();
+        Functions\expect('register_rest_route')->times(15);
 
         $endpoint->register_routes();
 
@@ -111,6 +145,21 @@ describe('Rest_Endpoint::set_cookie()', function () {
         expect($response->get_data()['success'])->toBeFalse();
     });
 
+    it('sends Retry-After with the 429 response', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(10);
+
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('hashes', [TestFactory::hash('retry-after')]);
+
+        $response = $endpoint->set_cookie($request);
+
+        expect($response->get_headers()['Retry-After'])->toBe((string) MINUTE_IN_SECONDS);
+    });
+
     it('increments rate limit counter', function () {
         [$endpoint, $cm, $con] = make_rest_endpoint();
         $hash = TestFactory::hash('counter');
@@ -360,128 +409,1282 @@ describe('Rest_Endpoint::set_cookie()', function () {
         expect($response->get_data()['success'])->toBeTrue();
     });
 
-});
+    it('picks the latest click no later than the reported click age', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('age');
 
-// ─── search_posts() ───
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
 
-describe('Rest_Endpoint::search_posts()', function () {
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
 
-    afterEach(function () {
-        unset($GLOBALS['wpdb']);
-    });
+        $cm->shouldReceive('validate_hash')->andReturn(true);
 
-    it('finds post by exact ID', function () {
-        [$endpoint] = make_rest_endpoint();
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
 
-        Functions\expect('get_post_types')
-            ->once()
-            ->andReturn(['post' => 'post', 'page' => 'page']);
+        $con->shouldReceive('check')->once()->andReturn(true);
 
-        $post = TestFactory::post(['ID' => 42, 'post_title' => 'Test', 'post_type' => 'post']);
-        Functions\expect('get_post')->once()->with(42)->andReturn($post);
+        // Another visitor clicked the same ad after this visitor did.
+        $now    = time();
+        $mine   = $now - DAY_IN_SECONDS;
+        $theirs = $now - HOUR_IN_SECONDS;
 
-        // The method falls through to slug LIKE search even after ID match.
         $wpdb = TestFactory::wpdb();
         $GLOBALS['wpdb'] = $wpdb;
-        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
-        $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_results')->andReturn([]);
+        $wpdb->shouldReceive('prepare')->once()->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['hash' => $hash, 'ts' => (string) $theirs],
+            (object) ['hash' => $hash, 'ts' => (string) $mine],
+        ]);
 
-        $request = new WP_REST_Request('GET', '/search-posts');
-        $request->set_param('search', '42');
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, $mine)->andReturn([$hash => $mine]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
 
-        $response = $endpoint->search_posts($request);
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [['hash' => $hash, 'age' => DAY_IN_SECONDS - 5]]);
 
-        expect($response->get_data())->toHaveCount(1);
-        expect($response->get_data()[0]['id'])->toBe(42);
-        expect($response->get_data()[0]['title'])->toBe('Test');
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeTrue();
     });
 
-    it('resolves URL to post', function () {
-        [$endpoint] = make_rest_endpoint();
+    it('falls back to the latest click when none is old enough', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('fallback');
 
-        Functions\expect('get_post_types')->once()->andReturn(['post' => 'post', 'page' => 'page']);
-        Functions\expect('home_url')->andReturnUsing(fn ($path) => 'https://example.com/' . ltrim($path, '/'));
-        Functions\expect('url_to_postid')->once()->andReturn(10);
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
 
-        $post = TestFactory::post(['ID' => 10, 'post_title' => 'About Us', 'post_type' => 'page']);
-        Functions\expect('get_post')->once()->with(10)->andReturn($post);
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $con->shouldReceive('check')->once()->andReturn(true);
+
+        $latest = time() - HOUR_IN_SECONDS;
 
         $wpdb = TestFactory::wpdb();
         $GLOBALS['wpdb'] = $wpdb;
-        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
-        $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_results')->andReturn([]);
+        $wpdb->shouldReceive('prepare')->once()->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['hash' => $hash, 'ts' => (string) $latest],
+        ]);
 
-        $request = new WP_REST_Request('GET', '/search-posts');
-        $request->set_param('search', 'about-us/contact');
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, $latest)->andReturn([$hash => $latest]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
 
-        $response = $endpoint->search_posts($request);
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [['hash' => $hash, 'age' => DAY_IN_SECONDS]]);
 
-        $ids = array_column($response->get_data(), 'id');
-        expect($ids)->toContain(10);
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeTrue();
     });
 
-    it('finds posts by slug LIKE search', function () {
-        [$endpoint] = make_rest_endpoint();
+    it('uses a signed click time without querying the clicks table', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('signed');
 
-        Functions\expect('get_post_types')->once()->andReturn(['post' => 'post', 'page' => 'page']);
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+        $cm->shouldReceive('verify_click')->once()->with($hash, 1700000000, 'good-sig')->andReturn(true);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $con->shouldReceive('check')->once()->andReturn(true);
 
         $wpdb = TestFactory::wpdb();
         $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldNotReceive('get_results');
 
-        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
-        $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_results')
-            ->once()
-            ->andReturn([
-                (object) ['ID' => 5, 'post_title' => 'My Page', 'post_type' => 'page'],
-            ]);
-
-        $request = new WP_REST_Request('GET', '/search-posts');
-        $request->set_param('search', 'my-page');
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, 1700000000)->andReturn([$hash => 1700000000]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
 
-        $response = $endpoint->search_posts($request);
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [['hash' => $hash, 'age' => 30, 'clicked_at' => 1700000000, 'sig' => 'good-sig']]);
 
-        $ids = array_column($response->get_data(), 'id');
-        expect($ids)->toContain(5);
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeTrue();
     });
 
-    it('excludes own CPT from results', function () {
-        [$endpoint] = make_rest_endpoint();
+    it('resolves a click with an invalid signature from its age', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('forged');
 
-        // Include the plugin CPT in post_types list — it should be excluded.
-        Functions\expect('get_post_types')
-            ->once()
-            ->andReturn([
-                'post' => 'post',
-                'page' => 'page',
-                'kntnt_ad_attr_url' => 'kntnt_ad_attr_url',
-            ]);
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
 
-        $post = TestFactory::post([
-            'ID'        => 99,
-            'post_type' => 'kntnt_ad_attr_url',
-        ]);
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
 
-        // Numeric search finds the post, but its type is excluded.
-        Functions\expect('get_post')->once()->with(99)->andReturn($post);
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+        $cm->shouldReceive('verify_click')->once()->andReturn(false);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $con->shouldReceive('check')->once()->andReturn(true);
+
+        $latest = time() - 30;
 
-        // Falls through to slug and title search.
         $wpdb = TestFactory::wpdb();
         $GLOBALS['wpdb'] = $wpdb;
-        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
-        $wpdb->shouldReceive('prepare')->andReturn('SQL');
-        $wpdb->shouldReceive('get_results')->andReturn([]);
+        $wpdb->shouldReceive('prepare')->once()->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([
+            (object) ['hash' => $hash, 'ts' => (string) $latest],
+        ]);
 
-        $request = new WP_REST_Request('GET', '/search-posts');
-        $request->set_param('search', '99');
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, $latest)->andReturn([$hash => $latest]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
 
-        $response = $endpoint->search_posts($request);
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [['hash' => $hash, 'age' => 30, 'clicked_at' => 1, 'sig' => 'forged']]);
 
-        // Post 99 should not be in results (wrong post type).
-        $ids = array_column($response->get_data(), 'id');
-        expect($ids)->not->toContain(99);
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeTrue();
+    });
+
+    it('stores valid click IDs of registered capturers picked up by the script', function () {
+        [$endpoint, $cm, $con, , , , , , , , , $ids] = make_rest_endpoint();
+        $hash = TestFactory::hash('click-ids');
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+        Functions\when('sanitize_text_field')->alias(fn ($value) => trim(strip_tags($value)));
+        Filters\expectApplied('kntnt_ad_attr_click_id_capturers')->once()->andReturn(['google_ads' => 'gclid', 'meta' => 'fbclid']);
+
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+        $cm->shouldReceive('verify_click')->andReturn(true);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $con->shouldReceive('check')->once()->andReturn(true);
+
+        $GLOBALS['wpdb'] = TestFactory::wpdb();
+
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->andReturn([$hash => 1700000000]);
+        $cm->shouldReceive('set_clicks_cookie')->once();
+
+        // Only the registered platform with a valid value is stored.
+        $ids->shouldReceive('store')->once()->with($hash, 'google_ads', 'Cj0KCQ');
+
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [[
+            'hash'       => $hash,
+            'clicked_at' => 1700000000,
+            'sig'        => 'good-sig',
+            'click_ids'  => ['google_ads' => ' Cj0KCQ ', 'meta' => str_repeat('x', 256), 'unknown' => 'abc'],
+        ]]);
+
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeTrue();
+    });
+
+    it('stores no click IDs without consent', function () {
+        [$endpoint, $cm, $con, , , , , , , , , $ids] = make_rest_endpoint();
+        $hash = TestFactory::hash('click-ids-denied');
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+
+        $cm->shouldReceive('validate_hash')->andReturn(true);
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => $hashes,
+        );
+
+        $con->shouldReceive('check')->once()->andReturn(false);
+        $ids->shouldNotReceive('store');
+
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('clicks', [['hash' => $hash, 'age' => 5, 'click_ids' => ['google_ads' => 'Cj0KCQ']]]);
+
+        expect($endpoint->set_cookie($request)->get_data()['success'])->toBeFalse();
+    });
+
+});
+
+// ─── convert() ───
+
+describe('Rest_Endpoint::convert()', function () {
+
+    afterEach(function () {
+        unset($_SERVER['REMOTE_ADDR']);
     });
 
+    it('runs the conversion pipeline with the submitted details', function () {
+        [$endpoint, , , $ch] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->with('kntnt_ad_attr_crl_' . md5('10.0.0.1'))->andReturn(0);
+        Functions\expect('set_transient')->once();
+
+        $ch->shouldReceive('handle_conversion')->once()->with([
+            'label'     => 'demo-booked',
+            'value'     => 1200,
+            'currency'  => 'SEK',
+            'dedup_key' => 'booking-42',
+            'page_url'  => 'https://example.com/book/',
+        ])->andReturn(true);
+
+        $request = new WP_REST_Request('POST', '/convert');
+        $request->set_param('label', 'demo-booked');
+        $request->set_param('value', 1200);
+        $request->set_param('currency', 'SEK');
+        $request->set_param('dedup_key', 'booking-42');
+        $request->set_header('referer', 'https://example.com/book/');
+
+        expect($endpoint->convert($request)->get_data())->toBe(['success' => true]);
+    });
+
+    it('reports an unattributed conversion as unsuccessful', function () {
+        [$endpoint, , , $ch] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+
+        $ch->shouldReceive('handle_conversion')->once()->andReturn(false);
+
+        $response = $endpoint->convert(new WP_REST_Request('POST', '/convert'));
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe(['success' => false]);
+    });
+
+    it('returns 429 with Retry-After when rate limited', function () {
+        [$endpoint, , , $ch] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(10);
+        $ch->shouldNotReceive('handle_conversion');
+
+        $response = $endpoint->convert(new WP_REST_Request('POST', '/convert'));
+
+        expect($response->get_status())->toBe(429);
+        expect($response->get_headers())->toHaveKey('Retry-After');
+    });
+
+    it('requires a valid token in cache-safe mode', function () {
+        [$endpoint, , , $ch] = make_rest_endpoint(true);
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(0);
+        Functions\expect('set_transient')->once();
+        $ch->shouldNotReceive('handle_conversion');
+
+        expect($endpoint->convert(new WP_REST_Request('POST', '/convert'))->get_status())->toBe(403);
+    });
+
+});
+
+/**
+ * Builds a confirm-click request for a click signed with the given signature.
+ */
+function confirm_request(string $hash, int $timestamp, string $signature): WP_REST_Request {
+    $request = new WP_REST_Request('POST', '/confirm-click');
+    $request->set_param('click', $hash . '.' . $timestamp . '.' . $signature);
+    return $request;
+}
+
+// ─── confirm_click() ───
+
+describe('Rest_Endpoint::confirm_click()', function () {
+
+    afterEach(function () {
+        unset($_SERVER['REMOTE_ADDR']);
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('confirms the click and reports pending consent', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('confirm');
+        $sig  = str_repeat('a', 64);
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->with('kntnt_ad_attr_irl_' . md5('10.0.0.1'))->andReturn(0);
+        Functions\expect('set_transient')->once();
+        Functions\when('time')->justReturn(1700000060);
+        Functions\expect('gmdate')->once()->with('Y-m-d H:i:s', 1700000000)->andReturn('2023-11-14 22:13:20');
+
+        $cm->shouldReceive('verify_click')->once()->with($hash, 1700000000, $sig)->andReturn(true);
+        $con->shouldReceive('check')->once()->andReturn(null);
+        $cm->shouldNotReceive('set_clicks_cookie');
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')
+            ->once()
+            ->withArgs(function ($sql, $h, $clicked_at) use ($hash) {
+                expect($sql)->toContain('SET js_confirmed = 1');
+                expect($sql)->toContain('js_confirmed = 0');
+                expect($h)->toBe($hash);
+                expect($clicked_at)->toBe('2023-11-14 22:13:20');
+                return true;
+            })
+            ->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->with('SQL')->andReturn(1);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $response = $endpoint->confirm_click(confirm_request($hash, 1700000000, $sig));
+
+        expect($response->get_data())->toBe(['success' => true, 'consent' => 'unknown']);
+    });
+
+    it('adds the click to the cookie when consent has been granted', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('confirm-consent');
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        Functions\when('time')->justReturn(1700000060);
+        Functions\when('gmdate')->justReturn('2023-11-14 22:13:20');
+
+        $cm->shouldReceive('verify_click')->andReturn(true);
+        $con->shouldReceive('check')->once()->andReturn(true);
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, 1700000000)->andReturn([$hash => 1700000000]);
+        $cm->shouldReceive('set_clicks_cookie')->once()->with([$hash => 1700000000]);
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->andReturn(0);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $response = $endpoint->confirm_click(confirm_request($hash, 1700000000, str_repeat('b', 64)));
+
+        expect($response->get_data())->toBe(['success' => false, 'consent' => 'yes']);
+    });
+
+    it('uses the consent read on the page when the server cannot tell', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $hash = TestFactory::hash('confirm-page-consent');
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        Functions\when('time')->justReturn(1700000060);
+        Functions\when('gmdate')->justReturn('2023-11-14 22:13:20');
+
+        $cm->shouldReceive('verify_click')->andReturn(true);
+        $con->shouldReceive('check')->once()->andReturn(null);
+        $cm->shouldReceive('parse')->once()->andReturn([]);
+        $cm->shouldReceive('add')->once()->with([], $hash, 1700000000)->andReturn([$hash => 1700000000]);
+        $cm->shouldReceive('set_clicks_cookie')->once()->with([$hash => 1700000000]);
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->andReturn(1);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $request = confirm_request($hash, 1700000000, str_repeat('b', 64));
+        $request->set_param('consent', 'yes');
+
+        expect($endpoint->confirm_click($request)->get_data())->toBe(['success' => true, 'consent' => 'yes']);
+    });
+
+    it('lets the server decision take precedence over the page', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        Functions\when('time')->justReturn(1700000060);
+        Functions\when('gmdate')->justReturn('2023-11-14 22:13:20');
+
+        $cm->shouldReceive('verify_click')->andReturn(true);
+        $con->shouldReceive('check')->once()->andReturn(false);
+        $cm->shouldNotReceive('set_clicks_cookie');
+
+        $wpdb = TestFactory::wpdb();
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('query')->once()->andReturn(1);
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $request = confirm_request(TestFactory::hash('confirm-denied'), 1700000000, str_repeat('b', 64));
+        $request->set_param('consent', 'yes');
+
+        expect($endpoint->confirm_click($request)->get_data())->toBe(['success' => true, 'consent' => 'no']);
+    });
+
+    it('rejects clicks with an invalid signature', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        Functions\when('time')->justReturn(1700000060);
+
+        $cm->shouldReceive('verify_click')->once()->andReturn(false);
+        $con->shouldNotReceive('check');
+
+        $response = $endpoint->confirm_click(confirm_request(TestFactory::hash('forged'), 1700000000, str_repeat('c', 64)));
+
+        expect($response->get_status())->toBe(403);
+    });
+
+    it('rejects clicks older than the confirmation window', function () {
+        [$endpoint, $cm, $con] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        Functions\when('time')->justReturn(1700000000 + 11 * MINUTE_IN_SECONDS);
+
+        $cm->shouldReceive('verify_click')->andReturn(true);
+        $con->shouldNotReceive('check');
+
+        $response = $endpoint->confirm_click(confirm_request(TestFactory::hash('stale'), 1700000000, str_repeat('d', 64)));
+
+        expect($response->get_status())->toBe(403);
+    });
+
+    it('rejects malformed clicks', function () {
+        [$endpoint, $cm] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+        $cm->shouldNotReceive('verify_click');
+
+        $request = new WP_REST_Request('POST', '/confirm-click');
+        $request->set_param('click', TestFactory::hash('no-signature'));
+
+        expect($endpoint->confirm_click($request)->get_status())->toBe(400);
+    });
+
+    it('returns 429 with Retry-After when rate limited', function () {
+        [$endpoint, $cm] = make_rest_endpoint();
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+
+        Functions\expect('get_transient')->once()->andReturn(10);
+        $cm->shouldNotReceive('verify_click');
+
+        $response = $endpoint->confirm_click(confirm_request(TestFactory::hash('busy'), 1700000000, str_repeat('e', 64)));
+
+        expect($response->get_status())->toBe(429);
+        expect($response->get_headers())->toHaveKey('Retry-After');
+    });
+
+});
+
+// ─── get_dashboard() ───
+
+describe('Rest_Endpoint::get_dashboard()', function () {
+
+    it('returns the series for the requested range, interval and grouping', function () {
+        [$endpoint, , , , $db] = make_rest_endpoint();
+
+        $series = ['interval' => 'week', 'group_by' => 'utm_campaign', 'periods' => ['2026-02-09'], 'series' => []];
+        $db->shouldReceive('get_series')
+            ->once()
+            ->with('2026-02-09', '2026-02-22', 'week', 'utm_campaign')
+            ->andReturn($series);
+
+        $request = new WP_REST_Request('GET', '/dashboard');
+        $request->set_param('date_start', '2026-02-09');
+        $request->set_param('date_end', '2026-02-22');
+        $request->set_param('interval', 'week');
+        $request->set_param('group_by', 'utm_campaign');
+
+        $response = $endpoint->get_dashboard($request);
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe($series);
+    });
+
+    it('rejects a reversed date range', function () {
+        [$endpoint, , , , $db] = make_rest_endpoint();
+        $db->shouldNotReceive('get_series');
+
+        $request = new WP_REST_Request('GET', '/dashboard');
+        $request->set_param('date_start', '2026-02-22');
+        $request->set_param('date_end', '2026-02-09');
+
+        expect($endpoint->get_dashboard($request)->get_status())->toBe(400);
+    });
+
+    it('rejects a range longer than two years', function () {
+        [$endpoint, , , , $db] = make_rest_endpoint();
+        $db->shouldNotReceive('get_series');
+
+        $request = new WP_REST_Request('GET', '/dashboard');
+        $request->set_param('date_start', '2024-01-01');
+        $request->set_param('date_end', '2026-01-01');
+
+        expect($endpoint->get_dashboard($request)->get_status())->toBe(400);
+    });
+
+});
+
+// ─── get_report() ───
+
+describe('Rest_Endpoint::get_report()', function () {
+
+    it('returns the rows of the requested page with totals in headers', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+
+        $rows = [['utm_source' => 'google', 'week' => '2026-02-09', 'clicks' => 3, 'conversions' => 1.0, 'attributed_value' => null, 'currency' => null]];
+        $report->shouldReceive('get_rows')
+            ->once()
+            ->with(
+                ['date_start' => '2026-02-09', 'date_end' => '2026-02-22', 'utm_source' => 'google', 'utm_medium' => '', 'utm_campaign' => '', 'click_id_platform' => '', 'search' => '', 'suspected' => false, 'hash' => ''],
+                ['utm_source', 'week'],
+                2,
+                50,
+            )
+            ->andReturn(['total' => 120, 'rows' => $rows]);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report');
+        $request->set_param('date_start', '2026-02-09');
+        $request->set_param('date_end', '2026-02-22');
+        $request->set_param('utm_source', 'google');
+        $request->set_param('group_by', ['utm_source', 'week']);
+        $request->set_param('page', 2);
+        $request->set_param('per_page', 50);
+
+        $response = $endpoint->get_report($request);
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe($rows);
+        expect($response->get_headers()['X-WP-Total'])->toBe('120');
+        expect($response->get_headers()['X-WP-TotalPages'])->toBe('3');
+    });
+
+    it('defaults to the campaign list date range grouped by tracking URL', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Campaign_List_Table::get_default_date_range',
+            fn () => ['start' => '2026-02-09', 'end' => '2026-02-22'],
+        );
+
+        $report->shouldReceive('get_rows')
+            ->once()
+            ->withArgs(fn (array $params, array $group_by, int $page, int $per_page) => $params['date_start'] === '2026-02-09'
+                && $params['date_end'] === '2026-02-22'
+                && $group_by === ['tracking_url']
+                && $page === 1
+                && $per_page === 100)
+            ->andReturn(['total' => 0, 'rows' => []]);
+
+        $response = $endpoint->get_report(new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report'));
+
+        expect($response->get_data())->toBe([]);
+        expect($response->get_headers()['X-WP-TotalPages'])->toBe('0');
+    });
+
+    it('limits the report to one tracking URL', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+
+        $hash = TestFactory::hash('breakdown');
+        $report->shouldReceive('get_rows')
+            ->once()
+            ->withArgs(fn (array $params, array $group_by) => $params['hash'] === $hash && $group_by === ['utm_term'])
+            ->andReturn(['total' => 0, 'rows' => []]);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report');
+        $request->set_param('date_start', '2026-02-09');
+        $request->set_param('date_end', '2026-02-22');
+        $request->set_param('hash', $hash);
+        $request->set_param('group_by', ['utm_term']);
+
+        expect($endpoint->get_report($request)->get_status())->toBe(200);
+    });
+
+    it('returns CSV when requested', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+
+        $report->shouldReceive('get_rows')->once()->andReturn(['total' => 1, 'rows' => []]);
+        $report->shouldReceive('to_csv')->once()->with([], ['utm_campaign'])->andReturn("utm_campaign,clicks\n");
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report');
+        $request->set_param('date_start', '2026-02-09');
+        $request->set_param('date_end', '2026-02-22');
+        $request->set_param('group_by', ['utm_campaign']);
+        $request->set_param('format', 'csv');
+
+        $response = $endpoint->get_report($request);
+
+        expect($response->get_data())->toBe("utm_campaign,clicks\n");
+        expect($response->get_headers()['Content-Type'])->toBe('text/csv; charset=UTF-8');
+        expect($response->get_headers()['Content-Disposition'])->toContain('kntnt-ad-attribution-report-2026-02-09-to-2026-02-22.csv');
+    });
+
+    it('rejects a reversed date range', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+        $report->shouldNotReceive('get_rows');
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report');
+        $request->set_param('date_start', '2026-02-22');
+        $request->set_param('date_end', '2026-02-09');
+
+        expect($endpoint->get_report($request)->get_status())->toBe(400);
+    });
+
+    it('rejects grouping by more than one period', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+        $report->shouldNotReceive('get_rows');
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report');
+        $request->set_param('date_start', '2026-02-09');
+        $request->set_param('date_end', '2026-02-22');
+        $request->set_param('group_by', ['day', 'month']);
+
+        expect($endpoint->get_report($request)->get_status())->toBe(400);
+    });
+
+});
+
+// ─── get_campaigns() ───
+
+describe('Rest_Endpoint::get_campaigns()', function () {
+
+    beforeEach(function () {
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_slug', fn () => 'kntnt-ad-attribution');
+        Functions\when('admin_url')->alias(fn (string $path) => 'https://example.com/wp-admin/' . $path);
+        Functions\when('add_query_arg')->alias(fn (array $args, string $url) => $url . '?' . http_build_query($args));
+        Functions\when('wp_make_link_relative')->alias(fn (string $url) => (string) preg_replace('|^https?://[^/]+|', '', $url));
+        $_SERVER['REQUEST_URI'] = '/wp-json/kntnt-ad-attribution/v1/campaigns';
+    });
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb'], $_SERVER['REQUEST_URI']);
+        $_GET = [];
+    });
+
+    it('returns the list fragments with the totals of the previous period', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+
+        $_GET = ['date_start' => '2026-02-09', 'date_end' => '2026-02-22', 'utm_source' => 'google'];
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->once()->andReturn('0');
+        $wpdb->shouldReceive('get_results')->once()->andReturn([]);
+        $wpdb->shouldReceive('get_row')->once()->andReturn(
+            (object) ['total_clicks' => '0', 'total_conversions' => '0.0000', 'attributed_value' => null, 'value_currencies' => '0', 'value_currency' => null],
+        );
+
+        $previous = ['clicks' => 8, 'conversions' => 1.0, 'attributed_value' => 99.5, 'currency' => 'SEK'];
+        $report->shouldReceive('get_rows')
+            ->once()
+            ->withArgs(fn (array $params, array $group_by, int $page, int $per_page) => $params['date_start'] === '2026-01-26'
+                && $params['date_end'] === '2026-02-08'
+                && $params['utm_source'] === 'google'
+                && $group_by === []
+                && $page === 1
+                && $per_page === 1)
+            ->andReturn(['total' => 1, 'rows' => [$previous]]);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/campaigns');
+        $request->set_param('compare', true);
+
+        $response = $endpoint->get_campaigns($request);
+        $data     = $response->get_data();
+
+        expect($response->get_status())->toBe(200);
+        expect($data['total_items'])->toBe(0);
+        expect($data['column_headers'])->toContain('<th id="total_clicks">');
+        expect($data['totals'])->toBe(['clicks' => 0, 'conversions' => 0.0, 'attributed_value' => null, 'currency' => null]);
+        expect($data['previous'])->toBe(['date_start' => '2026-01-26', 'date_end' => '2026-02-08', 'totals' => $previous]);
+    });
+
+    it('rejects a reversed date range', function () {
+        [$endpoint, , , , , $report] = make_rest_endpoint();
+        $report->shouldNotReceive('get_rows');
+
+        $_GET = ['date_start' => '2026-02-22', 'date_end' => '2026-02-09'];
+
+        expect($endpoint->get_campaigns(new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/campaigns'))->get_status())->toBe(400);
+    });
+
+});
+
+// ─── bulk_create() ───
+
+/**
+ * Returns a bulk-create request for the given rows.
+ *
+ * @param array<int, array<string, string>> $rows    Rows to send.
+ * @param bool                              $dry_run Whether to only validate.
+ *
+ * @return WP_REST_Request
+ */
+function make_bulk_request(array $rows, bool $dry_run): WP_REST_Request {
+    $request = new WP_REST_Request('POST', '/kntnt-ad-attribution/v1/bulk-create');
+    $request->set_param('rows', $rows);
+    $request->set_param('dry_run', $dry_run);
+    return $request;
+}
+
+/**
+ * Returns a row as validated by Tracking_Url_Creator::validate_rows().
+ *
+ * @param array<string, mixed> $overrides Values to replace.
+ *
+ * @return array<string, mixed>
+ */
+function make_validated_row(array $overrides = []): array {
+    return array_merge([
+        'target'         => '42',
+        'target_post_id' => 42,
+        'target_title'   => 'Spring sale',
+        'utm_source'     => 'google',
+        'utm_medium'     => 'cpc',
+        'utm_campaign'   => 'spring',
+        'errors'         => [],
+    ], $overrides);
+}
+
+describe('Rest_Endpoint::bulk_create()', function () {
+
+    it('returns the validated rows of a dry run without creating anything', function () {
+        [$endpoint, , , , , , $creator] = make_rest_endpoint();
+
+        $valid   = make_validated_row();
+        $invalid = make_validated_row(['target' => '99', 'target_post_id' => 0, 'target_title' => '', 'errors' => ['The target page does not exist or is not published.']]);
+        $creator->shouldReceive('validate_rows')->once()->andReturn([$valid, $invalid]);
+        $creator->shouldNotReceive('create_rows');
+
+        $response = $endpoint->bulk_create(make_bulk_request([['target' => '42'], ['target' => '99']], true));
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe(['rows' => [$valid, $invalid], 'invalid' => 1]);
+    });
+
+    it('creates nothing when a row is invalid', function () {
+        [$endpoint, , , , , , $creator] = make_rest_endpoint();
+
+        $creator->shouldReceive('validate_rows')->once()->andReturn([make_validated_row(['utm_source' => '', 'errors' => ['The source is missing.']])]);
+        $creator->shouldNotReceive('create_rows');
+
+        $response = $endpoint->bulk_create(make_bulk_request([['target' => '42']], false));
+
+        expect($response->get_status())->toBe(400);
+        expect($response->get_data()['invalid'])->toBe(1);
+    });
+
+    it('creates the rows and returns them as CSV', function () {
+        [$endpoint, , , , , , $creator] = make_rest_endpoint();
+
+        $valid   = make_validated_row();
+        $created = [['tracking_url' => 'https://example.com/ad/abc', 'hash' => 'abc']];
+        $creator->shouldReceive('validate_rows')->once()->andReturn([$valid]);
+        $creator->shouldReceive('create_rows')->once()->with([$valid])->andReturn($created);
+        $creator->shouldReceive('to_csv')->once()->with($created)->andReturn("tracking_url,hash\n");
+
+        $response = $endpoint->bulk_create(make_bulk_request([['target' => '42']], false));
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe(['created' => $created, 'csv' => "tracking_url,hash\n"]);
+    });
+
+});
+
+// ─── get_queue_job() and update_queue() ───
+
+describe('Rest_Endpoint::get_queue_job()', function () {
+
+    it('returns 404 for a missing job', function () {
+        [$endpoint, , , , , , , $queue] = make_rest_endpoint();
+
+        $queue->shouldReceive('get_job')->once()->with(7)->andReturn(null);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/queue/7');
+        $request->set_param('id', '7');
+
+        expect($endpoint->get_queue_job($request)->get_status())->toBe(404);
+    });
+
+    it('returns the job with its payload', function () {
+        [$endpoint, , , , , , , $queue] = make_rest_endpoint();
+
+        $queue->shouldReceive('get_job')->once()->with(7)->andReturn((object) [
+            'id'            => 7,
+            'reporter'      => 'ga4',
+            'payload'       => ['gclid' => 'abc'],
+            'status'        => 'failed',
+            'attempts'      => 9,
+            'created_at'    => '2026-02-20 09:30:00',
+            'processed_at'  => '2026-02-20 15:30:00',
+            'retry_after'   => null,
+            'error_message' => 'HTTP 500',
+            'label'         => 'Conversion on /thanks',
+        ]);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/queue/7');
+        $request->set_param('id', '7');
+
+        $data = $endpoint->get_queue_job($request)->get_data();
+
+        expect($data['status'])->toBe('failed');
+        expect($data['error_message'])->toBe('HTTP 500');
+        expect($data['payload'])->toBe(['gclid' => 'abc']);
+    });
+
+});
+
+/**
+ * Creates a POST request to the queue actions route.
+ *
+ * @param string $action Action to apply.
+ * @param int[]  $ids    Job IDs.
+ *
+ * @return WP_REST_Request
+ */
+function make_queue_action_request(string $action, array $ids): WP_REST_Request {
+    $request = new WP_REST_Request('POST', '/kntnt-ad-attribution/v1/queue/actions');
+    $request->set_param('action', $action);
+    $request->set_param('ids', $ids);
+    return $request;
+}
+
+describe('Rest_Endpoint::update_queue()', function () {
+
+    it('retries pending and failed jobs at once and skips done jobs', function () {
+        [$endpoint, , , , , , , $queue, $qp] = make_rest_endpoint();
+
+        $queue->shouldReceive('get_job')->with(1)->andReturn((object) ['status' => 'pending']);
+        $queue->shouldReceive('get_job')->with(2)->andReturn((object) ['status' => 'failed']);
+        $queue->shouldReceive('get_job')->with(3)->andReturn((object) ['status' => 'done']);
+        $qp->shouldReceive('process_single')->once()->with(1, false)->andReturn(true);
+        $qp->shouldReceive('process_single')->once()->with(2, true)->andReturn(false);
+
+        $response = $endpoint->update_queue(make_queue_action_request('retry', [1, 2, 3]));
+
+        expect($response->get_data()['results'])->toBe([
+            ['id' => 1, 'ok' => true],
+            ['id' => 2, 'ok' => false],
+            ['id' => 3, 'ok' => false],
+        ]);
+    });
+
+    it('cancels jobs without scheduling a queue run', function () {
+        [$endpoint, , , , , , , $queue, $qp] = make_rest_endpoint();
+
+        $queue->shouldReceive('cancel')->once()->with(4)->andReturn(true);
+        $qp->shouldNotReceive('schedule');
+
+        $response = $endpoint->update_queue(make_queue_action_request('cancel', [4, 4]));
+
+        expect($response->get_data()['results'])->toBe([['id' => 4, 'ok' => true]]);
+    });
+
+    it('schedules a queue run after requeuing jobs', function () {
+        [$endpoint, , , , , , , $queue, $qp] = make_rest_endpoint();
+
+        $queue->shouldReceive('requeue')->once()->with(5)->andReturn(true);
+        $queue->shouldReceive('requeue')->once()->with(6)->andReturn(false);
+        $qp->shouldReceive('schedule')->once();
+
+        $endpoint->update_queue(make_queue_action_request('requeue', [5, 6]));
+
+        expect(true)->toBeTrue();
+    });
+
+});
+
+// ─── get_log() ───
+
+describe('Rest_Endpoint::get_log()', function () {
+
+    it('requires the capability of the settings page', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('current_user_can')->once()->with('manage_options')->andReturn(false);
+
+        expect($endpoint->check_settings_permission())->toBeFalse();
+    });
+
+    it('returns the matching entries newest first with the prefixes of all entries', function () {
+        [$endpoint, , , , , , , , , $logger] = make_rest_endpoint();
+
+        $logger->shouldReceive('get_entries')->once()->andReturn([
+            ['time' => '2026-02-26 13:19:01+01:00', 'prefix' => 'GADS', 'level' => 'error', 'message' => 'HTTP 401'],
+            ['time' => '2026-02-26 13:19:02+01:00', 'prefix' => 'CORE', 'level' => 'info', 'message' => 'Queue run started'],
+            ['time' => '2026-02-26 13:19:03+01:00', 'prefix' => 'GADS', 'level' => 'error', 'message' => 'HTTP 500'],
+        ]);
+
+        $request = new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/log');
+        $request->set_param('level', 'error');
+        $request->set_param('prefix', '');
+        $request->set_param('search', '');
+
+        $data = $endpoint->get_log($request)->get_data();
+
+        expect(array_column($data['entries'], 'message'))->toBe(['HTTP 500', 'HTTP 401']);
+        expect($data['total'])->toBe(2);
+        expect($data['prefixes'])->toBe(['CORE', 'GADS']);
+    });
+
+});
+
+// ─── test_webhook() ───
+
+describe('Rest_Endpoint::test_webhook()', function () {
+
+    it('returns 404 for an unknown webhook', function () {
+        [$endpoint, , , , , , , , , , $webhooks] = make_rest_endpoint();
+
+        $webhooks->shouldReceive('send_test')->once()->with('0badf00d')->andReturn(null);
+
+        $request = new WP_REST_Request('POST', '/kntnt-ad-attribution/v1/webhooks/0badf00d/test');
+        $request->set_param('id', '0badf00d');
+
+        expect($endpoint->test_webhook($request)->get_status())->toBe(404);
+    });
+
+    it('returns the result of the delivery', function () {
+        [$endpoint, , , , , , , , , , $webhooks] = make_rest_endpoint();
+
+        $webhooks->shouldReceive('send_test')->once()->with('1a2b3c4d')->andReturn(['success' => false, 'status' => 401, 'message' => 'Unauthorized']);
+
+        $request = new WP_REST_Request('POST', '/kntnt-ad-attribution/v1/webhooks/1a2b3c4d/test');
+        $request->set_param('id', '1a2b3c4d');
+
+        $response = $endpoint->test_webhook($request);
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data())->toBe(['success' => false, 'status' => 401, 'message' => 'Unauthorized']);
+    });
+
+});
+
+// ─── serve_csv() ───
+
+describe('Rest_Endpoint::serve_csv()', function () {
+
+    it('echoes a CSV report and marks the request as served', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        $response = new WP_REST_Response("utm_source,clicks\ngoogle,3\n");
+        $response->header('Content-Type', 'text/csv; charset=UTF-8');
+
+        ob_start();
+        $served = $endpoint->serve_csv(false, $response, new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report'));
+        $output = ob_get_clean();
+
+        expect($served)->toBeTrue();
+        expect($output)->toBe("utm_source,clicks\ngoogle,3\n");
+    });
+
+    it('leaves JSON responses and other routes to WordPress', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        $csv = new WP_REST_Response('a,b');
+        $csv->header('Content-Type', 'text/csv; charset=UTF-8');
+
+        ob_start();
+        $json_served  = $endpoint->serve_csv(false, new WP_REST_Response([]), new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/report'));
+        $other_served = $endpoint->serve_csv(false, $csv, new WP_REST_Request('GET', '/kntnt-ad-attribution/v1/dashboard'));
+        $output       = ob_get_clean();
+
+        expect($json_served)->toBeFalse();
+        expect($other_served)->toBeFalse();
+        expect($output)->toBe('');
+    });
+
+});
+
+// ─── search_posts() ───
+
+describe('Rest_Endpoint::search_posts()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('finds post by exact ID', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('get_post_types')
+            ->once()
+            ->andReturn(['post' => 'post', 'page' => 'page']);
+
+        $post = TestFactory::post(['ID' => 42, 'post_title' => 'Test', 'post_type' => 'post']);
+        Functions\expect('get_post')->once()->with(42)->andReturn($post);
+
+        // The method falls through to slug LIKE search even after ID match.
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->andReturn([]);
+
+        $request = new WP_REST_Request('GET', '/search-posts');
+        $request->set_param('search', '42');
+
+        $response = $endpoint->search_posts($request);
+
+        expect($response->get_data())->toHaveCount(1);
+        expect($response->get_data()[0]['id'])->toBe(42);
+        expect($response->get_data()[0]['title'])->toBe('Test');
+    });
+
+    it('resolves URL to post', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('get_post_types')->once()->andReturn(['post' => 'post', 'page' => 'page']);
+        Functions\expect('home_url')->andReturnUsing(fn ($path) => 'https://example.com/' . ltrim($path, '/'));
+        Functions\expect('url_to_postid')->once()->andReturn(10);
+
+        $post = TestFactory::post(['ID' => 10, 'post_title' => 'About Us', 'post_type' => 'page']);
+        Functions\expect('get_post')->once()->with(10)->andReturn($post);
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->andReturn([]);
+
+        $request = new WP_REST_Request('GET', '/search-posts');
+        $request->set_param('search', 'about-us/contact');
+
+        $response = $endpoint->search_posts($request);
+
+        $ids = array_column($response->get_data(), 'id');
+        expect($ids)->toContain(10);
+    });
+
+    it('finds posts by slug LIKE search', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('get_post_types')->once()->andReturn(['post' => 'post', 'page' => 'page']);
+
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')
+            ->once()
+            ->andReturn([
+                (object) ['ID' => 5, 'post_title' => 'My Page', 'post_type' => 'page'],
+            ]);
+
+        $request = new WP_REST_Request('GET', '/search-posts');
+        $request->set_param('search', 'my-page');
+
+        $response = $endpoint->search_posts($request);
+
+        $ids = array_column($response->get_data(), 'id');
+        expect($ids)->toContain(5);
+    });
+
+    it('excludes own CPT from results', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        // Include the plugin CPT in post_types list — it should be excluded.
+        Functions\expect('get_post_types')
+            ->once()
+            ->andReturn([
+                'post' => 'post',
+                'page' => 'page',
+                'kntnt_ad_attr_url' => 'kntnt_ad_attr_url',
+            ]);
+
+        $post = TestFactory::post([
+            'ID'        => 99,
+            'post_type' => 'kntnt_ad_attr_url',
+        ]);
+
+        // Numeric search finds the post, but its type is excluded.
+        Functions\expect('get_post')->once()->with(99)->andReturn($post);
+
+        // Falls through to slug and title search.
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('esc_like')->andReturnArg(0);
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_results')->andReturn([]);
+
+        $request = new WP_REST_Request('GET', '/search-posts');
+        $request->set_param('search', '99');
+
+        $response = $endpoint->search_posts($request);
+
+        // Post 99 should not be in results (wrong post type).
+        $ids = array_column($response->get_data(), 'id');
+        expect($ids)->not->toContain(99);
+    });
+
+});
+
+// ─── refresh_nonce() ───
+
+describe('Rest_Endpoint::refresh_nonce()', function () {
+
+    beforeEach(function () {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('wp_parse_url')->alias(fn ($url) => parse_url($url));
+    });
+
+    it('returns a fresh nonce for the cookie user', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('wp_validate_auth_cookie')->once()->with('', 'logged_in')->andReturn(7);
+        Functions\expect('get_current_user_id')->once()->andReturn(0);
+        Functions\expect('wp_set_current_user')->once()->with(7);
+        Functions\expect('wp_create_nonce')->once()->with('wp_rest')->andReturn('fresh-nonce');
+
+        $request = new WP_REST_Request('GET', '/nonce');
+        $request->set_header('sec_fetch_site', 'same-origin');
+        $request->set_header('origin', 'https://example.com');
+
+        $response = $endpoint->refresh_nonce($request);
+
+        expect($response->get_status())->toBe(200);
+        expect($response->get_data()['nonce'])->toBe('fresh-nonce');
+        expect($response->get_headers()['Cache-Control'])->toBe('no-store, max-age=0');
+    });
+
+    it('rejects cross-site requests', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('wp_create_nonce')->never();
+
+        $request = new WP_REST_Request('GET', '/nonce');
+        $request->set_header('sec_fetch_site', 'cross-site');
+
+        $response = $endpoint->refresh_nonce($request);
+
+        expect($response->get_status())->toBe(403);
+    });
+
+    it('rejects requests from a foreign origin', function () {
+        [$endpoint] = make_rest_endpoint();
+
+        Functions\expect('wp_create_nonce')->never();
+
+        $request = new WP_REST_Request('GET', '/nonce');
+        $request->set_header('origin', 'https://evil.example');
+
+        $response = $endpoint->refresh_nonce($request);
+
+        expect($response->get_status())->toBe(403);
+    });
+
+});
+
+// ─── issue_token() ───
+
+describe('Rest_Endpoint::issue_token()', function () {
+
+    beforeEach(function () {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('wp_parse_url')->alias(fn ($url) => parse_url($url));
+        Functions\when('wp_salt')->justReturn('test-salt');
+    });
+
+    afterEach(function () {
+        unset($_SERVER['REMOTE_ADDR']);
+    });
+
+    it('issues an uncached token that expires in ten minutes', function () {
+        [$endpoint] = make_rest_endpoint(true);
+
+        $response = $endpoint->issue_token(new WP_REST_Request('GET', '/token'));
+        $data     = $response->get_data();
+
+        expect($data['token'])->toMatch('/^\d+\.[a-f0-9]{64}$/');
+        expect($data['expires'])->toBeGreaterThan(time() + 590)->toBeLessThanOrEqual(time() + 600);
+        expect($response->get_headers()['Cache-Control'])->toBe('no-store, max-age=0');
+    });
+
+    it('rejects cross-site requests', function () {
+        [$endpoint] = make_rest_endpoint(true);
+
+        $request = new WP_REST_Request('GET', '/token');
+        $request->set_header('sec_fetch_site', 'cross-site');
+
+        expect($endpoint->issue_token($request)->get_status())->toBe(403);
+    });
+
+    it('lets set-cookie accept an issued token', function () {
+        [$endpoint, $cm] = make_rest_endpoint(true);
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+
+        // Reaching hash validation means the token was accepted.
+        $cm->shouldReceive('validate_hash')->once()->andReturn(false);
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => [],
+        );
+
+        $token   = $endpoint->issue_token(new WP_REST_Request('GET', '/token'))->get_data()['token'];
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('hashes', [TestFactory::hash('token')]);
+        $request->set_header('x_kntnt_ad_attr_token', $token);
+
+        expect($endpoint->set_cookie($request)->get_status())->toBe(200);
+    });
+
+    it('lets set-cookie read the token from a beacon body', function () {
+        [$endpoint, $cm] = make_rest_endpoint(true);
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+
+        $cm->shouldReceive('validate_hash')->once()->andReturn(false);
+        \Patchwork\redefine(
+            'Kntnt\Ad_Attribution\Post_Type::get_valid_hashes',
+            fn (array $hashes) => [],
+        );
+
+        $token   = $endpoint->issue_token(new WP_REST_Request('GET', '/token'))->get_data()['token'];
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('hashes', [TestFactory::hash('beacon')]);
+        $request->set_param('kntnt_ad_attr_token', $token);
+
+        expect($endpoint->set_cookie($request)->get_status())->toBe(200);
+    });
+
+    it('makes set-cookie reject a missing or forged token', function (string $token) {
+        [$endpoint, $cm] = make_rest_endpoint(true);
+
+        $_SERVER['REMOTE_ADDR'] = '10.0.0.1';
+        Functions\when('get_transient')->justReturn(0);
+        Functions\when('set_transient')->justReturn(true);
+
+        $cm->shouldReceive('validate_hash')->never();
+
+        $request = new WP_REST_Request('POST', '/set-cookie');
+        $request->set_param('hashes', [TestFactory::hash('token')]);
+        $request->set_header('x_kntnt_ad_attr_token', $token);
+
+        expect($endpoint->set_cookie($request)->get_status())->toBe(403);
+    })->with([
+        'missing' => [''],
+        'forged'  => [(time() + 300) . '.' . str_repeat('0', 64)],
+        'expired' => [(time() - 1) . '.' . hash_hmac('sha256', 'set-cookie|' . (time() - 1), 'test-salt')],
+    ]);
+
 });
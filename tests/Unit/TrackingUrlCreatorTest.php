@@ -0,0 +1,194 @@
+<?php
+/**
+ * Unit tests for Tracking_Url_Creator.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Tracking_Url_Creator;
+use Brain\Monkey\Functions;
+use Tests\Helpers\TestFactory;
+
+// ─── create() ───
+
+describe('Tracking_Url_Creator::create()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('creates the tracking URL post with a unique hash and its meta', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+
+        // The first hash is taken, the second is free.
+        $wpdb->shouldReceive('prepare')->twice()->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->twice()->andReturn('1', '0');
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+        Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+
+        Functions\expect('wp_insert_post')
+            ->once()
+            ->withArgs(fn (array $post) => $post['post_type'] === 'kntnt_ad_attr_url'
+                && $post['post_status'] === 'publish'
+                && preg_match('#^https://example\.com/ad/[a-f0-9]{64}$#', $post['post_title']) === 1)
+            ->andReturn(17);
+        Functions\when('is_wp_error')->justReturn(false);
+
+        $meta = [];
+        Functions\when('add_post_meta')->alias(function (int $post_id, string $key, string $value) use (&$meta) {
+            $meta[$key] = $value;
+            return true;
+        });
+
+        $url = (new Tracking_Url_Creator())->create(42, 'google', 'cpc', 'spring');
+
+        expect($url['post_id'])->toBe(17);
+        expect($url['tracking_url'])->toBe('https://example.com/ad/' . $url['hash']);
+        expect($meta)->toBe([
+            '_hash'           => $url['hash'],
+            '_target_post_id' => '42',
+            '_utm_source'     => 'google',
+            '_utm_medium'     => 'cpc',
+            '_utm_campaign'   => 'spring',
+        ]);
+    });
+
+    it('returns null when the post cannot be inserted', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->andReturn('0');
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+        Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+        Functions\when('wp_insert_post')->justReturn(0);
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\expect('add_post_meta')->never();
+
+        expect((new Tracking_Url_Creator())->create(42, 'google', 'cpc', 'spring'))->toBeNull();
+    });
+
+});
+
+// ─── validate_rows() ───
+
+describe('Tracking_Url_Creator::validate_rows()', function () {
+
+    beforeEach(function () {
+        $posts = [
+            42 => TestFactory::post(['ID' => 42, 'post_title' => 'Spring sale']),
+            43 => TestFactory::post(['ID' => 43, 'post_status' => 'draft']),
+            44 => TestFactory::post(['ID' => 44, 'post_type' => 'kntnt_ad_attr_url']),
+        ];
+        Functions\when('get_post')->alias(fn (int $id) => $posts[$id] ?? null);
+        Functions\when('home_url')->alias(fn (string $path = '') => 'https://example.com' . $path);
+        Functions\when('url_to_postid')->alias(fn (string $url) => $url === 'https://example.com/spring-sale/' ? 42 : 0);
+    });
+
+    it('resolves targets given as IDs and URLs', function () {
+        $rows = (new Tracking_Url_Creator())->validate_rows([
+            ['target' => '42', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            ['target' => 'https://example.com/spring-sale/', 'utm_source' => 'meta', 'utm_medium' => 'paid-social', 'utm_campaign' => 'spring'],
+            ['target' => '/spring-sale/', 'utm_source' => 'linkedin', 'utm_medium' => 'paid-social', 'utm_campaign' => 'spring'],
+        ]);
+
+        expect($rows[0])->toBe([
+            'target'         => '42',
+            'target_post_id' => 42,
+            'target_title'   => 'Spring sale',
+            'utm_source'     => 'google',
+            'utm_medium'     => 'cpc',
+            'utm_campaign'   => 'spring',
+            'errors'         => [],
+        ]);
+        expect($rows[1]['target_post_id'])->toBe(42);
+        expect($rows[2]['target_post_id'])->toBe(42);
+        expect($rows[2]['errors'])->toBe([]);
+    });
+
+    it('reports unknown, unpublished and tracking URL targets', function () {
+        $rows = (new Tracking_Url_Creator())->validate_rows([
+            ['target' => '99', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            ['target' => '43', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            ['target' => '44', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            ['target' => '/no-such-page/', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+        ]);
+
+        foreach ($rows as $row) {
+            expect($row['target_post_id'])->toBe(0);
+            expect($row['errors'])->toBe(['The target page does not exist or is not published.']);
+        }
+    });
+
+    it('reports each missing field and truncates long values', function () {
+        [$missing, $long] = (new Tracking_Url_Creator())->validate_rows([
+            ['target' => ' ', 'utm_source' => '', 'utm_medium' => ' '],
+            ['target' => '42', 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => str_repeat('x', 300)],
+        ]);
+
+        expect($missing['errors'])->toBe([
+            'The target page is missing.',
+            'The source is missing.',
+            'The medium is missing.',
+            'The campaign is missing.',
+        ]);
+        expect(mb_strlen($long['utm_campaign']))->toBe(255);
+        expect($long['errors'])->toBe([]);
+    });
+
+});
+
+// ─── create_rows() and to_csv() ───
+
+describe('Tracking_Url_Creator::create_rows()', function () {
+
+    afterEach(function () {
+        unset($GLOBALS['wpdb']);
+    });
+
+    it('creates one tracking URL per row and renders them as CSV', function () {
+        $wpdb = TestFactory::wpdb();
+        $GLOBALS['wpdb'] = $wpdb;
+        $wpdb->shouldReceive('prepare')->andReturn('SQL');
+        $wpdb->shouldReceive('get_var')->andReturn('0');
+
+        \Patchwork\redefine('Kntnt\Ad_Attribution\Plugin::get_url_prefix', fn () => 'ad');
+        Functions\when('home_url')->alias(fn (string $path) => 'https://example.com/' . $path);
+        Functions\when('wp_insert_post')->justReturn(17);
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('add_post_meta')->justReturn(true);
+        Functions\when('get_permalink')->justReturn('https://example.com/spring-sale/');
+
+        $creator = new Tracking_Url_Creator();
+        $created = $creator->create_rows([
+            ['target_post_id' => 42, 'utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            ['target_post_id' => 42, 'utm_source' => 'linkedin', 'utm_medium' => 'paid-social', 'utm_campaign' => 'spring, b2b'],
+        ]);
+
+        expect($created)->toHaveCount(2);
+        expect($created[0]['hash'])->not->toBe($created[1]['hash']);
+        expect($created[1])->toBe([
+            'tracking_url'   => 'https://example.com/ad/' . $created[1]['hash'],
+            'hash'           => $created[1]['hash'],
+            'target_post_id' => 42,
+            'target_url'     => 'https://example.com/spring-sale/',
+            'utm_source'     => 'linkedin',
+            'utm_medium'     => 'paid-social',
+            'utm_campaign'   => 'spring, b2b',
+        ]);
+
+        $lines = explode("\n", trim($creator->to_csv($created)));
+
+        expect($lines[0])->toBe('tracking_url,hash,target_post_id,target_url,utm_source,utm_medium,utm_campaign');
+        expect($lines[2])->toBe(sprintf(
+            'https://example.com/ad/%1$s,%1$s,42,https://example.com/spring-sale/,linkedin,paid-social,"spring, b2b"',
+            $created[1]['hash'],
+        ));
+    });
+
+});
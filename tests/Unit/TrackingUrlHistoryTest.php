@@ -0,0 +1,98 @@
+<?php
+/**
+ * Unit tests for Tracking_Url_History.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Tracking_Url_History;
+use Brain\Monkey\Functions;
+
+// ─── update() ───
+
+describe('Tracking_Url_History::update()', function () {
+
+    beforeEach(function () {
+        $meta = [
+            '_target_post_id' => '43',
+            '_utm_source'     => 'google',
+            '_utm_medium'     => 'cpc',
+            '_utm_campaign'   => 'spring',
+        ];
+        Functions\when('get_post_meta')->alias(fn (int $post_id, string $key) => $meta[$key] ?? '');
+    });
+
+    it('updates the changed fields and records who changed what and when', function () {
+        \Patchwork\redefine('gmdate', fn (string $format) => '2026-02-20 09:30:00');
+        Functions\when('get_current_user_id')->justReturn(3);
+
+        Functions\expect('update_post_meta')->once()->with(7, '_target_post_id', '42');
+        Functions\expect('update_post_meta')->once()->with(7, '_utm_campaign', 'spring-2026');
+        Functions\expect('add_post_meta')->once()->with(7, '_change', [
+            'time'    => '2026-02-20 09:30:00',
+            'user_id' => 3,
+            'changes' => [
+                'target_post_id' => ['from' => '43', 'to' => '42'],
+                'utm_campaign'   => ['from' => 'spring', 'to' => 'spring-2026'],
+            ],
+        ]);
+
+        $changes = (new Tracking_Url_History())->update(7, [
+            'target_post_id' => '42',
+            'utm_source'     => 'google',
+            'utm_medium'     => 'cpc',
+            'utm_campaign'   => 'spring-2026',
+        ]);
+
+        expect(array_keys($changes))->toBe(['target_post_id', 'utm_campaign']);
+    });
+
+    it('records nothing when no value changed', function () {
+        Functions\expect('update_post_meta')->never();
+        Functions\expect('add_post_meta')->never();
+
+        $changes = (new Tracking_Url_History())->update(7, ['utm_source' => 'google', 'hash' => 'ignored']);
+
+        expect($changes)->toBe([]);
+    });
+
+});
+
+// ─── get_entries() and get_target_changes() ───
+
+describe('Tracking_Url_History::get_target_changes()', function () {
+
+    beforeEach(function () {
+        Functions\when('get_post_meta')->justReturn([
+            ['time' => '2026-02-20 09:30:00', 'user_id' => 3, 'changes' => ['target_post_id' => ['from' => '43', 'to' => '42']]],
+            'corrupt',
+            ['time' => '2026-02-09 00:00:00', 'user_id' => 3, 'changes' => ['target_post_id' => ['from' => '41', 'to' => '43']]],
+            ['time' => '2026-02-21 10:00:00', 'user_id' => 3, 'changes' => ['utm_campaign' => ['from' => 'spring', 'to' => 'spring-2026']]],
+            ['time' => '2026-02-23 00:00:00', 'user_id' => 3, 'changes' => ['target_post_id' => ['from' => '42', 'to' => '44']]],
+        ]);
+    });
+
+    it('returns valid entries newest first', function () {
+        $entries = (new Tracking_Url_History())->get_entries(7);
+
+        expect(array_column($entries, 'time'))->toBe([
+            '2026-02-23 00:00:00',
+            '2026-02-21 10:00:00',
+            '2026-02-20 09:30:00',
+            '2026-02-09 00:00:00',
+        ]);
+    });
+
+    it('returns the target changes within the date range oldest first', function () {
+        $changes = (new Tracking_Url_History())->get_target_changes(7, '2026-02-09', '2026-02-22');
+
+        expect($changes)->toBe([
+            ['time' => '2026-02-09 00:00:00', 'from' => '41', 'to' => '43'],
+            ['time' => '2026-02-20 09:30:00', 'from' => '43', 'to' => '42'],
+        ]);
+    });
+
+});
@@ -0,0 +1,296 @@
+<?php
+/**
+ * Unit tests for Webhook_Reporter.
+ *
+ * @package Tests\Unit
+ * @since   1.9.0
+ */
+
+declare(strict_types=1);
+
+use Kntnt\Ad_Attribution\Logger;
+use Kntnt\Ad_Attribution\Settings;
+use Kntnt\Ad_Attribution\Webhook_Reporter;
+use Brain\Monkey\Functions;
+
+/**
+ * A saved webhook with the given overrides.
+ *
+ * @param array<string, string> $overrides Fields to override.
+ */
+function saved_webhook(array $overrides = []): array {
+    return array_merge([
+        'id'       => '1a2b3c4d',
+        'name'     => 'CRM',
+        'enabled'  => '1',
+        'url'      => 'https://crm.example.com/hooks/conversions',
+        'method'   => 'POST',
+        'headers'  => "Authorization: Bearer crm-token\nX-Source: ads",
+        'template' => '',
+        'secret'   => 'whsec_test',
+    ], $overrides);
+}
+
+/**
+ * Creates a Webhook_Reporter with the given saved webhooks.
+ *
+ * @param array<int, array<string, string>> $webhooks Saved webhooks.
+ * @param Logger|null                       $logger   Logger, or a mock that ignores calls.
+ */
+function make_webhook_reporter(array $webhooks, ?Logger $logger = null): Webhook_Reporter {
+    $settings = Mockery::mock(Settings::class);
+    $settings->shouldReceive('get')->with('webhooks')->andReturn($webhooks);
+
+    return new Webhook_Reporter($settings, $logger ?? Mockery::mock(Logger::class)->shouldIgnoreMissing());
+}
+
+/**
+ * Stubs wp_safe_remote_request() with a response and records the requests.
+ *
+ * @param int    $code Response status.
+ * @param string $body Response body.
+ *
+ * @return ArrayObject<int, array{url: string, args: array}> Recorded requests.
+ */
+function fake_webhook_http(int $code, string $body = ''): ArrayObject {
+    $requests = new ArrayObject();
+
+    Functions\when('wp_safe_remote_request')->alias(function (string $url, array $args) use ($requests, $code, $body) {
+        $requests[] = ['url' => $url, 'args' => $args];
+        return ['response' => ['code' => $code], 'body' => $body];
+    });
+    Functions\when('is_wp_error')->justReturn(false);
+    Functions\when('wp_remote_retrieve_response_code')->alias(fn ($r) => $r['response']['code']);
+    Functions\when('wp_remote_retrieve_body')->alias(fn ($r) => $r['body']);
+    Functions\when('wp_json_encode')->alias('json_encode');
+
+    return $requests;
+}
+
+/**
+ * Queues a conversion with two credited campaigns through a webhook's reporter.
+ *
+ * @param array<string, string> $overrides Webhook fields to override.
+ *
+ * @return array<int, array{payload: array, label: string}> Queue items.
+ */
+function enqueue_webhook_conversion(array $overrides = []): array {
+    $hash_a    = str_repeat('a', 64);
+    $hash_b    = str_repeat('b', 64);
+    $reporters = make_webhook_reporter([saved_webhook($overrides)])->add_reporters([]);
+
+    return $reporters['webhook_1a2b3c4d']['enqueue'](
+        [$hash_a => 0.75, $hash_b => 0.25],
+        [$hash_a => ['google_ads' => 'Cj0KCQ']],
+        [
+            $hash_a => ['utm_source' => 'google', 'utm_medium' => 'cpc', 'utm_campaign' => 'spring'],
+            $hash_b => ['utm_source' => 'linkedin', 'utm_medium' => 'paid', 'utm_campaign' => 'brand'],
+        ],
+        [
+            'timestamp'         => '2026-02-26T12:19:03+00:00',
+            'ip'                => '203.0.113.7',
+            'user_agent'        => 'Mozilla/5.0',
+            'page_url'          => 'https://example.com/contact/',
+            'label'             => 'contact-form',
+            'value'             => 1000.0,
+            'currency'          => 'SEK',
+            'attributed_values' => [$hash_a => 750.0, $hash_b => 250.0],
+        ],
+    );
+}
+
+// ─── register() and add_reporters() ───
+
+describe('Webhook_Reporter::register()', function () {
+
+    it('adds no filter while no webhook is enabled', function () {
+        Functions\expect('add_filter')->never();
+
+        make_webhook_reporter([saved_webhook(['enabled' => ''])])->register();
+    });
+
+    it('hooks the reporter filter at priority 5', function () {
+        Functions\expect('add_filter')
+            ->once()
+            ->with('kntnt_ad_attr_conversion_reporters', Mockery::type('array'), 5);
+
+        make_webhook_reporter([saved_webhook()])->register();
+    });
+
+});
+
+describe('Webhook_Reporter::add_reporters()', function () {
+
+    it('adds a reporter per enabled webhook and keeps existing ones', function () {
+        $own = ['label' => 'Own', 'enqueue' => fn () => [], 'process' => fn () => true];
+
+        $reporters = make_webhook_reporter([
+            saved_webhook(),
+            saved_webhook(['id' => 'deadbeef', 'name' => 'Zap']),
+            saved_webhook(['id' => '00c0ffee', 'enabled' => '']),
+        ])->add_reporters(['webhook_deadbeef' => $own]);
+
+        expect(array_keys($reporters))->toBe(['webhook_deadbeef', 'webhook_1a2b3c4d']);
+        expect($reporters['webhook_deadbeef'])->toBe($own);
+        expect($reporters['webhook_1a2b3c4d']['label'])->toBe('Webhook: CRM');
+    });
+
+});
+
+// ─── Templates ───
+
+describe('Webhook_Reporter::render()', function () {
+
+    it('keeps the type of whole placeholders and interpolates the others as text', function () {
+        Functions\when('wp_json_encode')->alias('json_encode');
+
+        $template = Webhook_Reporter::decode_template('{"amount": "{{value}}", "note": "{{utm_campaign}} ({{weight}})", "ids": "{{click_ids}}", "gclid": "{{ click_id.google_ads }}", "fixed": true, "nested": ["{{unknown}}"]}');
+        $rendered = Webhook_Reporter::render($template, [
+            'value'        => 750.0,
+            'utm_campaign' => 'spring',
+            'weight'       => 0.75,
+            'click_ids'    => (object) ['google_ads' => 'Cj0KCQ'],
+        ]);
+
+        expect($rendered['amount'])->toBe(750.0);
+        expect($rendered['note'])->toBe('spring (0.75)');
+        expect((array) $rendered['ids'])->toBe(['google_ads' => 'Cj0KCQ']);
+        expect($rendered['gclid'])->toBe('Cj0KCQ');
+        expect($rendered['fixed'])->toBeTrue();
+        expect($rendered['nested'])->toBe([null]);
+    });
+
+    it('uses every field in the default template and rejects invalid templates', function () {
+        expect(array_keys(Webhook_Reporter::decode_template(' ')))->toBe(Webhook_Reporter::FIELDS);
+        expect(Webhook_Reporter::decode_template('{"value": {{value}}}'))->toBeNull();
+        expect(Webhook_Reporter::decode_template('"{{value}}"'))->toBeNull();
+    });
+
+});
+
+describe('Webhook_Reporter::parse_headers()', function () {
+
+    it('parses header lines and ignores invalid ones', function () {
+        expect(Webhook_Reporter::parse_headers("Authorization: Bearer abc\r\nnot a header\n X-Source:ads \nBad Name: x"))
+            ->toBe(['Authorization' => 'Bearer abc', 'X-Source' => 'ads']);
+    });
+
+});
+
+// ─── Enqueue and delivery ───
+
+describe('Webhook_Reporter enqueue', function () {
+
+    it('queues one rendered body per credited campaign without personal data', function () {
+        Functions\when('wp_json_encode')->alias('json_encode');
+
+        $items = enqueue_webhook_conversion();
+
+        expect($items)->toHaveCount(2);
+        expect($items[0]['label'])->toBe('CRM · spring');
+
+        $body = json_decode($items[0]['payload']['body'], true);
+        expect($body['event'])->toBe('conversion');
+        expect($body['event_id'])->toBe($items[0]['payload']['event_id']);
+        expect($body['value'])->toBe(750.0);
+        expect($body['total_value'])->toBe(1000.0);
+        expect($body['weight'])->toBe(0.75);
+        expect($body['utm_source'])->toBe('google');
+        expect($body['click_ids'])->toBe(['google_ads' => 'Cj0KCQ']);
+        expect($items[0]['payload']['body'])->not->toContain('203.0.113.7');
+
+        expect($items[1]['payload']['body'])->toContain('"click_ids":{}');
+        expect($items[1]['payload']['event_id'])->not->toBe($items[0]['payload']['event_id']);
+    });
+
+    it('renders a custom template', function () {
+        Functions\when('wp_json_encode')->alias('json_encode');
+
+        $items = enqueue_webhook_conversion(['template' => '{"deal": {"source": "{{utm_source}}/{{utm_medium}}", "amount": "{{value}}"}}']);
+
+        expect(json_decode($items[1]['payload']['body'], true))->toBe(['deal' => ['source' => 'linkedin/paid', 'amount' => 250.0]]);
+    });
+
+});
+
+describe('Webhook_Reporter delivery', function () {
+
+    it('sends the queued body with the custom headers and a verifiable signature', function () {
+        $requests  = fake_webhook_http(202);
+        $reporters = make_webhook_reporter([saved_webhook(['method' => 'PUT'])])->add_reporters([]);
+
+        $ok = $reporters['webhook_1a2b3c4d']['process'](['event_id' => 'e1', 'body' => '{"value":750}']);
+
+        expect($ok)->toBeTrue();
+        expect($requests[0]['url'])->toBe('https://crm.example.com/hooks/conversions');
+
+        $args = $requests[0]['args'];
+        expect($args['method'])->toBe('PUT');
+        expect($args['body'])->toBe('{"value":750}');
+        expect($args['headers']['Content-Type'])->toBe('application/json');
+        expect($args['headers']['Authorization'])->toBe('Bearer crm-token');
+        expect($args['headers']['X-Kntnt-Event'])->toBe('conversion');
+
+        $timestamp = $args['headers']['X-Kntnt-Timestamp'];
+        expect($args['headers']['X-Kntnt-Signature'])
+            ->toBe('sha256=' . hash_hmac('sha256', $timestamp . '.{"value":750}', 'whsec_test'));
+    });
+
+    it('sends unsigned requests without a secret', function () {
+        $requests  = fake_webhook_http(200);
+        $reporters = make_webhook_reporter([saved_webhook(['secret' => ''])])->add_reporters([]);
+
+        $reporters['webhook_1a2b3c4d']['process'](['event_id' => 'e1', 'body' => '{}']);
+
+        expect($requests[0]['args']['headers'])->not->toHaveKey('X-Kntnt-Signature');
+        expect($requests[0]['args']['headers'])->not->toHaveKey('X-Kntnt-Timestamp');
+    });
+
+    it('fails and logs the response of a non-2xx status', function () {
+        fake_webhook_http(500, 'Internal error');
+        $logger = Mockery::mock(Logger::class);
+        $logger->shouldReceive('error')->once()->with('HOOK', 'CRM: HTTP 500: Internal error');
+
+        $reporters = make_webhook_reporter([saved_webhook()], $logger)->add_reporters([]);
+
+        expect($reporters['webhook_1a2b3c4d']['process'](['event_id' => 'e1', 'body' => '{}']))->toBeFalse();
+    });
+
+});
+
+// ─── send_test() ───
+
+describe('Webhook_Reporter::send_test()', function () {
+
+    it('returns null for an unknown webhook', function () {
+        expect(make_webhook_reporter([saved_webhook()])->send_test('deadbeef'))->toBeNull();
+    });
+
+    it('sends a sample event to a disabled webhook and returns the status without the response', function () {
+        $requests = fake_webhook_http(401, 'Unauthorized');
+        Functions\when('home_url')->justReturn('https://example.com/');
+
+        $result = make_webhook_reporter([saved_webhook(['enabled' => ''])])->send_test('1a2b3c4d');
+
+        expect($result)->toBe(['success' => false, 'status' => 401, 'message' => '']);
+        expect($requests[0]['args']['headers']['X-Kntnt-Event'])->toBe('test');
+
+        $body = json_decode($requests[0]['args']['body'], true);
+        expect($body['event'])->toBe('test');
+        expect($body['click_ids'])->toBe(['google_ads' => 'TEST-GCLID']);
+    });
+
+    it('returns the error of a refused request', function () {
+        Functions\when('home_url')->justReturn('https://example.com/');
+        Functions\when('wp_json_encode')->alias('json_encode');
+        $error = Mockery::mock();
+        $error->shouldReceive('get_error_message')->andReturn('A valid URL was not provided.');
+        Functions\when('wp_safe_remote_request')->justReturn($error);
+        Functions\when('is_wp_error')->justReturn(true);
+
+        $result = make_webhook_reporter([saved_webhook(['url' => 'http://169.254.169.254/latest/meta-data/'])])->send_test('1a2b3c4d');
+
+        expect($result)->toBe(['success' => false, 'status' => 0, 'message' => 'A valid URL was not provided.']);
+    });
+
+});